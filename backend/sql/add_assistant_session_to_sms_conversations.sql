@@ -0,0 +1,13 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add SMS assistant session state to sms_conversations table
+-- =============================================================================
+
+USE tonris_db;
+
+-- The SMS assistant keeps a customer's booking conversation on their thread,
+-- so it survives restarts and is shared between server instances.
+-- The session is ignored once assistant_session_expires_at has passed
+ALTER TABLE sms_conversations
+ADD COLUMN assistant_session JSON NULL AFTER unread_count,
+ADD COLUMN assistant_session_expires_at DATETIME NULL AFTER assistant_session;
@@ -0,0 +1,24 @@
+-- =============================================================================
+-- Add Buffer Columns to Services and Appointments
+-- Lets a service block preparation time before and cleanup or processing time
+-- after each appointment without changing the customer-facing duration
+-- =============================================================================
+
+USE tonris_db;
+
+-- Buffers configured per service
+ALTER TABLE services
+ADD COLUMN buffer_before INT NOT NULL DEFAULT 0 COMMENT 'Preparation minutes blocked before the appointment'
+AFTER duration,
+ADD COLUMN buffer_after INT NOT NULL DEFAULT 0 COMMENT 'Cleanup or processing minutes blocked after the appointment'
+AFTER buffer_before;
+
+-- Buffers in effect when each appointment was booked (service plus add-ons)
+ALTER TABLE appointments
+ADD COLUMN buffer_before INT NOT NULL DEFAULT 0 COMMENT 'Minutes blocked before start_time for preparation, not shown to the customer'
+AFTER total_duration,
+ADD COLUMN buffer_after INT NOT NULL DEFAULT 0 COMMENT 'Minutes blocked after end_time for cleanup or processing, not shown to the customer'
+AFTER buffer_before;
+
+-- Note: Existing services and appointments default to no buffers, so appointments
+-- stay back-to-back until a tenant configures them.
@@ -0,0 +1,19 @@
+-- =============================================================================
+-- Add Employee Link to Users and Team Invites
+-- Lets a user log in as an employee. Staff linked to an employee only see and
+-- manage their own calendar
+-- =============================================================================
+
+USE tonris_db;
+
+ALTER TABLE users
+ADD COLUMN employee_id CHAR(36) NULL COMMENT 'Employee this user works as'
+AFTER role,
+ADD CONSTRAINT fk_users_employee_id FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE team_invites
+ADD COLUMN employee_id CHAR(36) NULL COMMENT 'Employee the invitee will be linked to'
+AFTER role;
+
+-- Note: Existing users aren't linked to an employee, so they keep seeing the whole
+-- business until an owner or manager links them.
@@ -0,0 +1,11 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add last_login_at to users table
+-- =============================================================================
+
+USE tonris_db;
+
+-- Set on every successful login; shown in the admin console's client details
+ALTER TABLE users
+ADD COLUMN last_login_at DATETIME NULL
+AFTER is_active;
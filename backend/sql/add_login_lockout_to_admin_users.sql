@@ -0,0 +1,13 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add per-account login lockout to admin_users table
+-- =============================================================================
+
+USE tonris_db;
+
+-- Admin logins lock after the same number of failures in a row as tenant logins,
+-- and each lockout before a successful login lasts twice as long
+ALTER TABLE admin_users
+ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0 AFTER last_login_at,
+ADD COLUMN lockout_count INT NOT NULL DEFAULT 0 AFTER failed_login_attempts,
+ADD COLUMN locked_until DATETIME NULL AFTER lockout_count;
@@ -0,0 +1,17 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add per-account login lockout and known devices to users table
+-- =============================================================================
+
+USE tonris_db;
+
+-- Failed logins in a row lock the account; each lockout before a successful
+-- login lasts twice as long. The unlock token is hashed, like password resets.
+-- Known devices are hashed IP address and User-Agent pairs of recent logins,
+-- used to notify the tenant contact of logins from a new device
+ALTER TABLE users
+ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0 AFTER last_login_at,
+ADD COLUMN lockout_count INT NOT NULL DEFAULT 0 AFTER failed_login_attempts,
+ADD COLUMN locked_until DATETIME NULL AFTER lockout_count,
+ADD COLUMN unlock_token VARCHAR(255) NULL AFTER locked_until,
+ADD COLUMN known_login_devices JSON NULL AFTER unlock_token;
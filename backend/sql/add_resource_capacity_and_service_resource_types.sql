@@ -0,0 +1,20 @@
+-- =============================================================================
+-- Add Resource Capacity and Service Resource Types
+-- Lets a resource hold more than one booking at a time and lets a service name the
+-- resource types (room, chair, equipment) a booking for it takes one of
+-- =============================================================================
+
+USE tonris_db;
+
+-- Bookings a resource can hold at the same time, e.g. 2 for a room with two tables
+ALTER TABLE resources
+ADD COLUMN capacity INT NOT NULL DEFAULT 1 COMMENT 'Bookings the resource can hold at the same time'
+AFTER description;
+
+-- Resource types a booking for the service takes one of each
+ALTER TABLE services
+ADD COLUMN resource_types JSON NOT NULL DEFAULT (JSON_ARRAY()) COMMENT 'Resource types a booking takes one of each, e.g. ["room"]'
+AFTER buffer_after;
+
+-- Note: Existing resources hold one booking at a time and existing services need no
+-- resources, so availability is unchanged until a tenant configures them.
@@ -0,0 +1,37 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add user roles and create team_invites table
+-- =============================================================================
+
+USE tonris_db;
+
+-- Add role column to users table
+ALTER TABLE users
+ADD COLUMN role ENUM('owner', 'manager', 'staff', 'front_desk') NOT NULL DEFAULT 'staff' COMMENT 'What the user may do within their tenant'
+AFTER tenant_id;
+
+-- Every existing account registered its business, so they all become owners
+UPDATE users SET role = 'owner';
+
+-- =============================================================================
+-- Table: team_invites
+-- Emailed invitations to join a tenant's team with a given role. Only the
+-- SHA-256 hash of the invite token is stored
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS team_invites (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role ENUM('owner', 'manager', 'staff', 'front_desk') NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    invited_by CHAR(36) NULL COMMENT 'User who sent the invite',
+    expires_at DATETIME NOT NULL,
+    accepted_at DATETIME NULL,
+    status ENUM('pending', 'accepted', 'revoked') NOT NULL DEFAULT 'pending',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uk_team_invites_token_hash (token_hash),
+    INDEX idx_team_invites_tenant_status (tenant_id, status),
+    CONSTRAINT fk_team_invites_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
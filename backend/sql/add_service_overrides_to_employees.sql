@@ -0,0 +1,14 @@
+-- =============================================================================
+-- Add Service Overrides to Employees
+-- Lets an employee charge their own price, or take their own time, for a service
+-- they perform, e.g. a senior stylist's haircut
+-- =============================================================================
+
+USE tonris_db;
+
+ALTER TABLE employees
+ADD COLUMN service_overrides JSON NOT NULL DEFAULT (JSON_OBJECT()) COMMENT 'Price and duration this employee charges for a service, keyed by service ID: { price, duration }'
+AFTER service_ids;
+
+-- Note: Existing employees have no overrides, so they keep charging each service's
+-- own price and duration until a tenant sets some.
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add approval status to employee_time_off table
+-- =============================================================================
+
+USE tonris_db;
+
+-- Staff requesting their own time off create pending entries that a manager
+-- approves or declines. Only approved entries block availability, and
+-- existing entries were created by managers, so they default to approved
+ALTER TABLE employee_time_off
+ADD COLUMN status ENUM('pending', 'approved', 'declined') NOT NULL DEFAULT 'approved' AFTER reason,
+ADD COLUMN requested_by CHAR(36) NULL AFTER status,
+ADD COLUMN reviewed_by CHAR(36) NULL AFTER requested_by;
@@ -0,0 +1,16 @@
+-- =============================================================================
+-- Add Timezone Column to Tenants Table
+-- Stores each tenant's IANA timezone so schedules, business hours, dashboard
+-- stats and reminders are computed in the tenant's local time
+-- =============================================================================
+
+USE tonris_db;
+
+-- Add timezone column to tenants table
+ALTER TABLE tenants
+ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' COMMENT 'IANA timezone, e.g. America/New_York'
+AFTER business_hours;
+
+-- Note: Existing tenants default to UTC, which matches how times were computed before.
+-- Set each tenant's real timezone, e.g.:
+-- UPDATE tenants SET timezone = 'America/New_York' WHERE slug = 'hair-done-right-salon';
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- Add Type to Appointment Groups
+-- Lets a group hold one customer's services booked back to back (multi_service) as
+-- well as a party served by several employees at the same time (party)
+-- =============================================================================
+
+USE tonris_db;
+
+ALTER TABLE appointment_groups
+ADD COLUMN type ENUM('party', 'multi_service') NOT NULL DEFAULT 'party'
+AFTER tenant_id,
+MODIFY COLUMN end_time DATETIME NOT NULL COMMENT 'End of the longest member appointment, or of the last service in a multi-service booking';
+
+-- Note: Existing groups are all parties, so the default keeps them unchanged.
@@ -0,0 +1,12 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Add unlock token expiry to users table
+-- =============================================================================
+
+USE tonris_db;
+
+-- Emailed unlock links stop working after an hour, like password reset links.
+-- Pending unlock tokens from before this migration have no expiry and are
+-- rejected; the account still unlocks when its lockout ends
+ALTER TABLE users
+ADD COLUMN unlock_token_expires DATETIME NULL AFTER unlock_token;
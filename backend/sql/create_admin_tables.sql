@@ -0,0 +1,45 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create admin_users and admin_audit_logs tables for platform admin accounts
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: admin_users
+-- Platform administrator accounts. Admins don't belong to a tenant; the first
+-- one is created with: node src/scripts/create-admin.js <email> <password>
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS admin_users (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NULL,
+    password VARCHAR(255) NOT NULL,
+    two_factor_secret VARCHAR(255) NULL,
+    two_factor_enabled BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uk_admin_users_email (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =============================================================================
+-- Table: admin_audit_logs
+-- Append-only record of platform admin actions, including failed logins
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    admin_user_id CHAR(36) NULL COMMENT 'Admin who acted; null for failed logins with an unknown email',
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(50) NULL COMMENT 'Kind of record acted on, e.g. tenant or admin_user',
+    target_id VARCHAR(36) NULL,
+    metadata JSON NULL,
+    ip_address VARCHAR(45) NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_admin_audit_logs_admin_created (admin_user_id, createdAt),
+    INDEX idx_admin_audit_logs_target (target_type, target_id),
+    CONSTRAINT fk_admin_audit_logs_admin_user_id FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
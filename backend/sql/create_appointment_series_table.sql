@@ -0,0 +1,45 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create appointment_series table for recurring appointments
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: appointment_series
+-- A recurring booking: the same service with the same employee at the same time
+-- of day, every N weeks or months, until end_date or for occurrence_count visits.
+-- Each occurrence is a row in appointments with series_id set
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    employee_id CHAR(36) NOT NULL,
+    service_id CHAR(36) NOT NULL,
+    customer_id CHAR(36) NULL,
+    customer_name VARCHAR(200) NOT NULL,
+    customer_email VARCHAR(255) NULL,
+    customer_phone VARCHAR(50) NULL,
+    frequency ENUM('weekly', 'monthly') NOT NULL,
+    `interval` INT NOT NULL DEFAULT 1 COMMENT 'Repeat every N weeks or months',
+    occurrence_count INT NULL COMMENT 'Number of occurrences requested, null when the series runs until end_date',
+    end_date DATE NULL COMMENT 'Last calendar date an occurrence may fall on, in the tenant timezone',
+    start_time DATETIME NOT NULL COMMENT 'Start of the first occurrence',
+    add_ons JSON NOT NULL,
+    notes TEXT NULL,
+    status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_appointment_series_tenant_id (tenant_id),
+    INDEX idx_appointment_series_tenant_customer (tenant_id, customer_id),
+    CONSTRAINT fk_appointment_series_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_appointment_series_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Series each appointment is an occurrence of
+ALTER TABLE appointments
+ADD COLUMN series_id CHAR(36) NULL COMMENT 'Recurring series this appointment is an occurrence of'
+AFTER customer_id,
+ADD INDEX idx_appointments_tenant_series (tenant_id, series_id, start_time),
+ADD CONSTRAINT fk_appointments_series_id FOREIGN KEY (series_id) REFERENCES appointment_series(id) ON DELETE SET NULL ON UPDATE CASCADE;
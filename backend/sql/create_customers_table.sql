@@ -0,0 +1,127 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create customers table and link existing appointments to it
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: customers
+-- One record per person a tenant has booked. Customers are deduplicated by
+-- phone number in E.164 format (normalized_phone) and lowercased email
+-- (normalized_email); new bookings are linked to the matching record
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS customers (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    name VARCHAR(200) NULL,
+    email VARCHAR(255) NULL,
+    phone VARCHAR(50) NULL,
+    normalized_phone VARCHAR(20) NULL COMMENT 'Phone number in E.164 format, used to match bookings to the customer',
+    normalized_email VARCHAR(255) NULL COMMENT 'Lowercased email, used to match bookings to the customer',
+    notes TEXT NULL,
+    preferences JSON NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uk_customers_tenant_phone (tenant_id, normalized_phone),
+    INDEX idx_customers_tenant_email (tenant_id, normalized_email),
+    INDEX idx_customers_tenant_name (tenant_id, name),
+    CONSTRAINT fk_customers_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Customer each appointment was booked for
+ALTER TABLE appointments
+ADD COLUMN customer_id CHAR(36) NULL COMMENT 'Customer record matched from the contact details when booking'
+AFTER service_id,
+ADD INDEX idx_appointments_tenant_customer (tenant_id, customer_id),
+ADD CONSTRAINT fk_appointments_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- =============================================================================
+-- Backfill customers from existing appointments
+-- Phone numbers are normalized the same way as utils/phone.js: digits only,
+-- 10-digit numbers get +1, anything else gets a leading +
+-- =============================================================================
+DROP TABLE IF EXISTS customer_backfill;
+
+CREATE TABLE customer_backfill AS
+SELECT
+    id,
+    tenant_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    start_time,
+    NULLIF(LOWER(TRIM(customer_email)), '') AS normalized_email,
+    CASE
+        WHEN REGEXP_REPLACE(COALESCE(customer_phone, ''), '[^0-9]', '') = '' THEN NULL
+        WHEN CHAR_LENGTH(REGEXP_REPLACE(customer_phone, '[^0-9]', '')) = 10
+            THEN CONCAT('+1', REGEXP_REPLACE(customer_phone, '[^0-9]', ''))
+        ELSE CONCAT('+', REGEXP_REPLACE(customer_phone, '[^0-9]', ''))
+    END AS normalized_phone
+FROM appointments;
+
+-- One customer per phone number, with the name from their latest booking
+INSERT INTO customers (id, tenant_id, name, email, phone, normalized_phone, normalized_email)
+SELECT UUID(), tenant_id, customer_name, NULLIF(TRIM(customer_email), ''), customer_phone, normalized_phone, normalized_email
+FROM (
+    SELECT
+        customer_backfill.*,
+        ROW_NUMBER() OVER (PARTITION BY tenant_id, normalized_phone ORDER BY start_time DESC) AS booking_rank
+    FROM customer_backfill
+    WHERE normalized_phone IS NOT NULL
+) latest
+WHERE booking_rank = 1;
+
+-- Fill in an email from the number's other bookings if the latest had none
+UPDATE customers
+JOIN (
+    SELECT tenant_id, normalized_phone, MIN(normalized_email) AS normalized_email
+    FROM customer_backfill
+    WHERE normalized_phone IS NOT NULL AND normalized_email IS NOT NULL
+    GROUP BY tenant_id, normalized_phone
+) emails
+    ON emails.tenant_id = customers.tenant_id
+    AND emails.normalized_phone = customers.normalized_phone
+SET customers.email = emails.normalized_email,
+    customers.normalized_email = emails.normalized_email
+WHERE customers.normalized_email IS NULL;
+
+-- Bookings with only an email join a customer with that email, or get their own
+INSERT INTO customers (id, tenant_id, name, email, phone, normalized_phone, normalized_email)
+SELECT UUID(), tenant_id, customer_name, TRIM(customer_email), NULL, NULL, normalized_email
+FROM (
+    SELECT
+        customer_backfill.*,
+        ROW_NUMBER() OVER (PARTITION BY tenant_id, normalized_email ORDER BY start_time DESC) AS booking_rank
+    FROM customer_backfill
+    WHERE normalized_phone IS NULL AND normalized_email IS NOT NULL
+) latest
+WHERE booking_rank = 1
+AND NOT EXISTS (
+    SELECT 1 FROM customers
+    WHERE customers.tenant_id = latest.tenant_id
+    AND customers.normalized_email = latest.normalized_email
+);
+
+-- Link appointments by phone number first, then by email
+UPDATE appointments
+JOIN customer_backfill ON customer_backfill.id = appointments.id
+JOIN customers
+    ON customers.tenant_id = customer_backfill.tenant_id
+    AND customers.normalized_phone = customer_backfill.normalized_phone
+SET appointments.customer_id = customers.id;
+
+UPDATE appointments
+JOIN customer_backfill ON customer_backfill.id = appointments.id
+JOIN customers
+    ON customers.tenant_id = customer_backfill.tenant_id
+    AND customers.normalized_email = customer_backfill.normalized_email
+SET appointments.customer_id = customers.id
+WHERE appointments.customer_id IS NULL
+AND customer_backfill.normalized_phone IS NULL;
+
+DROP TABLE customer_backfill;
+
+-- Note: Appointments without a phone number or email stay unlinked. If several
+-- customers share an email, email-only bookings are linked to one of them.
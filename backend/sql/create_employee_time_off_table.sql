@@ -0,0 +1,30 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create employee_time_off table
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: employee_time_off
+-- Date-specific exceptions to an employee's weekly schedule:
+-- full days off, blocked time and extra working hours
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS employee_time_off (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    employee_id CHAR(36) NOT NULL,
+    type ENUM('day_off', 'blocked', 'extra_hours') NOT NULL DEFAULT 'day_off',
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL COMMENT 'Last date covered (inclusive)',
+    start_time VARCHAR(5) NULL COMMENT 'HH:MM, required for blocked and extra_hours',
+    end_time VARCHAR(5) NULL COMMENT 'HH:MM, required for blocked and extra_hours',
+    reason VARCHAR(255) NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_employee_time_off_tenant_id (tenant_id),
+    INDEX idx_employee_time_off_employee_dates (employee_id, start_date, end_date),
+    CONSTRAINT fk_employee_time_off_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_employee_time_off_employee_id FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
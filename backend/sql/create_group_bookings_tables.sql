@@ -0,0 +1,83 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create resources, appointment_groups and resource_bookings tables for group bookings
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: resources
+-- Rooms, chairs and equipment a tenant books alongside its employees
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS resources (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    type ENUM('room', 'chair', 'equipment') NOT NULL DEFAULT 'room',
+    description TEXT NULL,
+    capacity INT NOT NULL DEFAULT 1 COMMENT 'Bookings the resource can hold at the same time',
+    status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_resources_tenant_type (tenant_id, type),
+    CONSTRAINT fk_resources_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =============================================================================
+-- Table: appointment_groups
+-- Appointments booked together: several employees serving one party at the same
+-- time, or one customer's services back to back (type multi_service).
+-- Each member is a row in appointments with group_id set
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS appointment_groups (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    type ENUM('party', 'multi_service') NOT NULL DEFAULT 'party',
+    name VARCHAR(200) NULL COMMENT 'Optional label for the party, e.g. "Smith wedding"',
+    customer_id CHAR(36) NULL,
+    customer_name VARCHAR(200) NOT NULL,
+    customer_email VARCHAR(255) NULL,
+    customer_phone VARCHAR(50) NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL COMMENT 'End of the longest member appointment, or of the last service in a multi-service booking',
+    notes TEXT NULL,
+    status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_appointment_groups_tenant_start (tenant_id, start_time),
+    INDEX idx_appointment_groups_tenant_customer (tenant_id, customer_id),
+    CONSTRAINT fk_appointment_groups_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_appointment_groups_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =============================================================================
+-- Table: resource_bookings
+-- A resource reserved for a group booking, from the group's start until its
+-- longest member appointment ends. Released when the group is cancelled
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS resource_bookings (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    resource_id CHAR(36) NOT NULL,
+    group_id CHAR(36) NOT NULL COMMENT 'Group booking the resource is reserved for',
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    status ENUM('active', 'released') NOT NULL DEFAULT 'active',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_resource_bookings_tenant_resource_start (tenant_id, resource_id, start_time),
+    INDEX idx_resource_bookings_group_id (group_id),
+    CONSTRAINT fk_resource_bookings_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_resource_bookings_resource_id FOREIGN KEY (resource_id) REFERENCES resources(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_resource_bookings_group_id FOREIGN KEY (group_id) REFERENCES appointment_groups(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Group booking each appointment is a member of
+ALTER TABLE appointments
+ADD COLUMN group_id CHAR(36) NULL COMMENT 'Group booking this appointment is a member of'
+AFTER series_id,
+ADD INDEX idx_appointments_tenant_group (tenant_id, group_id),
+ADD CONSTRAINT fk_appointments_group_id FOREIGN KEY (group_id) REFERENCES appointment_groups(id) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create slot_holds table
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: slot_holds
+-- Short-lived reservations that keep a slot out of availability while a
+-- booking is being confirmed (e.g. while the voice agent takes the caller's
+-- details). Rows past expires_at no longer block anything and are cleared
+-- out when new holds are placed
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS slot_holds (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    employee_id CHAR(36) NOT NULL,
+    service_id CHAR(36) NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    buffer_before INT NOT NULL DEFAULT 0 COMMENT 'Preparation minutes held before the slot',
+    buffer_after INT NOT NULL DEFAULT 0 COMMENT 'Cleanup minutes held after the slot',
+    add_ons JSON NULL,
+    reference VARCHAR(255) NULL COMMENT 'Who placed the hold, e.g. a voice conversation ID',
+    expires_at DATETIME NOT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_slot_holds_tenant_employee_time (tenant_id, employee_id, start_time, end_time),
+    INDEX idx_slot_holds_expires_at (expires_at),
+    CONSTRAINT fk_slot_holds_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_slot_holds_employee_id FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
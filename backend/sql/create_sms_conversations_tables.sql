@@ -0,0 +1,52 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create sms_conversations and sms_messages tables
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: sms_conversations
+-- One SMS thread per tenant and customer phone number
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS sms_conversations (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    customer_phone VARCHAR(20) NOT NULL COMMENT 'Normalized phone number (E.164)',
+    customer_name VARCHAR(200) NULL,
+    last_message_at DATETIME NULL,
+    last_message_preview VARCHAR(255) NULL,
+    last_message_direction ENUM('inbound', 'outbound') NULL,
+    unread_count INT NOT NULL DEFAULT 0,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uk_sms_conversations_tenant_phone (tenant_id, customer_phone),
+    INDEX idx_sms_conversations_tenant_last_message (tenant_id, last_message_at),
+    CONSTRAINT fk_sms_conversations_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =============================================================================
+-- Table: sms_messages
+-- Individual inbound and outbound texts within a conversation
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    conversation_id CHAR(36) NOT NULL,
+    direction ENUM('inbound', 'outbound') NOT NULL,
+    body TEXT NOT NULL,
+    from_number VARCHAR(20) NULL,
+    to_number VARCHAR(20) NULL,
+    twilio_message_sid VARCHAR(64) NULL,
+    status VARCHAR(20) NULL COMMENT 'Twilio message status (received, queued, sent, ...)',
+    message_type VARCHAR(50) NULL COMMENT 'e.g. custom, appointment_reminder, auto_reply, inbox_reply',
+    sent_by CHAR(36) NULL COMMENT 'User who sent the message from the inbox',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_sms_messages_tenant_conversation_created (tenant_id, conversation_id, createdAt),
+    INDEX idx_sms_messages_twilio_message_sid (twilio_message_sid),
+    CONSTRAINT fk_sms_messages_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_sms_messages_conversation_id FOREIGN KEY (conversation_id) REFERENCES sms_conversations(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,25 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create sms_opt_outs table
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: sms_opt_outs
+-- Per-tenant ledger of phone numbers that replied STOP/START
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL COMMENT 'Normalized phone number (E.164)',
+    opted_out TINYINT(1) NOT NULL DEFAULT 1,
+    keyword VARCHAR(20) NULL COMMENT 'Last keyword received from the customer',
+    opted_out_at DATETIME NULL,
+    opted_in_at DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    UNIQUE KEY uk_sms_opt_outs_tenant_phone (tenant_id, phone_number),
+    CONSTRAINT fk_sms_opt_outs_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -16,11 +16,19 @@ CREATE TABLE IF NOT EXISTS users (
     email VARCHAR(255) NOT NULL,
     password VARCHAR(255) NOT NULL,
     tenant_id CHAR(36) NOT NULL,
+    role ENUM('owner', 'manager', 'staff', 'front_desk') NOT NULL DEFAULT 'staff',
+    employee_id CHAR(36) NULL,
     two_factor_secret VARCHAR(255) NULL,
     two_factor_enabled TINYINT(1) DEFAULT 0,
     password_reset_token VARCHAR(255) NULL,
     password_reset_expires DATETIME NULL,
     is_active TINYINT(1) DEFAULT 1,
+    last_login_at DATETIME NULL,
+    failed_login_attempts INT NOT NULL DEFAULT 0,
+    lockout_count INT NOT NULL DEFAULT 0,
+    locked_until DATETIME NULL,
+    unlock_token VARCHAR(255) NULL,
+    known_login_devices JSON NULL,
     createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (id),
@@ -39,6 +47,7 @@ CREATE TABLE IF NOT EXISTS tenants (
     status ENUM('pending', 'active', 'suspended', 'cancelled') NOT NULL DEFAULT 'pending',
     plan_type ENUM('free', 'basic', 'professional', 'enterprise') NOT NULL DEFAULT 'free',
     business_hours JSON NOT NULL DEFAULT (JSON_OBJECT()),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
     contact_email VARCHAR(255) NOT NULL,
     contact_phone VARCHAR(50) NULL,
     address JSON NULL,
@@ -69,6 +78,7 @@ CREATE TABLE IF NOT EXISTS employees (
     hire_date DATE NULL,
     schedule JSON NOT NULL DEFAULT (JSON_OBJECT()),
     service_ids JSON NOT NULL DEFAULT (JSON_ARRAY()),
+    service_overrides JSON NOT NULL DEFAULT (JSON_OBJECT()),
     metadata JSON NULL,
     createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -89,6 +99,9 @@ CREATE TABLE IF NOT EXISTS services (
     description TEXT NULL,
     category ENUM('hair', 'nails', 'skin', 'makeup', 'massage', 'other') NOT NULL DEFAULT 'other',
     duration INT NOT NULL DEFAULT 60 COMMENT 'Duration in minutes',
+    buffer_before INT NOT NULL DEFAULT 0 COMMENT 'Preparation minutes blocked before the appointment',
+    buffer_after INT NOT NULL DEFAULT 0 COMMENT 'Cleanup or processing minutes blocked after the appointment',
+    resource_types JSON NOT NULL DEFAULT (JSON_ARRAY()) COMMENT 'Resource types a booking takes one of each, e.g. ["room"]',
     price DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
     status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
     add_ons JSON NOT NULL DEFAULT (JSON_ARRAY()),
@@ -110,6 +123,9 @@ CREATE TABLE IF NOT EXISTS appointments (
     tenant_id CHAR(36) NOT NULL,
     employee_id CHAR(36) NOT NULL,
     service_id CHAR(36) NOT NULL,
+    customer_id CHAR(36) NULL COMMENT 'Customer record matched from the contact details when booking',
+    series_id CHAR(36) NULL COMMENT 'Recurring series this appointment is an occurrence of',
+    group_id CHAR(36) NULL COMMENT 'Group booking this appointment is a member of',
     customer_name VARCHAR(200) NOT NULL,
     customer_email VARCHAR(255) NOT NULL,
     customer_phone VARCHAR(50) NULL,
@@ -120,6 +136,8 @@ CREATE TABLE IF NOT EXISTS appointments (
     notes TEXT NULL,
     total_price DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
     total_duration INT NOT NULL DEFAULT 0 COMMENT 'Total duration in minutes including add-ons',
+    buffer_before INT NOT NULL DEFAULT 0 COMMENT 'Minutes blocked before start_time for preparation, not shown to the customer',
+    buffer_after INT NOT NULL DEFAULT 0 COMMENT 'Minutes blocked after end_time for cleanup or processing, not shown to the customer',
     cancellation_reason ENUM('customer_request', 'employee_unavailable', 'reschedule', 'no_show', 'other') NULL,
     cancellation_notes TEXT NULL,
     cancelled_at DATETIME NULL,
@@ -132,6 +150,9 @@ CREATE TABLE IF NOT EXISTS appointments (
     INDEX idx_appointments_tenant_time (tenant_id, start_time, end_time),
     INDEX idx_appointments_tenant_status (tenant_id, status),
     INDEX idx_appointments_tenant_customer_email (tenant_id, customer_email),
+    INDEX idx_appointments_tenant_customer (tenant_id, customer_id),
+    INDEX idx_appointments_tenant_series (tenant_id, series_id, start_time),
+    INDEX idx_appointments_tenant_group (tenant_id, group_id),
     CONSTRAINT fk_appointments_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -0,0 +1,28 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create tenant_closures table
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: tenant_closures
+-- Holidays and closures that override a tenant's weekly business hours:
+-- single dates, date ranges and recurring yearly holidays, optionally with
+-- special opening hours instead of a full-day closure
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS tenant_closures (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    name VARCHAR(100) NOT NULL COMMENT 'Announced to customers, e.g. "Christmas Day"',
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL COMMENT 'Last date covered (inclusive)',
+    recurring BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Repeats every year on the same month and day',
+    open_time VARCHAR(5) NULL COMMENT 'HH:MM special opening time, null when closed all day',
+    close_time VARCHAR(5) NULL COMMENT 'HH:MM special closing time, null when closed all day',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_tenant_closures_tenant_dates (tenant_id, start_date, end_date),
+    CONSTRAINT fk_tenant_closures_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,60 @@
+-- =============================================================================
+-- TONRIS Database Migration
+-- Create waitlist_entries and waitlist_offers tables
+-- =============================================================================
+
+USE tonris_db;
+
+-- =============================================================================
+-- Table: waitlist_entries
+-- Customers waiting for an opening for a service, optionally with a preferred
+-- employee and preferred date/time windows
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    customer_id CHAR(36) NULL,
+    service_id CHAR(36) NOT NULL,
+    employee_id CHAR(36) NULL COMMENT 'Preferred employee, null for anyone who performs the service',
+    customer_name VARCHAR(200) NOT NULL,
+    customer_phone VARCHAR(50) NOT NULL COMMENT 'Offers are sent to this number by SMS',
+    customer_email VARCHAR(255) NULL,
+    windows JSON NOT NULL COMMENT 'Array of { date, earliestTime, latestTime } in the tenant timezone; empty for any time',
+    notes TEXT NULL,
+    status ENUM('waiting', 'booked', 'cancelled') NOT NULL DEFAULT 'waiting',
+    appointment_id CHAR(36) NULL COMMENT 'Appointment booked from an offer',
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_waitlist_entries_tenant_status (tenant_id, status, createdAt),
+    INDEX idx_waitlist_entries_tenant_customer (tenant_id, customer_id),
+    CONSTRAINT fk_waitlist_entries_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_waitlist_entries_customer_id FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =============================================================================
+-- Table: waitlist_offers
+-- A freed slot texted to a waitlisted customer. The first YES reply books it;
+-- the other offers for the same slot are then marked taken
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id CHAR(36) NOT NULL DEFAULT (UUID()),
+    tenant_id CHAR(36) NOT NULL,
+    waitlist_entry_id CHAR(36) NOT NULL,
+    employee_id CHAR(36) NOT NULL,
+    service_id CHAR(36) NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    normalized_phone VARCHAR(20) NOT NULL COMMENT 'Number the offer was texted to in E.164 format, used to match the reply',
+    status ENUM('pending', 'accepted', 'declined', 'taken', 'expired') NOT NULL DEFAULT 'pending',
+    expires_at DATETIME NOT NULL,
+    appointment_id CHAR(36) NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (id),
+    INDEX idx_waitlist_offers_tenant_phone (tenant_id, normalized_phone, expires_at),
+    INDEX idx_waitlist_offers_tenant_slot (tenant_id, employee_id, start_time),
+    INDEX idx_waitlist_offers_entry (waitlist_entry_id),
+    CONSTRAINT fk_waitlist_offers_tenant_id FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT fk_waitlist_offers_entry_id FOREIGN KEY (waitlist_entry_id) REFERENCES waitlist_entries(id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -16,10 +16,11 @@ const logger = require('./utils/logger');
 // Initialize models and associations early
 require('./models');
 
-const { healthRoutes, meRoutes, authRoutes, tenantRoutes, employeeRoutes, serviceRoutes, appointmentRoutes, availabilityRoutes, billingRoutes, telephonyRoutes, aiRoutes, businessTypesRoutes, adminRoutes } = require('./routes');
+const { healthRoutes, meRoutes, authRoutes, tenantRoutes, employeeRoutes, serviceRoutes, appointmentRoutes, availabilityRoutes, customerRoutes, waitlistRoutes, resourceRoutes, teamRoutes, billingRoutes, telephonyRoutes, aiRoutes, businessTypesRoutes, adminRoutes } = require('./routes');
 const { billingController } = require('./modules/billing');
 const { telephonyController } = require('./modules/telephony');
 const { aiController, handleMediaStreamConnection } = require('./modules/ai-assistant');
+const { reminderService } = require('./modules/appointments');
 const {
   tenantMiddleware,
   notFoundHandler,
@@ -161,6 +162,10 @@ app.use('/api/employees', employeeRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/availability', availabilityRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/team', teamRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/telephony', telephonyRoutes);
 app.use('/api/ai', aiRoutes);
@@ -226,9 +231,13 @@ const startServer = () => {
     logger.info(`WebSocket media stream: ws://localhost:${env.PORT}/media-stream`);
   });
 
+  // Start background SMS appointment reminders
+  reminderService.startReminderScheduler();
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.info('SIGTERM signal received: closing HTTP server');
+    reminderService.stopReminderScheduler();
     wss.close(() => {
       logger.info('WebSocket server closed');
     });
@@ -240,6 +249,7 @@ const startServer = () => {
 
   process.on('SIGINT', () => {
     logger.info('SIGINT signal received: closing HTTP server');
+    reminderService.stopReminderScheduler();
     wss.close(() => {
       logger.info('WebSocket server closed');
     });
@@ -56,7 +56,8 @@ const env = {
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4',
   
   // Admin Configuration
-  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || '',
+  ADMIN_JWT_EXPIRES_IN: process.env.ADMIN_JWT_EXPIRES_IN || '8h',
+  ADMIN_IMPERSONATION_EXPIRES_IN: process.env.ADMIN_IMPERSONATION_EXPIRES_IN || '30m',
   
   // Validation helper
   isProduction: () => env.NODE_ENV === 'production',
@@ -11,6 +11,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/db');
 const bcrypt = require('bcrypt');
+const { USER_ROLES } = require('../modules/auth/permissions');
 
 /**
  * Check if a string is already a bcrypt hash
@@ -56,6 +57,22 @@ const User = sequelize.define('User', {
       key: 'id',
     },
   },
+  role: {
+    type: DataTypes.ENUM(...Object.values(USER_ROLES)),
+    defaultValue: USER_ROLES.STAFF,
+    allowNull: false,
+    comment: 'What the user may do within their tenant, see modules/auth/permissions',
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id',
+    },
+    comment: 'Employee this user works as; staff linked to one only see their own calendar',
+  },
   twoFactorSecret: {
     type: DataTypes.STRING(255),
     allowNull: true,
@@ -81,6 +98,44 @@ const User = sequelize.define('User', {
     defaultValue: true,
     field: 'is_active',
   },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_login_at',
+  },
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'failed_login_attempts',
+    comment: 'Failed logins in a row, see modules/auth/loginProtection.service',
+  },
+  lockoutCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'lockout_count',
+    comment: 'Lockouts since the last successful login; each one lasts twice as long',
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_until',
+  },
+  unlockToken: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'unlock_token',
+  },
+  unlockTokenExpires: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'unlock_token_expires',
+  },
+  knownLoginDevices: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'known_login_devices',
+    comment: 'Hashed IP address and User-Agent of recent logins, most recent first',
+  },
   smsOptIn: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -126,6 +181,9 @@ User.prototype.toSafeObject = function() {
   delete userJson.twoFactorSecret;
   delete userJson.passwordResetToken;
   delete userJson.passwordResetExpires;
+  delete userJson.unlockToken;
+  delete userJson.unlockTokenExpires;
+  delete userJson.knownLoginDevices;
   return userJson;
 };
 
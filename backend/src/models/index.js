@@ -4,19 +4,33 @@
  */
 const User = require('./User');
 const { Tenant, TENANT_STATUS, PLAN_TYPES, VALID_TRANSITIONS } = require('../modules/tenants/tenant.model');
+const { TenantClosure } = require('../modules/tenants/tenantClosure.model');
 const { Employee, EMPLOYEE_STATUS, EMPLOYEE_TYPES } = require('../modules/employees/employee.model');
+const { EmployeeTimeOff, TIME_OFF_TYPES } = require('../modules/employees/employeeTimeOff.model');
 const { Service, SERVICE_STATUS, SERVICE_CATEGORIES } = require('../modules/services/service.model');
 const { Appointment, APPOINTMENT_STATUS, CANCELLATION_REASONS } = require('../modules/appointments/appointment.model');
+const { SlotHold } = require('../modules/appointments/slotHold.model');
+const { AppointmentSeries, SERIES_FREQUENCY, SERIES_STATUS } = require('../modules/appointments/appointmentSeries.model');
+const { AppointmentGroup, GROUP_STATUS, GROUP_TYPES } = require('../modules/appointments/appointmentGroup.model');
+const { Customer } = require('../modules/customers/customer.model');
+const { WaitlistEntry, WaitlistOffer, WAITLIST_STATUS, OFFER_STATUS } = require('../modules/waitlist/waitlist.model');
+const { Resource, RESOURCE_TYPES, RESOURCE_STATUS } = require('../modules/resources/resource.model');
+const { ResourceBooking, RESOURCE_BOOKING_STATUS } = require('../modules/resources/resourceBooking.model');
 const { Subscription, SUBSCRIPTION_STATUS, BILLING_INTERVAL, PLAN_CONFIG } = require('../modules/billing/subscription.model');
 const { CallLog, CALL_DIRECTION, CALL_STATUS } = require('../modules/telephony/callLog.model');
+const { SmsOptOut } = require('../modules/telephony/smsOptOut.model');
+const { SmsConversation, SmsMessage, MESSAGE_DIRECTION } = require('../modules/telephony/smsConversation.model');
 const { BusinessType } = require('../modules/business-types/businessType.model');
+const { TeamInvite, INVITE_STATUS } = require('../modules/team/teamInvite.model');
+const { AdminUser } = require('../modules/admin/adminUser.model');
+const { AdminAuditLog, ADMIN_ACTIONS } = require('../modules/admin/adminAuditLog.model');
 
 /**
  * Define model associations
  * Call setupAssociations if it exists on the model
  */
 if (typeof Appointment.setupAssociations === 'function' && Employee && Service) {
-  Appointment.setupAssociations({ Employee, Service });
+  Appointment.setupAssociations({ Employee, Service, Customer, AppointmentSeries, AppointmentGroup });
 }
 
 module.exports = {
@@ -25,15 +39,35 @@ module.exports = {
   TENANT_STATUS,
   PLAN_TYPES,
   VALID_TRANSITIONS,
+  TenantClosure,
   Employee,
   EMPLOYEE_STATUS,
   EMPLOYEE_TYPES,
+  EmployeeTimeOff,
+  TIME_OFF_TYPES,
   Service,
   SERVICE_STATUS,
   SERVICE_CATEGORIES,
   Appointment,
   APPOINTMENT_STATUS,
   CANCELLATION_REASONS,
+  SlotHold,
+  AppointmentSeries,
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  AppointmentGroup,
+  GROUP_STATUS,
+  GROUP_TYPES,
+  Customer,
+  WaitlistEntry,
+  WaitlistOffer,
+  WAITLIST_STATUS,
+  OFFER_STATUS,
+  Resource,
+  RESOURCE_TYPES,
+  RESOURCE_STATUS,
+  ResourceBooking,
+  RESOURCE_BOOKING_STATUS,
   Subscription,
   SUBSCRIPTION_STATUS,
   BILLING_INTERVAL,
@@ -41,5 +75,14 @@ module.exports = {
   CallLog,
   CALL_DIRECTION,
   CALL_STATUS,
+  SmsOptOut,
+  SmsConversation,
+  SmsMessage,
+  MESSAGE_DIRECTION,
   BusinessType,
+  TeamInvite,
+  INVITE_STATUS,
+  AdminUser,
+  AdminAuditLog,
+  ADMIN_ACTIONS,
 };
@@ -3,8 +3,193 @@
  * Handles admin-related HTTP requests
  */
 const adminService = require('./admin.service');
+const adminAuthService = require('./adminAuth.service');
+const { recordAdminAction, getAuditLogs } = require('./adminAudit.service');
+const { ADMIN_ACTIONS } = require('./adminAuditLog.model');
+const { MIN_ADMIN_PASSWORD_LENGTH } = require('./adminUser.model');
+const { EMAIL_REGEX, UUID_REGEX } = require('../../utils/validation');
 const logger = require('../../utils/logger');
 
+/**
+ * Get who is acting, for the audit log
+ * @param {Object} req - Express request object
+ * @returns {Object} - Acting admin ID and IP address
+ */
+const getAuditContext = (req) => ({
+  adminUserId: req.admin.adminId,
+  ipAddress: req.ip,
+});
+
+/**
+ * POST /api/admin/auth/login
+ * Log in a platform admin
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password, twoFactorCode } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const result = await adminAuthService.login({ email, password, twoFactorCode }, req.ip);
+
+    // First login: enroll in 2FA before a token is issued
+    if (result.requiresTwoFactorSetup) {
+      return res.status(200).json({
+        success: true,
+        requiresTwoFactorSetup: true,
+        message: result.message,
+        data: {
+          otpauthUri: result.otpauthUri,
+          qrCode: result.qrCode,
+        },
+      });
+    }
+
+    // Check if 2FA is required
+    if (result.requiresTwoFactor) {
+      return res.status(200).json({
+        success: true,
+        requiresTwoFactor: true,
+        message: result.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/admin/auth/me
+ * Get the logged-in admin
+ */
+const getMe = async (req, res, next) => {
+  try {
+    const admin = await adminAuthService.getAdmin(req.admin.adminId);
+
+    res.status(200).json({
+      success: true,
+      data: { admin },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/admin/admins
+ * Get all platform admins
+ */
+const getAdmins = async (req, res, next) => {
+  try {
+    const admins = await adminAuthService.getAdmins();
+
+    res.status(200).json({
+      success: true,
+      data: { admins },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/admins
+ * Create a platform admin account
+ */
+const createAdmin = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Admin passwords must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters long`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const admin = await adminAuthService.createAdmin({ email, password, name }, getAuditContext(req));
+
+    res.status(201).json({
+      success: true,
+      data: { admin },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/admin/admins/:id
+ * Deactivate a platform admin
+ */
+const deactivateAdmin = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const result = await adminAuthService.deactivateAdmin(req.params.id, getAuditContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/admin/audit-log
+ * Get admin audit log entries
+ */
+const getAuditLog = async (req, res, next) => {
+  try {
+    const { adminUserId, action, targetType, targetId, limit, offset } = req.query;
+
+    const result = await getAuditLogs({ adminUserId, action, targetType, targetId, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all clients (tenants)
  * GET /api/admin/clients
@@ -13,6 +198,8 @@ const getClients = async (req, res, next) => {
   try {
     const clients = await adminService.getAllClients();
 
+    await recordAdminAction({ action: ADMIN_ACTIONS.CLIENTS_VIEWED, ...getAuditContext(req) });
+
     res.status(200).json({
       success: true,
       data: {
@@ -26,6 +213,119 @@ const getClients = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/admin/clients/:id
+ * Get one client's subscription, phone number, activity and last login
+ */
+const getClient = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid client ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const client = await adminService.getClientDetails(req.params.id, getAuditContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: { client },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/clients/:id/suspend
+ * Suspend a client
+ */
+const suspendClient = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid client ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const { reason } = req.body || {};
+    const client = await adminService.suspendClient(req.params.id, reason, getAuditContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: { client },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/clients/:id/reactivate
+ * Reactivate a suspended client
+ */
+const reactivateClient = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid client ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const { reason } = req.body || {};
+    const client = await adminService.reactivateClient(req.params.id, reason, getAuditContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: { client },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/clients/:id/impersonate
+ * Get a short-lived, read-only token to view a client as its owner
+ */
+const impersonateClient = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid client ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const { reason } = req.body || {};
+    const result = await adminService.impersonateClient(req.params.id, reason, getAuditContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
+  login,
+  getMe,
+  getAdmins,
+  createAdmin,
+  deactivateAdmin,
+  getAuditLog,
   getClients,
+  getClient,
+  suspendClient,
+  reactivateClient,
+  impersonateClient,
 };
@@ -1,62 +1,48 @@
 /**
  * Admin Authentication Middleware
- * Password-based authentication for admin routes
+ * Token-based authentication for platform admin routes
  */
-const crypto = require('crypto');
+const { verifyAdminToken } = require('../auth/jwt.utils');
+const { AdminUser } = require('./adminUser.model');
 const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
-const env = require('../../config/env');
 
 /**
- * Compare two strings in constant time to prevent timing attacks
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {boolean} - True if strings match
+ * Middleware to verify an admin token and attach the admin to the request
+ * The admin is looked up on every request so deactivation takes effect immediately,
+ * and admins who haven't enrolled in 2FA are turned away
  */
-const timingSafeCompare = (a, b) => {
-  if (!a || !b) return false;
-  
-  // Convert strings to buffers for constant-time comparison
-  const bufferA = Buffer.from(a, 'utf8');
-  const bufferB = Buffer.from(b, 'utf8');
-  
-  // If lengths differ, still perform comparison to avoid timing leak
-  if (bufferA.length !== bufferB.length) {
-    // Compare against a dummy buffer of the same length as bufferB
-    crypto.timingSafeEqual(bufferB, bufferB);
-    return false;
-  }
-  
-  return crypto.timingSafeEqual(bufferA, bufferB);
-};
-
-/**
- * Middleware to verify admin password
- * Checks for password in X-Admin-Password header
- */
-const adminAuthMiddleware = (req, res, next) => {
+const adminAuthMiddleware = async (req, res, next) => {
   try {
-    // Get password from header
-    const providedPassword = req.headers['x-admin-password'];
-    
-    if (!providedPassword) {
-      throw new AppError('Admin password required', 401, 'UNAUTHORIZED');
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw new AppError('Admin token required', 401, 'UNAUTHORIZED');
     }
 
-    // Check if admin password is configured
-    if (!env.ADMIN_PASSWORD) {
-      logger.error('ADMIN_PASSWORD environment variable is not set');
-      throw new AppError('Admin access not configured', 500, 'ADMIN_NOT_CONFIGURED');
+    const decoded = verifyAdminToken(authHeader.substring(7));
+
+    if (!decoded) {
+      throw new AppError('Invalid or expired admin token', 401, 'INVALID_TOKEN');
     }
 
-    // Verify password using constant-time comparison to prevent timing attacks
-    if (!timingSafeCompare(providedPassword, env.ADMIN_PASSWORD)) {
-      logger.warn('Failed admin authentication attempt');
-      throw new AppError('Invalid admin password', 401, 'INVALID_PASSWORD');
+    const admin = await AdminUser.findByPk(decoded.adminId);
+
+    if (!admin || !admin.isActive) {
+      logger.warn(`Admin token used for missing or deactivated admin: ${decoded.adminId}`);
+      throw new AppError('Admin account is not active', 401, 'ADMIN_INACTIVE');
     }
 
-    // Password is valid
-    logger.info('Admin authenticated successfully');
+    if (!admin.twoFactorEnabled) {
+      logger.warn(`Admin token used before enrolling in 2FA: ${decoded.adminId}`);
+      throw new AppError('Two-factor authentication must be set up before using the admin console', 401, 'TWO_FACTOR_REQUIRED');
+    }
+
+    req.admin = {
+      adminId: admin.id,
+      email: admin.email,
+    };
+
     next();
   } catch (error) {
     if (error instanceof AppError) {
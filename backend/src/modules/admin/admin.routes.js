@@ -26,11 +26,59 @@ const adminLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Strict rate limit for admin login attempts (prevent brute force)
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per window
+  skip: () => env.isTest(),
+  message: {
+    success: false,
+    error: 'Too many authentication attempts, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
- * Admin routes - all require admin password authentication
+ * Public routes - no authentication required
  */
 
+// POST /api/admin/auth/login - Log in a platform admin, enrolling them in 2FA on their first login
+router.post('/auth/login', adminLoginLimiter, adminController.login);
+
+/**
+ * Admin routes - all require an admin token
+ */
+
+// GET /api/admin/auth/me - Get the logged-in admin
+router.get('/auth/me', adminLimiter, adminAuthMiddleware, adminController.getMe);
+
+// GET /api/admin/admins - Get all platform admins
+router.get('/admins', adminLimiter, adminAuthMiddleware, adminController.getAdmins);
+
+// POST /api/admin/admins - Create a platform admin
+router.post('/admins', adminLimiter, adminAuthMiddleware, adminController.createAdmin);
+
+// DELETE /api/admin/admins/:id - Deactivate a platform admin
+router.delete('/admins/:id', adminLimiter, adminAuthMiddleware, adminController.deactivateAdmin);
+
+// GET /api/admin/audit-log - Get admin audit log entries
+router.get('/audit-log', adminLimiter, adminAuthMiddleware, adminController.getAuditLog);
+
 // GET /api/admin/clients - Get all clients (tenants)
 router.get('/clients', adminLimiter, adminAuthMiddleware, adminController.getClients);
 
+// GET /api/admin/clients/:id - Get a client's details
+router.get('/clients/:id', adminLimiter, adminAuthMiddleware, adminController.getClient);
+
+// POST /api/admin/clients/:id/suspend - Suspend a client
+router.post('/clients/:id/suspend', adminLimiter, adminAuthMiddleware, adminController.suspendClient);
+
+// POST /api/admin/clients/:id/reactivate - Reactivate a suspended client
+router.post('/clients/:id/reactivate', adminLimiter, adminAuthMiddleware, adminController.reactivateClient);
+
+// POST /api/admin/clients/:id/impersonate - View a client as its owner
+router.post('/clients/:id/impersonate', adminLimiter, adminAuthMiddleware, adminController.impersonateClient);
+
 module.exports = router;
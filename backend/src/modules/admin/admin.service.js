@@ -2,10 +2,58 @@
  * Admin Service
  * Business logic for admin operations
  */
-const { Tenant } = require('../tenants/tenant.model');
+const { Op } = require('sequelize');
+const { Tenant, TENANT_STATUS, VALID_TRANSITIONS } = require('../tenants/tenant.model');
+const { getTenantMetadata } = require('../tenants/tenantMetadata');
+const { Subscription } = require('../billing/subscription.model');
+const { Appointment } = require('../appointments/appointment.model');
+const { CallLog } = require('../telephony/callLog.model');
+const { Employee, EMPLOYEE_STATUS } = require('../employees/employee.model');
+const { User } = require('../../models');
+const { USER_ROLES } = require('../auth/permissions');
+const { generateImpersonationToken } = require('../auth/jwt.utils');
+const { ADMIN_ACTIONS } = require('./adminAuditLog.model');
+const { recordAdminAction } = require('./adminAudit.service');
 const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
 
+/**
+ * Days counted as recent activity in client details
+ */
+const RECENT_ACTIVITY_DAYS = 30;
+
+/**
+ * Format a tenant for the client list
+ * @param {Object} tenant - Tenant
+ * @returns {Object} - Client summary
+ */
+const formatClient = (tenant) => ({
+  id: tenant.id,
+  name: tenant.name,
+  slug: tenant.slug,
+  status: tenant.status,
+  planType: tenant.planType,
+  contactEmail: tenant.contactEmail,
+  signUpDate: tenant.createdAt,
+  lastUpdated: tenant.updatedAt,
+});
+
+/**
+ * Find a client (tenant) by ID
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object>} - Tenant
+ * @throws {AppError} - If not found
+ */
+const findClient = async (tenantId) => {
+  const tenant = await Tenant.findOne({ where: { id: tenantId } });
+
+  if (!tenant) {
+    throw new AppError('Client not found', 404, 'TENANT_NOT_FOUND');
+  }
+
+  return tenant;
+};
+
 /**
  * Get all clients (tenants) with their details
  * @returns {Promise<Array>} - List of all clients
@@ -21,22 +69,205 @@ const getAllClients = async () => {
     logger.info(`Retrieved ${tenants.length} clients for admin view`);
 
     // Format the response
-    return tenants.map(tenant => ({
-      id: tenant.id,
-      name: tenant.name,
-      slug: tenant.slug,
-      status: tenant.status,
-      planType: tenant.planType,
-      contactEmail: tenant.contactEmail,
-      signUpDate: tenant.createdAt,
-      lastUpdated: tenant.updatedAt,
-    }));
+    return tenants.map(formatClient);
   } catch (error) {
     logger.error(`Error fetching clients for admin: ${error.message}`);
     throw new AppError('Failed to fetch clients', 500, 'FETCH_CLIENTS_FAILED');
   }
 };
 
+/**
+ * Get one client's details: subscription, phone number, activity and last login
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} context - Who is looking, for the audit log
+ * @param {string} context.adminUserId - Acting admin ID
+ * @param {string} context.ipAddress - Request IP address
+ * @returns {Promise<Object>} - Client details
+ * @throws {AppError} - If the client doesn't exist
+ */
+const getClientDetails = async (tenantId, context) => {
+  const tenant = await findClient(tenantId);
+  const since = new Date(Date.now() - RECENT_ACTIVITY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [
+    subscription,
+    appointmentsTotal,
+    appointmentsRecent,
+    callsTotal,
+    callsRecent,
+    activeEmployees,
+    activeUsers,
+    lastLoginAt,
+  ] = await Promise.all([
+    Subscription.findOne({ where: { tenantId } }),
+    Appointment.count({ where: { tenantId } }),
+    Appointment.count({ where: { tenantId, createdAt: { [Op.gte]: since } } }),
+    CallLog.count({ where: { tenantId } }),
+    CallLog.count({ where: { tenantId, createdAt: { [Op.gte]: since } } }),
+    Employee.count({ where: { tenantId, status: EMPLOYEE_STATUS.ACTIVE } }),
+    User.count({ where: { tenantId, isActive: true } }),
+    User.max('lastLoginAt', { where: { tenantId } }),
+  ]);
+
+  await recordAdminAction({
+    action: ADMIN_ACTIONS.CLIENT_VIEWED,
+    targetType: 'tenant',
+    targetId: tenantId,
+    ...context,
+  });
+
+  return {
+    ...formatClient(tenant),
+    contactPhone: tenant.contactPhone,
+    timezone: tenant.timezone,
+    phoneNumber: tenant.twilioPhoneNumber,
+    trialEndsAt: tenant.trialEndsAt,
+    allowedTransitions: VALID_TRANSITIONS[tenant.status] || [],
+    subscription: subscription ? {
+      status: subscription.status,
+      billingInterval: subscription.billingInterval,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      trialEnd: subscription.trialEnd,
+    } : null,
+    activity: {
+      days: RECENT_ACTIVITY_DAYS,
+      appointments: { total: appointmentsTotal, recent: appointmentsRecent },
+      calls: { total: callsTotal, recent: callsRecent },
+      activeEmployees,
+    },
+    team: {
+      activeUsers,
+      lastLoginAt: lastLoginAt || null,
+    },
+  };
+};
+
+/**
+ * Move a client to a new status, recording why in the tenant's metadata
+ * An admin suspension is kept in metadata so billing doesn't lift it when the subscription is paid
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} status - Target status
+ * @param {string} action - Audit action
+ * @param {string} reason - Why the admin made the change (optional)
+ * @param {Object} context - Who is making the change
+ * @param {string} fromStatus - Status the client must be in, on top of VALID_TRANSITIONS (optional)
+ * @returns {Promise<Object>} - Updated client summary
+ * @throws {AppError} - If the client doesn't exist or the transition isn't allowed
+ */
+const changeClientStatus = async (tenantId, status, action, reason, context, fromStatus = null) => {
+  const tenant = await findClient(tenantId);
+
+  if ((fromStatus && tenant.status !== fromStatus) || !Tenant.isValidTransition(tenant.status, status)) {
+    throw new AppError(
+      `Invalid status transition from ${tenant.status} to ${status}`,
+      400,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  const previousStatus = tenant.status;
+  const { adminSuspension, ...metadata } = getTenantMetadata(tenant);
+
+  if (status === TENANT_STATUS.SUSPENDED) {
+    metadata.adminSuspension = {
+      adminUserId: context.adminUserId,
+      reason: reason || null,
+      suspendedAt: new Date().toISOString(),
+    };
+  } else if (adminSuspension) {
+    logger.info(`Lifting admin suspension of tenant ${tenantId} from ${adminSuspension.suspendedAt}`);
+  }
+
+  tenant.metadata = metadata;
+  await tenant.transitionTo(status);
+
+  await recordAdminAction({
+    action,
+    targetType: 'tenant',
+    targetId: tenantId,
+    metadata: { from: previousStatus, to: status, reason: reason || null },
+    ...context,
+  });
+
+  return formatClient(tenant);
+};
+
+/**
+ * Suspend a client
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} reason - Why the client is suspended (optional)
+ * @param {Object} context - Who is suspending the client
+ * @returns {Promise<Object>} - Updated client summary
+ */
+const suspendClient = (tenantId, reason, context) => {
+  return changeClientStatus(tenantId, TENANT_STATUS.SUSPENDED, ADMIN_ACTIONS.CLIENT_SUSPENDED, reason, context);
+};
+
+/**
+ * Reactivate a suspended client
+ * Only suspended clients can be reactivated; VALID_TRANSITIONS also lets a pending
+ * client become active, but that happens through billing, not the admin console
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} reason - Why the client is reactivated (optional)
+ * @param {Object} context - Who is reactivating the client
+ * @returns {Promise<Object>} - Updated client summary
+ */
+const reactivateClient = (tenantId, reason, context) => {
+  return changeClientStatus(
+    tenantId,
+    TENANT_STATUS.ACTIVE,
+    ADMIN_ACTIONS.CLIENT_REACTIVATED,
+    reason,
+    context,
+    TENANT_STATUS.SUSPENDED
+  );
+};
+
+/**
+ * Start viewing a client as its owner
+ * Returns a short-lived, read-only tenant token that names the admin; it is audited and can't be refreshed
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} reason - Why the admin needs to look (optional)
+ * @param {Object} context - Who is impersonating
+ * @param {string} context.adminUserId - Acting admin ID
+ * @param {string} context.ipAddress - Request IP address
+ * @returns {Promise<Object>} - Impersonation token and who it views as
+ * @throws {AppError} - If the client doesn't exist or has no active owner
+ */
+const impersonateClient = async (tenantId, reason, context) => {
+  const tenant = await findClient(tenantId);
+
+  const owner = await User.findOne({
+    where: { tenantId, role: USER_ROLES.OWNER, isActive: true },
+    order: [['createdAt', 'ASC']],
+  });
+
+  if (!owner) {
+    throw new AppError('This client has no active owner to view as', 404, 'USER_NOT_FOUND');
+  }
+
+  const tokens = generateImpersonationToken(owner, context.adminUserId);
+
+  await recordAdminAction({
+    action: ADMIN_ACTIONS.CLIENT_IMPERSONATED,
+    targetType: 'tenant',
+    targetId: tenantId,
+    metadata: { userId: owner.id, email: owner.email, reason: reason || null },
+    ...context,
+  });
+
+  return {
+    tokens,
+    tenant: { id: tenant.id, name: tenant.name },
+    user: { id: owner.id, email: owner.email },
+  };
+};
+
 module.exports = {
   getAllClients,
+  getClientDetails,
+  suspendClient,
+  reactivateClient,
+  impersonateClient,
 };
@@ -0,0 +1,72 @@
+/**
+ * Admin Audit Service
+ * Records and lists platform admin actions
+ */
+const { AdminAuditLog } = require('./adminAuditLog.model');
+const logger = require('../../utils/logger');
+
+/**
+ * Record an admin action in the audit log
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action from ADMIN_ACTIONS
+ * @param {string} entry.adminUserId - Admin who acted (optional)
+ * @param {string} entry.targetType - Kind of record acted on (optional)
+ * @param {string} entry.targetId - ID of the record acted on (optional)
+ * @param {Object} entry.metadata - Extra details (optional)
+ * @param {string} entry.ipAddress - Request IP address (optional)
+ * @returns {Promise<Object>} - Created audit log entry
+ */
+const recordAdminAction = async ({ action, adminUserId = null, targetType = null, targetId = null, metadata = null, ipAddress = null }) => {
+  const entry = await AdminAuditLog.create({
+    action,
+    adminUserId,
+    targetType,
+    targetId,
+    metadata,
+    ipAddress,
+  });
+
+  logger.info(`Admin action ${action} by admin: ${adminUserId || 'unknown'}${targetId ? ` on ${targetType}: ${targetId}` : ''}`);
+
+  return entry;
+};
+
+/**
+ * Get audit log entries, newest first
+ * @param {Object} options - Query options
+ * @param {string} options.adminUserId - Filter by admin (optional)
+ * @param {string} options.action - Filter by action (optional)
+ * @param {string} options.targetType - Filter by target type (optional)
+ * @param {string} options.targetId - Filter by target ID (optional)
+ * @param {number} options.limit - Maximum number of entries (default: 50)
+ * @param {number} options.offset - Number of entries to skip (default: 0)
+ * @returns {Promise<Object>} - Audit log entries with pagination info
+ */
+const getAuditLogs = async (options = {}) => {
+  const { adminUserId, action, targetType, targetId, limit = 50, offset = 0 } = options;
+
+  const where = {};
+  if (adminUserId) where.adminUserId = adminUserId;
+  if (action) where.action = action;
+  if (targetType) where.targetType = targetType;
+  if (targetId) where.targetId = targetId;
+
+  const logs = await AdminAuditLog.findAndCountAll({
+    where,
+    limit: parseInt(limit, 10),
+    offset: parseInt(offset, 10),
+    order: [['createdAt', 'DESC']],
+  });
+
+  return {
+    logs: logs.rows,
+    total: logs.count,
+    limit: parseInt(limit, 10),
+    offset: parseInt(offset, 10),
+  };
+};
+
+module.exports = {
+  recordAdminAction,
+  getAuditLogs,
+};
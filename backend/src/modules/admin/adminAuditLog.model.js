@@ -0,0 +1,82 @@
+/**
+ * Admin Audit Log Model
+ * Append-only record of what each platform admin did and when
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Audited admin actions
+ */
+const ADMIN_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  LOCKED: 'auth.locked',
+  TWO_FACTOR_ENABLED: 'auth.2fa_enabled',
+  ADMIN_CREATED: 'admins.create',
+  ADMIN_DEACTIVATED: 'admins.deactivate',
+  CLIENTS_VIEWED: 'clients.view',
+  CLIENT_VIEWED: 'clients.view_detail',
+  CLIENT_SUSPENDED: 'clients.suspend',
+  CLIENT_REACTIVATED: 'clients.reactivate',
+  CLIENT_IMPERSONATED: 'clients.impersonate',
+};
+
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  adminUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'admin_user_id',
+    references: {
+      model: 'admin_users',
+      key: 'id',
+    },
+    comment: 'Admin who acted; null for failed logins with an unknown email',
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'target_type',
+    comment: 'Kind of record acted on, e.g. tenant or admin_user',
+  },
+  targetId: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    field: 'target_id',
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    field: 'ip_address',
+  },
+}, {
+  tableName: 'admin_audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['admin_user_id', 'createdAt'],
+    },
+    {
+      fields: ['target_type', 'target_id'],
+    },
+  ],
+});
+
+module.exports = {
+  AdminAuditLog,
+  ADMIN_ACTIONS,
+};
@@ -0,0 +1,272 @@
+/**
+ * Admin Authentication Service
+ * Platform admin accounts, login and two-factor authentication
+ */
+const { Op } = require('sequelize');
+const { AdminUser } = require('./adminUser.model');
+const { ADMIN_ACTIONS } = require('./adminAuditLog.model');
+const { recordAdminAction } = require('./adminAudit.service');
+const { generateAdminToken } = require('../auth/jwt.utils');
+const twoFactorUtils = require('../auth/2fa.utils');
+const {
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  getLockoutMinutes,
+  compareDummyPassword,
+} = require('../auth/loginProtection.service');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * Find an admin by ID
+ * @param {string} adminId - Admin user ID
+ * @returns {Promise<Object>} - Admin user
+ * @throws {AppError} - If not found
+ */
+const findAdmin = async (adminId) => {
+  const admin = await AdminUser.findByPk(adminId);
+
+  if (!admin) {
+    throw new AppError('Admin not found', 404, 'ADMIN_NOT_FOUND');
+  }
+
+  return admin;
+};
+
+/**
+ * Count a failed admin login, locking the account once too many fail in a row
+ * Uses the same thresholds and growing lockouts as tenant logins. The counter is
+ * kept in the database so parallel attempts can't overwrite each other, and only
+ * the attempt that takes it over the limit locks the account
+ * @param {Object} admin - Admin user
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (admin, ipAddress) => {
+  await AdminUser.increment('failedLoginAttempts', { where: { id: admin.id } });
+  await admin.reload();
+
+  if (admin.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) {
+    return;
+  }
+
+  const lockoutCount = (admin.lockoutCount || 0) + 1;
+  const lockoutMinutes = getLockoutMinutes(lockoutCount);
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+
+  // Another attempt may have locked the account since the reload; it resets the count
+  const [lockedRows] = await AdminUser.update({ failedLoginAttempts: 0, lockoutCount, lockedUntil }, {
+    where: { id: admin.id, failedLoginAttempts: { [Op.gte]: MAX_FAILED_LOGIN_ATTEMPTS } },
+  });
+
+  if (lockedRows === 0) {
+    return;
+  }
+
+  await recordAdminAction({
+    action: ADMIN_ACTIONS.LOCKED,
+    adminUserId: admin.id,
+    metadata: { lockedUntil: lockedUntil.toISOString(), lockoutMinutes },
+    ipAddress,
+  });
+
+  logger.warn(`Admin account locked for ${lockoutMinutes} minutes after ${MAX_FAILED_LOGIN_ATTEMPTS} failed logins: ${admin.email}`);
+};
+
+/**
+ * Start 2FA enrollment for an admin logging in for the first time
+ * The secret only takes effect once a login sends a valid code for it
+ * @param {Object} admin - Admin user
+ * @returns {Promise<Object>} - 2FA enrollment prompt with QR code
+ */
+const startTwoFactorEnrollment = async (admin) => {
+  const { secret, otpauthUri, qrCode } = await twoFactorUtils.setup2FA(admin.email);
+
+  await admin.update({ twoFactorSecret: secret });
+
+  return {
+    requiresTwoFactorSetup: true,
+    otpauthUri,
+    qrCode,
+    message: 'Scan the QR code with your authenticator app and sign in again with a code from it',
+  };
+};
+
+/**
+ * Log in a platform admin
+ * Admins can't get a token without 2FA: the first login enrolls them, and the
+ * next one with a valid code enables it. Failed attempts are audited too, with
+ * the reason kept out of the response, and lock the account after too many in a row
+ * @param {Object} credentials - Admin credentials
+ * @param {string} credentials.email - Admin email
+ * @param {string} credentials.password - Admin password
+ * @param {string} credentials.twoFactorCode - 2FA code
+ * @param {string} ipAddress - Request IP address
+ * @returns {Promise<Object>} - Admin data and token, or a 2FA prompt
+ * @throws {AppError} - If the credentials or 2FA code are invalid or the account is locked
+ */
+const login = async ({ email, password, twoFactorCode }, ipAddress) => {
+  const normalizedEmail = email.trim().toLowerCase();
+  const admin = await AdminUser.findOne({ where: { email: normalizedEmail } });
+
+  const fail = async (reason, code = 'INVALID_CREDENTIALS', message = 'Invalid email or password') => {
+    await recordAdminAction({
+      action: ADMIN_ACTIONS.LOGIN_FAILED,
+      adminUserId: admin ? admin.id : null,
+      metadata: { email: normalizedEmail, reason },
+      ipAddress,
+    });
+    logger.warn(`Failed admin login for ${normalizedEmail}: ${reason}`);
+    throw new AppError(message, 401, code);
+  };
+
+  // Unknown, deactivated and locked accounts get the same answer as a wrong password,
+  // and a dummy password check so they take as long too
+  if (!admin) {
+    await compareDummyPassword(password);
+    return fail('unknown_email');
+  }
+
+  if (!admin.isActive) {
+    await compareDummyPassword(password);
+    return fail('deactivated');
+  }
+
+  if (admin.lockedUntil && new Date(admin.lockedUntil) > new Date()) {
+    await compareDummyPassword(password);
+    return fail('locked');
+  }
+
+  if (!(await admin.comparePassword(password))) {
+    await recordFailedLogin(admin, ipAddress);
+    return fail('wrong_password');
+  }
+
+  if (!twoFactorCode) {
+    if (!admin.twoFactorEnabled) {
+      return startTwoFactorEnrollment(admin);
+    }
+
+    return {
+      requiresTwoFactor: true,
+      message: 'Two-factor authentication code required',
+    };
+  }
+
+  if (!admin.twoFactorSecret || !twoFactorUtils.verifyToken(twoFactorCode, admin.twoFactorSecret)) {
+    await recordFailedLogin(admin, ipAddress);
+    return fail('wrong_2fa_code', 'INVALID_2FA_CODE', 'Invalid two-factor authentication code');
+  }
+
+  if (!admin.twoFactorEnabled) {
+    await admin.update({ twoFactorEnabled: true });
+    await recordAdminAction({ action: ADMIN_ACTIONS.TWO_FACTOR_ENABLED, adminUserId: admin.id, ipAddress });
+  }
+
+  await admin.update({
+    lastLoginAt: new Date(),
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    lockedUntil: null,
+  });
+  await recordAdminAction({ action: ADMIN_ACTIONS.LOGIN, adminUserId: admin.id, ipAddress });
+
+  return {
+    admin: admin.toSafeObject(),
+    tokens: generateAdminToken(admin),
+  };
+};
+
+/**
+ * Get the logged-in admin
+ * @param {string} adminId - Admin user ID
+ * @returns {Promise<Object>} - Admin data
+ */
+const getAdmin = async (adminId) => {
+  const admin = await findAdmin(adminId);
+  return admin.toSafeObject();
+};
+
+/**
+ * Get all platform admins
+ * @returns {Promise<Array>} - Admin users
+ */
+const getAdmins = async () => {
+  const admins = await AdminUser.findAll({ order: [['createdAt', 'ASC']] });
+  return admins.map(admin => admin.toSafeObject());
+};
+
+/**
+ * Create a platform admin account
+ * @param {Object} adminData - Admin data
+ * @param {string} adminData.email - Admin email
+ * @param {string} adminData.password - Admin password
+ * @param {string} adminData.name - Admin name (optional)
+ * @param {Object} context - Who is creating the admin (empty when run from the command line)
+ * @param {string} context.adminUserId - Acting admin ID
+ * @param {string} context.ipAddress - Request IP address
+ * @returns {Promise<Object>} - Created admin
+ * @throws {AppError} - If the email is taken
+ */
+const createAdmin = async ({ email, password, name }, context = {}) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existing = await AdminUser.findOne({ where: { email: normalizedEmail } });
+  if (existing) {
+    throw new AppError('An admin with this email already exists', 409, 'ADMIN_EXISTS');
+  }
+
+  const admin = await AdminUser.create({
+    email: normalizedEmail,
+    password,
+    name: name || null,
+  });
+
+  await recordAdminAction({
+    action: ADMIN_ACTIONS.ADMIN_CREATED,
+    adminUserId: context.adminUserId,
+    targetType: 'admin_user',
+    targetId: admin.id,
+    metadata: { email: normalizedEmail },
+    ipAddress: context.ipAddress,
+  });
+
+  return admin.toSafeObject();
+};
+
+/**
+ * Deactivate a platform admin so they can no longer log in
+ * Their existing token stops working immediately
+ * @param {string} adminId - Admin to deactivate
+ * @param {Object} context - Who is deactivating the admin
+ * @param {string} context.adminUserId - Acting admin ID
+ * @param {string} context.ipAddress - Request IP address
+ * @returns {Promise<Object>} - Success message
+ * @throws {AppError} - If deactivating themselves or the admin doesn't exist
+ */
+const deactivateAdmin = async (adminId, context) => {
+  if (adminId === context.adminUserId) {
+    throw new AppError('You cannot deactivate your own admin account', 400, 'CANNOT_DEACTIVATE_SELF');
+  }
+
+  const admin = await findAdmin(adminId);
+  await admin.update({ isActive: false });
+
+  await recordAdminAction({
+    action: ADMIN_ACTIONS.ADMIN_DEACTIVATED,
+    adminUserId: context.adminUserId,
+    targetType: 'admin_user',
+    targetId: admin.id,
+    metadata: { email: admin.email },
+    ipAddress: context.ipAddress,
+  });
+
+  return { message: 'Admin deactivated successfully' };
+};
+
+module.exports = {
+  login,
+  getAdmin,
+  getAdmins,
+  createAdmin,
+  deactivateAdmin,
+};
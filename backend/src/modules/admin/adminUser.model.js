@@ -0,0 +1,123 @@
+/**
+ * Admin User Model
+ * A platform administrator's own account. Admins don't belong to a tenant and
+ * log in separately from tenant users
+ */
+const { DataTypes } = require('sequelize');
+const bcrypt = require('bcrypt');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Minimum length of an admin password
+ */
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Bcrypt hash
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+const AdminUser = sequelize.define('AdminUser', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    validate: {
+      isEmail: true,
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  password: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  twoFactorSecret: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'two_factor_secret',
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'two_factor_enabled',
+    comment: 'Admins enroll in 2FA on their first login and can\'t get a token without it',
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active',
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_login_at',
+  },
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'failed_login_attempts',
+    comment: 'Failed logins in a row, see modules/auth/loginProtection.service',
+  },
+  lockoutCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    field: 'lockout_count',
+    comment: 'Lockouts since the last successful login; each one lasts twice as long',
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_until',
+  },
+}, {
+  tableName: 'admin_users',
+  timestamps: true,
+  hooks: {
+    beforeCreate: async (admin) => {
+      admin.password = await hashPassword(admin.password);
+    },
+    beforeUpdate: async (admin) => {
+      if (admin.changed('password')) {
+        admin.password = await hashPassword(admin.password);
+      }
+    },
+  },
+});
+
+/**
+ * Compare password with hashed password
+ * @param {string} candidatePassword - The password to compare
+ * @returns {Promise<boolean>} - True if passwords match
+ */
+AdminUser.prototype.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+/**
+ * Get admin data without sensitive fields
+ * @returns {Object} - Admin data without password and 2FA secret
+ */
+AdminUser.prototype.toSafeObject = function() {
+  const admin = this.toJSON();
+  delete admin.password;
+  delete admin.twoFactorSecret;
+  return admin;
+};
+
+module.exports = {
+  AdminUser,
+  MIN_ADMIN_PASSWORD_LENGTH,
+};
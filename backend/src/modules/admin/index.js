@@ -5,11 +5,20 @@
 const adminRoutes = require('./admin.routes');
 const adminController = require('./admin.controller');
 const adminService = require('./admin.service');
+const adminAuthService = require('./adminAuth.service');
+const adminAuditService = require('./adminAudit.service');
 const { adminAuthMiddleware } = require('./admin.middleware');
+const { AdminUser } = require('./adminUser.model');
+const { AdminAuditLog, ADMIN_ACTIONS } = require('./adminAuditLog.model');
 
 module.exports = {
   adminRoutes,
   adminController,
   adminService,
+  adminAuthService,
+  adminAuditService,
   adminAuthMiddleware,
+  AdminUser,
+  AdminAuditLog,
+  ADMIN_ACTIONS,
 };
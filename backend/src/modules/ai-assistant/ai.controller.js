@@ -13,7 +13,7 @@ const { handleTwilioToElevenLabs, handleElevenLabsToolCall: handleToolCall, hand
 const { availabilityService } = require('../appointments');
 const { appointmentService, CANCELLATION_REASONS } = require('../appointments');
 const { serviceService } = require('../services');
-const { tenantService } = require('../tenants');
+const { tenantService, tenantClosureService } = require('../tenants');
 const { employeeService } = require('../employees');
 
 /**
@@ -64,10 +64,11 @@ const queryAvailability = async (req, res, next) => {
         throw new AppError('Start date must be before end date', 400, 'VALIDATION_ERROR');
       }
 
+      // Date-only strings are calendar dates in the tenant's timezone, so pass them through unparsed
       availability = await availabilityService.getAvailabilityForDateRange(
         req.tenantId,
-        start,
-        end,
+        startDate,
+        endDate,
         serviceId,
         employeeId
       );
@@ -82,7 +83,7 @@ const queryAvailability = async (req, res, next) => {
       const employeeIds = employeeId ? [employeeId] : null;
       availability = await availabilityService.getAvailabilityForDate(
         req.tenantId,
-        queryDate,
+        date || queryDate,
         serviceId,
         employeeIds
       );
@@ -388,12 +389,17 @@ const getBusinessHours = async (req, res, next) => {
       sunday: { open: '10:00', close: '14:00', enabled: false },
     };
 
+    // Weekly hours don't cover holidays, so announce upcoming closures alongside them
+    const closures = await tenantClosureService.getUpcomingClosures(req.tenantId);
+
     res.status(200).json({
       success: true,
       data: {
         businessHours: hours,
-        timezone: tenant?.settings?.timezone || 'UTC',
+        timezone: tenant?.timezone || 'UTC',
         businessName: tenant?.name,
+        closures,
+        closureAnnouncement: tenantClosureService.formatClosureAnnouncement(closures),
       },
     });
   } catch (error) {
@@ -1027,6 +1033,7 @@ const handleElevenLabsCreateAppointmentWebhook = async (req, res, next) => {
       startTime,
       addOns,
       notes,
+      holdId,
     } = req.body;
     
     // Validate required fields
@@ -1055,6 +1062,10 @@ const handleElevenLabsCreateAppointmentWebhook = async (req, res, next) => {
       throw new AppError('Invalid service ID format', 400, 'VALIDATION_ERROR');
     }
     
+    if (holdId && !isValidUUID(holdId)) {
+      throw new AppError('Invalid hold ID format', 400, 'VALIDATION_ERROR');
+    }
+    
     // Validate email format if provided
     if (customerEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customerEmail)) {
       throw new AppError('Invalid email format', 400, 'VALIDATION_ERROR');
@@ -1082,6 +1093,7 @@ const handleElevenLabsCreateAppointmentWebhook = async (req, res, next) => {
       startTime,
       addOns,
       notes: notes || 'Created via ElevenLabs AI',
+      holdId,
     }, tenantId);
     
     // Return appointment in the format expected by ElevenLabs
@@ -5,7 +5,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const aiController = require('./ai.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, denyEmployeeScope } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
@@ -49,7 +49,8 @@ const conversationLimiter = rateLimit({
 router.post('/availability', standardLimiter, authMiddleware, aiController.queryAvailability);
 
 // POST /api/ai/appointments - Manage appointments via AI
-router.post('/appointments', standardLimiter, authMiddleware, aiController.manageAppointment);
+// Actions can target any employee's bookings, so employee-scoped staff are turned away
+router.post('/appointments', standardLimiter, authMiddleware, denyEmployeeScope, aiController.manageAppointment);
 
 // POST /api/ai/services - Get services information
 router.post('/services', standardLimiter, authMiddleware, aiController.getServices);
@@ -7,6 +7,7 @@ const aiController = require('./ai.controller');
 const { ElevenLabsService, getElevenLabsService } = require('./elevenlabs.service');
 const { OpenAIService, getOpenAIService } = require('./openai.service');
 const { handleIntent } = require('./intent.handler');
+const smsAssistantHandler = require('./sms-assistant.handler');
 const {
   handleTwilioToElevenLabs,
   handleElevenLabsToolCall,
@@ -32,6 +33,7 @@ module.exports = {
   OpenAIService,
   getOpenAIService,
   handleIntent,
+  smsAssistantHandler,
   handleTwilioToElevenLabs,
   handleElevenLabsToolCall,
   handleConversationInitiation,
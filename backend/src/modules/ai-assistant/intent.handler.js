@@ -6,7 +6,9 @@ const logger = require('../../utils/logger');
 const { INTENT_TYPES, ACTION_TYPES } = require('./ai-provider.interface');
 const { appointmentService, availabilityService } = require('../appointments');
 const { serviceService } = require('../services');
-const { tenantService } = require('../tenants');
+const { employeeService } = require('../employees');
+const { tenantService, tenantClosureService } = require('../tenants');
+const { getTenantTimezone, toDateKey, formatDateKey, DATE_KEY_REGEX } = require('../../utils/timezone');
 
 /**
  * Handle detected intent and perform appropriate action
@@ -33,7 +35,7 @@ const handleIntent = async (intent, context, tenantId) => {
         return await handleModifyAppointment(intent.entities, tenantId);
       
       case INTENT_TYPES.GET_SERVICES:
-        return await handleGetServices(tenantId);
+        return await handleGetServices(intent.entities, tenantId);
       
       case INTENT_TYPES.GET_HOURS:
         return await handleGetHours(tenantId);
@@ -70,8 +72,12 @@ const handleIntent = async (intent, context, tenantId) => {
  */
 const handleCheckAvailability = async (entities, tenantId) => {
   try {
-    // Parse date from entities or default to tomorrow
-    const date = parseDate(entities.date) || getNextBusinessDay();
+    // Parse date from entities or default to tomorrow; explicit dates are already
+    // calendar dates in the tenant's timezone, so keep them unparsed
+    const date = DATE_KEY_REGEX.test(entities.date || '')
+      ? entities.date
+      : parseDate(entities.date) || getNextBusinessDay();
+    const dateKey = toDateKey(date, await getTenantTimezone(tenantId));
     
     // If serviceId is provided, get availability for that service
     if (entities.serviceId) {
@@ -84,8 +90,8 @@ const handleCheckAvailability = async (entities, tenantId) => {
       return {
         success: true,
         action: ACTION_TYPES.QUERY_AVAILABILITY,
-        data: { availability, date: date.toISOString() },
-        message: formatAvailabilityResponse(availability, date),
+        data: { availability, date: dateKey },
+        message: formatAvailabilityResponse(availability, dateKey),
       };
     }
     
@@ -93,7 +99,7 @@ const handleCheckAvailability = async (entities, tenantId) => {
     return {
       success: true,
       action: ACTION_TYPES.QUERY_AVAILABILITY,
-      data: { date: date.toISOString() },
+      data: { date: dateKey },
       message: "To check availability, I'll need to know which service you're interested in. What would you like to book?",
       needsMoreInfo: true,
       required: ['serviceId'],
@@ -148,7 +154,7 @@ const handleBookAppointment = async (entities, context, tenantId) => {
       success: true,
       action: ACTION_TYPES.CREATE_APPOINTMENT,
       data: { appointment },
-      message: formatAppointmentConfirmation(appointment),
+      message: formatAppointmentConfirmation(appointment, await getTenantTimezone(tenantId)),
     };
   } catch (error) {
     if (error.code === 'TIME_SLOT_CONFLICT') {
@@ -252,24 +258,36 @@ const handleModifyAppointment = async (entities, tenantId) => {
     success: true,
     action: ACTION_TYPES.UPDATE_APPOINTMENT,
     data: { appointment },
-    message: formatAppointmentUpdateConfirmation(appointment),
+    message: formatAppointmentUpdateConfirmation(appointment, await getTenantTimezone(tenantId)),
   };
 };
 
 /**
  * Handle get services intent
+ * When the caller asks about a specific employee, only their services are listed, at
+ * their own prices and durations
+ * @param {Object} entities - Extracted entities (employeeId is optional)
  * @param {string} tenantId - Tenant identifier
  * @returns {Promise<Object>} - Services result
  */
-const handleGetServices = async (tenantId) => {
+const handleGetServices = async (entities = {}, tenantId) => {
   try {
     const result = await serviceService.getServices(tenantId, { status: 'active' });
+    let services = result.services;
+    let employee = null;
+
+    if (entities.employeeId) {
+      employee = await employeeService.getEmployeeById(entities.employeeId, tenantId);
+      services = services
+        .filter(service => (employee.serviceIds || []).includes(service.id))
+        .map(service => ({ ...service, ...availabilityService.getEmployeeServiceTerms(service, employee) }));
+    }
     
     return {
       success: true,
       action: ACTION_TYPES.GET_SERVICES,
-      data: { services: result.services, total: result.total },
-      message: formatServicesResponse(result.services),
+      data: { services, total: employee ? services.length : result.total },
+      message: formatServicesResponse(services, employee),
     };
   } catch (error) {
     logger.error(`Get services error: ${error.message}`);
@@ -286,12 +304,16 @@ const handleGetHours = async (tenantId) => {
   try {
     const tenant = await tenantService.getTenantById(tenantId);
     const hours = tenant?.settings?.businessHours || getDefaultBusinessHours();
+    const closures = await tenantClosureService.getUpcomingClosures(tenantId);
+    const announcement = tenantClosureService.formatClosureAnnouncement(closures);
     
     return {
       success: true,
       action: ACTION_TYPES.GET_BUSINESS_HOURS,
-      data: { hours },
-      message: formatBusinessHoursResponse(hours),
+      data: { hours, closures },
+      message: announcement
+        ? `${formatBusinessHoursResponse(hours)} ${announcement}`
+        : formatBusinessHoursResponse(hours),
     };
   } catch (error) {
     logger.error(`Get hours error: ${error.message}`);
@@ -315,7 +337,9 @@ const handleHumanHandoff = (context) => {
   return {
     success: true,
     action: ACTION_TYPES.TRANSFER_TO_HUMAN,
-    message: "I'll connect you with a team member right away. Please hold while I transfer your call.",
+    message: isSmsChannel(context)
+      ? "I'll let a team member know. Someone will text you back shortly."
+      : "I'll connect you with a team member right away. Please hold while I transfer your call.",
     shouldHandoff: true,
     sessionId: context.sessionId,
   };
@@ -323,15 +347,15 @@ const handleHumanHandoff = (context) => {
 
 /**
  * Handle greeting intent
- * @param {Object} _context - Conversation context (unused)
+ * @param {Object} context - Conversation context
  * @param {string} _tenantId - Tenant identifier (unused)
  * @returns {Object} - Greeting result
  */
-const handleGreeting = (_context, _tenantId) => {
+const handleGreeting = (context, _tenantId) => {
   return {
     success: true,
     action: ACTION_TYPES.CONTINUE_CONVERSATION,
-    message: "Hello! Thank you for calling. How can I help you today? I can assist with booking appointments, checking availability, or answering questions about our services.",
+    message: `Hello! Thank you for ${isSmsChannel(context) ? 'texting' : 'calling'}. How can I help you today? I can assist with booking appointments, checking availability, or answering questions about our services.`,
   };
 };
 
@@ -344,7 +368,7 @@ const handleGoodbye = (context) => {
   return {
     success: true,
     action: ACTION_TYPES.END_CONVERSATION,
-    message: "Thank you for calling! Have a great day. Goodbye!",
+    message: `Thank you for ${isSmsChannel(context) ? 'texting' : 'calling'}! Have a great day. Goodbye!`,
     shouldEndConversation: true,
     sessionId: context.sessionId,
   };
@@ -366,6 +390,13 @@ const handleGeneralInquiry = (_intent, _context) => {
 
 // Helper functions
 
+/**
+ * Check whether the conversation is taking place over SMS
+ * @param {Object} context - Conversation context
+ * @returns {boolean} - True for SMS conversations
+ */
+const isSmsChannel = (context) => context?.metadata?.channel === 'sms';
+
 /**
  * Parse date string to Date object
  * @param {string} dateStr - Date string
@@ -463,30 +494,37 @@ const generateMissingInfoMessage = (required) => {
 /**
  * Format availability response
  * @param {Array} availability - Availability data
- * @param {Date} date - Date
+ * @param {string} date - Date (YYYY-MM-DD)
  * @returns {string} - Formatted response
  */
 const formatAvailabilityResponse = (availability, date) => {
-  const dateStr = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+  const dateStr = formatDateKey(date, { weekday: 'long', month: 'long', day: 'numeric' });
+  const closure = availability.find(a => a.closure)?.closure;
+  const notice = closure ? `${tenantClosureService.formatClosureNotice(closure, date)} ` : '';
+  
+  if (closure && tenantClosureService.isClosedAllDay(closure)) {
+    return `${notice}Would you like me to check another day?`;
+  }
   
   const availableEmployees = availability.filter(a => a.isAvailable);
   if (availableEmployees.length === 0) {
-    return `Unfortunately, we don't have any availability on ${dateStr}. Would you like me to check another day?`;
+    return `${notice}Unfortunately, we don't have any availability on ${dateStr}. Would you like me to check another day?`;
   }
   
   const slotCount = availableEmployees.reduce((sum, a) => sum + a.availableSlots.length, 0);
-  return `We have ${slotCount} time slots available on ${dateStr}. Would you like me to list them for you?`;
+  return `${notice}We have ${slotCount} time slots available on ${dateStr}. Would you like me to list them for you?`;
 };
 
 /**
  * Format appointment confirmation
  * @param {Object} appointment - Appointment data
+ * @param {string} timezone - Tenant's IANA timezone
  * @returns {string} - Formatted confirmation
  */
-const formatAppointmentConfirmation = (appointment) => {
+const formatAppointmentConfirmation = (appointment, timezone) => {
   const date = new Date(appointment.startTime);
-  const dateStr = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-  const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const dateStr = date.toLocaleDateString('en-US', { timeZone: timezone, weekday: 'long', month: 'long', day: 'numeric' });
+  const timeStr = date.toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit' });
   
   return `Your appointment has been confirmed for ${dateStr} at ${timeStr}. You'll receive a confirmation message shortly. Is there anything else I can help you with?`;
 };
@@ -494,35 +532,40 @@ const formatAppointmentConfirmation = (appointment) => {
 /**
  * Format appointment update confirmation
  * @param {Object} appointment - Updated appointment
+ * @param {string} timezone - Tenant's IANA timezone
  * @returns {string} - Formatted confirmation
  */
-const formatAppointmentUpdateConfirmation = (appointment) => {
+const formatAppointmentUpdateConfirmation = (appointment, timezone) => {
   const date = new Date(appointment.startTime);
-  const dateStr = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-  const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const dateStr = date.toLocaleDateString('en-US', { timeZone: timezone, weekday: 'long', month: 'long', day: 'numeric' });
+  const timeStr = date.toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit' });
   
   return `Your appointment has been updated to ${dateStr} at ${timeStr}. Is there anything else I can help you with?`;
 };
 
 /**
  * Format services response
+ * With an employee, prices and durations are that employee's own
  * @param {Array} services - Services list
+ * @param {Object} employee - Employee asked about (optional)
  * @returns {string} - Formatted response
  */
-const formatServicesResponse = (services) => {
+const formatServicesResponse = (services, employee = null) => {
   if (!services || services.length === 0) {
     return "I don't have our service menu available right now. Would you like me to transfer you to someone who can help?";
   }
   
-  const serviceList = services.slice(0, 5).map(s => 
-    `${s.name} - $${s.price} (${s.duration} minutes)`
-  ).join(', ');
+  const serviceList = services.slice(0, 5).map(s => {
+    const { price, duration } = availabilityService.getEmployeeServiceTerms(s, employee);
+    return `${s.name} - $${price} (${duration} minutes)`;
+  }).join(', ');
+  const withEmployee = employee ? ` with ${employee.firstName} ${employee.lastName}` : '';
   
   if (services.length > 5) {
-    return `Here are some of our services: ${serviceList}, and more. Which one interests you?`;
+    return `Here are some of our services${withEmployee}: ${serviceList}, and more. Which one interests you?`;
   }
   
-  return `Here are our services: ${serviceList}. Which one would you like to book?`;
+  return `Here are our services${withEmployee}: ${serviceList}. Which one would you like to book?`;
 };
 
 /**
@@ -0,0 +1,496 @@
+/**
+ * SMS Assistant Handler
+ * Routes free-form inbound texts through the AI intent pipeline so customers
+ * can check availability and book appointments entirely over SMS
+ */
+const logger = require('../../utils/logger');
+const { normalizePhoneNumber } = require('../../utils/phone');
+const { resolveTimezone, formatDateKey } = require('../../utils/timezone');
+const { getOpenAIService } = require('./openai.service');
+const { INTENT_TYPES, ACTION_TYPES } = require('./ai-provider.interface');
+const smsConversationService = require('../telephony/smsConversation.service');
+
+/**
+ * Idle time after which an SMS conversation starts over
+ */
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Maximum number of time slots offered in a single reply
+ */
+const MAX_SLOT_OPTIONS = 5;
+
+/**
+ * Messages kept in a conversation's history, i.e. the last 10 turns
+ * The history is stored with the session and sent to the model on every message
+ */
+const MAX_HISTORY_MESSAGES = 20;
+
+// Lazy-loaded service references to avoid circular dependencies
+let _handleIntent = null;
+let _serviceService = null;
+
+/**
+ * Get lazy-loaded services
+ */
+const getServices = () => {
+  if (!_handleIntent) {
+    _handleIntent = require('./intent.handler').handleIntent;
+  }
+  if (!_serviceService) {
+    _serviceService = require('../services').serviceService;
+  }
+  return {
+    handleIntent: _handleIntent,
+    serviceService: _serviceService,
+  };
+};
+
+/**
+ * End an SMS conversation
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} customerPhone - Customer phone number
+ * @returns {Promise<void>}
+ */
+const endSession = async (tenantId, customerPhone) => {
+  await smsConversationService.clearAssistantSession(tenantId, customerPhone);
+};
+
+/**
+ * Get the active conversation for a phone number or start a new one
+ * Sessions are stored on the customer's SMS conversation and expire SESSION_TTL_MS after the last message
+ * @param {Object} tenant - Tenant instance
+ * @param {string} customerPhone - Customer phone number
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - SMS session
+ */
+const getOrStartSession = async (tenant, customerPhone, now) => {
+  const session = await smsConversationService.getAssistantSession(tenant.id, customerPhone, now);
+
+  if (session) {
+    return session;
+  }
+
+  const aiService = getOpenAIService();
+  const context = await aiService.startSession(tenant.id, {
+    tenantConfig: { businessName: tenant.name },
+    metadata: { channel: 'sms', customerPhone },
+  });
+
+  // The context is stored with the SMS session, so the provider needn't keep its own copy
+  await aiService.endSession(context.sessionId);
+
+  return {
+    context,
+    entities: { customerPhone: normalizePhoneNumber(customerPhone) },
+    timezone: resolveTimezone(tenant.timezone),
+    services: null,
+    offeredSlots: [],
+    awaiting: null,
+    bookingInProgress: false,
+  };
+};
+
+/**
+ * Add a message to the conversation history, dropping the oldest beyond MAX_HISTORY_MESSAGES
+ * @param {Object} session - SMS session
+ * @param {Object} message - { role, content, timestamp }
+ */
+const addToHistory = (session, message) => {
+  session.context.history = [...(session.context.history || []), message].slice(-MAX_HISTORY_MESSAGES);
+};
+
+/**
+ * Store a conversation until SESSION_TTL_MS after the latest message
+ * @param {Object} tenant - Tenant instance
+ * @param {string} customerPhone - Customer phone number
+ * @param {Object} session - SMS session
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const saveSession = async (tenant, customerPhone, session, now) => {
+  await smsConversationService.saveAssistantSession(
+    tenant.id,
+    customerPhone,
+    session,
+    new Date(now.getTime() + SESSION_TTL_MS)
+  );
+};
+
+/**
+ * Load the tenant's active services once per conversation
+ * @param {Object} session - SMS session
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Array>} - Active services
+ */
+const getSessionServices = async (session, tenantId) => {
+  if (!session.services) {
+    const { serviceService } = getServices();
+    const result = await serviceService.getServices(tenantId, { status: 'active' });
+    // Only what matching needs is kept, since the session is stored
+    session.services = (result.services || []).map(({ id, name }) => ({ id, name }));
+  }
+  return session.services;
+};
+
+/**
+ * Find the service mentioned in a message, preferring the longest name
+ * @param {Array} services - Active services
+ * @param {string} text - Message text
+ * @returns {Object|null} - Matching service
+ */
+const findMentionedService = (services, text) => {
+  const normalizedText = text.toLowerCase();
+
+  return services
+    .filter(service => service.name && normalizedText.includes(service.name.toLowerCase()))
+    .sort((a, b) => b.name.length - a.name.length)[0] || null;
+};
+
+/**
+ * Parse a time of day such as "3pm" or "14:30" into minutes after midnight
+ * Bare numbers are ignored since they are ambiguous over SMS
+ * @param {string} time - Time string
+ * @returns {number|null} - Minutes after midnight or null
+ */
+const parseTimeOfDay = (time) => {
+  if (!time) return null;
+
+  const match = time.toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Clear the chosen time slot so a new one is offered
+ * @param {Object} session - SMS session
+ */
+const clearSelectedSlot = (session) => {
+  delete session.entities.employeeId;
+  delete session.entities.startTime;
+  session.offeredSlots = [];
+};
+
+/**
+ * Merge details from a message into the conversation's booking entities
+ * @param {Object} session - SMS session
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} text - Message text
+ * @param {Object} extracted - Entities extracted by the AI provider
+ * @returns {Promise<boolean>} - True if a service was mentioned
+ */
+const collectEntities = async (session, tenantId, text, extracted = {}) => {
+  const { entities } = session;
+
+  const service = findMentionedService(await getSessionServices(session, tenantId), text);
+  if (service && service.id !== entities.serviceId) {
+    entities.serviceId = service.id;
+    entities.serviceName = service.name;
+    clearSelectedSlot(session);
+  }
+
+  if (extracted.date && extracted.date !== entities.date) {
+    entities.date = extracted.date;
+    clearSelectedSlot(session);
+  }
+
+  if (parseTimeOfDay(extracted.time) !== null) {
+    entities.time = extracted.time;
+    clearSelectedSlot(session);
+  }
+
+  if (extracted.email) {
+    entities.customerEmail = extracted.email;
+  }
+
+  return !!service;
+};
+
+/**
+ * Build a booking intent from the details collected so far
+ * @param {Object} session - SMS session
+ * @returns {Object} - Intent
+ */
+const buildBookingIntent = (session) => ({
+  name: INTENT_TYPES.BOOK_APPOINTMENT,
+  confidence: 1,
+  entities: { ...session.entities, notes: 'Booked via SMS assistant' },
+});
+
+/**
+ * Work out the intent of a message, taking the conversation so far into account
+ * @param {Object} session - SMS session
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} text - Message text
+ * @returns {Promise<Object>} - Intent
+ */
+const resolveIntent = async (session, tenantId, text) => {
+  // A bare number picks one of the time slots offered in the previous reply
+  const selection = text.match(/^#?(\d{1,2})$/);
+  if (selection && session.offeredSlots.length > 0) {
+    const slot = session.offeredSlots[parseInt(selection[1], 10) - 1];
+    if (slot) {
+      session.entities.employeeId = slot.employeeId;
+      session.entities.startTime = slot.startTime;
+      session.offeredSlots = [];
+      return buildBookingIntent(session);
+    }
+  }
+
+  if (session.awaiting === 'customerName' && /^[a-z][a-z .'-]{0,99}$/i.test(text)) {
+    session.entities.customerName = text;
+    session.awaiting = null;
+    return buildBookingIntent(session);
+  }
+
+  const intent = await getOpenAIService().detectIntent(text, session.context);
+  const mentionedService = await collectEntities(session, tenantId, text, intent.entities);
+
+  // Follow-up details such as "a haircut next friday at 3pm" continue the booking
+  if (intent.name === INTENT_TYPES.GENERAL_INQUIRY && (session.bookingInProgress || mentionedService)) {
+    return buildBookingIntent(session);
+  }
+
+  if (intent.name === INTENT_TYPES.BOOK_APPOINTMENT) {
+    return buildBookingIntent(session);
+  }
+
+  return { ...intent, entities: { ...intent.entities, ...session.entities } };
+};
+
+/**
+ * Format a date for SMS replies
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {string} - e.g. "Tue, Dec 3"
+ */
+const formatDate = (dateKey) => formatDateKey(dateKey, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+});
+
+/**
+ * Format a time for SMS replies
+ * @param {Date|string} date - Date
+ * @param {string} timezone - Tenant's IANA timezone
+ * @returns {string} - e.g. "3:00 PM"
+ */
+const formatTime = (date, timezone) => new Date(date).toLocaleTimeString('en-US', {
+  timeZone: timezone,
+  hour: 'numeric',
+  minute: '2-digit',
+  hour12: true,
+});
+
+/**
+ * Pick the time slots to offer from an availability result
+ * Each start time is offered once; when the customer asked for a time of day,
+ * the closest slots come first
+ * @param {Array} availability - Availability per employee
+ * @param {string} requestedTime - Requested time of day (optional)
+ * @returns {Array} - Slots to offer
+ */
+const selectSlotOptions = (availability, requestedTime) => {
+  const slotsByStart = new Map();
+
+  availability
+    .filter(employee => employee.isAvailable)
+    .forEach(employee => {
+      employee.availableSlots.forEach(slot => {
+        if (!slotsByStart.has(slot.startTime)) {
+          slotsByStart.set(slot.startTime, {
+            employeeId: employee.employeeId,
+            startTime: slot.startTime,
+            minutes: parseTimeOfDay(slot.startTimeFormatted),
+          });
+        }
+      });
+    });
+
+  const requestedMinutes = parseTimeOfDay(requestedTime);
+  const slots = [...slotsByStart.values()].sort((a, b) => {
+    if (requestedMinutes !== null) {
+      const distance = Math.abs(a.minutes - requestedMinutes) - Math.abs(b.minutes - requestedMinutes);
+      if (distance !== 0) return distance;
+    }
+    return new Date(a.startTime) - new Date(b.startTime);
+  });
+
+  return slots
+    .slice(0, MAX_SLOT_OPTIONS)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+    .map(({ employeeId, startTime }) => ({ employeeId, startTime }));
+};
+
+/**
+ * Offer numbered time slots from an availability result
+ * @param {Object} session - SMS session
+ * @param {Object} result - CHECK_AVAILABILITY intent result
+ * @param {string} prefix - Text to put before the offer (optional)
+ * @returns {string} - Reply text
+ */
+const presentTimeSlots = (session, result, prefix = '') => {
+  if (!result.success || !result.data?.availability) {
+    return `${prefix}${result.message}`;
+  }
+
+  const serviceName = session.entities.serviceName || 'your appointment';
+  const dateStr = formatDate(result.data.date);
+
+  session.offeredSlots = selectSlotOptions(result.data.availability, session.entities.time);
+
+  if (session.offeredSlots.length === 0) {
+    delete session.entities.date;
+    return `${prefix}Sorry, we don't have any openings for ${serviceName} on ${dateStr}. Text another day (e.g. "tomorrow" or "next friday") and I'll check again.`;
+  }
+
+  const list = session.offeredSlots
+    .map((slot, index) => `${index + 1}) ${formatTime(slot.startTime, session.timezone)}`)
+    .join('\n');
+
+  return `${prefix}Here are the openings for ${serviceName} on ${dateStr}:\n${list}\nReply with the number of the time you'd like.`;
+};
+
+/**
+ * Check availability through the intent pipeline and offer numbered time slots
+ * @param {Object} session - SMS session
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} prefix - Text to put before the offer (optional)
+ * @returns {Promise<string>} - Reply text
+ */
+const offerTimeSlots = async (session, tenantId, prefix = '') => {
+  const { handleIntent } = getServices();
+  const result = await handleIntent(
+    { name: INTENT_TYPES.CHECK_AVAILABILITY, confidence: 1, entities: { ...session.entities } },
+    session.context,
+    tenantId
+  );
+
+  return presentTimeSlots(session, result, prefix);
+};
+
+/**
+ * List the tenant's services so the customer can pick one
+ * @param {Object} session - SMS session
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} message - Message to put before the list
+ * @returns {Promise<string>} - Reply text
+ */
+const askForService = async (session, tenantId, message) => {
+  const services = await getSessionServices(session, tenantId);
+
+  if (services.length === 0) {
+    return message;
+  }
+
+  const names = services.slice(0, MAX_SLOT_OPTIONS).map(service => service.name).join(', ');
+  return `${message} We offer: ${names}.`;
+};
+
+/**
+ * Turn an intent result into the SMS reply and advance the conversation
+ * @param {Object} session - SMS session
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} intent - Handled intent
+ * @param {Object} result - Intent handler result
+ * @returns {Promise<string>} - Reply text
+ */
+const buildSmsReply = async (session, tenantId, intent, result) => {
+  if (intent.name === INTENT_TYPES.CHECK_AVAILABILITY) {
+    session.bookingInProgress = true;
+
+    if (result.needsMoreInfo) {
+      return askForService(session, tenantId, result.message);
+    }
+    return presentTimeSlots(session, result);
+  }
+
+  if (intent.name !== INTENT_TYPES.BOOK_APPOINTMENT) {
+    return result.message;
+  }
+
+  session.bookingInProgress = true;
+
+  if (result.success) {
+    const { customerPhone, customerName, customerEmail } = session.entities;
+    session.entities = { customerPhone, customerName, customerEmail };
+    session.bookingInProgress = false;
+    return result.message;
+  }
+
+  if (result.error === 'TIME_SLOT_CONFLICT') {
+    clearSelectedSlot(session);
+    return offerTimeSlots(session, tenantId, 'Sorry, that time was just taken. ');
+  }
+
+  const required = result.required || [];
+
+  if (required.includes('serviceId')) {
+    return askForService(session, tenantId, result.message);
+  }
+
+  if (required.includes('startTime') || required.includes('employeeId')) {
+    return offerTimeSlots(session, tenantId);
+  }
+
+  if (required.includes('customerName')) {
+    session.awaiting = 'customerName';
+  }
+
+  return result.message;
+};
+
+/**
+ * Handle a free-form inbound text
+ * @param {Object} params - Message parameters
+ * @param {Object} params.tenant - Tenant the SMS was sent to
+ * @param {string} params.from - Sender phone number
+ * @param {string} params.body - Message text
+ * @param {Date} params.now - Current time (default: now)
+ * @returns {Promise<Object>} - Detected intent, action taken and reply text
+ */
+const handleMessage = async ({ tenant, from, body, now = new Date() }) => {
+  const session = await getOrStartSession(tenant, from, now);
+  const text = body.trim();
+  const { handleIntent } = getServices();
+
+  addToHistory(session, { role: 'user', content: text, timestamp: now.toISOString() });
+
+  const intent = await resolveIntent(session, tenant.id, text);
+  const result = await handleIntent(intent, session.context, tenant.id);
+  const reply = await buildSmsReply(session, tenant.id, intent, result);
+
+  addToHistory(session, { role: 'assistant', content: reply, timestamp: now.toISOString() });
+
+  logger.info(`SMS assistant handled intent ${intent.name} for tenant: ${tenant.id}, session: ${session.context.sessionId}`);
+
+  if (result.action === ACTION_TYPES.END_CONVERSATION) {
+    await endSession(tenant.id, from);
+  } else {
+    await saveSession(tenant, from, session, now);
+  }
+
+  return {
+    intent: intent.name,
+    action: result.action,
+    reply,
+    appointment: result.success ? result.data?.appointment || null : null,
+  };
+};
+
+module.exports = {
+  handleMessage,
+  endSession,
+  parseTimeOfDay,
+  selectSlotOptions,
+  SESSION_TTL_MS,
+  MAX_HISTORY_MESSAGES,
+};
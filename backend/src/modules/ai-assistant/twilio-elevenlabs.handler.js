@@ -8,12 +8,23 @@ const logger = require('../../utils/logger');
 const { getElevenLabsService } = require('./elevenlabs.service');
 const { Tenant } = require('../tenants/tenant.model');
 const { BusinessType } = require('../business-types/businessType.model');
+const {
+  getTenantTimezone,
+  resolveTimezone,
+  toDateKey,
+  getDateKey,
+  formatDateKey,
+  formatTimeOfDay,
+} = require('../../utils/timezone');
 
 // Lazy-loaded service references to avoid circular dependencies
 let _availabilityService = null;
 let _appointmentService = null;
 let _serviceService = null;
 let _tenantService = null;
+let _tenantClosureService = null;
+let _customerService = null;
+let _employeeService = null;
 let _AppointmentModel = null;
 
 /**
@@ -30,13 +41,24 @@ const getServices = () => {
     _serviceService = require('../services').serviceService;
   }
   if (!_tenantService) {
-    _tenantService = require('../tenants').tenantService;
+    const tenants = require('../tenants');
+    _tenantService = tenants.tenantService;
+    _tenantClosureService = tenants.tenantClosureService;
+  }
+  if (!_customerService) {
+    _customerService = require('../customers').customerService;
+  }
+  if (!_employeeService) {
+    _employeeService = require('../employees').employeeService;
   }
   return {
     availabilityService: _availabilityService,
     appointmentService: _appointmentService,
     serviceService: _serviceService,
     tenantService: _tenantService,
+    tenantClosureService: _tenantClosureService,
+    customerService: _customerService,
+    employeeService: _employeeService,
     Appointment: _AppointmentModel,
   };
 };
@@ -370,22 +392,95 @@ const handleElevenLabsToolCall = async (toolData, tenantId) => {
   logger.info(`ElevenLabs tool call: ${tool_name} for tenant: ${tenantId}`);
   
   // Get lazy-loaded services to avoid circular dependencies
-  const { availabilityService, appointmentService, serviceService, tenantService, Appointment } = getServices();
+  const {
+    availabilityService,
+    appointmentService,
+    serviceService,
+    tenantService,
+    tenantClosureService,
+    employeeService,
+    Appointment,
+  } = getServices();
   
   try {
     switch (tool_name) {
       case 'check_availability':
       case 'get_availability': {
-        const queryDate = parameters.date ? new Date(parameters.date) : getNextBusinessDay();
+        const timezone = await getTenantTimezone(tenantId);
+        const queryDate = toDateKey(parameters.date || getNextBusinessDay(), timezone);
         const availability = await availabilityService.getAvailabilityForDate(
           tenantId,
           queryDate,
           parameters.serviceId
         );
+        const closure = await tenantClosureService.getClosureForDate(tenantId, queryDate, timezone);
+        let message = formatAvailabilityResponse(availability);
+
+        // Tell the caller why a holiday has no openings, or that hours are shortened
+        if (closure) {
+          const notice = tenantClosureService.formatClosureNotice(closure, queryDate);
+          message = tenantClosureService.isClosedAllDay(closure)
+            ? `${notice} Would you like to check another date?`
+            : `${notice} ${message}`;
+        }
+
         return { 
           success: true, 
           availability,
-          message: formatAvailabilityResponse(availability),
+          closure: closure ? closure.toSafeObject() : null,
+          message,
+        };
+      }
+      
+      case 'find_next_available':
+      case 'get_next_available': {
+        const result = await availabilityService.findNextAvailableSlots(tenantId, parameters.serviceId, {
+          from: parameters.date || undefined,
+          count: parameters.count,
+          days: parameters.days,
+          employeeId: parameters.employeeId,
+          preferredEmployeeId: parameters.preferredEmployeeId,
+          timeOfDay: parameters.timeOfDay,
+          earliestTime: parameters.earliestTime,
+          latestTime: parameters.latestTime,
+        });
+
+        return {
+          success: true,
+          slots: result.slots,
+          from: result.from,
+          to: result.to,
+          message: formatNextAvailableResponse(result.slots),
+        };
+      }
+      
+      case 'hold_slot':
+      case 'hold_appointment': {
+        // Keep the slot while the caller's details are collected; pass holdId to create_appointment
+        const hold = await appointmentService.holdSlot({
+          employeeId: parameters.employeeId,
+          serviceId: parameters.serviceId,
+          startTime: parameters.startTime,
+          addOns: parameters.addOns,
+          ttlSeconds: parameters.ttlSeconds,
+          reference: parameters.reference || toolData.conversation_id || null,
+        }, tenantId);
+        const minutes = Math.max(Math.round((new Date(hold.expiresAt) - Date.now()) / 60000), 1);
+
+        return {
+          success: true,
+          holdId: hold.id,
+          expiresAt: hold.expiresAt,
+          hold,
+          message: `I'm holding that time for you for the next ${minutes} minute${minutes === 1 ? '' : 's'} while I take your details.`,
+        };
+      }
+
+      case 'release_hold': {
+        await appointmentService.releaseHold(parameters.holdId, tenantId);
+        return {
+          success: true,
+          message: 'The held time has been released.',
         };
       }
       
@@ -413,16 +508,43 @@ const handleElevenLabsToolCall = async (toolData, tenantId) => {
         };
       }
       
+      case 'reschedule_appointment': {
+        const appointment = await appointmentService.updateAppointment(
+          parameters.appointmentId,
+          tenantId,
+          {
+            startTime: parameters.startTime,
+            employeeId: parameters.employeeId,
+          }
+        );
+        return {
+          success: true,
+          appointment: appointment.toSafeObject ? appointment.toSafeObject() : appointment,
+          message: 'Appointment rescheduled successfully',
+        };
+      }
+      
       case 'get_services':
       case 'list_services': {
         const result = await serviceService.getServices(tenantId, { 
           status: 'active',
           limit: parameters.limit || 50,
         });
+        let services = result.services.map(s => s.toSafeObject ? s.toSafeObject() : s);
+        let employee = null;
+
+        // Quote a requested employee's own prices and durations
+        if (parameters.employeeId) {
+          employee = await employeeService.getEmployeeById(parameters.employeeId, tenantId);
+          services = services
+            .filter(s => (employee.serviceIds || []).includes(s.id))
+            .map(s => ({ ...s, ...availabilityService.getEmployeeServiceTerms(s, employee) }));
+        }
+
         return { 
           success: true, 
-          services: result.services.map(s => s.toSafeObject ? s.toSafeObject() : s),
-          message: formatServicesResponse(result.services),
+          services,
+          message: formatServicesResponse(services, employee),
         };
       }
       
@@ -438,11 +560,16 @@ const handleElevenLabsToolCall = async (toolData, tenantId) => {
       case 'get_business_hours': {
         const tenant = await tenantService.getTenantById(tenantId);
         const hours = tenant?.settings?.businessHours || getDefaultBusinessHours();
+        const closures = await tenantClosureService.getUpcomingClosures(tenantId);
+        const announcement = tenantClosureService.formatClosureAnnouncement(closures);
         return { 
           success: true, 
           hours,
-          timezone: tenant?.settings?.timezone || 'UTC',
-          message: formatBusinessHoursResponse(hours),
+          closures,
+          timezone: tenant?.timezone || 'UTC',
+          message: announcement
+            ? `${formatBusinessHoursResponse(hours)} ${announcement}`
+            : formatBusinessHoursResponse(hours),
         };
       }
       
@@ -453,7 +580,7 @@ const handleElevenLabsToolCall = async (toolData, tenantId) => {
           tenant: {
             name: tenant?.name,
             businessHours: tenant?.settings?.businessHours,
-            timezone: tenant?.settings?.timezone,
+            timezone: tenant?.timezone,
           },
         };
       }
@@ -544,16 +671,94 @@ const formatAvailabilityResponse = (availability) => {
 /**
  * Format services response for voice
  * @param {Array} services - Services list
+ * @param {Object} employee - Employee asked about (optional)
  * @returns {string} - Formatted response
  */
-const formatServicesResponse = (services) => {
+const formatServicesResponse = (services, employee = null) => {
   if (!services || services.length === 0) {
     return 'We currently don\'t have any services available.';
   }
   
   const serviceNames = services.slice(0, 5).map(s => s.name).join(', ');
   const more = services.length > 5 ? ` and ${services.length - 5} more` : '';
-  return `We offer: ${serviceNames}${more}. Which service would you like to book?`;
+  const who = employee ? `${employee.firstName} ${employee.lastName} offers` : 'We offer';
+  return `${who}: ${serviceNames}${more}. Which service would you like to book?`;
+};
+
+/**
+ * Format an HH:MM time for speaking, e.g. "2:30 PM"
+ * @param {string} time - Time in HH:MM format
+ * @returns {string} - Formatted time
+ */
+const formatSpokenTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${period}`;
+};
+
+/**
+ * Format next available slots for voice
+ * @param {Array} slots - Slots from findNextAvailableSlots
+ * @returns {string} - Formatted response
+ */
+const formatNextAvailableResponse = (slots) => {
+  if (!slots || slots.length === 0) {
+    return 'I don\'t see any openings coming up for that. Would you like me to try a different time of day or another staff member?';
+  }
+
+  const options = slots.map(slot => {
+    const day = formatDateKey(slot.date, { weekday: 'long', month: 'long', day: 'numeric' });
+    return `${day} at ${formatSpokenTime(slot.startTimeFormatted)} with ${slot.employeeName}`;
+  });
+
+  return `The next available time${options.length > 1 ? 's are' : ' is'} ${options.join('; ')}. Which would you like?`;
+};
+
+/**
+ * Format an appointment time for speaking in the tenant's timezone,
+ * e.g. "Tuesday, March 10 at 2:00 PM"
+ * @param {Date|string} startTime - Appointment start
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Formatted date and time
+ */
+const formatSpokenAppointmentTime = (startTime, timezone) => {
+  const start = new Date(startTime);
+  const day = formatDateKey(getDateKey(start, timezone), { weekday: 'long', month: 'long', day: 'numeric' });
+  return `${day} at ${formatSpokenTime(formatTimeOfDay(start, timezone))}`;
+};
+
+/**
+ * Build the caller dynamic variables for a conversation
+ * Every key is always present (empty for unknown callers) so agent prompts can
+ * reference them without failing
+ * @param {Object|null} profile - Caller profile from customerService.getCallerProfile
+ * @param {string} timezone - Tenant timezone (default: UTC)
+ * @returns {Object} - Dynamic variables
+ */
+const buildCallerVariables = (profile, timezone = 'UTC') => {
+  const employeeName = (employee) => (employee ? `${employee.firstName} ${employee.lastName}` : '');
+  const lastVisit = profile?.lastVisit;
+  const upcoming = profile?.upcomingAppointments || [];
+
+  const upcomingSummary = upcoming.slice(0, 3).map(apt => {
+    const withEmployee = apt.employee ? ` with ${employeeName(apt.employee)}` : '';
+    return `${apt.service?.name || 'Appointment'}${withEmployee} on ${formatSpokenAppointmentTime(apt.startTime, timezone)} (appointment ID ${apt.id})`;
+  }).join('; ');
+
+  return {
+    customer_known: profile ? 'true' : 'false',
+    customer_id: profile?.customer.id || '',
+    customer_name: profile?.customer.name || '',
+    last_service_name: lastVisit?.service?.name || '',
+    last_employee_name: employeeName(lastVisit?.employee),
+    last_visit_date: lastVisit
+      ? formatDateKey(getDateKey(new Date(lastVisit.startTime), timezone), { month: 'long', day: 'numeric', year: 'numeric' })
+      : '',
+    preferred_employee_id: profile?.preferredEmployee?.id || '',
+    preferred_employee_name: profile?.preferredEmployee?.name || '',
+    upcoming_appointments_summary: upcomingSummary,
+    next_appointment_id: upcoming[0]?.id || '',
+  };
 };
 
 /**
@@ -629,13 +834,15 @@ const handleConversationInitiation = async (params) => {
 
   try {
     // Get lazy-loaded services
-    const { tenantService } = getServices();
+    const { tenantService, tenantClosureService, customerService } = getServices();
     
     // Fetch tenant data if tenant ID is available
     let tenant = null;
     let businessName = dynamicVariables.business_name || 'Our Business';
     let businessHours = null;
+    let closureAnnouncement = null;
     let aiTone = null;
+    let callerProfile = null;
 
     if (tenantId) {
       try {
@@ -645,6 +852,9 @@ const handleConversationInitiation = async (params) => {
           businessName = tenant.name || businessName;
           businessHours = tenant.businessHours?.businessHours || getDefaultBusinessHours();
           aiTone = tenant.metadata?.aiTone;
+          closureAnnouncement = tenantClosureService.formatClosureAnnouncement(
+            await tenantClosureService.getUpcomingClosures(tenant.id)
+          );
         }
       } catch (tenantError) {
         // Tenant not found is ok - we'll use defaults
@@ -652,6 +862,15 @@ const handleConversationInitiation = async (params) => {
       }
     }
 
+    // Recognize returning customers so the agent can greet them by name
+    if (tenant && callerNumber) {
+      try {
+        callerProfile = await customerService.getCallerProfile(callerNumber, tenant.id);
+      } catch (lookupError) {
+        logger.warn(`ElevenLabs Conversation Initiation: Caller lookup failed for tenant=${tenantId}: ${lookupError.message}`);
+      }
+    }
+
     // Build dynamic variables for the conversation
     const responseVariables = {
       tenant_id: tenantId || '',
@@ -660,6 +879,7 @@ const handleConversationInitiation = async (params) => {
       caller_number: callerNumber || '',
       call_sid: callSid || '',
       conversation_id: conversationId,
+      ...buildCallerVariables(callerProfile, resolveTimezone(tenant?.timezone)),
     };
 
     // Add business hours as a formatted string for agent context
@@ -667,6 +887,11 @@ const handleConversationInitiation = async (params) => {
       responseVariables.business_hours_summary = formatBusinessHoursResponse(businessHours);
     }
 
+    // Upcoming holidays and closures so the agent can mention them without a tool call
+    if (closureAnnouncement) {
+      responseVariables.upcoming_closures_summary = closureAnnouncement;
+    }
+
     // Build the response with conversation configuration overrides
     // NOTE: first_message cannot be overridden via this webhook or WebSocket connection.
     // It must be configured in the ElevenLabs agent dashboard, where you can use
@@ -715,6 +940,7 @@ const handleConversationInitiation = async (params) => {
         dynamic_variables: {
           tenant_id: tenantId || '',
           business_name: dynamicVariables.business_name || 'Our Business',
+          ...buildCallerVariables(null),
         },
         conversation_config_override: {
           agent: {
@@ -737,6 +963,8 @@ module.exports = {
   getAgentIdForTenant,
   buildMediaStreamUrl,
   formatAvailabilityResponse,
+  formatNextAvailableResponse,
   formatServicesResponse,
   formatBusinessHoursResponse,
+  buildCallerVariables,
 };
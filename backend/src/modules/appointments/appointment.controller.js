@@ -4,8 +4,25 @@
  */
 const appointmentService = require('./appointment.service');
 const availabilityService = require('./availability.service');
+const { APPOINTMENT_STATUS } = require('./appointment.model');
+const { MAX_HOLD_TTL_SECONDS } = require('./slotHold.model');
+const {
+  SERIES_FREQUENCY,
+  SERIES_SCOPE,
+  MAX_SERIES_OCCURRENCES,
+  MAX_SERIES_INTERVAL,
+} = require('./appointmentSeries.model');
+const {
+  MIN_GROUP_MEMBERS,
+  MAX_GROUP_MEMBERS,
+  MAX_GROUP_RESOURCES,
+  MIN_MULTI_SERVICE_SEGMENTS,
+  MAX_MULTI_SERVICE_SEGMENTS,
+} = require('./appointmentGroup.model');
 const { getTenantUUID } = require('../../utils/tenant');
+const { DATE_KEY_REGEX } = require('../../utils/timezone');
 const { EMAIL_REGEX, UUID_REGEX, TIME_REGEX } = require('../../utils/validation');
+const { getScopedEmployeeId } = require('../auth/auth.middleware');
 
 /**
  * Validation patterns
@@ -16,6 +33,107 @@ const VALIDATION = {
   TIME_REGEX,
 };
 
+/**
+ * Statuses staff limited to their own calendar may set on their appointments
+ */
+const SELF_SERVICE_STATUSES = [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.NO_SHOW];
+
+/**
+ * Check an update from staff limited to their own calendar, who may only mark
+ * an appointment completed or no-show
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if allowed
+ */
+const validateSelfServiceUpdate = (body) => {
+  const changes = Object.keys(body).filter(key => key !== 'tenantId' && body[key] !== undefined);
+
+  if (changes.length !== 1 || changes[0] !== 'status' || !SELF_SERVICE_STATUSES.includes(body.status)) {
+    return `You can only set your appointments to: ${SELF_SERVICE_STATUSES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check the recurrence settings of a recurring booking
+ * @param {Object} recurrence - { frequency, interval, count, endDate }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRecurrence = (recurrence) => {
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return 'Recurrence must be an object';
+  }
+
+  const { frequency, interval, count, endDate } = recurrence;
+
+  if (!Object.values(SERIES_FREQUENCY).includes(frequency)) {
+    return `Recurrence frequency must be one of: ${Object.values(SERIES_FREQUENCY).join(', ')}`;
+  }
+
+  if (interval !== undefined &&
+      (!Number.isInteger(interval) || interval < 1 || interval > MAX_SERIES_INTERVAL)) {
+    return `Recurrence interval must be a whole number between 1 and ${MAX_SERIES_INTERVAL}`;
+  }
+
+  if (count === undefined && !endDate) {
+    return 'Recurrence requires a count or an end date';
+  }
+
+  if (count !== undefined &&
+      (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES)) {
+    return `Recurrence count must be a whole number between 2 and ${MAX_SERIES_OCCURRENCES}`;
+  }
+
+  if (endDate && (!DATE_KEY_REGEX.test(endDate) || isNaN(new Date(endDate).getTime()))) {
+    return 'Invalid recurrence end date format. Use YYYY-MM-DD';
+  }
+
+  return null;
+};
+
+/**
+ * Check the members and resources of a group booking
+ * @param {Array} members - [{ employeeId, serviceId, addOns, guestName }]
+ * @param {Array} resourceIds - Resource IDs (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateGroup = (members, resourceIds) => {
+  if (!Array.isArray(members) || members.length < MIN_GROUP_MEMBERS || members.length > MAX_GROUP_MEMBERS) {
+    return `A group booking needs between ${MIN_GROUP_MEMBERS} and ${MAX_GROUP_MEMBERS} members`;
+  }
+
+  for (const member of members) {
+    if (!member || typeof member !== 'object' || !member.employeeId || !member.serviceId) {
+      return 'Each member requires an employee ID and a service ID';
+    }
+
+    if (!VALIDATION.UUID_REGEX.test(member.employeeId) || !VALIDATION.UUID_REGEX.test(member.serviceId)) {
+      return 'Invalid employee or service ID format';
+    }
+
+    if (member.addOns !== undefined && !Array.isArray(member.addOns)) {
+      return 'Member add-ons must be an array';
+    }
+
+    if (member.guestName !== undefined && member.guestName !== null &&
+        (typeof member.guestName !== 'string' || member.guestName.length > 200)) {
+      return 'Guest name must be a string of at most 200 characters';
+    }
+  }
+
+  if (resourceIds !== undefined) {
+    if (!Array.isArray(resourceIds) || resourceIds.length > MAX_GROUP_RESOURCES) {
+      return `Resource IDs must be an array of at most ${MAX_GROUP_RESOURCES} IDs`;
+    }
+
+    if (!resourceIds.every(id => VALIDATION.UUID_REGEX.test(id))) {
+      return 'Invalid resource ID format';
+    }
+  }
+
+  return null;
+};
+
 /**
  * GET /api/appointments
  * Get all appointments for tenant
@@ -25,9 +143,10 @@ const getAppointments = async (req, res, next) => {
     const { status, employeeId, startDate, endDate, customerEmail, limit, offset } = req.query;
     const tenantUUID = await getTenantUUID(req.tenantId);
 
+    // Staff limited to their own calendar only see their own appointments
     const result = await appointmentService.getAppointments(tenantUUID, {
       status,
-      employeeId,
+      employeeId: getScopedEmployeeId(req.user) || employeeId,
       startDate,
       endDate,
       customerEmail,
@@ -53,6 +172,15 @@ const getAppointment = async (req, res, next) => {
     const tenantUUID = await getTenantUUID(req.tenantId);
     const appointment = await appointmentService.getAppointmentById(req.params.id, tenantUUID);
 
+    const scopedEmployeeId = getScopedEmployeeId(req.user);
+    if (scopedEmployeeId && appointment.employeeId !== scopedEmployeeId) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only access your own appointments',
+        code: 'FORBIDDEN',
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: { appointment },
@@ -62,9 +190,35 @@ const getAppointment = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/appointments/series/:seriesId
+ * Get a recurring series with its occurrences
+ */
+const getSeries = async (req, res, next) => {
+  try {
+    if (!VALIDATION.UUID_REGEX.test(req.params.seriesId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid series ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await appointmentService.getSeriesById(req.params.seriesId, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/appointments
- * Create a new appointment
+ * Create a new appointment, or a recurring series when recurrence is given
  */
 const createAppointment = async (req, res, next) => {
   try {
@@ -77,6 +231,8 @@ const createAppointment = async (req, res, next) => {
       startTime,
       addOns,
       notes,
+      holdId,
+      recurrence,
     } = req.body;
 
     // Validate required fields
@@ -114,6 +270,14 @@ const createAppointment = async (req, res, next) => {
       });
     }
 
+    if (holdId && !VALIDATION.UUID_REGEX.test(holdId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid hold ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
     // Validate startTime is a valid datetime
     const startDateTime = new Date(startTime);
     if (isNaN(startDateTime.getTime())) {
@@ -133,7 +297,50 @@ const createAppointment = async (req, res, next) => {
       });
     }
 
+    if (recurrence !== undefined && recurrence !== null) {
+      const recurrenceError = validateRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          error: recurrenceError,
+          code: 'VALIDATION_ERROR',
+        });
+      }
+
+      if (holdId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Slot holds cannot be used for recurring appointments',
+          code: 'VALIDATION_ERROR',
+        });
+      }
+    }
+
     const tenantUUID = await getTenantUUID(req.tenantId);
+
+    // Recurring bookings create a series; occurrences that couldn't be booked are listed in skipped
+    if (recurrence) {
+      const result = await appointmentService.createRecurringAppointments({
+        employeeId,
+        serviceId,
+        customerName,
+        customerEmail,
+        customerPhone,
+        startTime,
+        addOns,
+        notes,
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        occurrenceCount: recurrence.count,
+        endDate: recurrence.endDate,
+      }, tenantUUID);
+
+      return res.status(201).json({
+        success: true,
+        data: result,
+      });
+    }
+
     const appointment = await appointmentService.createAppointment({
       employeeId,
       serviceId,
@@ -143,6 +350,7 @@ const createAppointment = async (req, res, next) => {
       startTime,
       addOns,
       notes,
+      holdId,
     }, tenantUUID);
 
     res.status(201).json({
@@ -155,24 +363,85 @@ const createAppointment = async (req, res, next) => {
 };
 
 /**
- * PATCH /api/appointments/:id
- * Update appointment (reschedule)
+ * GET /api/appointments/groups/:groupId
+ * Get a group booking with its members and reserved resources
  */
-const updateAppointment = async (req, res, next) => {
-  console.log('Update appointment called', req.params.id, req.body);
+const getGroup = async (req, res, next) => {
+  try {
+    if (!VALIDATION.UUID_REGEX.test(req.params.groupId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid group ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await appointmentService.getGroupById(req.params.groupId, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check the services of a multi-service booking
+ * @param {Array} services - [{ serviceId, employeeId, addOns }] in the order they happen
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateMultiServiceSegments = (services) => {
+  if (!Array.isArray(services) ||
+      services.length < MIN_MULTI_SERVICE_SEGMENTS || services.length > MAX_MULTI_SERVICE_SEGMENTS) {
+    return `A multi-service booking needs between ${MIN_MULTI_SERVICE_SEGMENTS} and ${MAX_MULTI_SERVICE_SEGMENTS} services`;
+  }
+
+  for (const segment of services) {
+    if (!segment || typeof segment !== 'object' || !segment.serviceId || !segment.employeeId) {
+      return 'Each service requires a service ID and an employee ID';
+    }
+
+    if (!VALIDATION.UUID_REGEX.test(segment.serviceId) || !VALIDATION.UUID_REGEX.test(segment.employeeId)) {
+      return 'Invalid employee or service ID format';
+    }
+
+    if (segment.addOns !== undefined && !Array.isArray(segment.addOns)) {
+      return 'Service add-ons must be an array';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * POST /api/appointments/groups
+ * Book several employees, and optionally rooms or chairs, for one party at the same time
+ */
+const createGroupAppointment = async (req, res, next) => {
   try {
     const {
-      tenantId,
-      employeeId,
-      startTime,
-      addOns,
-      notes,
-      status,
+      name,
       customerName,
       customerEmail,
       customerPhone,
+      startTime,
+      notes,
+      members,
+      resourceIds,
     } = req.body;
 
+    // Validate required fields
+    if (!customerName || !startTime || !members) {
+      return res.status(400).json({
+        success: false,
+        error: 'Customer name, start time, and members are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
     // Validate email format if provided
     if (customerEmail && !VALIDATION.EMAIL_REGEX.test(customerEmail)) {
       return res.status(400).json({
@@ -182,98 +451,53 @@ const updateAppointment = async (req, res, next) => {
       });
     }
 
-    // Validate UUID format if employee ID provided
-    if (employeeId && !VALIDATION.UUID_REGEX.test(employeeId)) {
+    const groupError = validateGroup(members, resourceIds);
+    if (groupError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid employee ID format',
+        error: groupError,
         code: 'VALIDATION_ERROR',
       });
     }
 
-    // Validate startTime if provided
-    if (startTime) {
-      const startDateTime = new Date(startTime);
-      if (isNaN(startDateTime.getTime())) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid start time format',
-          code: 'VALIDATION_ERROR',
-        });
-      }
-
-      if (startDateTime <= new Date()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Appointment time must be in the future',
-          code: 'VALIDATION_ERROR',
-        });
-      }
-    }
-
-    const tenantUUID = await getTenantUUID(tenantId);
-    const appointment = await appointmentService.updateAppointment(req.params.id, tenantUUID, {
-      employeeId,
-      startTime,
-      addOns,
-      notes,
-      status,
-      customerName,
-      customerEmail,
-      customerPhone,
-    });
-
-    res.status(200).json({
-      success: true,
-      data: { appointment },
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * DELETE /api/appointments/:id
- * Cancel or delete appointment
- */
-const deleteAppointment = async (req, res, next) => {
-  console.log('Delete appointment called', req.params.id); 
-  try {
-    //const { reason, notes, hardDelete } = req.body;
-    const reason = "";
-    const notes = "";
-    const hardDelete = true;
-
-    const tenantUUID = await getTenantUUID(req.tenantId);
-
-    // If hardDelete is true, permanently delete the appointment
-    if (hardDelete === true) {
-      const result = await appointmentService.deleteAppointment(req.params.id, tenantUUID);
-      return res.status(200).json({
-        success: true,
-        data: result,
+    // Validate startTime is a valid datetime in the future
+    const startDateTime = new Date(startTime);
+    if (isNaN(startDateTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid start time format',
+        code: 'VALIDATION_ERROR',
       });
     }
 
-    // Otherwise, cancel the appointment (soft delete)
-    if (!reason) {
+    if (startDateTime <= new Date()) {
       return res.status(400).json({
         success: false,
-        error: 'Cancellation reason is required',
+        error: 'Appointment time must be in the future',
         code: 'VALIDATION_ERROR',
       });
     }
 
-    const appointment = await appointmentService.cancelAppointment(
-      req.params.id,
-      tenantUUID,
-      reason,
-      notes
-    );
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await appointmentService.createGroupAppointment({
+      name,
+      customerName,
+      customerEmail,
+      customerPhone,
+      startTime,
+      notes,
+      members: members.map(({ employeeId, serviceId, addOns, guestName }) => ({
+        employeeId,
+        serviceId,
+        addOns,
+        guestName,
+      })),
+      resourceIds,
+    }, tenantUUID);
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      data: { appointment },
+      data: result,
     });
   } catch (error) {
     next(error);
@@ -281,32 +505,349 @@ const deleteAppointment = async (req, res, next) => {
 };
 
 /**
- * GET /api/availability
- * Get availability for scheduling
+ * POST /api/appointments/multi-service
+ * Book several services back to back for one customer
  */
-const getAvailability = async (req, res, next) => {
+const createMultiServiceAppointment = async (req, res, next) => {
   try {
-    const { serviceId, employeeId, date, startDate, endDate } = req.query;
+    const {
+      customerName,
+      customerEmail,
+      customerPhone,
+      startTime,
+      notes,
+      services,
+    } = req.body;
 
     // Validate required fields
-    if (!serviceId) {
+    if (!customerName || !startTime || !services) {
       return res.status(400).json({
         success: false,
-        error: 'Service ID is required',
+        error: 'Customer name, start time, and services are required',
         code: 'VALIDATION_ERROR',
       });
     }
 
-    // Validate UUID format
-    if (!VALIDATION.UUID_REGEX.test(serviceId)) {
+    // Validate email format if provided
+    if (customerEmail && !VALIDATION.EMAIL_REGEX.test(customerEmail)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid service ID format',
+        error: 'Invalid customer email format',
         code: 'VALIDATION_ERROR',
       });
     }
 
-    if (employeeId && !VALIDATION.UUID_REGEX.test(employeeId)) {
+    const servicesError = validateMultiServiceSegments(services);
+    if (servicesError) {
+      return res.status(400).json({
+        success: false,
+        error: servicesError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Validate startTime is a valid datetime in the future
+    const startDateTime = new Date(startTime);
+    if (isNaN(startDateTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid start time format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (startDateTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Appointment time must be in the future',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await appointmentService.createMultiServiceAppointment({
+      customerName,
+      customerEmail,
+      customerPhone,
+      startTime,
+      notes,
+      services: services.map(({ serviceId, employeeId, addOns }) => ({ serviceId, employeeId, addOns })),
+    }, tenantUUID);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/appointments/groups/:groupId
+ * Cancel a group booking and release its resources
+ */
+const cancelGroup = async (req, res, next) => {
+  try {
+    const { reason, notes } = req.body || {};
+
+    if (!VALIDATION.UUID_REGEX.test(req.params.groupId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid group ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cancellation reason is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await appointmentService.cancelGroup(req.params.groupId, tenantUUID, reason, notes);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/appointments/:id
+ * Update appointment (reschedule)
+ */
+const updateAppointment = async (req, res, next) => {
+  console.log('Update appointment called', req.params.id, req.body);
+  try {
+    const {
+      employeeId,
+      startTime,
+      addOns,
+      notes,
+      status,
+      customerName,
+      customerEmail,
+      customerPhone,
+      scope,
+    } = req.body;
+
+    // Validate email format if provided
+    if (customerEmail && !VALIDATION.EMAIL_REGEX.test(customerEmail)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer email format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (scope !== undefined && !Object.values(SERIES_SCOPE).includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${Object.values(SERIES_SCOPE).join(', ')}`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (scope && scope !== SERIES_SCOPE.THIS && addOns !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Add-ons can only be changed on a single appointment',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Validate UUID format if employee ID provided
+    if (employeeId && !VALIDATION.UUID_REGEX.test(employeeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid employee ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Validate startTime if provided
+    if (startTime) {
+      const startDateTime = new Date(startTime);
+      if (isNaN(startDateTime.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid start time format',
+          code: 'VALIDATION_ERROR',
+        });
+      }
+
+      if (startDateTime <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Appointment time must be in the future',
+          code: 'VALIDATION_ERROR',
+        });
+      }
+    }
+
+    // Staff limited to their own calendar may only mark their own appointments
+    // completed or no-show
+    const scopedEmployeeId = getScopedEmployeeId(req.user);
+    if (scopedEmployeeId) {
+      const selfServiceError = validateSelfServiceUpdate(req.body);
+      if (selfServiceError) {
+        return res.status(403).json({
+          success: false,
+          error: selfServiceError,
+          code: 'FORBIDDEN',
+        });
+      }
+    }
+
+    // The appointment is looked up in the tenant of the caller's token
+    const tenantUUID = await getTenantUUID(req.user.tenantId);
+
+    if (scopedEmployeeId) {
+      const current = await appointmentService.getAppointmentById(req.params.id, tenantUUID);
+      if (current.employeeId !== scopedEmployeeId) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only access your own appointments',
+          code: 'FORBIDDEN',
+        });
+      }
+    }
+
+    // Apply the change to the following occurrences of a recurring series, or all of them
+    if (scope && scope !== SERIES_SCOPE.THIS) {
+      const result = await appointmentService.updateAppointmentSeries(req.params.id, tenantUUID, {
+        employeeId,
+        startTime,
+        notes,
+        status,
+        customerName,
+        customerEmail,
+        customerPhone,
+      }, scope);
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+      });
+    }
+
+    const appointment = await appointmentService.updateAppointment(req.params.id, tenantUUID, {
+      employeeId,
+      startTime,
+      addOns,
+      notes,
+      status,
+      customerName,
+      customerEmail,
+      customerPhone,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { appointment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/appointments/:id
+ * Cancel or delete appointment
+ * The scope query parameter cancels the following or all upcoming occurrences of a series
+ */
+const deleteAppointment = async (req, res, next) => {
+  try {
+    const { reason, notes, hardDelete } = req.body || {};
+    const { scope } = req.query;
+
+    if (scope !== undefined && !Object.values(SERIES_SCOPE).includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${Object.values(SERIES_SCOPE).join(', ')}`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (hardDelete === true && scope && scope !== SERIES_SCOPE.THIS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scope can only be used when cancelling',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+
+    // If hardDelete is true, permanently delete the appointment
+    if (hardDelete === true) {
+      const result = await appointmentService.deleteAppointment(req.params.id, tenantUUID);
+      return res.status(200).json({
+        success: true,
+        data: result,
+      });
+    }
+
+    // Otherwise, cancel the appointment (soft delete)
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cancellation reason is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const appointment = await appointmentService.cancelAppointment(
+      req.params.id,
+      tenantUUID,
+      reason,
+      notes,
+      { scope }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { appointment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/availability
+ * Get availability for scheduling
+ */
+const getAvailability = async (req, res, next) => {
+  try {
+    const { serviceId, employeeId, date, startDate, endDate } = req.query;
+
+    // Validate required fields
+    if (!serviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Service ID is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Validate UUID format
+    if (!VALIDATION.UUID_REGEX.test(serviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (employeeId && !VALIDATION.UUID_REGEX.test(employeeId)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid employee ID format',
@@ -337,10 +878,11 @@ const getAvailability = async (req, res, next) => {
         });
       }
 
+      // Date-only strings are calendar dates in the tenant's timezone, so pass them through unparsed
       const availability = await availabilityService.getAvailabilityForDateRange(
         tenantUUID,
-        start,
-        end,
+        startDate,
+        endDate,
         serviceId,
         employeeId
       );
@@ -364,7 +906,7 @@ const getAvailability = async (req, res, next) => {
     const employeeIds = employeeId ? [employeeId] : null;
     const availability = await availabilityService.getAvailabilityForDate(
       tenantUUID,
-      targetDate,
+      date || targetDate,
       serviceId,
       employeeIds
     );
@@ -378,11 +920,349 @@ const getAvailability = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/availability/next
+ * Find the next available slots for a service across employees and days
+ */
+const getNextAvailability = async (req, res, next) => {
+  try {
+    const {
+      serviceId,
+      employeeId,
+      preferredEmployeeId,
+      from,
+      count,
+      days,
+      timeOfDay,
+      earliestTime,
+      latestTime,
+    } = req.query;
+
+    if (!serviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Service ID is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (!VALIDATION.UUID_REGEX.test(serviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if ((employeeId && !VALIDATION.UUID_REGEX.test(employeeId)) ||
+        (preferredEmployeeId && !VALIDATION.UUID_REGEX.test(preferredEmployeeId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid employee ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (from && isNaN(new Date(from).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if ((count && !/^\d+$/.test(count)) || (days && !/^\d+$/.test(days))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Count and days must be positive whole numbers',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if ((earliestTime && !VALIDATION.TIME_REGEX.test(earliestTime)) ||
+        (latestTime && !VALIDATION.TIME_REGEX.test(latestTime))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time format. Use HH:MM (24-hour format)',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+
+    const result = await availabilityService.findNextAvailableSlots(tenantUUID, serviceId, {
+      from: from || undefined,
+      count: count ? Number(count) : undefined,
+      days: days ? Number(days) : undefined,
+      employeeId,
+      preferredEmployeeId,
+      timeOfDay,
+      earliestTime,
+      latestTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/availability/group
+ * Find start times on a date when a group can be booked together
+ */
+const getGroupAvailability = async (req, res, next) => {
+  try {
+    const { date, serviceIds, employeeIds, resourceIds } = req.query;
+    const parseIds = (value) => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : []);
+    const serviceIdList = parseIds(serviceIds);
+    const employeeIdList = parseIds(employeeIds);
+    const resourceIdList = parseIds(resourceIds);
+
+    if (!date || serviceIdList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date and service IDs are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (serviceIdList.length < MIN_GROUP_MEMBERS || serviceIdList.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `A group booking needs between ${MIN_GROUP_MEMBERS} and ${MAX_GROUP_MEMBERS} services, one per member`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (resourceIdList.length > MAX_GROUP_RESOURCES) {
+      return res.status(400).json({
+        success: false,
+        error: `A group booking can reserve at most ${MAX_GROUP_RESOURCES} resources`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (![...serviceIdList, ...employeeIdList, ...resourceIdList].every(id => VALIDATION.UUID_REGEX.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await availabilityService.findGroupSlots(tenantUUID, {
+      date,
+      serviceIds: serviceIdList,
+      employeeIds: employeeIdList.length > 0 ? employeeIdList : null,
+      resourceIds: resourceIdList,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/availability/multi-service
+ * Find start times on a date when several services can be booked back to back
+ */
+const getMultiServiceAvailability = async (req, res, next) => {
+  try {
+    const { date, serviceIds, employeeIds } = req.query;
+    const parseIds = (value) => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : []);
+    const serviceIdList = parseIds(serviceIds);
+    const employeeIdList = parseIds(employeeIds);
+
+    if (!date || serviceIdList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date and service IDs are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (serviceIdList.length < MIN_MULTI_SERVICE_SEGMENTS || serviceIdList.length > MAX_MULTI_SERVICE_SEGMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `A multi-service booking needs between ${MIN_MULTI_SERVICE_SEGMENTS} and ${MAX_MULTI_SERVICE_SEGMENTS} services`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (![...serviceIdList, ...employeeIdList].every(id => VALIDATION.UUID_REGEX.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await availabilityService.findMultiServiceSlots(tenantUUID, {
+      date,
+      serviceIds: serviceIdList,
+      employeeIds: employeeIdList.length > 0 ? employeeIdList : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/availability/holds
+ * Hold a slot while a booking is confirmed
+ */
+const createHold = async (req, res, next) => {
+  try {
+    const {
+      employeeId,
+      serviceId,
+      startTime,
+      addOns,
+      ttlSeconds,
+      reference,
+    } = req.body;
+
+    if (!employeeId || !serviceId || !startTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Employee ID, service ID, and start time are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (!VALIDATION.UUID_REGEX.test(employeeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid employee ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (!VALIDATION.UUID_REGEX.test(serviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const startDateTime = new Date(startTime);
+    if (isNaN(startDateTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid start time format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (startDateTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Hold time must be in the future',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (ttlSeconds !== undefined &&
+        (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_HOLD_TTL_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `TTL must be a whole number of seconds between 1 and ${MAX_HOLD_TTL_SECONDS}`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const hold = await appointmentService.holdSlot({
+      employeeId,
+      serviceId,
+      startTime,
+      addOns,
+      ttlSeconds,
+      reference,
+    }, tenantUUID);
+
+    res.status(201).json({
+      success: true,
+      data: { hold },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/availability/holds/:holdId
+ * Release a slot hold early
+ */
+const deleteHold = async (req, res, next) => {
+  try {
+    if (!VALIDATION.UUID_REGEX.test(req.params.holdId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid hold ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await appointmentService.releaseHold(req.params.holdId, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAppointments,
   getAppointment,
+  getSeries,
+  getGroup,
   createAppointment,
+  createGroupAppointment,
+  createMultiServiceAppointment,
   updateAppointment,
   deleteAppointment,
+  cancelGroup,
   getAvailability,
+  getNextAvailability,
+  getGroupAvailability,
+  getMultiServiceAvailability,
+  createHold,
+  deleteHold,
 };
@@ -54,6 +54,36 @@ const Appointment = sequelize.define('Appointment', {
     allowNull: false,
     field: 'service_id',
   },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'customer_id',
+    references: {
+      model: 'customers',
+      key: 'id',
+    },
+    comment: 'Customer record matched from the contact details when booking',
+  },
+  seriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'series_id',
+    references: {
+      model: 'appointment_series',
+      key: 'id',
+    },
+    comment: 'Recurring series this appointment is an occurrence of',
+  },
+  groupId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'group_id',
+    references: {
+      model: 'appointment_groups',
+      key: 'id',
+    },
+    comment: 'Group booking this appointment is a member of',
+  },
   customerName: {
     type: DataTypes.STRING(200),
     allowNull: false,
@@ -120,6 +150,20 @@ const Appointment = sequelize.define('Appointment', {
     field: 'total_duration',
     comment: 'Total duration in minutes including add-ons',
   },
+  bufferBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'buffer_before',
+    comment: 'Minutes blocked before startTime for preparation, not shown to the customer',
+  },
+  bufferAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'buffer_after',
+    comment: 'Minutes blocked after endTime for cleanup or processing, not shown to the customer',
+  },
   cancellationReason: {
     type: DataTypes.ENUM(...Object.values(CANCELLATION_REASONS)),
     allowNull: true,
@@ -158,6 +202,15 @@ const Appointment = sequelize.define('Appointment', {
     {
       fields: ['tenant_id', 'customer_email'],
     },
+    {
+      fields: ['tenant_id', 'customer_id'],
+    },
+    {
+      fields: ['tenant_id', 'series_id', 'start_time'],
+    },
+    {
+      fields: ['tenant_id', 'group_id'],
+    },
   ],
 });
 
@@ -223,6 +276,36 @@ Appointment.setupAssociations = (models) => {
     foreignKey: 'serviceId', 
     as: 'service' 
   });
+  if (models.Customer) {
+    Appointment.belongsTo(models.Customer, {
+      foreignKey: 'customerId',
+      as: 'customer',
+    });
+    models.Customer.hasMany(Appointment, {
+      foreignKey: 'customerId',
+      as: 'appointments',
+    });
+  }
+  if (models.AppointmentSeries) {
+    Appointment.belongsTo(models.AppointmentSeries, {
+      foreignKey: 'seriesId',
+      as: 'series',
+    });
+    models.AppointmentSeries.hasMany(Appointment, {
+      foreignKey: 'seriesId',
+      as: 'appointments',
+    });
+  }
+  if (models.AppointmentGroup) {
+    Appointment.belongsTo(models.AppointmentGroup, {
+      foreignKey: 'groupId',
+      as: 'group',
+    });
+    models.AppointmentGroup.hasMany(Appointment, {
+      foreignKey: 'groupId',
+      as: 'appointments',
+    });
+  }
 };
 
 module.exports = {
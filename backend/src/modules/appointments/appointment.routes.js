@@ -5,7 +5,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const appointmentController = require('./appointment.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, optionalAuthMiddleware, denyEmployeeScope } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
@@ -29,22 +29,39 @@ const standardLimiter = rateLimit({
 });
 
 /**
- * GET routes require authentication, POST/PATCH/DELETE do not
+ * Booking routes take an optional token; everything else requires authentication
+ * Staff limited to their own calendar only see their own appointments, can only
+ * mark them completed or no-show, and can't book, cancel or view groups and series
  */
 
 // GET /api/appointments - Get all appointments
 router.get('/', standardLimiter, authMiddleware, appointmentController.getAppointments);
 
+// GET /api/appointments/series/:seriesId - Get a recurring series with its occurrences
+router.get('/series/:seriesId', standardLimiter, authMiddleware, denyEmployeeScope, appointmentController.getSeries);
+
+// GET /api/appointments/groups/:groupId - Get a group booking with its members and resources
+router.get('/groups/:groupId', standardLimiter, authMiddleware, denyEmployeeScope, appointmentController.getGroup);
+
 // GET /api/appointments/:id - Get appointment by ID
 router.get('/:id', standardLimiter, authMiddleware, appointmentController.getAppointment);
 
-// POST /api/appointments - Create a new appointment
-router.post('/', standardLimiter, appointmentController.createAppointment);
+// POST /api/appointments - Create a new appointment or recurring series
+router.post('/', standardLimiter, optionalAuthMiddleware, denyEmployeeScope, appointmentController.createAppointment);
+
+// POST /api/appointments/groups - Book several employees and resources for one party
+router.post('/groups', standardLimiter, optionalAuthMiddleware, denyEmployeeScope, appointmentController.createGroupAppointment);
+
+// POST /api/appointments/multi-service - Book several services back to back for one customer
+router.post('/multi-service', standardLimiter, optionalAuthMiddleware, denyEmployeeScope, appointmentController.createMultiServiceAppointment);
 
 // PATCH /api/appointments/:id - Update appointment (reschedule)
-router.patch('/:id', standardLimiter, appointmentController.updateAppointment);
+router.patch('/:id', standardLimiter, authMiddleware, appointmentController.updateAppointment);
+
+// DELETE /api/appointments/groups/:groupId - Cancel a group booking
+router.delete('/groups/:groupId', standardLimiter, authMiddleware, denyEmployeeScope, appointmentController.cancelGroup);
 
 // DELETE /api/appointments/:id - Cancel or delete appointment
-router.delete('/:id', standardLimiter, appointmentController.deleteAppointment);
+router.delete('/:id', standardLimiter, authMiddleware, denyEmployeeScope, appointmentController.deleteAppointment);
 
 module.exports = router;
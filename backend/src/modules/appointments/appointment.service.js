@@ -2,24 +2,104 @@
  * Appointment Service
  * Handles all appointment business logic
  */
-const { Op } = require('sequelize');
+const { Op, Transaction } = require('sequelize');
+const { sequelize } = require('../../config/db');
 const { Appointment, APPOINTMENT_STATUS, CANCELLATION_REASONS } = require('./appointment.model');
-const { checkSlotAvailability } = require('./availability.service');
+const { SlotHold, DEFAULT_HOLD_TTL_SECONDS, MAX_HOLD_TTL_SECONDS } = require('./slotHold.model');
+const {
+  AppointmentSeries,
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  SERIES_SCOPE,
+  MAX_SERIES_OCCURRENCES,
+} = require('./appointmentSeries.model');
+const { AppointmentGroup, GROUP_STATUS, GROUP_TYPES } = require('./appointmentGroup.model');
+const { ResourceBooking } = require('../resources/resourceBooking.model');
+const resourceService = require('../resources/resource.service');
+const {
+  checkSlotAvailability,
+  getGroupResourceDemand,
+  getResourceBlockedPeriods,
+  getEmployeeServiceTerms,
+} = require('./availability.service');
 const { Employee, EMPLOYEE_STATUS } = require('../employees/employee.model');
-const { Service } = require('../services/service.model');
+const { Service, MAX_BUFFER_MINUTES } = require('../services/service.model');
+const { Customer } = require('../customers/customer.model');
+const { findOrCreateCustomer } = require('../customers/customer.service');
 const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
+const { normalizePhoneNumber } = require('../../utils/phone');
+const {
+  getTenantTimezone,
+  getDateKey,
+  getMinutesOfDay,
+  addDaysToDateKey,
+  addMonthsToDateKey,
+  getDaysBetweenDateKeys,
+  formatDateKey,
+  zonedTimeToUtc,
+} = require('../../utils/timezone');
 const smsService = require('./sms.service');
 
 /**
- * Calculate total price and duration for an appointment
+ * The waitlist service books through this one, so it is loaded on first use to avoid a cycle
+ */
+let _waitlistService = null;
+const getWaitlistService = () => {
+  if (!_waitlistService) {
+    _waitlistService = require('../waitlist/waitlist.service');
+  }
+  return _waitlistService;
+};
+
+/**
+ * Offer slots freed by a cancellation or reschedule to the waitlist
+ * Runs in the background (don't wait for the SMS offers to go out); past slots are ignored
+ * @param {Array<Object>} slots - Freed slots { employeeId, startTime, endTime }
+ * @param {string} tenantId - Tenant identifier
+ */
+const notifyWaitlist = (slots, tenantId) => {
+  const now = new Date();
+
+  for (const slot of slots) {
+    if (new Date(slot.startTime) <= now) {
+      continue;
+    }
+
+    getWaitlistService().offerFreedSlot(slot, tenantId)
+      .catch(error => {
+        logger.error(`Failed to offer freed slot to waitlist for tenant ${tenantId}: ${error.message}`);
+      });
+  }
+};
+
+/**
+ * Get the slot an appointment occupies
+ * @param {Object} appointment - Appointment
+ * @returns {Object} - { employeeId, startTime, endTime }
+ */
+const getFreedSlot = (appointment) => ({
+  employeeId: appointment.employeeId,
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+});
+
+/**
+ * Calculate total price, duration and buffers for an appointment
+ * Buffers block the employee's calendar but are not part of the customer-facing duration.
+ * The employee's price and duration for the service, if they have their own, replace the
+ * service's; add-ons are priced the same whoever does them
  * @param {Object} service - Service object
  * @param {Array} addOnIds - Array of add-on IDs
- * @returns {Object} - { totalPrice, totalDuration }
+ * @param {Object} employee - Employee doing the service (optional)
+ * @returns {Object} - { totalPrice, totalDuration, bufferBefore, bufferAfter }
  */
-const calculateTotals = (service, addOnIds = []) => {
-  let totalPrice = parseFloat(service.price);
-  let totalDuration = service.duration;
+const calculateTotals = (service, addOnIds = [], employee = null) => {
+  const terms = getEmployeeServiceTerms(service, employee);
+  let totalPrice = parseFloat(terms.price);
+  let totalDuration = terms.duration;
+  let bufferBefore = service.bufferBefore || 0;
+  let bufferAfter = service.bufferAfter || 0;
 
   if (addOnIds.length > 0 && service.addOns) {
     for (const addOnId of addOnIds) {
@@ -27,113 +107,1000 @@ const calculateTotals = (service, addOnIds = []) => {
       if (addOn) {
         totalPrice += parseFloat(addOn.price || 0);
         totalDuration += parseInt(addOn.duration || 0, 10);
+        bufferBefore += parseInt(addOn.bufferBefore || 0, 10);
+        bufferAfter += parseInt(addOn.bufferAfter || 0, 10);
+      }
+    }
+  }
+
+  return {
+    totalPrice,
+    totalDuration,
+    bufferBefore: Math.min(bufferBefore, MAX_BUFFER_MINUTES),
+    bufferAfter: Math.min(bufferAfter, MAX_BUFFER_MINUTES),
+  };
+};
+
+/**
+ * Calculate the combined price and duration of several services booked back to back
+ * @param {Array<Object>} segments - { service, addOns, employee } for each service
+ * @returns {Object} - { totalPrice, totalDuration, segments } where segments holds calculateTotals for each service
+ */
+const calculateCombinedTotals = (segments) => {
+  const segmentTotals = segments.map(({ service, addOns = [], employee = null }) =>
+    calculateTotals(service, addOns, employee)
+  );
+
+  return {
+    totalPrice: segmentTotals.reduce((total, totals) => total + totals.totalPrice, 0),
+    totalDuration: segmentTotals.reduce((total, totals) => total + totals.totalDuration, 0),
+    segments: segmentTotals,
+  };
+};
+
+/**
+ * Calculate end time from start time and duration
+ * @param {Date} startTime - Start time as Date object
+ * @param {number} durationMinutes - Duration in minutes
+ * @returns {Date} - End time as Date object
+ */
+const calculateEndTime = (startTime, durationMinutes) => {
+  const startDateTime = new Date(startTime);
+  const endDateTime = new Date(startDateTime.getTime() + durationMinutes * 60 * 1000);
+  return endDateTime;
+};
+
+/**
+ * Build the error message for an unavailable time slot
+ * @param {Object} availability - Result of checkSlotAvailability
+ * @returns {string} - Error message
+ */
+const getSlotConflictMessage = (availability) => {
+  if (availability.closureConflicts && availability.closureConflicts.length > 0) {
+    return `Time slot is not available. The business is closed for ${availability.closureConflicts[0].name} during this time.`;
+  }
+  if (availability.timeOffConflicts && availability.timeOffConflicts.length > 0) {
+    return 'Time slot is not available. Employee is off or blocked during this time.';
+  }
+  if (availability.holdConflicts && availability.holdConflicts.length > 0) {
+    return 'Time slot is not available. It is being held for another booking, please choose another time.';
+  }
+  if (availability.resourceConflicts && availability.resourceConflicts.length > 0 &&
+      !(availability.conflicts && availability.conflicts.length > 0)) {
+    return `Time slot is not available. No ${availability.resourceConflicts[0]} is free during this time.`;
+  }
+  return 'Time slot is not available. Employee already has an appointment during this time.';
+};
+
+/**
+ * MySQL errors raised when a booking gives up waiting for another booking's lock
+ */
+const LOCK_ERROR_CODES = ['ER_LOCK_WAIT_TIMEOUT', 'ER_LOCK_DEADLOCK'];
+
+/**
+ * Run a booking or reschedule in a transaction
+ * Reads use READ COMMITTED so the availability check sees bookings committed while
+ * this one waited for the employee lock
+ * @param {Function} work - Callback receiving the transaction
+ * @returns {Promise<*>} - Result of the callback
+ * @throws {AppError} - TIME_SLOT_CONFLICT if the lock could not be acquired
+ */
+const runBookingTransaction = async (work) => {
+  try {
+    return await sequelize.transaction(
+      { isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED },
+      work
+    );
+  } catch (error) {
+    if (LOCK_ERROR_CODES.includes(error.parent?.code)) {
+      throw new AppError(
+        'Time slot is not available. Another booking for this employee is in progress, please try again.',
+        409,
+        'TIME_SLOT_CONFLICT'
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lock an employee's row until a booking transaction ends
+ * Bookings for the same employee then run one at a time, so two requests can't both
+ * pass the availability check before either saves
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} transaction - Booking transaction
+ * @param {Object} where - Extra conditions
+ * @returns {Promise<Object|null>} - Employee, or null if not found
+ */
+const lockEmployee = (employeeId, tenantId, transaction, where = {}) => {
+  return Employee.findOne({
+    where: { id: employeeId, tenantId, ...where },
+    transaction,
+    lock: Transaction.LOCK.UPDATE,
+  });
+};
+
+/**
+ * Look up the employee and service for a booking or hold and work out its times
+ * @param {Object} bookingData - { employeeId, serviceId, startTime, addOns }
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} transaction - Booking transaction
+ * @returns {Promise<Object>} - { employee, service, startDateTime, endDateTime, totalPrice, totalDuration, bufferBefore, bufferAfter }
+ */
+const prepareBooking = async ({ employeeId, serviceId, startTime, addOns = [] }, tenantId, transaction) => {
+  // Verify employee exists and is active
+  const employee = await lockEmployee(employeeId, tenantId, transaction, { status: EMPLOYEE_STATUS.ACTIVE });
+  if (!employee) {
+    throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
+  }
+
+  // Verify service exists
+  const service = await Service.findOne({
+    where: { id: serviceId, tenantId },
+    transaction,
+  });
+  if (!service) {
+    throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+  }
+
+  // Verify employee can perform this service
+  if (!employee.serviceIds || !employee.serviceIds.includes(serviceId)) {
+    throw new AppError('Employee is not qualified for this service', 400, 'EMPLOYEE_NOT_QUALIFIED');
+  }
+
+  // Calculate totals at the employee's price and duration
+  const totals = calculateTotals(service, addOns, employee);
+
+  // Calculate end time as Date object
+  const startDateTime = new Date(startTime);
+  const endDateTime = calculateEndTime(startDateTime, totals.totalDuration);
+
+  return { employee, service, startDateTime, endDateTime, ...totals };
+};
+
+/**
+ * Create a new appointment
+ * The availability check and insert run in one transaction holding the employee's lock.
+ * Passing the holdId of a slot hold books the held slot and releases the hold; an
+ * expired hold is ignored and the slot is booked if it is still free.
+ * The appointment is linked to the customer with the same phone number or email
+ * @param {Object} appointmentData - Appointment creation data
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Created appointment
+ */
+const createAppointment = async (appointmentData, tenantId) => {
+  const {
+    employeeId,
+    serviceId,
+    customerName,
+    customerEmail,
+    customerPhone,
+    startTime,
+    addOns = [],
+    notes,
+    holdId,
+  } = appointmentData;
+
+  const { appointment, employee, service } = await runBookingTransaction(async (transaction) => {
+    const {
+      employee,
+      service,
+      startDateTime,
+      endDateTime,
+      totalPrice,
+      totalDuration,
+      bufferBefore,
+      bufferAfter,
+    } = await prepareBooking({ employeeId, serviceId, startTime, addOns }, tenantId, transaction);
+
+    // Check for conflicts, keeping the buffers clear; the caller's own hold doesn't count
+    const availability = await checkSlotAvailability(
+      employeeId,
+      tenantId,
+      startDateTime,
+      endDateTime,
+      null,
+      { bufferBefore, bufferAfter, excludeHoldId: holdId, resourceTypes: service.resourceTypes, transaction }
+    );
+
+    if (!availability.available) {
+      throw new AppError(getSlotConflictMessage(availability), 409, 'TIME_SLOT_CONFLICT');
+    }
+
+    // Link the booking to the customer's record, creating it on their first visit
+    const customer = await findOrCreateCustomer(
+      { name: customerName, email: customerEmail, phone: customerPhone },
+      tenantId,
+      { transaction }
+    );
+
+    // Create appointment
+    const appointment = await Appointment.create({
+      tenantId,
+      employeeId,
+      serviceId,
+      customerId: customer ? customer.id : null,
+      customerName,
+      customerEmail,
+      customerPhone,
+      startTime: startDateTime,
+      endTime: endDateTime,
+      addOns,
+      notes,
+      totalPrice,
+      totalDuration,
+      bufferBefore,
+      bufferAfter,
+      status: APPOINTMENT_STATUS.SCHEDULED,
+    }, { transaction });
+
+    // The hold has served its purpose
+    if (holdId) {
+      await SlotHold.destroy({ where: { id: holdId, tenantId }, transaction });
+    }
+
+    return { appointment, employee, service };
+  });
+
+  logger.info(`New appointment created: ${appointment.id} for tenant: ${tenantId}`);
+
+  // Send SMS confirmation asynchronously (don't wait for it to complete)
+  smsService.sendAppointmentConfirmationSms(appointment, employee, service, tenantId)
+    .catch(error => {
+      logger.error(`Failed to send SMS for appointment ${appointment.id}: ${error.message}`);
+    });
+
+  return appointment.toSafeObject();
+};
+
+/**
+ * Work out the start of every occurrence in a recurring series
+ * Occurrences keep the first one's wall-clock time in the tenant's timezone, so a 2pm
+ * booking stays at 2pm across daylight saving changes. Monthly series keep the day of
+ * the month, moving to the last day in shorter months
+ * @param {Object} recurrence - { startTime, frequency, interval, occurrenceCount, endDate }
+ * @param {string} timezone - IANA timezone
+ * @returns {Array<Date>} - Occurrence start times, at most MAX_SERIES_OCCURRENCES
+ */
+const getSeriesOccurrences = ({ startTime, frequency, interval = 1, occurrenceCount, endDate }, timezone) => {
+  const firstStart = new Date(startTime);
+  const firstDateKey = getDateKey(firstStart, timezone);
+  const minutes = getMinutesOfDay(firstStart, timezone);
+  const limit = Math.min(occurrenceCount || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+
+  const occurrences = [];
+  for (let index = 0; index < limit; index++) {
+    const dateKey = frequency === SERIES_FREQUENCY.MONTHLY
+      ? addMonthsToDateKey(firstDateKey, index * interval)
+      : addDaysToDateKey(firstDateKey, index * interval * 7);
+
+    if (endDate && dateKey > endDate) {
+      break;
+    }
+
+    occurrences.push(zonedTimeToUtc(dateKey, minutes, timezone));
+  }
+
+  return occurrences;
+};
+
+/**
+ * Create a recurring series of appointments
+ * Every occurrence is checked for conflicts in one transaction holding the employee's
+ * lock. Occurrences that can't be booked are skipped and reported rather than failing
+ * the whole series; the request fails only if none of them can be booked
+ * @param {Object} seriesData - Appointment fields plus { frequency, interval, occurrenceCount, endDate }
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { series, appointments, skipped } where skipped lists { startTime, reason }
+ */
+const createRecurringAppointments = async (seriesData, tenantId) => {
+  const {
+    employeeId,
+    serviceId,
+    customerName,
+    customerEmail,
+    customerPhone,
+    startTime,
+    addOns = [],
+    notes,
+    frequency,
+    interval = 1,
+    occurrenceCount = null,
+    endDate = null,
+  } = seriesData;
+
+  const result = await runBookingTransaction(async (transaction) => {
+    const {
+      employee,
+      service,
+      totalPrice,
+      totalDuration,
+      bufferBefore,
+      bufferAfter,
+    } = await prepareBooking({ employeeId, serviceId, startTime, addOns }, tenantId, transaction);
+
+    const timezone = await getTenantTimezone(tenantId, { transaction });
+
+    const customer = await findOrCreateCustomer(
+      { name: customerName, email: customerEmail, phone: customerPhone },
+      tenantId,
+      { transaction }
+    );
+
+    const series = await AppointmentSeries.create({
+      tenantId,
+      employeeId,
+      serviceId,
+      customerId: customer ? customer.id : null,
+      customerName,
+      customerEmail,
+      customerPhone,
+      frequency,
+      interval,
+      occurrenceCount,
+      endDate,
+      startTime: new Date(startTime),
+      addOns,
+      notes,
+      status: SERIES_STATUS.ACTIVE,
+    }, { transaction });
+
+    const appointments = [];
+    const skipped = [];
+
+    const occurrences = getSeriesOccurrences({ startTime, frequency, interval, occurrenceCount, endDate }, timezone);
+    if (occurrences.length === 0) {
+      throw new AppError('Recurrence end date is before the first appointment', 400, 'VALIDATION_ERROR');
+    }
+
+    for (const occurrenceStart of occurrences) {
+      const occurrenceEnd = calculateEndTime(occurrenceStart, totalDuration);
+
+      const availability = await checkSlotAvailability(
+        employeeId,
+        tenantId,
+        occurrenceStart,
+        occurrenceEnd,
+        null,
+        { bufferBefore, bufferAfter, resourceTypes: service.resourceTypes, transaction }
+      );
+
+      if (!availability.available) {
+        skipped.push({ startTime: occurrenceStart, reason: getSlotConflictMessage(availability) });
+        continue;
       }
+
+      appointments.push(await Appointment.create({
+        tenantId,
+        employeeId,
+        serviceId,
+        customerId: customer ? customer.id : null,
+        seriesId: series.id,
+        customerName,
+        customerEmail,
+        customerPhone,
+        startTime: occurrenceStart,
+        endTime: occurrenceEnd,
+        addOns,
+        notes,
+        totalPrice,
+        totalDuration,
+        bufferBefore,
+        bufferAfter,
+        status: APPOINTMENT_STATUS.SCHEDULED,
+      }, { transaction }));
     }
+
+    if (appointments.length === 0) {
+      throw new AppError(
+        'Time slot is not available for any of the occurrences in this series.',
+        409,
+        'TIME_SLOT_CONFLICT'
+      );
+    }
+
+    return { series, appointments, skipped, employee, service };
+  });
+
+  const { series, appointments, skipped, employee, service } = result;
+
+  logger.info(
+    `Recurring series created: ${series.id} for tenant: ${tenantId} ` +
+    `(${appointments.length} booked, ${skipped.length} skipped)`
+  );
+
+  // Confirm the first visit; reminders cover the rest as they come up
+  smsService.sendAppointmentConfirmationSms(appointments[0], employee, service, tenantId)
+    .catch(error => {
+      logger.error(`Failed to send SMS for appointment ${appointments[0].id}: ${error.message}`);
+    });
+
+  return {
+    series: series.toSafeObject(),
+    appointments: appointments.map(appointment => appointment.toSafeObject()),
+    skipped,
+  };
+};
+
+/**
+ * Get a recurring series with its occurrences
+ * @param {string} seriesId - Series ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { series, appointments }, occurrences in date order
+ */
+const getSeriesById = async (seriesId, tenantId) => {
+  const series = await AppointmentSeries.findOne({
+    where: { id: seriesId, tenantId },
+  });
+
+  if (!series) {
+    throw new AppError('Appointment series not found', 404, 'SERIES_NOT_FOUND');
   }
 
-  return { totalPrice, totalDuration };
+  const appointments = await Appointment.findAll({
+    where: { tenantId, seriesId },
+    order: [['startTime', 'ASC']],
+  });
+
+  return {
+    series: series.toSafeObject(),
+    appointments: appointments.map(appointment => appointment.toSafeObject()),
+  };
+};
+
+/**
+ * Create a group booking: several members served at the same time by different employees,
+ * optionally with rooms, chairs or equipment reserved for the whole group
+ * Every employee and resource is locked and checked in one transaction, so either the
+ * whole group is booked or nothing is. Employees are locked in ID order, so two group
+ * bookings sharing employees can't deadlock. Resources are reserved from the group's
+ * start until its longest member appointment ends
+ * @param {Object} groupData - { name, customerName, customerEmail, customerPhone, startTime, notes, members, resourceIds }
+ *   where members is a list of { employeeId, serviceId, addOns, guestName }
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { group, appointments, resources }
+ */
+const createGroupAppointment = async (groupData, tenantId) => {
+  const {
+    name = null,
+    customerName,
+    customerEmail,
+    customerPhone,
+    startTime,
+    notes,
+    members,
+    resourceIds = [],
+  } = groupData;
+
+  const employeeIds = members.map(member => member.employeeId);
+  if (new Set(employeeIds).size !== employeeIds.length) {
+    throw new AppError('Each member of a group booking needs a different employee', 400, 'VALIDATION_ERROR');
+  }
+
+  const result = await runBookingTransaction(async (transaction) => {
+    const lockOrder = members
+      .map((member, index) => ({ member, index }))
+      .sort((a, b) => a.member.employeeId.localeCompare(b.member.employeeId));
+
+    const bookings = [];
+    for (const { member, index } of lockOrder) {
+      bookings[index] = await prepareBooking({
+        employeeId: member.employeeId,
+        serviceId: member.serviceId,
+        startTime,
+        addOns: member.addOns || [],
+      }, tenantId, transaction);
+    }
+
+    const resources = await resourceService.lockBookableResources([...new Set(resourceIds)], tenantId, transaction);
+
+    for (const booking of bookings) {
+      const availability = await checkSlotAvailability(
+        booking.employee.id,
+        tenantId,
+        booking.startDateTime,
+        booking.endDateTime,
+        null,
+        { bufferBefore: booking.bufferBefore, bufferAfter: booking.bufferAfter, transaction }
+      );
+
+      if (!availability.available) {
+        throw new AppError(
+          `${booking.employee.getFullName()}: ${getSlotConflictMessage(availability)}`,
+          409,
+          'TIME_SLOT_CONFLICT'
+        );
+      }
+    }
+
+    const groupStart = new Date(startTime);
+    const groupEnd = new Date(Math.max(...bookings.map(booking => booking.endDateTime.getTime())));
+
+    const resourceAvailability = await resourceService.checkResourceAvailability(
+      resources,
+      tenantId,
+      groupStart,
+      groupEnd,
+      { transaction }
+    );
+
+    if (!resourceAvailability.available) {
+      const busyNames = resourceAvailability.conflicts.map(resource => resource.name).join(', ');
+      throw new AppError(
+        `Time slot is not available. ${busyNames} already booked during this time.`,
+        409,
+        'RESOURCE_CONFLICT'
+      );
+    }
+
+    // Members share the resources chosen for the group; any other type their services
+    // need comes from the tenant's free resources of that type
+    const resourcePeriods = await getResourceBlockedPeriods(
+      tenantId,
+      getGroupResourceDemand(bookings.map(booking => booking.service), resources),
+      groupStart,
+      groupEnd,
+      { transaction }
+    );
+
+    if (resourcePeriods.length > 0) {
+      throw new AppError(
+        `Time slot is not available. Not enough ${resourcePeriods[0].resourceType} resources are free during this time.`,
+        409,
+        'RESOURCE_CONFLICT'
+      );
+    }
+
+    const customer = await findOrCreateCustomer(
+      { name: customerName, email: customerEmail, phone: customerPhone },
+      tenantId,
+      { transaction }
+    );
+
+    const group = await AppointmentGroup.create({
+      tenantId,
+      name,
+      customerId: customer ? customer.id : null,
+      customerName,
+      customerEmail,
+      customerPhone,
+      type: GROUP_TYPES.PARTY,
+      startTime: groupStart,
+      endTime: groupEnd,
+      notes,
+      status: GROUP_STATUS.ACTIVE,
+    }, { transaction });
+
+    const appointments = [];
+    for (const [index, member] of members.entries()) {
+      const booking = bookings[index];
+
+      appointments.push(await Appointment.create({
+        tenantId,
+        employeeId: member.employeeId,
+        serviceId: member.serviceId,
+        customerId: customer ? customer.id : null,
+        groupId: group.id,
+        customerName: member.guestName || customerName,
+        customerEmail,
+        customerPhone,
+        startTime: booking.startDateTime,
+        endTime: booking.endDateTime,
+        addOns: member.addOns || [],
+        notes,
+        totalPrice: booking.totalPrice,
+        totalDuration: booking.totalDuration,
+        bufferBefore: booking.bufferBefore,
+        bufferAfter: booking.bufferAfter,
+        status: APPOINTMENT_STATUS.SCHEDULED,
+      }, { transaction }));
+    }
+
+    const resourceBookings = [];
+    for (const resource of resources) {
+      resourceBookings.push(await ResourceBooking.create({
+        tenantId,
+        resourceId: resource.id,
+        groupId: group.id,
+        startTime: groupStart,
+        endTime: groupEnd,
+      }, { transaction }));
+    }
+
+    return { group, appointments, resourceBookings, employee: bookings[0].employee, service: bookings[0].service };
+  });
+
+  const { group, appointments, resourceBookings, employee, service } = result;
+
+  logger.info(
+    `Group booking created: ${group.id} for tenant: ${tenantId} ` +
+    `(${appointments.length} appointments, ${resourceBookings.length} resources)`
+  );
+
+  // One confirmation for the party, sent to the contact who booked it
+  smsService.sendAppointmentConfirmationSms(appointments[0], employee, service, tenantId)
+    .catch(error => {
+      logger.error(`Failed to send SMS for appointment ${appointments[0].id}: ${error.message}`);
+    });
+
+  return {
+    group: group.toSafeObject(),
+    appointments: appointments.map(appointment => appointment.toSafeObject()),
+    resources: resourceBookings.map(booking => booking.toSafeObject()),
+  };
+};
+
+/**
+ * Create a multi-service booking: one customer's services chained back to back, each with
+ * its own employee, such as a haircut then a manicure
+ * Each service starts when the one before it ends. Every employee is locked in ID order and
+ * every service checked in one transaction, so either the whole booking is made or nothing
+ * is. The services are stored as a multi-service group, so they are fetched and cancelled
+ * together through the group endpoints
+ * @param {Object} bookingData - { customerName, customerEmail, customerPhone, startTime, notes, services }
+ *   where services is a list of { serviceId, employeeId, addOns } in the order they happen
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { group, appointments, totalPrice, totalDuration }
+ */
+const createMultiServiceAppointment = async (bookingData, tenantId) => {
+  const {
+    customerName,
+    customerEmail,
+    customerPhone,
+    startTime,
+    notes,
+    services,
+  } = bookingData;
+
+  const result = await runBookingTransaction(async (transaction) => {
+    // Lock in a fixed order so two bookings sharing employees can't deadlock
+    const employeeIds = [...new Set(services.map(segment => segment.employeeId))].sort();
+    for (const employeeId of employeeIds) {
+      await lockEmployee(employeeId, tenantId, transaction);
+    }
+
+    const bookings = [];
+    let segmentStart = new Date(startTime);
+    for (const segment of services) {
+      const booking = await prepareBooking({
+        employeeId: segment.employeeId,
+        serviceId: segment.serviceId,
+        startTime: segmentStart,
+        addOns: segment.addOns || [],
+      }, tenantId, transaction);
+
+      const availability = await checkSlotAvailability(
+        booking.employee.id,
+        tenantId,
+        booking.startDateTime,
+        booking.endDateTime,
+        null,
+        {
+          bufferBefore: booking.bufferBefore,
+          bufferAfter: booking.bufferAfter,
+          resourceTypes: booking.service.resourceTypes,
+          transaction,
+        }
+      );
+
+      if (!availability.available) {
+        throw new AppError(
+          `${booking.service.name} with ${booking.employee.getFullName()}: ${getSlotConflictMessage(availability)}`,
+          409,
+          'TIME_SLOT_CONFLICT'
+        );
+      }
+
+      bookings.push(booking);
+      segmentStart = booking.endDateTime;
+    }
+
+    const totals = calculateCombinedTotals(services.map((segment, index) => ({
+      service: bookings[index].service,
+      addOns: segment.addOns || [],
+      employee: bookings[index].employee,
+    })));
+
+    const customer = await findOrCreateCustomer(
+      { name: customerName, email: customerEmail, phone: customerPhone },
+      tenantId,
+      { transaction }
+    );
+
+    const group = await AppointmentGroup.create({
+      tenantId,
+      type: GROUP_TYPES.MULTI_SERVICE,
+      customerId: customer ? customer.id : null,
+      customerName,
+      customerEmail,
+      customerPhone,
+      startTime: bookings[0].startDateTime,
+      endTime: bookings[bookings.length - 1].endDateTime,
+      notes,
+      status: GROUP_STATUS.ACTIVE,
+    }, { transaction });
+
+    const appointments = [];
+    for (const [index, segment] of services.entries()) {
+      const booking = bookings[index];
+
+      appointments.push(await Appointment.create({
+        tenantId,
+        employeeId: segment.employeeId,
+        serviceId: segment.serviceId,
+        customerId: customer ? customer.id : null,
+        groupId: group.id,
+        customerName,
+        customerEmail,
+        customerPhone,
+        startTime: booking.startDateTime,
+        endTime: booking.endDateTime,
+        addOns: segment.addOns || [],
+        notes,
+        totalPrice: booking.totalPrice,
+        totalDuration: booking.totalDuration,
+        bufferBefore: booking.bufferBefore,
+        bufferAfter: booking.bufferAfter,
+        status: APPOINTMENT_STATUS.SCHEDULED,
+      }, { transaction }));
+    }
+
+    return { group, appointments, bookings, totals };
+  });
+
+  const { group, appointments, bookings, totals } = result;
+
+  logger.info(
+    `Multi-service booking created: ${group.id} for tenant: ${tenantId} (${appointments.length} services)`
+  );
+
+  // One confirmation listing every service
+  smsService.sendMultiServiceConfirmationSms(
+    appointments.map((appointment, index) => ({
+      appointment,
+      employee: bookings[index].employee,
+      service: bookings[index].service,
+    })),
+    tenantId
+  ).catch(error => {
+    logger.error(`Failed to send SMS for multi-service booking ${group.id}: ${error.message}`);
+  });
+
+  return {
+    group: group.toSafeObject(),
+    appointments: appointments.map(appointment => appointment.toSafeObject()),
+    totalPrice: totals.totalPrice,
+    totalDuration: totals.totalDuration,
+  };
+};
+
+/**
+ * Get a group booking with its member appointments and reserved resources
+ * @param {string} groupId - Group booking ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { group, appointments, resources }
+ */
+const getGroupById = async (groupId, tenantId) => {
+  const group = await AppointmentGroup.findOne({
+    where: { id: groupId, tenantId },
+  });
+
+  if (!group) {
+    throw new AppError('Group booking not found', 404, 'GROUP_NOT_FOUND');
+  }
+
+  const [appointments, resourceBookings] = await Promise.all([
+    Appointment.findAll({
+      where: { tenantId, groupId },
+      order: [['startTime', 'ASC']],
+    }),
+    ResourceBooking.findAll({
+      where: { tenantId, groupId },
+    }),
+  ]);
+
+  return {
+    group: group.toSafeObject(),
+    appointments: appointments.map(appointment => appointment.toSafeObject()),
+    resources: resourceBookings.map(booking => booking.toSafeObject()),
+  };
+};
+
+/**
+ * Cancel a group booking
+ * Cancels every member appointment that is still scheduled or confirmed and releases the
+ * group's resources
+ * @param {string} groupId - Group booking ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} reason - Cancellation reason
+ * @param {string} notes - Additional notes
+ * @returns {Promise<Object>} - { group, appointments } with the appointments cancelled
+ */
+const cancelGroup = async (groupId, tenantId, reason, notes = null) => {
+  if (!Object.values(CANCELLATION_REASONS).includes(reason)) {
+    throw new AppError(
+      'Invalid cancellation reason',
+      400,
+      'INVALID_CANCELLATION_REASON'
+    );
+  }
+
+  const { group, appointments } = await sequelize.transaction(async (transaction) => {
+    const group = await AppointmentGroup.findOne({
+      where: { id: groupId, tenantId },
+      transaction,
+      lock: Transaction.LOCK.UPDATE,
+    });
+
+    if (!group) {
+      throw new AppError('Group booking not found', 404, 'GROUP_NOT_FOUND');
+    }
+
+    if (group.status === GROUP_STATUS.CANCELLED) {
+      throw new AppError('Group booking is already cancelled', 400, 'APPOINTMENT_NOT_CANCELLABLE');
+    }
+
+    const appointments = await Appointment.findAll({
+      where: {
+        tenantId,
+        groupId,
+        status: {
+          [Op.in]: [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED],
+        },
+      },
+      transaction,
+      lock: Transaction.LOCK.UPDATE,
+    });
+    const cancelledAt = new Date();
+
+    for (const appointment of appointments) {
+      appointment.status = APPOINTMENT_STATUS.CANCELLED;
+      appointment.cancellationReason = reason;
+      appointment.cancellationNotes = notes;
+      appointment.cancelledAt = cancelledAt;
+      await appointment.save({ transaction });
+    }
+
+    group.status = GROUP_STATUS.CANCELLED;
+    await group.save({ transaction });
+    await resourceService.releaseGroupResources(groupId, tenantId, { transaction });
+
+    return { group, appointments };
+  });
+
+  logger.info(
+    `Group booking cancelled: ${groupId} for tenant: ${tenantId} ` +
+    `(${appointments.length} appointments), reason: ${reason}`
+  );
+
+  notifyWaitlist(appointments.map(getFreedSlot), tenantId);
+
+  return {
+    group: group.toSafeObject(),
+    appointments: appointments.map(appointment => appointment.toSafeObject()),
+  };
 };
 
 /**
- * Calculate end time from start time and duration
- * @param {Date} startTime - Start time as Date object
- * @param {number} durationMinutes - Duration in minutes
- * @returns {Date} - End time as Date object
+ * Close a group booking once none of its members are still booked
+ * Marks the group cancelled and releases its resources; while any member is still
+ * scheduled or confirmed the resources stay reserved for them
+ * @param {string} groupId - Group booking ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} transaction - Transaction (optional)
+ * @returns {Promise<void>}
  */
-const calculateEndTime = (startTime, durationMinutes) => {
-  const startDateTime = new Date(startTime);
-  const endDateTime = new Date(startDateTime.getTime() + durationMinutes * 60 * 1000);
-  return endDateTime;
+const closeGroupIfEmpty = async (groupId, tenantId, transaction = null) => {
+  const remaining = await Appointment.count({
+    where: {
+      tenantId,
+      groupId,
+      status: {
+        [Op.in]: [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED],
+      },
+    },
+    transaction,
+  });
+
+  if (remaining > 0) {
+    return;
+  }
+
+  await AppointmentGroup.update(
+    { status: GROUP_STATUS.CANCELLED },
+    { where: { id: groupId, tenantId }, transaction }
+  );
+  await resourceService.releaseGroupResources(groupId, tenantId, { transaction });
 };
 
 /**
- * Create a new appointment
- * @param {Object} appointmentData - Appointment creation data
+ * Hold a slot for a short time while a booking is confirmed
+ * The slot is left out of availability and can't be booked by anyone else until the
+ * hold expires or is released; pass the holdId to createAppointment to book it.
+ * A new hold with the same reference replaces the previous one, so a caller who
+ * changes their mind doesn't keep several slots
+ * @param {Object} holdData - { employeeId, serviceId, startTime, addOns, ttlSeconds, reference }
  * @param {string} tenantId - Tenant identifier
- * @returns {Promise<Object>} - Created appointment
+ * @returns {Promise<Object>} - Created hold
  */
-const createAppointment = async (appointmentData, tenantId) => {
-  const {
-    employeeId,
-    serviceId,
-    customerName,
-    customerEmail,
-    customerPhone,
-    startTime,
-    addOns = [],
-    notes,
-  } = appointmentData;
+const holdSlot = async (holdData, tenantId) => {
+  const { addOns = [], reference = null } = holdData;
+  const ttlSeconds = Math.min(Number(holdData.ttlSeconds) || DEFAULT_HOLD_TTL_SECONDS, MAX_HOLD_TTL_SECONDS);
 
-  // Verify employee exists and is active
-  const employee = await Employee.findOne({
-    where: { id: employeeId, tenantId, status: EMPLOYEE_STATUS.ACTIVE },
-  });
-  if (!employee) {
-    throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
-  }
+  const hold = await runBookingTransaction(async (transaction) => {
+    const {
+      service,
+      startDateTime,
+      endDateTime,
+      bufferBefore,
+      bufferAfter,
+    } = await prepareBooking({ ...holdData, addOns }, tenantId, transaction);
 
-  // Verify service exists
-  const service = await Service.findOne({
-    where: { id: serviceId, tenantId },
-  });
-  if (!service) {
-    throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
-  }
+    const now = new Date();
 
-  // Verify employee can perform this service
-  if (!employee.serviceIds || !employee.serviceIds.includes(serviceId)) {
-    throw new AppError('Employee is not qualified for this service', 400, 'EMPLOYEE_NOT_QUALIFIED');
-  }
+    // Expired holds no longer block anything, clear them out while we're here
+    await SlotHold.destroy({
+      where: { tenantId, expiresAt: { [Op.lte]: now } },
+      transaction,
+    });
 
-  // Calculate totals
-  const { totalPrice, totalDuration } = calculateTotals(service, addOns);
+    if (reference) {
+      await SlotHold.destroy({ where: { tenantId, reference }, transaction });
+    }
 
-  // Calculate end time as Date object
-  const startDateTime = new Date(startTime);
-  const endDateTime = calculateEndTime(startDateTime, totalDuration);
+    const availability = await checkSlotAvailability(
+      holdData.employeeId,
+      tenantId,
+      startDateTime,
+      endDateTime,
+      null,
+      { bufferBefore, bufferAfter, resourceTypes: service.resourceTypes, transaction }
+    );
 
-  // Check for conflicts
-  const availability = await checkSlotAvailability(
-    employeeId,
-    tenantId,
-    startDateTime,
-    endDateTime
-  );
+    if (!availability.available) {
+      throw new AppError(getSlotConflictMessage(availability), 409, 'TIME_SLOT_CONFLICT');
+    }
 
-  if (!availability.available) {
-    throw new AppError(
-      'Time slot is not available. Employee already has an appointment during this time.',
-      409,
-      'TIME_SLOT_CONFLICT'
-    );
-  }
+    return SlotHold.create({
+      tenantId,
+      employeeId: holdData.employeeId,
+      serviceId: holdData.serviceId,
+      startTime: startDateTime,
+      endTime: endDateTime,
+      bufferBefore,
+      bufferAfter,
+      addOns,
+      reference,
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000),
+    }, { transaction });
+  });
 
-  // Create appointment
-  const appointment = await Appointment.create({
-    tenantId,
-    employeeId,
-    serviceId,
-    customerName,
-    customerEmail,
-    customerPhone,
-    startTime: startDateTime,
-    endTime: endDateTime,
-    addOns,
-    notes,
-    totalPrice,
-    totalDuration,
-    status: APPOINTMENT_STATUS.SCHEDULED,
+  logger.info(`Slot held: ${hold.id} for tenant: ${tenantId} until ${hold.expiresAt.toISOString()}`);
+
+  return hold.toSafeObject();
+};
+
+/**
+ * Release a slot hold before it expires
+ * @param {string} holdId - Hold ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Success message
+ */
+const releaseHold = async (holdId, tenantId) => {
+  const hold = await SlotHold.findOne({
+    where: { id: holdId, tenantId },
   });
 
-  logger.info(`New appointment created: ${appointment.id} for tenant: ${tenantId}`);
+  if (!hold) {
+    throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+  }
 
-  // Send SMS confirmation asynchronously (don't wait for it to complete)
-  smsService.sendAppointmentConfirmationSms(appointment, employee, service, tenantId)
-    .catch(error => {
-      logger.error(`Failed to send SMS for appointment ${appointment.id}: ${error.message}`);
-    });
+  await hold.destroy();
 
-  return appointment.toSafeObject();
+  logger.info(`Slot hold released: ${holdId} for tenant: ${tenantId}`);
+
+  return { message: 'Hold released successfully' };
 };
 
 /**
@@ -224,6 +1191,8 @@ const getAppointmentById = async (appointmentId, tenantId) => {
 
 /**
  * Update an appointment (reschedule)
+ * Runs in a transaction holding the appointment's and employee's locks, like createAppointment.
+ * A slot given up by moving or cancelling the appointment is offered to the waitlist
  * @param {string} appointmentId - Appointment ID
  * @param {string} tenantId - Tenant identifier
  * @param {Object} updateData - Data to update
@@ -231,26 +1200,259 @@ const getAppointmentById = async (appointmentId, tenantId) => {
  */
 const updateAppointment = async (appointmentId, tenantId, updateData) => {
   console.log('Update data:', updateData);
-  const appointment = await Appointment.findOne({
-    where: { id: appointmentId, tenantId },
+  let freedSlot = null;
+  const appointment = await runBookingTransaction(async (transaction) => {
+    // Lock the appointment so concurrent edits to it run one at a time
+    const appointment = await Appointment.findOne({
+      where: { id: appointmentId, tenantId },
+      transaction,
+      lock: Transaction.LOCK.UPDATE,
+    });
+
+    if (!appointment) {
+      throw new AppError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+    }
+
+    if (!appointment.canBeModified()) {
+      throw new AppError(
+        'Appointment cannot be modified in current status',
+        400,
+        'APPOINTMENT_NOT_MODIFIABLE'
+      );
+    }
+
+    const {
+      employeeId,
+      startTime,
+      addOns,
+      notes,
+      status,
+      customerName,
+      customerEmail,
+      customerPhone,
+    } = updateData;
+
+    // Members of a group share a start time and the group's resources, so they can't move on their own
+    const startTimeChanged = startTime && new Date(startTime).getTime() !== new Date(appointment.startTime).getTime();
+    if (appointment.groupId && (startTimeChanged || addOns !== undefined)) {
+      throw new AppError(
+        'Group appointments cannot be rescheduled individually. Cancel the group and book it again',
+        400,
+        'GROUP_APPOINTMENT_NOT_MOVABLE'
+      );
+    }
+
+    // If rescheduling (changing time or employee), check for conflicts
+    if (startTime || employeeId) {
+      const newEmployeeId = employeeId || appointment.employeeId;
+      const employeeChanged = employeeId && employeeId !== appointment.employeeId;
+
+      // Lock the employee being booked, verifying them if changed
+      const employee = await lockEmployee(
+        newEmployeeId,
+        tenantId,
+        transaction,
+        employeeChanged ? { status: EMPLOYEE_STATUS.ACTIVE } : {}
+      );
+
+      if (employeeChanged) {
+        if (!employee) {
+          throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
+        }
+
+        // Verify employee can perform this service
+        if (!employee.serviceIds || !employee.serviceIds.includes(appointment.serviceId)) {
+          throw new AppError('Employee is not qualified for this service', 400, 'EMPLOYEE_NOT_QUALIFIED');
+        }
+      }
+
+      // Get the start time (use existing if not provided)
+      const newStartTime = startTime ? new Date(startTime) : appointment.startTime;
+      let newDuration = appointment.totalDuration;
+      let newBuffers = {
+        bufferBefore: appointment.bufferBefore || 0,
+        bufferAfter: appointment.bufferAfter || 0,
+      };
+
+      // The service decides which resources the new slot needs
+      const service = await Service.findOne({
+        where: { id: appointment.serviceId, tenantId },
+        transaction,
+      });
+
+      // Recalculate price, duration and buffers if add-ons changed or another employee,
+      // who may charge differently, takes over
+      if (addOns !== undefined || (employeeChanged && service)) {
+        const newAddOns = addOns !== undefined ? addOns : appointment.addOns || [];
+        const { totalPrice, totalDuration, bufferBefore, bufferAfter } = calculateTotals(service, newAddOns, employee);
+        newDuration = totalDuration;
+        newBuffers = { bufferBefore, bufferAfter };
+        appointment.totalPrice = totalPrice;
+        appointment.addOns = newAddOns;
+      }
+
+      // Calculate end time as Date object
+      const newEndTime = calculateEndTime(newStartTime, newDuration);
+
+      // Check availability
+      const availability = await checkSlotAvailability(
+        newEmployeeId,
+        tenantId,
+        newStartTime,
+        newEndTime,
+        appointmentId, // Exclude current appointment from conflict check
+        { ...newBuffers, resourceTypes: service?.resourceTypes, transaction }
+      );
+
+      if (!availability.available) {
+        throw new AppError(getSlotConflictMessage(availability), 409, 'TIME_SLOT_CONFLICT');
+      }
+
+      if (newStartTime.getTime() !== new Date(appointment.startTime).getTime() || employeeChanged) {
+        freedSlot = getFreedSlot(appointment);
+      }
+
+      appointment.startTime = newStartTime;
+      appointment.endTime = newEndTime;
+      appointment.totalDuration = newDuration;
+      appointment.bufferBefore = newBuffers.bufferBefore;
+      appointment.bufferAfter = newBuffers.bufferAfter;
+
+      if (employeeId) {
+        appointment.employeeId = employeeId;
+      }
+    }
+
+    // Update other fields
+    if (notes !== undefined) {
+      appointment.notes = notes;
+    }
+
+    if (status !== undefined) {
+      if (status === APPOINTMENT_STATUS.CANCELLED) {
+        freedSlot = getFreedSlot(appointment);
+      }
+      appointment.status = status;
+    }
+
+    if (customerName !== undefined) {
+      appointment.customerName = customerName;
+    }
+
+    if (customerEmail !== undefined) {
+      appointment.customerEmail = customerEmail;
+    }
+
+    if (customerPhone !== undefined) {
+      appointment.customerPhone = customerPhone;
+    }
+
+    // New contact details may belong to a different customer
+    if (customerEmail !== undefined || customerPhone !== undefined) {
+      const customer = await findOrCreateCustomer({
+        name: appointment.customerName,
+        email: appointment.customerEmail,
+        phone: appointment.customerPhone,
+      }, tenantId, { transaction });
+      appointment.customerId = customer ? customer.id : null;
+    }
+
+    await appointment.save({ transaction });
+
+    if (appointment.groupId && status === APPOINTMENT_STATUS.CANCELLED) {
+      await closeGroupIfEmpty(appointment.groupId, tenantId, transaction);
+    }
+
+    return appointment;
   });
 
-  if (!appointment) {
-    throw new AppError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+  logger.info(`Appointment updated: ${appointmentId} for tenant: ${tenantId}`);
+
+  if (freedSlot) {
+    notifyWaitlist([freedSlot], tenantId);
   }
 
-  if (!appointment.canBeModified()) {
-    throw new AppError(
-      'Appointment cannot be modified in current status',
-      400,
-      'APPOINTMENT_NOT_MODIFIABLE'
+  return appointment.toSafeObject();
+};
+
+/**
+ * Lock the occurrences of a series that a change to one of them applies to
+ * 'following' covers that occurrence and the ones after it, 'series' every upcoming
+ * occurrence. Past, completed and cancelled occurrences are left as they are
+ * @param {Object} appointment - Occurrence the change was made on
+ * @param {string} scope - SERIES_SCOPE.FOLLOWING or SERIES_SCOPE.SERIES
+ * @param {Object} transaction - Transaction
+ * @returns {Promise<Array>} - Occurrences in date order
+ */
+const findSeriesOccurrences = (appointment, scope, transaction) => {
+  const from = scope === SERIES_SCOPE.FOLLOWING ? appointment.startTime : new Date();
+
+  return Appointment.findAll({
+    where: {
+      tenantId: appointment.tenantId,
+      seriesId: appointment.seriesId,
+      status: {
+        [Op.in]: [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED],
+      },
+      [Op.or]: [
+        { id: appointment.id },
+        { startTime: { [Op.gte]: from } },
+      ],
+    },
+    order: [['startTime', 'ASC']],
+    transaction,
+    lock: Transaction.LOCK.UPDATE,
+  });
+};
+
+/**
+ * Cancel the occurrences of a series covered by a scope
+ * Cancelling the whole series also marks the series itself as cancelled
+ * @param {Object} appointment - Occurrence the cancellation was made on
+ * @param {string} scope - SERIES_SCOPE.FOLLOWING or SERIES_SCOPE.SERIES
+ * @param {Object} cancellation - { reason, notes }
+ * @param {Object} transaction - Transaction
+ * @returns {Promise<Array>} - Cancelled occurrences
+ */
+const cancelSeriesOccurrences = async (appointment, scope, { reason = null, notes = null }, transaction) => {
+  const occurrences = await findSeriesOccurrences(appointment, scope, transaction);
+  const cancelledAt = new Date();
+
+  for (const occurrence of occurrences) {
+    occurrence.status = APPOINTMENT_STATUS.CANCELLED;
+    occurrence.cancellationReason = reason;
+    occurrence.cancellationNotes = notes;
+    occurrence.cancelledAt = cancelledAt;
+    await occurrence.save({ transaction });
+  }
+
+  if (scope === SERIES_SCOPE.SERIES) {
+    await AppointmentSeries.update(
+      { status: SERIES_STATUS.CANCELLED },
+      { where: { id: appointment.seriesId, tenantId: appointment.tenantId }, transaction }
     );
   }
 
+  return occurrences;
+};
+
+/**
+ * Update an occurrence of a recurring series together with the ones after it, or with
+ * every upcoming occurrence
+ * A new start time moves each occurrence by the same number of days and to the new time
+ * of day, so moving one visit from Tuesday 2pm to Wednesday 3pm moves them all. Every
+ * occurrence must still be free; otherwise nothing is changed and the error names the
+ * date that conflicts. Setting the status to cancelled cancels the occurrences
+ * @param {string} appointmentId - Occurrence the change was made on
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} updateData - Same fields as updateAppointment, except addOns
+ * @param {string} scope - SERIES_SCOPE.FOLLOWING or SERIES_SCOPE.SERIES
+ * @returns {Promise<Object>} - { appointment, appointments }: the occurrence and every occurrence changed
+ */
+const updateAppointmentSeries = async (appointmentId, tenantId, updateData, scope) => {
   const {
     employeeId,
     startTime,
-    addOns,
     notes,
     status,
     customerName,
@@ -258,106 +1460,199 @@ const updateAppointment = async (appointmentId, tenantId, updateData) => {
     customerPhone,
   } = updateData;
 
-  // If rescheduling (changing time or employee), check for conflicts
-  if (startTime || employeeId) {
-    const newEmployeeId = employeeId || appointment.employeeId;
-    
-    // Verify new employee if changed
-    if (employeeId && employeeId !== appointment.employeeId) {
-      const employee = await Employee.findOne({
-        where: { id: employeeId, tenantId, status: EMPLOYEE_STATUS.ACTIVE },
-      });
-      if (!employee) {
-        throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
-      }
-      
-      // Verify employee can perform this service
-      if (!employee.serviceIds || !employee.serviceIds.includes(appointment.serviceId)) {
-        throw new AppError('Employee is not qualified for this service', 400, 'EMPLOYEE_NOT_QUALIFIED');
-      }
+  const freedSlots = [];
+  const { appointment, occurrences } = await runBookingTransaction(async (transaction) => {
+    const appointment = await Appointment.findOne({
+      where: { id: appointmentId, tenantId },
+      transaction,
+      lock: Transaction.LOCK.UPDATE,
+    });
+
+    if (!appointment) {
+      throw new AppError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+    }
+
+    if (!appointment.canBeModified()) {
+      throw new AppError(
+        'Appointment cannot be modified in current status',
+        400,
+        'APPOINTMENT_NOT_MODIFIABLE'
+      );
+    }
+
+    if (!appointment.seriesId) {
+      throw new AppError('Appointment is not part of a recurring series', 400, 'NOT_IN_SERIES');
+    }
+
+    if (status === APPOINTMENT_STATUS.CANCELLED) {
+      const occurrences = await cancelSeriesOccurrences(appointment, scope, {}, transaction);
+      freedSlots.push(...occurrences.map(getFreedSlot));
+      return { appointment, occurrences };
     }
 
-    // Get the start time (use existing if not provided)
-    const newStartTime = startTime ? new Date(startTime) : appointment.startTime;
-    let newDuration = appointment.totalDuration;
+    const occurrences = await findSeriesOccurrences(appointment, scope, transaction);
+
+    if (startTime || employeeId) {
+      let employee = null;
+      if (employeeId) {
+        employee = await lockEmployee(employeeId, tenantId, transaction, { status: EMPLOYEE_STATUS.ACTIVE });
+        if (!employee) {
+          throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
+        }
 
-    // Recalculate duration if add-ons changed
-    if (addOns !== undefined) {
+        if (!employee.serviceIds || !employee.serviceIds.includes(appointment.serviceId)) {
+          throw new AppError('Employee is not qualified for this service', 400, 'EMPLOYEE_NOT_QUALIFIED');
+        }
+      } else {
+        // Lock in a fixed order so two edits to overlapping calendars can't deadlock
+        const employeeIds = [...new Set(occurrences.map(occurrence => occurrence.employeeId))].sort();
+        for (const id of employeeIds) {
+          await lockEmployee(id, tenantId, transaction);
+        }
+      }
+
+      const timezone = await getTenantTimezone(tenantId, { transaction });
+      const newStart = startTime ? new Date(startTime) : null;
+      const dayShift = newStart
+        ? getDaysBetweenDateKeys(getDateKey(appointment.startTime, timezone), getDateKey(newStart, timezone))
+        : 0;
+      const occurrenceIds = occurrences.map(occurrence => occurrence.id);
       const service = await Service.findOne({
         where: { id: appointment.serviceId, tenantId },
+        transaction,
       });
-      const { totalPrice, totalDuration } = calculateTotals(service, addOns);
-      newDuration = totalDuration;
-      appointment.totalPrice = totalPrice;
-      appointment.addOns = addOns;
-    }
+      const now = new Date();
 
-    // Calculate end time as Date object
-    const newEndTime = calculateEndTime(newStartTime, newDuration);
-    
-    // Check availability
-    const availability = await checkSlotAvailability(
-      newEmployeeId,
-      tenantId,
-      newStartTime,
-      newEndTime,
-      appointmentId // Exclude current appointment from conflict check
-    );
+      for (const occurrence of occurrences) {
+        const dateKey = getDateKey(occurrence.startTime, timezone);
+        const occurrenceDate = formatDateKey(dateKey, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+        const newStartTime = newStart
+          ? zonedTimeToUtc(addDaysToDateKey(dateKey, dayShift), getMinutesOfDay(newStart, timezone), timezone)
+          : occurrence.startTime;
+        // A new employee does each occurrence at their own price and duration
+        const totals = employee && service
+          ? calculateTotals(service, occurrence.addOns || [], employee)
+          : { totalPrice: occurrence.totalPrice, totalDuration: occurrence.totalDuration };
+        const newEndTime = calculateEndTime(newStartTime, totals.totalDuration);
 
-    if (!availability.available) {
-      throw new AppError(
-        'Time slot is not available. Employee already has an appointment during this time.',
-        409,
-        'TIME_SLOT_CONFLICT'
-      );
+        if (newStartTime <= now) {
+          throw new AppError(
+            `Cannot move the appointment on ${occurrenceDate}. Appointment time must be in the future`,
+            400,
+            'VALIDATION_ERROR'
+          );
+        }
+
+        // The other occurrences are moving too, so their current slots don't count
+        const availability = await checkSlotAvailability(
+          employeeId || occurrence.employeeId,
+          tenantId,
+          newStartTime,
+          newEndTime,
+          occurrenceIds,
+          {
+            bufferBefore: occurrence.bufferBefore || 0,
+            bufferAfter: occurrence.bufferAfter || 0,
+            resourceTypes: service?.resourceTypes,
+            transaction,
+          }
+        );
+
+        if (!availability.available) {
+          throw new AppError(
+            `Cannot move the appointment on ${occurrenceDate}. ${getSlotConflictMessage(availability)}`,
+            409,
+            'TIME_SLOT_CONFLICT'
+          );
+        }
+
+        if (newStartTime.getTime() !== new Date(occurrence.startTime).getTime() ||
+          (employeeId && employeeId !== occurrence.employeeId)) {
+          freedSlots.push(getFreedSlot(occurrence));
+        }
+
+        occurrence.startTime = newStartTime;
+        occurrence.endTime = newEndTime;
+        occurrence.totalPrice = totals.totalPrice;
+        occurrence.totalDuration = totals.totalDuration;
+
+        if (employeeId) {
+          occurrence.employeeId = employeeId;
+        }
+      }
     }
 
-    appointment.startTime = newStartTime;
-    appointment.endTime = newEndTime;
-    appointment.totalDuration = newDuration;
-    
-    if (employeeId) {
-      appointment.employeeId = employeeId;
+    // New contact details may belong to a different customer
+    let customer;
+    if (customerEmail !== undefined || customerPhone !== undefined) {
+      customer = await findOrCreateCustomer({
+        name: customerName !== undefined ? customerName : appointment.customerName,
+        email: customerEmail !== undefined ? customerEmail : appointment.customerEmail,
+        phone: customerPhone !== undefined ? customerPhone : appointment.customerPhone,
+      }, tenantId, { transaction });
     }
-  }
 
-  // Update other fields
-  if (notes !== undefined) {
-    appointment.notes = notes;
-  }
+    const fields = { notes, status, customerName, customerEmail, customerPhone };
+    if (customer !== undefined) {
+      fields.customerId = customer ? customer.id : null;
+    }
 
-  if (status !== undefined) {
-    appointment.status = status;
-  }
+    for (const occurrence of occurrences) {
+      for (const [field, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          occurrence[field] = value;
+        }
+      }
+      await occurrence.save({ transaction });
+    }
 
-  if (customerName !== undefined) {
-    appointment.customerName = customerName;
-  }
+    // Later occurrences added to the series would follow the new details
+    if (scope === SERIES_SCOPE.SERIES) {
+      const seriesFields = { employeeId, notes, customerName, customerEmail, customerPhone, customerId: fields.customerId };
+      const seriesUpdates = Object.fromEntries(
+        Object.entries(seriesFields).filter(([, value]) => value !== undefined)
+      );
 
-  if (customerEmail !== undefined) {
-    appointment.customerEmail = customerEmail;
-  }
+      if (Object.keys(seriesUpdates).length > 0) {
+        await AppointmentSeries.update(seriesUpdates, {
+          where: { id: appointment.seriesId, tenantId },
+          transaction,
+        });
+      }
+    }
 
-  if (customerPhone !== undefined) {
-    appointment.customerPhone = customerPhone;
-  }
+    return { appointment, occurrences };
+  });
 
-  await appointment.save();
+  logger.info(
+    `Appointment series updated from: ${appointmentId} for tenant: ${tenantId}, ` +
+    `scope: ${scope} (${occurrences.length} appointments)`
+  );
 
-  logger.info(`Appointment updated: ${appointmentId} for tenant: ${tenantId}`);
+  notifyWaitlist(freedSlots, tenantId);
 
-  return appointment.toSafeObject();
+  const updated = occurrences.find(occurrence => occurrence.id === appointmentId) || appointment;
+
+  return {
+    appointment: updated.toSafeObject(),
+    appointments: occurrences.map(occurrence => occurrence.toSafeObject()),
+  };
 };
 
 /**
  * Cancel an appointment
+ * The freed slot is offered to customers on the waitlist
  * @param {string} appointmentId - Appointment ID
  * @param {string} tenantId - Tenant identifier
  * @param {string} reason - Cancellation reason
  * @param {string} notes - Additional notes
+ * @param {Object} options - Optional settings
+ * @param {string} options.scope - For a series occurrence: 'this' (default), 'following' or 'series'
  * @returns {Promise<Object>} - Cancelled appointment
  */
-const cancelAppointment = async (appointmentId, tenantId, reason, notes = null) => {
+const cancelAppointment = async (appointmentId, tenantId, reason, notes = null, options = {}) => {
+  const { scope = SERIES_SCOPE.THIS } = options;
+
   const appointment = await Appointment.findOne({
     where: { id: appointmentId, tenantId },
   });
@@ -382,13 +1677,73 @@ const cancelAppointment = async (appointmentId, tenantId, reason, notes = null)
     );
   }
 
+  if (appointment.seriesId && [SERIES_SCOPE.FOLLOWING, SERIES_SCOPE.SERIES].includes(scope)) {
+    const occurrences = await sequelize.transaction(transaction =>
+      cancelSeriesOccurrences(appointment, scope, { reason, notes }, transaction)
+    );
+
+    logger.info(
+      `Appointment series cancelled from: ${appointmentId} for tenant: ${tenantId}, ` +
+      `scope: ${scope} (${occurrences.length} appointments), reason: ${reason}`
+    );
+
+    notifyWaitlist(occurrences.map(getFreedSlot), tenantId);
+
+    const cancelled = occurrences.find(occurrence => occurrence.id === appointmentId) || appointment;
+    return cancelled.toSafeObject();
+  }
+
   await appointment.cancel(reason, notes);
 
+  if (appointment.groupId) {
+    await closeGroupIfEmpty(appointment.groupId, tenantId);
+  }
+
   logger.info(`Appointment cancelled: ${appointmentId} for tenant: ${tenantId}, reason: ${reason}`);
 
+  notifyWaitlist([getFreedSlot(appointment)], tenantId);
+
   return appointment.toSafeObject();
 };
 
+/**
+ * Get a customer's upcoming appointments by phone number
+ * Bookings are linked to the customer matched by normalized phone number, so formatting
+ * differences are ignored; bookings without a customer match on the number as sent
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - Customer phone number
+ * @returns {Promise<Array>} - Upcoming scheduled/confirmed appointments, soonest first
+ */
+const getUpcomingAppointmentsByPhone = async (tenantId, phoneNumber) => {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+
+  if (!normalizedPhone) {
+    return [];
+  }
+
+  const customer = await Customer.findOne({
+    where: { tenantId, normalizedPhone },
+    attributes: ['id'],
+  });
+
+  const phoneMatches = [{ customerPhone: { [Op.in]: [...new Set([phoneNumber, normalizedPhone])] } }];
+  if (customer) {
+    phoneMatches.unshift({ customerId: customer.id });
+  }
+
+  return Appointment.findAll({
+    where: {
+      tenantId,
+      status: {
+        [Op.in]: [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED],
+      },
+      startTime: { [Op.gt]: new Date() },
+      [Op.or]: phoneMatches,
+    },
+    order: [['startTime', 'ASC']],
+  });
+};
+
 /**
  * Delete an appointment (hard delete, use with caution)
  * @param {string} appointmentId - Appointment ID
@@ -404,10 +1759,20 @@ const deleteAppointment = async (appointmentId, tenantId) => {
     throw new AppError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
   }
 
+  const wasActive = [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED].includes(appointment.status);
+
   await appointment.destroy();
 
+  if (appointment.groupId) {
+    await closeGroupIfEmpty(appointment.groupId, tenantId);
+  }
+
   logger.info(`Appointment deleted: ${appointmentId} for tenant: ${tenantId}`);
 
+  if (wasActive) {
+    notifyWaitlist([getFreedSlot(appointment)], tenantId);
+  }
+
   return { message: 'Appointment deleted successfully' };
 };
 
@@ -416,9 +1781,21 @@ module.exports = {
   getAppointments,
   getAppointmentById,
   updateAppointment,
+  updateAppointmentSeries,
   cancelAppointment,
+  createRecurringAppointments,
+  getSeriesById,
+  getSeriesOccurrences,
+  createGroupAppointment,
+  createMultiServiceAppointment,
+  getGroupById,
+  cancelGroup,
+  getUpcomingAppointmentsByPhone,
   deleteAppointment,
+  holdSlot,
+  releaseHold,
   calculateTotals,
+  calculateCombinedTotals,
   APPOINTMENT_STATUS,
   CANCELLATION_REASONS,
 };
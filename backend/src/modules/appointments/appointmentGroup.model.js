@@ -0,0 +1,132 @@
+/**
+ * Appointment Group Model
+ * Appointments booked together. A party group has several employees serving one party at
+ * the same time, such as a bridal party or a couples massage, and any rooms or chairs it
+ * needs are reserved as resource bookings. A multi-service group chains one customer's
+ * services back to back, such as a haircut then a manicure. Either way each member is a
+ * regular appointment with groupId set
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Valid group statuses
+ */
+const GROUP_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Kinds of group
+ */
+const GROUP_TYPES = {
+  PARTY: 'party',
+  MULTI_SERVICE: 'multi_service',
+};
+
+/**
+ * Limits on a group
+ */
+const MIN_GROUP_MEMBERS = 2;
+const MAX_GROUP_MEMBERS = 10;
+const MAX_GROUP_RESOURCES = 5;
+const MIN_MULTI_SERVICE_SEGMENTS = 2;
+const MAX_MULTI_SERVICE_SEGMENTS = 5;
+
+const AppointmentGroup = sequelize.define('AppointmentGroup', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.values(GROUP_TYPES)),
+    defaultValue: GROUP_TYPES.PARTY,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    comment: 'Optional label for the party, e.g. "Smith wedding"',
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'customer_id',
+  },
+  customerName: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    field: 'customer_name',
+  },
+  customerEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'customer_email',
+  },
+  customerPhone: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'customer_phone',
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_time',
+  },
+  endTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'end_time',
+    comment: 'End of the longest member appointment, or of the last service in a multi-service booking',
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(GROUP_STATUS)),
+    defaultValue: GROUP_STATUS.ACTIVE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'appointment_groups',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'start_time'],
+    },
+    {
+      fields: ['tenant_id', 'customer_id'],
+    },
+  ],
+});
+
+/**
+ * Get group data safe for API response
+ * @returns {Object} - Group data
+ */
+AppointmentGroup.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  AppointmentGroup,
+  GROUP_STATUS,
+  GROUP_TYPES,
+  MIN_GROUP_MEMBERS,
+  MAX_GROUP_MEMBERS,
+  MAX_GROUP_RESOURCES,
+  MIN_MULTI_SERVICE_SEGMENTS,
+  MAX_MULTI_SERVICE_SEGMENTS,
+};
@@ -0,0 +1,160 @@
+/**
+ * Appointment Series Model
+ * Recurring bookings: the same service with the same employee at the same time of day,
+ * repeated every N weeks or months. Each occurrence is a regular appointment with seriesId set
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * How often a series repeats
+ */
+const SERIES_FREQUENCY = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+/**
+ * Valid series statuses
+ */
+const SERIES_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Which occurrences an edit or cancellation applies to
+ */
+const SERIES_SCOPE = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  SERIES: 'series',
+};
+
+/**
+ * Limits on a series
+ */
+const MAX_SERIES_OCCURRENCES = 52;
+const MAX_SERIES_INTERVAL = 12;
+
+const AppointmentSeries = sequelize.define('AppointmentSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'service_id',
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'customer_id',
+  },
+  customerName: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    field: 'customer_name',
+  },
+  customerEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'customer_email',
+  },
+  customerPhone: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'customer_phone',
+  },
+  frequency: {
+    type: DataTypes.ENUM(...Object.values(SERIES_FREQUENCY)),
+    allowNull: false,
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+      max: MAX_SERIES_INTERVAL,
+    },
+    comment: 'Repeat every N weeks or months',
+  },
+  occurrenceCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'occurrence_count',
+    comment: 'Number of occurrences requested, null when the series runs until endDate',
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'end_date',
+    comment: 'Last calendar date an occurrence may fall on, in the tenant timezone',
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_time',
+    comment: 'Start of the first occurrence',
+  },
+  addOns: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'add_ons',
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(SERIES_STATUS)),
+    defaultValue: SERIES_STATUS.ACTIVE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'appointment_series',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id'],
+    },
+    {
+      fields: ['tenant_id', 'customer_id'],
+    },
+  ],
+});
+
+/**
+ * Get series data safe for API response
+ * @returns {Object} - Series data
+ */
+AppointmentSeries.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  AppointmentSeries,
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  SERIES_SCOPE,
+  MAX_SERIES_OCCURRENCES,
+  MAX_SERIES_INTERVAL,
+};
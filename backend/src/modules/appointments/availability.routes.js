@@ -5,7 +5,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const appointmentController = require('./appointment.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, denyEmployeeScope } = require('../auth/auth.middleware');
 
 const router = express.Router();
 
@@ -31,4 +31,21 @@ const standardLimiter = rateLimit({
 // GET /api/availability - Get availability for scheduling (for AI and frontend)
 router.get('/', standardLimiter, authMiddleware, appointmentController.getAvailability);
 
+// GET /api/availability/next - Find the next available slots across employees and days
+router.get('/next', standardLimiter, authMiddleware, appointmentController.getNextAvailability);
+
+// GET /api/availability/group - Find times a group can be booked together
+router.get('/group', standardLimiter, authMiddleware, appointmentController.getGroupAvailability);
+
+// GET /api/availability/multi-service - Find times several services can be booked back to back
+router.get('/multi-service', standardLimiter, authMiddleware, appointmentController.getMultiServiceAvailability);
+
+// Holds block other staff's slots, so staff limited to their own calendar can't place them
+
+// POST /api/availability/holds - Hold a slot while a booking is confirmed
+router.post('/holds', standardLimiter, authMiddleware, denyEmployeeScope, appointmentController.createHold);
+
+// DELETE /api/availability/holds/:holdId - Release a slot hold
+router.delete('/holds/:holdId', standardLimiter, authMiddleware, denyEmployeeScope, appointmentController.deleteHold);
+
 module.exports = router;
@@ -2,20 +2,64 @@
  * Availability Service
  * Handles availability calculation for employees based on schedules and existing appointments
  */
-const { Op } = require('sequelize');
+const { Op, Transaction } = require('sequelize');
 const { Appointment, APPOINTMENT_STATUS } = require('./appointment.model');
+const { SlotHold } = require('./slotHold.model');
 const { Employee, EMPLOYEE_STATUS } = require('../employees/employee.model');
-const { Service } = require('../services/service.model');
+const { EmployeeTimeOff, TIME_OFF_TYPES, TIME_OFF_STATUS } = require('../employees/employeeTimeOff.model');
+const { Service, MAX_BUFFER_MINUTES } = require('../services/service.model');
+const tenantClosureService = require('../tenants/tenantClosure.service');
+const { Resource, RESOURCE_STATUS } = require('../resources/resource.model');
+const { getResourceBookings, getFullPeriods } = require('../resources/resource.service');
 const { AppError } = require('../../middleware/errorHandler');
+const {
+  getTenantTimezone,
+  toDateKey,
+  getDateKey,
+  addDaysToDateKey,
+  getDayOfWeekForDateKey,
+  zonedTimeToUtc,
+  DATE_KEY_REGEX,
+  startOfDayInTimezone,
+  getMinutesOfDay,
+  formatTimeOfDay,
+} = require('../../utils/timezone');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Minutes between generated slot start times unless a caller asks otherwise
+ */
+const DEFAULT_SLOT_INTERVAL = 15;
+
+// Appointments this close to a range can still reach into it with their buffers
+const BUFFER_SEARCH_MS = MAX_BUFFER_MINUTES * MS_PER_MINUTE;
+
+/**
+ * Time-of-day preferences for next-available searches (slot start times, tenant local time)
+ */
+const TIME_OF_DAY_WINDOWS = {
+  morning: { start: '00:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '17:00' },
+  evening: { start: '17:00', end: '24:00' },
+};
+
+/**
+ * Limits for next-available searches
+ */
+const NEXT_AVAILABLE_DEFAULT_COUNT = 5;
+const NEXT_AVAILABLE_MAX_COUNT = 50;
+const NEXT_AVAILABLE_DEFAULT_DAYS = 14;
+const NEXT_AVAILABLE_MAX_DAYS = 60;
 
 /**
- * Get day of week name from date
- * @param {Date} date - Date object
+ * Get day of week name for a date
+ * @param {string} dateKey - Date (YYYY-MM-DD)
  * @returns {string} - Day name (lowercase)
  */
-const getDayOfWeek = (date) => {
+const getDayOfWeek = (dateKey) => {
   const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  return days[date.getDay()];
+  return days[getDayOfWeekForDateKey(dateKey)];
 };
 
 /**
@@ -28,6 +72,29 @@ const parseTimeToMinutes = (timeStr) => {
   return hours * 60 + minutes;
 };
 
+/**
+ * Build the instant a wall-clock time occurs on a date in the tenant's timezone
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {string} timeStr - Time string in HH:MM format
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Date at that time
+ */
+const setTimeOnDate = (dateKey, timeStr, timezone) => {
+  return zonedTimeToUtc(dateKey, parseTimeToMinutes(timeStr), timezone);
+};
+
+/**
+ * Get the instants a date starts and ends in the tenant's timezone
+ * Days are 23 or 25 hours long across DST transitions
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { start, end }
+ */
+const getDayBounds = (dateKey, timezone) => ({
+  start: startOfDayInTimezone(dateKey, timezone),
+  end: startOfDayInTimezone(addDaysToDateKey(dateKey, 1), timezone),
+});
+
 /**
  * Check if two time ranges overlap
  * @param {Date} start1 - Start of first range
@@ -40,26 +107,74 @@ const doTimesOverlap = (start1, end1, start2, end2) => {
   return start1 < end2 && end1 > start2;
 };
 
+/**
+ * Get the buffers to keep around a service's appointments
+ * @param {Object} service - Service object
+ * @returns {Object} - { bufferBefore, bufferAfter } in minutes
+ */
+const getServiceBuffers = (service) => ({
+  bufferBefore: service.bufferBefore || 0,
+  bufferAfter: service.bufferAfter || 0,
+});
+
+/**
+ * Get the price and duration an employee charges for a service
+ * An employee's override replaces the service's price or duration; without one the
+ * service's own values apply
+ * @param {Object} service - Service object
+ * @param {Object} employee - Employee object (optional)
+ * @returns {Object} - { price, duration }
+ */
+const getEmployeeServiceTerms = (service, employee = null) => {
+  const override = (employee && employee.serviceOverrides && employee.serviceOverrides[service.id]) || {};
+
+  return {
+    price: override.price !== undefined && override.price !== null ? override.price : service.price,
+    duration: override.duration || service.duration,
+  };
+};
+
+/**
+ * Widen a time range by preparation and cleanup buffers
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range
+ * @param {Object} buffers - { bufferBefore, bufferAfter } in minutes
+ * @returns {Object} - Blocked period { start, end }
+ */
+const getBufferedPeriod = (start, end, { bufferBefore = 0, bufferAfter = 0 } = {}) => ({
+  start: new Date(new Date(start).getTime() - (bufferBefore || 0) * MS_PER_MINUTE),
+  end: new Date(new Date(end).getTime() + (bufferAfter || 0) * MS_PER_MINUTE),
+});
+
+/**
+ * Get the period an existing appointment or slot hold blocks, including its buffers
+ * @param {Object} appointment - Appointment or slot hold
+ * @returns {Object} - Blocked period { start, end }
+ */
+const getAppointmentBlockedPeriod = (appointment) => getBufferedPeriod(
+  appointment.startTime,
+  appointment.endTime,
+  appointment
+);
+
 /**
  * Get existing appointments for an employee on a specific date
  * @param {string} employeeId - Employee ID
  * @param {string} tenantId - Tenant ID
- * @param {Date} date - Date to check
+ * @param {string} dateKey - Date to check (YYYY-MM-DD)
+ * @param {string} timezone - Tenant's IANA timezone
  * @returns {Promise<Array>} - List of appointments
  */
-const getEmployeeAppointmentsForDate = async (employeeId, tenantId, date) => {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+const getEmployeeAppointmentsForDate = async (employeeId, tenantId, dateKey, timezone) => {
+  const { start: startOfDay, end: endOfDay } = getDayBounds(dateKey, timezone);
 
+  // Include appointments just outside the day whose buffers reach into it
   const appointments = await Appointment.findAll({
     where: {
       tenantId,
       employeeId,
-      startTime: { [Op.gte]: startOfDay },
-      endTime: { [Op.lte]: endOfDay },
+      startTime: { [Op.lt]: new Date(endOfDay.getTime() + BUFFER_SEARCH_MS) },
+      endTime: { [Op.gt]: new Date(startOfDay.getTime() - BUFFER_SEARCH_MS) },
       status: {
         [Op.notIn]: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
       },
@@ -70,16 +185,293 @@ const getEmployeeAppointmentsForDate = async (employeeId, tenantId, date) => {
   return appointments;
 };
 
+/**
+ * Get unexpired slot holds for employees near a time range
+ * Like appointments, holds just outside the range are included when their buffers may reach into it
+ * @param {string} tenantId - Tenant ID
+ * @param {Array<string>} employeeIds - Employee IDs
+ * @param {Date} rangeStart - Start of the range
+ * @param {Date} rangeEnd - End of the range
+ * @param {Object} options - Query options
+ * @param {string} options.excludeHoldId - Hold to leave out, e.g. the one being converted to a booking
+ * @param {Object} options.transaction - Transaction to read in
+ * @returns {Promise<Array>} - List of slot holds
+ */
+const getActiveHolds = async (tenantId, employeeIds, rangeStart, rangeEnd, { excludeHoldId, transaction } = {}) => {
+  const where = {
+    tenantId,
+    employeeId: { [Op.in]: employeeIds },
+    startTime: { [Op.lt]: new Date(rangeEnd.getTime() + BUFFER_SEARCH_MS) },
+    endTime: { [Op.gt]: new Date(rangeStart.getTime() - BUFFER_SEARCH_MS) },
+    expiresAt: { [Op.gt]: new Date() },
+  };
+
+  if (excludeHoldId) {
+    where.id = { [Op.ne]: excludeHoldId };
+  }
+
+  return SlotHold.findAll({ where, transaction });
+};
+
+/**
+ * Get time-off entries for an employee that overlap a date range
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant ID
+ * @param {string} startDateKey - First date to check (YYYY-MM-DD)
+ * @param {string} endDateKey - Last date to check (default: startDateKey)
+ * @param {Object} options - Query options
+ * @param {Object} options.transaction - Transaction to read in
+ * @returns {Promise<Array>} - List of time-off entries
+ */
+const getEmployeeTimeOff = async (employeeId, tenantId, startDateKey, endDateKey = startDateKey, { transaction } = {}) => {
+  return EmployeeTimeOff.findAll({
+    where: {
+      tenantId,
+      employeeId,
+      status: TIME_OFF_STATUS.APPROVED,
+      startDate: { [Op.lte]: endDateKey },
+      endDate: { [Op.gte]: startDateKey },
+    },
+    transaction,
+  });
+};
+
+/**
+ * Get the time-off entries that apply to a date
+ * @param {Array} timeOff - Time-off entries
+ * @param {string} dateKey - Date to check (YYYY-MM-DD)
+ * @returns {Array} - Entries covering the date
+ */
+const getTimeOffForDate = (timeOff, dateKey) => {
+  return timeOff.filter(entry => entry.startDate <= dateKey && entry.endDate >= dateKey);
+};
+
+/**
+ * Get the periods an employee is unavailable on a date because of time off
+ * Full days off cover the whole day; blocked entries cover their time range
+ * @param {Array} timeOff - Time-off entries
+ * @param {string} dateKey - Date to check (YYYY-MM-DD)
+ * @param {string} timezone - Tenant's IANA timezone
+ * @returns {Array<Object>} - Unavailable periods { start, end, timeOff }
+ */
+const getTimeOffPeriods = (timeOff, dateKey, timezone) => {
+  return getTimeOffForDate(timeOff, dateKey)
+    .filter(entry => entry.type !== TIME_OFF_TYPES.EXTRA_HOURS)
+    .map(entry => {
+      if (entry.type === TIME_OFF_TYPES.DAY_OFF) {
+        return { ...getDayBounds(dateKey, timezone), timeOff: entry };
+      }
+
+      return {
+        start: setTimeOnDate(dateKey, entry.startTime, timezone),
+        end: setTimeOnDate(dateKey, entry.endTime, timezone),
+        timeOff: entry,
+      };
+    });
+};
+
+/**
+ * Get the periods the business is shut on a date because of a holiday or closure
+ * A full-day closure covers the whole day; special hours cover the time outside them
+ * @param {Object|null} closure - Closure that applies on the date
+ * @param {string} dateKey - Date to check (YYYY-MM-DD)
+ * @param {string} timezone - Tenant's IANA timezone
+ * @returns {Array<Object>} - Closed periods { start, end, closure }
+ */
+const getClosurePeriods = (closure, dateKey, timezone) => {
+  if (!closure) {
+    return [];
+  }
+
+  const { start: startOfDay, end: endOfDay } = getDayBounds(dateKey, timezone);
+
+  if (tenantClosureService.isClosedAllDay(closure)) {
+    return [{ start: startOfDay, end: endOfDay, closure }];
+  }
+
+  return [
+    { start: startOfDay, end: setTimeOnDate(dateKey, closure.openTime, timezone), closure },
+    { start: setTimeOnDate(dateKey, closure.closeTime, timezone), end: endOfDay, closure },
+  ];
+};
+
+/**
+ * Count the resources of each type a booking takes
+ * @param {Array<string>} resourceTypes - Resource types, one entry per resource taken
+ * @returns {Object} - Resources needed by type, e.g. { room: 1 }
+ */
+const getResourceDemand = (resourceTypes) => (resourceTypes || []).reduce((demand, type) => {
+  demand[type] = (demand[type] || 0) + 1;
+  return demand;
+}, {});
+
+/**
+ * Count the resources of each type a group booking takes
+ * Resources chosen for the group take one of their type each and are shared by every
+ * member; members only take one of a type the group didn't choose a resource of
+ * @param {Array<Object>} services - Service of each member
+ * @param {Array<Object>} resources - Resources chosen for the group
+ * @returns {Object} - Resources needed by type
+ */
+const getGroupResourceDemand = (services, resources) => {
+  const demand = getResourceDemand(resources.map(resource => resource.type));
+  const memberDemand = getResourceDemand(services.flatMap(service => service.resourceTypes || []));
+
+  Object.keys(memberDemand)
+    .filter(type => !demand[type])
+    .forEach(type => {
+      demand[type] = memberDemand[type];
+    });
+
+  return demand;
+};
+
+/**
+ * Get the periods when too few resources of a needed type are free
+ * Resources of a type are pooled: each appointment or hold for a service that needs the
+ * type takes one, as does each group reservation of a resource of that type. Members of
+ * a group that reserved a resource of the type share it instead of taking another.
+ * Resources only count as used for the appointment itself, not its buffers.
+ * Inside a booking transaction the resources are locked, so bookings that need the same
+ * type run one at a time
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} demand - Resources needed by type, from getResourceDemand
+ * @param {Date} rangeStart - Start of the range
+ * @param {Date} rangeEnd - End of the range
+ * @param {Object} options - Query options
+ * @param {string|Array<string>} options.excludeAppointmentId - Appointments being rescheduled
+ * @param {string} options.excludeHoldId - Slot hold to ignore
+ * @param {Object} options.transaction - Booking transaction to read in
+ * @returns {Promise<Array<Object>>} - Periods { start, end, resourceType }
+ */
+const getResourceBlockedPeriods = async (tenantId, demand, rangeStart, rangeEnd, options = {}) => {
+  const { excludeAppointmentId, excludeHoldId, transaction } = options;
+  const types = Object.keys(demand).filter(type => demand[type] > 0);
+
+  if (types.length === 0) {
+    return [];
+  }
+
+  const resources = await Resource.findAll({
+    where: {
+      tenantId,
+      type: { [Op.in]: types },
+      status: RESOURCE_STATUS.ACTIVE,
+    },
+    order: [['id', 'ASC']],
+    transaction,
+    ...(transaction && { lock: Transaction.LOCK.UPDATE }),
+  });
+
+  const services = await Service.findAll({ where: { tenantId }, transaction });
+  const serviceIdsByType = new Map(types.map(type => [
+    type,
+    new Set(services
+      .filter(service => (service.resourceTypes || []).includes(type))
+      .map(service => service.id)),
+  ]));
+  const usingServiceIds = [...new Set([...serviceIdsByType.values()].flatMap(ids => [...ids]))];
+
+  let appointments = [];
+  let holds = [];
+
+  if (usingServiceIds.length > 0) {
+    const appointmentWhere = {
+      tenantId,
+      serviceId: { [Op.in]: usingServiceIds },
+      startTime: { [Op.lt]: rangeEnd },
+      endTime: { [Op.gt]: rangeStart },
+      status: {
+        [Op.notIn]: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+      },
+    };
+
+    if (Array.isArray(excludeAppointmentId)) {
+      appointmentWhere.id = { [Op.notIn]: excludeAppointmentId };
+    } else if (excludeAppointmentId) {
+      appointmentWhere.id = { [Op.ne]: excludeAppointmentId };
+    }
+
+    const holdWhere = {
+      tenantId,
+      serviceId: { [Op.in]: usingServiceIds },
+      startTime: { [Op.lt]: rangeEnd },
+      endTime: { [Op.gt]: rangeStart },
+      expiresAt: { [Op.gt]: new Date() },
+    };
+
+    if (excludeHoldId) {
+      holdWhere.id = { [Op.ne]: excludeHoldId };
+    }
+
+    appointments = await Appointment.findAll({ where: appointmentWhere, transaction });
+    holds = await SlotHold.findAll({ where: holdWhere, transaction });
+  }
+
+  const bookings = await getResourceBookings(
+    tenantId,
+    resources.map(resource => resource.id),
+    rangeStart,
+    rangeEnd,
+    { transaction }
+  );
+
+  const blocked = [];
+
+  for (const type of types) {
+    const typeResources = resources.filter(resource => resource.type === type);
+    const capacity = typeResources.reduce((total, resource) => total + (resource.capacity || 1), 0);
+    // Number of uses at which fewer than the needed resources are left
+    const limit = capacity - demand[type] + 1;
+
+    if (limit <= 0) {
+      blocked.push({ start: new Date(rangeStart), end: new Date(rangeEnd), resourceType: type });
+      continue;
+    }
+
+    const typeResourceIds = new Set(typeResources.map(resource => resource.id));
+    const typeBookings = bookings.filter(booking => typeResourceIds.has(booking.resourceId));
+    const coveredGroupIds = new Set(typeBookings.map(booking => booking.groupId));
+    const typeServiceIds = serviceIdsByType.get(type);
+    const usages = [
+      ...appointments.filter(appointment =>
+        typeServiceIds.has(appointment.serviceId) && !coveredGroupIds.has(appointment.groupId)
+      ),
+      ...holds.filter(hold => typeServiceIds.has(hold.serviceId)),
+      ...typeBookings,
+    ];
+
+    getFullPeriods(usages, limit).forEach(period => {
+      blocked.push({ ...period, resourceType: type });
+    });
+  }
+
+  return blocked;
+};
+
 /**
  * Check if a specific time slot is available for an employee
+ * Buffers keep the slot clear of other appointments (and their buffers) and of the
+ * employee's time off; only the slot itself has to fall within business hours
  * @param {string} employeeId - Employee ID
  * @param {string} tenantId - Tenant ID
  * @param {Date} startTime - Proposed start time
  * @param {Date} endTime - Proposed end time
- * @param {string} excludeAppointmentId - Optional appointment ID to exclude (for rescheduling)
- * @returns {Promise<Object>} - Availability result { available, conflicts }
+ * @param {string|Array<string>} excludeAppointmentId - Optional appointment ID, or IDs, to exclude (for rescheduling)
+ * @param {Object} options - Optional settings
+ * @param {number} options.bufferBefore - Minutes to keep clear before the slot
+ * @param {number} options.bufferAfter - Minutes to keep clear after the slot
+ * @param {string} options.excludeHoldId - Slot hold to ignore, e.g. the caller's own hold
+ * @param {Array<string>} options.resourceTypes - Resource types the service needs, one of each
+ * @param {Object} options.transaction - Booking transaction to read in
+ * @returns {Promise<Object>} - Availability result { available, conflicts, holdConflicts, ... }
  */
-const checkSlotAvailability = async (employeeId, tenantId, startTime, endTime, excludeAppointmentId = null) => {
+const checkSlotAvailability = async (employeeId, tenantId, startTime, endTime, excludeAppointmentId = null, options = {}) => {
+  const { excludeHoldId, resourceTypes, transaction } = options;
+  const slotStart = new Date(startTime);
+  const slotEnd = new Date(endTime);
+  const blocked = getBufferedPeriod(slotStart, slotEnd, options);
+
   const whereClause = {
     tenantId,
     employeeId,
@@ -87,41 +479,104 @@ const checkSlotAvailability = async (employeeId, tenantId, startTime, endTime, e
       [Op.notIn]: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
     },
     [Op.or]: [
-      // Overlapping appointments
+      // Appointments close enough for their buffers to overlap
       {
-        startTime: { [Op.lt]: endTime },
-        endTime: { [Op.gt]: startTime },
+        startTime: { [Op.lt]: new Date(blocked.end.getTime() + BUFFER_SEARCH_MS) },
+        endTime: { [Op.gt]: new Date(blocked.start.getTime() - BUFFER_SEARCH_MS) },
       },
     ],
   };
 
-  // Exclude the current appointment when checking for rescheduling
-  if (excludeAppointmentId) {
+  // Exclude the appointments being rescheduled
+  if (Array.isArray(excludeAppointmentId)) {
+    whereClause.id = { [Op.notIn]: excludeAppointmentId };
+  } else if (excludeAppointmentId) {
     whereClause.id = { [Op.ne]: excludeAppointmentId };
   }
 
-  const conflictingAppointments = await Appointment.findAll({
+  const nearbyAppointments = await Appointment.findAll({
     where: whereClause,
+    transaction,
   });
 
+  const conflictingAppointments = nearbyAppointments.filter(apt => {
+    const period = getAppointmentBlockedPeriod(apt);
+    return doTimesOverlap(blocked.start, blocked.end, period.start, period.end);
+  });
+
+  // Slots held for another caller are taken until the hold expires
+  const nearbyHolds = await getActiveHolds(tenantId, [employeeId], blocked.start, blocked.end, { excludeHoldId, transaction });
+  const conflictingHolds = nearbyHolds.filter(hold => {
+    const period = getAppointmentBlockedPeriod(hold);
+    return doTimesOverlap(blocked.start, blocked.end, period.start, period.end);
+  });
+
+  // Check days off, blocked time and tenant closures on every date the slot touches,
+  // as calendar dates in the tenant's timezone
+  const timezone = await getTenantTimezone(tenantId, { transaction });
+  const firstDateKey = getDateKey(blocked.start, timezone);
+  const lastDateKey = getDateKey(blocked.end, timezone);
+  const timeOff = await getEmployeeTimeOff(employeeId, tenantId, firstDateKey, lastDateKey, { transaction });
+  const closures = await tenantClosureService.getClosuresForRange(tenantId, firstDateKey, lastDateKey, { transaction });
+  const timeOffConflicts = [];
+  const closureConflicts = [];
+
+  for (
+    let dateKey = firstDateKey;
+    startOfDayInTimezone(dateKey, timezone) < blocked.end;
+    dateKey = addDaysToDateKey(dateKey, 1)
+  ) {
+    getTimeOffPeriods(timeOff, dateKey, timezone)
+      .filter(period => doTimesOverlap(blocked.start, blocked.end, period.start, period.end))
+      .forEach(period => {
+        if (!timeOffConflicts.includes(period.timeOff)) {
+          timeOffConflicts.push(period.timeOff);
+        }
+      });
+
+    const closure = tenantClosureService.findClosureForDate(closures, dateKey);
+    const overlapsClosure = getClosurePeriods(closure, dateKey, timezone)
+      .some(period => doTimesOverlap(slotStart, slotEnd, period.start, period.end));
+
+    if (overlapsClosure && !closureConflicts.includes(closure)) {
+      closureConflicts.push(closure);
+    }
+  }
+
+  // A room or chair the service needs has to be free for the slot itself
+  const resourcePeriods = await getResourceBlockedPeriods(
+    tenantId,
+    getResourceDemand(resourceTypes),
+    slotStart,
+    slotEnd,
+    { excludeAppointmentId, excludeHoldId, transaction }
+  );
+  const resourceConflicts = [...new Set(resourcePeriods.map(period => period.resourceType))];
+
   return {
-    available: conflictingAppointments.length === 0,
+    available: conflictingAppointments.length === 0 && conflictingHolds.length === 0 &&
+      timeOffConflicts.length === 0 && closureConflicts.length === 0 &&
+      resourceConflicts.length === 0,
     conflicts: conflictingAppointments.map(apt => apt.toSafeObject()),
+    holdConflicts: conflictingHolds.map(hold => hold.toSafeObject()),
+    timeOffConflicts: timeOffConflicts.map(entry => entry.toSafeObject()),
+    closureConflicts: closureConflicts.map(closure => closure.toSafeObject()),
+    resourceConflicts,
   };
 };
 
 /**
  * Get employee working hours for a specific date
  * @param {Object} employee - Employee object
- * @param {Date} date - Date to check
+ * @param {string} dateKey - Date to check (YYYY-MM-DD)
  * @returns {Object|null} - Working hours { start, end } or null if not working
  */
-const getEmployeeWorkingHours = (employee, date) => {
+const getEmployeeWorkingHours = (employee, dateKey) => {
   if (!employee.schedule) {
     return null;
   }
 
-  const dayOfWeek = getDayOfWeek(date);
+  const dayOfWeek = getDayOfWeek(dateKey);
   const schedule = employee.schedule[dayOfWeek];
 
   if (!schedule || !schedule.enabled) {
@@ -135,88 +590,205 @@ const getEmployeeWorkingHours = (employee, date) => {
 };
 
 /**
- * Generate available time slots for an employee on a specific date
- * @param {string} employeeId - Employee ID
- * @param {string} tenantId - Tenant ID
- * @param {Date} date - Date to check
- * @param {number} duration - Required duration in minutes
- * @param {number} slotInterval - Slot interval in minutes (default: 15)
- * @returns {Promise<Array>} - List of available time slots
+ * Get the periods an employee works on a specific date, applying time-off exceptions
+ * A day off removes the whole day; extra hours are added to the weekly schedule
+ * Blocked time is not removed here, see getTimeOffPeriods
+ * @param {Object} employee - Employee object
+ * @param {string} dateKey - Date to check (YYYY-MM-DD)
+ * @param {Array} timeOff - Time-off entries for the employee
+ * @returns {Array<Object>} - Working periods { start, end }
  */
-const getAvailableSlots = async (employeeId, tenantId, date, duration, slotInterval = 15) => {
-  // Get employee
-  const employee = await Employee.findOne({
-    where: { id: employeeId, tenantId, status: EMPLOYEE_STATUS.ACTIVE },
-  });
+const getEmployeeWorkingPeriods = (employee, dateKey, timeOff = []) => {
+  const entries = getTimeOffForDate(timeOff, dateKey);
 
-  if (!employee) {
-    throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
+  if (entries.some(entry => entry.type === TIME_OFF_TYPES.DAY_OFF)) {
+    return [];
+  }
+
+  const periods = [];
+  const workingHours = getEmployeeWorkingHours(employee, dateKey);
+
+  if (workingHours) {
+    periods.push(workingHours);
+  }
+
+  entries
+    .filter(entry => entry.type === TIME_OFF_TYPES.EXTRA_HOURS)
+    .forEach(entry => periods.push({ start: entry.startTime, end: entry.endTime }));
+
+  return periods;
+};
+
+/**
+ * Build the free slots for an employee on a date from already-loaded bookings and exceptions
+ * @param {Object} employee - Employee object
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {Object} context - Slot context
+ * @param {string} context.timezone - Tenant's IANA timezone
+ * @param {number} context.duration - Required duration in minutes
+ * @param {number} context.bufferBefore - Minutes to keep clear before each slot (default: 0)
+ * @param {number} context.bufferAfter - Minutes to keep clear after each slot (default: 0)
+ * @param {number} context.slotInterval - Slot interval in minutes
+ * @param {Array} context.appointments - The employee's active appointments on or near the date
+ * @param {Array} context.holds - The employee's unexpired slot holds on or near the date (default: none)
+ * @param {Array} context.timeOff - The employee's time-off entries covering the date
+ * @param {Object|null} context.closure - Tenant closure that applies on the date
+ * @param {Array} context.resourceBlocked - Periods when a resource the service needs is fully booked (default: none)
+ * @param {Date} context.now - Current time (default: now)
+ * @returns {Array} - Available time slots sorted by start time
+ */
+const buildSlotsForDate = (employee, dateKey, context) => {
+  const {
+    timezone, duration, slotInterval, appointments, holds = [], timeOff, closure, resourceBlocked = [], now = new Date(),
+  } = context;
+  const buffers = { bufferBefore: context.bufferBefore, bufferAfter: context.bufferAfter };
+
+  // Nobody works while the business is closed for a holiday
+  if (closure && tenantClosureService.isClosedAllDay(closure)) {
+    return [];
   }
 
-  // Check if employee works on this day
-  const workingHours = getEmployeeWorkingHours(employee, date);
-  if (!workingHours) {
+  // Check if employee works on this day, including time-off exceptions
+  const workingPeriods = getEmployeeWorkingPeriods(employee, dateKey, timeOff);
+  if (workingPeriods.length === 0) {
     return []; // Employee doesn't work on this day
   }
 
-  // Get existing appointments for this date
-  const existingAppointments = await getEmployeeAppointmentsForDate(employeeId, tenantId, date);
+  // Existing appointments, holds and blocked time must stay clear of the slot and its buffers;
+  // time outside special hours and fully booked resources only have to stay clear of the slot itself
+  const busyPeriods = [
+    ...appointments.map(getAppointmentBlockedPeriod),
+    ...holds.map(getAppointmentBlockedPeriod),
+    ...getTimeOffPeriods(timeOff, dateKey, timezone),
+  ];
+  const closedPeriods = [
+    ...getClosurePeriods(closure, dateKey, timezone),
+    ...resourceBlocked,
+  ];
 
   // Generate potential slots
   const slots = [];
-  const workStart = parseTimeToMinutes(workingHours.start);
-  const workEnd = parseTimeToMinutes(workingHours.end);
+  const seenSlotStarts = new Set();
 
-  // Check if date is today and adjust start time if needed
-  const now = new Date();
-  const isToday = date.toDateString() === now.toDateString();
-  let currentSlotStart = workStart;
+  // Check if date is today (in the tenant's timezone) and adjust start time if needed
+  const isToday = dateKey === getDateKey(now, timezone);
+  let earliestStart = 0;
 
   if (isToday) {
     // Add a 15-minute buffer to prevent booking slots that may be in the past by submission time
     const bufferMinutes = 15;
-    const currentMinutes = now.getHours() * 60 + now.getMinutes() + bufferMinutes;
+    const currentMinutes = getMinutesOfDay(now, timezone) + bufferMinutes;
     // Round up to next slot interval
-    currentSlotStart = Math.max(workStart, Math.ceil(currentMinutes / slotInterval) * slotInterval);
+    earliestStart = Math.ceil(currentMinutes / slotInterval) * slotInterval;
   }
 
-  while (currentSlotStart + duration <= workEnd) {
-    const slotStartDate = new Date(date);
-    slotStartDate.setHours(Math.floor(currentSlotStart / 60), currentSlotStart % 60, 0, 0);
-    
-    const slotEndDate = new Date(date);
-    slotEndDate.setHours(Math.floor((currentSlotStart + duration) / 60), (currentSlotStart + duration) % 60, 0, 0);
+  for (const period of workingPeriods) {
+    const workStart = parseTimeToMinutes(period.start);
+    const workEndDate = setTimeOnDate(dateKey, period.end, timezone);
+    let currentSlotStart = Math.max(workStart, earliestStart);
 
-    // Check for conflicts with existing appointments
-    const hasConflict = existingAppointments.some(apt => 
-      doTimesOverlap(slotStartDate, slotEndDate, new Date(apt.startTime), new Date(apt.endTime))
-    );
+    while (currentSlotStart + duration <= parseTimeToMinutes(period.end)) {
+      const slotStartDate = zonedTimeToUtc(dateKey, currentSlotStart, timezone);
+      const slotEndDate = new Date(slotStartDate.getTime() + duration * MS_PER_MINUTE);
 
-    if (!hasConflict) {
-      slots.push({
-        startTime: slotStartDate.toISOString(),
-        endTime: slotEndDate.toISOString(),
-        startTimeFormatted: `${String(Math.floor(currentSlotStart / 60)).padStart(2, '0')}:${String(currentSlotStart % 60).padStart(2, '0')}`,
-        endTimeFormatted: `${String(Math.floor((currentSlotStart + duration) / 60)).padStart(2, '0')}:${String((currentSlotStart + duration) % 60).padStart(2, '0')}`,
-      });
-    }
+      // Check for conflicts with existing appointments, blocked time, closures and resources
+      const blocked = getBufferedPeriod(slotStartDate, slotEndDate, buffers);
+      const hasConflict = busyPeriods.some(busy =>
+        doTimesOverlap(blocked.start, blocked.end, busy.start, busy.end)
+      ) || closedPeriods.some(closed =>
+        doTimesOverlap(slotStartDate, slotEndDate, closed.start, closed.end)
+      );
 
-    currentSlotStart += slotInterval;
+      // Overlapping extra hours can produce the same slot twice, and a local time
+      // skipped by a DST change resolves to a neighbouring slot
+      const slotKey = slotStartDate.getTime();
+      if (!hasConflict && slotEndDate <= workEndDate && !seenSlotStarts.has(slotKey)) {
+        seenSlotStarts.add(slotKey);
+        slots.push({
+          startTime: slotStartDate.toISOString(),
+          endTime: slotEndDate.toISOString(),
+          startTimeFormatted: formatTimeOfDay(slotStartDate, timezone),
+          endTimeFormatted: formatTimeOfDay(slotEndDate, timezone),
+        });
+      }
+
+      currentSlotStart += slotInterval;
+    }
   }
 
+  slots.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
   return slots;
 };
 
 /**
- * Get availability for multiple employees on a specific date
+ * Generate available time slots for an employee on a specific date
+ * Schedules are wall-clock times in the tenant's timezone, so slots keep their local
+ * times across DST transitions
+ * @param {string} employeeId - Employee ID
  * @param {string} tenantId - Tenant ID
- * @param {Date} date - Date to check
- * @param {string} serviceId - Service ID (to get duration)
- * @param {Array<string>} employeeIds - Optional list of employee IDs to filter
- * @returns {Promise<Array>} - List of employee availability
+ * @param {Date|string} date - Date to check (date key or any instant on that day)
+ * @param {number} duration - Required duration in minutes
+ * @param {number} slotInterval - Slot interval in minutes (default: 15)
+ * @param {Object} buffers - Optional { bufferBefore, bufferAfter } in minutes
+ * @param {Array<string>} resourceTypes - Resource types the service needs, one of each (default: none)
+ * @returns {Promise<Array>} - List of available time slots
  */
-const getAvailabilityForDate = async (tenantId, date, serviceId, employeeIds = null) => {
-  // Get service to determine duration
+const getAvailableSlots = async (
+  employeeId, tenantId, date, duration, slotInterval = DEFAULT_SLOT_INTERVAL, buffers = {}, resourceTypes = []
+) => {
+  // Get employee
+  const employee = await Employee.findOne({
+    where: { id: employeeId, tenantId, status: EMPLOYEE_STATUS.ACTIVE },
+  });
+
+  if (!employee) {
+    throw new AppError('Employee not found or not active', 404, 'EMPLOYEE_NOT_FOUND');
+  }
+
+  const timezone = await getTenantTimezone(tenantId);
+  const dateKey = toDateKey(date, timezone);
+
+  // Nobody works while the business is closed for a holiday
+  const closure = await tenantClosureService.getClosureForDate(tenantId, dateKey, timezone);
+  if (closure && tenantClosureService.isClosedAllDay(closure)) {
+    return [];
+  }
+
+  // Skip the appointment query when the employee doesn't work on this day
+  const timeOff = await getEmployeeTimeOff(employeeId, tenantId, dateKey);
+  if (getEmployeeWorkingPeriods(employee, dateKey, timeOff).length === 0) {
+    return [];
+  }
+
+  const { start: startOfDay, end: endOfDay } = getDayBounds(dateKey, timezone);
+  const [appointments, holds, resourceBlocked] = await Promise.all([
+    getEmployeeAppointmentsForDate(employeeId, tenantId, dateKey, timezone),
+    getActiveHolds(tenantId, [employeeId], startOfDay, endOfDay),
+    getResourceBlockedPeriods(tenantId, getResourceDemand(resourceTypes), startOfDay, endOfDay),
+  ]);
+
+  return buildSlotsForDate(employee, dateKey, {
+    timezone,
+    duration,
+    ...buffers,
+    slotInterval,
+    appointments,
+    holds,
+    timeOff,
+    closure,
+    resourceBlocked,
+  });
+};
+
+/**
+ * Get the service being booked, to determine slot duration
+ * @param {string} tenantId - Tenant ID
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object>} - Service
+ * @throws {AppError} - If service not found
+ */
+const getServiceForAvailability = async (tenantId, serviceId) => {
   const service = await Service.findOne({
     where: { id: serviceId, tenantId },
   });
@@ -225,7 +797,17 @@ const getAvailabilityForDate = async (tenantId, date, serviceId, employeeIds = n
     throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
   }
 
-  // Get employees who can perform this service
+  return service;
+};
+
+/**
+ * Get active employees who can perform a service
+ * @param {string} tenantId - Tenant ID
+ * @param {string} serviceId - Service ID
+ * @param {Array<string>} employeeIds - Optional list of employee IDs to filter
+ * @returns {Promise<Array>} - Qualified employees
+ */
+const getQualifiedEmployees = async (tenantId, serviceId, employeeIds = null) => {
   const employeeWhere = {
     tenantId,
     status: EMPLOYEE_STATUS.ACTIVE,
@@ -237,28 +819,51 @@ const getAvailabilityForDate = async (tenantId, date, serviceId, employeeIds = n
 
   const employees = await Employee.findAll({ where: employeeWhere });
 
-  // Filter employees who can perform this service
-  const qualifiedEmployees = employees.filter(emp => 
+  return employees.filter(emp => 
     emp.serviceIds && emp.serviceIds.includes(serviceId)
   );
+};
+
+/**
+ * Get availability for multiple employees on a specific date
+ * @param {string} tenantId - Tenant ID
+ * @param {Date|string} date - Date to check (date key or any instant on that day)
+ * @param {string} serviceId - Service ID (to get duration)
+ * @param {Array<string>} employeeIds - Optional list of employee IDs to filter
+ * @returns {Promise<Array>} - List of employee availability
+ */
+const getAvailabilityForDate = async (tenantId, date, serviceId, employeeIds = null) => {
+  const service = await getServiceForAvailability(tenantId, serviceId);
+  const qualifiedEmployees = await getQualifiedEmployees(tenantId, serviceId, employeeIds);
+
+  const timezone = await getTenantTimezone(tenantId);
+  const dateKey = toDateKey(date, timezone);
+
+  // Included with each result so callers can explain holiday closures and special hours
+  const closure = await tenantClosureService.getClosureForDate(tenantId, dateKey, timezone);
 
   // Get availability for each employee
   const availabilityResults = await Promise.all(
     qualifiedEmployees.map(async (employee) => {
+      const { duration } = getEmployeeServiceTerms(service, employee);
       const slots = await getAvailableSlots(
         employee.id,
         tenantId,
-        date,
-        service.duration
+        dateKey,
+        duration,
+        DEFAULT_SLOT_INTERVAL,
+        getServiceBuffers(service),
+        service.resourceTypes
       );
 
       return {
         employeeId: employee.id,
         employeeName: employee.getFullName(),
-        date: date.toISOString().split('T')[0],
-        serviceDuration: service.duration,
+        date: dateKey,
+        serviceDuration: duration,
         availableSlots: slots,
         isAvailable: slots.length > 0,
+        closure: closure ? closure.toSafeObject() : null,
       };
     })
   );
@@ -269,40 +874,606 @@ const getAvailabilityForDate = async (tenantId, date, serviceId, employeeIds = n
 /**
  * Get availability for a date range
  * @param {string} tenantId - Tenant ID
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
+ * @param {Date|string} startDate - Start date (date key or any instant on that day)
+ * @param {Date|string} endDate - End date (date key or any instant on that day)
  * @param {string} serviceId - Service ID
  * @param {string} employeeId - Optional employee ID
  * @returns {Promise<Object>} - Availability by date
  */
 const getAvailabilityForDateRange = async (tenantId, startDate, endDate, serviceId, employeeId = null) => {
   const results = {};
-  const currentDate = new Date(startDate);
+  const timezone = await getTenantTimezone(tenantId);
+  const lastDateKey = toDateKey(endDate, timezone);
+  const employeeIds = employeeId ? [employeeId] : null;
 
-  while (currentDate <= endDate) {
-    const dateKey = currentDate.toISOString().split('T')[0];
-    const employeeIds = employeeId ? [employeeId] : null;
-    
-    const availability = await getAvailabilityForDate(
+  for (
+    let dateKey = toDateKey(startDate, timezone);
+    dateKey <= lastDateKey;
+    dateKey = addDaysToDateKey(dateKey, 1)
+  ) {
+    results[dateKey] = await getAvailabilityForDate(
       tenantId,
-      new Date(currentDate),
+      dateKey,
       serviceId,
       employeeIds
     );
-
-    results[dateKey] = availability;
-    currentDate.setDate(currentDate.getDate() + 1);
   }
 
   return results;
 };
 
+/**
+ * Resolve the slot start window for a next-available search
+ * @param {Object} options - Search options
+ * @returns {Object} - { start, end } in minutes from midnight (tenant local time)
+ * @throws {AppError} - If the window is invalid
+ */
+const getTimeOfDayWindow = ({ timeOfDay, earliestTime, latestTime }) => {
+  let window = { start: 0, end: 24 * 60 };
+
+  if (timeOfDay) {
+    const preset = TIME_OF_DAY_WINDOWS[timeOfDay];
+    if (!preset) {
+      throw new AppError(
+        `Time of day must be one of: ${Object.keys(TIME_OF_DAY_WINDOWS).join(', ')}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+    window = { start: parseTimeToMinutes(preset.start), end: parseTimeToMinutes(preset.end) };
+  }
+
+  if (earliestTime) {
+    window.start = Math.max(window.start, parseTimeToMinutes(earliestTime));
+  }
+  if (latestTime) {
+    window.end = Math.min(window.end, parseTimeToMinutes(latestTime));
+  }
+
+  if (window.start >= window.end) {
+    throw new AppError('Earliest time must be before latest time', 400, 'VALIDATION_ERROR');
+  }
+
+  return window;
+};
+
+/**
+ * Group records by employee ID
+ * @param {Array} records - Records with an employeeId
+ * @returns {Map<string, Array>} - Records by employee
+ */
+const groupByEmployee = (records) => {
+  const grouped = new Map();
+  records.forEach(record => {
+    if (!grouped.has(record.employeeId)) {
+      grouped.set(record.employeeId, []);
+    }
+    grouped.get(record.employeeId).push(record);
+  });
+  return grouped;
+};
+
+/**
+ * Find the next available slots for a service across all qualified employees
+ * Bookings, holds, time off and closures for the whole search range are loaded up front
+ * (one query each) instead of per employee per day. Each start time is returned once,
+ * with the preferred employee when they are free and otherwise the first free employee
+ * @param {string} tenantId - Tenant ID
+ * @param {string} serviceId - Service ID
+ * @param {Object} options - Search options
+ * @param {Date|string} options.from - Search start (date key or instant; default: now)
+ * @param {number} options.count - Number of slots to return (default: 5, max: 50)
+ * @param {number} options.days - Number of days to search (default: 14, max: 60)
+ * @param {string} options.employeeId - Only search this employee (optional)
+ * @param {string} options.preferredEmployeeId - Employee to offer first when free (optional)
+ * @param {string} options.timeOfDay - morning, afternoon or evening (optional)
+ * @param {string} options.earliestTime - Earliest slot start, HH:MM (optional)
+ * @param {string} options.latestTime - Slots must start before this time, HH:MM (optional)
+ * @param {number} options.slotInterval - Slot interval in minutes (default: 15)
+ * @returns {Promise<Object>} - { slots, from, to, serviceDuration }
+ */
+const findNextAvailableSlots = async (tenantId, serviceId, options = {}) => {
+  const {
+    from = new Date(),
+    employeeId = null,
+    preferredEmployeeId = null,
+    slotInterval = DEFAULT_SLOT_INTERVAL,
+  } = options;
+  const count = Math.min(Math.max(Number(options.count) || NEXT_AVAILABLE_DEFAULT_COUNT, 1), NEXT_AVAILABLE_MAX_COUNT);
+  const days = Math.min(Math.max(Number(options.days) || NEXT_AVAILABLE_DEFAULT_DAYS, 1), NEXT_AVAILABLE_MAX_DAYS);
+  const window = getTimeOfDayWindow(options);
+
+  const service = await getServiceForAvailability(tenantId, serviceId);
+  const employees = await getQualifiedEmployees(tenantId, serviceId, employeeId ? [employeeId] : null);
+
+  const timezone = await getTenantTimezone(tenantId);
+  const fromKey = toDateKey(from, timezone);
+  const toKey = addDaysToDateKey(fromKey, days - 1);
+  // A date key searches the whole day; an instant only searches from that time on
+  const notBefore = typeof from === 'string' && DATE_KEY_REGEX.test(from) ? null : new Date(from);
+
+  const buffers = getServiceBuffers(service);
+  const result = { slots: [], from: fromKey, to: toKey, serviceDuration: service.duration };
+
+  if (employees.length === 0) {
+    return result;
+  }
+
+  // Prefer the requested employee, then keep the database order
+  const orderedEmployees = [...employees].sort((a, b) =>
+    (b.id === preferredEmployeeId) - (a.id === preferredEmployeeId)
+  );
+  const employeeIds = orderedEmployees.map(employee => employee.id);
+  const rangeStart = startOfDayInTimezone(fromKey, timezone);
+  const rangeEnd = startOfDayInTimezone(addDaysToDateKey(toKey, 1), timezone);
+
+  const [appointments, holds, timeOff, closures, resourceBlocked] = await Promise.all([
+    Appointment.findAll({
+      where: {
+        tenantId,
+        employeeId: { [Op.in]: employeeIds },
+        startTime: { [Op.lt]: new Date(rangeEnd.getTime() + BUFFER_SEARCH_MS) },
+        endTime: { [Op.gt]: new Date(rangeStart.getTime() - BUFFER_SEARCH_MS) },
+        status: {
+          [Op.notIn]: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+        },
+      },
+      order: [['startTime', 'ASC']],
+    }),
+    getActiveHolds(tenantId, employeeIds, rangeStart, rangeEnd),
+    EmployeeTimeOff.findAll({
+      where: {
+        tenantId,
+        employeeId: { [Op.in]: employeeIds },
+        status: TIME_OFF_STATUS.APPROVED,
+        startDate: { [Op.lte]: toKey },
+        endDate: { [Op.gte]: fromKey },
+      },
+    }),
+    tenantClosureService.getClosuresForRange(tenantId, fromKey, toKey),
+    getResourceBlockedPeriods(tenantId, getResourceDemand(service.resourceTypes), rangeStart, rangeEnd),
+  ]);
+
+  const appointmentsByEmployee = groupByEmployee(appointments);
+  const holdsByEmployee = groupByEmployee(holds);
+  const timeOffByEmployee = groupByEmployee(timeOff);
+  const now = new Date();
+
+  for (let dateKey = fromKey; dateKey <= toKey && result.slots.length < count; dateKey = addDaysToDateKey(dateKey, 1)) {
+    const closure = tenantClosureService.findClosureForDate(closures, dateKey);
+    const { start: dayStart, end: dayEnd } = getDayBounds(dateKey, timezone);
+    const slotsByStart = new Map();
+    const touchesDay = (booking) => {
+      const period = getAppointmentBlockedPeriod(booking);
+      return period.start < dayEnd && period.end > dayStart;
+    };
+
+    for (const employee of orderedEmployees) {
+      const slots = buildSlotsForDate(employee, dateKey, {
+        timezone,
+        duration: getEmployeeServiceTerms(service, employee).duration,
+        ...buffers,
+        slotInterval,
+        appointments: (appointmentsByEmployee.get(employee.id) || []).filter(touchesDay),
+        holds: (holdsByEmployee.get(employee.id) || []).filter(touchesDay),
+        timeOff: timeOffByEmployee.get(employee.id) || [],
+        closure,
+        resourceBlocked,
+        now,
+      });
+
+      slots.forEach(slot => {
+        const startMinutes = parseTimeToMinutes(slot.startTimeFormatted);
+        const inWindow = startMinutes >= window.start && startMinutes < window.end;
+        const afterFrom = !notBefore || new Date(slot.startTime) >= notBefore;
+
+        if (inWindow && afterFrom && !slotsByStart.has(slot.startTime)) {
+          slotsByStart.set(slot.startTime, {
+            date: dateKey,
+            ...slot,
+            employeeId: employee.id,
+            employeeName: employee.getFullName(),
+          });
+        }
+      });
+    }
+
+    const daySlots = [...slotsByStart.values()]
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    result.slots.push(...daySlots.slice(0, count - result.slots.length));
+  }
+
+  return result;
+};
+
+/**
+ * Pick a different employee for each member of a group at one start time
+ * Members are assigned in order, backtracking when an earlier choice leaves a later
+ * member with nobody free
+ * @param {Array<Array<Object>>} candidates - Per member, the employees free at the start time
+ * @param {number} index - Member being assigned
+ * @param {Set<string>} used - Employees already assigned
+ * @returns {Array<Object>|null} - Employee per member, or null if no assignment exists
+ */
+const assignGroupEmployees = (candidates, index = 0, used = new Set()) => {
+  if (index === candidates.length) {
+    return [];
+  }
+
+  for (const employee of candidates[index]) {
+    if (used.has(employee.id)) {
+      continue;
+    }
+
+    used.add(employee.id);
+    const rest = assignGroupEmployees(candidates, index + 1, used);
+    used.delete(employee.id);
+
+    if (rest) {
+      return [employee, ...rest];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find start times on a date when a whole group can be booked together
+ * Each member needs a different employee qualified for their service, free from the
+ * same start time for the length of that service, and every requested resource must be
+ * free from the start until the longest service ends. Data for the day is loaded up
+ * front, as in findNextAvailableSlots
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - Search options
+ * @param {Date|string} options.date - Date to search (date key or any instant on that day)
+ * @param {Array<string>} options.serviceIds - One service per member; repeat a service for members having the same one
+ * @param {Array<string>} options.employeeIds - Only assign these employees (optional)
+ * @param {Array<string>} options.resourceIds - Resources the group needs (optional)
+ * @param {number} options.slotInterval - Slot interval in minutes (default: 15)
+ * @returns {Promise<Object>} - { date, slots } where each slot lists its members' employees
+ */
+const findGroupSlots = async (tenantId, options = {}) => {
+  const {
+    date,
+    serviceIds,
+    employeeIds = null,
+    resourceIds = [],
+    slotInterval = DEFAULT_SLOT_INTERVAL,
+  } = options;
+
+  const timezone = await getTenantTimezone(tenantId);
+  const dateKey = toDateKey(date, timezone);
+  const result = { date: dateKey, slots: [] };
+
+  const uniqueServiceIds = [...new Set(serviceIds)];
+  const services = await Service.findAll({
+    where: { id: { [Op.in]: uniqueServiceIds }, tenantId },
+  });
+  if (services.length !== uniqueServiceIds.length) {
+    throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+  }
+  const servicesById = new Map(services.map(service => [service.id, service]));
+
+  const uniqueResourceIds = [...new Set(resourceIds)];
+  const resources = uniqueResourceIds.length > 0
+    ? await Resource.findAll({
+      where: { id: { [Op.in]: uniqueResourceIds }, tenantId, status: RESOURCE_STATUS.ACTIVE },
+    })
+    : [];
+  if (resources.length !== uniqueResourceIds.length) {
+    throw new AppError('Resource not found or not active', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  const employeeWhere = { tenantId, status: EMPLOYEE_STATUS.ACTIVE };
+  if (employeeIds && employeeIds.length > 0) {
+    employeeWhere.id = { [Op.in]: employeeIds };
+  }
+  const employees = await Employee.findAll({ where: employeeWhere });
+
+  // A group needs as many different employees as it has members
+  const qualifiedByService = new Map(uniqueServiceIds.map(serviceId => [
+    serviceId,
+    employees.filter(emp => emp.serviceIds && emp.serviceIds.includes(serviceId)),
+  ]));
+  const poolIds = [...new Set([...qualifiedByService.values()].flat().map(employee => employee.id))];
+  if (poolIds.length < serviceIds.length || [...qualifiedByService.values()].some(pool => pool.length === 0)) {
+    return result;
+  }
+
+  const closure = await tenantClosureService.getClosureForDate(tenantId, dateKey, timezone);
+  if (closure && tenantClosureService.isClosedAllDay(closure)) {
+    return result;
+  }
+
+  const { start: dayStart, end: dayEnd } = getDayBounds(dateKey, timezone);
+  const resourceDemand = getGroupResourceDemand(serviceIds.map(serviceId => servicesById.get(serviceId)), resources);
+  const [appointments, holds, timeOff, resourceBookings, resourceBlocked] = await Promise.all([
+    Appointment.findAll({
+      where: {
+        tenantId,
+        employeeId: { [Op.in]: poolIds },
+        startTime: { [Op.lt]: new Date(dayEnd.getTime() + BUFFER_SEARCH_MS) },
+        endTime: { [Op.gt]: new Date(dayStart.getTime() - BUFFER_SEARCH_MS) },
+        status: {
+          [Op.notIn]: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+        },
+      },
+      order: [['startTime', 'ASC']],
+    }),
+    getActiveHolds(tenantId, poolIds, dayStart, dayEnd),
+    EmployeeTimeOff.findAll({
+      where: {
+        tenantId,
+        employeeId: { [Op.in]: poolIds },
+        status: TIME_OFF_STATUS.APPROVED,
+        startDate: { [Op.lte]: dateKey },
+        endDate: { [Op.gte]: dateKey },
+      },
+    }),
+    getResourceBookings(tenantId, uniqueResourceIds, dayStart, dayEnd),
+    getResourceBlockedPeriods(tenantId, resourceDemand, dayStart, dayEnd),
+  ]);
+
+  // The chosen resources must each have room left, as well as the pool of their type
+  const fullPeriods = [
+    ...resources.flatMap(resource => getFullPeriods(
+      resourceBookings.filter(booking => booking.resourceId === resource.id),
+      resource.capacity || 1
+    )),
+    ...resourceBlocked,
+  ];
+
+  const appointmentsByEmployee = groupByEmployee(appointments);
+  const holdsByEmployee = groupByEmployee(holds);
+  const timeOffByEmployee = groupByEmployee(timeOff);
+  const now = new Date();
+
+  // Start times each qualified employee is free for each service
+  const freeStarts = new Map();
+  for (const [serviceId, pool] of qualifiedByService) {
+    const service = servicesById.get(serviceId);
+    for (const employee of pool) {
+      const slots = buildSlotsForDate(employee, dateKey, {
+        timezone,
+        duration: getEmployeeServiceTerms(service, employee).duration,
+        ...getServiceBuffers(service),
+        slotInterval,
+        appointments: appointmentsByEmployee.get(employee.id) || [],
+        holds: holdsByEmployee.get(employee.id) || [],
+        timeOff: timeOffByEmployee.get(employee.id) || [],
+        closure,
+        now,
+      });
+      freeStarts.set(`${serviceId}:${employee.id}`, new Set(slots.map(slot => slot.startTime)));
+    }
+  }
+
+  const startTimes = [...new Set([...freeStarts.values()].flatMap(starts => [...starts]))].sort();
+
+  for (const startTime of startTimes) {
+    const candidates = serviceIds.map(serviceId =>
+      qualifiedByService.get(serviceId).filter(employee =>
+        freeStarts.get(`${serviceId}:${employee.id}`).has(startTime)
+      )
+    );
+    const assignment = assignGroupEmployees(candidates);
+    if (!assignment) {
+      continue;
+    }
+
+    // The group lasts as long as the longest service, as the assigned employees do it
+    const groupDuration = Math.max(...assignment.map((employee, index) =>
+      getEmployeeServiceTerms(servicesById.get(serviceIds[index]), employee).duration
+    ));
+    const slotStart = new Date(startTime);
+    const slotEnd = new Date(slotStart.getTime() + groupDuration * MS_PER_MINUTE);
+
+    const resourceBusy = fullPeriods.some(period =>
+      doTimesOverlap(slotStart, slotEnd, period.start, period.end)
+    );
+    if (resourceBusy) {
+      continue;
+    }
+
+    result.slots.push({
+      startTime,
+      endTime: slotEnd.toISOString(),
+      startTimeFormatted: formatTimeOfDay(slotStart, timezone),
+      endTimeFormatted: formatTimeOfDay(slotEnd, timezone),
+      members: assignment.map((employee, index) => ({
+        serviceId: serviceIds[index],
+        employeeId: employee.id,
+        employeeName: employee.getFullName(),
+      })),
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Find start times on a date when several services can be booked back to back
+ * Each service starts when the one before it ends and needs a qualified employee free for
+ * it; the same employee can do several of them. Employees are suggested in the order
+ * given, keeping the employee of the previous service when they are free. Data for the
+ * day is loaded up front, as in findNextAvailableSlots
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - Search options
+ * @param {Date|string} options.date - Date to search (date key or any instant on that day)
+ * @param {Array<string>} options.serviceIds - Services in the order they happen
+ * @param {Array<string>} options.employeeIds - Only assign these employees (optional)
+ * @param {number} options.slotInterval - Interval between start times in minutes (default: 15)
+ * @returns {Promise<Object>} - { date, totalDuration, slots } where each slot lists its services' times and employees
+ */
+const findMultiServiceSlots = async (tenantId, options = {}) => {
+  const {
+    date,
+    serviceIds,
+    employeeIds = null,
+    slotInterval = DEFAULT_SLOT_INTERVAL,
+  } = options;
+
+  const timezone = await getTenantTimezone(tenantId);
+  const dateKey = toDateKey(date, timezone);
+
+  const uniqueServiceIds = [...new Set(serviceIds)];
+  const services = await Service.findAll({
+    where: { id: { [Op.in]: uniqueServiceIds }, tenantId },
+  });
+  if (services.length !== uniqueServiceIds.length) {
+    throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+  }
+  const servicesById = new Map(services.map(service => [service.id, service]));
+  const segmentServices = serviceIds.map(serviceId => servicesById.get(serviceId));
+  const totalDuration = segmentServices.reduce((total, service) => total + service.duration, 0);
+  const result = { date: dateKey, totalDuration, slots: [] };
+
+  const employeeWhere = { tenantId, status: EMPLOYEE_STATUS.ACTIVE };
+  if (employeeIds && employeeIds.length > 0) {
+    employeeWhere.id = { [Op.in]: employeeIds };
+  }
+  const employees = await Employee.findAll({ where: employeeWhere });
+
+  const qualifiedByService = new Map(uniqueServiceIds.map(serviceId => [
+    serviceId,
+    employees.filter(emp => emp.serviceIds && emp.serviceIds.includes(serviceId)),
+  ]));
+  if ([...qualifiedByService.values()].some(pool => pool.length === 0)) {
+    return result;
+  }
+  const poolIds = [...new Set([...qualifiedByService.values()].flat().map(employee => employee.id))];
+
+  const closure = await tenantClosureService.getClosureForDate(tenantId, dateKey, timezone);
+  if (closure && tenantClosureService.isClosedAllDay(closure)) {
+    return result;
+  }
+
+  const { start: dayStart, end: dayEnd } = getDayBounds(dateKey, timezone);
+  const [appointments, holds, timeOff, resourceBlocked] = await Promise.all([
+    Appointment.findAll({
+      where: {
+        tenantId,
+        employeeId: { [Op.in]: poolIds },
+        startTime: { [Op.lt]: new Date(dayEnd.getTime() + BUFFER_SEARCH_MS) },
+        endTime: { [Op.gt]: new Date(dayStart.getTime() - BUFFER_SEARCH_MS) },
+        status: {
+          [Op.notIn]: [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+        },
+      },
+      order: [['startTime', 'ASC']],
+    }),
+    getActiveHolds(tenantId, poolIds, dayStart, dayEnd),
+    EmployeeTimeOff.findAll({
+      where: {
+        tenantId,
+        employeeId: { [Op.in]: poolIds },
+        status: TIME_OFF_STATUS.APPROVED,
+        startDate: { [Op.lte]: dateKey },
+        endDate: { [Op.gte]: dateKey },
+      },
+    }),
+    Promise.all(services.map(service =>
+      getResourceBlockedPeriods(tenantId, getResourceDemand(service.resourceTypes), dayStart, dayEnd)
+    )),
+  ]);
+
+  const appointmentsByEmployee = groupByEmployee(appointments);
+  const holdsByEmployee = groupByEmployee(holds);
+  const timeOffByEmployee = groupByEmployee(timeOff);
+  const resourceBlockedByService = new Map(services.map((service, index) => [service.id, resourceBlocked[index]]));
+  const now = new Date();
+
+  // The first service starts on the slot interval; later ones start whenever the one
+  // before them ends, so their free start times are found to the minute
+  const freeStarts = new Map();
+  segmentServices.forEach((service, index) => {
+    for (const employee of qualifiedByService.get(service.id)) {
+      const slots = buildSlotsForDate(employee, dateKey, {
+        timezone,
+        duration: getEmployeeServiceTerms(service, employee).duration,
+        ...getServiceBuffers(service),
+        slotInterval: index === 0 ? slotInterval : 1,
+        appointments: appointmentsByEmployee.get(employee.id) || [],
+        holds: holdsByEmployee.get(employee.id) || [],
+        timeOff: timeOffByEmployee.get(employee.id) || [],
+        closure,
+        resourceBlocked: resourceBlockedByService.get(service.id),
+        now,
+      });
+      freeStarts.set(`${index}:${employee.id}`, new Set(slots.map(slot => slot.startTime)));
+    }
+  });
+
+  const startTimes = [...new Set(
+    qualifiedByService.get(serviceIds[0]).flatMap(employee => [...freeStarts.get(`0:${employee.id}`)])
+  )].sort();
+
+  for (const startTime of startTimes) {
+    const segments = [];
+    let segmentStart = new Date(startTime);
+
+    for (const [index, service] of segmentServices.entries()) {
+      const segmentStartTime = segmentStart.toISOString();
+      const free = qualifiedByService.get(service.id)
+        .filter(employee => freeStarts.get(`${index}:${employee.id}`).has(segmentStartTime));
+      const previous = segments.length > 0 ? segments[segments.length - 1].employeeId : null;
+      const employee = free.find(emp => emp.id === previous) || free[0];
+
+      if (!employee) {
+        break;
+      }
+
+      const { duration } = getEmployeeServiceTerms(service, employee);
+      const segmentEnd = new Date(segmentStart.getTime() + duration * MS_PER_MINUTE);
+      segments.push({
+        serviceId: service.id,
+        employeeId: employee.id,
+        employeeName: employee.getFullName(),
+        startTime: segmentStartTime,
+        endTime: segmentEnd.toISOString(),
+        startTimeFormatted: formatTimeOfDay(segmentStart, timezone),
+        endTimeFormatted: formatTimeOfDay(segmentEnd, timezone),
+      });
+      segmentStart = segmentEnd;
+    }
+
+    if (segments.length < segmentServices.length) {
+      continue;
+    }
+
+    result.slots.push({
+      startTime,
+      endTime: segmentStart.toISOString(),
+      startTimeFormatted: formatTimeOfDay(new Date(startTime), timezone),
+      endTimeFormatted: formatTimeOfDay(segmentStart, timezone),
+      segments,
+    });
+  }
+
+  return result;
+};
+
 module.exports = {
   checkSlotAvailability,
+  getResourceDemand,
+  getGroupResourceDemand,
+  getResourceBlockedPeriods,
   getAvailableSlots,
   getAvailabilityForDate,
   getAvailabilityForDateRange,
+  findNextAvailableSlots,
+  findGroupSlots,
+  findMultiServiceSlots,
+  TIME_OF_DAY_WINDOWS,
+  getServiceBuffers,
+  getEmployeeServiceTerms,
+  getBufferedPeriod,
+  getActiveHolds,
   getEmployeeWorkingHours,
+  getEmployeeWorkingPeriods,
+  getEmployeeTimeOff,
+  getTimeOffPeriods,
+  getClosurePeriods,
   getDayOfWeek,
   parseTimeToMinutes,
   doTimesOverlap,
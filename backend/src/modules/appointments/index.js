@@ -6,16 +6,29 @@ const appointmentRoutes = require('./appointment.routes');
 const availabilityRoutes = require('./availability.routes');
 const appointmentService = require('./appointment.service');
 const availabilityService = require('./availability.service');
+const reminderService = require('./reminder.service');
 const appointmentController = require('./appointment.controller');
 const { Appointment, APPOINTMENT_STATUS, CANCELLATION_REASONS } = require('./appointment.model');
+const { SlotHold } = require('./slotHold.model');
+const { AppointmentSeries, SERIES_FREQUENCY, SERIES_STATUS, SERIES_SCOPE } = require('./appointmentSeries.model');
+const { AppointmentGroup, GROUP_STATUS, GROUP_TYPES } = require('./appointmentGroup.model');
 
 module.exports = {
   appointmentRoutes,
   availabilityRoutes,
   appointmentService,
   availabilityService,
+  reminderService,
   appointmentController,
   Appointment,
   APPOINTMENT_STATUS,
   CANCELLATION_REASONS,
+  SlotHold,
+  AppointmentSeries,
+  SERIES_FREQUENCY,
+  SERIES_STATUS,
+  SERIES_SCOPE,
+  AppointmentGroup,
+  GROUP_STATUS,
+  GROUP_TYPES,
 };
@@ -0,0 +1,331 @@
+/**
+ * Reminder Service
+ * Background scheduler that sends SMS reminders ahead of upcoming appointments
+ */
+const { Op } = require('sequelize');
+const { Appointment, APPOINTMENT_STATUS } = require('./appointment.model');
+const { Service } = require('../services/service.model');
+const { Tenant, TENANT_STATUS } = require('../tenants/tenant.model');
+const smsHandler = require('../telephony/sms.handler');
+const { isUserOptedInForSms } = require('./sms.service');
+const logger = require('../../utils/logger');
+const { resolveTimezone } = require('../../utils/timezone');
+
+/**
+ * Default reminder offsets (hours before the appointment start time)
+ * Tenants can override these via metadata.reminderOffsets
+ */
+const DEFAULT_REMINDER_OFFSETS = [24, 2];
+
+/**
+ * How often the scheduler scans for due reminders (milliseconds)
+ */
+const REMINDER_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+let schedulerInterval = null;
+let isProcessing = false;
+
+/**
+ * Get the reminder offsets configured for a tenant
+ * An empty array disables reminders for the tenant
+ * @param {Object} tenant - Tenant object
+ * @returns {Array<number>} - Offsets in hours, largest first
+ */
+const getReminderOffsets = (tenant) => {
+  const configured = tenant?.metadata?.reminderOffsets;
+
+  if (!Array.isArray(configured)) {
+    return [...DEFAULT_REMINDER_OFFSETS];
+  }
+
+  const offsets = configured
+    .map(offset => Number(offset))
+    .filter(offset => Number.isFinite(offset) && offset > 0);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Get the reminder offsets already sent for an appointment
+ * @param {Object} appointment - Appointment object
+ * @returns {Array<number>} - Offsets in hours
+ */
+const getSentReminderOffsets = (appointment) => {
+  const remindersSent = appointment.metadata?.remindersSent;
+
+  if (!Array.isArray(remindersSent)) {
+    return [];
+  }
+
+  return remindersSent.map(reminder => Number(reminder.offsetHours));
+};
+
+/**
+ * Determine which reminder offset (if any) is due for an appointment
+ * Offsets whose send time passed before the appointment was booked are skipped,
+ * and when several offsets are due at once only the closest one is sent
+ * @param {Object} appointment - Appointment object
+ * @param {Array<number>} offsets - Offsets in hours
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { offsetHours, coveredOffsets } or null if nothing is due
+ */
+const getDueReminder = (appointment, offsets, now = new Date()) => {
+  const startTime = new Date(appointment.startTime).getTime();
+  const createdAt = appointment.createdAt ? new Date(appointment.createdAt).getTime() : null;
+  const sentOffsets = getSentReminderOffsets(appointment);
+
+  if (startTime <= now.getTime()) {
+    return null;
+  }
+
+  const dueOffsets = offsets.filter((offsetHours) => {
+    const sendAt = startTime - offsetHours * MS_PER_HOUR;
+
+    if (sendAt > now.getTime()) {
+      return false;
+    }
+
+    if (createdAt && createdAt > sendAt) {
+      return false;
+    }
+
+    return !sentOffsets.includes(offsetHours);
+  });
+
+  if (dueOffsets.length === 0) {
+    return null;
+  }
+
+  return {
+    offsetHours: Math.min(...dueOffsets),
+    coveredOffsets: dueOffsets,
+  };
+};
+
+/**
+ * Record sent reminders in the appointment metadata
+ * @param {Object} appointment - Appointment object
+ * @param {Array<number>} offsets - Offsets in hours to record
+ * @param {string|null} messageSid - Twilio message SID
+ * @returns {Promise<void>}
+ */
+const recordRemindersSent = async (appointment, offsets, messageSid) => {
+  const metadata = appointment.metadata || {};
+  const remindersSent = Array.isArray(metadata.remindersSent) ? metadata.remindersSent : [];
+  const sentAt = new Date().toISOString();
+
+  await appointment.update({
+    metadata: {
+      ...metadata,
+      remindersSent: [
+        ...remindersSent,
+        ...offsets.map(offsetHours => ({ offsetHours, sentAt, messageSid })),
+      ],
+    },
+  });
+};
+
+/**
+ * Send a reminder for a single appointment
+ * @param {Object} appointment - Appointment object
+ * @param {Object} service - Service object
+ * @param {Object} due - Due reminder from getDueReminder
+ * @param {string} timezone - Tenant's IANA timezone, used to format the appointment time
+ * @returns {Promise<boolean>} - True if a reminder was sent
+ */
+const sendReminderForAppointment = async (appointment, service, due, timezone) => {
+  if (!appointment.customerPhone) {
+    return false;
+  }
+
+  // Same opt-in rule as the confirmation SMS (only enforced when an email is on file)
+  if (appointment.customerEmail) {
+    const optedIn = await isUserOptedInForSms(appointment.customerEmail, appointment.tenantId);
+    if (!optedIn) {
+      return false;
+    }
+  }
+
+  const startTime = new Date(appointment.startTime);
+
+  let result;
+  try {
+    result = await smsHandler.sendAppointmentReminder({
+      tenantId: appointment.tenantId,
+      customerPhone: appointment.customerPhone,
+      customerName: appointment.customerName,
+      appointmentDate: startTime.toLocaleDateString('en-US', {
+        timeZone: timezone,
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+      }),
+      appointmentTime: startTime.toLocaleTimeString('en-US', {
+        timeZone: timezone,
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+      }),
+      serviceName: service ? service.name : 'upcoming',
+    });
+  } catch (error) {
+    // Customers who replied STOP are skipped without recording, so a later START resumes reminders
+    if (error.code === 'SMS_OPTED_OUT') {
+      return false;
+    }
+    throw error;
+  }
+
+  await recordRemindersSent(appointment, due.coveredOffsets, result?.messageSid || null);
+
+  logger.info(`Appointment reminder (${due.offsetHours}h) sent for appointment: ${appointment.id}`);
+  return true;
+};
+
+/**
+ * Send all due reminders for a tenant
+ * @param {Object} tenant - Tenant object
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const processTenantReminders = async (tenant, now = new Date()) => {
+  const offsets = getReminderOffsets(tenant);
+
+  if (offsets.length === 0) {
+    return 0;
+  }
+
+  const windowEnd = new Date(now.getTime() + Math.max(...offsets) * MS_PER_HOUR);
+
+  const appointments = await Appointment.findAll({
+    where: {
+      tenantId: tenant.id,
+      status: {
+        [Op.in]: [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED],
+      },
+      startTime: {
+        [Op.gt]: now,
+        [Op.lte]: windowEnd,
+      },
+    },
+    order: [['startTime', 'ASC']],
+  });
+
+  const dueAppointments = appointments
+    .map(appointment => ({ appointment, due: getDueReminder(appointment, offsets, now) }))
+    .filter(({ due }) => due !== null);
+
+  if (dueAppointments.length === 0) {
+    return 0;
+  }
+
+  const serviceIds = [...new Set(dueAppointments.map(({ appointment }) => appointment.serviceId))];
+  const services = await Service.findAll({
+    where: { id: { [Op.in]: serviceIds }, tenantId: tenant.id },
+  });
+  const servicesById = new Map(services.map(service => [service.id, service]));
+  const timezone = resolveTimezone(tenant.timezone);
+
+  let sentCount = 0;
+
+  for (const { appointment, due } of dueAppointments) {
+    try {
+      const sent = await sendReminderForAppointment(
+        appointment,
+        servicesById.get(appointment.serviceId),
+        due,
+        timezone
+      );
+      if (sent) {
+        sentCount++;
+      }
+    } catch (error) {
+      // Leave the reminder unrecorded so the next run retries it
+      logger.error(`Failed to send reminder for appointment ${appointment.id}: ${error.message}`);
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * Scan all active tenants and send due appointment reminders
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const processDueReminders = async (now = new Date()) => {
+  if (isProcessing) {
+    logger.warn('Reminder run skipped: previous run still in progress');
+    return 0;
+  }
+
+  isProcessing = true;
+  let sentCount = 0;
+
+  try {
+    const tenants = await Tenant.findAll({
+      where: { status: TENANT_STATUS.ACTIVE },
+    });
+
+    for (const tenant of tenants) {
+      try {
+        sentCount += await processTenantReminders(tenant, now);
+      } catch (error) {
+        logger.error(`Error processing reminders for tenant ${tenant.id}: ${error.message}`);
+      }
+    }
+
+    if (sentCount > 0) {
+      logger.info(`Reminder run complete: ${sentCount} reminder(s) sent`);
+    }
+  } catch (error) {
+    logger.error(`Error processing appointment reminders: ${error.message}`);
+  } finally {
+    isProcessing = false;
+  }
+
+  return sentCount;
+};
+
+/**
+ * Start the reminder scheduler
+ * @param {number} intervalMs - Scan interval in milliseconds
+ */
+const startReminderScheduler = (intervalMs = REMINDER_CHECK_INTERVAL_MS) => {
+  if (schedulerInterval) {
+    return;
+  }
+
+  schedulerInterval = setInterval(() => {
+    processDueReminders();
+  }, intervalMs);
+
+  // Run once on startup so reminders missed during downtime go out promptly
+  processDueReminders();
+
+  logger.info(`Appointment reminder scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+/**
+ * Stop the reminder scheduler
+ */
+const stopReminderScheduler = () => {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+    logger.info('Appointment reminder scheduler stopped');
+  }
+};
+
+module.exports = {
+  getReminderOffsets,
+  getDueReminder,
+  processTenantReminders,
+  processDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+  DEFAULT_REMINDER_OFFSETS,
+  REMINDER_CHECK_INTERVAL_MS,
+};
@@ -0,0 +1,121 @@
+/**
+ * Slot Hold Model
+ * Short-lived reservations that keep a slot free while a booking is being confirmed
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Hold lifetimes in seconds
+ */
+const DEFAULT_HOLD_TTL_SECONDS = 120;
+const MAX_HOLD_TTL_SECONDS = 600;
+
+const SlotHold = sequelize.define('SlotHold', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id',
+    },
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'service_id',
+    references: {
+      model: 'services',
+      key: 'id',
+    },
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_time',
+  },
+  endTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'end_time',
+  },
+  bufferBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'buffer_before',
+    comment: 'Preparation minutes held before the slot',
+  },
+  bufferAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'buffer_after',
+    comment: 'Cleanup minutes held after the slot',
+  },
+  addOns: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'add_ons',
+    defaultValue: [],
+  },
+  reference: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Who placed the hold, e.g. a voice conversation ID',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+  },
+}, {
+  tableName: 'slot_holds',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'employee_id', 'start_time', 'end_time'],
+    },
+    {
+      fields: ['expires_at'],
+    },
+  ],
+});
+
+/**
+ * Check if the hold still reserves its slot
+ * @param {Date} now - Current time (default: now)
+ * @returns {boolean} - True if not expired
+ */
+SlotHold.prototype.isActive = function(now = new Date()) {
+  return new Date(this.expiresAt) > now;
+};
+
+/**
+ * Get hold data safe for API response
+ * @returns {Object} - Hold data
+ */
+SlotHold.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  SlotHold,
+  DEFAULT_HOLD_TTL_SECONDS,
+  MAX_HOLD_TTL_SECONDS,
+};
@@ -3,26 +3,32 @@
  * Handles sending SMS notifications for appointments
  */
 const twilioService = require('../telephony/twilio.service');
+const smsOptOutService = require('../telephony/smsOptOut.service');
+const smsConversationService = require('../telephony/smsConversation.service');
 const User = require('../../models/User');
 const env = require('../../config/env');
 const logger = require('../../utils/logger');
+const { getTenantTimezone } = require('../../utils/timezone');
 
 /**
  * Format appointment data into a user-friendly SMS message
  * @param {Object} appointment - Appointment data
  * @param {Object} employee - Employee data
  * @param {Object} service - Service data
+ * @param {string} timezone - Tenant's IANA timezone (default: UTC)
  * @returns {string} - Formatted SMS message
  */
-const formatAppointmentSummary = (appointment, employee, service) => {
+const formatAppointmentSummary = (appointment, employee, service, timezone = 'UTC') => {
   const appointmentDate = new Date(appointment.startTime);
   const dateStr = appointmentDate.toLocaleDateString('en-US', {
+    timeZone: timezone,
     weekday: 'long',
     year: 'numeric',
     month: 'long',
     day: 'numeric',
   });
   const timeStr = appointmentDate.toLocaleTimeString('en-US', {
+    timeZone: timezone,
     hour: 'numeric',
     minute: '2-digit',
     hour12: true,
@@ -35,6 +41,37 @@ const formatAppointmentSummary = (appointment, employee, service) => {
   return `Appointment Confirmed!\n\nService: ${serviceName}\nWith: ${employeeName}\nDate: ${dateStr}\nTime: ${timeStr}\nDuration: ${duration} min\n\nSee you soon!`;
 };
 
+/**
+ * Format the services of a multi-service booking into one SMS message, a line per service
+ * @param {Array<Object>} segments - In time order, { appointment, employee, service } for each service
+ * @param {string} timezone - Tenant's IANA timezone (default: UTC)
+ * @returns {string} - Formatted SMS message
+ */
+const formatMultiServiceSummary = (segments, timezone = 'UTC') => {
+  const dateStr = new Date(segments[0].appointment.startTime).toLocaleDateString('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const lines = segments.map(({ appointment, employee, service }) => {
+    const timeStr = new Date(appointment.startTime).toLocaleTimeString('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    });
+    const employeeName = employee ? `${employee.firstName} ${employee.lastName}` : 'our team';
+    const serviceName = service ? service.name : 'your service';
+
+    return `${timeStr} ${serviceName} with ${employeeName} (${appointment.totalDuration} min)`;
+  });
+  const totalDuration = segments.reduce((total, { appointment }) => total + appointment.totalDuration, 0);
+
+  return `Appointment Confirmed!\n\nDate: ${dateStr}\n${lines.join('\n')}\nTotal: ${totalDuration} min\n\nSee you soon!`;
+};
+
 /**
  * Check if a user has opted in for SMS notifications
  * @param {string} customerEmail - Customer email to check
@@ -60,14 +97,13 @@ const isUserOptedInForSms = async (customerEmail, tenantId) => {
 };
 
 /**
- * Send appointment confirmation SMS
- * @param {Object} appointment - Appointment data
- * @param {Object} employee - Employee data
- * @param {Object} service - Service data
+ * Send a confirmation SMS to the customer of an appointment
+ * @param {Object} appointment - Appointment whose customer is texted
  * @param {string} tenantId - Tenant ID
+ * @param {Function} formatMessage - Builds the message from the tenant's timezone
  * @returns {Promise<Object|null>} - SMS send result or null if not sent
  */
-const sendAppointmentConfirmationSms = async (appointment, employee, service, tenantId) => {
+const sendConfirmationSms = async (appointment, tenantId, formatMessage) => {
   // Check if SMS is configured
   if (!env.TWILIO_SMS_PHONE_NUMBER) {
     logger.warn('SMS not configured: TWILIO_SMS_PHONE_NUMBER is not set');
@@ -90,8 +126,15 @@ const sendAppointmentConfirmationSms = async (appointment, employee, service, te
   }
 
   try {
+    // Never text numbers that replied STOP
+    if (await smsOptOutService.isOptedOut(tenantId, appointment.customerPhone)) {
+      logger.info(`Customer phone for appointment ${appointment.id} has opted out of SMS, skipping`);
+      return null;
+    }
+
     // Format the message
-    const messageBody = formatAppointmentSummary(appointment, employee, service);
+    const timezone = await getTenantTimezone(tenantId);
+    const messageBody = formatMessage(timezone);
 
     // Send the SMS
     const result = await twilioService.sendSms({
@@ -100,6 +143,16 @@ const sendAppointmentConfirmationSms = async (appointment, employee, service, te
       body: messageBody,
     });
 
+    await smsConversationService.recordOutboundMessage({
+      tenantId,
+      from: env.TWILIO_SMS_PHONE_NUMBER,
+      to: appointment.customerPhone,
+      body: messageBody,
+      messageSid: result.sid,
+      status: result.status,
+      type: 'appointment_confirmation',
+    });
+
     logger.info(`Appointment confirmation SMS sent to ${appointment.customerPhone} for appointment ${appointment.id}`);
     return result;
   } catch (error) {
@@ -109,8 +162,36 @@ const sendAppointmentConfirmationSms = async (appointment, employee, service, te
   }
 };
 
+/**
+ * Send appointment confirmation SMS
+ * @param {Object} appointment - Appointment data
+ * @param {Object} employee - Employee data
+ * @param {Object} service - Service data
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - SMS send result or null if not sent
+ */
+const sendAppointmentConfirmationSms = (appointment, employee, service, tenantId) => sendConfirmationSms(
+  appointment,
+  tenantId,
+  timezone => formatAppointmentSummary(appointment, employee, service, timezone)
+);
+
+/**
+ * Send one confirmation SMS for every service of a multi-service booking
+ * @param {Array<Object>} segments - In time order, { appointment, employee, service } for each service
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - SMS send result or null if not sent
+ */
+const sendMultiServiceConfirmationSms = (segments, tenantId) => sendConfirmationSms(
+  segments[0].appointment,
+  tenantId,
+  timezone => formatMultiServiceSummary(segments, timezone)
+);
+
 module.exports = {
   sendAppointmentConfirmationSms,
+  sendMultiServiceConfirmationSms,
   formatAppointmentSummary,
+  formatMultiServiceSummary,
   isUserOptedInForSms,
 };
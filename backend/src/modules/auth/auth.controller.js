@@ -3,6 +3,7 @@
  * Handles HTTP requests for authentication endpoints
  */
 const authService = require('./auth.service');
+const loginProtection = require('./loginProtection.service');
 const { getTenantUUID } = require('../../utils/tenant');
 
 /**
@@ -70,7 +71,10 @@ const login = async (req, res, next) => {
       });
     }
 
-    const result = await authService.login({ email, password, twoFactorCode });
+    const result = await authService.login(
+      { email, password, twoFactorCode },
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    );
 
     // Check if 2FA is required
     if (result.requiresTwoFactor) {
@@ -155,6 +159,33 @@ const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/auth/unlock
+ * Unlock a locked account with the token from the emailed unlock link
+ */
+const unlockAccount = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const result = await loginProtection.unlockAccount(token);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/auth/2fa/setup
  * Setup 2FA for authenticated user
@@ -377,6 +408,7 @@ module.exports = {
   register,
   forgotPassword,
   resetPassword,
+  unlockAccount,
   setup2FA,
   verify2FA,
   disable2FA,
@@ -3,6 +3,10 @@
  * Protects routes that require authentication
  */
 const { verifyToken } = require('./jwt.utils');
+const { USER_ROLES, TOKEN_SCOPES, hasPermission, getEmployeeScope } = require('./permissions');
+const { User } = require('../../models');
+const { Tenant } = require('../tenants/tenant.model');
+const { isAdminSuspended } = require('../tenants/tenantMetadata');
 const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
 const env = require('../../config/env');
@@ -18,10 +22,70 @@ const setTenantIdFromToken = (req, decoded) => {
   }
 };
 
+/**
+ * Request methods allowed with an impersonation token
+ * Platform admins viewing as a tenant can look but not change anything
+ */
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Build the error for a change attempted with an impersonation token, if this is one
+ * @param {Object} req - Express request object
+ * @param {Object} decoded - Decoded JWT token
+ * @returns {AppError|null} - Error to return, or null if the request may go ahead
+ */
+const getImpersonationError = (req, decoded) => {
+  if (!decoded.impersonatedBy || READ_ONLY_METHODS.includes(req.method)) {
+    return null;
+  }
+
+  logger.warn(`Blocked ${req.method} ${req.originalUrl} made while admin ${decoded.impersonatedBy} viewed tenant ${decoded.tenantId}`);
+  return new AppError('Changes are disabled while viewing as this business', 403, 'IMPERSONATION_READ_ONLY');
+};
+
+/**
+ * Build the request user from a decoded token and the user's current record
+ * Role, employee link and active flag come from the database, so role changes and
+ * removals take effect on the next request rather than when tokens are refreshed.
+ * The business is checked too, so an admin suspension signs its users out at once
+ * @param {Object} decoded - Decoded JWT token
+ * @returns {Promise<Object|null>} - Request user, or null if the user is missing or inactive
+ * @throws {AppError} - If a platform admin has suspended the user's business
+ */
+const loadTokenUser = async (decoded) => {
+  const user = await User.findByPk(decoded.userId, {
+    attributes: ['id', 'tenantId', 'role', 'employeeId', 'isActive'],
+  });
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  const tenant = await Tenant.findOne({
+    where: { id: user.tenantId },
+    attributes: ['id', 'status', 'metadata'],
+  });
+
+  // Admins viewing a suspended business as its owner can still look around
+  if (isAdminSuspended(tenant) && !decoded.impersonatedBy) {
+    logger.warn(`Token used for user ${decoded.userId} of suspended tenant ${user.tenantId}`);
+    throw new AppError('This business has been suspended. Contact support for help', 401, 'TENANT_SUSPENDED');
+  }
+
+  const employeeId = getEmployeeScope(user);
+  const tokenUser = { ...decoded, role: user.role };
+  delete tokenUser.scope;
+  delete tokenUser.employeeId;
+
+  // Limit staff linked to an employee to that employee's calendar
+  return employeeId ? { ...tokenUser, scope: TOKEN_SCOPES.EMPLOYEE, employeeId } : tokenUser;
+};
+
 /**
  * Middleware to verify JWT token and attach user to request
+ * The user is looked up on every request so deactivation takes effect immediately
  */
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -54,8 +118,20 @@ const authMiddleware = (req, res, next) => {
       throw new AppError('Token tenant mismatch', 401, 'TENANT_MISMATCH');
     }
 
+    const impersonationError = getImpersonationError(req, decoded);
+    if (impersonationError) {
+      throw impersonationError;
+    }
+
+    const user = await loadTokenUser(decoded);
+
+    if (!user) {
+      logger.warn(`Token used for missing or deactivated user: ${decoded.userId}`);
+      throw new AppError('User not found or inactive', 401, 'USER_INACTIVE');
+    }
+
     // Attach user info to request
-    req.user = decoded;
+    req.user = user;
     
     next();
   } catch (error) {
@@ -68,8 +144,9 @@ const authMiddleware = (req, res, next) => {
 
 /**
  * Optional auth middleware - attaches user if token present, but doesn't require it
+ * Tokens of missing or deactivated users, or of suspended businesses, are ignored like invalid ones
  */
-const optionalAuthMiddleware = (req, res, next) => {
+const optionalAuthMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -80,8 +157,15 @@ const optionalAuthMiddleware = (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
     
-    if (decoded) {
-      req.user = decoded;
+    const user = decoded ? await loadTokenUser(decoded) : null;
+
+    if (user) {
+      const impersonationError = getImpersonationError(req, decoded);
+      if (impersonationError) {
+        return next(impersonationError);
+      }
+
+      req.user = user;
       // Set tenant ID from JWT token if not already set by tenant middleware
       // or if the current tenant ID is the default (meaning no explicit tenant was provided)
       setTenantIdFromToken(req, decoded);
@@ -95,7 +179,88 @@ const optionalAuthMiddleware = (req, res, next) => {
   }
 };
 
+/**
+ * Get the role of the request user
+ * Users from before roles existed have none; every account back then was its
+ * business's owner, so they keep owner access
+ * @param {Object} user - Request user
+ * @returns {string} - User role
+ */
+const getUserRole = (user) => {
+  return user.role || USER_ROLES.OWNER;
+};
+
+/**
+ * Get the employee the request user is limited to
+ * @param {Object} user - Request user, if any
+ * @returns {string|null} - Employee ID, or null if the user sees the whole tenant
+ */
+const getScopedEmployeeId = (user) => {
+  if (!user || user.scope !== TOKEN_SCOPES.EMPLOYEE) {
+    return null;
+  }
+
+  return user.employeeId;
+};
+
+/**
+ * Middleware factory that only lets users whose role has the permission through
+ * Must run after authMiddleware, which loads the user's current role
+ * @param {string} permission - Permission from PERMISSIONS
+ * @param {Object} options - Options
+ * @param {boolean} options.allowOwnEmployee - Also let an employee-scoped user act on
+ * their own employee, identified by the :id route parameter
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission, { allowOwnEmployee = false } = {}) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401, 'UNAUTHORIZED'));
+  }
+
+  if (allowOwnEmployee && getScopedEmployeeId(req.user) === req.params.id) {
+    return next();
+  }
+
+  if (!hasPermission(getUserRole(req.user), permission)) {
+    logger.warn(`Permission denied: user ${req.user.userId} (${getUserRole(req.user)}) lacks ${permission}`);
+    return next(new AppError('You do not have permission to perform this action', 403, 'FORBIDDEN'));
+  }
+
+  next();
+};
+
+/**
+ * Middleware that keeps employee-scoped users to their own employee,
+ * identified by the :id route parameter
+ */
+const restrictToOwnEmployee = (req, res, next) => {
+  const employeeId = getScopedEmployeeId(req.user);
+
+  if (employeeId && req.params.id !== employeeId) {
+    return next(new AppError('You can only access your own calendar', 403, 'FORBIDDEN'));
+  }
+
+  next();
+};
+
+/**
+ * Middleware that turns away employee-scoped users
+ * For endpoints that touch other staff's bookings
+ */
+const denyEmployeeScope = (req, res, next) => {
+  if (getScopedEmployeeId(req.user)) {
+    return next(new AppError('You do not have permission to perform this action', 403, 'FORBIDDEN'));
+  }
+
+  next();
+};
+
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
+  requirePermission,
+  restrictToOwnEmployee,
+  denyEmployeeScope,
+  getUserRole,
+  getScopedEmployeeId,
 };
@@ -62,6 +62,9 @@ router.post('/forgot-password', authLimiter, authController.forgotPassword);
 // POST /api/auth/reset-password - Reset password with token
 router.post('/reset-password', authLimiter, authController.resetPassword);
 
+// POST /api/auth/unlock - Unlock a locked account with the emailed token
+router.post('/unlock', authLimiter, authController.unlockAccount);
+
 // POST /api/auth/refresh - Refresh access token
 router.post('/refresh', authLimiter, authController.refreshToken);
 
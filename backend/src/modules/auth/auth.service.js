@@ -5,7 +5,9 @@
 const crypto = require('crypto');
 const { User } = require('../../models');
 const { generateTokenPair, verifyToken } = require('./jwt.utils');
+const { USER_ROLES } = require('./permissions');
 const twoFactorUtils = require('./2fa.utils');
+const loginProtection = require('./loginProtection.service');
 const logger = require('../../utils/logger');
 const { AppError } = require('../../middleware/errorHandler');
 
@@ -48,14 +50,19 @@ const signup = async ({ email, password }, tenantId) => {
  * @param {string} credentials.email - User email
  * @param {string} credentials.password - User password
  * @param {string} credentials.twoFactorCode - Optional 2FA code
+ * @param {Object} context - Where the login came from, for lockout and new device notices
+ * @param {string} context.ipAddress - Request IP address
+ * @param {string} context.userAgent - Request User-Agent header
  * @returns {Promise<Object>} - User data and tokens
  */
-const login = async ({ email, password, twoFactorCode }) => {
+const login = async ({ email, password, twoFactorCode }, context = {}) => {
   try {
     // Find user by email (email is globally unique across all tenants)
     const user = await User.findOne({ where: { email } });
     
     if (!user) {
+      // Take as long as a wrong password, so timing doesn't show which emails have accounts
+      await loginProtection.compareDummyPassword(password);
       throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
     }
 
@@ -64,9 +71,13 @@ const login = async ({ email, password, twoFactorCode }) => {
       throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
     }
 
+    // Don't check the real password while the account is locked; the answer is the same as a wrong password
+    await loginProtection.assertNotLocked(user, password);
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginProtection.recordFailedLogin(user, context);
       throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
     }
 
@@ -81,10 +92,13 @@ const login = async ({ email, password, twoFactorCode }) => {
 
       const isValidCode = twoFactorUtils.verifyToken(twoFactorCode, user.twoFactorSecret);
       if (!isValidCode) {
+        await loginProtection.recordFailedLogin(user, context);
         throw new AppError('Invalid two-factor authentication code', 401, 'INVALID_2FA_CODE');
       }
     }
 
+    await loginProtection.recordSuccessfulLogin(user, context);
+
     // Generate tokens using the tenantId from the user record
     const tokens = generateTokenPair(user);
 
@@ -179,11 +193,15 @@ const resetPassword = async (token, newPassword, tenantId) => {
     throw new AppError('Reset token has expired', 400, 'EXPIRED_RESET_TOKEN');
   }
 
-  // Update password and clear reset token
+  // Update password and clear reset token; resetting by email also proves who is locked out
   await user.update({
     password: newPassword,
     passwordResetToken: null,
     passwordResetExpires: null,
+    failedLoginAttempts: 0,
+    lockedUntil: null,
+    unlockToken: null,
+    unlockTokenExpires: null,
   });
 
   logger.info(`Password reset successful for: ${user.email}`);
@@ -297,7 +315,8 @@ const disable2FA = async (userId, code, tenantId) => {
 const refreshTokens = async (refreshToken) => {
   const decoded = verifyToken(refreshToken);
   
-  if (!decoded) {
+  // Impersonation tokens expire for good; they can't be swapped for the tenant user's own tokens
+  if (!decoded || decoded.impersonatedBy) {
     throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
   }
 
@@ -498,11 +517,12 @@ const register = async ({
     logger.warn('Registration will continue without default services');
   }
 
-  // Create user associated with the new tenant
+  // Create user associated with the new tenant; whoever registers the business owns it
   const user = await User.create({
     email,
     password,
     tenantId: tenant.id,
+    role: USER_ROLES.OWNER,
   });
 
   // Generate tokens
@@ -5,16 +5,19 @@
 const authRoutes = require('./auth.routes');
 const authService = require('./auth.service');
 const authController = require('./auth.controller');
-const { authMiddleware, optionalAuthMiddleware } = require('./auth.middleware');
+const { authMiddleware, optionalAuthMiddleware, requirePermission } = require('./auth.middleware');
+const { USER_ROLES, PERMISSIONS, hasPermission } = require('./permissions');
 const jwtUtils = require('./jwt.utils');
 const twoFactorUtils = require('./2fa.utils');
+const loginProtection = require('./loginProtection.service');
 
 module.exports = {
   // Routes
   authRoutes,
   
-  // Service
+  // Services
   authService,
+  loginProtection,
   
   // Controller
   authController,
@@ -22,6 +25,12 @@ module.exports = {
   // Middleware
   authMiddleware,
   optionalAuthMiddleware,
+  requirePermission,
+  
+  // Roles and permissions
+  USER_ROLES,
+  PERMISSIONS,
+  hasPermission,
   
   // Utilities
   jwtUtils,
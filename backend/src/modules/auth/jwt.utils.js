@@ -5,6 +5,12 @@
 const jwt = require('jsonwebtoken');
 const env = require('../../config/env');
 const logger = require('../../utils/logger');
+const { TOKEN_SCOPES, getEmployeeScope } = require('./permissions');
+
+/**
+ * Audience of platform admin tokens
+ */
+const ADMIN_TOKEN_AUDIENCE = 'platform-admin';
 
 /**
  * Generate JWT access token
@@ -35,7 +41,15 @@ const generateRefreshToken = (payload) => {
  */
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, env.JWT_SECRET);
+    const decoded = jwt.verify(token, env.JWT_SECRET);
+
+    // Admin tokens only work on admin routes
+    if (decoded.scope === TOKEN_SCOPES.ADMIN) {
+      logger.warn('Admin token rejected for a tenant route');
+      return null;
+    }
+
+    return decoded;
   } catch (error) {
     logger.warn(`Token verification failed: ${error.message}`);
     return null;
@@ -48,10 +62,14 @@ const verifyToken = (token) => {
  * @returns {Object} - Object containing access and refresh tokens
  */
 const generateTokenPair = (user) => {
+  const employeeId = getEmployeeScope(user);
   const payload = {
     userId: user.id,
     email: user.email,
     tenantId: user.tenantId,
+    role: user.role,
+    // Limit staff linked to an employee to that employee's calendar
+    ...(employeeId && { scope: TOKEN_SCOPES.EMPLOYEE, employeeId }),
   };
 
   return {
@@ -61,6 +79,67 @@ const generateTokenPair = (user) => {
   };
 };
 
+/**
+ * Generate a platform admin access token
+ * Admin tokens carry their own scope and audience so they can't be used as tenant tokens, and vice versa
+ * @param {Object} admin - Admin user object
+ * @returns {Object} - Object containing the access token
+ */
+const generateAdminToken = (admin) => {
+  const payload = {
+    adminId: admin.id,
+    email: admin.email,
+    scope: TOKEN_SCOPES.ADMIN,
+  };
+
+  return {
+    accessToken: jwt.sign(payload, env.JWT_SECRET, {
+      expiresIn: env.ADMIN_JWT_EXPIRES_IN,
+      audience: ADMIN_TOKEN_AUDIENCE,
+    }),
+    expiresIn: env.ADMIN_JWT_EXPIRES_IN,
+  };
+};
+
+/**
+ * Verify a platform admin token
+ * @param {string} token - JWT token to verify
+ * @returns {Object|null} - Decoded token payload or null if invalid or not an admin token
+ */
+const verifyAdminToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, env.JWT_SECRET, { audience: ADMIN_TOKEN_AUDIENCE });
+    return decoded.scope === TOKEN_SCOPES.ADMIN ? decoded : null;
+  } catch (error) {
+    logger.warn(`Admin token verification failed: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Generate a read-only token for a platform admin to view a tenant as one of its users
+ * It carries the admin's ID, can't be refreshed and expires after ADMIN_IMPERSONATION_EXPIRES_IN
+ * @param {Object} user - Tenant user to view as
+ * @param {string} adminId - Admin doing the impersonation
+ * @returns {Object} - Object containing the access token
+ */
+const generateImpersonationToken = (user, adminId) => {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    tenantId: user.tenantId,
+    role: user.role,
+    impersonatedBy: adminId,
+  };
+
+  return {
+    accessToken: jwt.sign(payload, env.JWT_SECRET, {
+      expiresIn: env.ADMIN_IMPERSONATION_EXPIRES_IN,
+    }),
+    expiresIn: env.ADMIN_IMPERSONATION_EXPIRES_IN,
+  };
+};
+
 /**
  * Decode token without verification (for debugging)
  * @param {string} token - JWT token
@@ -80,5 +159,8 @@ module.exports = {
   generateRefreshToken,
   verifyToken,
   generateTokenPair,
+  generateAdminToken,
+  verifyAdminToken,
+  generateImpersonationToken,
   decodeToken,
 };
@@ -0,0 +1,284 @@
+/**
+ * Login Protection Service
+ * Per-account failed login tracking, progressive lockout and security notices.
+ * The per-IP authLimiter doesn't stop an attack on one account spread over many IPs,
+ * so each account also counts its own failed logins
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { User } = require('../../models');
+const { Tenant } = require('../tenants/tenant.model');
+const securityNotifications = require('./securityNotifications');
+const logger = require('../../utils/logger');
+const { AppError } = require('../../middleware/errorHandler');
+
+/**
+ * Failed logins in a row that lock an account
+ */
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+
+/**
+ * Length of the first lockout; each further lockout before a successful login doubles it
+ */
+const BASE_LOCKOUT_MINUTES = 15;
+
+/**
+ * Longest lockout
+ */
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * How long an emailed unlock link works
+ */
+const UNLOCK_LINK_EXPIRY_MINUTES = 60;
+
+/**
+ * How many devices a user's login history remembers
+ */
+const MAX_KNOWN_LOGIN_DEVICES = 10;
+
+/**
+ * Same cost as the password hashes in the User model
+ */
+const DUMMY_PASSWORD_SALT_ROUNDS = 10;
+
+/**
+ * Hash of a random password, compared against when there is no real password to check
+ * Created on first use
+ */
+let dummyPasswordHash = null;
+
+/**
+ * Hash a token or fingerprint for storage
+ * @param {string} value - Value to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Get how long the nth lockout in a row lasts
+ * @param {number} lockoutCount - Lockouts since the last successful login, including this one
+ * @returns {number} - Lockout length in minutes
+ */
+const getLockoutMinutes = (lockoutCount) => {
+  return Math.min(BASE_LOCKOUT_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCKOUT_MINUTES);
+};
+
+/**
+ * Check if an account is locked right now
+ * @param {Object} user - User
+ * @returns {boolean} - True while the lockout lasts
+ */
+const isLocked = (user) => !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
+/**
+ * Build the error returned for a locked account
+ * It's the same as for an unknown email or wrong password, so logins can't be used
+ * to find out which accounts exist or are locked; the unlock email tells the user
+ * @returns {AppError} - 401 INVALID_CREDENTIALS error
+ */
+const accountLockedError = () => new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+
+/**
+ * Get the devices a user has logged in from
+ * @param {Object} user - User
+ * @returns {Array<string>} - Device fingerprints, most recent first
+ */
+const getKnownLoginDevices = (user) => {
+  let devices = user.knownLoginDevices;
+
+  // Older rows may hold JSON columns as strings, see scripts/fix-json-string-columns
+  if (typeof devices === 'string') {
+    try {
+      devices = JSON.parse(devices);
+    } catch {
+      devices = [];
+    }
+  }
+
+  return Array.isArray(devices) ? devices : [];
+};
+
+/**
+ * Let the tenant contact know about a security event on one of their accounts
+ * @param {Object} user - User the event happened to
+ * @param {string} subject - Notice subject
+ * @param {string} message - Notice body
+ * @returns {Promise<void>}
+ */
+const sendSecurityNotice = async (user, subject, message) => {
+  try {
+    const tenant = await Tenant.findOne({ where: { id: user.tenantId } });
+    const recipient = tenant?.contactEmail || user.email;
+
+    await securityNotifications.sendSecurityNotice(recipient, subject, message);
+    logger.info(`Security notice "${subject}" sent to ${recipient} for user ${user.id}`);
+  } catch (error) {
+    // A notice that can't be sent mustn't change the login result
+    logger.error(`Failed to send security notice "${subject}" for user ${user.id}: ${error.message}`);
+  }
+};
+
+/**
+ * Spend as long as a password check would when there is no password to check,
+ * so response times don't show whether an account exists or is locked
+ * @param {string} password - Password from the login attempt
+ * @returns {Promise<void>}
+ */
+const compareDummyPassword = async (password) => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), DUMMY_PASSWORD_SALT_ROUNDS);
+  }
+
+  await bcrypt.compare(String(password || ''), dummyPasswordHash);
+};
+
+/**
+ * Reject logins to a locked account without checking the real password
+ * A dummy password check keeps the response as slow as for an unknown email
+ * @param {Object} user - User
+ * @param {string} password - Password from the login attempt
+ * @returns {Promise<void>}
+ * @throws {AppError} - If the account is locked
+ */
+const assertNotLocked = async (user, password) => {
+  if (isLocked(user)) {
+    await compareDummyPassword(password);
+    throw accountLockedError();
+  }
+};
+
+/**
+ * Count a failed login, locking the account once too many fail in a row
+ * The count is kept in the database so parallel attempts can't overwrite each other,
+ * and only the attempt that takes it over the limit locks the account
+ * A lockout emails the user an unlock link and notifies the tenant contact
+ * @param {Object} user - User
+ * @param {Object} context - Where the attempt came from
+ * @param {string} context.ipAddress - Request IP address
+ * @returns {Promise<Object>} - { locked }
+ */
+const recordFailedLogin = async (user, context = {}) => {
+  await User.increment('failedLoginAttempts', { where: { id: user.id } });
+  await user.reload();
+
+  if (user.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) {
+    return { locked: false };
+  }
+
+  const lockoutCount = (user.lockoutCount || 0) + 1;
+  const lockoutMinutes = getLockoutMinutes(lockoutCount);
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const unlockTokenExpires = new Date(Date.now() + UNLOCK_LINK_EXPIRY_MINUTES * 60 * 1000);
+
+  // Another attempt may have locked the account since the reload; it resets the count
+  const [lockedRows] = await User.update({
+    failedLoginAttempts: 0,
+    lockoutCount,
+    lockedUntil,
+    unlockToken: hashValue(unlockToken),
+    unlockTokenExpires,
+  }, {
+    where: { id: user.id, failedLoginAttempts: { [Op.gte]: MAX_FAILED_LOGIN_ATTEMPTS } },
+  });
+
+  if (lockedRows === 0) {
+    return { locked: true };
+  }
+
+  logger.warn(`Account locked for ${lockoutMinutes} minutes after ${MAX_FAILED_LOGIN_ATTEMPTS} failed logins: ${user.email}`);
+
+  try {
+    await securityNotifications.sendUnlockLink(user, unlockToken, unlockTokenExpires);
+  } catch (error) {
+    // The user can still wait out the lockout or reset their password
+    logger.error(`Failed to send unlock link for user ${user.id}: ${error.message}`);
+  }
+
+  await sendSecurityNotice(
+    user,
+    'Account locked',
+    `${user.email} was locked until ${lockedUntil.toISOString()} after ${MAX_FAILED_LOGIN_ATTEMPTS} failed logins, the last from ${context.ipAddress || 'an unknown IP address'}`
+  );
+
+  return { locked: true };
+};
+
+/**
+ * Clear failed logins after a successful login and remember the device
+ * Logging in from a device or IP address the user hasn't used before notifies the tenant contact
+ * @param {Object} user - User
+ * @param {Object} context - Where the login came from
+ * @param {string} context.ipAddress - Request IP address
+ * @param {string} context.userAgent - Request User-Agent header
+ * @returns {Promise<Object>} - { newDevice }
+ */
+const recordSuccessfulLogin = async (user, context = {}) => {
+  const knownDevices = getKnownLoginDevices(user);
+  const fingerprint = hashValue(`${context.ipAddress || ''}|${context.userAgent || ''}`);
+  // The first login has nothing to compare against, so it isn't reported
+  const newDevice = knownDevices.length > 0 && !knownDevices.includes(fingerprint);
+
+  await user.update({
+    lastLoginAt: new Date(),
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    lockedUntil: null,
+    unlockToken: null,
+    unlockTokenExpires: null,
+    knownLoginDevices: [fingerprint, ...knownDevices.filter((device) => device !== fingerprint)]
+      .slice(0, MAX_KNOWN_LOGIN_DEVICES),
+  });
+
+  if (newDevice) {
+    await sendSecurityNotice(
+      user,
+      'New sign-in',
+      `${user.email} signed in from a new device or IP address (${context.ipAddress || 'unknown IP address'}, ${context.userAgent || 'unknown browser'})`
+    );
+  }
+
+  return { newDevice };
+};
+
+/**
+ * Unlock an account with the token from the emailed unlock link
+ * @param {string} token - Unlock token
+ * @returns {Promise<Object>} - Success message
+ * @throws {AppError} - If the token doesn't match a locked account or has expired
+ */
+const unlockAccount = async (token) => {
+  const user = await User.findOne({ where: { unlockToken: hashValue(token) } });
+
+  if (!user) {
+    throw new AppError('Invalid or expired unlock link', 400, 'INVALID_UNLOCK_TOKEN');
+  }
+
+  if (!user.unlockTokenExpires || new Date(user.unlockTokenExpires) < new Date()) {
+    throw new AppError('Unlock link has expired', 400, 'EXPIRED_UNLOCK_TOKEN');
+  }
+
+  await user.update({
+    failedLoginAttempts: 0,
+    lockedUntil: null,
+    unlockToken: null,
+    unlockTokenExpires: null,
+  });
+
+  logger.info(`Account unlocked by email link: ${user.email}`);
+
+  return { message: 'Account unlocked. You can sign in again' };
+};
+
+module.exports = {
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  UNLOCK_LINK_EXPIRY_MINUTES,
+  getLockoutMinutes,
+  compareDummyPassword,
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+};
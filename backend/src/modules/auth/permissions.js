@@ -0,0 +1,111 @@
+/**
+ * Roles and Permissions
+ * Defines what each team member role may do within their tenant
+ */
+
+/**
+ * Valid user roles
+ */
+const USER_ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  STAFF: 'staff',
+  FRONT_DESK: 'front_desk',
+};
+
+/**
+ * Token scopes
+ * Employee-scoped tokens only see and change their own employee's calendar.
+ * Admin tokens belong to platform admins and are never accepted as tenant tokens
+ */
+const TOKEN_SCOPES = {
+  TENANT: 'tenant',
+  EMPLOYEE: 'employee',
+  ADMIN: 'admin',
+};
+
+/**
+ * Roles limited to their own calendar when their user is linked to an employee
+ */
+const EMPLOYEE_SCOPED_ROLES = [USER_ROLES.STAFF];
+
+/**
+ * Actions that need more than a logged-in user. Reading data and booking
+ * appointments are open to every role
+ */
+const PERMISSIONS = {
+  MANAGE_BILLING: 'billing:manage',
+  MANAGE_ACCOUNT: 'account:manage',
+  MANAGE_SETTINGS: 'settings:manage',
+  MANAGE_TEAM: 'team:manage',
+  MANAGE_EMPLOYEES: 'employees:manage',
+  MANAGE_SERVICES: 'services:manage',
+  MANAGE_TELEPHONY: 'telephony:manage',
+};
+
+/**
+ * Permissions granted to each role
+ * Owners can do everything; managers run the business day to day but can't touch
+ * billing or the account itself
+ */
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.OWNER]: Object.values(PERMISSIONS),
+  [USER_ROLES.MANAGER]: [
+    PERMISSIONS.MANAGE_SETTINGS,
+    PERMISSIONS.MANAGE_TEAM,
+    PERMISSIONS.MANAGE_EMPLOYEES,
+    PERMISSIONS.MANAGE_SERVICES,
+    PERMISSIONS.MANAGE_TELEPHONY,
+  ],
+  [USER_ROLES.STAFF]: [],
+  [USER_ROLES.FRONT_DESK]: [],
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} - True if the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Check whether a user may give a role to someone else, by invite or role change
+ * Only owners can make other owners
+ * @param {string} role - Role of the user assigning
+ * @param {string} assignedRole - Role being given
+ * @returns {boolean} - True if allowed
+ */
+const canAssignRole = (role, assignedRole) => {
+  if (!hasPermission(role, PERMISSIONS.MANAGE_TEAM)) {
+    return false;
+  }
+
+  return assignedRole !== USER_ROLES.OWNER || role === USER_ROLES.OWNER;
+};
+
+/**
+ * Get the employee a user's tokens are limited to
+ * @param {Object} user - User record
+ * @returns {string|null} - Employee ID, or null if the user sees the whole tenant
+ */
+const getEmployeeScope = (user) => {
+  if (!user.employeeId || !EMPLOYEE_SCOPED_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  return user.employeeId;
+};
+
+module.exports = {
+  USER_ROLES,
+  TOKEN_SCOPES,
+  EMPLOYEE_SCOPED_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  canAssignRole,
+  getEmployeeScope,
+};
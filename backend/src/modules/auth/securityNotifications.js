@@ -0,0 +1,40 @@
+/**
+ * Security Notifications
+ * Emails about account security: unlock links for locked accounts and notices to tenant contacts
+ */
+const env = require('../../config/env');
+const { sendEmail } = require('../../utils/email');
+
+/**
+ * Email a user the link that unlocks their account
+ * @param {Object} user - Locked user
+ * @param {string} unlockToken - Unlock token, before hashing
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Promise<void>}
+ */
+const sendUnlockLink = async (user, unlockToken, expiresAt) => {
+  const unlockUrl = `${env.APP_BASE_URL}/unlock-account?token=${unlockToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: `Your account was locked after too many failed sign-in attempts. If this was you, unlock it here: ${unlockUrl}\n`
+      + `The link works until ${expiresAt.toISOString()}. If it wasn't you, reset your password.`,
+  });
+};
+
+/**
+ * Email a security notice to a tenant contact
+ * @param {string} to - Recipient email
+ * @param {string} subject - Notice subject
+ * @param {string} message - Notice body
+ * @returns {Promise<void>}
+ */
+const sendSecurityNotice = async (to, subject, message) => {
+  await sendEmail({ to, subject, text: message });
+};
+
+module.exports = {
+  sendUnlockLink,
+  sendSecurityNotice,
+};
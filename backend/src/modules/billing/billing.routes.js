@@ -5,7 +5,8 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const billingController = require('./billing.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, requirePermission } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
 
 const router = express.Router();
 
@@ -50,18 +51,20 @@ router.get('/plans', standardLimiter, billingController.getPlans);
 
 /**
  * Protected routes - require authentication
+ * Changing the subscription is limited to users who can manage billing
  */
+const canManageBilling = requirePermission(PERMISSIONS.MANAGE_BILLING);
 
 // GET /api/billing/subscription - Get current subscription
 router.get('/subscription', standardLimiter, authMiddleware, billingController.getSubscription);
 
 // POST /api/billing/create-checkout-session - Create checkout session
-router.post('/create-checkout-session', strictLimiter, authMiddleware, billingController.createCheckoutSession);
+router.post('/create-checkout-session', strictLimiter, authMiddleware, canManageBilling, billingController.createCheckoutSession);
 
 // POST /api/billing/portal-session - Create customer portal session
-router.post('/portal-session', strictLimiter, authMiddleware, billingController.createPortalSession);
+router.post('/portal-session', strictLimiter, authMiddleware, canManageBilling, billingController.createPortalSession);
 
 // POST /api/billing/cancel - Cancel subscription
-router.post('/cancel', strictLimiter, authMiddleware, billingController.cancelSubscription);
+router.post('/cancel', strictLimiter, authMiddleware, canManageBilling, billingController.cancelSubscription);
 
 module.exports = router;
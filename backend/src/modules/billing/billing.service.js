@@ -4,6 +4,7 @@
  */
 const { Subscription, SUBSCRIPTION_STATUS, BILLING_INTERVAL, PLAN_CONFIG } = require('./subscription.model');
 const { Tenant, TENANT_STATUS } = require('../tenants/tenant.model');
+const { isAdminSuspended } = require('../tenants/tenantMetadata');
 const stripeService = require('./stripe.service');
 const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
@@ -298,8 +299,8 @@ const syncTenantStatus = async (subscription) => {
     }
   }
   
-  // Reactivate tenant if subscription becomes active again
-  if (hasAccess && tenant.status === TENANT_STATUS.SUSPENDED) {
+  // Reactivate tenant if subscription becomes active again, unless a platform admin suspended it
+  if (hasAccess && tenant.status === TENANT_STATUS.SUSPENDED && !isAdminSuspended(tenant)) {
     await tenant.transitionTo(TENANT_STATUS.ACTIVE);
     logger.info(`Tenant reactivated via subscription: ${subscription.tenantId}`);
   }
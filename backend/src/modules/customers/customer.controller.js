@@ -0,0 +1,211 @@
+/**
+ * Customer Controller
+ * Handles HTTP requests for customer endpoints
+ */
+const customerService = require('./customer.service');
+const { getTenantUUID } = require('../../utils/tenant');
+const { EMAIL_REGEX, UUID_REGEX } = require('../../utils/validation');
+
+/**
+ * Validate the fields shared by create and update requests
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateCustomerFields = ({ name, email, phone, preferences }) => {
+  if (name !== undefined && (typeof name !== 'string' || name.length > 200)) {
+    return 'Name must be a string of at most 200 characters';
+  }
+
+  if (email && !EMAIL_REGEX.test(email)) {
+    return 'Invalid email format';
+  }
+
+  if (phone && String(phone).replace(/\D/g, '').length < 7) {
+    return 'Invalid phone number';
+  }
+
+  if (preferences !== undefined && (preferences === null || typeof preferences !== 'object' || Array.isArray(preferences))) {
+    return 'Preferences must be an object';
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/customers
+ * Get customers for tenant, optionally filtered by a search term
+ */
+const getCustomers = async (req, res, next) => {
+  try {
+    const { search, limit, offset } = req.query;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+
+    const result = await customerService.getCustomers(tenantUUID, {
+      search,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/customers/:id
+ * Get customer with booking history
+ */
+const getCustomer = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await customerService.getCustomerById(req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/customers
+ * Create a new customer
+ */
+const createCustomer = async (req, res, next) => {
+  try {
+    const { name, email, phone, notes, preferences } = req.body;
+
+    // Validate required fields
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Customer name is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'A phone number or email is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateCustomerFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const customer = await customerService.createCustomer({
+      name,
+      email,
+      phone,
+      notes,
+      preferences,
+    }, tenantUUID);
+
+    res.status(201).json({
+      success: true,
+      data: { customer },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/customers/:id
+ * Update customer details, notes and preferences
+ */
+const updateCustomer = async (req, res, next) => {
+  try {
+    const { name, email, phone, notes, preferences } = req.body;
+
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateCustomerFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const customer = await customerService.updateCustomer(req.params.id, tenantUUID, {
+      name,
+      email,
+      phone,
+      notes,
+      preferences,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { customer },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/customers/:id
+ * Delete customer, keeping their appointments
+ */
+const deleteCustomer = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await customerService.deleteCustomer(req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+};
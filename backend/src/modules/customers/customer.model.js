@@ -0,0 +1,95 @@
+/**
+ * Customer Model
+ * Defines the Customer schema: one record per person a tenant has booked,
+ * deduplicated by normalized phone number and email
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { EMAIL_REGEX } = require('../../utils/validation');
+
+const Customer = sequelize.define('Customer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmailOrNull(value) {
+        if (value !== null && value !== undefined && value !== '') {
+          if (!EMAIL_REGEX.test(value)) {
+            throw new Error('Invalid email format');
+          }
+        }
+      },
+    },
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  normalizedPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'normalized_phone',
+    comment: 'Phone number in E.164 format, used to match bookings to the customer',
+  },
+  normalizedEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'normalized_email',
+    comment: 'Lowercased email, used to match bookings to the customer',
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  preferences: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {},
+    comment: 'Free-form preferences, e.g. { "preferredEmployeeId": "...", "allergies": "..." }',
+  },
+}, {
+  tableName: 'customers',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['tenant_id', 'normalized_phone'],
+    },
+    {
+      fields: ['tenant_id', 'normalized_email'],
+    },
+    {
+      fields: ['tenant_id', 'name'],
+    },
+  ],
+});
+
+/**
+ * Get customer data safe for API response
+ * @returns {Object} - Customer data
+ */
+Customer.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  Customer,
+};
@@ -0,0 +1,51 @@
+/**
+ * Customer Routes
+ * Defines all customer-related endpoints
+ */
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const customerController = require('./customer.controller');
+const { authMiddleware, denyEmployeeScope } = require('../auth/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Rate limiting configuration
+ * Skip rate limiting in test environment
+ */
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+const standardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requests per window
+  skip: () => isTestEnv,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * All routes require authentication; staff limited to their own calendar
+ * can't see or change the customer list
+ */
+
+// GET /api/customers - Get customers (?search= filters by name, email or phone)
+router.get('/', standardLimiter, authMiddleware, denyEmployeeScope, customerController.getCustomers);
+
+// GET /api/customers/:id - Get customer with booking history
+router.get('/:id', standardLimiter, authMiddleware, denyEmployeeScope, customerController.getCustomer);
+
+// POST /api/customers - Create a new customer
+router.post('/', standardLimiter, authMiddleware, denyEmployeeScope, customerController.createCustomer);
+
+// PATCH /api/customers/:id - Update customer
+router.patch('/:id', standardLimiter, authMiddleware, denyEmployeeScope, customerController.updateCustomer);
+
+// DELETE /api/customers/:id - Delete customer
+router.delete('/:id', standardLimiter, authMiddleware, denyEmployeeScope, customerController.deleteCustomer);
+
+module.exports = router;
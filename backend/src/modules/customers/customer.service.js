@@ -0,0 +1,463 @@
+/**
+ * Customer Service
+ * Handles customer records, deduplication and booking history
+ */
+const { Op } = require('sequelize');
+const { Customer } = require('./customer.model');
+const { Appointment, APPOINTMENT_STATUS } = require('../appointments/appointment.model');
+const { Employee } = require('../employees/employee.model');
+const { Service } = require('../services/service.model');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+const { normalizePhoneNumber } = require('../../utils/phone');
+
+/**
+ * Normalize an email address for comparison
+ * @param {string} email - Email address
+ * @returns {string|null} - Trimmed, lowercased email or null if empty
+ */
+const normalizeEmail = (email) => {
+  if (!email) return null;
+
+  const normalized = String(email).trim().toLowerCase();
+  return normalized || null;
+};
+
+/**
+ * Find the customer matching a phone number or email
+ * The phone number wins: an email match only counts if that customer has no
+ * phone number on file or the same one
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} contact - { normalizedPhone, normalizedEmail }
+ * @param {Object} options - { transaction, excludeId }
+ * @returns {Promise<Customer|null>} - Matching customer
+ */
+const findMatchingCustomer = async (tenantId, { normalizedPhone, normalizedEmail }, options = {}) => {
+  const { transaction, excludeId } = options;
+  const baseWhere = excludeId ? { tenantId, id: { [Op.ne]: excludeId } } : { tenantId };
+
+  if (normalizedPhone) {
+    const byPhone = await Customer.findOne({
+      where: { ...baseWhere, normalizedPhone },
+      transaction,
+    });
+    if (byPhone) {
+      return byPhone;
+    }
+  }
+
+  if (normalizedEmail) {
+    const emailWhere = { ...baseWhere, normalizedEmail };
+    if (normalizedPhone) {
+      emailWhere.normalizedPhone = null;
+    }
+    return Customer.findOne({
+      where: emailWhere,
+      order: [['createdAt', 'ASC']],
+      transaction,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Find the customer for a booking's contact details, creating one if needed
+ * Missing contact details on an existing customer are filled in from the booking
+ * @param {Object} contact - { name, email, phone }
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Customer|null>} - Customer, or null if there is no phone number or email
+ */
+const findOrCreateCustomer = async ({ name, email, phone }, tenantId, options = {}) => {
+  const { transaction } = options;
+  const normalizedPhone = normalizePhoneNumber(phone);
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!normalizedPhone && !normalizedEmail) {
+    return null;
+  }
+
+  const existing = await findMatchingCustomer(tenantId, { normalizedPhone, normalizedEmail }, { transaction });
+
+  if (existing) {
+    const updates = {};
+    if (!existing.name && name) {
+      updates.name = name;
+    }
+    if (!existing.normalizedEmail && normalizedEmail) {
+      updates.email = email;
+      updates.normalizedEmail = normalizedEmail;
+    }
+    if (!existing.normalizedPhone && normalizedPhone) {
+      updates.phone = phone;
+      updates.normalizedPhone = normalizedPhone;
+    }
+    if (Object.keys(updates).length > 0) {
+      await existing.update(updates, { transaction });
+    }
+    return existing;
+  }
+
+  try {
+    const customer = await Customer.create({
+      tenantId,
+      name: name || null,
+      email: normalizedEmail ? email : null,
+      phone: normalizedPhone ? phone : null,
+      normalizedPhone,
+      normalizedEmail,
+    }, { transaction });
+
+    logger.info(`New customer created: ${customer.id} for tenant: ${tenantId}`);
+
+    return customer;
+  } catch (error) {
+    // Another booking created the same customer first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return findMatchingCustomer(tenantId, { normalizedPhone, normalizedEmail }, { transaction });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get customers for a tenant, alphabetically
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - Query options
+ * @param {string} options.search - Filter by name, email or phone number
+ * @param {number} options.limit - Maximum number of customers (default: 50)
+ * @param {number} options.offset - Number of customers to skip (default: 0)
+ * @returns {Promise<Object>} - Customers with pagination info
+ */
+const getCustomers = async (tenantId, options = {}) => {
+  const { search, limit = 50, offset = 0 } = options;
+
+  const where = { tenantId };
+
+  if (search) {
+    const digits = search.replace(/\D/g, '');
+    where[Op.or] = [
+      { name: { [Op.like]: `%${search}%` } },
+      { normalizedEmail: { [Op.like]: `%${search.trim().toLowerCase()}%` } },
+    ];
+    if (digits) {
+      where[Op.or].push({ normalizedPhone: { [Op.like]: `%${digits}%` } });
+    }
+  }
+
+  const customers = await Customer.findAndCountAll({
+    where,
+    limit: parseInt(limit, 10),
+    offset: parseInt(offset, 10),
+    order: [['name', 'ASC']],
+  });
+
+  return {
+    customers: customers.rows.map(customer => customer.toSafeObject()),
+    total: customers.count,
+    limit: parseInt(limit, 10),
+    offset: parseInt(offset, 10),
+  };
+};
+
+/**
+ * Get a customer instance by ID
+ * @param {string} customerId - Customer ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Customer>} - Customer instance
+ * @throws {AppError} - If customer not found
+ */
+const findCustomer = async (customerId, tenantId) => {
+  const customer = await Customer.findOne({ where: { id: customerId, tenantId } });
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'CUSTOMER_NOT_FOUND');
+  }
+
+  return customer;
+};
+
+/**
+ * Summarize a customer's booking history
+ * @param {Array<Object>} appointments - Customer's appointments
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} - Visit counts, total spent and last/next visit
+ */
+const summarizeHistory = (appointments, now = new Date()) => {
+  const countStatus = (status) => appointments.filter(apt => apt.status === status).length;
+  const completed = appointments.filter(apt => apt.status === APPOINTMENT_STATUS.COMPLETED);
+  const upcoming = appointments
+    .filter(apt => [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED].includes(apt.status))
+    .filter(apt => new Date(apt.startTime) > now)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  const lastVisit = completed
+    .map(apt => new Date(apt.startTime))
+    .sort((a, b) => b - a)[0] || null;
+
+  return {
+    totalAppointments: appointments.length,
+    completed: completed.length,
+    cancelled: countStatus(APPOINTMENT_STATUS.CANCELLED),
+    noShows: countStatus(APPOINTMENT_STATUS.NO_SHOW),
+    upcoming: upcoming.length,
+    totalSpent: completed.reduce((sum, apt) => sum + (parseFloat(apt.totalPrice) || 0), 0),
+    lastVisit,
+    nextAppointment: upcoming[0] ? new Date(upcoming[0].startTime) : null,
+  };
+};
+
+/**
+ * Get a customer with their booking history
+ * @param {string} customerId - Customer ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { customer, appointments (most recent first), stats }
+ */
+const getCustomerById = async (customerId, tenantId) => {
+  const customer = await findCustomer(customerId, tenantId);
+
+  const appointments = await Appointment.findAll({
+    where: { tenantId, customerId },
+    include: [
+      {
+        model: Employee,
+        as: 'employee',
+        attributes: ['id', 'firstName', 'lastName'],
+      },
+      {
+        model: Service,
+        as: 'service',
+        attributes: ['id', 'name', 'duration', 'price'],
+      },
+    ],
+    order: [['startTime', 'DESC']],
+  });
+
+  const history = appointments.map(apt => apt.toSafeObject());
+
+  return {
+    customer: customer.toSafeObject(),
+    appointments: history,
+    stats: summarizeHistory(history),
+  };
+};
+
+/**
+ * Pick the employee a customer sees most, breaking ties by the most recent visit
+ * @param {Array<Object>} visits - Past visits, most recent first
+ * @returns {Object|null} - { id, name } of the employee
+ */
+const getMostFrequentEmployee = (visits) => {
+  const counts = new Map();
+
+  for (const visit of visits) {
+    if (!visit.employee) continue;
+    const entry = counts.get(visit.employeeId) || { employee: visit.employee, count: 0 };
+    entry.count += 1;
+    counts.set(visit.employeeId, entry);
+  }
+
+  // Map keeps insertion order, so on a tie the first (most recent) employee wins
+  let best = null;
+  for (const entry of counts.values()) {
+    if (!best || entry.count > best.count) {
+      best = entry;
+    }
+  }
+
+  return best ? { id: best.employee.id, name: `${best.employee.firstName} ${best.employee.lastName}` } : null;
+};
+
+/**
+ * Look up a caller by phone number for the voice agent
+ * The preferred employee is the one set in the customer's preferences
+ * (preferredEmployeeId), otherwise the employee they've seen most
+ * @param {string} phoneNumber - Caller's phone number in any format
+ * @param {string} tenantId - Tenant identifier
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object|null>} - { customer, lastVisit, preferredEmployee, upcomingAppointments },
+ *   or null if the number doesn't belong to a customer
+ */
+const getCallerProfile = async (phoneNumber, tenantId, now = new Date()) => {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+
+  if (!normalizedPhone) {
+    return null;
+  }
+
+  const customer = await Customer.findOne({ where: { tenantId, normalizedPhone } });
+
+  if (!customer) {
+    return null;
+  }
+
+  const appointments = (await Appointment.findAll({
+    where: { tenantId, customerId: customer.id },
+    include: [
+      {
+        model: Employee,
+        as: 'employee',
+        attributes: ['id', 'firstName', 'lastName'],
+      },
+      {
+        model: Service,
+        as: 'service',
+        attributes: ['id', 'name'],
+      },
+    ],
+    order: [['startTime', 'DESC']],
+    limit: 50,
+  })).map(apt => apt.toSafeObject());
+
+  const pastVisits = appointments.filter(apt =>
+    new Date(apt.startTime) <= now &&
+    ![APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW].includes(apt.status)
+  );
+  const upcomingAppointments = appointments
+    .filter(apt => [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED].includes(apt.status))
+    .filter(apt => new Date(apt.startTime) > now)
+    .reverse();
+
+  let preferredEmployee = null;
+  const preferredEmployeeId = customer.preferences?.preferredEmployeeId;
+  if (preferredEmployeeId) {
+    const employee = await Employee.findOne({ where: { id: preferredEmployeeId, tenantId } });
+    if (employee) {
+      preferredEmployee = { id: employee.id, name: `${employee.firstName} ${employee.lastName}` };
+    }
+  }
+
+  return {
+    customer: customer.toSafeObject(),
+    lastVisit: pastVisits[0] || null,
+    preferredEmployee: preferredEmployee || getMostFrequentEmployee(pastVisits),
+    upcomingAppointments,
+  };
+};
+
+/**
+ * Throw if another customer already has this phone number or email
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} contact - { normalizedPhone, normalizedEmail }
+ * @param {string} excludeId - Customer being updated
+ */
+const assertNoDuplicate = async (tenantId, { normalizedPhone, normalizedEmail }, excludeId = null) => {
+  const baseWhere = excludeId ? { tenantId, id: { [Op.ne]: excludeId } } : { tenantId };
+  const contactMatches = [];
+  if (normalizedPhone) contactMatches.push({ normalizedPhone });
+  if (normalizedEmail) contactMatches.push({ normalizedEmail });
+
+  if (contactMatches.length === 0) {
+    return;
+  }
+
+  const duplicate = await Customer.findOne({ where: { ...baseWhere, [Op.or]: contactMatches } });
+  if (duplicate) {
+    throw new AppError('A customer with this phone number or email already exists', 400, 'CUSTOMER_EXISTS');
+  }
+};
+
+/**
+ * Create a customer
+ * @param {Object} customerData - { name, email, phone, notes, preferences }
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Created customer
+ */
+const createCustomer = async (customerData, tenantId) => {
+  const { name, email, phone, notes, preferences } = customerData;
+  const normalizedPhone = normalizePhoneNumber(phone);
+  const normalizedEmail = normalizeEmail(email);
+
+  await assertNoDuplicate(tenantId, { normalizedPhone, normalizedEmail });
+
+  const customer = await Customer.create({
+    tenantId,
+    name,
+    email: normalizedEmail ? email : null,
+    phone: normalizedPhone ? phone : null,
+    normalizedPhone,
+    normalizedEmail,
+    notes,
+    preferences: preferences || {},
+  });
+
+  logger.info(`New customer created: ${customer.id} for tenant: ${tenantId}`);
+
+  return customer.toSafeObject();
+};
+
+/**
+ * Update a customer
+ * Changing the phone number or email doesn't move existing appointments
+ * @param {string} customerId - Customer ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} - Updated customer
+ */
+const updateCustomer = async (customerId, tenantId, updateData) => {
+  const customer = await findCustomer(customerId, tenantId);
+
+  // Filter allowed update fields
+  const allowedFields = ['name', 'email', 'phone', 'notes', 'preferences'];
+  const filteredData = {};
+
+  for (const key of allowedFields) {
+    if (updateData[key] !== undefined) {
+      filteredData[key] = updateData[key];
+    }
+  }
+
+  const contactChanges = {};
+  if (filteredData.phone !== undefined) {
+    filteredData.normalizedPhone = normalizePhoneNumber(filteredData.phone);
+    filteredData.phone = filteredData.normalizedPhone ? filteredData.phone : null;
+    if (filteredData.normalizedPhone !== customer.normalizedPhone) {
+      contactChanges.normalizedPhone = filteredData.normalizedPhone;
+    }
+  }
+  if (filteredData.email !== undefined) {
+    filteredData.normalizedEmail = normalizeEmail(filteredData.email);
+    filteredData.email = filteredData.normalizedEmail ? filteredData.email : null;
+    if (filteredData.normalizedEmail !== customer.normalizedEmail) {
+      contactChanges.normalizedEmail = filteredData.normalizedEmail;
+    }
+  }
+
+  await assertNoDuplicate(tenantId, contactChanges, customerId);
+
+  await customer.update(filteredData);
+
+  logger.info(`Customer updated: ${customerId} for tenant: ${tenantId}`);
+
+  return customer.toSafeObject();
+};
+
+/**
+ * Delete a customer
+ * Their appointments are kept and unlinked from the record
+ * @param {string} customerId - Customer ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Success message
+ */
+const deleteCustomer = async (customerId, tenantId) => {
+  const customer = await findCustomer(customerId, tenantId);
+
+  await Appointment.update({ customerId: null }, { where: { tenantId, customerId } });
+  await customer.destroy();
+
+  logger.info(`Customer deleted: ${customerId} for tenant: ${tenantId}`);
+
+  return { message: 'Customer deleted successfully' };
+};
+
+module.exports = {
+  normalizeEmail,
+  findOrCreateCustomer,
+  getCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  summarizeHistory,
+  getCallerProfile,
+};
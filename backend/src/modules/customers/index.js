@@ -0,0 +1,15 @@
+/**
+ * Customers Module Index
+ * Central export for customers module
+ */
+const customerRoutes = require('./customer.routes');
+const customerService = require('./customer.service');
+const customerController = require('./customer.controller');
+const { Customer } = require('./customer.model');
+
+module.exports = {
+  customerRoutes,
+  customerService,
+  customerController,
+  Customer,
+};
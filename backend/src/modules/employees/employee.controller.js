@@ -3,7 +3,10 @@
  * Handles HTTP requests for employee endpoints
  */
 const employeeService = require('./employee.service');
+const employeeTimeOffService = require('./employeeTimeOff.service');
 const { getTenantUUID } = require('../../utils/tenant');
+const { UUID_REGEX } = require('../../utils/validation');
+const { getScopedEmployeeId } = require('../auth/auth.middleware');
 
 /**
  * Validation patterns
@@ -12,6 +15,41 @@ const VALIDATION = {
   EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
 };
 
+/**
+ * Validate an employee's own prices and durations for services
+ * @param {Object} serviceOverrides - { [serviceId]: { price, duration } }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateServiceOverrides = (serviceOverrides) => {
+  if (serviceOverrides === undefined) {
+    return null;
+  }
+
+  if (!serviceOverrides || typeof serviceOverrides !== 'object' || Array.isArray(serviceOverrides)) {
+    return 'Service overrides must be an object keyed by service ID';
+  }
+
+  for (const [serviceId, override] of Object.entries(serviceOverrides)) {
+    if (!UUID_REGEX.test(serviceId)) {
+      return 'Invalid service ID format in service overrides';
+    }
+
+    if (!override || typeof override !== 'object' || (override.price === undefined && override.duration === undefined)) {
+      return 'Each service override needs a price or a duration';
+    }
+
+    if (override.price !== undefined && (typeof override.price !== 'number' || override.price < 0)) {
+      return 'Override price must be a non-negative number';
+    }
+
+    if (override.duration !== undefined && (!Number.isInteger(override.duration) || override.duration <= 0)) {
+      return 'Override duration must be a positive integer (minutes)';
+    }
+  }
+
+  return null;
+};
+
 /**
  * GET /api/employees
  * Get all employees for tenant
@@ -21,7 +59,9 @@ const getEmployees = async (req, res, next) => {
     const { status, employeeType, limit, offset } = req.query;
     const tenantUUID = await getTenantUUID(req.tenantId);
     
+    // Staff limited to their own calendar only see themselves
     const result = await employeeService.getEmployees(tenantUUID, {
+      employeeId: getScopedEmployeeId(req.user) || undefined,
       status,
       employeeType,
       limit,
@@ -61,7 +101,7 @@ const getEmployee = async (req, res, next) => {
  */
 const createEmployee = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, phone, employeeType, hireDate, schedule, serviceIds } = req.body;
+    const { firstName, lastName, email, phone, employeeType, hireDate, schedule, serviceIds, serviceOverrides } = req.body;
 
     // Validate required fields
     if (!firstName || !lastName || !email) {
@@ -81,6 +121,15 @@ const createEmployee = async (req, res, next) => {
       });
     }
 
+    const overridesError = validateServiceOverrides(serviceOverrides);
+    if (overridesError) {
+      return res.status(400).json({
+        success: false,
+        error: overridesError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
     const tenantUUID = await getTenantUUID(req.tenantId);
     const employee = await employeeService.createEmployee({
       firstName,
@@ -91,6 +140,7 @@ const createEmployee = async (req, res, next) => {
       hireDate,
       schedule,
       serviceIds,
+      serviceOverrides,
     }, tenantUUID);
 
     res.status(201).json({
@@ -108,7 +158,7 @@ const createEmployee = async (req, res, next) => {
  */
 const updateEmployee = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, phone, employeeType, status, hireDate, serviceIds, metadata } = req.body;
+    const { firstName, lastName, email, phone, employeeType, status, hireDate, serviceIds, serviceOverrides, metadata } = req.body;
 
     // Validate email format if provided
     if (email && !VALIDATION.EMAIL_REGEX.test(email)) {
@@ -119,6 +169,15 @@ const updateEmployee = async (req, res, next) => {
       });
     }
 
+    const overridesError = validateServiceOverrides(serviceOverrides);
+    if (overridesError) {
+      return res.status(400).json({
+        success: false,
+        error: overridesError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
     const tenantUUID = await getTenantUUID(req.tenantId);
     const employee = await employeeService.updateEmployee(req.params.id, tenantUUID, {
       firstName,
@@ -129,6 +188,7 @@ const updateEmployee = async (req, res, next) => {
       status,
       hireDate,
       serviceIds,
+      serviceOverrides,
       metadata,
     });
 
@@ -205,6 +265,142 @@ const updateEmployeeSchedule = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/employees/:id/time-off
+ * Get employee time-off and schedule exceptions
+ */
+const getEmployeeTimeOff = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await employeeTimeOffService.getTimeOff(req.params.id, tenantUUID, { from, to });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/employees/:id/time-off
+ * Add a time-off or schedule exception
+ * Staff limited to their own calendar create a pending request for a manager to approve
+ */
+const createEmployeeTimeOff = async (req, res, next) => {
+  try {
+    const { type, startDate, endDate, startTime, endTime, reason } = req.body;
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const timeOff = await employeeTimeOffService.createTimeOff(req.params.id, tenantUUID, {
+      type,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      reason,
+    }, {
+      requestedBy: getScopedEmployeeId(req.user) ? req.user.userId : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { timeOff },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/employees/:id/time-off/:timeOffId
+ * Update a time-off or schedule exception
+ */
+const updateEmployeeTimeOff = async (req, res, next) => {
+  try {
+    const { type, startDate, endDate, startTime, endTime, reason } = req.body;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const timeOff = await employeeTimeOffService.updateTimeOff(
+      req.params.timeOffId,
+      req.params.id,
+      tenantUUID,
+      { type, startDate, endDate, startTime, endTime, reason }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { timeOff },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that approves or declines a pending time-off request
+ * @param {string} status - approved or declined
+ * @returns {Function} - Express handler
+ */
+const reviewEmployeeTimeOff = (status) => async (req, res, next) => {
+  try {
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const timeOff = await employeeTimeOffService.reviewTimeOff(
+      req.params.timeOffId,
+      req.params.id,
+      tenantUUID,
+      status,
+      req.user.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { timeOff },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/employees/:id/time-off/:timeOffId/approve
+ * Approve a staff time-off request
+ */
+const approveEmployeeTimeOff = reviewEmployeeTimeOff(employeeTimeOffService.TIME_OFF_STATUS.APPROVED);
+
+/**
+ * POST /api/employees/:id/time-off/:timeOffId/decline
+ * Decline a staff time-off request
+ */
+const declineEmployeeTimeOff = reviewEmployeeTimeOff(employeeTimeOffService.TIME_OFF_STATUS.DECLINED);
+
+/**
+ * DELETE /api/employees/:id/time-off/:timeOffId
+ * Delete a time-off or schedule exception
+ */
+const deleteEmployeeTimeOff = async (req, res, next) => {
+  try {
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await employeeTimeOffService.deleteTimeOff(req.params.timeOffId, req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getEmployees,
   getEmployee,
@@ -213,4 +409,10 @@ module.exports = {
   deleteEmployee,
   getEmployeeSchedule,
   updateEmployeeSchedule,
+  getEmployeeTimeOff,
+  createEmployeeTimeOff,
+  approveEmployeeTimeOff,
+  declineEmployeeTimeOff,
+  updateEmployeeTimeOff,
+  deleteEmployeeTimeOff,
 };
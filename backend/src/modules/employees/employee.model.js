@@ -91,6 +91,13 @@ const Employee = sequelize.define('Employee', {
     defaultValue: [],
     field: 'service_ids',
   },
+  serviceOverrides: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    field: 'service_overrides',
+    comment: 'Price and duration this employee charges for a service, keyed by service ID: { price, duration }',
+  },
   metadata: {
     type: DataTypes.JSON,
     allowNull: true,
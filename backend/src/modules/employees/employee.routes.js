@@ -5,7 +5,8 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const employeeController = require('./employee.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, requirePermission, restrictToOwnEmployee } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
 
 const router = express.Router();
 
@@ -29,28 +30,51 @@ const standardLimiter = rateLimit({
 });
 
 /**
- * All routes require authentication
+ * All routes require authentication; changing employees, schedules and
+ * time off also requires permission to manage employees. Staff limited to
+ * their own calendar only see their own record and can request time off for it,
+ * which a manager then approves or declines
  */
+const canManageEmployees = requirePermission(PERMISSIONS.MANAGE_EMPLOYEES);
+const canRequestTimeOff = requirePermission(PERMISSIONS.MANAGE_EMPLOYEES, { allowOwnEmployee: true });
 
 // GET /api/employees - Get all employees
 router.get('/', standardLimiter, authMiddleware, employeeController.getEmployees);
 
 // GET /api/employees/:id - Get employee by ID
-router.get('/:id', standardLimiter, authMiddleware, employeeController.getEmployee);
+router.get('/:id', standardLimiter, authMiddleware, restrictToOwnEmployee, employeeController.getEmployee);
 
 // POST /api/employees - Create a new employee
-router.post('/', standardLimiter, authMiddleware, employeeController.createEmployee);
+router.post('/', standardLimiter, authMiddleware, canManageEmployees, employeeController.createEmployee);
 
 // PATCH /api/employees/:id - Update employee
-router.patch('/:id', standardLimiter, authMiddleware, employeeController.updateEmployee);
+router.patch('/:id', standardLimiter, authMiddleware, canManageEmployees, employeeController.updateEmployee);
 
 // DELETE /api/employees/:id - Delete employee
-router.delete('/:id', standardLimiter, authMiddleware, employeeController.deleteEmployee);
+router.delete('/:id', standardLimiter, authMiddleware, canManageEmployees, employeeController.deleteEmployee);
 
 // GET /api/employees/:id/schedule - Get employee schedule
-router.get('/:id/schedule', standardLimiter, authMiddleware, employeeController.getEmployeeSchedule);
+router.get('/:id/schedule', standardLimiter, authMiddleware, restrictToOwnEmployee, employeeController.getEmployeeSchedule);
 
 // PUT /api/employees/:id/schedule - Update employee schedule
-router.put('/:id/schedule', standardLimiter, authMiddleware, employeeController.updateEmployeeSchedule);
+router.put('/:id/schedule', standardLimiter, authMiddleware, canManageEmployees, employeeController.updateEmployeeSchedule);
+
+// GET /api/employees/:id/time-off - Get employee time-off and schedule exceptions
+router.get('/:id/time-off', standardLimiter, authMiddleware, restrictToOwnEmployee, employeeController.getEmployeeTimeOff);
+
+// POST /api/employees/:id/time-off - Add time-off or schedule exception, or request time off for yourself
+router.post('/:id/time-off', standardLimiter, authMiddleware, canRequestTimeOff, employeeController.createEmployeeTimeOff);
+
+// PATCH /api/employees/:id/time-off/:timeOffId - Update time-off or schedule exception
+router.patch('/:id/time-off/:timeOffId', standardLimiter, authMiddleware, canManageEmployees, employeeController.updateEmployeeTimeOff);
+
+// POST /api/employees/:id/time-off/:timeOffId/approve - Approve a staff time-off request
+router.post('/:id/time-off/:timeOffId/approve', standardLimiter, authMiddleware, canManageEmployees, employeeController.approveEmployeeTimeOff);
+
+// POST /api/employees/:id/time-off/:timeOffId/decline - Decline a staff time-off request
+router.post('/:id/time-off/:timeOffId/decline', standardLimiter, authMiddleware, canManageEmployees, employeeController.declineEmployeeTimeOff);
+
+// DELETE /api/employees/:id/time-off/:timeOffId - Delete time-off or schedule exception
+router.delete('/:id/time-off/:timeOffId', standardLimiter, authMiddleware, canManageEmployees, employeeController.deleteEmployeeTimeOff);
 
 module.exports = router;
@@ -13,7 +13,7 @@ const logger = require('../../utils/logger');
  * @returns {Promise<Object>} - Created employee
  */
 const createEmployee = async (employeeData, tenantId) => {
-  const { firstName, lastName, email, phone, employeeType, hireDate, schedule, serviceIds } = employeeData;
+  const { firstName, lastName, email, phone, employeeType, hireDate, schedule, serviceIds, serviceOverrides } = employeeData;
 
   // Check if employee with same email exists for this tenant
   const existingEmployee = await Employee.findOne({ where: { email, tenantId } });
@@ -32,6 +32,7 @@ const createEmployee = async (employeeData, tenantId) => {
     hireDate,
     schedule: schedule || Employee.generateDefaultSchedule(),
     serviceIds: serviceIds || [],
+    serviceOverrides: serviceOverrides || {},
     status: EMPLOYEE_STATUS.ACTIVE,
   });
 
@@ -48,9 +49,13 @@ const createEmployee = async (employeeData, tenantId) => {
  */
 const getEmployees = async (tenantId, options = {}) => {
   console.log('Getting employees with options:', options);
-  const { status, employeeType, limit = 100, offset = 0 } = options;
+  const { employeeId, status, employeeType, limit = 100, offset = 0 } = options;
 
   const where = { tenantId };
+
+  if (employeeId) {
+    where.id = employeeId;
+  }
   
   if (status) {
     where.status = status;
@@ -106,7 +111,7 @@ const updateEmployee = async (employeeId, tenantId, updateData) => {
   }
 
   // Filter allowed update fields
-  const allowedFields = ['firstName', 'lastName', 'email', 'phone', 'employeeType', 'status', 'hireDate', 'serviceIds', 'metadata'];
+  const allowedFields = ['firstName', 'lastName', 'email', 'phone', 'employeeType', 'status', 'hireDate', 'serviceIds', 'serviceOverrides', 'metadata'];
   const filteredData = {};
   
   for (const key of allowedFields) {
@@ -0,0 +1,129 @@
+/**
+ * Employee Time-Off Model
+ * Date-specific exceptions to an employee's weekly schedule
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Valid time-off types
+ * - day_off: not working at all on the covered dates (vacation, sick day)
+ * - blocked: unavailable between startTime and endTime (lunch, meeting)
+ * - extra_hours: working between startTime and endTime in addition to the weekly schedule
+ */
+const TIME_OFF_TYPES = {
+  DAY_OFF: 'day_off',
+  BLOCKED: 'blocked',
+  EXTRA_HOURS: 'extra_hours',
+};
+
+/**
+ * Time-off statuses
+ * Staff requesting their own time off start out pending until a manager approves;
+ * only approved entries change availability
+ */
+const TIME_OFF_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+};
+
+const EmployeeTimeOff = sequelize.define('EmployeeTimeOff', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id',
+    },
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.values(TIME_OFF_TYPES)),
+    allowNull: false,
+    defaultValue: TIME_OFF_TYPES.DAY_OFF,
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'start_date',
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'end_date',
+    comment: 'Last date covered (inclusive)',
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'start_time',
+    comment: 'HH:MM, required for blocked and extra_hours',
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'end_time',
+    comment: 'HH:MM, required for blocked and extra_hours',
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(TIME_OFF_STATUS)),
+    allowNull: false,
+    defaultValue: TIME_OFF_STATUS.APPROVED,
+  },
+  requestedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'requested_by',
+    comment: 'User who requested the time off, for staff requests',
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'reviewed_by',
+    comment: 'User who approved or declined the request',
+  },
+}, {
+  tableName: 'employee_time_off',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id'],
+    },
+    {
+      fields: ['employee_id', 'start_date', 'end_date'],
+    },
+  ],
+});
+
+/**
+ * Get time-off data safe for API response
+ * @returns {Object} - Time-off data
+ */
+EmployeeTimeOff.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  EmployeeTimeOff,
+  TIME_OFF_TYPES,
+  TIME_OFF_STATUS,
+};
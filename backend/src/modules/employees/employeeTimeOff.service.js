@@ -0,0 +1,241 @@
+/**
+ * Employee Time-Off Service
+ * Manages date-specific exceptions to employee schedules
+ */
+const { Op } = require('sequelize');
+const { Employee } = require('./employee.model');
+const { EmployeeTimeOff, TIME_OFF_TYPES, TIME_OFF_STATUS } = require('./employeeTimeOff.model');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Verify the employee belongs to the tenant
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Employee instance
+ * @throws {AppError} - If employee not found
+ */
+const findEmployee = async (employeeId, tenantId) => {
+  const employee = await Employee.findOne({ where: { id: employeeId, tenantId } });
+
+  if (!employee) {
+    throw new AppError('Employee not found', 404, 'EMPLOYEE_NOT_FOUND');
+  }
+
+  return employee;
+};
+
+/**
+ * Validate a time-off entry
+ * @param {Object} data - Time-off fields
+ * @throws {AppError} - If the entry is invalid
+ */
+const validateTimeOff = (data) => {
+  const { type, startDate, endDate, startTime, endTime } = data;
+
+  if (!Object.values(TIME_OFF_TYPES).includes(type)) {
+    throw new AppError(`Type must be one of: ${Object.values(TIME_OFF_TYPES).join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (!DATE_REGEX.test(startDate || '') || !DATE_REGEX.test(endDate || '')) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400, 'VALIDATION_ERROR');
+  }
+
+  if (endDate < startDate) {
+    throw new AppError('End date must be on or after start date', 400, 'VALIDATION_ERROR');
+  }
+
+  if (type === TIME_OFF_TYPES.DAY_OFF) {
+    return;
+  }
+
+  if (!TIME_REGEX.test(startTime || '') || !TIME_REGEX.test(endTime || '')) {
+    throw new AppError('Start and end times in HH:MM format are required for this type', 400, 'VALIDATION_ERROR');
+  }
+
+  if (endTime <= startTime) {
+    throw new AppError('End time must be after start time', 400, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Get time-off entries for an employee
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - Query options
+ * @param {string} options.from - Only entries ending on or after this date (YYYY-MM-DD)
+ * @param {string} options.to - Only entries starting on or before this date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Time-off entries
+ */
+const getTimeOff = async (employeeId, tenantId, options = {}) => {
+  const { from, to } = options;
+
+  await findEmployee(employeeId, tenantId);
+
+  const where = { employeeId, tenantId };
+
+  if (from) {
+    where.endDate = { [Op.gte]: from };
+  }
+
+  if (to) {
+    where.startDate = { [Op.lte]: to };
+  }
+
+  const entries = await EmployeeTimeOff.findAll({
+    where,
+    order: [['startDate', 'ASC'], ['startTime', 'ASC']],
+  });
+
+  return {
+    employeeId,
+    timeOff: entries.map(entry => entry.toSafeObject()),
+  };
+};
+
+/**
+ * Create a time-off entry
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} data - Time-off data
+ * @param {Object} options - Options
+ * @param {string} options.requestedBy - User requesting their own time off; the entry
+ * stays pending until a manager approves it
+ * @returns {Promise<Object>} - Created entry
+ */
+const createTimeOff = async (employeeId, tenantId, data, options = {}) => {
+  const { requestedBy = null } = options;
+
+  await findEmployee(employeeId, tenantId);
+
+  const type = data.type || TIME_OFF_TYPES.DAY_OFF;
+  const fields = {
+    type,
+    startDate: data.startDate,
+    endDate: data.endDate || data.startDate,
+    startTime: type === TIME_OFF_TYPES.DAY_OFF ? null : data.startTime,
+    endTime: type === TIME_OFF_TYPES.DAY_OFF ? null : data.endTime,
+    reason: data.reason || null,
+  };
+
+  validateTimeOff(fields);
+
+  const entry = await EmployeeTimeOff.create({
+    tenantId,
+    employeeId,
+    ...fields,
+    status: requestedBy ? TIME_OFF_STATUS.PENDING : TIME_OFF_STATUS.APPROVED,
+    requestedBy,
+  });
+
+  logger.info(`Time off (${type}) ${requestedBy ? 'requested' : 'created'} for employee: ${employeeId} for tenant: ${tenantId}`);
+
+  return entry.toSafeObject();
+};
+
+/**
+ * Find a time-off entry for an employee
+ * @param {string} timeOffId - Time-off entry ID
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Time-off instance
+ * @throws {AppError} - If entry not found
+ */
+const findTimeOff = async (timeOffId, employeeId, tenantId) => {
+  const entry = await EmployeeTimeOff.findOne({
+    where: { id: timeOffId, employeeId, tenantId },
+  });
+
+  if (!entry) {
+    throw new AppError('Time off entry not found', 404, 'TIME_OFF_NOT_FOUND');
+  }
+
+  return entry;
+};
+
+/**
+ * Update a time-off entry
+ * @param {string} timeOffId - Time-off entry ID
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} - Updated entry
+ */
+const updateTimeOff = async (timeOffId, employeeId, tenantId, updateData) => {
+  const entry = await findTimeOff(timeOffId, employeeId, tenantId);
+
+  const allowedFields = ['type', 'startDate', 'endDate', 'startTime', 'endTime', 'reason'];
+  const fields = {};
+
+  for (const key of allowedFields) {
+    fields[key] = updateData[key] !== undefined ? updateData[key] : entry[key];
+  }
+
+  if (fields.type === TIME_OFF_TYPES.DAY_OFF) {
+    fields.startTime = null;
+    fields.endTime = null;
+  }
+
+  validateTimeOff(fields);
+
+  await entry.update(fields);
+
+  logger.info(`Time off updated: ${timeOffId} for employee: ${employeeId} for tenant: ${tenantId}`);
+
+  return entry.toSafeObject();
+};
+
+/**
+ * Approve or decline a pending time-off request
+ * @param {string} timeOffId - Time-off entry ID
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} status - approved or declined
+ * @param {string} reviewedBy - User reviewing the request
+ * @returns {Promise<Object>} - Updated entry
+ * @throws {AppError} - If the entry isn't pending
+ */
+const reviewTimeOff = async (timeOffId, employeeId, tenantId, status, reviewedBy) => {
+  const entry = await findTimeOff(timeOffId, employeeId, tenantId);
+
+  if (entry.status !== TIME_OFF_STATUS.PENDING) {
+    throw new AppError('Time off request has already been reviewed', 400, 'TIME_OFF_NOT_PENDING');
+  }
+
+  await entry.update({ status, reviewedBy });
+
+  logger.info(`Time off ${status}: ${timeOffId} for employee: ${employeeId} for tenant: ${tenantId}`);
+
+  return entry.toSafeObject();
+};
+
+/**
+ * Delete a time-off entry
+ * @param {string} timeOffId - Time-off entry ID
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Success message
+ */
+const deleteTimeOff = async (timeOffId, employeeId, tenantId) => {
+  const entry = await findTimeOff(timeOffId, employeeId, tenantId);
+
+  await entry.destroy();
+
+  logger.info(`Time off deleted: ${timeOffId} for employee: ${employeeId} for tenant: ${tenantId}`);
+
+  return { message: 'Time off deleted successfully' };
+};
+
+module.exports = {
+  getTimeOff,
+  createTimeOff,
+  updateTimeOff,
+  reviewTimeOff,
+  deleteTimeOff,
+  validateTimeOff,
+  TIME_OFF_TYPES,
+  TIME_OFF_STATUS,
+};
@@ -4,14 +4,19 @@
  */
 const employeeRoutes = require('./employee.routes');
 const employeeService = require('./employee.service');
+const employeeTimeOffService = require('./employeeTimeOff.service');
 const employeeController = require('./employee.controller');
 const { Employee, EMPLOYEE_STATUS, EMPLOYEE_TYPES } = require('./employee.model');
+const { EmployeeTimeOff, TIME_OFF_TYPES } = require('./employeeTimeOff.model');
 
 module.exports = {
   employeeRoutes,
   employeeService,
+  employeeTimeOffService,
   employeeController,
   Employee,
   EMPLOYEE_STATUS,
   EMPLOYEE_TYPES,
+  EmployeeTimeOff,
+  TIME_OFF_TYPES,
 };
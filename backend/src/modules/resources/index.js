@@ -0,0 +1,20 @@
+/**
+ * Resources Module Index
+ * Central export for resources module
+ */
+const resourceRoutes = require('./resource.routes');
+const resourceService = require('./resource.service');
+const resourceController = require('./resource.controller');
+const { Resource, RESOURCE_TYPES, RESOURCE_STATUS } = require('./resource.model');
+const { ResourceBooking, RESOURCE_BOOKING_STATUS } = require('./resourceBooking.model');
+
+module.exports = {
+  resourceRoutes,
+  resourceService,
+  resourceController,
+  Resource,
+  RESOURCE_TYPES,
+  RESOURCE_STATUS,
+  ResourceBooking,
+  RESOURCE_BOOKING_STATUS,
+};
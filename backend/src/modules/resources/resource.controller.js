@@ -0,0 +1,210 @@
+/**
+ * Resource Controller
+ * Handles HTTP requests for resource endpoints
+ */
+const resourceService = require('./resource.service');
+const { RESOURCE_TYPES, RESOURCE_STATUS, MAX_RESOURCE_CAPACITY } = require('./resource.model');
+const { getTenantUUID } = require('../../utils/tenant');
+const { UUID_REGEX } = require('../../utils/validation');
+
+/**
+ * Validate the fields shared by create and update requests
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateResourceFields = ({ name, type, capacity, status }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'Name must be a string of 1 to 100 characters';
+  }
+
+  if (type !== undefined && !Object.values(RESOURCE_TYPES).includes(type)) {
+    return `Type must be one of: ${Object.values(RESOURCE_TYPES).join(', ')}`;
+  }
+
+  if (capacity !== undefined &&
+      (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_RESOURCE_CAPACITY)) {
+    return `Capacity must be a whole number between 1 and ${MAX_RESOURCE_CAPACITY}`;
+  }
+
+  if (status !== undefined && !Object.values(RESOURCE_STATUS).includes(status)) {
+    return `Status must be one of: ${Object.values(RESOURCE_STATUS).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/resources
+ * Get resources for tenant, optionally filtered by type or status
+ */
+const getResources = async (req, res, next) => {
+  try {
+    const { type, status } = req.query;
+
+    const fieldError = validateResourceFields({ type, status });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const resources = await resourceService.getResources(tenantUUID, { type, status });
+
+    res.status(200).json({
+      success: true,
+      data: { resources },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/resources/:id
+ * Get resource by ID
+ */
+const getResource = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resource ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const resource = await resourceService.getResourceById(req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: { resource },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/resources
+ * Create a new resource
+ */
+const createResource = async (req, res, next) => {
+  try {
+    const { name, type, description, capacity, status } = req.body;
+
+    // Validate required fields
+    if (!name || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and type are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateResourceFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const resource = await resourceService.createResource({
+      name,
+      type,
+      description,
+      capacity,
+      status,
+    }, tenantUUID);
+
+    res.status(201).json({
+      success: true,
+      data: { resource },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/resources/:id
+ * Update resource
+ */
+const updateResource = async (req, res, next) => {
+  try {
+    const { name, type, description, capacity, status } = req.body;
+
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resource ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateResourceFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const resource = await resourceService.updateResource(req.params.id, tenantUUID, {
+      name,
+      type,
+      description,
+      capacity,
+      status,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { resource },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/resources/:id
+ * Delete resource
+ */
+const deleteResource = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resource ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await resourceService.deleteResource(req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getResources,
+  getResource,
+  createResource,
+  updateResource,
+  deleteResource,
+};
@@ -0,0 +1,101 @@
+/**
+ * Resource Model
+ * Rooms, chairs and equipment a tenant books alongside its employees. Services list the
+ * resource types they need, and a booking for one takes a free resource of each type
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Kinds of bookable resource
+ */
+const RESOURCE_TYPES = {
+  ROOM: 'room',
+  CHAIR: 'chair',
+  EQUIPMENT: 'equipment',
+};
+
+/**
+ * Most bookings one resource can hold at the same time
+ */
+const MAX_RESOURCE_CAPACITY = 50;
+
+/**
+ * Valid resource statuses
+ * Inactive resources can't be booked but keep their past bookings
+ */
+const RESOURCE_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+};
+
+const Resource = sequelize.define('Resource', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.values(RESOURCE_TYPES)),
+    allowNull: false,
+    defaultValue: RESOURCE_TYPES.ROOM,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+      max: MAX_RESOURCE_CAPACITY,
+    },
+    comment: 'Bookings the resource can hold at the same time, e.g. 2 for a room with two tables',
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(RESOURCE_STATUS)),
+    defaultValue: RESOURCE_STATUS.ACTIVE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'resources',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'type'],
+    },
+  ],
+});
+
+/**
+ * Get resource data safe for API response
+ * @returns {Object} - Resource data
+ */
+Resource.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  Resource,
+  RESOURCE_TYPES,
+  RESOURCE_STATUS,
+  MAX_RESOURCE_CAPACITY,
+};
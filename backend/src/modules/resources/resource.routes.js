@@ -0,0 +1,53 @@
+/**
+ * Resource Routes
+ * Defines all resource-related endpoints
+ */
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const resourceController = require('./resource.controller');
+const { authMiddleware, requirePermission } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
+
+const router = express.Router();
+
+/**
+ * Rate limiting configuration
+ * Skip rate limiting in test environment
+ */
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+const standardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requests per window
+  skip: () => isTestEnv,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * All routes require authentication; resources are set up alongside services,
+ * so changing them requires permission to manage services
+ */
+const canManageServices = requirePermission(PERMISSIONS.MANAGE_SERVICES);
+
+// GET /api/resources - Get resources (?type= and ?status= filter)
+router.get('/', standardLimiter, authMiddleware, resourceController.getResources);
+
+// GET /api/resources/:id - Get resource by ID
+router.get('/:id', standardLimiter, authMiddleware, resourceController.getResource);
+
+// POST /api/resources - Create a new resource
+router.post('/', standardLimiter, authMiddleware, canManageServices, resourceController.createResource);
+
+// PATCH /api/resources/:id - Update resource
+router.patch('/:id', standardLimiter, authMiddleware, canManageServices, resourceController.updateResource);
+
+// DELETE /api/resources/:id - Delete resource
+router.delete('/:id', standardLimiter, authMiddleware, canManageServices, resourceController.deleteResource);
+
+module.exports = router;
@@ -0,0 +1,307 @@
+/**
+ * Resource Service
+ * Handles rooms, chairs and equipment and the bookings that reserve them
+ */
+const { Op, Transaction } = require('sequelize');
+const { Resource, RESOURCE_STATUS } = require('./resource.model');
+const { ResourceBooking, RESOURCE_BOOKING_STATUS } = require('./resourceBooking.model');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * Get resources for a tenant, sorted by type then name
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - Query options
+ * @param {string} options.type - Filter by type
+ * @param {string} options.status - Filter by status
+ * @returns {Promise<Array>} - Resources
+ */
+const getResources = async (tenantId, options = {}) => {
+  const { type, status } = options;
+  const where = { tenantId };
+
+  if (type) {
+    where.type = type;
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  const resources = await Resource.findAll({
+    where,
+    order: [['type', 'ASC'], ['name', 'ASC']],
+  });
+
+  return resources.map(resource => resource.toSafeObject());
+};
+
+/**
+ * Find a resource
+ * @param {string} resourceId - Resource ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Resource
+ * @throws {AppError} - If not found
+ */
+const findResource = async (resourceId, tenantId) => {
+  const resource = await Resource.findOne({
+    where: { id: resourceId, tenantId },
+  });
+
+  if (!resource) {
+    throw new AppError('Resource not found', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  return resource;
+};
+
+/**
+ * Get a resource by ID
+ * @param {string} resourceId - Resource ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Resource
+ */
+const getResourceById = async (resourceId, tenantId) => {
+  const resource = await findResource(resourceId, tenantId);
+  return resource.toSafeObject();
+};
+
+/**
+ * Create a resource
+ * @param {Object} resourceData - { name, type, description, capacity, status }
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Created resource
+ */
+const createResource = async (resourceData, tenantId) => {
+  const { name, type, description, capacity, status } = resourceData;
+
+  const resource = await Resource.create({
+    tenantId,
+    name,
+    type,
+    description,
+    capacity: capacity || 1,
+    status,
+  });
+
+  logger.info(`New resource created: ${resource.id} for tenant: ${tenantId}`);
+
+  return resource.toSafeObject();
+};
+
+/**
+ * Update a resource
+ * @param {string} resourceId - Resource ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} - Updated resource
+ */
+const updateResource = async (resourceId, tenantId, updateData) => {
+  const resource = await findResource(resourceId, tenantId);
+
+  const updates = {};
+  for (const field of ['name', 'type', 'description', 'capacity', 'status']) {
+    if (updateData[field] !== undefined) {
+      updates[field] = updateData[field];
+    }
+  }
+
+  await resource.update(updates);
+
+  logger.info(`Resource updated: ${resourceId} for tenant: ${tenantId}`);
+
+  return resource.toSafeObject();
+};
+
+/**
+ * Delete a resource
+ * A resource with upcoming bookings can't be deleted; mark it inactive instead so
+ * it isn't booked again
+ * @param {string} resourceId - Resource ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Success message
+ */
+const deleteResource = async (resourceId, tenantId) => {
+  const resource = await findResource(resourceId, tenantId);
+
+  const upcoming = await ResourceBooking.count({
+    where: {
+      tenantId,
+      resourceId,
+      status: RESOURCE_BOOKING_STATUS.ACTIVE,
+      endTime: { [Op.gt]: new Date() },
+    },
+  });
+
+  if (upcoming > 0) {
+    throw new AppError(
+      'Resource has upcoming bookings. Mark it inactive instead, or cancel the bookings first',
+      409,
+      'RESOURCE_IN_USE'
+    );
+  }
+
+  await ResourceBooking.destroy({ where: { tenantId, resourceId } });
+  await resource.destroy();
+
+  logger.info(`Resource deleted: ${resourceId} for tenant: ${tenantId}`);
+
+  return { message: 'Resource deleted successfully' };
+};
+
+/**
+ * Load the active resources for a booking, locking them until the booking transaction
+ * ends so two bookings can't both take the same room
+ * @param {Array<string>} resourceIds - Resource IDs
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} transaction - Booking transaction
+ * @returns {Promise<Array>} - Resources, in ID order
+ * @throws {AppError} - If any resource is missing or inactive
+ */
+const lockBookableResources = async (resourceIds, tenantId, transaction) => {
+  if (resourceIds.length === 0) {
+    return [];
+  }
+
+  const resources = await Resource.findAll({
+    where: {
+      id: { [Op.in]: resourceIds },
+      tenantId,
+      status: RESOURCE_STATUS.ACTIVE,
+    },
+    order: [['id', 'ASC']],
+    transaction,
+    lock: Transaction.LOCK.UPDATE,
+  });
+
+  if (resources.length !== new Set(resourceIds).size) {
+    throw new AppError('Resource not found or not active', 404, 'RESOURCE_NOT_FOUND');
+  }
+
+  return resources;
+};
+
+/**
+ * Get the active bookings of resources that overlap a time range
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<string>} resourceIds - Resource IDs
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end
+ * @param {Object} options - { transaction, excludeGroupId }
+ * @returns {Promise<Array>} - Resource bookings
+ */
+const getResourceBookings = async (tenantId, resourceIds, rangeStart, rangeEnd, options = {}) => {
+  const { transaction, excludeGroupId } = options;
+
+  if (resourceIds.length === 0) {
+    return [];
+  }
+
+  const where = {
+    tenantId,
+    resourceId: { [Op.in]: resourceIds },
+    status: RESOURCE_BOOKING_STATUS.ACTIVE,
+    startTime: { [Op.lt]: rangeEnd },
+    endTime: { [Op.gt]: rangeStart },
+  };
+
+  if (excludeGroupId) {
+    where.groupId = { [Op.ne]: excludeGroupId };
+  }
+
+  return ResourceBooking.findAll({ where, transaction });
+};
+
+/**
+ * Find the periods when overlapping uses of a resource reach a limit
+ * @param {Array<Object>} usages - Periods { startTime, endTime } the resource is in use
+ * @param {number} limit - Number of overlapping uses that leaves nothing free
+ * @returns {Array<Object>} - Periods { start, end } with at least limit uses, in time order
+ */
+const getFullPeriods = (usages, limit) => {
+  const events = [];
+  usages.forEach(usage => {
+    events.push({ time: new Date(usage.startTime).getTime(), change: 1 });
+    events.push({ time: new Date(usage.endTime).getTime(), change: -1 });
+  });
+  // A use ending when another starts doesn't overlap it
+  events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+  const periods = [];
+  let inUse = 0;
+  let fullSince = null;
+
+  for (const { time, change } of events) {
+    inUse += change;
+
+    if (inUse >= limit && fullSince === null) {
+      fullSince = time;
+    } else if (inUse < limit && fullSince !== null) {
+      if (time > fullSince) {
+        periods.push({ start: new Date(fullSince), end: new Date(time) });
+      }
+      fullSince = null;
+    }
+  }
+
+  return periods;
+};
+
+/**
+ * Check that resources are free for a time range
+ * A resource is busy once its reservations during the range reach its capacity
+ * @param {Array<Object>} resources - Resources to check
+ * @param {string} tenantId - Tenant identifier
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @param {Object} options - { transaction, excludeGroupId }
+ * @returns {Promise<Object>} - { available, conflicts } where conflicts are the busy resources
+ */
+const checkResourceAvailability = async (resources, tenantId, startTime, endTime, options = {}) => {
+  const bookings = await getResourceBookings(
+    tenantId,
+    resources.map(resource => resource.id),
+    new Date(startTime),
+    new Date(endTime),
+    options
+  );
+  const conflicts = resources.filter(resource => {
+    const resourceBookings = bookings.filter(booking => booking.resourceId === resource.id);
+    return getFullPeriods(resourceBookings, resource.capacity || 1).length > 0;
+  });
+
+  return {
+    available: conflicts.length === 0,
+    conflicts: conflicts.map(resource => resource.toSafeObject()),
+  };
+};
+
+/**
+ * Release the resources reserved for a group booking
+ * @param {string} groupId - Group booking ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - { transaction }
+ * @returns {Promise<void>}
+ */
+const releaseGroupResources = async (groupId, tenantId, options = {}) => {
+  await ResourceBooking.update(
+    { status: RESOURCE_BOOKING_STATUS.RELEASED },
+    {
+      where: { tenantId, groupId, status: RESOURCE_BOOKING_STATUS.ACTIVE },
+      transaction: options.transaction,
+    }
+  );
+};
+
+module.exports = {
+  getResources,
+  getResourceById,
+  createResource,
+  updateResource,
+  deleteResource,
+  lockBookableResources,
+  getResourceBookings,
+  getFullPeriods,
+  checkResourceAvailability,
+  releaseGroupResources,
+};
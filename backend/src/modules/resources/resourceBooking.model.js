@@ -0,0 +1,87 @@
+/**
+ * Resource Booking Model
+ * A resource reserved for a group booking. The reservation spans the whole group, from
+ * the first member's start to the last member's end, and is released when the group is
+ * cancelled
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Valid resource booking statuses
+ */
+const RESOURCE_BOOKING_STATUS = {
+  ACTIVE: 'active',
+  RELEASED: 'released',
+};
+
+const ResourceBooking = sequelize.define('ResourceBooking', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  resourceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'resource_id',
+    references: {
+      model: 'resources',
+      key: 'id',
+    },
+  },
+  groupId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'group_id',
+    comment: 'Group booking the resource is reserved for',
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_time',
+  },
+  endTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'end_time',
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(RESOURCE_BOOKING_STATUS)),
+    defaultValue: RESOURCE_BOOKING_STATUS.ACTIVE,
+    allowNull: false,
+  },
+}, {
+  tableName: 'resource_bookings',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'resource_id', 'start_time'],
+    },
+    {
+      fields: ['group_id'],
+    },
+  ],
+});
+
+/**
+ * Get resource booking data safe for API response
+ * @returns {Object} - Resource booking data
+ */
+ResourceBooking.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  ResourceBooking,
+  RESOURCE_BOOKING_STATUS,
+};
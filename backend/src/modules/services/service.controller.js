@@ -3,8 +3,56 @@
  * Handles HTTP requests for service endpoints
  */
 const serviceService = require('./service.service');
+const { MAX_BUFFER_MINUTES } = require('./service.model');
+const { RESOURCE_TYPES } = require('../resources/resource.model');
 const { getTenantUUID } = require('../../utils/tenant');
 
+/**
+ * Check that a buffer is a whole number of minutes within the allowed range
+ * @param {*} value - Buffer value from the request
+ * @returns {boolean} - True if valid or not provided
+ */
+const isValidBuffer = (value) => {
+  return value === undefined || (Number.isInteger(value) && value >= 0 && value <= MAX_BUFFER_MINUTES);
+};
+
+/**
+ * Validate service and add-on buffers in a request body
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBuffers = ({ bufferBefore, bufferAfter, addOns }) => {
+  const addOnBuffers = Array.isArray(addOns)
+    ? addOns.flatMap(addOn => [addOn?.bufferBefore, addOn?.bufferAfter])
+    : [];
+
+  if (![bufferBefore, bufferAfter, ...addOnBuffers].every(isValidBuffer)) {
+    return `Buffers must be whole numbers of minutes between 0 and ${MAX_BUFFER_MINUTES}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate the resource types a service needs
+ * @param {*} resourceTypes - Resource types from the request
+ * @returns {string|null} - Error message, or null if valid or not provided
+ */
+const validateResourceTypes = (resourceTypes) => {
+  if (resourceTypes === undefined) {
+    return null;
+  }
+
+  const validTypes = Object.values(RESOURCE_TYPES);
+  if (!Array.isArray(resourceTypes) ||
+      !resourceTypes.every(type => validTypes.includes(type)) ||
+      new Set(resourceTypes).size !== resourceTypes.length) {
+    return `Resource types must be a list of distinct types from: ${validTypes.join(', ')}`;
+  }
+
+  return null;
+};
+
 /**
  * GET /api/services
  * Get all services for tenant
@@ -54,7 +102,7 @@ const getService = async (req, res, next) => {
  */
 const createService = async (req, res, next) => {
   try {
-    const { name, description, category, duration, price, addOns } = req.body;
+    const { name, description, category, duration, bufferBefore, bufferAfter, resourceTypes, price, addOns } = req.body;
 
     // Validate required fields
     if (!name) {
@@ -83,12 +131,33 @@ const createService = async (req, res, next) => {
       });
     }
 
+    const bufferError = validateBuffers(req.body);
+    if (bufferError) {
+      return res.status(400).json({
+        success: false,
+        error: bufferError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const resourceTypesError = validateResourceTypes(resourceTypes);
+    if (resourceTypesError) {
+      return res.status(400).json({
+        success: false,
+        error: resourceTypesError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
     const tenantUUID = await getTenantUUID(req.tenantId);
     const service = await serviceService.createService({
       name,
       description,
       category,
       duration,
+      bufferBefore,
+      bufferAfter,
+      resourceTypes,
       price,
       addOns,
     }, tenantUUID);
@@ -108,7 +177,7 @@ const createService = async (req, res, next) => {
  */
 const updateService = async (req, res, next) => {
   try {
-    const { name, description, category, duration, price, status, addOns, metadata } = req.body;
+    const { name, description, category, duration, bufferBefore, bufferAfter, resourceTypes, price, status, addOns, metadata } = req.body;
 
     // Validate price if provided
     if (price !== undefined && (typeof price !== 'number' || price < 0)) {
@@ -128,12 +197,33 @@ const updateService = async (req, res, next) => {
       });
     }
 
+    const bufferError = validateBuffers(req.body);
+    if (bufferError) {
+      return res.status(400).json({
+        success: false,
+        error: bufferError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const resourceTypesError = validateResourceTypes(resourceTypes);
+    if (resourceTypesError) {
+      return res.status(400).json({
+        success: false,
+        error: resourceTypesError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
     const tenantUUID = await getTenantUUID(req.tenantId);
     const service = await serviceService.updateService(req.params.id, tenantUUID, {
       name,
       description,
       category,
       duration,
+      bufferBefore,
+      bufferAfter,
+      resourceTypes,
       price,
       status,
       addOns,
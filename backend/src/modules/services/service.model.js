@@ -26,6 +26,11 @@ const SERVICE_CATEGORIES = {
   OTHER: 'other',
 };
 
+/**
+ * Longest buffer (in minutes) allowed before or after a service
+ */
+const MAX_BUFFER_MINUTES = 240;
+
 const Service = sequelize.define('Service', {
   id: {
     type: DataTypes.UUID,
@@ -63,6 +68,35 @@ const Service = sequelize.define('Service', {
     defaultValue: 60,
     comment: 'Duration in minutes',
   },
+  bufferBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'buffer_before',
+    validate: {
+      min: 0,
+      max: MAX_BUFFER_MINUTES,
+    },
+    comment: 'Preparation minutes blocked before the appointment',
+  },
+  bufferAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'buffer_after',
+    validate: {
+      min: 0,
+      max: MAX_BUFFER_MINUTES,
+    },
+    comment: 'Cleanup or processing minutes blocked after the appointment',
+  },
+  resourceTypes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'resource_types',
+    comment: 'Resource types a booking takes one of each, e.g. ["room"]',
+  },
   price: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -107,7 +141,7 @@ Service.prototype.toSafeObject = function() {
 
 /**
  * Add an add-on to the service
- * @param {Object} addOn - Add-on object { name, price, duration }
+ * @param {Object} addOn - Add-on object { name, price, duration, bufferBefore, bufferAfter }
  * @returns {Promise<Service>} - Updated service
  */
 Service.prototype.addAddOn = async function(addOn) {
@@ -151,4 +185,5 @@ module.exports = {
   Service,
   SERVICE_STATUS,
   SERVICE_CATEGORIES,
+  MAX_BUFFER_MINUTES,
 };
@@ -5,7 +5,8 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const serviceController = require('./service.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, requirePermission } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
 
 const router = express.Router();
 
@@ -29,8 +30,10 @@ const standardLimiter = rateLimit({
 });
 
 /**
- * All routes require authentication
+ * All routes require authentication; changing services also requires
+ * permission to manage services
  */
+const canManageServices = requirePermission(PERMISSIONS.MANAGE_SERVICES);
 
 // GET /api/services - Get all services
 router.get('/', standardLimiter, authMiddleware, serviceController.getServices);
@@ -39,12 +42,12 @@ router.get('/', standardLimiter, authMiddleware, serviceController.getServices);
 router.get('/:id', standardLimiter, authMiddleware, serviceController.getService);
 
 // POST /api/services - Create a new service
-router.post('/', standardLimiter, authMiddleware, serviceController.createService);
+router.post('/', standardLimiter, authMiddleware, canManageServices, serviceController.createService);
 
 // PATCH /api/services/:id - Update service
-router.patch('/:id', standardLimiter, authMiddleware, serviceController.updateService);
+router.patch('/:id', standardLimiter, authMiddleware, canManageServices, serviceController.updateService);
 
 // DELETE /api/services/:id - Delete service
-router.delete('/:id', standardLimiter, authMiddleware, serviceController.deleteService);
+router.delete('/:id', standardLimiter, authMiddleware, canManageServices, serviceController.deleteService);
 
 module.exports = router;
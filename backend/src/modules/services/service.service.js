@@ -13,7 +13,7 @@ const logger = require('../../utils/logger');
  * @returns {Promise<Object>} - Created service
  */
 const createService = async (serviceData, tenantId) => {
-  const { name, description, category, duration, price, addOns } = serviceData;
+  const { name, description, category, duration, bufferBefore, bufferAfter, resourceTypes, price, addOns } = serviceData;
 
   // Check if service with same name exists for this tenant
   const existingService = await Service.findOne({ where: { name, tenantId } });
@@ -28,6 +28,9 @@ const createService = async (serviceData, tenantId) => {
     description,
     category: category || SERVICE_CATEGORIES.OTHER,
     duration: duration || 60,
+    bufferBefore: bufferBefore || 0,
+    bufferAfter: bufferAfter || 0,
+    resourceTypes: resourceTypes || [],
     price: price || 0.00,
     addOns: addOns || [],
     status: SERVICE_STATUS.ACTIVE,
@@ -104,7 +107,10 @@ const updateService = async (serviceId, tenantId, updateData) => {
   }
 
   // Filter allowed update fields
-  const allowedFields = ['name', 'description', 'category', 'duration', 'price', 'status', 'addOns', 'metadata'];
+  const allowedFields = [
+    'name', 'description', 'category', 'duration', 'bufferBefore', 'bufferAfter',
+    'resourceTypes', 'price', 'status', 'addOns', 'metadata',
+  ];
   const filteredData = {};
   
   for (const key of allowedFields) {
@@ -185,7 +191,7 @@ const seedDefaultServices = async (tenantId, businessTypeName = null) => {
  * Add add-on to a service
  * @param {string} serviceId - Service ID
  * @param {string} tenantId - Tenant identifier
- * @param {Object} addOn - Add-on data { name, price, duration }
+ * @param {Object} addOn - Add-on data { name, price, duration, bufferBefore, bufferAfter }
  * @returns {Promise<Object>} - Updated service
  */
 const addAddOn = async (serviceId, tenantId, addOn) => {
@@ -0,0 +1,17 @@
+/**
+ * Team Module Index
+ * Central export for team module
+ */
+const teamRoutes = require('./team.routes');
+const teamService = require('./team.service');
+const teamController = require('./team.controller');
+const { TeamInvite, INVITE_STATUS, INVITE_EXPIRY_DAYS } = require('./teamInvite.model');
+
+module.exports = {
+  teamRoutes,
+  teamService,
+  teamController,
+  TeamInvite,
+  INVITE_STATUS,
+  INVITE_EXPIRY_DAYS,
+};
@@ -0,0 +1,250 @@
+/**
+ * Team Controller
+ * Handles HTTP requests for team and invite endpoints
+ */
+const teamService = require('./team.service');
+const { USER_ROLES } = require('../auth/permissions');
+const { getUserRole } = require('../auth/auth.middleware');
+const { getTenantUUID } = require('../../utils/tenant');
+const { UUID_REGEX, EMAIL_REGEX } = require('../../utils/validation');
+
+/**
+ * Validate a role from the request body
+ * @param {string} role - Role
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRole = (role) => {
+  if (!Object.values(USER_ROLES).includes(role)) {
+    return `Role must be one of: ${Object.values(USER_ROLES).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate an employee link from the request body
+ * @param {string|null} employeeId - Employee ID, or null to unlink
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateEmployeeId = (employeeId) => {
+  if (employeeId !== undefined && employeeId !== null && !UUID_REGEX.test(employeeId)) {
+    return 'Invalid employee ID format';
+  }
+
+  return null;
+};
+
+/**
+ * Get the acting user from the request
+ * @param {Object} req - Express request object
+ * @returns {Object} - User ID and role
+ */
+const getActor = (req) => ({
+  userId: req.user.userId,
+  role: getUserRole(req.user),
+});
+
+/**
+ * GET /api/team
+ * Get team members and pending invites
+ */
+const getTeam = async (req, res, next) => {
+  try {
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const team = await teamService.getTeam(tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: team,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/team/invites
+ * Invite someone to join the team
+ */
+const createInvite = async (req, res, next) => {
+  try {
+    const { email, role, employeeId } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and role are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateRole(role) || validateEmployeeId(employeeId);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await teamService.createInvite({ email, role, employeeId }, tenantUUID, getActor(req));
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/team/invites/:id
+ * Revoke a pending invite
+ */
+const revokeInvite = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid invite ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await teamService.revokeInvite(req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/team/invites/accept
+ * Accept an invite and create the invitee's account
+ */
+const acceptInvite = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    // Validate password strength
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters long',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const result = await teamService.acceptInvite(token, password);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/team/members/:userId
+ * Change a team member's role or linked employee
+ */
+const updateMember = async (req, res, next) => {
+  try {
+    const { role, employeeId } = req.body;
+
+    if (!UUID_REGEX.test(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    if (role === undefined && employeeId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role or employee ID is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = (role !== undefined && validateRole(role)) || validateEmployeeId(employeeId);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const user = await teamService.updateMember(req.params.userId, tenantUUID, { role, employeeId }, getActor(req));
+
+    res.status(200).json({
+      success: true,
+      data: { user },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/team/members/:userId
+ * Remove a team member
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await teamService.removeMember(req.params.userId, tenantUUID, getActor(req));
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTeam,
+  createInvite,
+  revokeInvite,
+  acceptInvite,
+  updateMember,
+  removeMember,
+};
@@ -0,0 +1,73 @@
+/**
+ * Team Routes
+ * Defines all team-related endpoints
+ */
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const teamController = require('./team.controller');
+const { authMiddleware, requirePermission } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
+
+const router = express.Router();
+
+/**
+ * Rate limiting configuration
+ * Skip rate limiting in test environment
+ */
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+const standardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requests per window
+  skip: () => isTestEnv,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Strict rate limit for accepting invites (prevent token guessing)
+const inviteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per window
+  skip: () => isTestEnv,
+  message: {
+    success: false,
+    error: 'Too many invite attempts, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Public routes (the invite token identifies the tenant)
+ */
+
+// POST /api/team/invites/accept - Accept an invite and create an account
+router.post('/invites/accept', inviteLimiter, teamController.acceptInvite);
+
+/**
+ * Protected routes - require authentication and permission to manage the team
+ */
+const canManageTeam = requirePermission(PERMISSIONS.MANAGE_TEAM);
+
+// GET /api/team - Get team members and pending invites
+router.get('/', standardLimiter, authMiddleware, canManageTeam, teamController.getTeam);
+
+// POST /api/team/invites - Invite someone to join the team
+router.post('/invites', standardLimiter, authMiddleware, canManageTeam, teamController.createInvite);
+
+// DELETE /api/team/invites/:id - Revoke a pending invite
+router.delete('/invites/:id', standardLimiter, authMiddleware, canManageTeam, teamController.revokeInvite);
+
+// PATCH /api/team/members/:userId - Change a team member's role or linked employee
+router.patch('/members/:userId', standardLimiter, authMiddleware, canManageTeam, teamController.updateMember);
+
+// DELETE /api/team/members/:userId - Remove a team member
+router.delete('/members/:userId', standardLimiter, authMiddleware, canManageTeam, teamController.removeMember);
+
+module.exports = router;
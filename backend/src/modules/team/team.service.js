@@ -0,0 +1,352 @@
+/**
+ * Team Service
+ * Handles a tenant's team members, their roles and invitations to join
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Employee } = require('../../models');
+const { TeamInvite, INVITE_STATUS, INVITE_EXPIRY_DAYS } = require('./teamInvite.model');
+const { USER_ROLES, canAssignRole } = require('../auth/permissions');
+const { generateTokenPair } = require('../auth/jwt.utils');
+const env = require('../../config/env');
+const { sendEmail } = require('../../utils/email');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * Hash an invite token for storage and lookup
+ * @param {string} token - Invite token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashInviteToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check that an employee can be linked to a user
+ * An employee is linked to at most one active user
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} userId - User being linked, if they already have an account
+ * @throws {AppError} - If the employee doesn't exist or is linked to someone else
+ */
+const ensureLinkableEmployee = async (employeeId, tenantId, userId = null) => {
+  const employee = await Employee.findOne({ where: { id: employeeId, tenantId } });
+  if (!employee) {
+    throw new AppError('Employee not found', 404, 'EMPLOYEE_NOT_FOUND');
+  }
+
+  const linkedUser = await User.findOne({ where: { tenantId, employeeId, isActive: true } });
+  if (linkedUser && linkedUser.id !== userId) {
+    throw new AppError('This employee is already linked to another user', 409, 'EMPLOYEE_ALREADY_LINKED');
+  }
+};
+
+/**
+ * Get a tenant's team members and pending invites
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Members and invites
+ */
+const getTeam = async (tenantId) => {
+  const members = await User.findAll({
+    where: { tenantId },
+    order: [['createdAt', 'ASC']],
+  });
+
+  const invites = await TeamInvite.findAll({
+    where: {
+      tenantId,
+      status: INVITE_STATUS.PENDING,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+    order: [['createdAt', 'DESC']],
+  });
+
+  return {
+    members: members.map(member => member.toSafeObject()),
+    invites: invites.map(invite => invite.toSafeObject()),
+  };
+};
+
+/**
+ * Invite someone to join the team and email them the link
+ * Any earlier pending invite for the same email is revoked so only the newest link works
+ * @param {Object} inviteData - Invite data
+ * @param {string} inviteData.email - Email to invite
+ * @param {string} inviteData.role - Role the invitee will have
+ * @param {string} inviteData.employeeId - Employee to link the invitee to (optional)
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} inviter - User sending the invite
+ * @param {string} inviter.userId - User ID
+ * @param {string} inviter.role - User role
+ * @returns {Promise<Object>} - Created invite
+ * @throws {AppError} - If the inviter can't give the role, the email is taken or the invite email can't be sent
+ */
+const createInvite = async ({ email, role, employeeId }, tenantId, inviter) => {
+  if (!canAssignRole(inviter.role, role)) {
+    throw new AppError('You cannot invite someone with this role', 403, 'FORBIDDEN');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existingUser = await User.findOne({ where: { email: normalizedEmail } });
+  if (existingUser) {
+    throw new AppError('A user with this email already exists', 409, 'USER_EXISTS');
+  }
+
+  if (employeeId) {
+    await ensureLinkableEmployee(employeeId, tenantId);
+  }
+
+  await TeamInvite.update(
+    { status: INVITE_STATUS.REVOKED },
+    { where: { tenantId, email: normalizedEmail, status: INVITE_STATUS.PENDING } }
+  );
+
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const invite = await TeamInvite.create({
+    tenantId,
+    email: normalizedEmail,
+    role,
+    employeeId: employeeId || null,
+    tokenHash: hashInviteToken(inviteToken),
+    invitedBy: inviter.userId,
+    expiresAt,
+  });
+
+  const inviteUrl = `${env.APP_BASE_URL}/accept-invite?token=${inviteToken}`;
+
+  try {
+    await sendEmail({
+      to: normalizedEmail,
+      subject: 'You have been invited to join the team',
+      text: `You have been invited to join the team as ${role}. Accept the invite and set your password here: ${inviteUrl}\n`
+        + `The link works until ${expiresAt.toISOString()}.`,
+    });
+  } catch (error) {
+    // Nobody can accept a link that was never delivered, so don't leave it pending
+    await invite.update({ status: INVITE_STATUS.REVOKED });
+    logger.error(`Failed to send team invite to ${normalizedEmail} in tenant ${tenantId}: ${error.message}`);
+    throw new AppError('The invite email could not be sent. Try again later', 502, 'INVITE_EMAIL_FAILED');
+  }
+
+  logger.info(`Team invite sent to ${normalizedEmail} as ${role} in tenant: ${tenantId}`);
+
+  return {
+    invite: invite.toSafeObject(),
+    // Only include inviteToken in development for testing
+    ...(process.env.NODE_ENV !== 'production' && { inviteToken }),
+  };
+};
+
+/**
+ * Revoke a pending invite
+ * @param {string} inviteId - Invite ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Success message
+ * @throws {AppError} - If no pending invite is found
+ */
+const revokeInvite = async (inviteId, tenantId) => {
+  const invite = await TeamInvite.findOne({
+    where: { id: inviteId, tenantId, status: INVITE_STATUS.PENDING },
+  });
+
+  if (!invite) {
+    throw new AppError('Invite not found', 404, 'INVITE_NOT_FOUND');
+  }
+
+  await invite.update({ status: INVITE_STATUS.REVOKED });
+
+  logger.info(`Team invite revoked: ${inviteId} for tenant: ${tenantId}`);
+
+  return { message: 'Invite revoked successfully' };
+};
+
+/**
+ * Accept an invite, creating the invitee's account and logging them in
+ * @param {string} token - Invite token from the emailed link
+ * @param {string} password - Password for the new account
+ * @returns {Promise<Object>} - Created user and tokens
+ * @throws {AppError} - If the invite is invalid or expired, or the email is taken
+ */
+const acceptInvite = async (token, password) => {
+  const invite = await TeamInvite.findOne({
+    where: {
+      tokenHash: hashInviteToken(token),
+      status: INVITE_STATUS.PENDING,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+  });
+
+  if (!invite) {
+    throw new AppError('Invalid or expired invite', 400, 'INVALID_INVITE');
+  }
+
+  const existingUser = await User.findOne({ where: { email: invite.email } });
+  if (existingUser) {
+    throw new AppError('A user with this email already exists', 409, 'USER_EXISTS');
+  }
+
+  // The employee may have been linked to someone else since the invite was sent
+  if (invite.employeeId) {
+    await ensureLinkableEmployee(invite.employeeId, invite.tenantId);
+  }
+
+  const user = await User.create({
+    email: invite.email,
+    password,
+    tenantId: invite.tenantId,
+    role: invite.role,
+    employeeId: invite.employeeId,
+  });
+
+  await invite.update({
+    status: INVITE_STATUS.ACCEPTED,
+    acceptedAt: new Date(),
+  });
+
+  const tokens = generateTokenPair(user);
+
+  logger.info(`Team invite accepted: ${invite.email} joined tenant: ${invite.tenantId} as ${invite.role}`);
+
+  return {
+    user: user.toSafeObject(),
+    tokens,
+  };
+};
+
+/**
+ * Find a team member
+ * @param {string} userId - User ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - User
+ * @throws {AppError} - If not found
+ */
+const findMember = async (userId, tenantId) => {
+  const user = await User.findOne({ where: { id: userId, tenantId } });
+
+  if (!user) {
+    throw new AppError('Team member not found', 404, 'USER_NOT_FOUND');
+  }
+
+  return user;
+};
+
+/**
+ * Make sure a tenant keeps at least one active owner
+ * @param {Object} user - Owner about to be demoted or removed
+ * @throws {AppError} - If the user is the last active owner
+ */
+const ensureAnotherOwner = async (user) => {
+  const owners = await User.count({
+    where: {
+      tenantId: user.tenantId,
+      role: USER_ROLES.OWNER,
+      isActive: true,
+      id: { [Op.ne]: user.id },
+    },
+  });
+
+  if (owners === 0) {
+    throw new AppError('A business must keep at least one owner', 400, 'LAST_OWNER');
+  }
+};
+
+/**
+ * Check that the acting user may change a member
+ * Only owners can change or remove other owners
+ * @param {Object} actor - Acting user
+ * @param {Object} user - Member being changed
+ * @throws {AppError} - If not allowed
+ */
+const ensureCanManageMember = (actor, user) => {
+  if (user.role === USER_ROLES.OWNER && actor.role !== USER_ROLES.OWNER) {
+    throw new AppError('Only owners can change another owner', 403, 'FORBIDDEN');
+  }
+};
+
+/**
+ * Change a team member's role or the employee they are linked to
+ * Changes take effect on the member's next request, since every request reloads their role and employee link
+ * @param {string} userId - User ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} changes - Changes to make
+ * @param {string} changes.role - New role (optional)
+ * @param {string|null} changes.employeeId - Employee to link, or null to unlink (optional)
+ * @param {Object} actor - User making the change
+ * @param {string} actor.userId - User ID
+ * @param {string} actor.role - User role
+ * @returns {Promise<Object>} - Updated user
+ * @throws {AppError} - If not allowed, the last owner would be demoted, or the employee can't be linked
+ */
+const updateMember = async (userId, tenantId, { role, employeeId }, actor) => {
+  if (role !== undefined && !canAssignRole(actor.role, role)) {
+    throw new AppError('You cannot give this role', 403, 'FORBIDDEN');
+  }
+
+  const user = await findMember(userId, tenantId);
+  ensureCanManageMember(actor, user);
+
+  const updates = {};
+
+  if (role !== undefined) {
+    if (user.role === USER_ROLES.OWNER && role !== USER_ROLES.OWNER) {
+      await ensureAnotherOwner(user);
+    }
+    updates.role = role;
+  }
+
+  if (employeeId !== undefined) {
+    if (employeeId) {
+      await ensureLinkableEmployee(employeeId, tenantId, user.id);
+    }
+    updates.employeeId = employeeId;
+  }
+
+  await user.update(updates);
+
+  logger.info(`Team member updated: ${user.email} by user: ${actor.userId}`);
+
+  return user.toSafeObject();
+};
+
+/**
+ * Remove a team member by deactivating their account
+ * They are signed out on their next request and can no longer log in; past records stay attributed to them
+ * @param {string} userId - User ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} actor - User making the change
+ * @param {string} actor.userId - User ID
+ * @param {string} actor.role - User role
+ * @returns {Promise<Object>} - Success message
+ * @throws {AppError} - If removing themselves, not allowed, or the last owner
+ */
+const removeMember = async (userId, tenantId, actor) => {
+  if (userId === actor.userId) {
+    throw new AppError('You cannot remove yourself from the team', 400, 'CANNOT_REMOVE_SELF');
+  }
+
+  const user = await findMember(userId, tenantId);
+  ensureCanManageMember(actor, user);
+
+  if (user.role === USER_ROLES.OWNER) {
+    await ensureAnotherOwner(user);
+  }
+
+  await user.update({ isActive: false });
+
+  logger.info(`Team member removed: ${user.email} by user: ${actor.userId}`);
+
+  return { message: 'Team member removed successfully' };
+};
+
+module.exports = {
+  getTeam,
+  createInvite,
+  revokeInvite,
+  acceptInvite,
+  updateMember,
+  removeMember,
+};
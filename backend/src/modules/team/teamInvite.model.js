@@ -0,0 +1,107 @@
+/**
+ * Team Invite Model
+ * An emailed invitation for someone to join a tenant's team with a given role.
+ * Only a hash of the invite token is stored, like password reset tokens
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { USER_ROLES } = require('../auth/permissions');
+
+/**
+ * Valid invite statuses
+ */
+const INVITE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked',
+};
+
+/**
+ * Days an invite stays valid
+ */
+const INVITE_EXPIRY_DAYS = 7;
+
+const TeamInvite = sequelize.define('TeamInvite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      isEmail: true,
+    },
+  },
+  role: {
+    type: DataTypes.ENUM(...Object.values(USER_ROLES)),
+    allowNull: false,
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'employee_id',
+    comment: 'Employee the invitee will be linked to',
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'token_hash',
+  },
+  invitedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'invited_by',
+    comment: 'User who sent the invite',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'accepted_at',
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(INVITE_STATUS)),
+    defaultValue: INVITE_STATUS.PENDING,
+    allowNull: false,
+  },
+}, {
+  tableName: 'team_invites',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'status'],
+    },
+  ],
+});
+
+/**
+ * Get invite data safe for API response
+ * @returns {Object} - Invite data without the token hash
+ */
+TeamInvite.prototype.toSafeObject = function() {
+  const invite = this.toJSON();
+  delete invite.tokenHash;
+  return invite;
+};
+
+module.exports = {
+  TeamInvite,
+  INVITE_STATUS,
+  INVITE_EXPIRY_DAYS,
+};
@@ -8,11 +8,15 @@ const twilioService = require('./twilio.service');
 const callHandler = require('./call.handler');
 const smsHandler = require('./sms.handler');
 const callLogService = require('./callLog.service');
+const smsOptOutService = require('./smsOptOut.service');
+const smsConversationService = require('./smsConversation.service');
 const {
   CallLog,
   CALL_DIRECTION,
   CALL_STATUS,
 } = require('./callLog.model');
+const { SmsOptOut } = require('./smsOptOut.model');
+const { SmsConversation, SmsMessage, MESSAGE_DIRECTION } = require('./smsConversation.model');
 
 module.exports = {
   telephonyRoutes,
@@ -21,7 +25,13 @@ module.exports = {
   callHandler,
   smsHandler,
   callLogService,
+  smsOptOutService,
+  smsConversationService,
   CallLog,
   CALL_DIRECTION,
   CALL_STATUS,
+  SmsOptOut,
+  SmsConversation,
+  SmsMessage,
+  MESSAGE_DIRECTION,
 };
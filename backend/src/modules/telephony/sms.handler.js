@@ -3,8 +3,35 @@
  * Handles incoming SMS webhooks and SMS notifications
  */
 const twilioService = require('./twilio.service');
+const smsOptOutService = require('./smsOptOut.service');
+const smsConversationService = require('./smsConversation.service');
+const smsAssistant = require('../ai-assistant/sms-assistant.handler');
 const { Tenant } = require('../tenants/tenant.model');
+const appointmentService = require('../appointments/appointment.service');
+const waitlistService = require('../waitlist/waitlist.service');
+const { APPOINTMENT_STATUS, CANCELLATION_REASONS } = require('../appointments/appointment.model');
+const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
+const { resolveTimezone } = require('../../utils/timezone');
+
+/**
+ * Carrier-standard opt-out / opt-in keywords
+ */
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'SUBSCRIBE', 'UNSTOP'];
+
+/**
+ * Inbound replies that confirm or cancel an appointment, optionally
+ * followed by the number of the appointment to act on (e.g. "CANCEL 2").
+ * Plain YES/NO never act on appointments: the SMS assistant asks yes/no questions too
+ */
+const APPOINTMENT_REPLY_REGEX = /^(CONFIRM|CANCEL)(?:\s+#?(\d+))?$/;
+
+/**
+ * Plain replies that answer a waitlist offer while one is open; otherwise they go to the assistant
+ */
+const OFFER_REPLY_KEYWORDS = ['YES', 'Y', 'NO', 'N'];
+const ACCEPT_OFFER_KEYWORDS = ['YES', 'Y'];
 
 /**
  * Handle incoming SMS webhook
@@ -38,6 +65,15 @@ const handleIncomingSms = async (params) => {
     
     logger.info(`SMS received for tenant: ${tenant.id} - MessageSid: ${MessageSid}, Length: ${Body.length} chars`);
     
+    // Store the text in the tenant's inbox
+    await smsConversationService.recordInboundMessage({
+      tenantId: tenant.id,
+      from: From,
+      to: To,
+      body: Body,
+      messageSid: MessageSid,
+    });
+    
     // Process the SMS based on content
     const response = await processIncomingSms({
       tenant,
@@ -49,6 +85,15 @@ const handleIncomingSms = async (params) => {
       originalParams: params,
     });
     
+    await smsConversationService.recordOutboundMessage({
+      tenantId: tenant.id,
+      from: To,
+      to: From,
+      body: response.reply,
+      status: 'sent',
+      type: 'auto_reply',
+    });
+    
     return {
       success: true,
       tenantId: tenant.id,
@@ -67,94 +112,260 @@ const handleIncomingSms = async (params) => {
   }
 };
 
+/**
+ * Build an auto-reply result for an inbound SMS
+ * @param {string} action - Action taken
+ * @param {string} reply - Reply text sent back to the customer
+ * @param {Object} extra - Additional result fields
+ * @returns {Object} - Processing result with reply text and TwiML
+ */
+const buildReply = (action, reply, extra = {}) => ({
+  action,
+  reply,
+  twiml: twilioService.generateSmsResponse(reply),
+  ...extra,
+});
+
 /**
  * Process incoming SMS message
  * @param {Object} params - SMS parameters
  * @returns {Promise<Object>} - Processing result
  */
-const processIncomingSms = async ({ tenant, body }) => {
+const processIncomingSms = async ({ tenant, from, body }) => {
   const normalizedBody = body.trim().toUpperCase();
   
   // Handle common SMS commands
-  if (normalizedBody === 'STOP' || normalizedBody === 'UNSUBSCRIBE') {
-    return {
-      action: 'unsubscribe',
-      twiml: twilioService.generateSmsResponse(
-        'You have been unsubscribed from messages. Reply START to resubscribe.'
-      ),
-    };
+  if (OPT_OUT_KEYWORDS.includes(normalizedBody)) {
+    await smsOptOutService.recordOptOut(tenant.id, from, normalizedBody);
+    
+    return buildReply('unsubscribe', 'You have been unsubscribed from messages. Reply START to resubscribe.');
   }
   
-  if (normalizedBody === 'START' || normalizedBody === 'SUBSCRIBE') {
-    return {
-      action: 'subscribe',
-      twiml: twilioService.generateSmsResponse(
-        `You have been subscribed to messages from ${tenant.name}. Reply STOP to unsubscribe.`
-      ),
-    };
+  if (OPT_IN_KEYWORDS.includes(normalizedBody)) {
+    await smsOptOutService.recordOptIn(tenant.id, from, normalizedBody);
+    
+    return buildReply('subscribe', `You have been subscribed to messages from ${tenant.name}. Reply STOP to unsubscribe.`);
   }
   
   if (normalizedBody === 'HELP') {
-    return {
-      action: 'help',
-      twiml: twilioService.generateSmsResponse(
-        `${tenant.name}: Reply CONFIRM to confirm appointments, CANCEL to cancel, or call us for assistance.`
-      ),
-    };
+    const bookingHelp = tenant.metadata?.smsAssistantEnabled !== false
+      ? ' Text us to check availability or book (e.g. "book a haircut tomorrow").'
+      : '';
+    return buildReply('help', `${tenant.name}: Reply CONFIRM to confirm appointments, CANCEL to cancel, or call us for assistance.${bookingHelp}`);
   }
   
-  if (normalizedBody === 'CONFIRM' || normalizedBody === 'YES' || normalizedBody === 'Y') {
-    return {
-      action: 'confirm_appointment',
-      twiml: twilioService.generateSmsResponse(
-        'Thank you for confirming your appointment. We look forward to seeing you!'
-      ),
-    };
+  if (OFFER_REPLY_KEYWORDS.includes(normalizedBody)) {
+    const offer = await waitlistService.findOpenOffer(tenant.id, from);
+    if (offer) {
+      return handleWaitlistReply({
+        tenant,
+        offer,
+        accept: ACCEPT_OFFER_KEYWORDS.includes(normalizedBody),
+      });
+    }
   }
   
-  if (normalizedBody === 'CANCEL' || normalizedBody === 'NO' || normalizedBody === 'N') {
-    return {
-      action: 'cancel_appointment',
-      twiml: twilioService.generateSmsResponse(
-        'Your appointment has been cancelled. Reply or call us to reschedule.'
-      ),
-    };
+  const appointmentReply = normalizedBody.match(APPOINTMENT_REPLY_REGEX);
+  if (appointmentReply) {
+    const [, keyword, selection] = appointmentReply;
+    
+    return handleAppointmentReply({
+      tenant,
+      from,
+      confirm: keyword === 'CONFIRM',
+      selection: selection ? parseInt(selection, 10) : null,
+    });
+  }
+  
+  // Free-form texts go to the AI assistant unless the tenant turned it off
+  if (tenant.metadata?.smsAssistantEnabled !== false) {
+    try {
+      const assistantReply = await smsAssistant.handleMessage({ tenant, from, body });
+      return buildReply(assistantReply.action, assistantReply.reply, {
+        intent: assistantReply.intent,
+        appointmentId: assistantReply.appointment?.id,
+      });
+    } catch (error) {
+      logger.error(`SMS assistant error for tenant ${tenant.id}: ${error.message}`);
+    }
   }
   
   // Default response for unrecognized messages
-  return {
-    action: 'unknown',
-    twiml: twilioService.generateSmsResponse(
-      `Thank you for your message. We'll get back to you shortly. Reply HELP for options.`
-    ),
-  };
+  return buildReply('unknown', `Thank you for your message. We'll get back to you shortly. Reply HELP for options.`);
+};
+
+/**
+ * Format an appointment start time for SMS replies
+ * @param {Date|string} startTime - Appointment start time
+ * @param {string} timezone - Tenant's IANA timezone
+ * @returns {string} - e.g. "Mon, Dec 2 at 10:00 AM"
+ */
+const formatAppointmentTime = (startTime, timezone) => {
+  const date = new Date(startTime);
+  const dateStr = date.toLocaleDateString('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+  const timeStr = date.toLocaleTimeString('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+  return `${dateStr} at ${timeStr}`;
+};
+
+/**
+ * Apply a CONFIRM/CANCEL reply to the sender's upcoming appointment
+ * When the sender has several upcoming appointments and didn't pick one,
+ * reply with a numbered list so they can answer e.g. "CANCEL 2"
+ * @param {Object} params - Reply parameters
+ * @param {Object} params.tenant - Tenant the SMS was sent to
+ * @param {string} params.from - Sender phone number
+ * @param {boolean} params.confirm - True to confirm, false to cancel
+ * @param {number|null} params.selection - 1-based appointment number chosen by the sender
+ * @returns {Promise<Object>} - Processing result
+ */
+const handleAppointmentReply = async ({ tenant, from, confirm, selection }) => {
+  const action = confirm ? 'confirm_appointment' : 'cancel_appointment';
+  const keyword = confirm ? 'CONFIRM' : 'CANCEL';
+  
+  const appointments = await appointmentService.getUpcomingAppointmentsByPhone(tenant.id, from);
+  const timezone = resolveTimezone(tenant.timezone);
+  
+  if (appointments.length === 0) {
+    return buildReply(
+      action,
+      `We couldn't find an upcoming appointment for this number. Please call ${tenant.name} for assistance.`,
+      { result: 'not_found' }
+    );
+  }
+  
+  const needsSelection = selection === null ? appointments.length > 1 : selection < 1 || selection > appointments.length;
+  
+  if (needsSelection) {
+    const list = appointments
+      .map((appointment, index) => `${index + 1}) ${formatAppointmentTime(appointment.startTime, timezone)}`)
+      .join('\n');
+    
+    return buildReply(
+      action,
+      `You have ${appointments.length} upcoming appointments:\n${list}\nReply ${keyword} followed by the appointment number (e.g. ${keyword} 1).`,
+      { result: 'ambiguous' }
+    );
+  }
+  
+  const appointment = appointments[selection === null ? 0 : selection - 1];
+  const when = formatAppointmentTime(appointment.startTime, timezone);
+  
+  if (confirm) {
+    if (appointment.status !== APPOINTMENT_STATUS.CONFIRMED) {
+      await appointmentService.updateAppointment(appointment.id, tenant.id, {
+        status: APPOINTMENT_STATUS.CONFIRMED,
+      });
+    }
+    
+    logger.info(`Appointment ${appointment.id} confirmed via SMS for tenant: ${tenant.id}`);
+    
+    return buildReply(
+      action,
+      `Thank you for confirming your appointment on ${when}. We look forward to seeing you!`,
+      { result: 'confirmed', appointmentId: appointment.id }
+    );
+  }
+  
+  await appointmentService.cancelAppointment(
+    appointment.id,
+    tenant.id,
+    CANCELLATION_REASONS.CUSTOMER_REQUEST,
+    'Cancelled by customer via SMS reply'
+  );
+  
+  logger.info(`Appointment ${appointment.id} cancelled via SMS for tenant: ${tenant.id}`);
+  
+  return buildReply(
+    action,
+    `Your appointment on ${when} has been cancelled. Reply or call us to reschedule.`,
+    { result: 'cancelled', appointmentId: appointment.id }
+  );
+};
+
+/**
+ * Apply a YES/NO reply to the waitlist offer last texted to the sender
+ * @param {Object} params - Reply parameters
+ * @param {Object} params.tenant - Tenant the SMS was sent to
+ * @param {Object} params.offer - Open offer from waitlistService.findOpenOffer
+ * @param {boolean} params.accept - True to claim the slot, false to pass
+ * @returns {Promise<Object>} - Processing result
+ */
+const handleWaitlistReply = async ({ tenant, offer, accept }) => {
+  const action = accept ? 'claim_waitlist_offer' : 'decline_waitlist_offer';
+  const when = formatAppointmentTime(offer.startTime, resolveTimezone(tenant.timezone));
+  
+  if (!accept) {
+    if (offer.isOpen()) {
+      await waitlistService.declineOffer(offer);
+    }
+    
+    return buildReply(
+      action,
+      `No problem, we'll keep you on the waitlist and let you know if another time opens up.`,
+      { result: 'declined' }
+    );
+  }
+  
+  const { result, appointment } = await waitlistService.claimOffer(offer, tenant.id);
+  
+  if (result === 'taken') {
+    return buildReply(
+      action,
+      `Sorry, the ${when} opening has already been taken. You're still on the waitlist and we'll text you if another time opens up.`,
+      { result: 'taken' }
+    );
+  }
+  
+  logger.info(`Waitlist offer ${offer.id} claimed via SMS for tenant: ${tenant.id}`);
+  
+  return buildReply(
+    action,
+    `You're booked for ${when}. We look forward to seeing you!`,
+    { result: 'booked', appointmentId: appointment.id }
+  );
 };
 
 /**
  * Send SMS notification to a customer
+ * Numbers that replied STOP are refused with an SMS_OPTED_OUT error
  * @param {Object} params - Notification parameters
  * @param {string} params.tenantId - Tenant identifier
  * @param {string} params.to - Recipient phone number
  * @param {string} params.message - Message content
  * @param {string} params.type - Notification type (appointment_reminder, confirmation, etc.)
+ * @param {string} params.sentBy - User ID when sent from the inbox (optional)
  * @returns {Promise<Object>} - Send result
  */
-const sendCustomerNotification = async ({ tenantId, to, message, type }) => {
+const sendCustomerNotification = async ({ tenantId, to, message, type, sentBy = null }) => {
   try {
     const tenant = await Tenant.findOne({
-      where: { tenantId },
+      where: { id: tenantId },
     });
     
     if (!tenant) {
       throw new Error(`Tenant not found: ${tenantId}`);
     }
     
-    const fromNumber = tenant.metadata?.twilioPhoneNumber || tenant.settings?.twilioPhoneNumber;
+    const fromNumber = tenant.twilioPhoneNumber || tenant.metadata?.twilioPhoneNumber || tenant.settings?.twilioPhoneNumber;
     
     if (!fromNumber) {
       throw new Error(`No Twilio phone number configured for tenant: ${tenantId}`);
     }
     
+    if (await smsOptOutService.isOptedOut(tenant.id, to)) {
+      throw new AppError('Recipient has opted out of SMS messages', 409, 'SMS_OPTED_OUT');
+    }
+    
     const result = await twilioService.sendSms({
       to,
       from: fromNumber,
@@ -163,11 +374,24 @@ const sendCustomerNotification = async ({ tenantId, to, message, type }) => {
     
     logger.info(`Customer SMS sent: ${result.sid} type: ${type} tenant: ${tenantId}`);
     
+    const storedMessage = await smsConversationService.recordOutboundMessage({
+      tenantId: tenant.id,
+      from: fromNumber,
+      to,
+      body: message,
+      messageSid: result.sid,
+      status: result.status,
+      type,
+      sentBy,
+    });
+    
     return {
       success: true,
       messageSid: result.sid,
       status: result.status,
       type,
+      conversationId: storedMessage?.conversationId || null,
+      storedMessage,
     };
   } catch (error) {
     logger.error(`Error sending customer notification: ${error.message}`);
@@ -187,14 +411,14 @@ const sendCustomerNotification = async ({ tenantId, to, message, type }) => {
 const sendEmployeeNotification = async ({ tenantId, to, message, type }) => {
   try {
     const tenant = await Tenant.findOne({
-      where: { tenantId },
+      where: { id: tenantId },
     });
     
     if (!tenant) {
       throw new Error(`Tenant not found: ${tenantId}`);
     }
     
-    const fromNumber = tenant.metadata?.twilioPhoneNumber || tenant.settings?.twilioPhoneNumber;
+    const fromNumber = tenant.twilioPhoneNumber || tenant.metadata?.twilioPhoneNumber || tenant.settings?.twilioPhoneNumber;
     
     if (!fromNumber) {
       throw new Error(`No Twilio phone number configured for tenant: ${tenantId}`);
@@ -294,7 +518,7 @@ const findTenantByPhoneNumber = async (phoneNumber) => {
     
     // Find tenant with matching phone number in metadata or settings
     for (const tenant of tenants) {
-      const twilioPhone = tenant.metadata?.twilioPhoneNumber || tenant.settings?.twilioPhoneNumber;
+      const twilioPhone = tenant.twilioPhoneNumber || tenant.metadata?.twilioPhoneNumber || tenant.settings?.twilioPhoneNumber;
       
       if (twilioPhone && normalizePhoneNumber(twilioPhone) === normalizedNumber) {
         return tenant;
@@ -0,0 +1,189 @@
+/**
+ * SMS Conversation Models
+ * Defines the SmsConversation (one thread per customer phone number) and
+ * SmsMessage (individual inbound/outbound texts) schemas
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+/**
+ * Valid message directions
+ */
+const MESSAGE_DIRECTION = {
+  INBOUND: 'inbound',
+  OUTBOUND: 'outbound',
+};
+
+const SmsConversation = sequelize.define('SmsConversation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  customerPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'customer_phone',
+    comment: 'Normalized phone number (E.164)',
+  },
+  customerName: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+    field: 'customer_name',
+  },
+  lastMessageAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_message_at',
+  },
+  lastMessagePreview: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'last_message_preview',
+  },
+  lastMessageDirection: {
+    type: DataTypes.ENUM(...Object.values(MESSAGE_DIRECTION)),
+    allowNull: true,
+    field: 'last_message_direction',
+  },
+  unreadCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'unread_count',
+  },
+  assistantSession: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'assistant_session',
+    comment: 'SMS assistant conversation state',
+  },
+  assistantSessionExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'assistant_session_expires_at',
+  },
+}, {
+  tableName: 'sms_conversations',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['tenant_id', 'customer_phone'],
+    },
+    {
+      fields: ['tenant_id', 'last_message_at'],
+    },
+  ],
+});
+
+const SmsMessage = sequelize.define('SmsMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'conversation_id',
+    references: {
+      model: 'sms_conversations',
+      key: 'id',
+    },
+  },
+  direction: {
+    type: DataTypes.ENUM(...Object.values(MESSAGE_DIRECTION)),
+    allowNull: false,
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  fromNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'from_number',
+  },
+  toNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'to_number',
+  },
+  twilioMessageSid: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'twilio_message_sid',
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Twilio message status (received, queued, sent, ...)',
+  },
+  messageType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'message_type',
+    comment: 'e.g. custom, appointment_reminder, auto_reply, inbox_reply',
+  },
+  sentBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'sent_by',
+    comment: 'User who sent the message from the inbox',
+  },
+}, {
+  tableName: 'sms_messages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'conversation_id', 'createdAt'],
+    },
+    {
+      fields: ['twilio_message_sid'],
+    },
+  ],
+});
+
+/**
+ * Get conversation data safe for API response
+ * @returns {Object} - Conversation data
+ */
+SmsConversation.prototype.toSafeObject = function() {
+  const conversationJson = this.toJSON();
+  delete conversationJson.assistantSession;
+  delete conversationJson.assistantSessionExpiresAt;
+  return conversationJson;
+};
+
+/**
+ * Get message data safe for API response
+ * @returns {Object} - Message data
+ */
+SmsMessage.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  SmsConversation,
+  SmsMessage,
+  MESSAGE_DIRECTION,
+};
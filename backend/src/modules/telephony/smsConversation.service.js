@@ -0,0 +1,371 @@
+/**
+ * SMS Conversation Service
+ * Stores inbound and outbound texts as threaded conversations per customer phone number
+ */
+const { Op } = require('sequelize');
+const { SmsConversation, SmsMessage, MESSAGE_DIRECTION } = require('./smsConversation.model');
+const { Customer } = require('../customers/customer.model');
+const { AppError } = require('../../middleware/errorHandler');
+const { normalizePhoneNumber } = require('../../utils/phone');
+const logger = require('../../utils/logger');
+
+const PREVIEW_LENGTH = 255;
+
+/**
+ * Most conversations or messages returned by one inbox request
+ */
+const MAX_CONVERSATIONS_PER_PAGE = 100;
+const MAX_MESSAGES_PER_PAGE = 200;
+
+/**
+ * Clamp a requested page size
+ * @param {number} limit - Requested page size
+ * @param {number} defaultLimit - Page size when none is requested
+ * @param {number} maxLimit - Largest allowed page size
+ * @returns {number} - Page size between 1 and maxLimit
+ */
+const clampLimit = (limit, defaultLimit, maxLimit) => {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) {
+    return defaultLimit;
+  }
+  return Math.min(parsed, maxLimit);
+};
+
+/**
+ * Get the name of the customer with a phone number
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} normalizedPhone - Phone number in E.164 format
+ * @returns {Promise<string|null>} - Customer name, or null if there is no named customer
+ */
+const findCustomerName = async (tenantId, normalizedPhone) => {
+  const customer = await Customer.findOne({
+    where: { tenantId, normalizedPhone },
+    attributes: ['name'],
+  });
+
+  return customer?.name || null;
+};
+
+/**
+ * Find or create the conversation for a customer phone number
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} customerPhone - Customer phone number in any format
+ * @returns {Promise<Object>} - Conversation instance
+ */
+const findOrCreateConversation = async (tenantId, customerPhone) => {
+  const normalizedPhone = normalizePhoneNumber(customerPhone);
+  const where = { tenantId, customerPhone: normalizedPhone };
+
+  const conversation = await SmsConversation.findOne({ where });
+
+  if (conversation) {
+    return conversation;
+  }
+
+  try {
+    return await SmsConversation.create({
+      tenantId,
+      customerPhone: normalizedPhone,
+      customerName: await findCustomerName(tenantId, normalizedPhone),
+    });
+  } catch (error) {
+    // Another message from the same number created the conversation first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return SmsConversation.findOne({ where });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Store a message and update its conversation summary
+ * Recording is best-effort: failures are logged so SMS delivery is never blocked
+ * @param {Object} params - Message parameters
+ * @param {string} params.tenantId - Tenant UUID
+ * @param {string} params.direction - inbound or outbound
+ * @param {string} params.customerPhone - Customer phone number
+ * @param {string} params.body - Message text
+ * @param {string} params.fromNumber - Sender number
+ * @param {string} params.toNumber - Recipient number
+ * @param {string} params.twilioMessageSid - Twilio message SID
+ * @param {string} params.status - Twilio message status
+ * @param {string} params.messageType - Message type
+ * @param {string} params.sentBy - User ID for inbox replies
+ * @returns {Promise<Object|null>} - Stored message or null if recording failed
+ */
+const recordMessage = async ({
+  tenantId,
+  direction,
+  customerPhone,
+  body,
+  fromNumber = null,
+  toNumber = null,
+  twilioMessageSid = null,
+  status = null,
+  messageType = null,
+  sentBy = null,
+}) => {
+  try {
+    if (!normalizePhoneNumber(customerPhone)) {
+      return null;
+    }
+
+    const conversation = await findOrCreateConversation(tenantId, customerPhone);
+
+    const message = await SmsMessage.create({
+      tenantId,
+      conversationId: conversation.id,
+      direction,
+      body,
+      fromNumber,
+      toNumber,
+      twilioMessageSid,
+      status,
+      messageType,
+      sentBy,
+    });
+
+    const updates = {
+      lastMessageAt: message.createdAt || new Date(),
+      lastMessagePreview: body.slice(0, PREVIEW_LENGTH),
+      lastMessageDirection: direction,
+    };
+
+    // Conversations started before the customer was on file pick up their name later
+    if (!conversation.customerName) {
+      const customerName = await findCustomerName(tenantId, conversation.customerPhone);
+      if (customerName) {
+        updates.customerName = customerName;
+      }
+    }
+
+    await conversation.update(updates);
+
+    // Counted in the database, so texts that arrive together each add one
+    if (direction === MESSAGE_DIRECTION.INBOUND) {
+      await conversation.increment('unreadCount');
+    }
+
+    return message.toSafeObject();
+  } catch (error) {
+    logger.error(`Failed to record ${direction} SMS for tenant ${tenantId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Store an inbound customer text
+ * @param {Object} params - Message parameters
+ * @returns {Promise<Object|null>} - Stored message
+ */
+const recordInboundMessage = async ({ tenantId, from, to, body, messageSid }) => {
+  return recordMessage({
+    tenantId,
+    direction: MESSAGE_DIRECTION.INBOUND,
+    customerPhone: from,
+    body,
+    fromNumber: from,
+    toNumber: to,
+    twilioMessageSid: messageSid,
+    status: 'received',
+  });
+};
+
+/**
+ * Store an outbound text sent to a customer
+ * @param {Object} params - Message parameters
+ * @returns {Promise<Object|null>} - Stored message
+ */
+const recordOutboundMessage = async ({ tenantId, from, to, body, messageSid, status, type, sentBy }) => {
+  return recordMessage({
+    tenantId,
+    direction: MESSAGE_DIRECTION.OUTBOUND,
+    customerPhone: to,
+    body,
+    fromNumber: from,
+    toNumber: to,
+    twilioMessageSid: messageSid,
+    status,
+    messageType: type,
+    sentBy,
+  });
+};
+
+/**
+ * List conversations for a tenant, most recent first
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of conversations (default: 50, max: 100)
+ * @param {number} options.offset - Number of conversations to skip (default: 0)
+ * @param {boolean} options.unreadOnly - Only return conversations with unread messages
+ * @param {string} options.search - Filter by phone number or customer name
+ * @returns {Promise<Object>} - Conversations with pagination info
+ */
+const getConversations = async (tenantId, options = {}) => {
+  const { offset = 0, unreadOnly = false, search } = options;
+  const limit = clampLimit(options.limit, 50, MAX_CONVERSATIONS_PER_PAGE);
+
+  const where = { tenantId };
+
+  if (unreadOnly) {
+    where.unreadCount = { [Op.gt]: 0 };
+  }
+
+  if (search) {
+    const digits = search.replace(/\D/g, '');
+    where[Op.or] = [
+      { customerName: { [Op.like]: `%${search}%` } },
+    ];
+    if (digits) {
+      where[Op.or].push({ customerPhone: { [Op.like]: `%${digits}%` } });
+    }
+  }
+
+  const conversations = await SmsConversation.findAndCountAll({
+    where,
+    limit,
+    offset,
+    order: [['lastMessageAt', 'DESC']],
+  });
+
+  return {
+    conversations: conversations.rows.map(conversation => conversation.toSafeObject()),
+    total: conversations.count,
+    limit,
+    offset,
+  };
+};
+
+/**
+ * Get a conversation by ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object>} - Conversation instance
+ * @throws {AppError} - If conversation not found
+ */
+const getConversationById = async (conversationId, tenantId) => {
+  const conversation = await SmsConversation.findOne({
+    where: { id: conversationId, tenantId },
+  });
+
+  if (!conversation) {
+    throw new AppError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+  }
+
+  return conversation;
+};
+
+/**
+ * Get a conversation with its messages
+ * @param {string} conversationId - Conversation ID
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of messages (default: 100, max: 200, most recent)
+ * @returns {Promise<Object>} - Conversation and messages (oldest first)
+ */
+const getConversationMessages = async (conversationId, tenantId, options = {}) => {
+  const limit = clampLimit(options.limit, 100, MAX_MESSAGES_PER_PAGE);
+
+  const conversation = await getConversationById(conversationId, tenantId);
+
+  const messages = await SmsMessage.findAll({
+    where: { conversationId: conversation.id, tenantId },
+    order: [['createdAt', 'DESC']],
+    limit,
+  });
+
+  return {
+    conversation: conversation.toSafeObject(),
+    messages: messages.reverse().map(message => message.toSafeObject()),
+  };
+};
+
+/**
+ * Mark a conversation as read
+ * @param {string} conversationId - Conversation ID
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object>} - Updated conversation
+ */
+const markConversationRead = async (conversationId, tenantId) => {
+  const conversation = await getConversationById(conversationId, tenantId);
+
+  if (conversation.unreadCount > 0) {
+    await conversation.update({ unreadCount: 0 });
+  }
+
+  return conversation.toSafeObject();
+};
+
+/**
+ * Get the SMS assistant session stored on a customer's conversation
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} customerPhone - Customer phone number in any format
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object|null>} - Session state, or null if there is none or it has expired
+ */
+const getAssistantSession = async (tenantId, customerPhone, now = new Date()) => {
+  const conversation = await SmsConversation.findOne({
+    where: { tenantId, customerPhone: normalizePhoneNumber(customerPhone) },
+    attributes: ['id', 'assistantSession', 'assistantSessionExpiresAt'],
+  });
+
+  if (!conversation?.assistantSession || !conversation.assistantSessionExpiresAt
+    || new Date(conversation.assistantSessionExpiresAt) <= now) {
+    return null;
+  }
+
+  // Older rows may hold JSON columns as strings, see scripts/fix-json-string-columns
+  if (typeof conversation.assistantSession === 'string') {
+    try {
+      return JSON.parse(conversation.assistantSession);
+    } catch {
+      return null;
+    }
+  }
+
+  return conversation.assistantSession;
+};
+
+/**
+ * Store the SMS assistant session on a customer's conversation
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} customerPhone - Customer phone number in any format
+ * @param {Object} session - Session state
+ * @param {Date} expiresAt - When the session expires
+ * @returns {Promise<void>}
+ */
+const saveAssistantSession = async (tenantId, customerPhone, session, expiresAt) => {
+  const conversation = await findOrCreateConversation(tenantId, customerPhone);
+
+  await conversation.update({
+    assistantSession: session,
+    assistantSessionExpiresAt: expiresAt,
+  });
+};
+
+/**
+ * Remove the SMS assistant session from a customer's conversation
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} customerPhone - Customer phone number in any format
+ * @returns {Promise<void>}
+ */
+const clearAssistantSession = async (tenantId, customerPhone) => {
+  await SmsConversation.update(
+    { assistantSession: null, assistantSessionExpiresAt: null },
+    { where: { tenantId, customerPhone: normalizePhoneNumber(customerPhone) } }
+  );
+};
+
+module.exports = {
+  recordInboundMessage,
+  recordOutboundMessage,
+  getConversations,
+  getConversationById,
+  getConversationMessages,
+  markConversationRead,
+  getAssistantSession,
+  saveAssistantSession,
+  clearAssistantSession,
+  MESSAGE_DIRECTION,
+};
@@ -0,0 +1,71 @@
+/**
+ * SMS Opt-Out Model
+ * Per-tenant ledger of phone numbers that have opted out of SMS messages
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const SmsOptOut = sequelize.define('SmsOptOut', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  phoneNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'phone_number',
+    comment: 'Normalized phone number (E.164)',
+  },
+  optedOut: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'opted_out',
+  },
+  keyword: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Last keyword received from the customer',
+  },
+  optedOutAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'opted_out_at',
+  },
+  optedInAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'opted_in_at',
+  },
+}, {
+  tableName: 'sms_opt_outs',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['tenant_id', 'phone_number'],
+    },
+  ],
+});
+
+/**
+ * Get opt-out data safe for API response
+ * @returns {Object} - Opt-out data
+ */
+SmsOptOut.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  SmsOptOut,
+};
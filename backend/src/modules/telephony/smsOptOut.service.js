@@ -0,0 +1,87 @@
+/**
+ * SMS Opt-Out Service
+ * Records STOP/START keywords and answers whether a number may be texted
+ */
+const { SmsOptOut } = require('./smsOptOut.model');
+const { normalizePhoneNumber } = require('../../utils/phone');
+const logger = require('../../utils/logger');
+
+/**
+ * Check whether a phone number has opted out of SMS for a tenant
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {Promise<boolean>} - True if the number is currently opted out
+ */
+const isOptedOut = async (tenantId, phoneNumber) => {
+  const normalizedNumber = normalizePhoneNumber(phoneNumber);
+
+  if (!normalizedNumber) {
+    return false;
+  }
+
+  const entry = await SmsOptOut.findOne({
+    where: { tenantId, phoneNumber: normalizedNumber },
+  });
+
+  return !!(entry && entry.optedOut);
+};
+
+/**
+ * Update the opt-out ledger entry for a phone number
+ * A single upsert on the unique (tenant_id, phone_number) index, so a STOP and a START
+ * arriving together can't create two entries
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {boolean} optedOut - New opt-out state
+ * @param {string} keyword - Keyword that triggered the change
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const setOptOutState = async (tenantId, phoneNumber, optedOut, keyword) => {
+  const normalizedNumber = normalizePhoneNumber(phoneNumber);
+  const now = new Date();
+  const changes = optedOut
+    ? { optedOut: true, keyword, optedOutAt: now }
+    : { optedOut: false, keyword, optedInAt: now };
+
+  // Only the changed columns are overwritten on an existing entry, so the other timestamp is kept
+  await SmsOptOut.upsert(
+    { tenantId, phoneNumber: normalizedNumber, ...changes },
+    { fields: Object.keys(changes) }
+  );
+
+  const entry = await SmsOptOut.findOne({
+    where: { tenantId, phoneNumber: normalizedNumber },
+  });
+
+  logger.info(`SMS ${optedOut ? 'opt-out' : 'opt-in'} recorded for tenant: ${tenantId} (${keyword})`);
+
+  return entry.toSafeObject();
+};
+
+/**
+ * Record that a phone number opted out (STOP)
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} keyword - Keyword received
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const recordOptOut = async (tenantId, phoneNumber, keyword = 'STOP') => {
+  return setOptOutState(tenantId, phoneNumber, true, keyword);
+};
+
+/**
+ * Record that a phone number opted back in (START)
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} phoneNumber - Phone number in any format
+ * @param {string} keyword - Keyword received
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const recordOptIn = async (tenantId, phoneNumber, keyword = 'START') => {
+  return setOptOutState(tenantId, phoneNumber, false, keyword);
+};
+
+module.exports = {
+  isOptedOut,
+  recordOptOut,
+  recordOptIn,
+};
@@ -6,6 +6,7 @@ const twilioService = require('./twilio.service');
 const callHandler = require('./call.handler');
 const smsHandler = require('./sms.handler');
 const callLogService = require('./callLog.service');
+const smsConversationService = require('./smsConversation.service');
 const { Tenant } = require('../tenants/tenant.model');
 const { getTenantUUID } = require('../../utils/tenant');
 const logger = require('../../utils/logger');
@@ -433,6 +434,115 @@ const syncElevenLabs = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/telephony/conversations
+ * List SMS conversation threads for the inbox
+ */
+const getConversations = async (req, res, next) => {
+  try {
+    const { limit, offset, unread, search } = req.query;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    
+    const result = await smsConversationService.getConversations(tenantUUID, {
+      limit: limit ? parseInt(limit, 10) : undefined,
+      offset: offset ? parseInt(offset, 10) : undefined,
+      unreadOnly: unread === 'true',
+      search,
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/telephony/conversations/:id
+ * Get an SMS conversation with its messages
+ */
+const getConversation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    
+    const result = await smsConversationService.getConversationMessages(id, tenantUUID, {
+      limit: limit ? parseInt(limit, 10) : undefined,
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/telephony/conversations/:id/read
+ * Mark an SMS conversation as read
+ */
+const markConversationRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    
+    const conversation = await smsConversationService.markConversationRead(id, tenantUUID);
+    
+    res.status(200).json({
+      success: true,
+      data: { conversation },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/telephony/conversations/:id/reply
+ * Reply to an SMS conversation from the tenant's phone number
+ */
+const replyToConversation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+    
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+    
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const conversation = await smsConversationService.getConversationById(id, tenantUUID);
+    
+    const result = await smsHandler.sendCustomerNotification({
+      tenantId: tenantUUID,
+      to: conversation.customerPhone,
+      message: message.trim(),
+      type: 'inbox_reply',
+      sentBy: req.user?.userId || null,
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        messageSid: result.messageSid,
+        status: result.status,
+        message: result.storedMessage,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   handleVoiceWebhook,
   handleSmsWebhook,
@@ -447,4 +557,8 @@ module.exports = {
   syncElevenLabs,
   makeCall,
   testSms,
+  getConversations,
+  getConversation,
+  markConversationRead,
+  replyToConversation,
 };
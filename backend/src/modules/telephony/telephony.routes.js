@@ -5,7 +5,8 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const telephonyController = require('./telephony.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, requirePermission, denyEmployeeScope } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
 
 const router = express.Router();
 
@@ -43,34 +44,49 @@ const smsLimiter = rateLimit({
 
 /**
  * Protected routes - require authentication
+ * Phone number and voice agent setup is limited to users who can manage telephony.
+ * Staff limited to their own calendar can't text or call customers or read call logs and the SMS inbox
  */
+const canManageTelephony = requirePermission(PERMISSIONS.MANAGE_TELEPHONY);
 
 // POST /api/telephony/provision-number - Provision a new phone number
-router.post('/provision-number', standardLimiter, authMiddleware, telephonyController.provisionNumber);
+router.post('/provision-number', standardLimiter, authMiddleware, canManageTelephony, telephonyController.provisionNumber);
 
 // DELETE /api/telephony/release-number/:sid - Release a phone number
-router.delete('/release-number/:sid', standardLimiter, authMiddleware, telephonyController.releaseNumber);
+router.delete('/release-number/:sid', standardLimiter, authMiddleware, canManageTelephony, telephonyController.releaseNumber);
 
 // POST /api/telephony/send-sms - Send SMS to customer
-router.post('/send-sms', smsLimiter, authMiddleware, telephonyController.sendSms);
+router.post('/send-sms', smsLimiter, authMiddleware, denyEmployeeScope, telephonyController.sendSms);
 
 // POST /api/telephony/send-employee-sms - Send SMS to employee
-router.post('/send-employee-sms', smsLimiter, authMiddleware, telephonyController.sendEmployeeSms);
+router.post('/send-employee-sms', smsLimiter, authMiddleware, denyEmployeeScope, telephonyController.sendEmployeeSms);
 
 // POST /api/telephony/send-appointment-reminder - Send appointment reminder
-router.post('/send-appointment-reminder', smsLimiter, authMiddleware, telephonyController.sendAppointmentReminder);
+router.post('/send-appointment-reminder', smsLimiter, authMiddleware, denyEmployeeScope, telephonyController.sendAppointmentReminder);
 
 // GET /api/telephony/call-logs - Get call logs
-router.get('/call-logs', standardLimiter, authMiddleware, telephonyController.getCallLogs);
+router.get('/call-logs', standardLimiter, authMiddleware, denyEmployeeScope, telephonyController.getCallLogs);
 
 // GET /api/telephony/call-logs/:id - Get detailed call log with transcript
-router.get('/call-logs/:id', standardLimiter, authMiddleware, telephonyController.getCallLogDetails);
+router.get('/call-logs/:id', standardLimiter, authMiddleware, denyEmployeeScope, telephonyController.getCallLogDetails);
 
 // POST /api/telephony/sync-elevenlabs - Sync call logs with ElevenLabs
-router.post('/sync-elevenlabs', standardLimiter, authMiddleware, telephonyController.syncElevenLabs);
+router.post('/sync-elevenlabs', standardLimiter, authMiddleware, canManageTelephony, telephonyController.syncElevenLabs);
+
+// GET /api/telephony/conversations - List SMS conversation threads
+router.get('/conversations', standardLimiter, authMiddleware, denyEmployeeScope, telephonyController.getConversations);
+
+// GET /api/telephony/conversations/:id - Get SMS conversation messages
+router.get('/conversations/:id', standardLimiter, authMiddleware, denyEmployeeScope, telephonyController.getConversation);
+
+// POST /api/telephony/conversations/:id/read - Mark an SMS conversation as read
+router.post('/conversations/:id/read', standardLimiter, authMiddleware, denyEmployeeScope, telephonyController.markConversationRead);
+
+// POST /api/telephony/conversations/:id/reply - Reply to an SMS conversation
+router.post('/conversations/:id/reply', smsLimiter, authMiddleware, denyEmployeeScope, telephonyController.replyToConversation);
 
 // POST /api/telephony/make-call - Make outbound call
-router.post('/make-call', standardLimiter, authMiddleware, telephonyController.makeCall);
+router.post('/make-call', standardLimiter, authMiddleware, denyEmployeeScope, telephonyController.makeCall);
 
 // POST /api/telephony/test-sms - Test SMS functionality 
 // WARNING: No authentication required - for development/testing only
@@ -5,13 +5,17 @@
 const tenantRoutes = require('./tenant.routes');
 const tenantService = require('./tenant.service');
 const tenantController = require('./tenant.controller');
+const tenantClosureService = require('./tenantClosure.service');
 const { Tenant, TENANT_STATUS, PLAN_TYPES, VALID_TRANSITIONS } = require('./tenant.model');
+const { TenantClosure } = require('./tenantClosure.model');
 
 module.exports = {
   tenantRoutes,
   tenantService,
   tenantController,
+  tenantClosureService,
   Tenant,
+  TenantClosure,
   TENANT_STATUS,
   PLAN_TYPES,
   VALID_TRANSITIONS,
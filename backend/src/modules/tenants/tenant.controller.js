@@ -3,7 +3,9 @@
  * Handles HTTP requests for tenant endpoints
  */
 const tenantService = require('./tenant.service');
+const tenantClosureService = require('./tenantClosure.service');
 const { getTenantUUID } = require('../../utils/tenant');
+const { getScopedEmployeeId } = require('../auth/auth.middleware');
 const { Tenant } = require('./tenant.model');
 const logger = require('../../utils/logger');
 
@@ -138,13 +140,108 @@ const updateBusinessHours = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/tenant/closures
+ * Get holidays and closures for the tenant
+ */
+const getClosures = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await tenantClosureService.getClosures(tenantUUID, { from, to });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/tenant/closures
+ * Add a holiday or closure
+ */
+const createClosure = async (req, res, next) => {
+  try {
+    const { name, startDate, endDate, recurring, openTime, closeTime } = req.body;
+
+    if (!name || !startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and start date are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const closure = await tenantClosureService.createClosure(tenantUUID, {
+      name,
+      startDate,
+      endDate,
+      recurring,
+      openTime,
+      closeTime,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { closure },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/tenant/closures/:closureId
+ * Update a holiday or closure
+ */
+const updateClosure = async (req, res, next) => {
+  try {
+    const { name, startDate, endDate, recurring, openTime, closeTime } = req.body;
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const closure = await tenantClosureService.updateClosure(
+      req.params.closureId,
+      tenantUUID,
+      { name, startDate, endDate, recurring, openTime, closeTime }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { closure },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/tenant/closures/:closureId
+ * Delete a holiday or closure
+ */
+const deleteClosure = async (req, res, next) => {
+  try {
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await tenantClosureService.deleteClosure(req.params.closureId, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * POST /api/tenant
  * Create a new tenant (for signup flow)
  */
 const createTenant = async (req, res, next) => {
   try {
-    const { name, slug, contactEmail, contactPhone, planType } = req.body;
+    const { name, slug, contactEmail, contactPhone, planType, timezone } = req.body;
 
     // Validate required fields
     if (!name || !slug || !contactEmail) {
@@ -179,6 +276,7 @@ const createTenant = async (req, res, next) => {
       contactEmail,
       contactPhone,
       planType,
+      timezone,
     });
 
     res.status(201).json({
@@ -214,7 +312,7 @@ const getTenant = async (req, res, next) => {
  */
 const updateTenant = async (req, res, next) => {
   try {
-    const { name, contactEmail, contactPhone, address, metadata, twilioPhoneNumber } = req.body;
+    const { name, contactEmail, contactPhone, address, metadata, twilioPhoneNumber, timezone } = req.body;
 
     // Validate email format if provided
     if (contactEmail) {
@@ -246,6 +344,7 @@ const updateTenant = async (req, res, next) => {
       address,
       metadata,
       twilioPhoneNumber,
+      timezone,
     });
 
     res.status(200).json({
@@ -310,7 +409,10 @@ const updateTenantStatus = async (req, res, next) => {
 const getDashboardStats = async (req, res, next) => {
   try {
     const tenantUUID = await getTenantUUID(req.tenantId);
-    const stats = await tenantService.getDashboardStats(tenantUUID);
+    // Staff limited to their own calendar only see their own appointments
+    const stats = await tenantService.getDashboardStats(tenantUUID, {
+      employeeId: getScopedEmployeeId(req.user),
+    });
 
     res.status(200).json({
       success: true,
@@ -369,6 +471,10 @@ module.exports = {
   updateTenantSettings,
   getBusinessHours,
   updateBusinessHours,
+  getClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure,
   sanitizeSettings,
   createTenant,
   getTenant,
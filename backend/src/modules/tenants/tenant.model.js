@@ -74,6 +74,21 @@ const Tenant = sequelize.define('Tenant', {
     defaultValue: {},
     field: 'business_hours',
   },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'UTC',
+    comment: 'IANA timezone for schedules, business hours and reminders',
+    validate: {
+      isIanaTimezone(value) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch {
+          throw new Error('Timezone must be a valid IANA timezone');
+        }
+      },
+    },
+  },
   contactEmail: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -5,7 +5,8 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const tenantController = require('./tenant.controller');
-const { authMiddleware } = require('../auth/auth.middleware');
+const { authMiddleware, requirePermission } = require('../auth/auth.middleware');
+const { PERMISSIONS } = require('../auth/permissions');
 
 const router = express.Router();
 
@@ -37,34 +38,50 @@ router.post('/', standardLimiter, tenantController.createTenant);
 
 /**
  * Protected routes - require authentication
+ * Changing the business profile, settings, hours and closures requires permission
+ * to manage settings; activating the account or changing its status is for owners
  */
+const canManageSettings = requirePermission(PERMISSIONS.MANAGE_SETTINGS);
+const canManageAccount = requirePermission(PERMISSIONS.MANAGE_ACCOUNT);
 
 // GET /api/tenant - Get current tenant information
 router.get('/', standardLimiter, authMiddleware, tenantController.getTenant);
 
 // PATCH /api/tenant - Update tenant information
-router.patch('/', standardLimiter, authMiddleware, tenantController.updateTenant);
+router.patch('/', standardLimiter, authMiddleware, canManageSettings, tenantController.updateTenant);
 
 // GET /api/tenant/settings - Get tenant settings
 router.get('/settings', standardLimiter, authMiddleware, tenantController.getTenantSettings);
 
 // PATCH /api/tenant/settings - Update tenant settings
-router.patch('/settings', standardLimiter, authMiddleware, tenantController.updateTenantSettings);
+router.patch('/settings', standardLimiter, authMiddleware, canManageSettings, tenantController.updateTenantSettings);
 
 // GET /api/tenant/business-hours - Get business hours
 router.get('/business-hours', standardLimiter, authMiddleware, tenantController.getBusinessHours);
 
 // PUT /api/tenant/business-hours - Update business hours
-router.put('/business-hours', standardLimiter, authMiddleware, tenantController.updateBusinessHours);
+router.put('/business-hours', standardLimiter, authMiddleware, canManageSettings, tenantController.updateBusinessHours);
+
+// GET /api/tenant/closures - List holidays and closures
+router.get('/closures', standardLimiter, authMiddleware, tenantController.getClosures);
+
+// POST /api/tenant/closures - Add a holiday or closure
+router.post('/closures', standardLimiter, authMiddleware, canManageSettings, tenantController.createClosure);
+
+// PATCH /api/tenant/closures/:closureId - Update a holiday or closure
+router.patch('/closures/:closureId', standardLimiter, authMiddleware, canManageSettings, tenantController.updateClosure);
+
+// DELETE /api/tenant/closures/:closureId - Delete a holiday or closure
+router.delete('/closures/:closureId', standardLimiter, authMiddleware, canManageSettings, tenantController.deleteClosure);
 
 // POST /api/tenant/sanitize-settings - Sanitize and repair tenant settings
-router.post('/sanitize-settings', standardLimiter, authMiddleware, tenantController.sanitizeSettings);
+router.post('/sanitize-settings', standardLimiter, authMiddleware, canManageSettings, tenantController.sanitizeSettings);
 
 // POST /api/tenant/activate - Activate tenant
-router.post('/activate', standardLimiter, authMiddleware, tenantController.activateTenant);
+router.post('/activate', standardLimiter, authMiddleware, canManageAccount, tenantController.activateTenant);
 
 // PATCH /api/tenant/status - Update tenant status
-router.patch('/status', standardLimiter, authMiddleware, tenantController.updateTenantStatus);
+router.patch('/status', standardLimiter, authMiddleware, canManageAccount, tenantController.updateTenantStatus);
 
 // GET /api/tenant/dashboard-stats - Get dashboard statistics
 router.get('/dashboard-stats', standardLimiter, authMiddleware, tenantController.getDashboardStats);
@@ -6,6 +6,7 @@ const { Tenant, TENANT_STATUS, PLAN_TYPES } = require('./tenant.model');
 const { User } = require('../../models');
 const { AppError } = require('../../middleware/errorHandler');
 const logger = require('../../utils/logger');
+const { isValidTimezone, resolveTimezone, getDateKey, addDaysToDateKey, startOfDayInTimezone, DEFAULT_TIMEZONE } = require('../../utils/timezone');
 const { Appointment, APPOINTMENT_STATUS } = require('../appointments/appointment.model');
 const { Employee, EMPLOYEE_STATUS } = require('../employees/employee.model');
 const { Service, SERVICE_STATUS } = require('../services/service.model');
@@ -22,10 +23,15 @@ const { Op } = require('sequelize');
  * @param {string} tenantData.planType - Plan type (optional)
  * @param {string} tenantData.businessTypeId - Business type ID (optional)
  * @param {Object} tenantData.address - Business address (optional)
+ * @param {string} tenantData.timezone - IANA timezone (optional, defaults to UTC)
  * @returns {Promise<Object>} - Created tenant
  */
 const createTenant = async (tenantData) => {
-  const { name, slug, contactEmail, contactPhone, planType, businessTypeId, address } = tenantData;
+  const { name, slug, contactEmail, contactPhone, planType, businessTypeId, address, timezone } = tenantData;
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new AppError('Timezone must be a valid IANA timezone, e.g. America/New_York', 400, 'INVALID_TIMEZONE');
+  }
 
   // Check if tenant with same slug exists
   const existingTenant = await Tenant.findOne({ where: { slug } });
@@ -49,6 +55,7 @@ const createTenant = async (tenantData) => {
     status: TENANT_STATUS.ACTIVE, // Set to active immediately since trial is active
     businessTypeId: businessTypeId || null,
     address: address || null,
+    timezone: timezone || DEFAULT_TIMEZONE,
     trialEndsAt,
   });
 
@@ -356,7 +363,11 @@ const updateTenant = async (id, updateData) => {
   }
 
   // Filter out fields that shouldn't be directly updated
-  const allowedFields = ['name', 'contactEmail', 'contactPhone', 'address', 'metadata', 'twilioPhoneNumber', 'twilioPhoneNumberSid', 'elevenlabsPhoneNumberId'];
+  if (updateData.timezone !== undefined && !isValidTimezone(updateData.timezone)) {
+    throw new AppError('Timezone must be a valid IANA timezone, e.g. America/New_York', 400, 'INVALID_TIMEZONE');
+  }
+
+  const allowedFields = ['name', 'contactEmail', 'contactPhone', 'address', 'metadata', 'twilioPhoneNumber', 'twilioPhoneNumberSid', 'elevenlabsPhoneNumberId', 'timezone'];
   const filteredData = {};
   
   for (const key of allowedFields) {
@@ -375,25 +386,31 @@ const updateTenant = async (id, updateData) => {
 /**
  * Get dashboard statistics for tenant
  * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - Options
+ * @param {string} options.employeeId - Only count this employee's appointments, and leave out calls
  * @returns {Promise<Object>} - Dashboard statistics
  */
-const getDashboardStats = async (tenantId) => {
+const getDashboardStats = async (tenantId, options = {}) => {
+  const { employeeId } = options;
+  const appointmentScope = employeeId ? { employeeId } : {};
+
   // Get tenant to verify it exists
   const tenant = await Tenant.findOne({ where: { id: tenantId } });
   if (!tenant) {
     throw new AppError('Tenant not found', 404, 'TENANT_NOT_FOUND');
   }
 
-  // Get today's date range (start of day to end of day)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+  // Get today's date range (start of day to end of day) in the tenant's timezone
+  const timezone = resolveTimezone(tenant.timezone);
+  const todayKey = getDateKey(new Date(), timezone);
+  const today = startOfDayInTimezone(todayKey, timezone);
+  const tomorrow = startOfDayInTimezone(addDaysToDateKey(todayKey, 1), timezone);
 
   // Get today's appointments count
   const todayAppointmentsCount = await Appointment.count({
     where: {
       tenantId,
+      ...appointmentScope,
       startTime: {
         [Op.gte]: today,
         [Op.lt]: tomorrow,
@@ -405,7 +422,7 @@ const getDashboardStats = async (tenantId) => {
   });
 
   // Get pending calls count (ringing or in-progress)
-  const pendingCallsCount = await CallLog.count({
+  const pendingCallsCount = employeeId ? 0 : await CallLog.count({
     where: {
       tenantId,
       status: {
@@ -434,6 +451,7 @@ const getDashboardStats = async (tenantId) => {
   const todayAppointments = await Appointment.findAll({
     where: {
       tenantId,
+      ...appointmentScope,
       startTime: {
         [Op.gte]: today,
         [Op.lt]: tomorrow,
@@ -468,6 +486,7 @@ const getDashboardStats = async (tenantId) => {
   const recentAppointments = await Appointment.findAll({
     where: {
       tenantId,
+      ...appointmentScope,
       status: APPOINTMENT_STATUS.COMPLETED,
     },
     order: [['updatedAt', 'DESC']],
@@ -482,7 +501,7 @@ const getDashboardStats = async (tenantId) => {
   }) : [];
   const recentServiceMap = new Map(recentServices.map(s => [s.id, s]));
 
-  const recentCalls = await CallLog.findAll({
+  const recentCalls = employeeId ? [] : await CallLog.findAll({
     where: {
       tenantId,
       status: {
@@ -0,0 +1,77 @@
+/**
+ * Tenant Closure Model
+ * Holidays and closures that override a tenant's weekly business hours
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+
+const TenantClosure = sequelize.define('TenantClosure', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Announced to customers, e.g. "Christmas Day"',
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'start_date',
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'end_date',
+    comment: 'Last date covered (inclusive)',
+  },
+  recurring: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Repeats every year on the same month and day',
+  },
+  openTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'open_time',
+    comment: 'HH:MM special opening time, null when closed all day',
+  },
+  closeTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    field: 'close_time',
+    comment: 'HH:MM special closing time, null when closed all day',
+  },
+}, {
+  tableName: 'tenant_closures',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'start_date', 'end_date'],
+    },
+  ],
+});
+
+/**
+ * Get closure data safe for API response
+ * @returns {Object} - Closure data
+ */
+TenantClosure.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+module.exports = {
+  TenantClosure,
+};
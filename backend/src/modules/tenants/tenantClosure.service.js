@@ -0,0 +1,413 @@
+/**
+ * Tenant Closure Service
+ * Manages holidays and closures that override a tenant's weekly business hours
+ */
+const { Op } = require('sequelize');
+const { TenantClosure } = require('./tenantClosure.model');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+const { getTenantTimezone, toDateKey, getDateKey, addDaysToDateKey, formatDateKey } = require('../../utils/timezone');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * How far ahead closures are announced to callers (days)
+ */
+const UPCOMING_CLOSURE_DAYS = 30;
+
+/**
+ * Check if a closure shuts the business for the whole day
+ * Closures with both an open and close time only change the hours
+ * @param {Object} closure - Closure entry
+ * @returns {boolean} - True if closed all day
+ */
+const isClosedAllDay = (closure) => !closure.openTime || !closure.closeTime;
+
+/**
+ * Validate a closure entry
+ * @param {Object} data - Closure fields
+ * @throws {AppError} - If the entry is invalid
+ */
+const validateClosure = (data) => {
+  const { name, startDate, endDate, recurring, openTime, closeTime } = data;
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    throw new AppError('Name is required and must be at most 100 characters', 400, 'VALIDATION_ERROR');
+  }
+
+  if (!DATE_REGEX.test(startDate || '') || !DATE_REGEX.test(endDate || '')) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400, 'VALIDATION_ERROR');
+  }
+
+  if (endDate < startDate) {
+    throw new AppError('End date must be on or after start date', 400, 'VALIDATION_ERROR');
+  }
+
+  if (recurring) {
+    const nextYearStart = `${Number(startDate.slice(0, 4)) + 1}${startDate.slice(4)}`;
+    if (endDate >= nextYearStart) {
+      throw new AppError('Recurring closures must be shorter than a year', 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (!openTime && !closeTime) {
+    return;
+  }
+
+  if (!TIME_REGEX.test(openTime || '') || !TIME_REGEX.test(closeTime || '')) {
+    throw new AppError('Special hours need both an open and close time in HH:MM format', 400, 'VALIDATION_ERROR');
+  }
+
+  if (closeTime <= openTime) {
+    throw new AppError('Close time must be after open time', 400, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Check if a closure covers a date
+ * Recurring closures match on month and day every year from their first occurrence
+ * @param {Object} closure - Closure entry
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {boolean} - True if the closure applies on that date
+ */
+const closureCoversDate = (closure, dateKey) => {
+  if (!closure.recurring) {
+    return closure.startDate <= dateKey && closure.endDate >= dateKey;
+  }
+
+  if (dateKey < closure.startDate) {
+    return false;
+  }
+
+  const monthDay = dateKey.slice(5);
+  const startMonthDay = closure.startDate.slice(5);
+  const endMonthDay = closure.endDate.slice(5);
+
+  // Ranges such as Dec 31 - Jan 1 wrap around the new year
+  if (endMonthDay < startMonthDay) {
+    return monthDay >= startMonthDay || monthDay <= endMonthDay;
+  }
+
+  return monthDay >= startMonthDay && monthDay <= endMonthDay;
+};
+
+/**
+ * Find the closure that applies on a date
+ * A full-day closure wins over special hours when several overlap
+ * @param {Array} closures - Closure entries
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {Object|null} - Matching closure or null
+ */
+const findClosureForDate = (closures, dateKey) => {
+  const matches = closures.filter(closure => closureCoversDate(closure, dateKey));
+  return matches.find(isClosedAllDay) || matches[0] || null;
+};
+
+/**
+ * Build the where clause for closures that may overlap a date range
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} fromKey - First date (YYYY-MM-DD)
+ * @param {string} toKey - Last date (YYYY-MM-DD)
+ * @returns {Object} - Sequelize where clause
+ */
+const buildRangeWhere = (tenantId, fromKey, toKey) => {
+  const where = { tenantId };
+  const oneOff = { recurring: false };
+  const recurring = { recurring: true };
+
+  if (fromKey) {
+    oneOff.endDate = { [Op.gte]: fromKey };
+  }
+
+  if (toKey) {
+    oneOff.startDate = { [Op.lte]: toKey };
+    recurring.startDate = { [Op.lte]: toKey };
+  }
+
+  where[Op.or] = [oneOff, recurring];
+  return where;
+};
+
+/**
+ * Get closures that may apply within a date range
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} startDateKey - First date (YYYY-MM-DD)
+ * @param {string} endDateKey - Last date (default: startDateKey)
+ * @param {Object} options - Query options
+ * @param {Object} options.transaction - Transaction to read in
+ * @returns {Promise<Array>} - Closure entries
+ */
+const getClosuresForRange = async (tenantId, startDateKey, endDateKey = startDateKey, { transaction } = {}) => {
+  return TenantClosure.findAll({
+    where: buildRangeWhere(tenantId, startDateKey, endDateKey),
+    transaction,
+  });
+};
+
+/**
+ * Get the closure that applies on a date
+ * @param {string} tenantId - Tenant UUID
+ * @param {Date|string} date - Date key, or an instant resolved in the tenant's timezone
+ * @param {string} timezone - Tenant's IANA timezone (looked up if not given)
+ * @returns {Promise<Object|null>} - Closure entry or null
+ */
+const getClosureForDate = async (tenantId, date, timezone = null) => {
+  const dateKey = toDateKey(date, timezone || await getTenantTimezone(tenantId));
+  const closures = await getClosuresForRange(tenantId, dateKey);
+  return findClosureForDate(closures, dateKey);
+};
+
+/**
+ * Get closures for a tenant
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - Query options
+ * @param {string} options.from - Only closures ending on or after this date (YYYY-MM-DD)
+ * @param {string} options.to - Only closures starting on or before this date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Closure entries
+ */
+const getClosures = async (tenantId, options = {}) => {
+  const { from, to } = options;
+
+  const closures = await TenantClosure.findAll({
+    where: buildRangeWhere(tenantId, from, to),
+    order: [['startDate', 'ASC']],
+  });
+
+  return {
+    closures: closures.map(closure => closure.toSafeObject()),
+  };
+};
+
+/**
+ * Create a closure
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} data - Closure data
+ * @returns {Promise<Object>} - Created closure
+ */
+const createClosure = async (tenantId, data) => {
+  const fields = {
+    name: typeof data.name === 'string' ? data.name.trim() : data.name,
+    startDate: data.startDate,
+    endDate: data.endDate || data.startDate,
+    recurring: data.recurring === true,
+    openTime: data.openTime || null,
+    closeTime: data.closeTime || null,
+  };
+
+  validateClosure(fields);
+
+  const closure = await TenantClosure.create({
+    tenantId,
+    ...fields,
+  });
+
+  logger.info(`Closure "${fields.name}" created for tenant: ${tenantId}`);
+
+  return closure.toSafeObject();
+};
+
+/**
+ * Find a closure for a tenant
+ * @param {string} closureId - Closure ID
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object>} - Closure instance
+ * @throws {AppError} - If closure not found
+ */
+const findClosure = async (closureId, tenantId) => {
+  const closure = await TenantClosure.findOne({
+    where: { id: closureId, tenantId },
+  });
+
+  if (!closure) {
+    throw new AppError('Closure not found', 404, 'CLOSURE_NOT_FOUND');
+  }
+
+  return closure;
+};
+
+/**
+ * Update a closure
+ * @param {string} closureId - Closure ID
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} - Updated closure
+ */
+const updateClosure = async (closureId, tenantId, updateData) => {
+  const closure = await findClosure(closureId, tenantId);
+
+  const allowedFields = ['name', 'startDate', 'endDate', 'recurring', 'openTime', 'closeTime'];
+  const fields = {};
+
+  for (const key of allowedFields) {
+    fields[key] = updateData[key] !== undefined ? updateData[key] : closure[key];
+  }
+
+  // Clearing both times turns special hours back into a full-day closure
+  fields.openTime = fields.openTime || null;
+  fields.closeTime = fields.closeTime || null;
+
+  validateClosure(fields);
+
+  await closure.update(fields);
+
+  logger.info(`Closure updated: ${closureId} for tenant: ${tenantId}`);
+
+  return closure.toSafeObject();
+};
+
+/**
+ * Delete a closure
+ * @param {string} closureId - Closure ID
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object>} - Success message
+ */
+const deleteClosure = async (closureId, tenantId) => {
+  const closure = await findClosure(closureId, tenantId);
+
+  await closure.destroy();
+
+  logger.info(`Closure deleted: ${closureId} for tenant: ${tenantId}`);
+
+  return { message: 'Closure deleted successfully' };
+};
+
+/**
+ * Get the dates a closure falls on within a date range
+ * Recurring closures are expanded to the matching year(s)
+ * @param {Object} closure - Closure entry
+ * @param {string} fromKey - First date (YYYY-MM-DD)
+ * @param {string} toKey - Last date (YYYY-MM-DD)
+ * @returns {Array<Object>} - Occurrences { startDate, endDate }
+ */
+const getClosureOccurrences = (closure, fromKey, toKey) => {
+  const overlaps = (occurrence) => occurrence.endDate >= fromKey && occurrence.startDate <= toKey;
+
+  if (!closure.recurring) {
+    const occurrence = { startDate: closure.startDate, endDate: closure.endDate };
+    return overlaps(occurrence) ? [occurrence] : [];
+  }
+
+  const startMonthDay = closure.startDate.slice(5);
+  const endMonthDay = closure.endDate.slice(5);
+  const wraps = endMonthDay < startMonthDay;
+  const occurrences = [];
+
+  // Start a year early so a range that wraps the new year is not missed
+  for (let year = Number(fromKey.slice(0, 4)) - 1; year <= Number(toKey.slice(0, 4)); year++) {
+    const occurrence = {
+      startDate: `${year}-${startMonthDay}`,
+      endDate: `${wraps ? year + 1 : year}-${endMonthDay}`,
+    };
+
+    if (occurrence.startDate >= closure.startDate && overlaps(occurrence)) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get closures coming up for a tenant, for announcing to customers
+ * @param {string} tenantId - Tenant UUID
+ * @param {Date} from - First date (default: today in the tenant's timezone)
+ * @param {number} days - Number of days to look ahead
+ * @returns {Promise<Array<Object>>} - Upcoming closures sorted by date
+ */
+const getUpcomingClosures = async (tenantId, from = new Date(), days = UPCOMING_CLOSURE_DAYS) => {
+  const fromKey = getDateKey(from, await getTenantTimezone(tenantId));
+  const toKey = addDaysToDateKey(fromKey, days);
+  const closures = await getClosuresForRange(tenantId, fromKey, toKey);
+
+  return closures
+    .flatMap(closure => getClosureOccurrences(closure, fromKey, toKey).map(occurrence => ({
+      id: closure.id,
+      name: closure.name,
+      ...occurrence,
+      openTime: closure.openTime || null,
+      closeTime: closure.closeTime || null,
+      closedAllDay: isClosedAllDay(closure),
+    })))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+/**
+ * Format a date key for speaking, e.g. "Thursday, December 25"
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {string} - Formatted date
+ */
+const formatClosureDate = (dateKey) => formatDateKey(dateKey, {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+});
+
+/**
+ * Describe a closure occurrence in a sentence fragment
+ * @param {Object} closure - Closure or occurrence with startDate and endDate
+ * @returns {string} - e.g. "closed on Thursday, December 25 for Christmas Day"
+ */
+const describeClosure = (closure) => {
+  const dates = closure.startDate === closure.endDate
+    ? `on ${formatClosureDate(closure.startDate)}`
+    : `from ${formatClosureDate(closure.startDate)} through ${formatClosureDate(closure.endDate)}`;
+
+  if (isClosedAllDay(closure)) {
+    return `closed ${dates} for ${closure.name}`;
+  }
+
+  return `open from ${closure.openTime} to ${closure.closeTime} ${dates} for ${closure.name}`;
+};
+
+/**
+ * Format the closure that applies on a single date as a sentence
+ * @param {Object} closure - Closure entry
+ * @param {string} dateKey - Date the closure applies on (YYYY-MM-DD)
+ * @returns {string} - e.g. "We're closed on Thursday, December 25 for Christmas Day."
+ */
+const formatClosureNotice = (closure, dateKey) => {
+  return `We're ${describeClosure({
+    name: closure.name,
+    startDate: dateKey,
+    endDate: dateKey,
+    openTime: closure.openTime,
+    closeTime: closure.closeTime,
+  })}.`;
+};
+
+/**
+ * Format upcoming closures as an announcement for callers
+ * @param {Array<Object>} closures - Upcoming closures
+ * @returns {string|null} - Announcement, or null when there are none
+ */
+const formatClosureAnnouncement = (closures) => {
+  if (!closures || closures.length === 0) {
+    return null;
+  }
+
+  const parts = closures.map(describeClosure);
+  const list = parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts[0];
+
+  return `Please note that we're ${list}.`;
+};
+
+module.exports = {
+  getClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure,
+  validateClosure,
+  getClosuresForRange,
+  getClosureForDate,
+  findClosureForDate,
+  closureCoversDate,
+  isClosedAllDay,
+  getUpcomingClosures,
+  describeClosure,
+  formatClosureNotice,
+  formatClosureAnnouncement,
+  UPCOMING_CLOSURE_DAYS,
+};
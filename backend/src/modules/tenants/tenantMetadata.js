@@ -0,0 +1,46 @@
+/**
+ * Tenant Metadata
+ * Reads the tenant metadata JSON column, including older rows that hold it as a string
+ */
+const { TENANT_STATUS } = require('./tenant.model');
+const logger = require('../../utils/logger');
+
+/**
+ * Get a tenant's metadata as an object
+ * Older rows may hold metadata as a JSON string, see scripts/fix-json-string-columns
+ * @param {Object} tenant - Tenant
+ * @returns {Object} - Metadata, or an empty object if there is none or it can't be parsed
+ */
+const getTenantMetadata = (tenant) => {
+  let metadata = tenant?.metadata;
+
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (error) {
+      logger.warn(`Failed to parse metadata JSON for tenant ${tenant.id}: ${error.message}`);
+      metadata = null;
+    }
+  }
+
+  return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+};
+
+/**
+ * Check if a platform admin has suspended a business
+ * Businesses suspended for an unpaid subscription stay signed in so they can pay
+ * @param {Object} tenant - Tenant
+ * @returns {boolean} - True if an admin suspension is in force
+ */
+const isAdminSuspended = (tenant) => {
+  if (!tenant || tenant.status !== TENANT_STATUS.SUSPENDED) {
+    return false;
+  }
+
+  return !!getTenantMetadata(tenant).adminSuspension;
+};
+
+module.exports = {
+  getTenantMetadata,
+  isAdminSuspended,
+};
@@ -0,0 +1,23 @@
+/**
+ * Waitlist Module Index
+ * Central export for waitlist module
+ */
+const waitlistRoutes = require('./waitlist.routes');
+const waitlistService = require('./waitlist.service');
+const waitlistController = require('./waitlist.controller');
+const {
+  WaitlistEntry,
+  WaitlistOffer,
+  WAITLIST_STATUS,
+  OFFER_STATUS,
+} = require('./waitlist.model');
+
+module.exports = {
+  waitlistRoutes,
+  waitlistService,
+  waitlistController,
+  WaitlistEntry,
+  WaitlistOffer,
+  WAITLIST_STATUS,
+  OFFER_STATUS,
+};
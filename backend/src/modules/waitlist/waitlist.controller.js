@@ -0,0 +1,256 @@
+/**
+ * Waitlist Controller
+ * Handles HTTP requests for waitlist endpoints
+ */
+const waitlistService = require('./waitlist.service');
+const { WAITLIST_STATUS } = require('./waitlist.model');
+const { getTenantUUID } = require('../../utils/tenant');
+const { EMAIL_REGEX, UUID_REGEX, TIME_REGEX } = require('../../utils/validation');
+const { DATE_KEY_REGEX } = require('../../utils/timezone');
+
+/**
+ * Most preferred windows on one entry
+ */
+const MAX_WINDOWS = 14;
+
+/**
+ * Validate preferred date/time windows
+ * @param {*} windows - Windows from the request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateWindows = (windows) => {
+  if (!Array.isArray(windows)) {
+    return 'Windows must be an array';
+  }
+
+  if (windows.length > MAX_WINDOWS) {
+    return `At most ${MAX_WINDOWS} windows are allowed`;
+  }
+
+  for (const window of windows) {
+    if (!window || typeof window !== 'object' || !DATE_KEY_REGEX.test(window.date || '')) {
+      return 'Each window needs a date in YYYY-MM-DD format';
+    }
+
+    if ((window.earliestTime && !TIME_REGEX.test(window.earliestTime)) ||
+      (window.latestTime && !TIME_REGEX.test(window.latestTime))) {
+      return 'Window times must be in HH:MM format';
+    }
+
+    if (window.earliestTime && window.latestTime && window.earliestTime >= window.latestTime) {
+      return 'Window earliestTime must be before latestTime';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate the fields shared by create and update requests
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateEntryFields = ({ customerName, customerPhone, customerEmail, serviceId, employeeId, windows, status }) => {
+  if (customerName !== undefined && (typeof customerName !== 'string' || !customerName || customerName.length > 200)) {
+    return 'Customer name must be a string of 1 to 200 characters';
+  }
+
+  if (customerPhone !== undefined && String(customerPhone).replace(/\D/g, '').length < 7) {
+    return 'Invalid phone number';
+  }
+
+  if (customerEmail && !EMAIL_REGEX.test(customerEmail)) {
+    return 'Invalid email format';
+  }
+
+  if (serviceId !== undefined && !UUID_REGEX.test(serviceId)) {
+    return 'Invalid service ID format';
+  }
+
+  if (employeeId && !UUID_REGEX.test(employeeId)) {
+    return 'Invalid employee ID format';
+  }
+
+  if (windows !== undefined) {
+    const windowsError = validateWindows(windows);
+    if (windowsError) {
+      return windowsError;
+    }
+  }
+
+  if (status !== undefined && !Object.values(WAITLIST_STATUS).includes(status)) {
+    return `Status must be one of: ${Object.values(WAITLIST_STATUS).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * GET /api/waitlist
+ * Get waitlist entries for tenant with the offers sent to each
+ */
+const getWaitlist = async (req, res, next) => {
+  try {
+    const { status, serviceId } = req.query;
+
+    if (status && !Object.values(WAITLIST_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Object.values(WAITLIST_STATUS).join(', ')}`,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const entries = await waitlistService.getWaitlist(tenantUUID, { status, serviceId });
+
+    res.status(200).json({
+      success: true,
+      data: { entries },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/waitlist
+ * Add a customer to the waitlist
+ */
+const createWaitlistEntry = async (req, res, next) => {
+  try {
+    const {
+      customerName,
+      customerPhone,
+      customerEmail,
+      serviceId,
+      employeeId,
+      windows,
+      notes,
+    } = req.body;
+
+    // Validate required fields
+    if (!customerName || !customerPhone || !serviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Customer name, customer phone and service ID are required',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateEntryFields({ ...req.body, status: undefined });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const entry = await waitlistService.createWaitlistEntry({
+      customerName,
+      customerPhone,
+      customerEmail,
+      serviceId,
+      employeeId,
+      windows,
+      notes,
+    }, tenantUUID);
+
+    res.status(201).json({
+      success: true,
+      data: { entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/waitlist/:id
+ * Update a waitlist entry
+ */
+const updateWaitlistEntry = async (req, res, next) => {
+  try {
+    const {
+      customerName,
+      customerPhone,
+      customerEmail,
+      serviceId,
+      employeeId,
+      windows,
+      notes,
+      status,
+    } = req.body;
+
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid waitlist entry ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const fieldError = validateEntryFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const entry = await waitlistService.updateWaitlistEntry(req.params.id, tenantUUID, {
+      customerName,
+      customerPhone,
+      customerEmail,
+      serviceId,
+      employeeId,
+      windows,
+      notes,
+      status,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/waitlist/:id
+ * Remove a customer from the waitlist
+ */
+const deleteWaitlistEntry = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid waitlist entry ID format',
+        code: 'VALIDATION_ERROR',
+      });
+    }
+
+    const tenantUUID = await getTenantUUID(req.tenantId);
+    const result = await waitlistService.deleteWaitlistEntry(req.params.id, tenantUUID);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWaitlist,
+  createWaitlistEntry,
+  updateWaitlistEntry,
+  deleteWaitlistEntry,
+};
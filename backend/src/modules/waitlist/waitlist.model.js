@@ -0,0 +1,259 @@
+/**
+ * Waitlist Models
+ * Customers waiting for a time to open up, and the SMS offers sent to them when one does
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/db');
+const { EMAIL_REGEX } = require('../../utils/validation');
+
+/**
+ * Valid waitlist entry statuses
+ */
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  BOOKED: 'booked',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Valid offer statuses
+ * An offer is taken when someone else on the waitlist claimed the slot first
+ */
+const OFFER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TAKEN: 'taken',
+  EXPIRED: 'expired',
+};
+
+/**
+ * How long an offer can be claimed for, in minutes
+ */
+const OFFER_TTL_MINUTES = 30;
+
+/**
+ * Most customers offered the same freed slot
+ */
+const MAX_OFFERS_PER_SLOT = 5;
+
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'customer_id',
+    references: {
+      model: 'customers',
+      key: 'id',
+    },
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'service_id',
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'employee_id',
+    comment: 'Preferred employee, null for anyone who performs the service',
+  },
+  customerName: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    field: 'customer_name',
+    validate: {
+      len: [1, 200],
+    },
+  },
+  customerPhone: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'customer_phone',
+    comment: 'Offers are sent to this number by SMS',
+  },
+  customerEmail: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'customer_email',
+    validate: {
+      isEmailOrNull(value) {
+        if (value !== null && value !== undefined && value !== '') {
+          if (!EMAIL_REGEX.test(value)) {
+            throw new Error('Invalid email format');
+          }
+        }
+      },
+    },
+  },
+  windows: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of { date, earliestTime, latestTime } in the tenant timezone; empty for any time',
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(WAITLIST_STATUS)),
+    defaultValue: WAITLIST_STATUS.WAITING,
+    allowNull: false,
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'appointment_id',
+    comment: 'Appointment booked from an offer',
+  },
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'status', 'createdAt'],
+    },
+    {
+      fields: ['tenant_id', 'customer_id'],
+    },
+  ],
+});
+
+const WaitlistOffer = sequelize.define('WaitlistOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  tenantId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'tenant_id',
+    references: {
+      model: 'tenants',
+      key: 'id',
+    },
+  },
+  waitlistEntryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'waitlist_entry_id',
+    references: {
+      model: 'waitlist_entries',
+      key: 'id',
+    },
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+  },
+  serviceId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'service_id',
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_time',
+  },
+  endTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'end_time',
+  },
+  normalizedPhone: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'normalized_phone',
+    comment: 'Number the offer was texted to in E.164 format, used to match the reply',
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(OFFER_STATUS)),
+    defaultValue: OFFER_STATUS.PENDING,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at',
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'appointment_id',
+  },
+}, {
+  tableName: 'waitlist_offers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenant_id', 'normalized_phone', 'expires_at'],
+    },
+    {
+      fields: ['tenant_id', 'employee_id', 'start_time'],
+    },
+    {
+      fields: ['waitlist_entry_id'],
+    },
+  ],
+});
+
+/**
+ * Get waitlist entry data safe for API response
+ * @returns {Object} - Entry data
+ */
+WaitlistEntry.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+/**
+ * Get offer data safe for API response
+ * @returns {Object} - Offer data
+ */
+WaitlistOffer.prototype.toSafeObject = function() {
+  return this.toJSON();
+};
+
+/**
+ * Check if the offer can still be claimed
+ * @param {Date} now - Current time (default: now)
+ * @returns {boolean} - True if pending and not expired
+ */
+WaitlistOffer.prototype.isOpen = function(now = new Date()) {
+  return this.status === OFFER_STATUS.PENDING && new Date(this.expiresAt) > now;
+};
+
+WaitlistEntry.hasMany(WaitlistOffer, {
+  foreignKey: 'waitlistEntryId',
+  as: 'offers',
+});
+WaitlistOffer.belongsTo(WaitlistEntry, {
+  foreignKey: 'waitlistEntryId',
+  as: 'entry',
+});
+
+module.exports = {
+  WaitlistEntry,
+  WaitlistOffer,
+  WAITLIST_STATUS,
+  OFFER_STATUS,
+  OFFER_TTL_MINUTES,
+  MAX_OFFERS_PER_SLOT,
+};
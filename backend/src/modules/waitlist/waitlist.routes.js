@@ -0,0 +1,48 @@
+/**
+ * Waitlist Routes
+ * Defines all waitlist endpoints
+ */
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const waitlistController = require('./waitlist.controller');
+const { authMiddleware, denyEmployeeScope } = require('../auth/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Rate limiting configuration
+ * Skip rate limiting in test environment
+ */
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+const standardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requests per window
+  skip: () => isTestEnv,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later',
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * All routes require authentication; staff limited to their own calendar
+ * can't see or change the waitlist
+ */
+
+// GET /api/waitlist - Get waitlist entries with their offers (?status= and ?serviceId= filter)
+router.get('/', standardLimiter, authMiddleware, denyEmployeeScope, waitlistController.getWaitlist);
+
+// POST /api/waitlist - Add a customer to the waitlist
+router.post('/', standardLimiter, authMiddleware, denyEmployeeScope, waitlistController.createWaitlistEntry);
+
+// PATCH /api/waitlist/:id - Update waitlist entry
+router.patch('/:id', standardLimiter, authMiddleware, denyEmployeeScope, waitlistController.updateWaitlistEntry);
+
+// DELETE /api/waitlist/:id - Remove a customer from the waitlist
+router.delete('/:id', standardLimiter, authMiddleware, denyEmployeeScope, waitlistController.deleteWaitlistEntry);
+
+module.exports = router;
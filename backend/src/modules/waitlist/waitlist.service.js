@@ -0,0 +1,542 @@
+/**
+ * Waitlist Service
+ * Keeps customers waiting for an opening and offers them freed slots by SMS.
+ * When an appointment is cancelled or moved, every matching entry is texted an offer;
+ * the first to reply YES gets the slot
+ */
+const { Op } = require('sequelize');
+const {
+  WaitlistEntry,
+  WaitlistOffer,
+  WAITLIST_STATUS,
+  OFFER_STATUS,
+  OFFER_TTL_MINUTES,
+  MAX_OFFERS_PER_SLOT,
+} = require('./waitlist.model');
+const appointmentService = require('../appointments/appointment.service');
+const {
+  checkSlotAvailability,
+  getServiceBuffers,
+  getEmployeeServiceTerms,
+  getEmployeeTimeOff,
+  getEmployeeWorkingPeriods,
+  parseTimeToMinutes,
+} = require('../appointments/availability.service');
+const { Employee, EMPLOYEE_STATUS } = require('../employees/employee.model');
+const { Service, SERVICE_STATUS } = require('../services/service.model');
+const { Tenant } = require('../tenants/tenant.model');
+const { findOrCreateCustomer } = require('../customers/customer.service');
+const { AppError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+const { normalizePhoneNumber } = require('../../utils/phone');
+const { getDateKey, getMinutesOfDay, resolveTimezone } = require('../../utils/timezone');
+
+/**
+ * The SMS handler requires this service, so it is loaded on first use to avoid a cycle
+ */
+let _smsHandler = null;
+const getSmsHandler = () => {
+  if (!_smsHandler) {
+    _smsHandler = require('../telephony/sms.handler');
+  }
+  return _smsHandler;
+};
+
+/**
+ * Format a slot start time for an SMS
+ * @param {Date} startTime - Slot start
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - e.g. "Tue, Mar 3 at 2:30 PM"
+ */
+const formatSlotTime = (startTime, timezone) => {
+  const date = new Date(startTime);
+  const dateStr = date.toLocaleDateString('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+  const timeStr = date.toLocaleTimeString('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  });
+  return `${dateStr} at ${timeStr}`;
+};
+
+/**
+ * Check if a slot falls inside one of an entry's preferred windows
+ * An entry without windows takes any time; a window without times takes any time that day
+ * @param {Array} windows - Entry windows [{ date, earliestTime, latestTime }]
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @param {string} timezone - Tenant's IANA timezone
+ * @returns {boolean} - True if the slot fits a window
+ */
+const isWithinWindows = (windows, startTime, endTime, timezone) => {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return true;
+  }
+
+  const dateKey = getDateKey(startTime, timezone);
+  const startMinutes = getMinutesOfDay(startTime, timezone);
+  const endMinutes = startMinutes + Math.round((endTime - startTime) / 60000);
+
+  return windows.some(window => {
+    if (window.date !== dateKey) {
+      return false;
+    }
+    if (window.earliestTime && startMinutes < parseTimeToMinutes(window.earliestTime)) {
+      return false;
+    }
+    if (window.latestTime && endMinutes > parseTimeToMinutes(window.latestTime)) {
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Check if a slot fits inside the employee's working hours that day
+ * @param {Object} employee - Employee
+ * @param {string} tenantId - Tenant identifier
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @param {string} timezone - Tenant's IANA timezone
+ * @returns {Promise<boolean>} - True if the employee is working for the whole slot
+ */
+const isWithinWorkingHours = async (employee, tenantId, startTime, endTime, timezone) => {
+  const dateKey = getDateKey(startTime, timezone);
+  const timeOff = await getEmployeeTimeOff(employee.id, tenantId, dateKey);
+  const startMinutes = getMinutesOfDay(startTime, timezone);
+  const endMinutes = startMinutes + Math.round((endTime - startTime) / 60000);
+
+  return getEmployeeWorkingPeriods(employee, dateKey, timeOff).some(period =>
+    startMinutes >= parseTimeToMinutes(period.start) && endMinutes <= parseTimeToMinutes(period.end)
+  );
+};
+
+/**
+ * Verify the service, and the preferred employee if one was given, for a waitlist entry
+ * @param {Object} entryData - { serviceId, employeeId }
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<void>}
+ * @throws {AppError} - If either is missing or the employee doesn't perform the service
+ */
+const verifyEntryTargets = async ({ serviceId, employeeId }, tenantId) => {
+  const service = await Service.findOne({
+    where: { id: serviceId, tenantId },
+  });
+  if (!service) {
+    throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+  }
+
+  if (employeeId) {
+    const employee = await Employee.findOne({
+      where: { id: employeeId, tenantId },
+    });
+    if (!employee) {
+      throw new AppError('Employee not found', 404, 'EMPLOYEE_NOT_FOUND');
+    }
+    if (!employee.serviceIds || !employee.serviceIds.includes(serviceId)) {
+      throw new AppError('Employee is not qualified for this service', 400, 'EMPLOYEE_NOT_QUALIFIED');
+    }
+  }
+};
+
+/**
+ * Get waitlist entries for a tenant, oldest first, with the offers sent to each
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - Query options
+ * @param {string} options.status - Filter by status (default: all)
+ * @param {string} options.serviceId - Filter by service
+ * @returns {Promise<Array>} - Waitlist entries
+ */
+const getWaitlist = async (tenantId, options = {}) => {
+  const { status, serviceId } = options;
+  const where = { tenantId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (serviceId) {
+    where.serviceId = serviceId;
+  }
+
+  const entries = await WaitlistEntry.findAll({
+    where,
+    include: [{ model: WaitlistOffer, as: 'offers' }],
+    order: [['createdAt', 'ASC']],
+  });
+
+  return entries.map(entry => entry.toSafeObject());
+};
+
+/**
+ * Find a waitlist entry
+ * @param {string} entryId - Entry ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Entry
+ * @throws {AppError} - If not found
+ */
+const findEntry = async (entryId, tenantId) => {
+  const entry = await WaitlistEntry.findOne({
+    where: { id: entryId, tenantId },
+  });
+
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404, 'WAITLIST_ENTRY_NOT_FOUND');
+  }
+
+  return entry;
+};
+
+/**
+ * Add a customer to the waitlist
+ * The entry is linked to the customer with the same phone number or email
+ * @param {Object} entryData - { customerName, customerPhone, customerEmail, serviceId, employeeId, windows, notes }
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Created entry
+ */
+const createWaitlistEntry = async (entryData, tenantId) => {
+  const {
+    customerName,
+    customerPhone,
+    customerEmail,
+    serviceId,
+    employeeId = null,
+    windows = [],
+    notes,
+  } = entryData;
+
+  await verifyEntryTargets({ serviceId, employeeId }, tenantId);
+
+  const customer = await findOrCreateCustomer(
+    { name: customerName, email: customerEmail, phone: customerPhone },
+    tenantId
+  );
+
+  const entry = await WaitlistEntry.create({
+    tenantId,
+    customerId: customer ? customer.id : null,
+    serviceId,
+    employeeId,
+    customerName,
+    customerPhone,
+    customerEmail,
+    windows,
+    notes,
+  });
+
+  logger.info(`Waitlist entry created: ${entry.id} for tenant: ${tenantId}`);
+
+  return entry.toSafeObject();
+};
+
+/**
+ * Update a waitlist entry
+ * @param {string} entryId - Entry ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} - Updated entry
+ */
+const updateWaitlistEntry = async (entryId, tenantId, updateData) => {
+  const entry = await findEntry(entryId, tenantId);
+
+  const fields = ['customerName', 'customerPhone', 'customerEmail', 'serviceId', 'employeeId', 'windows', 'notes', 'status'];
+  const updates = {};
+  for (const field of fields) {
+    if (updateData[field] !== undefined) {
+      updates[field] = updateData[field];
+    }
+  }
+
+  if (updates.serviceId !== undefined || updates.employeeId !== undefined) {
+    await verifyEntryTargets({
+      serviceId: updates.serviceId || entry.serviceId,
+      employeeId: updates.employeeId !== undefined ? updates.employeeId : entry.employeeId,
+    }, tenantId);
+  }
+
+  // New contact details may belong to a different customer
+  if (updates.customerPhone !== undefined || updates.customerEmail !== undefined) {
+    const customer = await findOrCreateCustomer({
+      name: updates.customerName !== undefined ? updates.customerName : entry.customerName,
+      email: updates.customerEmail !== undefined ? updates.customerEmail : entry.customerEmail,
+      phone: updates.customerPhone !== undefined ? updates.customerPhone : entry.customerPhone,
+    }, tenantId);
+    updates.customerId = customer ? customer.id : null;
+  }
+
+  await entry.update(updates);
+
+  logger.info(`Waitlist entry updated: ${entryId} for tenant: ${tenantId}`);
+
+  return entry.toSafeObject();
+};
+
+/**
+ * Remove a customer from the waitlist, along with the offers sent to them
+ * @param {string} entryId - Entry ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - Success message
+ */
+const deleteWaitlistEntry = async (entryId, tenantId) => {
+  const entry = await findEntry(entryId, tenantId);
+
+  await WaitlistOffer.destroy({ where: { waitlistEntryId: entry.id, tenantId } });
+  await entry.destroy();
+
+  logger.info(`Waitlist entry deleted: ${entryId} for tenant: ${tenantId}`);
+
+  return { message: 'Waitlist entry deleted successfully' };
+};
+
+/**
+ * Offer a freed slot to the customers waiting for it
+ * Entries are considered oldest first. An entry matches when its preferred employee is
+ * the slot's employee (or it has none and the employee performs its service), the slot
+ * fits one of its windows and the employee's hours, and the service still fits around
+ * the employee's other bookings. Customers who already have an open offer are skipped.
+ * Each match is texted an offer, up to MAX_OFFERS_PER_SLOT
+ * @param {Object} slot - { employeeId, startTime, endTime } of the freed appointment
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Array>} - Offers sent
+ */
+const offerFreedSlot = async ({ employeeId, startTime }, tenantId) => {
+  const slotStart = new Date(startTime);
+  const now = new Date();
+
+  if (slotStart <= now) {
+    return [];
+  }
+
+  const employee = await Employee.findOne({
+    where: { id: employeeId, tenantId, status: EMPLOYEE_STATUS.ACTIVE },
+  });
+  if (!employee) {
+    return [];
+  }
+
+  const entries = await WaitlistEntry.findAll({
+    where: {
+      tenantId,
+      status: WAITLIST_STATUS.WAITING,
+      [Op.or]: [{ employeeId: null }, { employeeId }],
+    },
+    order: [['createdAt', 'ASC']],
+  });
+
+  const qualified = entries.filter(entry => (employee.serviceIds || []).includes(entry.serviceId));
+  if (qualified.length === 0) {
+    return [];
+  }
+
+  const tenant = await Tenant.findOne({ where: { id: tenantId } });
+  const timezone = resolveTimezone(tenant?.timezone);
+  const businessName = tenant?.name || 'We';
+
+  const offered = await WaitlistOffer.findAll({
+    where: {
+      tenantId,
+      waitlistEntryId: { [Op.in]: qualified.map(entry => entry.id) },
+      status: OFFER_STATUS.PENDING,
+      expiresAt: { [Op.gt]: now },
+    },
+  });
+  const hasOpenOffer = new Set(offered.map(offer => offer.waitlistEntryId));
+
+  const services = new Map();
+  const offers = [];
+
+  for (const entry of qualified) {
+    if (offers.length >= MAX_OFFERS_PER_SLOT) {
+      break;
+    }
+
+    const normalizedPhone = normalizePhoneNumber(entry.customerPhone);
+    if (hasOpenOffer.has(entry.id) || !normalizedPhone) {
+      continue;
+    }
+
+    if (!services.has(entry.serviceId)) {
+      services.set(entry.serviceId, await Service.findOne({
+        where: { id: entry.serviceId, tenantId, status: SERVICE_STATUS.ACTIVE },
+      }));
+    }
+    const service = services.get(entry.serviceId);
+    if (!service) {
+      continue;
+    }
+
+    const slotEnd = new Date(slotStart.getTime() + getEmployeeServiceTerms(service, employee).duration * 60000);
+
+    if (!isWithinWindows(entry.windows, slotStart, slotEnd, timezone)) {
+      continue;
+    }
+
+    if (!await isWithinWorkingHours(employee, tenantId, slotStart, slotEnd, timezone)) {
+      continue;
+    }
+
+    const availability = await checkSlotAvailability(
+      employeeId,
+      tenantId,
+      slotStart,
+      slotEnd,
+      null,
+      { ...getServiceBuffers(service), resourceTypes: service.resourceTypes }
+    );
+    if (!availability.available) {
+      continue;
+    }
+
+    // Claimable for OFFER_TTL_MINUTES, but never past the start of the slot
+    const expiresAt = new Date(Math.min(now.getTime() + OFFER_TTL_MINUTES * 60000, slotStart.getTime()));
+
+    const offer = await WaitlistOffer.create({
+      tenantId,
+      waitlistEntryId: entry.id,
+      employeeId,
+      serviceId: entry.serviceId,
+      startTime: slotStart,
+      endTime: slotEnd,
+      normalizedPhone,
+      expiresAt,
+    });
+
+    const message = `${businessName}: A ${service.name} opening is available ${formatSlotTime(slotStart, timezone)} ` +
+      `with ${employee.firstName}. Reply YES in the next ${OFFER_TTL_MINUTES} minutes to book it, or NO to pass.`;
+
+    try {
+      await getSmsHandler().sendCustomerNotification({
+        tenantId,
+        to: entry.customerPhone,
+        message,
+        type: 'waitlist_offer',
+      });
+    } catch (error) {
+      // An offer the customer never received can't be claimed
+      logger.warn(`Waitlist offer not sent for entry ${entry.id}: ${error.message}`);
+      await offer.destroy();
+      continue;
+    }
+
+    offers.push(offer);
+  }
+
+  if (offers.length > 0) {
+    logger.info(
+      `Freed slot ${slotStart.toISOString()} with employee ${employeeId} offered to ` +
+      `${offers.length} waitlist entries for tenant: ${tenantId}`
+    );
+  }
+
+  return offers.map(offer => offer.toSafeObject());
+};
+
+/**
+ * Find the latest unexpired offer texted to a phone number
+ * Taken offers are included so a late YES can be told the slot is gone
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - Phone number the reply came from
+ * @returns {Promise<Object|null>} - Offer with its entry, or null
+ */
+const findOpenOffer = async (tenantId, phoneNumber) => {
+  const normalizedPhone = normalizePhoneNumber(phoneNumber);
+  if (!normalizedPhone) {
+    return null;
+  }
+
+  return WaitlistOffer.findOne({
+    where: {
+      tenantId,
+      normalizedPhone,
+      status: { [Op.in]: [OFFER_STATUS.PENDING, OFFER_STATUS.TAKEN] },
+      expiresAt: { [Op.gt]: new Date() },
+    },
+    include: [{ model: WaitlistEntry, as: 'entry' }],
+    order: [['createdAt', 'DESC']],
+  });
+};
+
+/**
+ * Book the slot in an offer for the customer who claimed it
+ * The booking goes through createAppointment, so if someone else got the slot first
+ * the conflict check turns the claim away and the offer is marked taken. On success the
+ * other offers for the same slot are marked taken and the entry is marked booked
+ * @param {Object} offer - Offer with its entry, from findOpenOffer
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Object>} - { result: 'booked'|'taken', appointment }
+ */
+const claimOffer = async (offer, tenantId) => {
+  if (!offer.isOpen()) {
+    return { result: 'taken', appointment: null };
+  }
+
+  const entry = offer.entry || await findEntry(offer.waitlistEntryId, tenantId);
+
+  let appointment;
+  try {
+    appointment = await appointmentService.createAppointment({
+      employeeId: offer.employeeId,
+      serviceId: offer.serviceId,
+      customerName: entry.customerName,
+      customerEmail: entry.customerEmail,
+      customerPhone: entry.customerPhone,
+      startTime: offer.startTime,
+      notes: entry.notes,
+    }, tenantId);
+  } catch (error) {
+    if (error.statusCode === 409) {
+      await offer.update({ status: OFFER_STATUS.TAKEN });
+      return { result: 'taken', appointment: null };
+    }
+    throw error;
+  }
+
+  await offer.update({ status: OFFER_STATUS.ACCEPTED, appointmentId: appointment.id });
+
+  await WaitlistOffer.update({ status: OFFER_STATUS.TAKEN }, {
+    where: {
+      tenantId,
+      employeeId: offer.employeeId,
+      startTime: offer.startTime,
+      status: OFFER_STATUS.PENDING,
+      id: { [Op.ne]: offer.id },
+    },
+  });
+
+  await entry.update({ status: WAITLIST_STATUS.BOOKED, appointmentId: appointment.id });
+
+  logger.info(`Waitlist offer ${offer.id} claimed, appointment: ${appointment.id} for tenant: ${tenantId}`);
+
+  return { result: 'booked', appointment };
+};
+
+/**
+ * Pass on an offer; the customer stays on the waitlist for later openings
+ * @param {Object} offer - Offer from findOpenOffer
+ * @returns {Promise<Object>} - Declined offer
+ */
+const declineOffer = async (offer) => {
+  await offer.update({ status: OFFER_STATUS.DECLINED });
+
+  logger.info(`Waitlist offer declined: ${offer.id} for tenant: ${offer.tenantId}`);
+
+  return offer.toSafeObject();
+};
+
+module.exports = {
+  getWaitlist,
+  createWaitlistEntry,
+  updateWaitlistEntry,
+  deleteWaitlistEntry,
+  offerFreedSlot,
+  findOpenOffer,
+  claimOffer,
+  declineOffer,
+  isWithinWindows,
+};
@@ -9,6 +9,10 @@ const { tenantRoutes } = require('../modules/tenants');
 const { employeeRoutes } = require('../modules/employees');
 const { serviceRoutes } = require('../modules/services');
 const { appointmentRoutes, availabilityRoutes } = require('../modules/appointments');
+const { customerRoutes } = require('../modules/customers');
+const { waitlistRoutes } = require('../modules/waitlist');
+const { resourceRoutes } = require('../modules/resources');
+const { teamRoutes } = require('../modules/team');
 const { billingRoutes } = require('../modules/billing');
 const { telephonyRoutes } = require('../modules/telephony');
 const { aiRoutes } = require('../modules/ai-assistant');
@@ -24,6 +28,10 @@ module.exports = {
   serviceRoutes,
   appointmentRoutes,
   availabilityRoutes,
+  customerRoutes,
+  waitlistRoutes,
+  resourceRoutes,
+  teamRoutes,
   billingRoutes,
   telephonyRoutes,
   aiRoutes,
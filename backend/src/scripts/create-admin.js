@@ -0,0 +1,47 @@
+/**
+ * Script: Create a Platform Admin
+ *
+ * Creates a platform admin account from the command line. Use it for the first
+ * admin; after that, admins can add each other through POST /api/admin/admins.
+ *
+ * Run with: node src/scripts/create-admin.js <email> <password> [name]
+ */
+
+const { createAdmin } = require('../modules/admin/adminAuth.service');
+const { MIN_ADMIN_PASSWORD_LENGTH } = require('../modules/admin/adminUser.model');
+const logger = require('../utils/logger');
+
+async function createAdminFromCli([email, password, ...nameParts]) {
+  if (!email || !password) {
+    throw new Error('Usage: node src/scripts/create-admin.js <email> <password> [name]');
+  }
+
+  if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    throw new Error(`Admin passwords must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  const admin = await createAdmin({ email, password, name: nameParts.join(' ') || null });
+
+  logger.info(`Platform admin created: ${admin.email}`);
+
+  return admin;
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  (async () => {
+    try {
+      const admin = await createAdminFromCli(process.argv.slice(2));
+      console.log('\n✅ Admin created:');
+      console.log(`   ID: ${admin.id}`);
+      console.log(`   Email: ${admin.email}`);
+      console.log('\n');
+      process.exit(0);
+    } catch (error) {
+      console.error('\n❌ Could not create admin:', error.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { createAdminFromCli };
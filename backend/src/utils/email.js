@@ -0,0 +1,53 @@
+/**
+ * Email Utilities
+ * Every email the app sends goes through one transport, so an email provider (or a test)
+ * can be plugged in with setEmailTransport
+ */
+const env = require('../config/env');
+const logger = require('./logger');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Transport used until a provider is plugged in
+ * Outside production it writes the email to the log. In production it refuses, so
+ * links that were never delivered don't go unnoticed
+ * @param {Object} email - { to, subject, text }
+ * @returns {Promise<void>}
+ * @throws {AppError} - In production
+ */
+const logTransport = async ({ to, subject, text }) => {
+  if (env.isProduction()) {
+    logger.error(`No email transport configured; email "${subject}" to ${to} was not sent`);
+    throw new AppError('Email delivery is not configured', 503, 'EMAIL_NOT_CONFIGURED');
+  }
+
+  logger.info(`Email to ${to}: ${subject}\n${text}`);
+};
+
+let transport = logTransport;
+
+/**
+ * Plug in the function that delivers emails
+ * @param {Function} emailTransport - async ({ to, subject, text }) => void; omit to go back to logging
+ */
+const setEmailTransport = (emailTransport) => {
+  transport = emailTransport || logTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} email - Email to send
+ * @param {string} email.to - Recipient email
+ * @param {string} email.subject - Subject
+ * @param {string} email.text - Plain-text body
+ * @returns {Promise<void>}
+ * @throws {Error} - If the email can't be sent
+ */
+const sendEmail = async ({ to, subject, text }) => {
+  await transport({ to, subject, text });
+};
+
+module.exports = {
+  setEmailTransport,
+  sendEmail,
+};
@@ -0,0 +1,40 @@
+/**
+ * Phone Number Utilities
+ * Shared helpers for comparing customer phone numbers
+ */
+
+/**
+ * Normalize a phone number to E.164-style format for comparison
+ * 10-digit numbers are assumed to be US/Canada numbers
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string|null} - Normalized phone number (e.g. +15551234567) or null if empty
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber) return null;
+
+  const digits = String(phoneNumber).replace(/\D/g, '');
+
+  if (!digits) return null;
+
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+
+  return `+${digits}`;
+};
+
+/**
+ * Check whether two phone numbers refer to the same number
+ * @param {string} a - First phone number
+ * @param {string} b - Second phone number
+ * @returns {boolean} - True if both normalize to the same number
+ */
+const phoneNumbersMatch = (a, b) => {
+  const normalizedA = normalizePhoneNumber(a);
+  return normalizedA !== null && normalizedA === normalizePhoneNumber(b);
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  phoneNumbersMatch,
+};
@@ -0,0 +1,277 @@
+/**
+ * Timezone Utilities
+ * Calendar and wall-clock calculations in a tenant's IANA timezone
+ */
+const { Tenant } = require('../modules/tenants/tenant.model');
+
+/**
+ * Timezone used when a tenant has none configured
+ */
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Date key format (YYYY-MM-DD)
+ */
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits dates into numeric parts for a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getPartsFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {string} timezone - Timezone to check
+ * @returns {boolean} - True if valid
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    getPartsFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Fall back to the default timezone when a value is missing or invalid
+ * @param {string} timezone - Configured timezone
+ * @returns {string} - Usable IANA timezone
+ */
+const resolveTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getPartsFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (negative west of UTC)
+ */
+const getTimezoneOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Date key (YYYY-MM-DD)
+ */
+const getDateKey = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Resolve a date argument to a calendar date in a timezone
+ * Date keys are taken as-is; instants are converted to the timezone's calendar date
+ * @param {Date|string} date - Date key or instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Date key (YYYY-MM-DD)
+ */
+const toDateKey = (date, timezone) => {
+  if (typeof date === 'string' && DATE_KEY_REGEX.test(date)) {
+    return date;
+  }
+  return getDateKey(new Date(date), timezone);
+};
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date key
+ */
+const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Add calendar months to a date key, keeping the day of the month
+ * Days past the end of a shorter month move to its last day (Jan 31 + 1 month is Feb 28)
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} - Date key
+ */
+const addMonthsToDateKey = (dateKey, months) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDayOfMonth = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfMonth))).toISOString().split('T')[0];
+};
+
+/**
+ * Count the calendar days from one date key to another
+ * @param {string} fromDateKey - Date key (YYYY-MM-DD)
+ * @param {string} toDateKey - Date key (YYYY-MM-DD)
+ * @returns {number} - Days (negative if toDateKey is earlier)
+ */
+const getDaysBetweenDateKeys = (fromDateKey, toDateKey) => {
+  const [fromYear, fromMonth, fromDay] = fromDateKey.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toDateKey.split('-').map(Number);
+  return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / MS_PER_DAY);
+};
+
+/**
+ * Format a date key for display, independent of the server's timezone
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} - Formatted date
+ */
+const formatDateKey = (dateKey, options) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    ...options,
+    timeZone: 'UTC',
+  });
+};
+
+/**
+ * Get the day of the week for a date key
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @returns {number} - 0 (Sunday) to 6 (Saturday)
+ */
+const getDayOfWeekForDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Convert a wall-clock time on a date in a timezone to an instant
+ * Times repeated when clocks go back resolve to the first occurrence; times skipped when
+ * clocks go forward move forward by the gap (02:30 becomes 03:30)
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} minutes - Minutes from midnight (may exceed a day)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Instant
+ */
+const zonedTimeToUtc = (dateKey, minutes, timezone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Offsets either side of any DST change that could affect this wall-clock time
+  const offsetBefore = getTimezoneOffset(new Date(wallClockAsUtc - MS_PER_DAY), timezone);
+  const offsetAfter = getTimezoneOffset(new Date(wallClockAsUtc + MS_PER_DAY), timezone);
+
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => wallClockAsUtc - offset)
+    .filter(instant => wallClockAsUtc - getTimezoneOffset(new Date(instant), timezone) === instant);
+
+  if (matches.length === 0) {
+    return new Date(wallClockAsUtc - offsetBefore);
+  }
+
+  return new Date(Math.min(...matches));
+};
+
+/**
+ * Get the instant a calendar date starts in a timezone
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Local midnight
+ */
+const startOfDayInTimezone = (dateKey, timezone) => zonedTimeToUtc(dateKey, 0, timezone);
+
+/**
+ * Get the wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Minutes from midnight
+ */
+const getMinutesOfDay = (date, timezone) => {
+  const { hour, minute } = getZonedParts(date, timezone);
+  return hour * 60 + minute;
+};
+
+/**
+ * Format the wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Time in HH:MM format
+ */
+const formatTimeOfDay = (date, timezone) => {
+  const minutes = getMinutesOfDay(date, timezone);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Get a tenant's configured timezone
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - Query options
+ * @param {Object} options.transaction - Transaction to read in
+ * @returns {Promise<string>} - IANA timezone (DEFAULT_TIMEZONE if not set)
+ */
+const getTenantTimezone = async (tenantId, { transaction } = {}) => {
+  const tenant = await Tenant.findOne({ where: { id: tenantId }, transaction });
+  return resolveTimezone(tenant?.timezone);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_KEY_REGEX,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  getDateKey,
+  toDateKey,
+  addDaysToDateKey,
+  addMonthsToDateKey,
+  getDaysBetweenDateKeys,
+  formatDateKey,
+  getDayOfWeekForDateKey,
+  zonedTimeToUtc,
+  startOfDayInTimezone,
+  getMinutesOfDay,
+  formatTimeOfDay,
+  getTenantTimezone,
+};
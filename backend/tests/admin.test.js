@@ -6,18 +6,26 @@ const request = require('supertest');
 
 // Set test environment first
 process.env.NODE_ENV = 'test';
-process.env.ADMIN_PASSWORD = 'test-admin-password';
 
 // Define mocks before requiring anything else
 const mockTenantModel = {
   findAll: jest.fn(),
   findOne: jest.fn(),
+  isValidTransition: jest.fn((from, to) => ({
+    pending: ['active', 'cancelled'],
+    active: ['suspended', 'cancelled'],
+    suspended: ['active', 'cancelled'],
+    cancelled: [],
+  }[from] || []).includes(to)),
 };
 
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
+  count: jest.fn(),
+  max: jest.fn(),
 };
 
 const mockAppointmentModel = {
@@ -45,6 +53,20 @@ const mockSubscriptionModel = {
   create: jest.fn(),
 };
 
+const mockAdminUserModel = {
+  findOne: jest.fn(),
+  findByPk: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+  increment: jest.fn(),
+  update: jest.fn().mockResolvedValue([1]),
+};
+
+const mockAdminAuditLogModel = {
+  create: jest.fn().mockResolvedValue({}),
+  findAndCountAll: jest.fn(),
+};
+
 const mockBusinessTypeModel = {
   findAll: jest.fn(),
   findOne: jest.fn(),
@@ -100,6 +122,7 @@ jest.mock('../src/modules/employees/employee.model', () => ({
 
 jest.mock('../src/modules/services/service.model', () => ({
   Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
   SERVICE_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
@@ -133,21 +156,74 @@ jest.mock('../src/modules/business-types/businessType.model', () => ({
   BusinessType: mockBusinessTypeModel,
 }));
 
+jest.mock('../src/modules/admin/adminUser.model', () => ({
+  AdminUser: mockAdminUserModel,
+  MIN_ADMIN_PASSWORD_LENGTH: 12,
+}));
+
+jest.mock('../src/modules/admin/adminAuditLog.model', () => ({
+  AdminAuditLog: mockAdminAuditLogModel,
+  ADMIN_ACTIONS: {
+    LOGIN: 'auth.login',
+    LOGIN_FAILED: 'auth.login_failed',
+    LOCKED: 'auth.locked',
+    TWO_FACTOR_ENABLED: 'auth.2fa_enabled',
+    ADMIN_CREATED: 'admins.create',
+    ADMIN_DEACTIVATED: 'admins.deactivate',
+    CLIENTS_VIEWED: 'clients.view',
+    CLIENT_VIEWED: 'clients.view_detail',
+    CLIENT_SUSPENDED: 'clients.suspend',
+    CLIENT_REACTIVATED: 'clients.reactivate',
+    CLIENT_IMPERSONATED: 'clients.impersonate',
+  },
+}));
+
 jest.mock('../src/utils/tenant', () => ({
   getTenantUUID: jest.fn().mockResolvedValue('tenant-uuid-123'),
 }));
 
 const { app } = require('../src/app');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const jwtUtils = require('../src/modules/auth/jwt.utils');
+const twoFactorUtils = require('../src/modules/auth/2fa.utils');
 
 describe('Admin API', () => {
+  const adminId = '550e8400-e29b-41d4-a716-446655440040';
+  const otherAdminId = '550e8400-e29b-41d4-a716-446655440041';
+
+  const adminRecord = (data = {}) => ({
+    id: adminId,
+    email: 'admin@example.com',
+    isActive: true,
+    twoFactorEnabled: true,
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    ...data,
+    comparePassword: jest.fn(async (password) => password === 'correct-admin-password'),
+    update: jest.fn(async function(changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    reload: jest.fn(async function() {
+      return this;
+    }),
+    toSafeObject() {
+      const { comparePassword, update, reload, toSafeObject, password, twoFactorSecret, ...fields } = this;
+      return fields;
+    },
+  });
+
+  const adminToken = jwtUtils.generateAdminToken({ id: adminId, email: 'admin@example.com' }).accessToken;
+  const validAuth = `Bearer ${adminToken}`;
+
   beforeEach(() => {
     jest.clearAllMocks();
+    mockAdminUserModel.findByPk.mockImplementation(async (id) => adminRecord({ id }));
   });
 
   describe('GET /api/admin/clients', () => {
-    const validPassword = 'test-admin-password';
-    
-    it('should return 401 when no admin password is provided', async () => {
+    it('should return 401 when no admin token is provided', async () => {
       const response = await request(app).get('/api/admin/clients');
 
       expect(response.status).toBe(401);
@@ -155,17 +231,48 @@ describe('Admin API', () => {
       expect(response.body.code).toBe('UNAUTHORIZED');
     });
 
-    it('should return 401 when invalid admin password is provided', async () => {
+    it('should return 401 when a tenant token is provided', async () => {
+      const tenantToken = jwtUtils.generateAccessToken({
+        userId: 'user-123',
+        email: 'owner@example.com',
+        tenantId: 'test-tenant',
+        role: 'owner',
+      });
+
       const response = await request(app)
         .get('/api/admin/clients')
-        .set('X-Admin-Password', 'wrong-password');
+        .set('Authorization', `Bearer ${tenantToken}`);
 
       expect(response.status).toBe(401);
       expect(response.body.success).toBe(false);
-      expect(response.body.code).toBe('INVALID_PASSWORD');
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should return 401 when the admin has been deactivated', async () => {
+      mockAdminUserModel.findByPk.mockResolvedValue(adminRecord({ isActive: false }));
+
+      const response = await request(app)
+        .get('/api/admin/clients')
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('ADMIN_INACTIVE');
+      expect(mockTenantModel.findAll).not.toHaveBeenCalled();
     });
 
-    it('should return list of clients when valid admin password is provided', async () => {
+    it('should return 401 when the admin hasn\'t enrolled in 2FA', async () => {
+      mockAdminUserModel.findByPk.mockResolvedValue(adminRecord({ twoFactorEnabled: false }));
+
+      const response = await request(app)
+        .get('/api/admin/clients')
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(mockTenantModel.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return list of clients when a valid admin token is provided', async () => {
       const mockTenants = [
         {
           id: '123e4567-e89b-12d3-a456-426614174000',
@@ -193,7 +300,7 @@ describe('Admin API', () => {
 
       const response = await request(app)
         .get('/api/admin/clients')
-        .set('X-Admin-Password', validPassword);
+        .set('Authorization', validAuth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -219,6 +326,12 @@ describe('Admin API', () => {
         attributes: ['id', 'name', 'slug', 'status', 'planType', 'contactEmail', 'createdAt', 'updatedAt'],
         order: [['createdAt', 'DESC']],
       });
+
+      // The view is recorded against the admin who made it
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'clients.view',
+        adminUserId: adminId,
+      }));
     });
 
     it('should return empty list when no clients exist', async () => {
@@ -226,7 +339,7 @@ describe('Admin API', () => {
 
       const response = await request(app)
         .get('/api/admin/clients')
-        .set('X-Admin-Password', validPassword);
+        .set('Authorization', validAuth);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -239,7 +352,7 @@ describe('Admin API', () => {
 
       const response = await request(app)
         .get('/api/admin/clients')
-        .set('X-Admin-Password', validPassword);
+        .set('Authorization', validAuth);
 
       expect(response.status).toBe(500);
       expect(response.body.success).toBe(false);
@@ -247,37 +360,597 @@ describe('Admin API', () => {
     });
   });
 
-  describe('Admin Password Configuration', () => {
-    it('should work with password from environment variable', async () => {
-      mockTenantModel.findAll.mockResolvedValue([]);
+  describe('Admin tokens', () => {
+    it('should not be accepted by tenant routes', async () => {
+      const response = await request(app)
+        .get('/api/me')
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
 
+    it('should carry the admin scope', () => {
+      expect(jwtUtils.verifyAdminToken(adminToken)).toEqual(expect.objectContaining({
+        adminId,
+        scope: 'admin',
+      }));
+      expect(jwtUtils.verifyToken(adminToken)).toBeNull();
+    });
+  });
+
+  describe('POST /api/admin/auth/login', () => {
+    it('should return 400 without email and password', async () => {
       const response = await request(app)
-        .get('/api/admin/clients')
-        .set('X-Admin-Password', process.env.ADMIN_PASSWORD);
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return an admin token for valid credentials', async () => {
+      const secret = twoFactorUtils.generateSecret();
+      const admin = adminRecord({ twoFactorSecret: secret });
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({
+          email: 'Admin@Example.com',
+          password: 'correct-admin-password',
+          twoFactorCode: twoFactorUtils.generateToken(secret),
+        });
 
       expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
+      expect(mockAdminUserModel.findOne).toHaveBeenCalledWith({ where: { email: 'admin@example.com' } });
+      expect(jwtUtils.verifyAdminToken(response.body.data.tokens.accessToken).adminId).toBe(adminId);
+      expect(response.body.data.admin.password).toBeUndefined();
+      expect(admin.update).toHaveBeenCalledWith({
+        lastLoginAt: expect.any(Date),
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null,
+      });
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'auth.login',
+        adminUserId: adminId,
+      }));
     });
 
-    it('should reject passwords of different lengths', async () => {
+    it('should start 2FA enrollment instead of returning a token on the first login', async () => {
+      const admin = adminRecord({ twoFactorEnabled: false });
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+
       const response = await request(app)
-        .get('/api/admin/clients')
-        .set('X-Admin-Password', 'short');
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'correct-admin-password' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.requiresTwoFactorSetup).toBe(true);
+      expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(response.body.data.tokens).toBeUndefined();
+      expect(admin.update).toHaveBeenCalledWith({ twoFactorSecret: expect.any(String) });
+      expect(admin.twoFactorEnabled).toBe(false);
+    });
+
+    it('should enable 2FA and log in with a code for the enrollment secret', async () => {
+      const secret = twoFactorUtils.generateSecret();
+      const admin = adminRecord({ twoFactorEnabled: false, twoFactorSecret: secret });
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({
+          email: 'admin@example.com',
+          password: 'correct-admin-password',
+          twoFactorCode: twoFactorUtils.generateToken(secret),
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+      expect(admin.update).toHaveBeenCalledWith({ twoFactorEnabled: true });
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'auth.2fa_enabled',
+        adminUserId: adminId,
+      }));
+    });
+
+    it('should audit and reject an unknown email', async () => {
+      mockAdminUserModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'nobody@example.com', password: 'correct-admin-password' });
 
       expect(response.status).toBe(401);
-      expect(response.body.code).toBe('INVALID_PASSWORD');
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'auth.login_failed',
+        adminUserId: null,
+        metadata: { email: 'nobody@example.com', reason: 'unknown_email' },
+      }));
     });
 
-    it('should reject similar but not identical passwords', async () => {
-      // Change one character in the middle of the password
-      const almostCorrect = process.env.ADMIN_PASSWORD.slice(0, -1) + 'X';
-      
+    it('should reject a wrong password and count it in the database', async () => {
+      const admin = adminRecord();
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+
       const response = await request(app)
-        .get('/api/admin/clients')
-        .set('X-Admin-Password', almostCorrect);
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+      expect(response.body.data).toBeUndefined();
+      expect(mockAdminUserModel.increment).toHaveBeenCalledWith('failedLoginAttempts', { where: { id: adminId } });
+      expect(admin.reload).toHaveBeenCalled();
+      expect(admin.lockedUntil).toBeUndefined();
+    });
+
+    it('should lock the account after too many failed logins in a row', async () => {
+      const admin = adminRecord({ failedLoginAttempts: 4, lockoutCount: 0 });
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+      mockAdminUserModel.increment.mockImplementationOnce(async () => {
+        admin.failedLoginAttempts += 1;
+      });
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+      expect(mockAdminUserModel.update).toHaveBeenCalledWith({
+        failedLoginAttempts: 0,
+        lockoutCount: 1,
+        lockedUntil: expect.any(Date),
+      }, {
+        where: { id: adminId, failedLoginAttempts: { [Op.gte]: 5 } },
+      });
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'auth.locked',
+        adminUserId: adminId,
+      }));
+    });
+
+    it('should lock only once when failed logins arrive in parallel', async () => {
+      const admin = adminRecord({ failedLoginAttempts: 5, lockoutCount: 0 });
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+      // A parallel attempt already locked the account and reset the count
+      mockAdminUserModel.update.mockResolvedValueOnce([0]);
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+      expect(mockAdminUserModel.update).toHaveBeenCalledTimes(1);
+      expect(mockAdminAuditLogModel.create).not.toHaveBeenCalledWith(expect.objectContaining({
+        action: 'auth.locked',
+      }));
+    });
+
+    it('should reject a locked account like a wrong password without checking it', async () => {
+      const admin = adminRecord({ lockedUntil: new Date(Date.now() + 60 * 60 * 1000) });
+      mockAdminUserModel.findOne.mockResolvedValue(admin);
+      const compare = jest.spyOn(bcrypt, 'compare');
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'correct-admin-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+      expect(admin.comparePassword).not.toHaveBeenCalled();
+      // A dummy password check keeps the response as slow as a wrong password
+      expect(compare).toHaveBeenCalledWith('correct-admin-password', expect.any(String));
+      compare.mockRestore();
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'auth.login_failed',
+        metadata: { email: 'admin@example.com', reason: 'locked' },
+      }));
+    });
+
+    it('should reject a deactivated admin with the same error', async () => {
+      mockAdminUserModel.findOne.mockResolvedValue(adminRecord({ isActive: false }));
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'correct-admin-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should ask for a 2FA code when 2FA is enabled', async () => {
+      const secret = twoFactorUtils.generateSecret();
+      mockAdminUserModel.findOne.mockResolvedValue(adminRecord({ twoFactorEnabled: true, twoFactorSecret: secret }));
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'correct-admin-password' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.requiresTwoFactor).toBe(true);
+      expect(response.body.data).toBeUndefined();
+    });
+
+    it('should log in with a valid 2FA code', async () => {
+      const secret = twoFactorUtils.generateSecret();
+      mockAdminUserModel.findOne.mockResolvedValue(adminRecord({ twoFactorEnabled: true, twoFactorSecret: secret }));
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({
+          email: 'admin@example.com',
+          password: 'correct-admin-password',
+          twoFactorCode: twoFactorUtils.generateToken(secret),
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+    });
+
+    it('should reject a wrong 2FA code', async () => {
+      const secret = twoFactorUtils.generateSecret();
+      mockAdminUserModel.findOne.mockResolvedValue(adminRecord({ twoFactorEnabled: true, twoFactorSecret: secret }));
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'correct-admin-password', twoFactorCode: '000000' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_2FA_CODE');
+      expect(mockAdminUserModel.increment).toHaveBeenCalledWith('failedLoginAttempts', { where: { id: adminId } });
+    });
+  });
+
+  describe('Admin accounts', () => {
+    it('should create an admin and audit it', async () => {
+      mockAdminUserModel.findOne.mockResolvedValue(null);
+      mockAdminUserModel.create.mockImplementation(async (data) => adminRecord({ ...data, id: otherAdminId }));
+
+      const response = await request(app)
+        .post('/api/admin/admins')
+        .set('Authorization', validAuth)
+        .send({ email: 'Second@Example.com', password: 'another-long-password', name: 'Second Admin' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.admin.email).toBe('second@example.com');
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'admins.create',
+        adminUserId: adminId,
+        targetType: 'admin_user',
+        targetId: otherAdminId,
+      }));
+    });
+
+    it('should return 400 for a short password', async () => {
+      const response = await request(app)
+        .post('/api/admin/admins')
+        .set('Authorization', validAuth)
+        .send({ email: 'second@example.com', password: 'short' });
+
+      expect(response.status).toBe(400);
+      expect(mockAdminUserModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the email is taken', async () => {
+      mockAdminUserModel.findOne.mockResolvedValue(adminRecord({ id: otherAdminId }));
+
+      const response = await request(app)
+        .post('/api/admin/admins')
+        .set('Authorization', validAuth)
+        .send({ email: 'second@example.com', password: 'another-long-password' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('ADMIN_EXISTS');
+    });
+
+    it('should deactivate another admin', async () => {
+      const other = adminRecord({ id: otherAdminId });
+      mockAdminUserModel.findByPk.mockImplementation(async (id) => (id === otherAdminId ? other : adminRecord()));
+
+      const response = await request(app)
+        .delete(`/api/admin/admins/${otherAdminId}`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(200);
+      expect(other.update).toHaveBeenCalledWith({ isActive: false });
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'admins.deactivate',
+        targetId: otherAdminId,
+      }));
+    });
+
+    it('should not let an admin deactivate themselves', async () => {
+      const response = await request(app)
+        .delete(`/api/admin/admins/${adminId}`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('CANNOT_DEACTIVATE_SELF');
+    });
+  });
+
+  describe('GET /api/admin/audit-log', () => {
+    it('should return audit log entries, newest first', async () => {
+      mockAdminAuditLogModel.findAndCountAll.mockResolvedValue({
+        rows: [{ id: 'log-1', action: 'clients.view', adminUserId: adminId }],
+        count: 1,
+      });
+
+      const response = await request(app)
+        .get('/api/admin/audit-log')
+        .query({ action: 'clients.view', limit: 10 })
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.logs).toHaveLength(1);
+      expect(response.body.data.total).toBe(1);
+      expect(mockAdminAuditLogModel.findAndCountAll).toHaveBeenCalledWith({
+        where: { action: 'clients.view' },
+        limit: 10,
+        offset: 0,
+        order: [['createdAt', 'DESC']],
+      });
+    });
+  });
+
+  describe('Client drill-down', () => {
+    const clientId = '123e4567-e89b-12d3-a456-426614174000';
+
+    const tenantRecord = (data = {}) => ({
+      id: clientId,
+      name: 'Test Business 1',
+      slug: 'test-business-1',
+      status: 'active',
+      planType: 'basic',
+      contactEmail: 'test1@example.com',
+      twilioPhoneNumber: '+15551234567',
+      metadata: { source: 'signup' },
+      createdAt: new Date('2024-01-01'),
+      updatedAt: new Date('2024-01-15'),
+      ...data,
+      transitionTo: jest.fn(async function(status) {
+        this.status = status;
+        return this;
+      }),
+    });
+
+    it('should return subscription, phone number, activity and last login', async () => {
+      const lastLogin = new Date('2024-02-01T10:00:00Z');
+      mockTenantModel.findOne.mockResolvedValue(tenantRecord());
+      mockSubscriptionModel.findOne.mockResolvedValue({ status: 'active', billingInterval: 'monthly' });
+      mockAppointmentModel.count.mockResolvedValueOnce(120).mockResolvedValueOnce(30);
+      mockCallLogModel.count.mockResolvedValueOnce(80).mockResolvedValueOnce(12);
+      mockEmployeeModel.count.mockResolvedValue(4);
+      mockUserModel.count.mockResolvedValue(2);
+      mockUserModel.max.mockResolvedValue(lastLogin);
+
+      const response = await request(app)
+        .get(`/api/admin/clients/${clientId}`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(200);
+      const { client } = response.body.data;
+      expect(client).toMatchObject({
+        id: clientId,
+        phoneNumber: '+15551234567',
+        allowedTransitions: ['suspended', 'cancelled'],
+        subscription: { status: 'active', billingInterval: 'monthly' },
+        activity: {
+          days: 30,
+          appointments: { total: 120, recent: 30 },
+          calls: { total: 80, recent: 12 },
+          activeEmployees: 4,
+        },
+        team: { activeUsers: 2, lastLoginAt: lastLogin.toISOString() },
+      });
+      expect(mockUserModel.max).toHaveBeenCalledWith('lastLoginAt', { where: { tenantId: clientId } });
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'clients.view_detail',
+        adminUserId: adminId,
+        targetType: 'tenant',
+        targetId: clientId,
+      }));
+    });
+
+    it('should return 404 for an unknown client', async () => {
+      mockTenantModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/admin/clients/${clientId}`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('TENANT_NOT_FOUND');
+    });
+
+    it('should suspend a client and remember the suspension came from an admin', async () => {
+      const tenant = tenantRecord();
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      const response = await request(app)
+        .post(`/api/admin/clients/${clientId}/suspend`)
+        .set('Authorization', validAuth)
+        .send({ reason: 'Chargeback' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.client.status).toBe('suspended');
+      expect(tenant.transitionTo).toHaveBeenCalledWith('suspended');
+      expect(tenant.metadata).toEqual({
+        source: 'signup',
+        adminSuspension: expect.objectContaining({ adminUserId: adminId, reason: 'Chargeback' }),
+      });
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'clients.suspend',
+        targetId: clientId,
+        metadata: { from: 'active', to: 'suspended', reason: 'Chargeback' },
+      }));
+    });
+
+    it('should reactivate a suspended client and lift the admin suspension', async () => {
+      const tenant = tenantRecord({
+        status: 'suspended',
+        metadata: { source: 'signup', adminSuspension: { adminUserId: adminId } },
+      });
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      const response = await request(app)
+        .post(`/api/admin/clients/${clientId}/reactivate`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.client.status).toBe('active');
+      expect(tenant.metadata).toEqual({ source: 'signup' });
+    });
+
+    it('should keep metadata stored as a JSON string when reactivating', async () => {
+      const tenant = tenantRecord({
+        status: 'suspended',
+        metadata: JSON.stringify({ source: 'signup', adminSuspension: { adminUserId: adminId } }),
+      });
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      const response = await request(app)
+        .post(`/api/admin/clients/${clientId}/reactivate`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(200);
+      expect(tenant.metadata).toEqual({ source: 'signup' });
+    });
+
+    it('should reject transitions that VALID_TRANSITIONS does not allow', async () => {
+      const tenant = tenantRecord({ status: 'cancelled' });
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      const response = await request(app)
+        .post(`/api/admin/clients/${clientId}/reactivate`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(tenant.transitionTo).not.toHaveBeenCalled();
+      expect(mockAdminAuditLogModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should not activate a pending client through reactivation', async () => {
+      const tenant = tenantRecord({ status: 'pending' });
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      const response = await request(app)
+        .post(`/api/admin/clients/${clientId}/reactivate`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(tenant.transitionTo).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid client ID', async () => {
+      const response = await request(app)
+        .post('/api/admin/clients/not-a-uuid/suspend')
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Viewing as a client', () => {
+    const clientId = '123e4567-e89b-12d3-a456-426614174000';
+    const owner = {
+      id: '550e8400-e29b-41d4-a716-446655440042',
+      email: 'owner@example.com',
+      tenantId: clientId,
+      role: 'owner',
+    };
+
+    const impersonate = async () => {
+      mockTenantModel.findOne.mockResolvedValue({ id: clientId, name: 'Test Business 1' });
+      mockUserModel.findOne.mockResolvedValue(owner);
+
+      return request(app)
+        .post(`/api/admin/clients/${clientId}/impersonate`)
+        .set('Authorization', validAuth)
+        .send({ reason: 'Support ticket 42' });
+    };
+
+    it('should return an audited token naming the admin', async () => {
+      const response = await impersonate();
+
+      expect(response.status).toBe(200);
+      expect(mockUserModel.findOne).toHaveBeenCalledWith({
+        where: { tenantId: clientId, role: 'owner', isActive: true },
+        order: [['createdAt', 'ASC']],
+      });
+      expect(jwtUtils.verifyToken(response.body.data.tokens.accessToken)).toEqual(expect.objectContaining({
+        userId: owner.id,
+        tenantId: clientId,
+        impersonatedBy: adminId,
+      }));
+      expect(response.body.data.tokens.refreshToken).toBeUndefined();
+      expect(mockAdminAuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'clients.impersonate',
+        adminUserId: adminId,
+        targetId: clientId,
+        metadata: { userId: owner.id, email: owner.email, reason: 'Support ticket 42' },
+      }));
+    });
+
+    it('should return 404 when the client has no active owner', async () => {
+      mockTenantModel.findOne.mockResolvedValue({ id: clientId, name: 'Test Business 1' });
+      mockUserModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post(`/api/admin/clients/${clientId}/impersonate`)
+        .set('Authorization', validAuth);
+
+      expect(response.status).toBe(404);
+      expect(mockAdminAuditLogModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should be read-only', async () => {
+      const { accessToken } = (await impersonate()).body.data.tokens;
+
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ email: 'new@example.com', role: 'staff' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('IMPERSONATION_READ_ONLY');
+    });
+
+    it('should still let the admin look at a suspended client', async () => {
+      const { accessToken } = (await impersonate()).body.data.tokens;
+      const client = {
+        id: clientId,
+        status: 'suspended',
+        metadata: { adminSuspension: { adminUserId: adminId } },
+      };
+      mockTenantModel.findOne.mockResolvedValue({ ...client, toSafeObject: () => client });
+      mockUserModel.findOne.mockResolvedValue({ ...owner, toSafeObject: () => owner });
+
+      const response = await request(app)
+        .get('/api/me')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not be exchangeable for the owner\'s own tokens', async () => {
+      const { accessToken } = (await impersonate()).body.data.tokens;
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: accessToken });
 
       expect(response.status).toBe(401);
-      expect(response.body.code).toBe('INVALID_PASSWORD');
+      expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+      expect(mockUserModel.findByPk).not.toHaveBeenCalled();
     });
   });
 });
@@ -46,13 +46,15 @@ const mockBusinessTypeModel = {
 
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
 };
 
 // Mock models BEFORE requiring the app
 jest.mock('../src/modules/services/service.model', () => ({
   Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
   SERVICE_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
@@ -80,6 +82,44 @@ jest.mock('../src/modules/employees/employee.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/appointments/slotHold.model', () => ({
+  SlotHold: {
+    findAll: jest.fn().mockResolvedValue([]),
+    destroy: jest.fn().mockResolvedValue(0),
+  },
+  DEFAULT_HOLD_TTL_SECONDS: 120,
+  MAX_HOLD_TTL_SECONDS: 600,
+}));
+
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: {
+    findOne: jest.fn().mockResolvedValue(null),
+    create: jest.fn().mockResolvedValue({ id: 'customer-uuid-123' }),
+  },
+}));
+
+jest.mock('../src/modules/employees/employeeTimeOff.model', () => ({
+  EmployeeTimeOff: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  TIME_OFF_TYPES: {
+    DAY_OFF: 'day_off',
+    BLOCKED: 'blocked',
+    EXTRA_HOURS: 'extra_hours',
+  },
+  TIME_OFF_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenantClosure.model', () => ({
+  TenantClosure: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+}));
+
 jest.mock('../src/modules/appointments/appointment.model', () => ({
   Appointment: mockAppointmentModel,
   APPOINTMENT_STATUS: {
@@ -173,6 +213,10 @@ jest.mock('../src/utils/tenant', () => ({
 
 // Now require the app AFTER the mocks are in place
 const { app } = require('../src/app');
+const { sequelize } = require('../src/config/db');
+
+// Run booking transactions without a database connection
+jest.spyOn(sequelize, 'transaction').mockImplementation(async (options, work) => work({}));
 const jwtUtils = require('../src/modules/auth/jwt.utils');
 
 describe('AI Assistant Module', () => {
@@ -408,6 +452,40 @@ describe('AI Assistant Module', () => {
         expect(response.body.data.action).toBe('cancel');
       }
     });
+
+    it('should reject an employee-scoped staff token for another employee\'s appointment', async () => {
+      mockUserModel.findByPk.mockResolvedValueOnce({
+        id: '456',
+        role: 'staff',
+        employeeId: '44444444-4444-4444-4444-444444444444',
+        isActive: true,
+      });
+      const staffToken = jwtUtils.generateAccessToken({
+        userId: '456',
+        email: 'stylist@example.com',
+        tenantId: 'test-tenant',
+      });
+      mockAppointmentModel.findOne.mockResolvedValue({
+        id: mockAppointmentId,
+        employeeId: mockEmployeeId,
+        status: 'scheduled',
+        cancel: jest.fn(),
+      });
+
+      const response = await request(app)
+        .post('/api/ai/appointments')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          action: 'cancel',
+          appointmentId: mockAppointmentId,
+          cancellationReason: 'customer_request',
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('FORBIDDEN');
+      expect(mockAppointmentModel.findOne).not.toHaveBeenCalled();
+    });
   });
 
   describe('POST /api/ai/services', () => {
@@ -1143,6 +1221,23 @@ describe('Intent Handler', () => {
       expect(response).toContain('$50');
     });
 
+    it('should quote an employee\'s own price and duration', () => {
+      const services = [
+        { id: 'service-1', name: 'Haircut', price: 50, duration: 60 },
+        { id: 'service-2', name: 'Styling', price: 30, duration: 30 },
+      ];
+      const employee = {
+        firstName: 'Sarah',
+        lastName: 'Johnson',
+        serviceOverrides: { 'service-1': { price: 75, duration: 45 } },
+      };
+
+      const response = formatServicesResponse(services, employee);
+      expect(response).toContain('with Sarah Johnson');
+      expect(response).toContain('Haircut - $75 (45 minutes)');
+      expect(response).toContain('Styling - $30 (30 minutes)');
+    });
+
     it('should handle empty services', () => {
       const response = formatServicesResponse([]);
       expect(response).toContain('available');
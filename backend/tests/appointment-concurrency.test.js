@@ -0,0 +1,142 @@
+/**
+ * Appointment Concurrency Tests
+ * Fires parallel bookings at the same slot against a real MySQL database
+ *
+ * Skipped unless RUN_DB_TESTS=true. Point the DB_* variables at a disposable
+ * database: missing tables are created with sequelize.sync() and the test rows
+ * are removed afterwards. Without a database, the "Booking locks" tests in
+ * appointment.test.js cover the locking with a stubbed transaction.
+ */
+
+jest.mock('../src/modules/appointments/sms.service', () => ({
+  sendAppointmentConfirmationSms: jest.fn().mockResolvedValue(null),
+}));
+
+const { sequelize } = require('../src/config/db');
+const { Tenant, Employee, Service, Appointment, APPOINTMENT_STATUS } = require('../src/models');
+const appointmentService = require('../src/modules/appointments/appointment.service');
+
+const describeWithDatabase = process.env.RUN_DB_TESTS === 'true' ? describe : describe.skip;
+
+describeWithDatabase('Concurrent appointment booking (database)', () => {
+  const PARALLEL_REQUESTS = 5;
+  const HOUR_MS = 60 * 60 * 1000;
+
+  let tenant;
+  let employee;
+  let service;
+
+  // A whole hour a week from now, so the slot is never in the past
+  const slotAt = (hourOffset) => {
+    const start = new Date(Date.now() + 7 * 24 * HOUR_MS);
+    start.setUTCHours(10 + hourOffset, 0, 0, 0);
+    return start;
+  };
+
+  const bookingFor = (index, startTime) => ({
+    employeeId: employee.id,
+    serviceId: service.id,
+    customerName: `Caller ${index}`,
+    customerEmail: `caller${index}@example.com`,
+    customerPhone: `+1555000000${index}`,
+    startTime: startTime.toISOString(),
+  });
+
+  const activeAppointmentsAt = (startTime) => Appointment.count({
+    where: {
+      employeeId: employee.id,
+      startTime,
+      status: APPOINTMENT_STATUS.SCHEDULED,
+    },
+  });
+
+  beforeAll(async () => {
+    await sequelize.sync();
+
+    const suffix = Date.now();
+    tenant = await Tenant.create({
+      name: `Concurrency Test ${suffix}`,
+      slug: `concurrency-test-${suffix}`,
+      contactEmail: `owner-${suffix}@example.com`,
+    });
+    service = await Service.create({
+      tenantId: tenant.id,
+      name: 'Haircut',
+      duration: 60,
+      price: 30.00,
+    });
+    employee = await Employee.create({
+      tenantId: tenant.id,
+      firstName: 'Race',
+      lastName: 'Condition',
+      email: `stylist-${suffix}@example.com`,
+      serviceIds: [service.id],
+    });
+  });
+
+  afterEach(async () => {
+    await Appointment.destroy({ where: { tenantId: tenant.id } });
+  });
+
+  afterAll(async () => {
+    if (tenant) {
+      await Employee.destroy({ where: { tenantId: tenant.id } });
+      await Service.destroy({ where: { tenantId: tenant.id } });
+      await tenant.destroy();
+    }
+    await sequelize.close();
+  });
+
+  it('should book the slot once when bookings arrive at the same time', async () => {
+    const startTime = slotAt(0);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) =>
+        appointmentService.createAppointment(bookingFor(index, startTime), tenant.id)
+      )
+    );
+
+    const booked = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(booked).toHaveLength(1);
+    expect(rejected.map(result => result.reason.code))
+      .toEqual(Array(PARALLEL_REQUESTS - 1).fill('TIME_SLOT_CONFLICT'));
+    expect(await activeAppointmentsAt(startTime)).toBe(1);
+  });
+
+  it('should let only one overlapping booking through', async () => {
+    // Each booking starts 10 minutes after the previous one, so all of them overlap
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) => {
+        const startTime = new Date(slotAt(0).getTime() + index * 10 * 60 * 1000);
+        return appointmentService.createAppointment(bookingFor(index, startTime), tenant.id);
+      })
+    );
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await Appointment.count({ where: { tenantId: tenant.id } })).toBe(1);
+  });
+
+  it('should move only one appointment when reschedules target the same slot', async () => {
+    const appointments = [];
+    for (let index = 0; index < PARALLEL_REQUESTS; index++) {
+      appointments.push(
+        await appointmentService.createAppointment(bookingFor(index, slotAt(index + 1)), tenant.id)
+      );
+    }
+    const target = slotAt(0);
+
+    const results = await Promise.allSettled(
+      appointments.map(appointment =>
+        appointmentService.updateAppointment(appointment.id, tenant.id, { startTime: target.toISOString() })
+      )
+    );
+
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(rejected.every(result => result.reason.code === 'TIME_SLOT_CONFLICT')).toBe(true);
+    expect(await activeAppointmentsAt(target)).toBe(1);
+  });
+});
@@ -10,6 +10,41 @@ const mockAppointmentModel = {
   findAndCountAll: jest.fn(),
   findAll: jest.fn(),
   create: jest.fn(),
+  count: jest.fn().mockResolvedValue(0),
+};
+
+const mockSlotHoldModel = {
+  findAll: jest.fn().mockResolvedValue([]),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn().mockResolvedValue(0),
+};
+
+const mockAppointmentSeriesModel = {
+  findOne: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn().mockResolvedValue([1]),
+};
+
+const mockAppointmentGroupModel = {
+  findOne: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn().mockResolvedValue([1]),
+};
+
+const mockResourceModel = {
+  findAll: jest.fn().mockResolvedValue([]),
+};
+
+const mockResourceBookingModel = {
+  findAll: jest.fn().mockResolvedValue([]),
+  create: jest.fn(),
+  update: jest.fn().mockResolvedValue([0]),
+};
+
+const mockCustomerModel = {
+  findOne: jest.fn().mockResolvedValue(null),
+  create: jest.fn().mockResolvedValue({ id: 'customer-uuid-123' }),
 };
 
 const mockEmployeeModel = {
@@ -30,6 +65,7 @@ const mockEmployeeModel = {
 
 const mockServiceModel = {
   findOne: jest.fn(),
+  findAll: jest.fn(),
   findAndCountAll: jest.fn(),
   create: jest.fn(),
   generateDefaultServices: jest.fn(() => []),
@@ -43,7 +79,8 @@ const mockBusinessTypeModel = {
 
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
 };
 
@@ -67,6 +104,47 @@ jest.mock('../src/modules/appointments/appointment.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/appointments/slotHold.model', () => ({
+  SlotHold: mockSlotHoldModel,
+  DEFAULT_HOLD_TTL_SECONDS: 120,
+  MAX_HOLD_TTL_SECONDS: 600,
+}));
+
+jest.mock('../src/modules/appointments/appointmentSeries.model', () => ({
+  AppointmentSeries: mockAppointmentSeriesModel,
+  SERIES_FREQUENCY: { WEEKLY: 'weekly', MONTHLY: 'monthly' },
+  SERIES_STATUS: { ACTIVE: 'active', CANCELLED: 'cancelled' },
+  SERIES_SCOPE: { THIS: 'this', FOLLOWING: 'following', SERIES: 'series' },
+  MAX_SERIES_OCCURRENCES: 52,
+  MAX_SERIES_INTERVAL: 12,
+}));
+
+jest.mock('../src/modules/appointments/appointmentGroup.model', () => ({
+  AppointmentGroup: mockAppointmentGroupModel,
+  GROUP_STATUS: { ACTIVE: 'active', CANCELLED: 'cancelled' },
+  GROUP_TYPES: { PARTY: 'party', MULTI_SERVICE: 'multi_service' },
+  MIN_GROUP_MEMBERS: 2,
+  MAX_GROUP_MEMBERS: 10,
+  MAX_GROUP_RESOURCES: 5,
+  MIN_MULTI_SERVICE_SEGMENTS: 2,
+  MAX_MULTI_SERVICE_SEGMENTS: 5,
+}));
+
+jest.mock('../src/modules/resources/resource.model', () => ({
+  Resource: mockResourceModel,
+  RESOURCE_TYPES: { ROOM: 'room', CHAIR: 'chair', EQUIPMENT: 'equipment' },
+  RESOURCE_STATUS: { ACTIVE: 'active', INACTIVE: 'inactive' },
+}));
+
+jest.mock('../src/modules/resources/resourceBooking.model', () => ({
+  ResourceBooking: mockResourceBookingModel,
+  RESOURCE_BOOKING_STATUS: { ACTIVE: 'active', RELEASED: 'released' },
+}));
+
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: mockCustomerModel,
+}));
+
 jest.mock('../src/modules/employees/employee.model', () => ({
   Employee: mockEmployeeModel,
   EMPLOYEE_STATUS: {
@@ -80,8 +158,44 @@ jest.mock('../src/modules/employees/employee.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/employees/employeeTimeOff.model', () => ({
+  EmployeeTimeOff: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  TIME_OFF_TYPES: {
+    DAY_OFF: 'day_off',
+    BLOCKED: 'blocked',
+    EXTRA_HOURS: 'extra_hours',
+  },
+  TIME_OFF_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: {
+    findOne: jest.fn().mockResolvedValue({ timezone: 'UTC' }),
+  },
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+  },
+  PLAN_TYPES: {
+    FREE: 'free',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenantClosure.model', () => ({
+  TenantClosure: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+}));
+
 jest.mock('../src/modules/services/service.model', () => ({
   Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
   SERVICE_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
@@ -161,8 +275,19 @@ jest.mock('../src/utils/tenant', () => ({
   getTenantUUID: jest.fn().mockResolvedValue('tenant-uuid-123'),
 }));
 
+// Freed slots are offered to the waitlist in the background
+jest.mock('../src/modules/waitlist/waitlist.service', () => ({
+  offerFreedSlot: jest.fn().mockResolvedValue([]),
+}));
+
 // Now require the app AFTER the mocks are in place
+const { Op } = require('sequelize');
 const { app } = require('../src/app');
+const waitlistService = require('../src/modules/waitlist/waitlist.service');
+const { sequelize } = require('../src/config/db');
+
+// Run booking transactions without a database connection
+jest.spyOn(sequelize, 'transaction').mockImplementation(async (options, work) => work({}));
 const jwtUtils = require('../src/modules/auth/jwt.utils');
 
 describe('Appointment Module', () => {
@@ -510,9 +635,9 @@ describe('Appointment Module', () => {
       expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
     });
 
-    it('should create appointment successfully with valid data', async () => {
+    it('should return 409 when the service buffer overlaps another appointment', async () => {
       const futureDate = getFutureDate();
-      
+
       mockEmployeeModel.findOne.mockResolvedValue({
         id: mockEmployeeId,
         serviceIds: [mockServiceId],
@@ -520,36 +645,19 @@ describe('Appointment Module', () => {
       mockServiceModel.findOne.mockResolvedValue({
         id: mockServiceId,
         duration: 60,
+        bufferAfter: 15,
         price: 50.00,
         addOns: [],
       });
-      // No conflicts
-      mockAppointmentModel.findAll.mockResolvedValue([]);
-      
-      const endDate = new Date(futureDate.getTime() + 60 * 60 * 1000);
-      const mockAppointment = {
-        id: mockAppointmentId,
-        employeeId: mockEmployeeId,
-        serviceId: mockServiceId,
-        customerName: 'John Doe',
-        customerEmail: 'john@example.com',
-        startTime: futureDate,
-        endTime: endDate,
-        status: 'scheduled',
-        toSafeObject: function() {
-          return {
-            id: this.id,
-            employeeId: this.employeeId,
-            serviceId: this.serviceId,
-            customerName: this.customerName,
-            customerEmail: this.customerEmail,
-            startTime: this.startTime,
-            endTime: this.endTime,
-            status: this.status,
-          };
+      // Starts right when the new appointment ends, inside its cleanup time
+      mockAppointmentModel.findAll.mockResolvedValue([
+        {
+          id: 'existing-appointment',
+          startTime: new Date(futureDate.getTime() + 60 * 60 * 1000),
+          endTime: new Date(futureDate.getTime() + 120 * 60 * 1000),
+          toSafeObject: function() { return { id: this.id }; },
         },
-      };
-      mockAppointmentModel.create.mockResolvedValue(mockAppointment);
+      ]);
 
       const response = await request(app)
         .post('/api/appointments')
@@ -563,15 +671,14 @@ describe('Appointment Module', () => {
           startTime: futureDate.toISOString(),
         });
 
-      expect(response.status).toBe(201);
-      expect(response.body.success).toBe(true);
-      expect(response.body.data.appointment).toBeDefined();
-      expect(response.body.data.appointment.customerName).toBe('John Doe');
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
     });
 
-    it('should create appointment successfully without customer email', async () => {
+    it('should store buffers without adding them to the duration', async () => {
       const futureDate = getFutureDate();
-      
+
       mockEmployeeModel.findOne.mockResolvedValue({
         id: mockEmployeeId,
         serviceIds: [mockServiceId],
@@ -579,36 +686,17 @@ describe('Appointment Module', () => {
       mockServiceModel.findOne.mockResolvedValue({
         id: mockServiceId,
         duration: 60,
+        bufferBefore: 5,
+        bufferAfter: 10,
         price: 50.00,
-        addOns: [],
+        addOns: [{ id: 'addon-1', price: 10, duration: 15, bufferAfter: 20 }],
       });
-      // No conflicts
       mockAppointmentModel.findAll.mockResolvedValue([]);
-      
-      const endDate = new Date(futureDate.getTime() + 60 * 60 * 1000);
-      const mockAppointment = {
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
         id: mockAppointmentId,
-        employeeId: mockEmployeeId,
-        serviceId: mockServiceId,
-        customerName: 'Jane Doe',
-        customerEmail: null,
-        startTime: futureDate,
-        endTime: endDate,
-        status: 'scheduled',
-        toSafeObject: function() {
-          return {
-            id: this.id,
-            employeeId: this.employeeId,
-            serviceId: this.serviceId,
-            customerName: this.customerName,
-            customerEmail: this.customerEmail,
-            startTime: this.startTime,
-            endTime: this.endTime,
-            status: this.status,
-          };
-        },
-      };
-      mockAppointmentModel.create.mockResolvedValue(mockAppointment);
+        ...data,
+        toSafeObject() { return { id: this.id }; },
+      }));
 
       const response = await request(app)
         .post('/api/appointments')
@@ -617,220 +705,1671 @@ describe('Appointment Module', () => {
         .send({
           employeeId: mockEmployeeId,
           serviceId: mockServiceId,
-          customerName: 'Jane Doe',
+          customerName: 'John Doe',
+          customerEmail: 'john@example.com',
           startTime: futureDate.toISOString(),
+          addOns: ['addon-1'],
         });
 
       expect(response.status).toBe(201);
-      expect(response.body.success).toBe(true);
-      expect(response.body.data.appointment.customerName).toBe('Jane Doe');
+      expect(mockAppointmentModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        totalDuration: 75,
+        bufferBefore: 5,
+        bufferAfter: 30,
+        endTime: new Date(futureDate.getTime() + 75 * 60 * 1000),
+      }), { transaction: expect.anything() });
     });
-  });
 
-  describe('GET /api/appointments/:id', () => {
-    it('should return 404 when appointment not found', async () => {
-      mockAppointmentModel.findOne.mockResolvedValue(null);
+    it('should charge the employee\'s own price and duration for the service', async () => {
+      const futureDate = getFutureDate();
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+        serviceOverrides: { [mockServiceId]: { price: 80.00, duration: 45 } },
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [{ id: 'addon-1', price: 10, duration: 15 }],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
+        id: mockAppointmentId,
+        ...data,
+        toSafeObject() { return { id: this.id }; },
+      }));
 
       const response = await request(app)
-        .get(`/api/appointments/${mockAppointmentId}`)
+        .post('/api/appointments')
         .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant');
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          customerEmail: 'john@example.com',
+          startTime: futureDate.toISOString(),
+          addOns: ['addon-1'],
+        });
 
-      expect(response.status).toBe(404);
-      expect(response.body.code).toBe('APPOINTMENT_NOT_FOUND');
+      expect(response.status).toBe(201);
+      expect(mockAppointmentModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        totalPrice: 90,
+        totalDuration: 60,
+        endTime: new Date(futureDate.getTime() + 60 * 60 * 1000),
+      }), { transaction: expect.anything() });
     });
 
-    it('should return appointment with valid ID', async () => {
-      const mockAppointment = {
+    it('should check and book the slot in one transaction holding the employee lock', async () => {
+      const futureDate = getFutureDate();
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockAppointmentModel.create.mockResolvedValue({
         id: mockAppointmentId,
-        customerName: 'John Doe',
-        status: 'scheduled',
-        toSafeObject: function() {
-          return { id: this.id, customerName: this.customerName, status: this.status };
-        },
-      };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+        toSafeObject() { return { id: this.id }; },
+      });
+      const transaction = { id: 'booking-transaction' };
+      sequelize.transaction.mockImplementationOnce(async (options, work) => work(transaction));
 
       const response = await request(app)
-        .get(`/api/appointments/${mockAppointmentId}`)
+        .post('/api/appointments')
         .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant');
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: futureDate.toISOString(),
+        });
 
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(response.body.data.appointment.customerName).toBe('John Doe');
+      expect(response.status).toBe(201);
+      expect(sequelize.transaction).toHaveBeenCalledWith(
+        { isolationLevel: 'READ COMMITTED' },
+        expect.any(Function)
+      );
+      expect(mockEmployeeModel.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: mockEmployeeId }),
+        transaction,
+        lock: 'UPDATE',
+      }));
+      expect(mockAppointmentModel.findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction }));
+      expect(mockAppointmentModel.create).toHaveBeenCalledWith(expect.any(Object), { transaction });
     });
-  });
 
-  describe('PATCH /api/appointments/:id', () => {
-    it('should return 404 when appointment not found', async () => {
-      mockAppointmentModel.findOne.mockResolvedValue(null);
+    it('should return 409 when another booking holds the employee lock too long', async () => {
+      const lockTimeout = new Error('Lock wait timeout exceeded');
+      lockTimeout.parent = { code: 'ER_LOCK_WAIT_TIMEOUT' };
+      sequelize.transaction.mockRejectedValueOnce(lockTimeout);
 
       const response = await request(app)
-        .patch(`/api/appointments/${mockAppointmentId}`)
+        .post('/api/appointments')
         .set('Authorization', `Bearer ${validToken()}`)
         .set('X-Tenant-ID', 'test-tenant')
-        .send({ notes: 'Updated notes' });
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: getFutureDate().toISOString(),
+        });
 
-      expect(response.status).toBe(404);
-      expect(response.body.code).toBe('APPOINTMENT_NOT_FOUND');
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
     });
 
-    it('should return 400 when appointment cannot be modified', async () => {
-      const mockAppointment = {
+    it('should book a held slot and release the hold', async () => {
+      const futureDate = getFutureDate();
+      const holdId = '44444444-4444-4444-4444-444444444444';
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockAppointmentModel.create.mockResolvedValue({
         id: mockAppointmentId,
-        status: 'completed',
-        canBeModified: jest.fn().mockReturnValue(false),
-      };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+        toSafeObject() { return { id: this.id }; },
+      });
 
       const response = await request(app)
-        .patch(`/api/appointments/${mockAppointmentId}`)
+        .post('/api/appointments')
         .set('Authorization', `Bearer ${validToken()}`)
         .set('X-Tenant-ID', 'test-tenant')
-        .send({ notes: 'Updated notes' });
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: futureDate.toISOString(),
+          holdId,
+        });
 
-      expect(response.status).toBe(400);
-      expect(response.body.code).toBe('APPOINTMENT_NOT_MODIFIABLE');
+      expect(response.status).toBe(201);
+      // The caller's own hold doesn't block the booking
+      expect(mockSlotHoldModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: { [Op.ne]: holdId } }),
+      }));
+      expect(mockSlotHoldModel.destroy).toHaveBeenCalledWith({
+        where: { id: holdId, tenantId: 'tenant-uuid-123' },
+        transaction: expect.anything(),
+      });
     });
 
-    it('should update appointment notes successfully', async () => {
-      const mockAppointment = {
-        id: mockAppointmentId,
-        customerName: 'John Doe',
-        notes: null,
-        status: 'scheduled',
-        canBeModified: jest.fn().mockReturnValue(true),
-        save: jest.fn().mockResolvedValue(true),
+    it('should return 409 when the slot is held for another caller', async () => {
+      const futureDate = getFutureDate();
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockSlotHoldModel.findAll.mockResolvedValueOnce([{
+        id: 'other-hold',
+        startTime: new Date(futureDate.getTime() + 30 * 60 * 1000),
+        endTime: new Date(futureDate.getTime() + 90 * 60 * 1000),
+        toSafeObject() { return { id: this.id }; },
+      }]);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: futureDate.toISOString(),
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(response.body.error).toContain('held');
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when every room the service needs is taken', async () => {
+      const futureDate = getFutureDate();
+      const massage = {
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+        resourceTypes: ['room'],
+      };
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue(massage);
+      mockServiceModel.findAll.mockResolvedValue([massage]);
+      mockResourceModel.findAll.mockResolvedValue([{ id: 'room-1', type: 'room', capacity: 1 }]);
+      // Another therapist is using the only room
+      mockAppointmentModel.findAll.mockImplementation(async ({ where }) => (
+        where.employeeId ? [] : [{
+          id: 'other-appointment',
+          serviceId: mockServiceId,
+          startTime: new Date(futureDate.getTime() - 30 * 60 * 1000),
+          endTime: new Date(futureDate.getTime() + 30 * 60 * 1000),
+        }]
+      ));
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: futureDate.toISOString(),
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(response.body.error).toContain('No room is free');
+      expect(mockResourceModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        lock: 'UPDATE',
+      }));
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid hold ID format', async () => {
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: getFutureDate().toISOString(),
+          holdId: 'not-a-hold',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('hold ID');
+    });
+
+    it('should create appointment successfully with valid data', async () => {
+      const futureDate = getFutureDate();
+      
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      // No conflicts
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      
+      const endDate = new Date(futureDate.getTime() + 60 * 60 * 1000);
+      const mockAppointment = {
+        id: mockAppointmentId,
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        customerName: 'John Doe',
+        customerEmail: 'john@example.com',
+        startTime: futureDate,
+        endTime: endDate,
+        status: 'scheduled',
+        toSafeObject: function() {
+          return {
+            id: this.id,
+            employeeId: this.employeeId,
+            serviceId: this.serviceId,
+            customerName: this.customerName,
+            customerEmail: this.customerEmail,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            status: this.status,
+          };
+        },
+      };
+      mockAppointmentModel.create.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          customerEmail: 'john@example.com',
+          startTime: futureDate.toISOString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.appointment).toBeDefined();
+      expect(response.body.data.appointment.customerName).toBe('John Doe');
+    });
+
+    it('should create a customer record on their first booking', async () => {
+      const futureDate = getFutureDate();
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
+        id: mockAppointmentId,
+        ...data,
+        toSafeObject() { return { ...data, id: mockAppointmentId }; },
+      }));
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          customerEmail: 'John@Example.com',
+          customerPhone: '(555) 123-4567',
+          startTime: futureDate.toISOString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockCustomerModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'John Doe',
+        normalizedPhone: '+15551234567',
+        normalizedEmail: 'john@example.com',
+      }), { transaction: expect.anything() });
+      expect(response.body.data.appointment.customerId).toBe('customer-uuid-123');
+    });
+
+    it('should link a booking to the customer with the same phone number', async () => {
+      const futureDate = getFutureDate();
+      const existingCustomer = {
+        id: 'customer-uuid-456',
+        name: 'John Doe',
+        normalizedPhone: '+15551234567',
+        normalizedEmail: null,
+        update: jest.fn().mockResolvedValue(true),
+      };
+
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockCustomerModel.findOne.mockResolvedValueOnce(existingCustomer);
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
+        id: mockAppointmentId,
+        ...data,
+        toSafeObject() { return { ...data, id: mockAppointmentId }; },
+      }));
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'Johnny Doe',
+          customerEmail: 'john@example.com',
+          customerPhone: '+1 555 123 4567',
+          startTime: futureDate.toISOString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockCustomerModel.create).not.toHaveBeenCalled();
+      // The email is added to the record; the name on file is kept
+      expect(existingCustomer.update).toHaveBeenCalledWith({
+        email: 'john@example.com',
+        normalizedEmail: 'john@example.com',
+      }, { transaction: expect.anything() });
+      expect(response.body.data.appointment.customerId).toBe('customer-uuid-456');
+    });
+
+    it('should create appointment successfully without customer email', async () => {
+      const futureDate = getFutureDate();
+      
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      // No conflicts
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      
+      const endDate = new Date(futureDate.getTime() + 60 * 60 * 1000);
+      const mockAppointment = {
+        id: mockAppointmentId,
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        customerName: 'Jane Doe',
+        customerEmail: null,
+        startTime: futureDate,
+        endTime: endDate,
+        status: 'scheduled',
+        toSafeObject: function() {
+          return {
+            id: this.id,
+            employeeId: this.employeeId,
+            serviceId: this.serviceId,
+            customerName: this.customerName,
+            customerEmail: this.customerEmail,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            status: this.status,
+          };
+        },
+      };
+      mockAppointmentModel.create.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'Jane Doe',
+          startTime: futureDate.toISOString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.appointment.customerName).toBe('Jane Doe');
+    });
+  });
+
+  describe('GET /api/appointments/:id', () => {
+    it('should return 404 when appointment not found', async () => {
+      mockAppointmentModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('APPOINTMENT_NOT_FOUND');
+    });
+
+    it('should return appointment with valid ID', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        customerName: 'John Doe',
+        status: 'scheduled',
+        toSafeObject: function() {
+          return { id: this.id, customerName: this.customerName, status: this.status };
+        },
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .get(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.appointment.customerName).toBe('John Doe');
+    });
+  });
+
+  describe('PATCH /api/appointments/:id', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ notes: 'Updated notes' });
+
+      expect(response.status).toBe(401);
+      expect(mockAppointmentModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when appointment not found', async () => {
+      mockAppointmentModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ notes: 'Updated notes' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('APPOINTMENT_NOT_FOUND');
+    });
+
+    it('should return 400 when appointment cannot be modified', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        status: 'completed',
+        canBeModified: jest.fn().mockReturnValue(false),
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ notes: 'Updated notes' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('APPOINTMENT_NOT_MODIFIABLE');
+    });
+
+    it('should update appointment notes successfully', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        customerName: 'John Doe',
+        notes: null,
+        status: 'scheduled',
+        canBeModified: jest.fn().mockReturnValue(true),
+        save: jest.fn().mockResolvedValue(true),
         toSafeObject: function() {
           return { id: this.id, customerName: this.customerName, notes: this.notes };
         },
       };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ notes: 'Updated notes' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(mockAppointment.save).toHaveBeenCalled();
+    });
+
+    it('should offer the slot to the waitlist when an appointment is cancelled', async () => {
+      const startTime = getFutureDate();
+      const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+      const mockAppointment = {
+        id: mockAppointmentId,
+        employeeId: mockEmployeeId,
+        startTime,
+        endTime,
+        status: 'scheduled',
+        canBeModified: jest.fn().mockReturnValue(true),
+        save: jest.fn().mockResolvedValue(true),
+        toSafeObject: function() {
+          return { id: this.id, status: this.status };
+        },
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(waitlistService.offerFreedSlot).toHaveBeenCalledWith(
+        { employeeId: mockEmployeeId, startTime, endTime },
+        'tenant-uuid-123'
+      );
+    });
+
+    it('should not offer the slot when only the notes change', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        employeeId: mockEmployeeId,
+        startTime: getFutureDate(),
+        status: 'scheduled',
+        canBeModified: jest.fn().mockReturnValue(true),
+        save: jest.fn().mockResolvedValue(true),
+        toSafeObject: function() {
+          return { id: this.id, notes: this.notes };
+        },
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ notes: 'Updated notes' });
+
+      expect(response.status).toBe(200);
+      expect(waitlistService.offerFreedSlot).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid email format on update', async () => {
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ customerEmail: 'invalid-email' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('email');
+    });
+  });
+
+  describe('DELETE /api/appointments/:id', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ reason: 'customer_request' });
+
+      expect(response.status).toBe(401);
+      expect(mockAppointmentModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when cancellation reason is missing', async () => {
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 404 when appointment not found', async () => {
+      mockAppointmentModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ reason: 'customer_request' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('APPOINTMENT_NOT_FOUND');
+    });
+
+    it('should return 400 when appointment cannot be cancelled', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        status: 'completed',
+        canBeCancelled: jest.fn().mockReturnValue(false),
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ reason: 'customer_request' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('APPOINTMENT_NOT_CANCELLABLE');
+    });
+
+    it('should return 400 for invalid cancellation reason', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        status: 'scheduled',
+        canBeCancelled: jest.fn().mockReturnValue(true),
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ reason: 'invalid_reason' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_CANCELLATION_REASON');
+    });
+
+    it('should cancel appointment successfully with valid reason', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        status: 'scheduled',
+        canBeCancelled: jest.fn().mockReturnValue(true),
+        cancel: jest.fn().mockResolvedValue(true),
+        toSafeObject: function() {
+          return { id: this.id, status: 'cancelled', cancellationReason: 'customer_request' };
+        },
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ reason: 'customer_request', notes: 'Customer changed plans' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(mockAppointment.cancel).toHaveBeenCalledWith('customer_request', 'Customer changed plans');
+    });
+
+    it('should hard delete appointment when hardDelete is true', async () => {
+      const mockAppointment = {
+        id: mockAppointmentId,
+        destroy: jest.fn().mockResolvedValue(true),
+      };
+      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ hardDelete: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(mockAppointment.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Employee-scoped logins', () => {
+    const otherEmployeeId = '44444444-4444-4444-4444-444444444444';
+
+    const scopedToken = () => jwtUtils.generateAccessToken({
+      userId: '123',
+      email: 'stylist@example.com',
+      tenantId: 'test-tenant',
+      role: 'staff',
+      scope: 'employee',
+      employeeId: mockEmployeeId,
+    });
+
+    beforeEach(() => {
+      mockUserModel.findByPk.mockResolvedValue({
+        id: '123',
+        role: 'staff',
+        employeeId: mockEmployeeId,
+        isActive: true,
+      });
+    });
+
+    afterAll(() => {
+      mockUserModel.findByPk.mockImplementation(async (id) => ({ id, isActive: true }));
+    });
+
+    const scopedAppointment = (overrides = {}) => ({
+      id: mockAppointmentId,
+      employeeId: mockEmployeeId,
+      status: 'scheduled',
+      ...overrides,
+      canBeModified: jest.fn().mockReturnValue(true),
+      save: jest.fn().mockResolvedValue(true),
+      toSafeObject: function() {
+        return { id: this.id, employeeId: this.employeeId, status: this.status };
+      },
+    });
+
+    it('should only list the employee\'s own appointments', async () => {
+      mockAppointmentModel.findAndCountAll.mockResolvedValue({ rows: [], count: 0 });
+
+      const response = await request(app)
+        .get(`/api/appointments?employeeId=${otherEmployeeId}`)
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(mockAppointmentModel.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ employeeId: mockEmployeeId }),
+        })
+      );
+    });
+
+    it('should return 403 for another employee\'s appointment', async () => {
+      mockAppointmentModel.findOne.mockResolvedValue(scopedAppointment({ employeeId: otherEmployeeId }));
+
+      const response = await request(app)
+        .get(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+
+    it('should let the employee mark their own appointment completed', async () => {
+      const appointment = scopedAppointment();
+      mockAppointmentModel.findOne.mockResolvedValue(appointment);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ tenantId: 'test-tenant', status: 'completed' });
+
+      expect(response.status).toBe(200);
+      expect(appointment.status).toBe('completed');
+      expect(appointment.save).toHaveBeenCalled();
+    });
+
+    it('should return 403 when marking another employee\'s appointment no-show', async () => {
+      const appointment = scopedAppointment({ employeeId: otherEmployeeId });
+      mockAppointmentModel.findOne.mockResolvedValue(appointment);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ status: 'no_show' });
+
+      expect(response.status).toBe(403);
+      expect(appointment.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when rescheduling', async () => {
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ startTime: getFutureDate().toISOString() });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toContain('completed, no_show');
+      expect(mockAppointmentModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when booking an appointment', async () => {
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: otherEmployeeId,
+          serviceId: mockServiceId,
+          startTime: getFutureDate().toISOString(),
+          customerName: 'Jane Doe',
+          customerPhone: '+15555550100',
+        });
+
+      expect(response.status).toBe(403);
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['get', '/api/customers'],
+      ['get', '/api/waitlist'],
+      ['post', '/api/availability/holds'],
+      ['get', '/api/telephony/conversations'],
+      ['post', '/api/telephony/send-sms'],
+      ['get', '/api/telephony/call-logs'],
+    ])('should return 403 for %s %s', async (method, path) => {
+      const response = await request(app)[method](path)
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({});
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('Recurring appointments', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const mockSeriesId = '44444444-4444-4444-4444-444444444444';
+
+    const mockOccurrence = (id, startTime) => ({
+      id,
+      tenantId: 'tenant-uuid-123',
+      seriesId: mockSeriesId,
+      employeeId: mockEmployeeId,
+      serviceId: mockServiceId,
+      customerName: 'John Doe',
+      startTime,
+      endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+      totalDuration: 60,
+      bufferBefore: 0,
+      bufferAfter: 0,
+      status: 'scheduled',
+      canBeModified: jest.fn().mockReturnValue(true),
+      save: jest.fn().mockResolvedValue(true),
+      toSafeObject() { return { id: this.id, startTime: this.startTime, status: this.status }; },
+    });
+
+    beforeEach(() => {
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockAppointmentSeriesModel.create.mockImplementation(async (data) => ({
+        id: mockSeriesId,
+        ...data,
+        toSafeObject() { return { ...data, id: mockSeriesId }; },
+      }));
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
+        id: `appointment-${data.startTime.toISOString()}`,
+        ...data,
+        toSafeObject() { return { ...data, id: this.id }; },
+      }));
+    });
+
+    it('should book each occurrence and report the ones that conflict', async () => {
+      const futureDate = getFutureDate();
+      const secondVisit = new Date(futureDate.getTime() + 28 * DAY_MS);
+
+      // The second occurrence clashes with another booking
+      mockAppointmentModel.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{
+          id: 'existing-appointment',
+          startTime: secondVisit,
+          endTime: new Date(secondVisit.getTime() + 60 * 60 * 1000),
+          toSafeObject() { return { id: this.id }; },
+        }])
+        .mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          customerPhone: '5551234567',
+          startTime: futureDate.toISOString(),
+          recurrence: { frequency: 'weekly', interval: 4, count: 3 },
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockAppointmentSeriesModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        frequency: 'weekly',
+        interval: 4,
+        occurrenceCount: 3,
+      }), { transaction: expect.anything() });
+      expect(response.body.data.appointments.map(appointment => appointment.startTime)).toEqual([
+        futureDate.toISOString(),
+        new Date(futureDate.getTime() + 56 * DAY_MS).toISOString(),
+      ]);
+      expect(response.body.data.appointments[0].seriesId).toBe(mockSeriesId);
+      expect(response.body.data.skipped).toEqual([{
+        startTime: secondVisit.toISOString(),
+        reason: 'Time slot is not available. Employee already has an appointment during this time.',
+      }]);
+    });
+
+    it('should return 409 when no occurrence can be booked', async () => {
+      const futureDate = getFutureDate();
+      // A booking covering every occurrence
+      mockAppointmentModel.findAll.mockResolvedValue([{
+        id: 'existing-appointment',
+        startTime: new Date(futureDate.getTime() - DAY_MS),
+        endTime: new Date(futureDate.getTime() + 365 * DAY_MS),
+        toSafeObject() { return { id: this.id }; },
+      }]);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          employeeId: mockEmployeeId,
+          serviceId: mockServiceId,
+          customerName: 'John Doe',
+          startTime: futureDate.toISOString(),
+          recurrence: { frequency: 'monthly', count: 2 },
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid recurrence', async () => {
+      const base = {
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        customerName: 'John Doe',
+        startTime: getFutureDate().toISOString(),
+      };
+
+      const daily = await request(app)
+        .post('/api/appointments')
+        .send({ ...base, recurrence: { frequency: 'daily', count: 3 } });
+      const endless = await request(app)
+        .post('/api/appointments')
+        .send({ ...base, recurrence: { frequency: 'weekly' } });
+      const tooMany = await request(app)
+        .post('/api/appointments')
+        .send({ ...base, recurrence: { frequency: 'weekly', count: 100 } });
+
+      expect(daily.status).toBe(400);
+      expect(daily.body.error).toContain('frequency');
+      expect(endless.status).toBe(400);
+      expect(endless.body.error).toBe('Recurrence requires a count or an end date');
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.error).toContain('between 2 and 52');
+    });
+
+    it('should move this and the following occurrences by the same amount', async () => {
+      const futureDate = getFutureDate();
+      const current = mockOccurrence(mockAppointmentId, futureDate);
+      const next = mockOccurrence('next-occurrence', new Date(futureDate.getTime() + 28 * DAY_MS));
+      const newStart = new Date(futureDate.getTime() + DAY_MS + 60 * 60 * 1000);
+
+      mockAppointmentModel.findOne.mockResolvedValue(current);
+      mockAppointmentModel.findAll
+        .mockResolvedValueOnce([current, next])
+        .mockResolvedValue([]);
 
       const response = await request(app)
         .patch(`/api/appointments/${mockAppointmentId}`)
         .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant')
-        .send({ notes: 'Updated notes' });
+        .send({ startTime: newStart.toISOString(), scope: 'following' });
 
       expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(mockAppointment.save).toHaveBeenCalled();
+      expect(current.startTime).toEqual(newStart);
+      expect(next.startTime).toEqual(new Date(newStart.getTime() + 28 * DAY_MS));
+      expect(current.save).toHaveBeenCalled();
+      expect(next.save).toHaveBeenCalled();
+      expect(response.body.data.appointments).toHaveLength(2);
+
+      // The occurrences being moved don't block each other
+      expect(mockAppointmentModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: { [Op.notIn]: [mockAppointmentId, 'next-occurrence'] } }),
+      }));
     });
 
-    it('should return 400 for invalid email format on update', async () => {
+    it('should change nothing when a following occurrence would conflict', async () => {
+      const futureDate = getFutureDate();
+      const current = mockOccurrence(mockAppointmentId, futureDate);
+      const next = mockOccurrence('next-occurrence', new Date(futureDate.getTime() + 28 * DAY_MS));
+      const newStart = new Date(futureDate.getTime() + 2 * 60 * 60 * 1000);
+
+      mockAppointmentModel.findOne.mockResolvedValue(current);
+      mockAppointmentModel.findAll
+        .mockResolvedValueOnce([current, next])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{
+          id: 'existing-appointment',
+          startTime: new Date(next.startTime.getTime() + 2 * 60 * 60 * 1000),
+          endTime: new Date(next.startTime.getTime() + 3 * 60 * 60 * 1000),
+          toSafeObject() { return { id: this.id }; },
+        }]);
+
       const response = await request(app)
         .patch(`/api/appointments/${mockAppointmentId}`)
         .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant')
-        .send({ customerEmail: 'invalid-email' });
+        .send({ startTime: newStart.toISOString(), scope: 'series' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(response.body.error).toContain('Cannot move the appointment on');
+      expect(current.save).not.toHaveBeenCalled();
+      expect(next.save).not.toHaveBeenCalled();
+    });
+
+    it('should cancel every upcoming occurrence and the series', async () => {
+      const futureDate = getFutureDate();
+      const current = mockOccurrence(mockAppointmentId, futureDate);
+      const next = mockOccurrence('next-occurrence', new Date(futureDate.getTime() + 28 * DAY_MS));
+
+      mockAppointmentModel.findOne.mockResolvedValue(current);
+      mockAppointmentModel.findAll.mockResolvedValueOnce([current, next]);
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .send({ status: 'cancelled', scope: 'series' });
+
+      expect(response.status).toBe(200);
+      expect(current.status).toBe('cancelled');
+      expect(next.status).toBe('cancelled');
+      expect(next.cancelledAt).toBeInstanceOf(Date);
+      expect(mockAppointmentSeriesModel.update).toHaveBeenCalledWith(
+        { status: 'cancelled' },
+        expect.objectContaining({ where: { id: mockSeriesId, tenantId: 'tenant-uuid-123' } })
+      );
+      expect(waitlistService.offerFreedSlot).toHaveBeenCalledTimes(2);
+      expect(waitlistService.offerFreedSlot).toHaveBeenCalledWith(
+        { employeeId: mockEmployeeId, startTime: next.startTime, endTime: next.endTime },
+        'tenant-uuid-123'
+      );
+    });
+
+    it('should cancel this and the following occurrences from DELETE with a scope', async () => {
+      const futureDate = getFutureDate();
+      const current = mockOccurrence(mockAppointmentId, futureDate);
+      const next = mockOccurrence('next-occurrence', new Date(futureDate.getTime() + 28 * DAY_MS));
+      current.canBeCancelled = jest.fn().mockReturnValue(true);
+
+      mockAppointmentModel.findOne.mockResolvedValue(current);
+      mockAppointmentModel.findAll.mockResolvedValueOnce([current, next]);
+      sequelize.transaction.mockImplementationOnce(async (work) => work({}));
+
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}?scope=following`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .send({ reason: 'customer_request', notes: 'Moving away' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.appointment.status).toBe('cancelled');
+      expect(current.status).toBe('cancelled');
+      expect(next.status).toBe('cancelled');
+      expect(next.cancellationReason).toBe('customer_request');
+      expect(next.cancellationNotes).toBe('Moving away');
+      expect(mockAppointmentSeriesModel.update).not.toHaveBeenCalled();
+      expect(waitlistService.offerFreedSlot).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return 400 for an unknown scope on DELETE', async () => {
+      const response = await request(app)
+        .delete(`/api/appointments/${mockAppointmentId}?scope=everything`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .send({ reason: 'customer_request' });
 
       expect(response.status).toBe(400);
-      expect(response.body.error).toContain('email');
+      expect(response.body.error).toContain('Scope must be one of');
+      expect(mockAppointmentModel.findOne).not.toHaveBeenCalled();
     });
-  });
 
-  describe('DELETE /api/appointments/:id', () => {
-    it('should return 400 when cancellation reason is missing', async () => {
+    it('should return 400 for an unknown scope', async () => {
       const response = await request(app)
-        .delete(`/api/appointments/${mockAppointmentId}`)
+        .patch(`/api/appointments/${mockAppointmentId}`)
         .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant')
-        .send({});
+        .send({ notes: 'Updated notes', scope: 'everything' });
 
       expect(response.status).toBe(400);
-      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error).toContain('Scope must be one of');
     });
 
-    it('should return 404 when appointment not found', async () => {
-      mockAppointmentModel.findOne.mockResolvedValue(null);
+    it('should return a series with its occurrences', async () => {
+      const occurrence = mockOccurrence(mockAppointmentId, getFutureDate());
+      mockAppointmentSeriesModel.findOne.mockResolvedValue({
+        id: mockSeriesId,
+        frequency: 'weekly',
+        toSafeObject() { return { id: this.id, frequency: this.frequency }; },
+      });
+      mockAppointmentModel.findAll.mockResolvedValueOnce([occurrence]);
 
       const response = await request(app)
-        .delete(`/api/appointments/${mockAppointmentId}`)
+        .get(`/api/appointments/series/${mockSeriesId}`)
         .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.series.frequency).toBe('weekly');
+      expect(response.body.data.appointments).toHaveLength(1);
+    });
+  });
+
+  describe('Group bookings', () => {
+    const secondEmployeeId = '55555555-5555-5555-5555-555555555555';
+    const secondServiceId = '66666666-6666-6666-6666-666666666666';
+    const mockGroupId = '77777777-7777-7777-7777-777777777777';
+    const mockRoomId = '88888888-8888-8888-8888-888888888888';
+
+    const mockEmployees = {
+      [mockEmployeeId]: { id: mockEmployeeId, firstName: 'John', lastName: 'Doe' },
+      [secondEmployeeId]: { id: secondEmployeeId, firstName: 'Jane', lastName: 'Smith' },
+    };
+    const mockServices = {
+      [mockServiceId]: { id: mockServiceId, duration: 60, price: 80.00, addOns: [] },
+      [secondServiceId]: { id: secondServiceId, duration: 90, price: 120.00, addOns: [] },
+    };
+    const mockRoom = {
+      id: mockRoomId,
+      name: 'Couples Suite',
+      type: 'room',
+      capacity: 1,
+      toSafeObject() { return { id: this.id, name: this.name }; },
+    };
+
+    const groupRequest = (overrides = {}) => ({
+      name: 'Smith wedding',
+      customerName: 'Alice Smith',
+      customerPhone: '5551234567',
+      startTime: getFutureDate().toISOString(),
+      members: [
+        { employeeId: mockEmployeeId, serviceId: mockServiceId, guestName: 'Alice Smith' },
+        { employeeId: secondEmployeeId, serviceId: secondServiceId, guestName: 'Beth Jones' },
+      ],
+      resourceIds: [mockRoomId],
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      mockEmployeeModel.findOne.mockImplementation(async ({ where }) => ({
+        ...mockEmployees[where.id],
+        serviceIds: [mockServiceId, secondServiceId],
+        getFullName() { return `${this.firstName} ${this.lastName}`; },
+      }));
+      mockServiceModel.findOne.mockImplementation(async ({ where }) => mockServices[where.id]);
+      mockServiceModel.findAll.mockResolvedValue(Object.values(mockServices));
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockResourceModel.findAll.mockResolvedValue([mockRoom]);
+      mockResourceBookingModel.findAll.mockResolvedValue([]);
+      mockAppointmentGroupModel.create.mockImplementation(async (data) => ({
+        id: mockGroupId,
+        ...data,
+        toSafeObject() { return { ...data, id: mockGroupId }; },
+      }));
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
+        id: `appointment-${data.employeeId}`,
+        ...data,
+        toSafeObject() { return { ...data, id: this.id }; },
+      }));
+      mockResourceBookingModel.create.mockImplementation(async (data) => ({
+        ...data,
+        toSafeObject() { return data; },
+      }));
+    });
+
+    it('should book every member and reserve the room until the longest service ends', async () => {
+      const startTime = getFutureDate();
+
+      const response = await request(app)
+        .post('/api/appointments/groups')
         .set('X-Tenant-ID', 'test-tenant')
-        .send({ reason: 'customer_request' });
+        .send(groupRequest({ startTime: startTime.toISOString() }));
 
-      expect(response.status).toBe(404);
-      expect(response.body.code).toBe('APPOINTMENT_NOT_FOUND');
+      const groupEnd = new Date(startTime.getTime() + 90 * 60 * 1000);
+      expect(response.status).toBe(201);
+      expect(response.body.data.group.id).toBe(mockGroupId);
+      expect(response.body.data.appointments.map(appointment => appointment.customerName))
+        .toEqual(['Alice Smith', 'Beth Jones']);
+      expect(mockAppointmentModel.create).toHaveBeenCalledTimes(2);
+      expect(mockAppointmentModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        employeeId: secondEmployeeId,
+        groupId: mockGroupId,
+        totalDuration: 90,
+      }), { transaction: expect.anything() });
+      expect(mockAppointmentGroupModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        startTime,
+        endTime: groupEnd,
+      }), { transaction: expect.anything() });
+      expect(mockResourceBookingModel.create).toHaveBeenCalledWith({
+        tenantId: 'tenant-uuid-123',
+        resourceId: mockRoomId,
+        groupId: mockGroupId,
+        startTime,
+        endTime: groupEnd,
+      }, { transaction: expect.anything() });
     });
 
-    it('should return 400 when appointment cannot be cancelled', async () => {
-      const mockAppointment = {
+    it('should book nothing when one of the employees is busy', async () => {
+      const startTime = getFutureDate();
+      mockAppointmentModel.findAll.mockImplementation(async ({ where }) => (
+        where.employeeId === secondEmployeeId
+          ? [{ id: 'existing-appointment', startTime, endTime: new Date(startTime.getTime() + 30 * 60 * 1000), toSafeObject() { return { id: this.id }; } }]
+          : []
+      ));
+
+      const response = await request(app)
+        .post('/api/appointments/groups')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(groupRequest({ startTime: startTime.toISOString() }));
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(response.body.error).toContain('Jane Smith');
+      expect(mockAppointmentGroupModel.create).not.toHaveBeenCalled();
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the room is already booked', async () => {
+      const startTime = getFutureDate();
+      mockResourceBookingModel.findAll.mockResolvedValue([{
+        resourceId: mockRoomId,
+        startTime: new Date(startTime.getTime() - 30 * 60 * 1000),
+        endTime: new Date(startTime.getTime() + 30 * 60 * 1000),
+      }]);
+
+      const response = await request(app)
+        .post('/api/appointments/groups')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(groupRequest({ startTime: startTime.toISOString() }));
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('RESOURCE_CONFLICT');
+      expect(response.body.error).toContain('Couples Suite');
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when two members have the same employee', async () => {
+      const response = await request(app)
+        .post('/api/appointments/groups')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(groupRequest({
+          members: [
+            { employeeId: mockEmployeeId, serviceId: mockServiceId },
+            { employeeId: mockEmployeeId, serviceId: secondServiceId },
+          ],
+        }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('different employee');
+    });
+
+    it('should return 400 for a group of one', async () => {
+      const response = await request(app)
+        .post('/api/appointments/groups')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(groupRequest({ members: [{ employeeId: mockEmployeeId, serviceId: mockServiceId }] }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('between 2 and 10 members');
+    });
+
+    it('should not reschedule a group member on its own', async () => {
+      const startTime = getFutureDate();
+      mockAppointmentModel.findOne.mockResolvedValue({
         id: mockAppointmentId,
-        status: 'completed',
-        canBeCancelled: jest.fn().mockReturnValue(false),
+        groupId: mockGroupId,
+        employeeId: mockEmployeeId,
+        startTime,
+        canBeModified: jest.fn().mockReturnValue(true),
+        save: jest.fn(),
+      });
+
+      const response = await request(app)
+        .patch(`/api/appointments/${mockAppointmentId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ startTime: new Date(startTime.getTime() + 60 * 60 * 1000).toISOString() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('GROUP_APPOINTMENT_NOT_MOVABLE');
+    });
+
+    it('should cancel every member and release the room', async () => {
+      const startTime = getFutureDate();
+      const group = {
+        id: mockGroupId,
+        status: 'active',
+        save: jest.fn().mockResolvedValue(true),
+        toSafeObject() { return { id: this.id, status: this.status }; },
       };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+      const members = [mockEmployeeId, secondEmployeeId].map(employeeId => ({
+        id: `appointment-${employeeId}`,
+        employeeId,
+        startTime,
+        endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+        status: 'scheduled',
+        save: jest.fn().mockResolvedValue(true),
+        toSafeObject() { return { id: this.id, status: this.status }; },
+      }));
+      mockAppointmentGroupModel.findOne.mockResolvedValue(group);
+      mockAppointmentModel.findAll.mockResolvedValue(members);
+      sequelize.transaction.mockImplementationOnce(async (work) => work({}));
 
       const response = await request(app)
-        .delete(`/api/appointments/${mockAppointmentId}`)
+        .delete(`/api/appointments/groups/${mockGroupId}`)
         .set('Authorization', `Bearer ${validToken()}`)
         .set('X-Tenant-ID', 'test-tenant')
         .send({ reason: 'customer_request' });
 
-      expect(response.status).toBe(400);
-      expect(response.body.code).toBe('APPOINTMENT_NOT_CANCELLABLE');
+      expect(response.status).toBe(200);
+      expect(response.body.data.group.status).toBe('cancelled');
+      expect(response.body.data.appointments.map(appointment => appointment.status))
+        .toEqual(['cancelled', 'cancelled']);
+      expect(mockResourceBookingModel.update).toHaveBeenCalledWith(
+        { status: 'released' },
+        expect.objectContaining({ where: { tenantId: 'tenant-uuid-123', groupId: mockGroupId, status: 'active' } })
+      );
+      expect(waitlistService.offerFreedSlot).toHaveBeenCalledTimes(2);
     });
 
-    it('should return 400 for invalid cancellation reason', async () => {
-      const mockAppointment = {
+    it('should release the room when the last member is deleted', async () => {
+      mockAppointmentModel.findOne.mockResolvedValue({
         id: mockAppointmentId,
+        groupId: mockGroupId,
         status: 'scheduled',
-        canBeCancelled: jest.fn().mockReturnValue(true),
-      };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+        startTime: getFutureDate(),
+        destroy: jest.fn().mockResolvedValue(true),
+      });
+      mockAppointmentModel.count.mockResolvedValueOnce(0);
 
       const response = await request(app)
         .delete(`/api/appointments/${mockAppointmentId}`)
         .set('Authorization', `Bearer ${validToken()}`)
         .set('X-Tenant-ID', 'test-tenant')
-        .send({ reason: 'invalid_reason' });
+        .send({ hardDelete: true });
+
+      expect(response.status).toBe(200);
+      expect(mockAppointmentGroupModel.update).toHaveBeenCalledWith(
+        { status: 'cancelled' },
+        { where: { id: mockGroupId, tenantId: 'tenant-uuid-123' }, transaction: null }
+      );
+      expect(mockResourceBookingModel.update).toHaveBeenCalled();
+    });
+  });
+
+  describe('Multi-service bookings', () => {
+    const secondEmployeeId = '55555555-5555-5555-5555-555555555555';
+    const secondServiceId = '66666666-6666-6666-6666-666666666666';
+    const mockGroupId = '77777777-7777-7777-7777-777777777777';
+    const mockAddOnId = '99999999-9999-9999-9999-999999999999';
+
+    const mockEmployees = {
+      [mockEmployeeId]: { id: mockEmployeeId, firstName: 'John', lastName: 'Doe' },
+      [secondEmployeeId]: { id: secondEmployeeId, firstName: 'Jane', lastName: 'Smith' },
+    };
+    const mockServices = {
+      [mockServiceId]: { id: mockServiceId, name: 'Haircut', duration: 45, price: 50.00, addOns: [] },
+      [secondServiceId]: {
+        id: secondServiceId,
+        name: 'Manicure',
+        duration: 30,
+        price: 20.00,
+        addOns: [{ id: mockAddOnId, name: 'Gel', price: 10.00, duration: 15 }],
+      },
+    };
+
+    const multiServiceRequest = (overrides = {}) => ({
+      customerName: 'Alice Smith',
+      customerPhone: '5551234567',
+      startTime: getFutureDate().toISOString(),
+      services: [
+        { serviceId: mockServiceId, employeeId: mockEmployeeId },
+        { serviceId: secondServiceId, employeeId: secondEmployeeId, addOns: [mockAddOnId] },
+      ],
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      mockEmployeeModel.findOne.mockImplementation(async ({ where }) => ({
+        ...mockEmployees[where.id],
+        serviceIds: [mockServiceId, secondServiceId],
+        getFullName() { return `${this.firstName} ${this.lastName}`; },
+      }));
+      mockServiceModel.findOne.mockImplementation(async ({ where }) => mockServices[where.id]);
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockAppointmentGroupModel.create.mockImplementation(async (data) => ({
+        id: mockGroupId,
+        ...data,
+        toSafeObject() { return { ...data, id: mockGroupId }; },
+      }));
+      mockAppointmentModel.create.mockImplementation(async (data) => ({
+        id: `appointment-${data.employeeId}`,
+        ...data,
+        toSafeObject() { return { ...data, id: this.id }; },
+      }));
+    });
+
+    it('should book the services back to back with a combined price', async () => {
+      const startTime = getFutureDate();
+
+      const response = await request(app)
+        .post('/api/appointments/multi-service')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(multiServiceRequest({ startTime: startTime.toISOString() }));
+
+      const haircutEnd = new Date(startTime.getTime() + 45 * 60 * 1000);
+      const manicureEnd = new Date(haircutEnd.getTime() + 45 * 60 * 1000);
+      expect(response.status).toBe(201);
+      expect(response.body.data.totalPrice).toBe(80);
+      expect(response.body.data.totalDuration).toBe(90);
+      expect(mockAppointmentGroupModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'multi_service',
+        startTime,
+        endTime: manicureEnd,
+      }), { transaction: expect.anything() });
+      expect(mockAppointmentModel.create).toHaveBeenCalledTimes(2);
+      expect(mockAppointmentModel.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        employeeId: secondEmployeeId,
+        groupId: mockGroupId,
+        startTime: haircutEnd,
+        endTime: manicureEnd,
+        totalPrice: 30,
+      }), { transaction: expect.anything() });
+    });
+
+    it('should book nothing when a later service conflicts', async () => {
+      const startTime = getFutureDate();
+      const haircutEnd = new Date(startTime.getTime() + 45 * 60 * 1000);
+      mockAppointmentModel.findAll.mockImplementation(async ({ where }) => (
+        where.employeeId === secondEmployeeId
+          ? [{ id: 'existing-appointment', startTime: haircutEnd, endTime: new Date(haircutEnd.getTime() + 30 * 60 * 1000), toSafeObject() { return { id: this.id }; } }]
+          : []
+      ));
+
+      const response = await request(app)
+        .post('/api/appointments/multi-service')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(multiServiceRequest({ startTime: startTime.toISOString() }));
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(response.body.error).toContain('Manicure with Jane Smith');
+      expect(mockAppointmentGroupModel.create).not.toHaveBeenCalled();
+      expect(mockAppointmentModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a single service', async () => {
+      const response = await request(app)
+        .post('/api/appointments/multi-service')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send(multiServiceRequest({ services: [{ serviceId: mockServiceId, employeeId: mockEmployeeId }] }));
 
       expect(response.status).toBe(400);
-      expect(response.body.code).toBe('INVALID_CANCELLATION_REASON');
+      expect(response.body.error).toContain('between 2 and 5 services');
+    });
+  });
+
+  describe('Booking locks', () => {
+    const { Transaction } = require('sequelize');
+    const { createAppointment } = require('../src/modules/appointments/appointment.service');
+
+    const booking = () => ({
+      employeeId: mockEmployeeId,
+      serviceId: mockServiceId,
+      customerName: 'John Doe',
+      startTime: getFutureDate().toISOString(),
+    });
+
+    it.each(['ER_LOCK_WAIT_TIMEOUT', 'ER_LOCK_DEADLOCK'])(
+      'should turn %s into a 409 time slot conflict',
+      async (code) => {
+        const lockError = new Error('Lock error');
+        lockError.parent = { code };
+        sequelize.transaction.mockRejectedValueOnce(lockError);
+
+        await expect(createAppointment(booking(), 'tenant-uuid-123')).rejects.toMatchObject({
+          statusCode: 409,
+          code: 'TIME_SLOT_CONFLICT',
+        });
+      }
+    );
+
+    it('should pass other transaction errors through', async () => {
+      const dbError = new Error('Connection lost');
+      dbError.parent = { code: 'ECONNRESET' };
+      sequelize.transaction.mockRejectedValueOnce(dbError);
+
+      await expect(createAppointment(booking(), 'tenant-uuid-123')).rejects.toBe(dbError);
+    });
+
+    it('should lock the employee row for update inside the booking transaction', async () => {
+      const transaction = { id: 'booking-transaction' };
+      sequelize.transaction.mockImplementationOnce(async (options, work) => work(transaction));
+      mockEmployeeModel.findOne.mockResolvedValueOnce(null);
+
+      await expect(createAppointment(booking(), 'tenant-uuid-123')).rejects.toMatchObject({
+        code: 'EMPLOYEE_NOT_FOUND',
+      });
+      expect(mockEmployeeModel.findOne).toHaveBeenCalledWith({
+        where: { id: mockEmployeeId, tenantId: 'tenant-uuid-123', status: 'active' },
+        transaction,
+        lock: Transaction.LOCK.UPDATE,
+      });
+    });
+  });
+
+  describe('getUpcomingAppointmentsByPhone', () => {
+    const { getUpcomingAppointmentsByPhone } = require('../src/modules/appointments/appointment.service');
+
+    it('should query by the customer matched on the normalized phone number', async () => {
+      mockCustomerModel.findOne.mockResolvedValueOnce({ id: 'customer-uuid-123' });
+      mockAppointmentModel.findAll.mockResolvedValueOnce([{ id: mockAppointmentId }]);
+
+      const appointments = await getUpcomingAppointmentsByPhone('test-tenant', '(555) 987-6543');
+
+      expect(appointments).toEqual([{ id: mockAppointmentId }]);
+      expect(mockCustomerModel.findOne).toHaveBeenCalledWith({
+        where: { tenantId: 'test-tenant', normalizedPhone: '+15559876543' },
+        attributes: ['id'],
+      });
+      const { where } = mockAppointmentModel.findAll.mock.calls[0][0];
+      expect(where.tenantId).toBe('test-tenant');
+      expect(where[Op.or]).toEqual([
+        { customerId: 'customer-uuid-123' },
+        { customerPhone: { [Op.in]: ['(555) 987-6543', '+15559876543'] } },
+      ]);
     });
 
-    it('should cancel appointment successfully with valid reason', async () => {
-      const mockAppointment = {
-        id: mockAppointmentId,
-        status: 'scheduled',
-        canBeCancelled: jest.fn().mockReturnValue(true),
-        cancel: jest.fn().mockResolvedValue(true),
-        toSafeObject: function() {
-          return { id: this.id, status: 'cancelled', cancellationReason: 'customer_request' };
-        },
-      };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+    it('should match bookings without a customer on the number as sent', async () => {
+      mockAppointmentModel.findAll.mockResolvedValueOnce([]);
 
-      const response = await request(app)
-        .delete(`/api/appointments/${mockAppointmentId}`)
-        .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant')
-        .send({ reason: 'customer_request', notes: 'Customer changed plans' });
+      await getUpcomingAppointmentsByPhone('test-tenant', '+15559876543');
 
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(mockAppointment.cancel).toHaveBeenCalledWith('customer_request', 'Customer changed plans');
+      const { where } = mockAppointmentModel.findAll.mock.calls[0][0];
+      expect(where[Op.or]).toEqual([{ customerPhone: { [Op.in]: ['+15559876543'] } }]);
     });
 
-    it('should hard delete appointment when hardDelete is true', async () => {
-      const mockAppointment = {
-        id: mockAppointmentId,
-        destroy: jest.fn().mockResolvedValue(true),
-      };
-      mockAppointmentModel.findOne.mockResolvedValue(mockAppointment);
+    it('should not query appointments for an empty phone number', async () => {
+      expect(await getUpcomingAppointmentsByPhone('test-tenant', '')).toEqual([]);
+      expect(mockAppointmentModel.findAll).not.toHaveBeenCalled();
+    });
+  });
 
-      const response = await request(app)
-        .delete(`/api/appointments/${mockAppointmentId}`)
-        .set('Authorization', `Bearer ${validToken()}`)
-        .set('X-Tenant-ID', 'test-tenant')
-        .send({ hardDelete: true });
+  describe('getSeriesOccurrences', () => {
+    const { getSeriesOccurrences } = require('../src/modules/appointments/appointment.service');
 
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(mockAppointment.destroy).toHaveBeenCalled();
+    it('should keep the local time of day across daylight saving changes', () => {
+      const occurrences = getSeriesOccurrences({
+        startTime: '2030-03-05T19:00:00Z',
+        frequency: 'weekly',
+        occurrenceCount: 2,
+      }, 'America/New_York');
+
+      // 2pm EST, then 2pm EDT
+      expect(occurrences.map(date => date.toISOString())).toEqual([
+        '2030-03-05T19:00:00.000Z',
+        '2030-03-12T18:00:00.000Z',
+      ]);
+    });
+
+    it('should move monthly occurrences to the end of shorter months', () => {
+      const occurrences = getSeriesOccurrences({
+        startTime: '2030-01-31T10:00:00Z',
+        frequency: 'monthly',
+        endDate: '2030-03-31',
+      }, 'UTC');
+
+      expect(occurrences.map(date => date.toISOString())).toEqual([
+        '2030-01-31T10:00:00.000Z',
+        '2030-02-28T10:00:00.000Z',
+        '2030-03-31T10:00:00.000Z',
+      ]);
     });
   });
 });
@@ -929,6 +2468,35 @@ describe('Availability Module', () => {
       expect(response.body.data.availability).toBeDefined();
     });
 
+    it('should build an employee\'s slots with their own duration for the service', async () => {
+      const morning = { start: '09:00', end: '10:00', enabled: true };
+      const mockEmployee = {
+        id: mockEmployeeId,
+        firstName: 'John',
+        lastName: 'Doe',
+        serviceIds: [mockServiceId],
+        serviceOverrides: { [mockServiceId]: { duration: 60 } },
+        schedule: { monday: morning },
+        getFullName: function() { return `${this.firstName} ${this.lastName}`; },
+      };
+
+      mockServiceModel.findOne.mockResolvedValue({ id: mockServiceId, duration: 30 });
+      mockEmployeeModel.findAll.mockResolvedValue([mockEmployee]);
+      mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+
+      // Monday
+      const response = await request(app)
+        .get(`/api/availability?serviceId=${mockServiceId}&date=2030-07-01`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      const [availability] = response.body.data.availability;
+      expect(availability.serviceDuration).toBe(60);
+      expect(availability.availableSlots.map(slot => slot.endTimeFormatted)).toEqual(['10:00']);
+    });
+
     it('should return 400 when start date is after end date', async () => {
       const response = await request(app)
         .get(`/api/availability?serviceId=${mockServiceId}&startDate=2024-12-31&endDate=2024-12-01`)
@@ -939,4 +2507,405 @@ describe('Availability Module', () => {
       expect(response.body.error).toContain('Start date');
     });
   });
+
+  describe('GET /api/availability/next', () => {
+    const mockEmployee = {
+      id: mockEmployeeId,
+      firstName: 'John',
+      lastName: 'Doe',
+      serviceIds: [mockServiceId],
+      schedule: {
+        monday: { start: '09:00', end: '12:00', enabled: true },
+        tuesday: { start: '09:00', end: '12:00', enabled: true },
+        wednesday: { start: '09:00', end: '12:00', enabled: true },
+        thursday: { start: '09:00', end: '12:00', enabled: true },
+        friday: { start: '09:00', end: '12:00', enabled: true },
+      },
+      getFullName: function() { return `${this.firstName} ${this.lastName}`; },
+    };
+
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get(`/api/availability/next?serviceId=${mockServiceId}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 when serviceId is missing', async () => {
+      const response = await request(app)
+        .get('/api/availability/next')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 400 for an invalid time window', async () => {
+      const response = await request(app)
+        .get(`/api/availability/next?serviceId=${mockServiceId}&earliestTime=9am`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('time format');
+    });
+
+    it('should return 400 for an unknown time of day', async () => {
+      const response = await request(app)
+        .get(`/api/availability/next?serviceId=${mockServiceId}&timeOfDay=night`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return the next available slots', async () => {
+      mockServiceModel.findOne.mockResolvedValue({ id: mockServiceId, duration: 60 });
+      mockEmployeeModel.findAll.mockResolvedValue([mockEmployee]);
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+
+      // Monday
+      const response = await request(app)
+        .get(`/api/availability/next?serviceId=${mockServiceId}&from=2030-07-01&count=2`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.from).toBe('2030-07-01');
+      expect(response.body.data.slots).toEqual([
+        expect.objectContaining({ date: '2030-07-01', startTimeFormatted: '09:00', employeeName: 'John Doe' }),
+        expect.objectContaining({ date: '2030-07-01', startTimeFormatted: '09:15', employeeName: 'John Doe' }),
+      ]);
+    });
+
+    it('should skip slots held for other callers', async () => {
+      mockServiceModel.findOne.mockResolvedValue({ id: mockServiceId, duration: 60 });
+      mockEmployeeModel.findAll.mockResolvedValue([mockEmployee]);
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockSlotHoldModel.findAll.mockResolvedValueOnce([{
+        employeeId: mockEmployeeId,
+        startTime: new Date('2030-07-01T09:00:00Z'),
+        endTime: new Date('2030-07-01T10:00:00Z'),
+      }]);
+
+      const response = await request(app)
+        .get(`/api/availability/next?serviceId=${mockServiceId}&from=2030-07-01&count=1`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.slots[0].startTimeFormatted).toBe('10:00');
+    });
+
+    it('should only offer times when a room the service needs is free', async () => {
+      const massage = { id: mockServiceId, duration: 60, resourceTypes: ['room'] };
+      mockServiceModel.findOne.mockResolvedValue(massage);
+      mockServiceModel.findAll.mockResolvedValue([massage]);
+      mockEmployeeModel.findAll.mockResolvedValue([mockEmployee]);
+      // Both rooms are in use by other therapists until 10:00, and one of them until 10:30
+      mockResourceModel.findAll.mockResolvedValue([
+        { id: 'room-1', type: 'room', capacity: 1 },
+        { id: 'room-2', type: 'room', capacity: 1 },
+      ]);
+      mockAppointmentModel.findAll.mockImplementation(async ({ where }) => (
+        where.serviceId ? [
+          { serviceId: mockServiceId, startTime: new Date('2030-07-01T09:00:00Z'), endTime: new Date('2030-07-01T10:00:00Z') },
+          { serviceId: mockServiceId, startTime: new Date('2030-07-01T09:00:00Z'), endTime: new Date('2030-07-01T10:30:00Z') },
+        ] : []
+      ));
+
+      const response = await request(app)
+        .get(`/api/availability/next?serviceId=${mockServiceId}&from=2030-07-01&count=2`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.slots.map(slot => slot.startTimeFormatted)).toEqual(['10:00', '10:15']);
+    });
+  });
+
+  describe('GET /api/availability/group', () => {
+    const secondEmployeeId = '55555555-5555-5555-5555-555555555555';
+    const mockRoomId = '88888888-8888-8888-8888-888888888888';
+    const weekdays = { start: '09:00', end: '12:00', enabled: true };
+    const mockEmployee = (id, firstName) => ({
+      id,
+      firstName,
+      lastName: 'Doe',
+      serviceIds: [mockServiceId],
+      schedule: { monday: weekdays, tuesday: weekdays, wednesday: weekdays, thursday: weekdays, friday: weekdays },
+      getFullName() { return `${this.firstName} ${this.lastName}`; },
+    });
+
+    beforeEach(() => {
+      mockServiceModel.findAll.mockResolvedValue([{ id: mockServiceId, duration: 60 }]);
+      mockEmployeeModel.findAll.mockResolvedValue([
+        mockEmployee(mockEmployeeId, 'John'),
+        mockEmployee(secondEmployeeId, 'Jane'),
+      ]);
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockResourceModel.findAll.mockResolvedValue([{ id: mockRoomId, type: 'room', capacity: 1 }]);
+      mockResourceBookingModel.findAll.mockResolvedValue([]);
+    });
+
+    it('should return 400 for fewer than two services', async () => {
+      const response = await request(app)
+        .get(`/api/availability/group?date=2030-07-01&serviceIds=${mockServiceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('between 2 and 10 services');
+    });
+
+    it('should only return times when a different employee is free for each member', async () => {
+      // John is busy at 09:00, so two people can't start before 10:00
+      mockAppointmentModel.findAll.mockResolvedValue([{
+        employeeId: mockEmployeeId,
+        startTime: new Date('2030-07-01T09:00:00Z'),
+        endTime: new Date('2030-07-01T10:00:00Z'),
+      }]);
+
+      // Monday
+      const response = await request(app)
+        .get(`/api/availability/group?date=2030-07-01&serviceIds=${mockServiceId},${mockServiceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.slots[0]).toEqual(expect.objectContaining({
+        startTimeFormatted: '10:00',
+        endTimeFormatted: '11:00',
+      }));
+      expect(response.body.data.slots[0].members.map(member => member.employeeName).sort())
+        .toEqual(['Jane Doe', 'John Doe']);
+    });
+
+    it('should skip times when a required resource is booked', async () => {
+      mockResourceBookingModel.findAll.mockResolvedValue([{
+        resourceId: mockRoomId,
+        startTime: new Date('2030-07-01T09:00:00Z'),
+        endTime: new Date('2030-07-01T10:30:00Z'),
+      }]);
+
+      const response = await request(app)
+        .get(`/api/availability/group?date=2030-07-01&serviceIds=${mockServiceId},${mockServiceId}&resourceIds=${mockRoomId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.slots[0].startTimeFormatted).toBe('10:30');
+    });
+  });
+
+  describe('GET /api/availability/multi-service', () => {
+    const secondEmployeeId = '55555555-5555-5555-5555-555555555555';
+    const secondServiceId = '66666666-6666-6666-6666-666666666666';
+    const weekdays = { start: '09:00', end: '12:00', enabled: true };
+    const mockEmployee = (id, firstName, serviceIds) => ({
+      id,
+      firstName,
+      lastName: 'Doe',
+      serviceIds,
+      schedule: { monday: weekdays, tuesday: weekdays, wednesday: weekdays, thursday: weekdays, friday: weekdays },
+      getFullName() { return `${this.firstName} ${this.lastName}`; },
+    });
+
+    beforeEach(() => {
+      mockServiceModel.findAll.mockResolvedValue([
+        { id: mockServiceId, duration: 60 },
+        { id: secondServiceId, duration: 30 },
+      ]);
+      mockEmployeeModel.findAll.mockResolvedValue([
+        mockEmployee(mockEmployeeId, 'John', [mockServiceId]),
+        mockEmployee(secondEmployeeId, 'Jane', [secondServiceId]),
+      ]);
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockResourceModel.findAll.mockResolvedValue([]);
+    });
+
+    it('should return 400 for a single service', async () => {
+      const response = await request(app)
+        .get(`/api/availability/multi-service?date=2030-07-01&serviceIds=${mockServiceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('between 2 and 5 services');
+    });
+
+    it('should only return times when each service has a free employee in turn', async () => {
+      // Jane is busy 10:00-10:30, so the manicure can't follow a 09:00 haircut
+      mockAppointmentModel.findAll.mockResolvedValue([{
+        employeeId: secondEmployeeId,
+        startTime: new Date('2030-07-01T10:00:00Z'),
+        endTime: new Date('2030-07-01T10:30:00Z'),
+      }]);
+
+      // Monday
+      const response = await request(app)
+        .get(`/api/availability/multi-service?date=2030-07-01&serviceIds=${mockServiceId},${secondServiceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totalDuration).toBe(90);
+      expect(response.body.data.slots[0]).toEqual(expect.objectContaining({
+        startTimeFormatted: '09:30',
+        endTimeFormatted: '11:00',
+      }));
+      expect(response.body.data.slots[0].segments).toEqual([
+        expect.objectContaining({ employeeName: 'John Doe', startTimeFormatted: '09:30', endTimeFormatted: '10:30' }),
+        expect.objectContaining({ employeeName: 'Jane Doe', startTimeFormatted: '10:30', endTimeFormatted: '11:00' }),
+      ]);
+    });
+  });
+
+  describe('POST /api/availability/holds', () => {
+    const getFutureDate = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const holdRequest = (body) => request(app)
+      .post('/api/availability/holds')
+      .set('Authorization', `Bearer ${validToken()}`)
+      .set('X-Tenant-ID', 'test-tenant')
+      .send(body);
+
+    beforeEach(() => {
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: mockEmployeeId,
+        serviceIds: [mockServiceId],
+      });
+      mockServiceModel.findOne.mockResolvedValue({
+        id: mockServiceId,
+        duration: 60,
+        bufferAfter: 15,
+        price: 50.00,
+        addOns: [],
+      });
+      mockAppointmentModel.findAll.mockResolvedValue([]);
+      mockSlotHoldModel.create.mockImplementation(async (data) => ({
+        id: 'hold-uuid',
+        ...data,
+        toSafeObject() { return { id: this.id, expiresAt: this.expiresAt }; },
+      }));
+    });
+
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .post('/api/availability/holds')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({});
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 when required fields are missing', async () => {
+      const response = await holdRequest({ serviceId: mockServiceId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 400 for a TTL over the limit', async () => {
+      const response = await holdRequest({
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        startTime: getFutureDate().toISOString(),
+        ttlSeconds: 3600,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('600');
+    });
+
+    it('should hold a free slot with its buffers until the TTL runs out', async () => {
+      const startTime = getFutureDate();
+      const before = Date.now();
+
+      const response = await holdRequest({
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        startTime: startTime.toISOString(),
+        ttlSeconds: 90,
+        reference: 'conversation-1',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.hold.id).toBe('hold-uuid');
+      expect(mockEmployeeModel.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE' }));
+      expect(mockSlotHoldModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        tenantId: 'tenant-uuid-123',
+        employeeId: mockEmployeeId,
+        startTime,
+        endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+        bufferAfter: 15,
+        reference: 'conversation-1',
+      }), { transaction: expect.anything() });
+
+      const { expiresAt } = mockSlotHoldModel.create.mock.calls[0][0];
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 90 * 1000);
+      expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 90 * 1000);
+
+      // Replaces the caller's previous hold
+      expect(mockSlotHoldModel.destroy).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid-123', reference: 'conversation-1' },
+        transaction: expect.anything(),
+      });
+    });
+
+    it('should return 409 when the slot is already booked', async () => {
+      const startTime = getFutureDate();
+      mockAppointmentModel.findAll.mockResolvedValue([{
+        id: 'existing',
+        startTime,
+        endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+        toSafeObject() { return { id: this.id }; },
+      }]);
+
+      const response = await holdRequest({
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        startTime: startTime.toISOString(),
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('TIME_SLOT_CONFLICT');
+      expect(mockSlotHoldModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/availability/holds/:holdId', () => {
+    const holdId = '44444444-4444-4444-4444-444444444444';
+
+    it('should return 404 when the hold does not exist', async () => {
+      mockSlotHoldModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete(`/api/availability/holds/${holdId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('HOLD_NOT_FOUND');
+    });
+
+    it('should release the hold', async () => {
+      const hold = { id: holdId, destroy: jest.fn().mockResolvedValue() };
+      mockSlotHoldModel.findOne.mockResolvedValue(hold);
+
+      const response = await request(app)
+        .delete(`/api/availability/holds/${holdId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(hold.destroy).toHaveBeenCalled();
+      expect(mockSlotHoldModel.findOne).toHaveBeenCalledWith({
+        where: { id: holdId, tenantId: 'tenant-uuid-123' },
+      });
+    });
+  });
 });
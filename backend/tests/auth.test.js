@@ -3,6 +3,8 @@
  * Tests for authentication module functionality
  */
 const request = require('supertest');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
 
 // Default business hours configuration used in tests
 const DEFAULT_BUSINESS_HOURS = {
@@ -18,8 +20,11 @@ const DEFAULT_BUSINESS_HOURS = {
 // Define mocks before requiring the app
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
+  increment: jest.fn(),
+  update: jest.fn(),
 };
 
 const mockTenantModel = {
@@ -68,6 +73,10 @@ const { app } = require('../src/app');
 const { User } = require('../src/models');
 const jwtUtils = require('../src/modules/auth/jwt.utils');
 const twoFactorUtils = require('../src/modules/auth/2fa.utils');
+const loginProtection = require('../src/modules/auth/loginProtection.service');
+const bcrypt = require('bcrypt');
+const email = require('../src/utils/email');
+const env = require('../src/config/env');
 
 describe('Authentication Module', () => {
   beforeEach(() => {
@@ -306,7 +315,10 @@ describe('Authentication Module', () => {
           email: 'test@example.com',
           isActive: true,
           twoFactorEnabled: false,
+          failedLoginAttempts: 0,
           comparePassword: jest.fn().mockResolvedValue(false),
+          update: jest.fn().mockResolvedValue(true),
+          reload: jest.fn().mockResolvedValue(true),
         };
         User.findOne.mockResolvedValue(mockUser);
         
@@ -343,6 +355,7 @@ describe('Authentication Module', () => {
           isActive: true,
           twoFactorEnabled: false,
           comparePassword: jest.fn().mockResolvedValue(true),
+          update: jest.fn().mockResolvedValue(true),
           toSafeObject: () => ({ id: '123', email: 'test@example.com', tenantId: 'default' }),
         };
         User.findOne.mockResolvedValue(mockUser);
@@ -364,6 +377,7 @@ describe('Authentication Module', () => {
           isActive: true,
           twoFactorEnabled: false,
           comparePassword: jest.fn().mockResolvedValue(true),
+          update: jest.fn().mockResolvedValue(true),
           toSafeObject: () => ({ 
             id: 'user-uuid-456', 
             email: 'user@tenant2.com', 
@@ -390,6 +404,365 @@ describe('Authentication Module', () => {
       });
     });
 
+    describe('Account lockout', () => {
+      // The user as stored in the database, which failed logins are counted on
+      let storedUser;
+
+      const lockableUser = (data = {}) => {
+        storedUser = {
+          id: '123',
+          email: 'test@example.com',
+          tenantId: 'tenant-uuid-123',
+          isActive: true,
+          twoFactorEnabled: false,
+          failedLoginAttempts: 0,
+          lockoutCount: 0,
+          lockedUntil: null,
+          comparePassword: jest.fn().mockResolvedValue(false),
+          update: jest.fn().mockResolvedValue(true),
+          reload: jest.fn(async function() {
+            return this;
+          }),
+          toSafeObject: () => ({ id: '123', email: 'test@example.com', tenantId: 'tenant-uuid-123' }),
+          ...data,
+        };
+        return storedUser;
+      };
+
+      // Emails that would have been sent
+      const sendEmail = jest.fn().mockResolvedValue();
+
+      beforeAll(() => {
+        email.setEmailTransport(sendEmail);
+      });
+
+      afterAll(() => {
+        email.setEmailTransport(null);
+      });
+
+      beforeEach(() => {
+        User.increment.mockImplementation(async (field) => {
+          storedUser[field] += 1;
+        });
+        User.update.mockResolvedValue([1]);
+      });
+
+      it('should count failed logins on the account', async () => {
+        const mockUser = lockableUser({ failedLoginAttempts: 2 });
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'wrongpassword' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_CREDENTIALS');
+        expect(User.increment).toHaveBeenCalledWith('failedLoginAttempts', { where: { id: '123' } });
+        expect(mockUser.reload).toHaveBeenCalled();
+        expect(mockUser.failedLoginAttempts).toBe(3);
+        expect(User.update).not.toHaveBeenCalled();
+      });
+
+      it('should lock the account only once when parallel attempts go over the limit', async () => {
+        const mockUser = lockableUser({ failedLoginAttempts: loginProtection.MAX_FAILED_LOGIN_ATTEMPTS - 1 });
+        User.findOne.mockResolvedValue(mockUser);
+        // Another attempt locked the account and reset the count first
+        User.update.mockResolvedValue([0]);
+
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'wrongpassword' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_CREDENTIALS');
+        expect(mockTenantModel.findOne).not.toHaveBeenCalled();
+        expect(sendEmail).not.toHaveBeenCalled();
+      });
+
+      it('should lock the account, email an unlock link and notify the tenant contact after too many failed logins', async () => {
+        const mockUser = lockableUser({ failedLoginAttempts: loginProtection.MAX_FAILED_LOGIN_ATTEMPTS - 1 });
+        User.findOne.mockResolvedValue(mockUser);
+        mockTenantModel.findOne.mockResolvedValue({ id: 'tenant-uuid-123', contactEmail: 'owner@example.com' });
+
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'wrongpassword' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_CREDENTIALS');
+
+        const [update, options] = User.update.mock.calls[0];
+        expect(update).toEqual({
+          failedLoginAttempts: 0,
+          lockoutCount: 1,
+          lockedUntil: expect.any(Date),
+          unlockToken: expect.stringMatching(/^[a-f0-9]{64}$/),
+          unlockTokenExpires: expect.any(Date),
+        });
+        const linkMinutes = (update.unlockTokenExpires.getTime() - Date.now()) / 60000;
+        expect(linkMinutes).toBeGreaterThan(loginProtection.UNLOCK_LINK_EXPIRY_MINUTES - 1);
+        expect(linkMinutes).toBeLessThanOrEqual(loginProtection.UNLOCK_LINK_EXPIRY_MINUTES);
+        expect(options.where).toEqual({
+          id: '123',
+          failedLoginAttempts: { [Op.gte]: loginProtection.MAX_FAILED_LOGIN_ATTEMPTS },
+        });
+        const lockMinutes = (update.lockedUntil.getTime() - Date.now()) / 60000;
+        expect(lockMinutes).toBeGreaterThan(14);
+        expect(lockMinutes).toBeLessThanOrEqual(15);
+        expect(mockTenantModel.findOne).toHaveBeenCalledWith({ where: { id: 'tenant-uuid-123' } });
+
+        // The emailed link carries the token whose hash was stored
+        const unlockEmail = sendEmail.mock.calls.find(([email]) => email.to === 'test@example.com')[0];
+        const unlockToken = unlockEmail.text.match(/\/unlock-account\?token=([a-f0-9]{64})/)[1];
+        expect(crypto.createHash('sha256').update(unlockToken).digest('hex')).toBe(update.unlockToken);
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+          to: 'owner@example.com',
+          subject: 'Account locked',
+        }));
+      });
+
+      it('should refuse to drop the unlock link silently in production without an email transport', async () => {
+        email.setEmailTransport(null);
+        const isProduction = jest.spyOn(env, 'isProduction').mockReturnValue(true);
+
+        try {
+          await expect(email.sendEmail({ to: 'test@example.com', subject: 'Test', text: 'Body' }))
+            .rejects.toMatchObject({ statusCode: 503, code: 'EMAIL_NOT_CONFIGURED' });
+
+          // The lockout itself still happens
+          const mockUser = lockableUser({ failedLoginAttempts: loginProtection.MAX_FAILED_LOGIN_ATTEMPTS - 1 });
+          User.findOne.mockResolvedValue(mockUser);
+
+          const response = await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'test@example.com', password: 'wrongpassword' });
+
+          expect(response.status).toBe(401);
+          expect(User.update).toHaveBeenCalledWith(
+            expect.objectContaining({ lockedUntil: expect.any(Date) }),
+            expect.any(Object)
+          );
+        } finally {
+          isProduction.mockRestore();
+          email.setEmailTransport(sendEmail);
+        }
+      });
+
+      it('should lock for longer after each lockout, up to a day', async () => {
+        const mockUser = lockableUser({
+          failedLoginAttempts: loginProtection.MAX_FAILED_LOGIN_ATTEMPTS - 1,
+          lockoutCount: 2,
+        });
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'wrongpassword' });
+
+        expect(response.status).toBe(401);
+        const update = User.update.mock.calls[0][0];
+        expect(update.lockoutCount).toBe(3);
+        const lockMinutes = (update.lockedUntil.getTime() - Date.now()) / 60000;
+        expect(lockMinutes).toBeGreaterThan(59);
+        expect(lockMinutes).toBeLessThanOrEqual(60);
+
+        expect(loginProtection.getLockoutMinutes(1)).toBe(15);
+        expect(loginProtection.getLockoutMinutes(2)).toBe(30);
+        expect(loginProtection.getLockoutMinutes(20)).toBe(24 * 60);
+      });
+
+      it('should reject a locked account like an unknown email without checking the password', async () => {
+        const mockUser = lockableUser({
+          lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+          comparePassword: jest.fn().mockResolvedValue(true),
+        });
+        User.findOne.mockResolvedValue(mockUser);
+        const compare = jest.spyOn(bcrypt, 'compare');
+
+        const lockedResponse = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'password123' });
+
+        User.findOne.mockResolvedValue(null);
+
+        const unknownResponse = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'nobody@example.com', password: 'password123' });
+
+        expect(lockedResponse.status).toBe(401);
+        expect(lockedResponse.status).toBe(unknownResponse.status);
+        expect(lockedResponse.body).toEqual({ ...unknownResponse.body, requestId: expect.any(String) });
+        expect(mockUser.comparePassword).not.toHaveBeenCalled();
+        expect(mockUser.update).not.toHaveBeenCalled();
+        // Both run a password check against a dummy hash, so they take as long as each other
+        expect(compare).toHaveBeenCalledTimes(2);
+        expect(compare).toHaveBeenNthCalledWith(1, 'password123', expect.stringMatching(/^\$2[aby]\$10\$/));
+        expect(compare.mock.calls[1]).toEqual(compare.mock.calls[0]);
+        compare.mockRestore();
+      });
+
+      it('should count wrong 2FA codes as failed logins', async () => {
+        const mockUser = lockableUser({
+          twoFactorEnabled: true,
+          twoFactorSecret: twoFactorUtils.generateSecret(),
+          comparePassword: jest.fn().mockResolvedValue(true),
+        });
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'password123', twoFactorCode: '000000' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_2FA_CODE');
+        expect(User.increment).toHaveBeenCalledWith('failedLoginAttempts', { where: { id: '123' } });
+        expect(mockUser.failedLoginAttempts).toBe(1);
+      });
+
+      it('should clear the lockout once it expires and the login succeeds', async () => {
+        const mockUser = lockableUser({
+          failedLoginAttempts: 3,
+          lockoutCount: 2,
+          lockedUntil: new Date(Date.now() - 60 * 1000),
+          comparePassword: jest.fn().mockResolvedValue(true),
+        });
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'test@example.com', password: 'password123' });
+
+        expect(response.status).toBe(200);
+        expect(mockUser.update).toHaveBeenCalledWith(expect.objectContaining({
+          lastLoginAt: expect.any(Date),
+          failedLoginAttempts: 0,
+          lockoutCount: 0,
+          lockedUntil: null,
+          unlockToken: null,
+          unlockTokenExpires: null,
+        }));
+      });
+
+      it('should notify the tenant contact of a login from a new device only', async () => {
+        const login = async (mockUser) => {
+          User.findOne.mockResolvedValue(mockUser);
+          const response = await request(app)
+            .post('/api/auth/login')
+            .set('User-Agent', 'TestBrowser/1.0')
+            .send({ email: 'test@example.com', password: 'password123' });
+          expect(response.status).toBe(200);
+          return mockUser.update.mock.calls[0][0].knownLoginDevices;
+        };
+
+        // First login: nothing to compare against
+        const firstDevices = await login(lockableUser({ comparePassword: jest.fn().mockResolvedValue(true) }));
+        expect(firstDevices).toHaveLength(1);
+        expect(mockTenantModel.findOne).not.toHaveBeenCalled();
+
+        // Same device again
+        await login(lockableUser({
+          knownLoginDevices: firstDevices,
+          comparePassword: jest.fn().mockResolvedValue(true),
+        }));
+        expect(mockTenantModel.findOne).not.toHaveBeenCalled();
+
+        // A device the user hasn't logged in from
+        const devices = await login(lockableUser({
+          knownLoginDevices: ['a'.repeat(64)],
+          comparePassword: jest.fn().mockResolvedValue(true),
+        }));
+        expect(devices).toEqual([firstDevices[0], 'a'.repeat(64)]);
+        expect(mockTenantModel.findOne).toHaveBeenCalledWith({ where: { id: 'tenant-uuid-123' } });
+      });
+
+      it('should unlock the account when the password is reset', async () => {
+        const mockUser = lockableUser({
+          lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+          passwordResetExpires: new Date(Date.now() + 3600000),
+        });
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/reset-password')
+          .send({ token: 'validtoken', password: 'newpassword123' });
+
+        expect(response.status).toBe(200);
+        expect(mockUser.update).toHaveBeenCalledWith(expect.objectContaining({
+          failedLoginAttempts: 0,
+          lockedUntil: null,
+          unlockToken: null,
+        }));
+      });
+    });
+
+    describe('POST /api/auth/unlock', () => {
+      it('should return 400 when token is missing', async () => {
+        const response = await request(app)
+          .post('/api/auth/unlock')
+          .send({});
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      });
+
+      it('should return 400 for an invalid token', async () => {
+        User.findOne.mockResolvedValue(null);
+
+        const response = await request(app)
+          .post('/api/auth/unlock')
+          .send({ token: 'invalidtoken' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_UNLOCK_TOKEN');
+      });
+
+      it('should return 400 for an expired token', async () => {
+        const mockUser = {
+          id: '123',
+          email: 'test@example.com',
+          lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+          unlockTokenExpires: new Date(Date.now() - 60 * 1000),
+          update: jest.fn().mockResolvedValue(true),
+        };
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/unlock')
+          .send({ token: 'unlocktoken' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('EXPIRED_UNLOCK_TOKEN');
+        expect(mockUser.update).not.toHaveBeenCalled();
+      });
+
+      it('should unlock the account for a valid token', async () => {
+        const mockUser = {
+          id: '123',
+          email: 'test@example.com',
+          lockedUntil: new Date(Date.now() + 10 * 60 * 1000),
+          unlockTokenExpires: new Date(Date.now() + 30 * 60 * 1000),
+          update: jest.fn().mockResolvedValue(true),
+        };
+        User.findOne.mockResolvedValue(mockUser);
+
+        const response = await request(app)
+          .post('/api/auth/unlock')
+          .send({ token: 'unlocktoken' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(User.findOne).toHaveBeenCalledWith({
+          where: { unlockToken: crypto.createHash('sha256').update('unlocktoken').digest('hex') },
+        });
+        expect(mockUser.update).toHaveBeenCalledWith({
+          failedLoginAttempts: 0,
+          lockedUntil: null,
+          unlockToken: null,
+          unlockTokenExpires: null,
+        });
+      });
+    });
+
     describe('POST /api/auth/forgot-password', () => {
       it('should return 400 when email is missing', async () => {
         const response = await request(app)
@@ -526,6 +899,18 @@ describe('Authentication Module', () => {
         expect(response.status).toBe(200);
         expect(response.body.data.tokens).toBeDefined();
       });
+
+      it('should return 401 when the user has been deactivated', async () => {
+        const refreshToken = jwtUtils.generateRefreshToken({ userId: '123' });
+        User.findByPk.mockResolvedValueOnce({ id: '123', email: 'test@example.com', isActive: false });
+
+        const response = await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('USER_NOT_FOUND');
+      });
     });
 
     describe('Protected Routes', () => {
@@ -0,0 +1,691 @@
+/**
+ * Availability Service Tests
+ * Tests for slot generation with employee time-off exceptions, closures and tenant timezones
+ */
+
+const mockAppointmentModel = {
+  findAll: jest.fn(),
+};
+
+const mockEmployeeModel = {
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+};
+
+const mockEmployeeTimeOffModel = {
+  findAll: jest.fn(),
+};
+
+const mockTenantClosureModel = {
+  findAll: jest.fn(),
+};
+
+const mockTenantModel = {
+  findOne: jest.fn(),
+};
+
+const mockServiceModel = {
+  findOne: jest.fn(),
+};
+
+const mockSlotHoldModel = {
+  findAll: jest.fn(),
+};
+
+jest.mock('../src/modules/appointments/appointment.model', () => ({
+  Appointment: mockAppointmentModel,
+  APPOINTMENT_STATUS: {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show',
+  },
+}));
+
+jest.mock('../src/modules/appointments/slotHold.model', () => ({
+  SlotHold: mockSlotHoldModel,
+}));
+
+jest.mock('../src/modules/employees/employee.model', () => ({
+  Employee: mockEmployeeModel,
+  EMPLOYEE_STATUS: {
+    ACTIVE: 'active',
+  },
+}));
+
+jest.mock('../src/modules/employees/employeeTimeOff.model', () => ({
+  EmployeeTimeOff: mockEmployeeTimeOffModel,
+  TIME_OFF_TYPES: {
+    DAY_OFF: 'day_off',
+    BLOCKED: 'blocked',
+    EXTRA_HOURS: 'extra_hours',
+  },
+  TIME_OFF_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+}));
+
+jest.mock('../src/modules/tenants/tenantClosure.model', () => ({
+  TenantClosure: mockTenantClosureModel,
+}));
+
+jest.mock('../src/modules/services/service.model', () => ({
+  Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
+}));
+
+const { Op } = require('sequelize');
+const availabilityService = require('../src/modules/appointments/availability.service');
+
+describe('Availability Service', () => {
+  // Monday, July 1 2030 (local time)
+  const date = new Date(2030, 6, 1);
+  const at = (hours, minutes = 0) => new Date(2030, 6, 1, hours, minutes);
+
+  const employee = {
+    id: 'emp-1',
+    schedule: {
+      monday: { start: '09:00', end: '12:00', enabled: true },
+      sunday: { start: '10:00', end: '14:00', enabled: false },
+    },
+  };
+
+  const timeOffEntry = (data) => ({
+    id: 'time-off-1',
+    startDate: '2030-07-01',
+    endDate: '2030-07-01',
+    startTime: null,
+    endTime: null,
+    ...data,
+    toSafeObject() { return { id: this.id, type: this.type }; },
+  });
+
+  const closureEntry = (data) => ({
+    id: 'closure-1',
+    name: 'Holiday',
+    startDate: '2030-07-01',
+    endDate: '2030-07-01',
+    recurring: false,
+    openTime: null,
+    closeTime: null,
+    ...data,
+    toSafeObject() { return { id: this.id, name: this.name }; },
+  });
+
+  const slotTimes = (slots) => slots.map(slot => slot.startTimeFormatted);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockEmployeeModel.findOne.mockResolvedValue(employee);
+    mockAppointmentModel.findAll.mockResolvedValue([]);
+    mockSlotHoldModel.findAll.mockResolvedValue([]);
+    mockEmployeeTimeOffModel.findAll.mockResolvedValue([]);
+    mockTenantClosureModel.findAll.mockResolvedValue([]);
+    mockTenantModel.findOne.mockResolvedValue({ timezone: 'UTC' });
+  });
+
+  describe('getAvailableSlots', () => {
+    it('should use the weekly schedule when there are no approved exceptions', async () => {
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slotTimes(slots)).toEqual(['09:00', '10:00', '11:00']);
+      expect(mockEmployeeTimeOffModel.findAll).toHaveBeenCalledWith({
+        where: expect.objectContaining({ tenantId: 'tenant-uuid', employeeId: 'emp-1', status: 'approved' }),
+      });
+    });
+
+    it('should return no slots on a day off', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'day_off', startDate: '2030-06-28', endDate: '2030-07-03' }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slots).toEqual([]);
+    });
+
+    it('should skip blocked time', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'blocked', startTime: '10:00', endTime: '10:30' }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 30, 30);
+
+      expect(slotTimes(slots)).toEqual(['09:00', '09:30', '10:30', '11:00', '11:30']);
+    });
+
+    it('should add extra hours to the weekly schedule', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'extra_hours', startTime: '11:00', endTime: '14:00' }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slotTimes(slots)).toEqual(['09:00', '10:00', '11:00', '12:00', '13:00']);
+    });
+
+    it('should open a normally closed day with extra hours', async () => {
+      const sunday = new Date(2030, 6, 7);
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'extra_hours', startDate: '2030-07-07', endDate: '2030-07-07', startTime: '10:00', endTime: '12:00' }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', sunday, 60, 60);
+
+      expect(slotTimes(slots)).toEqual(['10:00', '11:00']);
+    });
+
+    it('should ignore exceptions for other dates', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'day_off', startDate: '2030-07-02', endDate: '2030-07-02' }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slots).toHaveLength(3);
+    });
+  });
+
+  describe('tenant closures', () => {
+    it('should return no slots when the business is closed', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([closureEntry({ name: 'Renovation', endDate: '2030-07-05' })]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slots).toEqual([]);
+      expect(mockEmployeeTimeOffModel.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should apply recurring closures in later years', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([
+        closureEntry({ name: 'Founders Day', startDate: '2025-07-01', endDate: '2025-07-01', recurring: true }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slots).toEqual([]);
+    });
+
+    it('should limit slots to special hours', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([closureEntry({ openTime: '10:00', closeTime: '11:30' })]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 30, 30);
+
+      expect(slotTimes(slots)).toEqual(['10:00', '10:30', '11:00']);
+    });
+
+    it('should ignore closures for other dates', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([
+        closureEntry({ startDate: '2025-12-25', endDate: '2025-12-25', recurring: true }),
+      ]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(slots).toHaveLength(3);
+    });
+
+    it('should reject bookings during a closure', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([closureEntry({ name: 'Renovation' })]);
+
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(9), at(10));
+
+      expect(result.available).toBe(false);
+      expect(result.closureConflicts).toEqual([{ id: 'closure-1', name: 'Renovation' }]);
+    });
+
+    it('should reject bookings outside special hours', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([closureEntry({ openTime: '10:00', closeTime: '12:00' })]);
+
+      const outside = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(11, 30), at(12, 30));
+      const inside = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(10), at(11));
+
+      expect(outside.available).toBe(false);
+      expect(inside.available).toBe(true);
+    });
+
+    it('should include the closure with availability for a date', async () => {
+      const { Service } = require('../src/modules/services/service.model');
+      Service.findOne.mockResolvedValue({ id: 'service-1', duration: 60 });
+      mockEmployeeModel.findAll.mockResolvedValue([
+        { ...employee, serviceIds: ['service-1'], getFullName: () => 'Sam Smith' },
+      ]);
+      mockTenantClosureModel.findAll.mockResolvedValue([closureEntry({ name: 'Founders Day' })]);
+
+      const availability = await availabilityService.getAvailabilityForDate('tenant-uuid', date, 'service-1');
+
+      expect(availability).toEqual([
+        expect.objectContaining({
+          employeeId: 'emp-1',
+          isAvailable: false,
+          closure: { id: 'closure-1', name: 'Founders Day' },
+        }),
+      ]);
+    });
+  });
+
+  describe('tenant timezone', () => {
+    const startTimes = (slots) => slots.map(slot => slot.startTime);
+
+    beforeEach(() => {
+      mockTenantModel.findOne.mockResolvedValue({ timezone: 'America/New_York' });
+    });
+
+    it('should generate slots from the schedule in the tenant timezone', async () => {
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', '2030-07-01', 60, 60);
+
+      expect(slotTimes(slots)).toEqual(['09:00', '10:00', '11:00']);
+      expect(startTimes(slots)).toEqual([
+        '2030-07-01T13:00:00.000Z',
+        '2030-07-01T14:00:00.000Z',
+        '2030-07-01T15:00:00.000Z',
+      ]);
+    });
+
+    it('should use the tenant calendar date for an instant', async () => {
+      // 01:00 UTC on Tuesday is still Monday evening in New York
+      const slots = await availabilityService.getAvailableSlots(
+        'emp-1', 'tenant-uuid', new Date('2030-07-02T01:00:00Z'), 60, 60
+      );
+
+      expect(slotTimes(slots)).toEqual(['09:00', '10:00', '11:00']);
+    });
+
+    it('should keep local times across DST changes', async () => {
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: 'emp-1',
+        schedule: { monday: { start: '09:00', end: '10:00', enabled: true } },
+      });
+
+      const beforeSpringForward = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', '2030-03-04', 60, 60);
+      const afterSpringForward = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', '2030-03-11', 60, 60);
+      const afterFallBack = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', '2030-11-04', 60, 60);
+
+      expect(startTimes(beforeSpringForward)).toEqual(['2030-03-04T14:00:00.000Z']);
+      expect(startTimes(afterSpringForward)).toEqual(['2030-03-11T13:00:00.000Z']);
+      expect(startTimes(afterFallBack)).toEqual(['2030-11-04T14:00:00.000Z']);
+    });
+
+    it('should skip the hour lost when clocks go forward', async () => {
+      mockEmployeeModel.findOne.mockResolvedValue({
+        id: 'emp-1',
+        schedule: { sunday: { start: '01:00', end: '04:00', enabled: true } },
+      });
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', '2030-03-10', 60, 60);
+
+      expect(slotTimes(slots)).toEqual(['01:00', '03:00']);
+      expect(startTimes(slots)).toEqual(['2030-03-10T06:00:00.000Z', '2030-03-10T07:00:00.000Z']);
+    });
+
+    it('should look up appointments for the tenant day and the buffer window around it', async () => {
+      await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', '2030-07-01', 60, 60);
+
+      // The New York day runs from 04:00 to 04:00 UTC, widened by the 240 minute maximum buffer
+      const { where } = mockAppointmentModel.findAll.mock.calls[0][0];
+      const [startOp] = Object.getOwnPropertySymbols(where.startTime);
+      const [endOp] = Object.getOwnPropertySymbols(where.endTime);
+      expect(where.startTime[startOp]).toEqual(new Date('2030-07-02T08:00:00Z'));
+      expect(where.endTime[endOp]).toEqual(new Date('2030-07-01T00:00:00Z'));
+    });
+
+    it('should check blocked time in the tenant timezone', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'blocked', startTime: '12:00', endTime: '13:00' }),
+      ]);
+
+      const blocked = await availabilityService.checkSlotAvailability(
+        'emp-1', 'tenant-uuid', new Date('2030-07-01T16:00:00Z'), new Date('2030-07-01T17:00:00Z')
+      );
+      const free = await availabilityService.checkSlotAvailability(
+        'emp-1', 'tenant-uuid', new Date('2030-07-01T12:00:00Z'), new Date('2030-07-01T13:00:00Z')
+      );
+
+      expect(blocked.available).toBe(false);
+      expect(free.available).toBe(true);
+    });
+
+    it('should return the tenant calendar date with availability', async () => {
+      const { Service } = require('../src/modules/services/service.model');
+      Service.findOne.mockResolvedValue({ id: 'service-1', duration: 60 });
+      mockEmployeeModel.findAll.mockResolvedValue([
+        { ...employee, serviceIds: ['service-1'], getFullName: () => 'Sam Smith' },
+      ]);
+
+      const availability = await availabilityService.getAvailabilityForDate(
+        'tenant-uuid', new Date('2030-07-02T01:00:00Z'), 'service-1'
+      );
+
+      expect(availability[0].date).toBe('2030-07-01');
+      expect(availability[0].availableSlots[0].startTime).toBe('2030-07-01T13:00:00.000Z');
+    });
+  });
+
+  describe('findNextAvailableSlots', () => {
+    const makeEmployee = (id, name, schedule = employee.schedule) => ({
+      id,
+      schedule,
+      serviceIds: ['service-1'],
+      getFullName: () => name,
+    });
+
+    const anna = makeEmployee('emp-1', 'Anna Smith');
+    const ben = makeEmployee('emp-2', 'Ben Jones');
+
+    beforeEach(() => {
+      mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60 });
+      mockEmployeeModel.findAll.mockResolvedValue([anna, ben]);
+    });
+
+    it('should load appointments for the whole range in one query', async () => {
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: '2030-07-01',
+        count: 3,
+        slotInterval: 60,
+      });
+
+      expect(mockAppointmentModel.findAll).toHaveBeenCalledTimes(1);
+      expect(mockEmployeeTimeOffModel.findAll).toHaveBeenCalledTimes(1);
+      expect(result.from).toBe('2030-07-01');
+      expect(result.to).toBe('2030-07-14');
+      expect(result.serviceDuration).toBe(60);
+      expect(result.slots.map(slot => slot.startTimeFormatted)).toEqual(['09:00', '10:00', '11:00']);
+    });
+
+    it('should offer the preferred employee first when both are free', async () => {
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: '2030-07-01',
+        count: 1,
+        slotInterval: 60,
+        preferredEmployeeId: 'emp-2',
+      });
+
+      expect(result.slots[0]).toEqual(expect.objectContaining({
+        date: '2030-07-01',
+        employeeId: 'emp-2',
+        employeeName: 'Ben Jones',
+      }));
+    });
+
+    it('should fall back to another employee when the preferred one is booked', async () => {
+      mockAppointmentModel.findAll.mockResolvedValue([
+        { employeeId: 'emp-2', startTime: at(9), endTime: at(10) },
+      ]);
+
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: '2030-07-01',
+        count: 2,
+        slotInterval: 60,
+        preferredEmployeeId: 'emp-2',
+      });
+
+      expect(result.slots.map(slot => [slot.startTimeFormatted, slot.employeeId])).toEqual([
+        ['09:00', 'emp-1'],
+        ['10:00', 'emp-2'],
+      ]);
+    });
+
+    it('should only return slots in the requested time of day', async () => {
+      mockEmployeeModel.findAll.mockResolvedValue([
+        makeEmployee('emp-1', 'Anna Smith', { monday: { start: '09:00', end: '19:00', enabled: true } }),
+      ]);
+
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: '2030-07-01',
+        count: 10,
+        days: 1,
+        slotInterval: 60,
+        timeOfDay: 'evening',
+      });
+
+      expect(result.slots.map(slot => slot.startTimeFormatted)).toEqual(['17:00', '18:00']);
+    });
+
+    it('should skip closed days and days off', async () => {
+      mockEmployeeModel.findAll.mockResolvedValue([anna]);
+      mockTenantClosureModel.findAll.mockResolvedValue([closureEntry({})]);
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ employeeId: 'emp-1', type: 'day_off', startDate: '2030-07-08', endDate: '2030-07-08' }),
+      ]);
+
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: '2030-07-01',
+        count: 1,
+        days: 30,
+        slotInterval: 60,
+      });
+
+      // Only Mondays are scheduled: July 1 is closed and July 8 is a day off
+      expect(result.slots[0].date).toBe('2030-07-15');
+    });
+
+    it('should not return slots before an instant', async () => {
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: at(10, 30),
+        count: 5,
+        days: 1,
+        slotInterval: 60,
+      });
+
+      expect(result.slots.map(slot => slot.startTimeFormatted)).toEqual(['11:00']);
+    });
+
+    it('should reject an unknown time of day', async () => {
+      await expect(availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        timeOfDay: 'night',
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('service buffers', () => {
+    const appointmentEntry = (data) => ({
+      id: 'apt-1',
+      startTime: at(10),
+      endTime: at(10, 30),
+      bufferBefore: 0,
+      bufferAfter: 0,
+      ...data,
+      toSafeObject() { return { id: this.id }; },
+    });
+
+    it('should keep slots clear of an existing appointment\'s cleanup time', async () => {
+      mockAppointmentModel.findAll.mockResolvedValue([appointmentEntry({ bufferAfter: 15 })]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 30, 15);
+
+      expect(slotTimes(slots)).toEqual([
+        '09:00', '09:15', '09:30', '10:45', '11:00', '11:15', '11:30',
+      ]);
+    });
+
+    it('should keep room for the new slot\'s own buffers', async () => {
+      mockAppointmentModel.findAll.mockResolvedValue([appointmentEntry({})]);
+
+      const slots = await availabilityService.getAvailableSlots(
+        'emp-1', 'tenant-uuid', date, 30, 15, { bufferBefore: 10, bufferAfter: 15 }
+      );
+
+      expect(slotTimes(slots)).toEqual(['09:00', '09:15', '10:45', '11:00', '11:15', '11:30']);
+      // Only the customer-facing duration is returned
+      expect(slots[0].endTimeFormatted).toBe('09:30');
+    });
+
+    it('should let buffers run past the end of the working day', async () => {
+      const slots = await availabilityService.getAvailableSlots(
+        'emp-1', 'tenant-uuid', date, 60, 60, { bufferAfter: 30 }
+      );
+
+      expect(slotTimes(slots)).toEqual(['09:00', '10:00', '11:00']);
+    });
+
+    it('should apply the service buffers to availability for a date', async () => {
+      mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60, bufferAfter: 30 });
+      mockEmployeeModel.findAll.mockResolvedValue([
+        { ...employee, serviceIds: ['service-1'], getFullName: () => 'Sam Smith' },
+      ]);
+      mockAppointmentModel.findAll.mockResolvedValue([appointmentEntry({ startTime: at(11), endTime: at(12) })]);
+
+      const availability = await availabilityService.getAvailabilityForDate('tenant-uuid', '2030-07-01', 'service-1');
+
+      expect(slotTimes(availability[0].availableSlots)).toEqual(['09:00', '09:15', '09:30']);
+      expect(availability[0].serviceDuration).toBe(60);
+    });
+
+    it('should report a conflict when buffers overlap', async () => {
+      mockAppointmentModel.findAll.mockResolvedValue([appointmentEntry({ bufferAfter: 15 })]);
+
+      const withoutBuffer = await availabilityService.checkSlotAvailability(
+        'emp-1', 'tenant-uuid', at(10, 45), at(11, 15)
+      );
+      const withBuffer = await availabilityService.checkSlotAvailability(
+        'emp-1', 'tenant-uuid', at(10, 45), at(11, 15), null, { bufferBefore: 5 }
+      );
+
+      expect(withoutBuffer.available).toBe(true);
+      expect(withBuffer.available).toBe(false);
+      expect(withBuffer.conflicts).toEqual([{ id: 'apt-1' }]);
+    });
+
+    it('should report a conflict when cleanup runs into blocked time', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'blocked', startTime: '12:00', endTime: '13:00' }),
+      ]);
+
+      const result = await availabilityService.checkSlotAvailability(
+        'emp-1', 'tenant-uuid', at(11), at(11, 45), null, { bufferAfter: 30 }
+      );
+
+      expect(result.available).toBe(false);
+      expect(result.timeOffConflicts).toEqual([{ id: 'time-off-1', type: 'blocked' }]);
+    });
+  });
+
+  describe('slot holds', () => {
+    const holdEntry = (data) => ({
+      id: 'hold-1',
+      employeeId: 'emp-1',
+      startTime: at(10),
+      endTime: at(11),
+      bufferBefore: 0,
+      bufferAfter: 0,
+      ...data,
+      toSafeObject() { return { id: this.id }; },
+    });
+
+    it('should leave held slots and their buffers out of availability', async () => {
+      mockSlotHoldModel.findAll.mockResolvedValue([holdEntry({ bufferAfter: 15 })]);
+
+      const slots = await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 30, 15);
+
+      expect(slotTimes(slots)).toEqual(['09:00', '09:15', '09:30', '11:15', '11:30']);
+    });
+
+    it('should only load holds that have not expired', async () => {
+      await availabilityService.getAvailableSlots('emp-1', 'tenant-uuid', date, 60, 60);
+
+      expect(mockSlotHoldModel.findAll).toHaveBeenCalledWith({
+        where: expect.objectContaining({
+          tenantId: 'tenant-uuid',
+          employeeId: { [Op.in]: ['emp-1'] },
+          expiresAt: { [Op.gt]: expect.any(Date) },
+        }),
+        transaction: undefined,
+      });
+    });
+
+    it('should report a conflict with another caller\'s hold', async () => {
+      mockSlotHoldModel.findAll.mockResolvedValue([holdEntry({})]);
+
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(10, 30), at(11, 30));
+
+      expect(result.available).toBe(false);
+      expect(result.conflicts).toEqual([]);
+      expect(result.holdConflicts).toEqual([{ id: 'hold-1' }]);
+    });
+
+    it('should leave out the hold being booked', async () => {
+      await availabilityService.checkSlotAvailability(
+        'emp-1', 'tenant-uuid', at(10), at(11), null, { excludeHoldId: 'hold-1' }
+      );
+
+      expect(mockSlotHoldModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: { [Op.ne]: 'hold-1' } }),
+      }));
+    });
+
+    it('should offer another employee at a time held with the first', async () => {
+      mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60 });
+      mockEmployeeModel.findAll.mockResolvedValue([
+        { ...employee, serviceIds: ['service-1'], getFullName: () => 'Anna Smith' },
+        { ...employee, id: 'emp-2', serviceIds: ['service-1'], getFullName: () => 'Ben Jones' },
+      ]);
+      mockSlotHoldModel.findAll.mockResolvedValue([holdEntry({ startTime: at(9), endTime: at(10) })]);
+
+      const result = await availabilityService.findNextAvailableSlots('tenant-uuid', 'service-1', {
+        from: '2030-07-01',
+        count: 2,
+        slotInterval: 60,
+      });
+
+      expect(mockSlotHoldModel.findAll).toHaveBeenCalledTimes(1);
+      expect(result.slots.map(slot => [slot.startTimeFormatted, slot.employeeId])).toEqual([
+        ['09:00', 'emp-2'],
+        ['10:00', 'emp-1'],
+      ]);
+    });
+  });
+
+  describe('checkSlotAvailability', () => {
+    it('should be available when there are no conflicts', async () => {
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(9), at(10));
+
+      expect(result.available).toBe(true);
+      expect(result.timeOffConflicts).toEqual([]);
+      expect(result.closureConflicts).toEqual([]);
+    });
+
+    it('should be unavailable during blocked time', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'blocked', startTime: '12:00', endTime: '13:00' }),
+      ]);
+
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(11, 30), at(12, 30));
+
+      expect(result.available).toBe(false);
+      expect(result.timeOffConflicts).toEqual([{ id: 'time-off-1', type: 'blocked' }]);
+    });
+
+    it('should be available right after blocked time', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'blocked', startTime: '12:00', endTime: '13:00' }),
+      ]);
+
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(13), at(14));
+
+      expect(result.available).toBe(true);
+    });
+
+    it('should be unavailable on a day off', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([timeOffEntry({ type: 'day_off' })]);
+
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(15), at(16));
+
+      expect(result.available).toBe(false);
+    });
+
+    it('should not treat extra hours as a conflict', async () => {
+      mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+        timeOffEntry({ type: 'extra_hours', startTime: '18:00', endTime: '20:00' }),
+      ]);
+
+      const result = await availabilityService.checkSlotAvailability('emp-1', 'tenant-uuid', at(18), at(19));
+
+      expect(result.available).toBe(true);
+    });
+  });
+});
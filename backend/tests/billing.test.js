@@ -75,7 +75,8 @@ jest.mock('../src/modules/business-types/businessType.model', () => ({
 jest.mock('../src/models', () => ({
   User: {
     findOne: jest.fn(),
-    findByPk: jest.fn(),
+    // Tokens belong to an active user unless a test says otherwise
+    findByPk: jest.fn(async (id) => ({ id, isActive: true })),
     create: jest.fn(),
   },
   Tenant: mockTenantModel,
@@ -560,6 +561,37 @@ describe('Billing Module', () => {
       expect(response.body.data.received).toBe(true);
     });
   });
+
+  describe('syncTenantStatus', () => {
+    const billingService = require('../src/modules/billing/billing.service');
+
+    const suspendedTenant = (metadata) => ({
+      id: 'tenant-uuid-123',
+      status: 'suspended',
+      metadata,
+      transitionTo: jest.fn(),
+    });
+
+    const paidSubscription = { tenantId: 'tenant-uuid-123', status: 'active', hasAccess: () => true };
+
+    it('should reactivate a business suspended for an unpaid subscription once it pays', async () => {
+      const tenant = suspendedTenant(JSON.stringify({ source: 'signup' }));
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      await billingService.syncTenantStatus(paidSubscription);
+
+      expect(tenant.transitionTo).toHaveBeenCalledWith('active');
+    });
+
+    it('should keep an admin suspension stored in string metadata when the subscription is paid', async () => {
+      const tenant = suspendedTenant(JSON.stringify({ adminSuspension: { adminUserId: 'admin-1' } }));
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+
+      await billingService.syncTenantStatus(paidSubscription);
+
+      expect(tenant.transitionTo).not.toHaveBeenCalled();
+    });
+  });
 });
 
 describe('Subscription Model', () => {
@@ -0,0 +1,444 @@
+/**
+ * Customer Tests
+ * Tests for customer records, deduplication and booking history
+ */
+const request = require('supertest');
+
+// Define mocks before requiring the app
+const mockCustomerModel = {
+  findOne: jest.fn(),
+  findAndCountAll: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockAppointmentModel = {
+  findAll: jest.fn(),
+  update: jest.fn(),
+};
+
+const mockTenantModel = {
+  findOne: jest.fn(),
+  create: jest.fn(),
+  generateDefaultSettings: jest.fn(() => ({})),
+  isValidTransition: jest.fn(),
+};
+
+// Mock models BEFORE requiring the app
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: mockCustomerModel,
+}));
+
+jest.mock('../src/modules/appointments/appointment.model', () => ({
+  Appointment: mockAppointmentModel,
+  APPOINTMENT_STATUS: {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show',
+  },
+  CANCELLATION_REASONS: {
+    CUSTOMER_REQUEST: 'customer_request',
+    OTHER: 'other',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+  },
+  PLAN_TYPES: {
+    FREE: 'free',
+  },
+}));
+
+// Now require the app AFTER the mocks are in place
+const { app } = require('../src/app');
+const jwtUtils = require('../src/modules/auth/jwt.utils');
+const customerService = require('../src/modules/customers/customer.service');
+const { User } = require('../src/models');
+
+// Tokens belong to an active user
+jest.spyOn(User, 'findByPk').mockImplementation(async (id) => ({ id, isActive: true }));
+
+describe('Customer Module', () => {
+  const mockCustomerId = '550e8400-e29b-41d4-a716-446655440010';
+
+  const customerRecord = (overrides = {}) => {
+    const data = {
+      id: mockCustomerId,
+      tenantId: 'tenant-uuid-123',
+      name: 'Jane Smith',
+      email: 'jane@example.com',
+      phone: '(555) 123-4567',
+      normalizedPhone: '+15551234567',
+      normalizedEmail: 'jane@example.com',
+      notes: null,
+      preferences: {},
+      ...overrides,
+    };
+    return {
+      ...data,
+      update: jest.fn(async function(changes) {
+        Object.assign(this, changes);
+        return this;
+      }),
+      destroy: jest.fn().mockResolvedValue(true),
+      toSafeObject() {
+        const { update, destroy, toSafeObject, ...fields } = this;
+        return fields;
+      },
+    };
+  };
+
+  const appointmentRecord = (data) => ({
+    ...data,
+    toSafeObject: () => data,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Setup default tenant mock - returns a tenant with UUID id
+    mockTenantModel.findOne.mockResolvedValue({
+      id: 'tenant-uuid-123',
+      tenantId: 'test-tenant',
+    });
+    mockCustomerModel.findOne.mockResolvedValue(null);
+  });
+
+  const validToken = () => jwtUtils.generateAccessToken({
+    userId: '123',
+    email: 'test@example.com',
+    tenantId: 'test-tenant',
+  });
+
+  describe('GET /api/customers', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/customers')
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return customers alphabetically', async () => {
+      mockCustomerModel.findAndCountAll.mockResolvedValue({
+        rows: [customerRecord()],
+        count: 1,
+      });
+
+      const response = await request(app)
+        .get('/api/customers')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.customers).toHaveLength(1);
+      expect(response.body.data.customers[0].name).toBe('Jane Smith');
+      expect(response.body.data.total).toBe(1);
+      expect(mockCustomerModel.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenantId: 'tenant-uuid-123' },
+        order: [['name', 'ASC']],
+      }));
+    });
+
+    it('should search by name, email and phone digits', async () => {
+      const { Op } = require('sequelize');
+      mockCustomerModel.findAndCountAll.mockResolvedValue({ rows: [], count: 0 });
+
+      const response = await request(app)
+        .get('/api/customers')
+        .query({ search: '555-1234' })
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      const { where } = mockCustomerModel.findAndCountAll.mock.calls[0][0];
+      expect(where[Op.or]).toEqual([
+        { name: { [Op.like]: '%555-1234%' } },
+        { normalizedEmail: { [Op.like]: '%555-1234%' } },
+        { normalizedPhone: { [Op.like]: '%5551234%' } },
+      ]);
+    });
+  });
+
+  describe('GET /api/customers/:id', () => {
+    it('should return 400 for an invalid customer ID', async () => {
+      const response = await request(app)
+        .get('/api/customers/not-a-uuid')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 404 when the customer does not exist', async () => {
+      const response = await request(app)
+        .get(`/api/customers/${mockCustomerId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('CUSTOMER_NOT_FOUND');
+    });
+
+    it('should return the customer with booking history and stats', async () => {
+      const future = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+      mockCustomerModel.findOne.mockResolvedValue(customerRecord());
+      mockAppointmentModel.findAll.mockResolvedValue([
+        appointmentRecord({ id: 'a1', status: 'scheduled', startTime: future, totalPrice: '40.00' }),
+        appointmentRecord({ id: 'a2', status: 'completed', startTime: '2026-03-10T15:00:00.000Z', totalPrice: '50.00' }),
+        appointmentRecord({ id: 'a3', status: 'completed', startTime: '2026-02-01T15:00:00.000Z', totalPrice: '35.50' }),
+        appointmentRecord({ id: 'a4', status: 'no_show', startTime: '2026-01-15T15:00:00.000Z', totalPrice: '50.00' }),
+        appointmentRecord({ id: 'a5', status: 'cancelled', startTime: '2026-01-05T15:00:00.000Z', totalPrice: '50.00' }),
+      ]);
+
+      const response = await request(app)
+        .get(`/api/customers/${mockCustomerId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.customer.id).toBe(mockCustomerId);
+      expect(response.body.data.appointments).toHaveLength(5);
+      expect(response.body.data.stats).toEqual({
+        totalAppointments: 5,
+        completed: 2,
+        cancelled: 1,
+        noShows: 1,
+        upcoming: 1,
+        totalSpent: 85.5,
+        lastVisit: '2026-03-10T15:00:00.000Z',
+        nextAppointment: future,
+      });
+      expect(mockAppointmentModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenantId: 'tenant-uuid-123', customerId: mockCustomerId },
+        order: [['startTime', 'DESC']],
+      }));
+    });
+  });
+
+  describe('POST /api/customers', () => {
+    it('should return 400 without a name', async () => {
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ phone: '5551234567' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Customer name is required');
+    });
+
+    it('should return 400 without a phone number or email', async () => {
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Jane Smith' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A phone number or email is required');
+    });
+
+    it('should return 400 for an invalid email', async () => {
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Jane Smith', email: 'not-an-email' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid email format');
+    });
+
+    it('should create a customer with normalized contact details', async () => {
+      mockCustomerModel.create.mockImplementation(async (data) => customerRecord(data));
+
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          name: 'Jane Smith',
+          email: 'Jane@Example.com',
+          phone: '(555) 123-4567',
+          preferences: { preferredStylist: 'Sam' },
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockCustomerModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        tenantId: 'tenant-uuid-123',
+        name: 'Jane Smith',
+        email: 'Jane@Example.com',
+        normalizedEmail: 'jane@example.com',
+        normalizedPhone: '+15551234567',
+        preferences: { preferredStylist: 'Sam' },
+      }));
+      expect(response.body.data.customer.normalizedPhone).toBe('+15551234567');
+    });
+
+    it('should reject a customer whose phone number is already on file', async () => {
+      mockCustomerModel.findOne.mockResolvedValue(customerRecord());
+
+      const response = await request(app)
+        .post('/api/customers')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Jane S.', phone: '+1 555 123 4567' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('CUSTOMER_EXISTS');
+      expect(mockCustomerModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/customers/:id', () => {
+    it('should update notes and preferences', async () => {
+      const customer = customerRecord();
+      mockCustomerModel.findOne.mockResolvedValueOnce(customer);
+
+      const response = await request(app)
+        .patch(`/api/customers/${mockCustomerId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ notes: 'Prefers mornings', preferences: { drink: 'tea' } });
+
+      expect(response.status).toBe(200);
+      expect(customer.update).toHaveBeenCalledWith({
+        notes: 'Prefers mornings',
+        preferences: { drink: 'tea' },
+      });
+      expect(response.body.data.customer.notes).toBe('Prefers mornings');
+    });
+
+    it('should reject a phone number that belongs to another customer', async () => {
+      mockCustomerModel.findOne
+        .mockResolvedValueOnce(customerRecord())
+        .mockResolvedValueOnce(customerRecord({ id: 'other-customer' }));
+
+      const response = await request(app)
+        .patch(`/api/customers/${mockCustomerId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ phone: '555-987-6543' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('CUSTOMER_EXISTS');
+    });
+
+    it('should return 400 when preferences is not an object', async () => {
+      const response = await request(app)
+        .patch(`/api/customers/${mockCustomerId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ preferences: ['tea'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Preferences must be an object');
+    });
+  });
+
+  describe('DELETE /api/customers/:id', () => {
+    it('should delete the customer and keep their appointments', async () => {
+      const customer = customerRecord();
+      mockCustomerModel.findOne.mockResolvedValueOnce(customer);
+      mockAppointmentModel.update.mockResolvedValue([2]);
+
+      const response = await request(app)
+        .delete(`/api/customers/${mockCustomerId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(mockAppointmentModel.update).toHaveBeenCalledWith(
+        { customerId: null },
+        { where: { tenantId: 'tenant-uuid-123', customerId: mockCustomerId } }
+      );
+      expect(customer.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('findOrCreateCustomer', () => {
+    it('should return null without a phone number or email', async () => {
+      const customer = await customerService.findOrCreateCustomer({ name: 'Walk-in' }, 'tenant-uuid-123');
+
+      expect(customer).toBeNull();
+      expect(mockCustomerModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should match by email only customers without a different phone number', async () => {
+      mockCustomerModel.create.mockImplementation(async (data) => customerRecord(data));
+
+      await customerService.findOrCreateCustomer({
+        name: 'Jane Smith',
+        email: 'JANE@example.com',
+        phone: '5551234567',
+      }, 'tenant-uuid-123');
+
+      expect(mockCustomerModel.findOne).toHaveBeenNthCalledWith(1, {
+        where: { tenantId: 'tenant-uuid-123', normalizedPhone: '+15551234567' },
+        transaction: undefined,
+      });
+      expect(mockCustomerModel.findOne).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        where: { tenantId: 'tenant-uuid-123', normalizedEmail: 'jane@example.com', normalizedPhone: null },
+      }));
+      expect(mockCustomerModel.create).toHaveBeenCalled();
+    });
+
+    it('should use the existing record when a concurrent booking created it first', async () => {
+      const existing = customerRecord();
+      mockCustomerModel.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(existing);
+      mockCustomerModel.create.mockRejectedValue(
+        Object.assign(new Error('Duplicate entry'), { name: 'SequelizeUniqueConstraintError' })
+      );
+
+      const customer = await customerService.findOrCreateCustomer({
+        name: 'Jane Smith',
+        phone: '5551234567',
+      }, 'tenant-uuid-123');
+
+      expect(customer).toBe(existing);
+    });
+  });
+
+  describe('getCallerProfile', () => {
+    const { Employee } = require('../src/modules/employees/employee.model');
+
+    it('should return null for an unknown number', async () => {
+      const profile = await customerService.getCallerProfile('+15550000000', 'tenant-uuid-123');
+
+      expect(profile).toBeNull();
+      expect(mockAppointmentModel.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the employee set in the customer\'s preferences', async () => {
+      mockCustomerModel.findOne.mockResolvedValue(customerRecord({ preferences: { preferredEmployeeId: 'emp-9' } }));
+      mockAppointmentModel.findAll.mockResolvedValue([
+        appointmentRecord({
+          id: 'a1',
+          status: 'completed',
+          startTime: '2026-03-10T15:00:00.000Z',
+          employeeId: 'emp-1',
+          employee: { id: 'emp-1', firstName: 'Sam', lastName: 'Lee' },
+        }),
+      ]);
+      const findEmployee = jest.spyOn(Employee, 'findOne')
+        .mockResolvedValue({ id: 'emp-9', firstName: 'Alex', lastName: 'Kim' });
+
+      const profile = await customerService.getCallerProfile('555.123.4567', 'tenant-uuid-123');
+
+      expect(findEmployee).toHaveBeenCalledWith({ where: { id: 'emp-9', tenantId: 'tenant-uuid-123' } });
+      expect(profile.preferredEmployee).toEqual({ id: 'emp-9', name: 'Alex Kim' });
+      expect(profile.lastVisit.id).toBe('a1');
+      expect(profile.upcomingAppointments).toEqual([]);
+      findEmployee.mockRestore();
+    });
+  });
+});
@@ -20,12 +20,24 @@ const mockEmployeeModel = {
   })),
 };
 
+const mockEmployeeTimeOffModel = {
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+};
+
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
 };
 
+// Businesses are active unless a test says otherwise
+const mockTenantModel = {
+  findOne: jest.fn().mockResolvedValue({ id: 'tenant-uuid-123', status: 'active' }),
+};
+
 // Mock models BEFORE requiring the app
 jest.mock('../src/modules/employees/employee.model', () => ({
   Employee: mockEmployeeModel,
@@ -40,6 +52,20 @@ jest.mock('../src/modules/employees/employee.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/employees/employeeTimeOff.model', () => ({
+  EmployeeTimeOff: mockEmployeeTimeOffModel,
+  TIME_OFF_TYPES: {
+    DAY_OFF: 'day_off',
+    BLOCKED: 'blocked',
+    EXTRA_HOURS: 'extra_hours',
+  },
+  TIME_OFF_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+  },
+}));
+
 jest.mock('../src/models', () => ({
   User: mockUserModel,
   Employee: mockEmployeeModel,
@@ -80,6 +106,18 @@ jest.mock('../src/models', () => ({
   },
 }));
 
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+  },
+  PLAN_TYPES: {
+    FREE: 'free',
+  },
+}));
+
 // Mock tenant utility
 jest.mock('../src/utils/tenant', () => ({
   getTenantUUID: jest.fn().mockResolvedValue('tenant-uuid-123'),
@@ -302,6 +340,37 @@ describe('Employee Module', () => {
       expect(response.body.success).toBe(true);
       expect(mockEmployee.update).toHaveBeenCalled();
     });
+
+    it('should save the employee\'s own price and duration for a service', async () => {
+      const serviceOverrides = { '22222222-2222-2222-2222-222222222222': { price: 75, duration: 45 } };
+      const mockEmployee = {
+        id: '123',
+        email: 'john@example.com',
+        update: jest.fn().mockResolvedValue(true),
+        toSafeObject: () => ({ id: '123', serviceOverrides }),
+      };
+      mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+
+      const response = await request(app)
+        .patch('/api/employees/123')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ serviceOverrides });
+
+      expect(response.status).toBe(200);
+      expect(mockEmployee.update).toHaveBeenCalledWith({ serviceOverrides });
+    });
+
+    it('should return 400 for a negative override price', async () => {
+      const response = await request(app)
+        .patch('/api/employees/123')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ serviceOverrides: { '22222222-2222-2222-2222-222222222222': { price: -5 } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Override price');
+    });
   });
 
   describe('DELETE /api/employees/:id', () => {
@@ -423,4 +492,337 @@ describe('Employee Module', () => {
       expect(mockEmployee.updateSchedule).toHaveBeenCalled();
     });
   });
+
+  describe('Employee time off', () => {
+    const mockEmployee = { id: '123', firstName: 'John', lastName: 'Doe' };
+
+    const createTimeOffEntry = (data) => ({
+      id: 'time-off-1',
+      ...data,
+      toSafeObject: function() {
+        const { toSafeObject: _toSafeObject, update: _update, destroy: _destroy, ...rest } = this;
+        return rest;
+      },
+      update: jest.fn().mockImplementation(function(fields) {
+        Object.assign(this, fields);
+        return Promise.resolve(this);
+      }),
+      destroy: jest.fn().mockResolvedValue(true),
+    });
+
+    describe('GET /api/employees/:id/time-off', () => {
+      it('should return 404 when employee not found', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(null);
+
+        const response = await request(app)
+          .get('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant');
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('EMPLOYEE_NOT_FOUND');
+      });
+
+      it('should return time off entries in the requested range', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+        mockEmployeeTimeOffModel.findAll.mockResolvedValue([
+          createTimeOffEntry({ type: 'day_off', startDate: '2030-07-01', endDate: '2030-07-05' }),
+        ]);
+
+        const response = await request(app)
+          .get('/api/employees/123/time-off?from=2030-07-01&to=2030-07-31')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.timeOff).toHaveLength(1);
+        expect(mockEmployeeTimeOffModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+          where: expect.objectContaining({ employeeId: '123', tenantId: 'tenant-uuid-123' }),
+        }));
+      });
+    });
+
+    describe('POST /api/employees/:id/time-off', () => {
+      it('should return 400 when start date is missing', async () => {
+        const response = await request(app)
+          .post('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ type: 'day_off' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      });
+
+      it('should return 400 for an unknown type', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ type: 'holiday', startDate: '2030-07-01' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      });
+
+      it('should require times for blocked time', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ type: 'blocked', startDate: '2030-07-01', startTime: '13:00' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      });
+
+      it('should return 400 when end date is before start date', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ type: 'day_off', startDate: '2030-07-05', endDate: '2030-07-01' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      });
+
+      it('should create a single day off', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+        mockEmployeeTimeOffModel.create.mockImplementation(data => Promise.resolve(createTimeOffEntry(data)));
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ startDate: '2030-07-01', reason: 'Vacation' });
+
+        expect(response.status).toBe(201);
+        expect(mockEmployeeTimeOffModel.create).toHaveBeenCalledWith({
+          tenantId: 'tenant-uuid-123',
+          employeeId: '123',
+          type: 'day_off',
+          startDate: '2030-07-01',
+          endDate: '2030-07-01',
+          startTime: null,
+          endTime: null,
+          reason: 'Vacation',
+          status: 'approved',
+          requestedBy: null,
+        });
+        expect(response.body.data.timeOff.type).toBe('day_off');
+      });
+
+      it('should create blocked time', async () => {
+        mockEmployeeModel.findOne.mockResolvedValue(mockEmployee);
+        mockEmployeeTimeOffModel.create.mockImplementation(data => Promise.resolve(createTimeOffEntry(data)));
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ type: 'blocked', startDate: '2030-07-01', startTime: '12:00', endTime: '13:00', reason: 'Lunch' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.timeOff).toEqual(expect.objectContaining({
+          type: 'blocked',
+          startTime: '12:00',
+          endTime: '13:00',
+        }));
+      });
+    });
+
+    describe('PATCH /api/employees/:id/time-off/:timeOffId', () => {
+      it('should return 404 when entry not found', async () => {
+        mockEmployeeTimeOffModel.findOne.mockResolvedValue(null);
+
+        const response = await request(app)
+          .patch('/api/employees/123/time-off/time-off-1')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ reason: 'Updated' });
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('TIME_OFF_NOT_FOUND');
+      });
+
+      it('should update an entry', async () => {
+        const entry = createTimeOffEntry({
+          type: 'blocked',
+          startDate: '2030-07-01',
+          endDate: '2030-07-01',
+          startTime: '12:00',
+          endTime: '13:00',
+          reason: 'Lunch',
+        });
+        mockEmployeeTimeOffModel.findOne.mockResolvedValue(entry);
+
+        const response = await request(app)
+          .patch('/api/employees/123/time-off/time-off-1')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ endTime: '13:30' });
+
+        expect(response.status).toBe(200);
+        expect(entry.update).toHaveBeenCalledWith(expect.objectContaining({ startTime: '12:00', endTime: '13:30' }));
+        expect(response.body.data.timeOff.endTime).toBe('13:30');
+      });
+    });
+
+    describe('POST /api/employees/:id/time-off/:timeOffId/approve', () => {
+      it('should approve a pending request', async () => {
+        const entry = createTimeOffEntry({ type: 'day_off', startDate: '2030-07-01', endDate: '2030-07-01', status: 'pending' });
+        mockEmployeeTimeOffModel.findOne.mockResolvedValue(entry);
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off/time-off-1/approve')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant');
+
+        expect(response.status).toBe(200);
+        expect(entry.update).toHaveBeenCalledWith({ status: 'approved', reviewedBy: '123' });
+        expect(response.body.data.timeOff.status).toBe('approved');
+      });
+
+      it('should return 400 when the request was already reviewed', async () => {
+        const entry = createTimeOffEntry({ type: 'day_off', startDate: '2030-07-01', endDate: '2030-07-01', status: 'approved' });
+        mockEmployeeTimeOffModel.findOne.mockResolvedValue(entry);
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off/time-off-1/approve')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('TIME_OFF_NOT_PENDING');
+        expect(entry.update).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /api/employees/:id/time-off/:timeOffId/decline', () => {
+      it('should decline a pending request', async () => {
+        const entry = createTimeOffEntry({ type: 'day_off', startDate: '2030-07-01', endDate: '2030-07-01', status: 'pending' });
+        mockEmployeeTimeOffModel.findOne.mockResolvedValue(entry);
+
+        const response = await request(app)
+          .post('/api/employees/123/time-off/time-off-1/decline')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant');
+
+        expect(response.status).toBe(200);
+        expect(entry.update).toHaveBeenCalledWith({ status: 'declined', reviewedBy: '123' });
+      });
+    });
+
+    describe('DELETE /api/employees/:id/time-off/:timeOffId', () => {
+      it('should delete an entry', async () => {
+        const entry = createTimeOffEntry({ type: 'day_off', startDate: '2030-07-01', endDate: '2030-07-01' });
+        mockEmployeeTimeOffModel.findOne.mockResolvedValue(entry);
+
+        const response = await request(app)
+          .delete('/api/employees/123/time-off/time-off-1')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant');
+
+        expect(response.status).toBe(200);
+        expect(entry.destroy).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Employee-scoped logins', () => {
+    const scopedToken = () => jwtUtils.generateAccessToken({
+      userId: '456',
+      email: 'stylist@example.com',
+      tenantId: 'test-tenant',
+      role: 'staff',
+      scope: 'employee',
+      employeeId: '123',
+    });
+
+    beforeEach(() => {
+      mockUserModel.findByPk.mockResolvedValue({
+        id: '456',
+        role: 'staff',
+        employeeId: '123',
+        isActive: true,
+      });
+    });
+
+    afterAll(() => {
+      mockUserModel.findByPk.mockImplementation(async (id) => ({ id, isActive: true }));
+    });
+
+    it('should only list the employee themselves', async () => {
+      mockEmployeeModel.findAndCountAll.mockResolvedValue({ rows: [], count: 0 });
+
+      const response = await request(app)
+        .get('/api/employees')
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(mockEmployeeModel.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenantId: 'tenant-uuid-123', id: '123' },
+      }));
+    });
+
+    it('should return 403 for another employee\'s schedule', async () => {
+      const response = await request(app)
+        .get('/api/employees/789/schedule')
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(403);
+      expect(mockEmployeeModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should let the employee request their own time off for a manager to approve', async () => {
+      mockEmployeeModel.findOne.mockResolvedValue({ id: '123', firstName: 'John', lastName: 'Doe' });
+      mockEmployeeTimeOffModel.create.mockImplementation(data => Promise.resolve({
+        ...data,
+        toSafeObject() { return data; },
+      }));
+
+      const response = await request(app)
+        .post('/api/employees/123/time-off')
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ startDate: '2030-07-01', reason: 'Dentist' });
+
+      expect(response.status).toBe(201);
+      expect(mockEmployeeTimeOffModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        employeeId: '123',
+        status: 'pending',
+        requestedBy: '456',
+      }));
+    });
+
+    it('should return 403 when approving their own time off', async () => {
+      const response = await request(app)
+        .post('/api/employees/123/time-off/time-off-1/approve')
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(403);
+      expect(mockEmployeeTimeOffModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when adding time off for another employee', async () => {
+      const response = await request(app)
+        .post('/api/employees/789/time-off')
+        .set('Authorization', `Bearer ${scopedToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ startDate: '2030-07-01' });
+
+      expect(response.status).toBe(403);
+      expect(mockEmployeeTimeOffModel.create).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,40 @@
+/**
+ * Phone Utility Tests
+ * Tests for phone number normalization helpers
+ */
+
+const { normalizePhoneNumber, phoneNumbersMatch } = require('../src/utils/phone');
+
+describe('Phone Utilities', () => {
+  describe('normalizePhoneNumber', () => {
+    it('should normalize formatted US numbers', () => {
+      expect(normalizePhoneNumber('(555) 123-4567')).toBe('+15551234567');
+      expect(normalizePhoneNumber('1-555-123-4567')).toBe('+15551234567');
+      expect(normalizePhoneNumber('+1 555 123 4567')).toBe('+15551234567');
+    });
+
+    it('should keep international numbers', () => {
+      expect(normalizePhoneNumber('+44 20 7946 0958')).toBe('+442079460958');
+    });
+
+    it('should return null for empty values', () => {
+      expect(normalizePhoneNumber(null)).toBeNull();
+      expect(normalizePhoneNumber('')).toBeNull();
+      expect(normalizePhoneNumber('n/a')).toBeNull();
+    });
+  });
+
+  describe('phoneNumbersMatch', () => {
+    it('should match numbers that differ only in formatting', () => {
+      expect(phoneNumbersMatch('(555) 123-4567', '+15551234567')).toBe(true);
+    });
+
+    it('should not match different numbers', () => {
+      expect(phoneNumbersMatch('+15551234567', '+15551234568')).toBe(false);
+    });
+
+    it('should not match empty numbers', () => {
+      expect(phoneNumbersMatch(null, null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Reminder Service Tests
+ * Tests for the scheduled SMS appointment reminder engine
+ */
+
+const mockAppointmentModel = {
+  findAll: jest.fn(),
+};
+
+const mockServiceModel = {
+  findAll: jest.fn(),
+};
+
+const mockTenantModel = {
+  findAll: jest.fn(),
+};
+
+jest.mock('../src/modules/appointments/appointment.model', () => ({
+  Appointment: mockAppointmentModel,
+  APPOINTMENT_STATUS: {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show',
+  },
+}));
+
+jest.mock('../src/modules/services/service.model', () => ({
+  Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    CANCELLED: 'cancelled',
+  },
+}));
+
+jest.mock('../src/modules/telephony/sms.handler', () => ({
+  sendAppointmentReminder: jest.fn(),
+}));
+
+jest.mock('../src/modules/appointments/sms.service', () => ({
+  isUserOptedInForSms: jest.fn(),
+}));
+
+const reminderService = require('../src/modules/appointments/reminder.service');
+const smsHandler = require('../src/modules/telephony/sms.handler');
+const smsService = require('../src/modules/appointments/sms.service');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Reminder Service', () => {
+  const now = new Date('2024-12-01T12:00:00Z');
+
+  const createAppointment = (overrides = {}) => ({
+    id: 'apt-1',
+    tenantId: 'tenant-uuid',
+    serviceId: 'service-1',
+    customerName: 'Jane Doe',
+    customerEmail: 'jane@example.com',
+    customerPhone: '+15559876543',
+    startTime: new Date(now.getTime() + 23 * HOUR),
+    createdAt: new Date(now.getTime() - 72 * HOUR),
+    metadata: {},
+    update: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockServiceModel.findAll.mockResolvedValue([{ id: 'service-1', name: 'Haircut' }]);
+    smsService.isUserOptedInForSms.mockResolvedValue(true);
+    smsHandler.sendAppointmentReminder.mockResolvedValue({ success: true, messageSid: 'SM123' });
+  });
+
+  describe('getReminderOffsets', () => {
+    it('should return default offsets when tenant has none configured', () => {
+      expect(reminderService.getReminderOffsets({ metadata: {} })).toEqual([24, 2]);
+    });
+
+    it('should use tenant configured offsets sorted largest first', () => {
+      const tenant = { metadata: { reminderOffsets: [1, 48, '24', -3, 'abc', 48] } };
+      expect(reminderService.getReminderOffsets(tenant)).toEqual([48, 24, 1]);
+    });
+
+    it('should allow tenants to disable reminders with an empty list', () => {
+      expect(reminderService.getReminderOffsets({ metadata: { reminderOffsets: [] } })).toEqual([]);
+    });
+  });
+
+  describe('getDueReminder', () => {
+    it('should return the due offset', () => {
+      const due = reminderService.getDueReminder(createAppointment(), [24, 2], now);
+      expect(due).toEqual({ offsetHours: 24, coveredOffsets: [24] });
+    });
+
+    it('should return null when no offset is due yet', () => {
+      const appointment = createAppointment({ startTime: new Date(now.getTime() + 30 * HOUR) });
+      expect(reminderService.getDueReminder(appointment, [24, 2], now)).toBeNull();
+    });
+
+    it('should not resend a reminder already recorded in metadata', () => {
+      const appointment = createAppointment({
+        metadata: { remindersSent: [{ offsetHours: 24, sentAt: now.toISOString() }] },
+      });
+      expect(reminderService.getDueReminder(appointment, [24, 2], now)).toBeNull();
+    });
+
+    it('should send only the closest reminder when several are due', () => {
+      const appointment = createAppointment({ startTime: new Date(now.getTime() + 1 * HOUR) });
+      const due = reminderService.getDueReminder(appointment, [24, 2], now);
+      expect(due).toEqual({ offsetHours: 2, coveredOffsets: [24, 2] });
+    });
+
+    it('should skip offsets that passed before the appointment was booked', () => {
+      const appointment = createAppointment({
+        startTime: new Date(now.getTime() + 5 * HOUR),
+        createdAt: new Date(now.getTime() - 1 * HOUR),
+      });
+      expect(reminderService.getDueReminder(appointment, [24, 2], now)).toBeNull();
+    });
+  });
+
+  describe('processTenantReminders', () => {
+    const tenant = { id: 'tenant-uuid', metadata: {} };
+
+    it('should send due reminders and record them in metadata', async () => {
+      const appointment = createAppointment();
+      mockAppointmentModel.findAll.mockResolvedValue([appointment]);
+
+      const sent = await reminderService.processTenantReminders(tenant, now);
+
+      expect(sent).toBe(1);
+      expect(smsHandler.sendAppointmentReminder).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tenantId: 'tenant-uuid',
+          customerPhone: '+15559876543',
+          customerName: 'Jane Doe',
+          serviceName: 'Haircut',
+        })
+      );
+      expect(appointment.update).toHaveBeenCalledWith({
+        metadata: {
+          remindersSent: [
+            expect.objectContaining({ offsetHours: 24, messageSid: 'SM123' }),
+          ],
+        },
+      });
+    });
+
+    it('should not send reminders to customers who have not opted in', async () => {
+      const appointment = createAppointment();
+      mockAppointmentModel.findAll.mockResolvedValue([appointment]);
+      smsService.isUserOptedInForSms.mockResolvedValue(false);
+
+      const sent = await reminderService.processTenantReminders(tenant, now);
+
+      expect(sent).toBe(0);
+      expect(smsService.isUserOptedInForSms).toHaveBeenCalledWith('jane@example.com', 'tenant-uuid');
+      expect(smsHandler.sendAppointmentReminder).not.toHaveBeenCalled();
+      expect(appointment.update).not.toHaveBeenCalled();
+    });
+
+    it('should skip customers who replied STOP without recording the reminder', async () => {
+      const appointment = createAppointment();
+      mockAppointmentModel.findAll.mockResolvedValue([appointment]);
+      const optedOutError = new Error('Recipient has opted out of SMS messages');
+      optedOutError.code = 'SMS_OPTED_OUT';
+      smsHandler.sendAppointmentReminder.mockRejectedValue(optedOutError);
+
+      const sent = await reminderService.processTenantReminders(tenant, now);
+
+      expect(sent).toBe(0);
+      expect(appointment.update).not.toHaveBeenCalled();
+    });
+
+    it('should skip appointments without a customer phone', async () => {
+      mockAppointmentModel.findAll.mockResolvedValue([createAppointment({ customerPhone: null })]);
+
+      const sent = await reminderService.processTenantReminders(tenant, now);
+
+      expect(sent).toBe(0);
+      expect(smsHandler.sendAppointmentReminder).not.toHaveBeenCalled();
+    });
+
+    it('should leave the reminder unrecorded when sending fails', async () => {
+      const appointment = createAppointment();
+      mockAppointmentModel.findAll.mockResolvedValue([appointment]);
+      smsHandler.sendAppointmentReminder.mockRejectedValue(new Error('Twilio error'));
+
+      const sent = await reminderService.processTenantReminders(tenant, now);
+
+      expect(sent).toBe(0);
+      expect(appointment.update).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when tenant has reminders disabled', async () => {
+      const sent = await reminderService.processTenantReminders(
+        { id: 'tenant-uuid', metadata: { reminderOffsets: [] } },
+        now
+      );
+
+      expect(sent).toBe(0);
+      expect(mockAppointmentModel.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDueReminders', () => {
+    it('should process reminders for every active tenant', async () => {
+      mockTenantModel.findAll.mockResolvedValue([
+        { id: 'tenant-a', metadata: {} },
+        { id: 'tenant-b', metadata: {} },
+      ]);
+      mockAppointmentModel.findAll
+        .mockResolvedValueOnce([createAppointment({ tenantId: 'tenant-a' })])
+        .mockResolvedValueOnce([createAppointment({ id: 'apt-2', tenantId: 'tenant-b' })]);
+
+      const sent = await reminderService.processDueReminders(now);
+
+      expect(sent).toBe(2);
+      expect(mockTenantModel.findAll).toHaveBeenCalledWith({ where: { status: 'active' } });
+    });
+
+    it('should continue with other tenants when one fails', async () => {
+      mockTenantModel.findAll.mockResolvedValue([
+        { id: 'tenant-a', metadata: {} },
+        { id: 'tenant-b', metadata: {} },
+      ]);
+      mockAppointmentModel.findAll
+        .mockRejectedValueOnce(new Error('DB error'))
+        .mockResolvedValueOnce([createAppointment({ tenantId: 'tenant-b' })]);
+
+      const sent = await reminderService.processDueReminders(now);
+
+      expect(sent).toBe(1);
+    });
+  });
+});
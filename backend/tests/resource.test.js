@@ -0,0 +1,312 @@
+/**
+ * Resource Tests
+ * Tests for rooms, chairs and equipment booked alongside employees
+ */
+const request = require('supertest');
+
+// Define mocks before requiring the app
+const mockResourceModel = {
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockResourceBookingModel = {
+  count: jest.fn().mockResolvedValue(0),
+  findAll: jest.fn().mockResolvedValue([]),
+  destroy: jest.fn().mockResolvedValue(0),
+  update: jest.fn().mockResolvedValue([0]),
+};
+
+// Businesses are active unless a test says otherwise
+const mockTenantModel = {
+  findOne: jest.fn().mockResolvedValue({ id: 'tenant-uuid-123', status: 'active' }),
+};
+
+// Mock models BEFORE requiring the app
+jest.mock('../src/modules/resources/resource.model', () => ({
+  Resource: mockResourceModel,
+  RESOURCE_TYPES: { ROOM: 'room', CHAIR: 'chair', EQUIPMENT: 'equipment' },
+  RESOURCE_STATUS: { ACTIVE: 'active', INACTIVE: 'inactive' },
+  MAX_RESOURCE_CAPACITY: 50,
+}));
+
+jest.mock('../src/modules/resources/resourceBooking.model', () => ({
+  ResourceBooking: mockResourceBookingModel,
+  RESOURCE_BOOKING_STATUS: { ACTIVE: 'active', RELEASED: 'released' },
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+  },
+  PLAN_TYPES: {
+    FREE: 'free',
+  },
+}));
+
+// Mock tenant utility
+jest.mock('../src/utils/tenant', () => ({
+  getTenantUUID: jest.fn().mockResolvedValue('tenant-uuid-123'),
+}));
+
+// Now require the app AFTER the mocks are in place
+const { Op } = require('sequelize');
+const { app } = require('../src/app');
+const jwtUtils = require('../src/modules/auth/jwt.utils');
+const resourceService = require('../src/modules/resources/resource.service');
+const { User } = require('../src/models');
+
+// Tokens belong to an active user
+jest.spyOn(User, 'findByPk').mockImplementation(async (id) => ({ id, isActive: true }));
+
+describe('Resource Module', () => {
+  const mockResourceId = '550e8400-e29b-41d4-a716-446655440020';
+
+  const resourceRecord = (overrides = {}) => {
+    const data = {
+      id: mockResourceId,
+      tenantId: 'tenant-uuid-123',
+      name: 'Couples Suite',
+      type: 'room',
+      description: null,
+      capacity: 1,
+      status: 'active',
+      ...overrides,
+    };
+    return {
+      ...data,
+      update: jest.fn(async function(changes) {
+        Object.assign(this, changes);
+        return this;
+      }),
+      destroy: jest.fn().mockResolvedValue(true),
+      toSafeObject() {
+        const { update, destroy, toSafeObject, ...fields } = this;
+        return fields;
+      },
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const validToken = () => jwtUtils.generateAccessToken({
+    userId: '123',
+    email: 'test@example.com',
+    tenantId: 'test-tenant',
+  });
+
+  describe('GET /api/resources', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/resources')
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return resources filtered by type', async () => {
+      mockResourceModel.findAll.mockResolvedValue([resourceRecord()]);
+
+      const response = await request(app)
+        .get('/api/resources?type=room')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.resources).toHaveLength(1);
+      expect(response.body.data.resources[0].name).toBe('Couples Suite');
+      expect(mockResourceModel.findAll).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid-123', type: 'room' },
+        order: [['type', 'ASC'], ['name', 'ASC']],
+      });
+    });
+
+    it('should return 400 for an unknown type', async () => {
+      const response = await request(app)
+        .get('/api/resources?type=desk')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Type must be one of');
+    });
+  });
+
+  describe('GET /api/resources/:id', () => {
+    it('should return 404 when the resource does not exist', async () => {
+      mockResourceModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/resources/${mockResourceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('RESOURCE_NOT_FOUND');
+    });
+
+    it('should return 400 for an invalid resource ID', async () => {
+      const response = await request(app)
+        .get('/api/resources/not-a-uuid')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/resources', () => {
+    it('should create a resource', async () => {
+      mockResourceModel.create.mockImplementation(async (data) => resourceRecord(data));
+
+      const response = await request(app)
+        .post('/api/resources')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Chair 1', type: 'chair' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.resource).toEqual(expect.objectContaining({ name: 'Chair 1', type: 'chair' }));
+      expect(mockResourceModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        tenantId: 'tenant-uuid-123',
+        name: 'Chair 1',
+        type: 'chair',
+        capacity: 1,
+      }));
+    });
+
+    it('should return 400 for a capacity below one', async () => {
+      const response = await request(app)
+        .post('/api/resources')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Room 1', type: 'room', capacity: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Capacity');
+      expect(mockResourceModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when name or type is missing', async () => {
+      const response = await request(app)
+        .post('/api/resources')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Chair 1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Name and type are required');
+    });
+  });
+
+  describe('PATCH /api/resources/:id', () => {
+    it('should mark a resource inactive', async () => {
+      const resource = resourceRecord();
+      mockResourceModel.findOne.mockResolvedValue(resource);
+
+      const response = await request(app)
+        .patch(`/api/resources/${mockResourceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ status: 'inactive' });
+
+      expect(response.status).toBe(200);
+      expect(resource.update).toHaveBeenCalledWith({ status: 'inactive' });
+      expect(response.body.data.resource.status).toBe('inactive');
+    });
+  });
+
+  describe('DELETE /api/resources/:id', () => {
+    it('should return 409 while the resource has upcoming bookings', async () => {
+      const resource = resourceRecord();
+      mockResourceModel.findOne.mockResolvedValue(resource);
+      mockResourceBookingModel.count.mockResolvedValueOnce(2);
+
+      const response = await request(app)
+        .delete(`/api/resources/${mockResourceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('RESOURCE_IN_USE');
+      expect(resource.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should delete a resource with only past bookings', async () => {
+      const resource = resourceRecord();
+      mockResourceModel.findOne.mockResolvedValue(resource);
+
+      const response = await request(app)
+        .delete(`/api/resources/${mockResourceId}`)
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(mockResourceBookingModel.destroy).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid-123', resourceId: mockResourceId },
+      });
+      expect(resource.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('checkResourceAvailability', () => {
+    it('should report the resources booked during the time range', async () => {
+      const suite = resourceRecord();
+      const chair = resourceRecord({ id: 'chair-uuid', name: 'Chair 1', type: 'chair' });
+      const start = new Date('2030-07-01T15:00:00Z');
+      const end = new Date('2030-07-01T16:00:00Z');
+      mockResourceBookingModel.findAll.mockResolvedValueOnce([
+        { resourceId: 'chair-uuid', startTime: new Date('2030-07-01T15:30:00Z'), endTime: end },
+      ]);
+
+      const result = await resourceService.checkResourceAvailability([suite, chair], 'tenant-uuid-123', start, end);
+
+      expect(result.available).toBe(false);
+      expect(result.conflicts).toEqual([expect.objectContaining({ name: 'Chair 1' })]);
+      expect(mockResourceBookingModel.findAll).toHaveBeenCalledWith({
+        where: {
+          tenantId: 'tenant-uuid-123',
+          resourceId: { [Op.in]: [mockResourceId, 'chair-uuid'] },
+          status: 'active',
+          startTime: { [Op.lt]: end },
+          endTime: { [Op.gt]: start },
+        },
+        transaction: undefined,
+      });
+    });
+
+    it('should keep a resource free until its bookings reach its capacity', async () => {
+      const studio = resourceRecord({ capacity: 2 });
+      const start = new Date('2030-07-01T15:00:00Z');
+      const end = new Date('2030-07-01T16:00:00Z');
+      mockResourceBookingModel.findAll.mockResolvedValueOnce([
+        { resourceId: mockResourceId, startTime: start, endTime: new Date('2030-07-01T15:30:00Z') },
+        { resourceId: mockResourceId, startTime: new Date('2030-07-01T15:30:00Z'), endTime: end },
+      ]);
+
+      const result = await resourceService.checkResourceAvailability([studio], 'tenant-uuid-123', start, end);
+
+      expect(result.available).toBe(true);
+    });
+  });
+
+  describe('getFullPeriods', () => {
+    it('should return the times the uses reach the limit', () => {
+      const at = (time) => new Date(`2030-07-01T${time}:00Z`);
+      const periods = resourceService.getFullPeriods([
+        { startTime: at('09:00'), endTime: at('10:00') },
+        { startTime: at('09:30'), endTime: at('11:00') },
+        { startTime: at('11:00'), endTime: at('12:00') },
+      ], 2);
+
+      expect(periods).toEqual([{ start: at('09:30'), end: at('10:00') }]);
+    });
+  });
+});
@@ -23,7 +23,8 @@ const mockServiceModel = {
 
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
 };
 
@@ -37,6 +38,7 @@ const mockTenantModel = {
 // Mock models BEFORE requiring the app
 jest.mock('../src/modules/services/service.model', () => ({
   Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
   SERVICE_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
@@ -242,6 +244,24 @@ describe('Service Module', () => {
       expect(response.body.error).toContain('Duration');
     });
 
+    it('should return 400 for invalid buffers', async () => {
+      const negative = await request(app)
+        .post('/api/services')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Haircut', bufferAfter: -5 });
+      const tooLong = await request(app)
+        .post('/api/services')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Haircut', addOns: [{ name: 'Color', bufferAfter: 300 }] });
+
+      expect(negative.status).toBe(400);
+      expect(negative.body.error).toContain('Buffers');
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.code).toBe('VALIDATION_ERROR');
+    });
+
     it('should return 400 when service with name already exists', async () => {
       mockServiceModel.findOne.mockResolvedValue({ id: '123', name: 'Haircut' });
 
@@ -292,6 +312,62 @@ describe('Service Module', () => {
       expect(response.body.data.service).toBeDefined();
       expect(response.body.data.service.name).toBe('Haircut');
     });
+
+    it('should save buffers with the service', async () => {
+      mockServiceModel.findOne.mockResolvedValue(null);
+      mockServiceModel.create.mockImplementation(async (data) => ({
+        ...data,
+        toSafeObject() { return { ...data }; },
+      }));
+
+      const response = await request(app)
+        .post('/api/services')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Color', duration: 90, bufferBefore: 10, bufferAfter: 20 });
+
+      expect(response.status).toBe(201);
+      expect(mockServiceModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        duration: 90,
+        bufferBefore: 10,
+        bufferAfter: 20,
+      }));
+    });
+    it('should save the resource types the service needs', async () => {
+      mockServiceModel.findOne.mockResolvedValue(null);
+      mockServiceModel.create.mockImplementation(async (data) => ({
+        ...data,
+        toSafeObject() { return { ...data }; },
+      }));
+
+      const response = await request(app)
+        .post('/api/services')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Hot Stone Massage', duration: 60, resourceTypes: ['room'] });
+
+      expect(response.status).toBe(201);
+      expect(mockServiceModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        resourceTypes: ['room'],
+      }));
+    });
+
+    it('should return 400 for unknown or repeated resource types', async () => {
+      const unknown = await request(app)
+        .post('/api/services')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Massage', resourceTypes: ['desk'] });
+      const repeated = await request(app)
+        .post('/api/services')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Massage', resourceTypes: ['room', 'room'] });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toContain('Resource types');
+      expect(repeated.status).toBe(400);
+    });
   });
 
   describe('GET /api/services/:id', () => {
@@ -0,0 +1,298 @@
+/**
+ * SMS Assistant Tests
+ * Tests for booking appointments over free-form SMS
+ */
+
+jest.mock('../src/modules/appointments', () => ({
+  appointmentService: {
+    createAppointment: jest.fn(),
+    cancelAppointment: jest.fn(),
+    updateAppointment: jest.fn(),
+  },
+  availabilityService: {
+    getAvailabilityForDate: jest.fn(),
+  },
+}));
+
+jest.mock('../src/modules/services', () => ({
+  serviceService: {
+    getServices: jest.fn(),
+  },
+}));
+
+jest.mock('../src/modules/tenants', () => ({
+  tenantService: {
+    getTenantById: jest.fn(),
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: { findOne: jest.fn().mockResolvedValue(null) },
+}));
+
+// Stored SMS conversations keyed by tenant and phone number; values go through JSON like a database column
+const mockConversations = new Map();
+const mockStore = (values) => JSON.parse(JSON.stringify(values));
+
+jest.mock('../src/modules/telephony/smsConversation.model', () => ({
+  SmsConversation: {
+    findOne: jest.fn(async ({ where }) => mockConversations.get(`${where.tenantId}:${where.customerPhone}`) || null),
+    create: jest.fn(async (values) => {
+      const conversation = {
+        id: `conv-${mockConversations.size + 1}`,
+        ...values,
+        async update(changes) {
+          Object.assign(this, mockStore(changes));
+          return this;
+        },
+      };
+      mockConversations.set(`${values.tenantId}:${values.customerPhone}`, conversation);
+      return conversation;
+    }),
+    update: jest.fn(async (changes, { where }) => {
+      const conversation = mockConversations.get(`${where.tenantId}:${where.customerPhone}`);
+      if (conversation) {
+        Object.assign(conversation, mockStore(changes));
+      }
+    }),
+  },
+  SmsMessage: {},
+  MESSAGE_DIRECTION: {
+    INBOUND: 'inbound',
+    OUTBOUND: 'outbound',
+  },
+}));
+
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: { findOne: jest.fn().mockResolvedValue(null) },
+}));
+
+jest.mock('../src/models', () => ({
+  User: { findByPk: jest.fn() },
+}));
+
+const smsAssistant = require('../src/modules/ai-assistant/sms-assistant.handler');
+const { appointmentService, availabilityService } = require('../src/modules/appointments');
+const { serviceService } = require('../src/modules/services');
+
+describe('SMS Assistant', () => {
+  const tenant = { id: 'tenant-uuid', name: 'Test Salon', metadata: {} };
+  const from = '+15559876543';
+  const now = new Date('2030-12-01T12:00:00Z');
+
+  const slot = (hours, minutes = 0) => {
+    const start = new Date('2030-12-02T00:00:00');
+    start.setHours(hours, minutes, 0, 0);
+    return {
+      startTime: start.toISOString(),
+      startTimeFormatted: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+    };
+  };
+
+  const text = (body, at = now) => smsAssistant.handleMessage({ tenant, from, body, now: at });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockConversations.clear();
+    serviceService.getServices.mockResolvedValue({
+      services: [
+        { id: 'service-1', name: 'Haircut' },
+        { id: 'service-2', name: 'Haircut and Color' },
+      ],
+      total: 2,
+    });
+    availabilityService.getAvailabilityForDate.mockResolvedValue([
+      {
+        employeeId: 'emp-1',
+        employeeName: 'Sam Smith',
+        isAvailable: true,
+        availableSlots: [slot(9), slot(10), slot(15)],
+      },
+      {
+        employeeId: 'emp-2',
+        employeeName: 'Alex Lee',
+        isAvailable: true,
+        availableSlots: [slot(10), slot(16)],
+      },
+    ]);
+  });
+
+  describe('parseTimeOfDay', () => {
+    it('should parse 12-hour and 24-hour times', () => {
+      expect(smsAssistant.parseTimeOfDay('3pm')).toBe(15 * 60);
+      expect(smsAssistant.parseTimeOfDay('12:30 am')).toBe(30);
+      expect(smsAssistant.parseTimeOfDay('14:45')).toBe(14 * 60 + 45);
+    });
+
+    it('should ignore bare numbers', () => {
+      expect(smsAssistant.parseTimeOfDay('3')).toBeNull();
+      expect(smsAssistant.parseTimeOfDay(undefined)).toBeNull();
+    });
+  });
+
+  describe('selectSlotOptions', () => {
+    it('should offer each start time once', () => {
+      const availability = [
+        { employeeId: 'emp-1', isAvailable: true, availableSlots: [slot(10)] },
+        { employeeId: 'emp-2', isAvailable: true, availableSlots: [slot(10)] },
+      ];
+
+      expect(smsAssistant.selectSlotOptions(availability)).toEqual([
+        { employeeId: 'emp-1', startTime: slot(10).startTime },
+      ]);
+    });
+
+    it('should prefer slots closest to the requested time', () => {
+      const availability = [{
+        employeeId: 'emp-1',
+        isAvailable: true,
+        availableSlots: [9, 10, 11, 12, 13, 14, 15, 16].map(hours => slot(hours)),
+      }];
+
+      const options = smsAssistant.selectSlotOptions(availability, '3pm');
+
+      expect(options.map(option => option.startTime)).toEqual(
+        [12, 13, 14, 15, 16].map(hours => slot(hours).startTime)
+      );
+    });
+  });
+
+  describe('handleMessage', () => {
+    it('should book an appointment across several texts', async () => {
+      const offer = await text('Can I book a haircut tomorrow?');
+
+      expect(offer.intent).toBe('book_appointment');
+      expect(availabilityService.getAvailabilityForDate).toHaveBeenCalledWith(
+        'tenant-uuid',
+        expect.any(Date),
+        'service-1'
+      );
+      expect(offer.reply).toContain('Here are the openings for Haircut');
+      expect(offer.reply).toContain('Reply with the number');
+
+      const askName = await text('2');
+
+      expect(askName.reply).toContain('provide your name');
+      expect(appointmentService.createAppointment).not.toHaveBeenCalled();
+
+      appointmentService.createAppointment.mockResolvedValue({
+        id: 'apt-1',
+        startTime: slot(10).startTime,
+      });
+
+      const booked = await text('Jane Doe');
+
+      expect(appointmentService.createAppointment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          serviceId: 'service-1',
+          employeeId: 'emp-1',
+          startTime: slot(10).startTime,
+          customerName: 'Jane Doe',
+          customerPhone: '+15559876543',
+        }),
+        'tenant-uuid'
+      );
+      expect(booked.action).toBe('create_appointment');
+      expect(booked.appointment).toEqual(expect.objectContaining({ id: 'apt-1' }));
+      expect(booked.reply).toContain('Your appointment has been confirmed');
+    });
+
+    it('should match the most specific service name', async () => {
+      await text('book haircut and color tomorrow');
+
+      expect(availabilityService.getAvailabilityForDate).toHaveBeenCalledWith(
+        'tenant-uuid',
+        expect.any(Date),
+        'service-2'
+      );
+    });
+
+    it('should ask which service when none was mentioned', async () => {
+      const reply = await text('I want to book an appointment');
+
+      expect(reply.reply).toContain('which service');
+      expect(reply.reply).toContain('Haircut');
+      expect(availabilityService.getAvailabilityForDate).not.toHaveBeenCalled();
+    });
+
+    it('should keep context so a follow-up text continues the booking', async () => {
+      await text('I want to book an appointment');
+      const reply = await text('haircut tomorrow');
+
+      expect(reply.intent).toBe('book_appointment');
+      expect(reply.reply).toContain('Here are the openings for Haircut');
+    });
+
+    it('should offer new times when the chosen slot was taken', async () => {
+      await text('book a haircut tomorrow');
+      await text('1');
+
+      const conflict = new Error('Time slot is not available');
+      conflict.code = 'TIME_SLOT_CONFLICT';
+      appointmentService.createAppointment.mockRejectedValue(conflict);
+
+      const reply = await text('Jane Doe');
+
+      expect(reply.reply).toContain('that time was just taken');
+      expect(reply.reply).toContain('Here are the openings');
+    });
+
+    it('should say when there are no openings', async () => {
+      availabilityService.getAvailabilityForDate.mockResolvedValue([
+        { employeeId: 'emp-1', isAvailable: false, availableSlots: [] },
+      ]);
+
+      const reply = await text('any availability for a haircut tomorrow?');
+
+      expect(reply.intent).toBe('check_availability');
+      expect(reply.reply).toContain('don\'t have any openings');
+    });
+
+    it('should start over after the session expires', async () => {
+      await text('I want to book an appointment');
+
+      const later = new Date(now.getTime() + smsAssistant.SESSION_TTL_MS + 1000);
+      const reply = await text('tomorrow', later);
+
+      expect(reply.intent).toBe('general_inquiry');
+    });
+
+    it('should store the session on the customer\'s conversation', async () => {
+      await text('I want to book a haircut');
+
+      const conversation = mockConversations.get(`${tenant.id}:${from}`);
+      expect(conversation.assistantSession.entities).toEqual(expect.objectContaining({
+        customerPhone: from,
+        serviceId: 'service-1',
+      }));
+      expect(new Date(conversation.assistantSessionExpiresAt).getTime())
+        .toBe(now.getTime() + smsAssistant.SESSION_TTL_MS);
+    });
+
+    it('should only keep the most recent messages in the stored history', async () => {
+      for (let i = 1; i <= 12; i++) {
+        await text(`Question number ${i}`, new Date(now.getTime() + i * 1000));
+      }
+
+      const { history } = mockConversations.get(`${tenant.id}:${from}`).assistantSession.context;
+      expect(history).toHaveLength(smsAssistant.MAX_HISTORY_MESSAGES);
+      expect(history[0]).toEqual(expect.objectContaining({ role: 'user', content: 'Question number 3' }));
+      expect(history[history.length - 2]).toEqual(expect.objectContaining({ role: 'user', content: 'Question number 12' }));
+      expect(history[history.length - 1].role).toBe('assistant');
+    });
+
+    it('should end the session', async () => {
+      await text('I want to book a haircut');
+      await smsAssistant.endSession(tenant.id, from);
+
+      const conversation = mockConversations.get(`${tenant.id}:${from}`);
+      expect(conversation.assistantSession).toBeNull();
+    });
+
+    it('should word greetings for SMS', async () => {
+      const reply = await text('Hello');
+
+      expect(reply.reply).toContain('Thank you for texting');
+    });
+  });
+});
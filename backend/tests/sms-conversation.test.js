@@ -0,0 +1,281 @@
+/**
+ * SMS Conversation Service Tests
+ * Tests for storing texts as threaded conversations
+ */
+
+const mockSmsConversationModel = {
+  findOne: jest.fn(),
+  findAndCountAll: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockSmsMessageModel = {
+  findAll: jest.fn(),
+  create: jest.fn(),
+};
+
+jest.mock('../src/modules/telephony/smsConversation.model', () => ({
+  SmsConversation: mockSmsConversationModel,
+  SmsMessage: mockSmsMessageModel,
+  MESSAGE_DIRECTION: {
+    INBOUND: 'inbound',
+    OUTBOUND: 'outbound',
+  },
+}));
+
+const mockCustomerModel = {
+  findOne: jest.fn(),
+};
+
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: mockCustomerModel,
+}));
+
+const smsConversationService = require('../src/modules/telephony/smsConversation.service');
+
+describe('SMS Conversation Service', () => {
+  const createConversation = (overrides = {}) => ({
+    id: 'conv-1',
+    unreadCount: 0,
+    update: jest.fn().mockResolvedValue(true),
+    increment: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  const storedMessage = {
+    id: 'msg-1',
+    createdAt: new Date('2024-12-01T12:00:00Z'),
+    toSafeObject: () => ({ id: 'msg-1', conversationId: 'conv-1' }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSmsMessageModel.create.mockResolvedValue(storedMessage);
+    mockCustomerModel.findOne.mockResolvedValue(null);
+  });
+
+  describe('recordInboundMessage', () => {
+    it('should thread the message by normalized phone and bump the unread count', async () => {
+      const conversation = createConversation({ unreadCount: 1 });
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+
+      const result = await smsConversationService.recordInboundMessage({
+        tenantId: 'tenant-uuid',
+        from: '(555) 987-6543',
+        to: '+15551234567',
+        body: 'Can I move my appointment?',
+        messageSid: 'SM123',
+      });
+
+      expect(mockSmsConversationModel.findOne).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid', customerPhone: '+15559876543' },
+      });
+      expect(mockSmsMessageModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: 'conv-1',
+        direction: 'inbound',
+        twilioMessageSid: 'SM123',
+        status: 'received',
+      }));
+      expect(conversation.update).toHaveBeenCalledWith(expect.objectContaining({
+        lastMessagePreview: 'Can I move my appointment?',
+        lastMessageDirection: 'inbound',
+      }));
+      expect(conversation.update).toHaveBeenCalledWith(
+        expect.not.objectContaining({ unreadCount: expect.anything() })
+      );
+      expect(conversation.increment).toHaveBeenCalledWith('unreadCount');
+      expect(result.id).toBe('msg-1');
+    });
+
+    it('should start a new conversation for a new phone number', async () => {
+      mockSmsConversationModel.findOne.mockResolvedValue(null);
+      mockSmsConversationModel.create.mockResolvedValue(createConversation());
+      mockCustomerModel.findOne.mockResolvedValue({ name: 'Jane Doe' });
+
+      await smsConversationService.recordInboundMessage({
+        tenantId: 'tenant-uuid',
+        from: '+15559876543',
+        to: '+15551234567',
+        body: 'Hi',
+        messageSid: 'SM123',
+      });
+
+      expect(mockCustomerModel.findOne).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid', normalizedPhone: '+15559876543' },
+        attributes: ['name'],
+      });
+      expect(mockSmsConversationModel.create).toHaveBeenCalledWith({
+        tenantId: 'tenant-uuid',
+        customerPhone: '+15559876543',
+        customerName: 'Jane Doe',
+      });
+    });
+
+    it('should use the conversation another message created first', async () => {
+      const conversation = createConversation({ customerName: 'Jane Doe' });
+      const uniqueError = new Error('Duplicate entry');
+      uniqueError.name = 'SequelizeUniqueConstraintError';
+      mockSmsConversationModel.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(conversation);
+      mockSmsConversationModel.create.mockRejectedValue(uniqueError);
+
+      const result = await smsConversationService.recordInboundMessage({
+        tenantId: 'tenant-uuid',
+        from: '+15559876543',
+        to: '+15551234567',
+        body: 'Hi',
+        messageSid: 'SM123',
+      });
+
+      expect(mockSmsConversationModel.findOne).toHaveBeenCalledTimes(2);
+      expect(mockSmsMessageModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: 'conv-1',
+      }));
+      expect(result.id).toBe('msg-1');
+    });
+
+    it('should fill in the customer name once the customer is on file', async () => {
+      const conversation = createConversation({ customerPhone: '+15559876543', customerName: null });
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+      mockCustomerModel.findOne.mockResolvedValue({ name: 'Jane Doe' });
+
+      await smsConversationService.recordInboundMessage({
+        tenantId: 'tenant-uuid',
+        from: '+15559876543',
+        to: '+15551234567',
+        body: 'Hi',
+      });
+
+      expect(conversation.update).toHaveBeenCalledWith(expect.objectContaining({
+        customerName: 'Jane Doe',
+      }));
+    });
+
+    it('should not throw when storing fails', async () => {
+      mockSmsConversationModel.findOne.mockRejectedValue(new Error('DB error'));
+
+      const result = await smsConversationService.recordInboundMessage({
+        tenantId: 'tenant-uuid',
+        from: '+15559876543',
+        to: '+15551234567',
+        body: 'Hi',
+      });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('recordOutboundMessage', () => {
+    it('should not change the unread count', async () => {
+      const conversation = createConversation({ unreadCount: 3 });
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+
+      await smsConversationService.recordOutboundMessage({
+        tenantId: 'tenant-uuid',
+        from: '+15551234567',
+        to: '+15559876543',
+        body: 'See you then!',
+        messageSid: 'SM456',
+        status: 'queued',
+        type: 'inbox_reply',
+        sentBy: 'user-1',
+      });
+
+      expect(mockSmsMessageModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        direction: 'outbound',
+        messageType: 'inbox_reply',
+        sentBy: 'user-1',
+      }));
+      expect(conversation.update).toHaveBeenCalledWith(
+        expect.not.objectContaining({ unreadCount: expect.anything() })
+      );
+      expect(conversation.increment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getConversations', () => {
+    beforeEach(() => {
+      mockSmsConversationModel.findAndCountAll.mockResolvedValue({ rows: [], count: 0 });
+    });
+
+    it('should cap the page size', async () => {
+      const result = await smsConversationService.getConversations('tenant-uuid', { limit: 100000 });
+
+      expect(mockSmsConversationModel.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: 100 })
+      );
+      expect(result.limit).toBe(100);
+    });
+
+    it('should use the default page size for an invalid limit', async () => {
+      await smsConversationService.getConversations('tenant-uuid', { limit: NaN });
+
+      expect(mockSmsConversationModel.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: 50 })
+      );
+    });
+  });
+
+  describe('getConversationMessages', () => {
+    it('should not mark the conversation as read', async () => {
+      const conversation = createConversation({
+        unreadCount: 2,
+        toSafeObject: () => ({ id: 'conv-1' }),
+      });
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+      mockSmsMessageModel.findAll.mockResolvedValue([]);
+
+      await smsConversationService.getConversationMessages('conv-1', 'tenant-uuid', { limit: 5000 });
+
+      expect(mockSmsMessageModel.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: 200 })
+      );
+      expect(conversation.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markConversationRead', () => {
+    it('should clear the unread count', async () => {
+      const conversation = createConversation({
+        unreadCount: 2,
+        toSafeObject: () => ({ id: 'conv-1', unreadCount: 0 }),
+      });
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+
+      const result = await smsConversationService.markConversationRead('conv-1', 'tenant-uuid');
+
+      expect(conversation.update).toHaveBeenCalledWith({ unreadCount: 0 });
+      expect(result.unreadCount).toBe(0);
+    });
+  });
+
+  describe('getAssistantSession', () => {
+    const now = new Date('2024-12-01T12:00:00Z');
+
+    it('should return the stored session until it expires', async () => {
+      mockSmsConversationModel.findOne.mockResolvedValue(createConversation({
+        assistantSession: JSON.stringify({ entities: { serviceId: 'service-1' } }),
+        assistantSessionExpiresAt: new Date('2024-12-01T12:10:00Z'),
+      }));
+
+      const session = await smsConversationService.getAssistantSession('tenant-uuid', '(555) 987-6543', now);
+
+      expect(mockSmsConversationModel.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenantId: 'tenant-uuid', customerPhone: '+15559876543' },
+      }));
+      expect(session.entities.serviceId).toBe('service-1');
+    });
+
+    it('should ignore an expired session', async () => {
+      mockSmsConversationModel.findOne.mockResolvedValue(createConversation({
+        assistantSession: { entities: {} },
+        assistantSessionExpiresAt: new Date('2024-12-01T11:59:00Z'),
+      }));
+
+      const session = await smsConversationService.getAssistantSession('tenant-uuid', '+15559876543', now);
+
+      expect(session).toBeNull();
+    });
+  });
+});
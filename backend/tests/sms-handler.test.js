@@ -0,0 +1,416 @@
+/**
+ * SMS Handler Tests
+ * Tests for inbound SMS keyword processing
+ */
+
+const mockTenantModel = {
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+};
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    CANCELLED: 'cancelled',
+  },
+}));
+
+jest.mock('../src/modules/appointments/appointment.model', () => ({
+  Appointment: {},
+  APPOINTMENT_STATUS: {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show',
+  },
+  CANCELLATION_REASONS: {
+    CUSTOMER_REQUEST: 'customer_request',
+    EMPLOYEE_UNAVAILABLE: 'employee_unavailable',
+    RESCHEDULE: 'reschedule',
+    NO_SHOW: 'no_show',
+    OTHER: 'other',
+  },
+}));
+
+jest.mock('../src/modules/appointments/appointment.service', () => ({
+  getUpcomingAppointmentsByPhone: jest.fn(),
+  updateAppointment: jest.fn(),
+  cancelAppointment: jest.fn(),
+}));
+
+jest.mock('../src/modules/waitlist/waitlist.service', () => ({
+  findOpenOffer: jest.fn(),
+  claimOffer: jest.fn(),
+  declineOffer: jest.fn(),
+}));
+
+jest.mock('../src/modules/telephony/twilio.service', () => ({
+  generateSmsResponse: jest.fn((message) => `<Response><Message>${message}</Message></Response>`),
+  sendSms: jest.fn(),
+}));
+
+jest.mock('../src/modules/telephony/smsConversation.service', () => ({
+  recordInboundMessage: jest.fn().mockResolvedValue(null),
+  recordOutboundMessage: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../src/modules/ai-assistant/sms-assistant.handler', () => ({
+  handleMessage: jest.fn(),
+}));
+
+jest.mock('../src/modules/telephony/smsOptOut.service', () => ({
+  isOptedOut: jest.fn(),
+  recordOptOut: jest.fn(),
+  recordOptIn: jest.fn(),
+}));
+
+const smsHandler = require('../src/modules/telephony/sms.handler');
+const appointmentService = require('../src/modules/appointments/appointment.service');
+const waitlistService = require('../src/modules/waitlist/waitlist.service');
+const twilioService = require('../src/modules/telephony/twilio.service');
+const smsOptOutService = require('../src/modules/telephony/smsOptOut.service');
+const smsAssistant = require('../src/modules/ai-assistant/sms-assistant.handler');
+
+describe('SMS Handler', () => {
+  const tenant = {
+    id: 'tenant-uuid',
+    name: 'Test Salon',
+    status: 'active',
+    twilioPhoneNumber: '+15551234567',
+    metadata: {},
+  };
+
+  const createAppointment = (overrides = {}) => ({
+    id: 'apt-1',
+    status: 'scheduled',
+    customerPhone: '(555) 987-6543',
+    startTime: new Date('2030-12-02T15:00:00Z'),
+    ...overrides,
+  });
+
+  const sendSms = (body) => smsHandler.handleIncomingSms({
+    MessageSid: 'SM123',
+    From: '+15559876543',
+    To: '+15551234567',
+    Body: body,
+    NumMedia: '0',
+  });
+
+  const lastReply = () => twilioService.generateSmsResponse.mock.calls.at(-1)[0];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTenantModel.findAll.mockResolvedValue([tenant]);
+    waitlistService.findOpenOffer.mockResolvedValue(null);
+  });
+
+  describe('tenant lookup', () => {
+    it('should match the tenant by the twilioPhoneNumber column', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([]);
+
+      const result = await sendSms('HELP');
+
+      expect(result.success).toBe(true);
+      expect(result.tenantId).toBe('tenant-uuid');
+    });
+
+    it('should reply not in service for unknown numbers', async () => {
+      mockTenantModel.findAll.mockResolvedValue([{ ...tenant, twilioPhoneNumber: '+15550000000' }]);
+
+      const result = await sendSms('HELP');
+
+      expect(result.success).toBe(false);
+      expect(lastReply()).toContain('not in service');
+    });
+  });
+
+  describe('STOP/START replies', () => {
+    it('should record an opt-out for STOP', async () => {
+      const result = await sendSms('stop');
+
+      expect(smsOptOutService.recordOptOut).toHaveBeenCalledWith('tenant-uuid', '+15559876543', 'STOP');
+      expect(result.action).toBe('unsubscribe');
+      expect(lastReply()).toContain('unsubscribed');
+    });
+
+    it('should treat other carrier opt-out keywords as STOP', async () => {
+      await sendSms('QUIT');
+
+      expect(smsOptOutService.recordOptOut).toHaveBeenCalledWith('tenant-uuid', '+15559876543', 'QUIT');
+    });
+
+    it('should record an opt-in for START', async () => {
+      const result = await sendSms('START');
+
+      expect(smsOptOutService.recordOptIn).toHaveBeenCalledWith('tenant-uuid', '+15559876543', 'START');
+      expect(result.action).toBe('subscribe');
+    });
+  });
+
+  describe('free-form texts', () => {
+    it('should route free-form texts to the SMS assistant', async () => {
+      smsAssistant.handleMessage.mockResolvedValue({
+        intent: 'book_appointment',
+        action: 'create_appointment',
+        reply: 'Here are the openings for Haircut',
+        appointment: null,
+      });
+
+      const result = await sendSms('Can I book a haircut tomorrow?');
+
+      expect(smsAssistant.handleMessage).toHaveBeenCalledWith({
+        tenant,
+        from: '+15559876543',
+        body: 'Can I book a haircut tomorrow?',
+      });
+      expect(result.action).toBe('create_appointment');
+      expect(lastReply()).toBe('Here are the openings for Haircut');
+    });
+
+    it('should fall back to the default reply when the assistant is disabled', async () => {
+      mockTenantModel.findAll.mockResolvedValue([{ ...tenant, metadata: { smsAssistantEnabled: false } }]);
+
+      const result = await sendSms('Can I book a haircut tomorrow?');
+
+      expect(smsAssistant.handleMessage).not.toHaveBeenCalled();
+      expect(result.action).toBe('unknown');
+      expect(lastReply()).toContain('We\'ll get back to you shortly');
+    });
+
+    it('should fall back to the default reply when the assistant fails', async () => {
+      smsAssistant.handleMessage.mockRejectedValue(new Error('AI error'));
+
+      const result = await sendSms('Can I book a haircut tomorrow?');
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('unknown');
+    });
+  });
+
+  describe('sendCustomerNotification', () => {
+    beforeEach(() => {
+      mockTenantModel.findOne.mockResolvedValue(tenant);
+      twilioService.sendSms.mockResolvedValue({ sid: 'SM999', status: 'queued' });
+    });
+
+    it('should send from the tenant\'s Twilio number', async () => {
+      smsOptOutService.isOptedOut.mockResolvedValue(false);
+
+      const result = await smsHandler.sendCustomerNotification({
+        tenantId: 'tenant-uuid',
+        to: '+15559876543',
+        message: 'Hello',
+        type: 'custom',
+      });
+
+      expect(mockTenantModel.findOne).toHaveBeenCalledWith({ where: { id: 'tenant-uuid' } });
+      expect(twilioService.sendSms).toHaveBeenCalledWith({
+        to: '+15559876543',
+        from: '+15551234567',
+        body: 'Hello',
+      });
+      expect(result.messageSid).toBe('SM999');
+    });
+
+    it('should refuse to text a number that opted out', async () => {
+      smsOptOutService.isOptedOut.mockResolvedValue(true);
+
+      await expect(smsHandler.sendCustomerNotification({
+        tenantId: 'tenant-uuid',
+        to: '+15559876543',
+        message: 'Hello',
+        type: 'custom',
+      })).rejects.toMatchObject({ statusCode: 409, code: 'SMS_OPTED_OUT' });
+
+      expect(twilioService.sendSms).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CONFIRM replies', () => {
+    it('should confirm the sender\'s upcoming appointment', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([createAppointment()]);
+      appointmentService.updateAppointment.mockResolvedValue({});
+
+      const result = await sendSms('confirm');
+
+      expect(appointmentService.getUpcomingAppointmentsByPhone).toHaveBeenCalledWith('tenant-uuid', '+15559876543');
+      expect(appointmentService.updateAppointment).toHaveBeenCalledWith('apt-1', 'tenant-uuid', { status: 'confirmed' });
+      expect(result.action).toBe('confirm_appointment');
+      expect(lastReply()).toContain('Thank you for confirming');
+    });
+
+    it('should not update an appointment that is already confirmed', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([
+        createAppointment({ status: 'confirmed' }),
+      ]);
+
+      await sendSms('CONFIRM');
+
+      expect(appointmentService.updateAppointment).not.toHaveBeenCalled();
+      expect(lastReply()).toContain('Thank you for confirming');
+    });
+
+    it('should explain when there is no upcoming appointment', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([]);
+
+      await sendSms('CONFIRM');
+
+      expect(appointmentService.updateAppointment).not.toHaveBeenCalled();
+      expect(lastReply()).toContain('couldn\'t find an upcoming appointment');
+    });
+
+    it('should ask which appointment when the sender has several', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([
+        createAppointment(),
+        createAppointment({ id: 'apt-2', startTime: new Date('2030-12-09T15:00:00Z') }),
+      ]);
+
+      await sendSms('CONFIRM');
+
+      expect(appointmentService.updateAppointment).not.toHaveBeenCalled();
+      expect(lastReply()).toContain('You have 2 upcoming appointments');
+      expect(lastReply()).toContain('CONFIRM 1');
+    });
+
+    it('should confirm the appointment chosen by number', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([
+        createAppointment(),
+        createAppointment({ id: 'apt-2', startTime: new Date('2030-12-09T15:00:00Z') }),
+      ]);
+
+      const result = await sendSms('CONFIRM 2');
+
+      expect(appointmentService.updateAppointment).toHaveBeenCalledWith('apt-2', 'tenant-uuid', { status: 'confirmed' });
+      expect(result.action).toBe('confirm_appointment');
+    });
+  });
+
+  describe('CANCEL replies', () => {
+    it('should cancel the sender\'s upcoming appointment as a customer request', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([createAppointment()]);
+      appointmentService.cancelAppointment.mockResolvedValue({});
+
+      const result = await sendSms('CANCEL');
+
+      expect(appointmentService.cancelAppointment).toHaveBeenCalledWith(
+        'apt-1',
+        'tenant-uuid',
+        'customer_request',
+        expect.any(String)
+      );
+      expect(result.action).toBe('cancel_appointment');
+      expect(lastReply()).toContain('has been cancelled');
+    });
+
+    it('should ask again when the chosen number is out of range', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([createAppointment()]);
+
+      await sendSms('CANCEL 3');
+
+      expect(appointmentService.cancelAppointment).not.toHaveBeenCalled();
+      expect(lastReply()).toContain('Reply CANCEL followed by the appointment number');
+    });
+
+    it('should return a generic error reply when cancelling fails', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([createAppointment()]);
+      appointmentService.cancelAppointment.mockRejectedValue(new Error('DB error'));
+
+      const result = await sendSms('CANCEL');
+
+      expect(result.success).toBe(false);
+      expect(lastReply()).toContain('couldn\'t process your message');
+    });
+  });
+
+  describe('plain YES/NO replies', () => {
+    it('should pass a plain NO to the assistant instead of cancelling', async () => {
+      smsAssistant.handleMessage.mockResolvedValue({ action: 'assistant_reply', reply: 'No problem!' });
+
+      const result = await sendSms('No');
+
+      expect(waitlistService.findOpenOffer).toHaveBeenCalledWith('tenant-uuid', '+15559876543');
+      expect(appointmentService.getUpcomingAppointmentsByPhone).not.toHaveBeenCalled();
+      expect(appointmentService.cancelAppointment).not.toHaveBeenCalled();
+      expect(smsAssistant.handleMessage).toHaveBeenCalledWith(expect.objectContaining({ body: 'No' }));
+      expect(result.action).toBe('assistant_reply');
+    });
+
+    it('should pass a plain YES to the assistant instead of confirming', async () => {
+      smsAssistant.handleMessage.mockResolvedValue({ action: 'assistant_reply', reply: 'Great!' });
+
+      await sendSms('Y');
+
+      expect(appointmentService.updateAppointment).not.toHaveBeenCalled();
+      expect(smsAssistant.handleMessage).toHaveBeenCalledWith(expect.objectContaining({ body: 'Y' }));
+    });
+
+    it('should not treat a numbered YES as an appointment reply', async () => {
+      smsAssistant.handleMessage.mockResolvedValue({ action: 'assistant_reply', reply: 'Sure' });
+
+      await sendSms('YES 1');
+
+      expect(appointmentService.updateAppointment).not.toHaveBeenCalled();
+      expect(smsAssistant.handleMessage).toHaveBeenCalled();
+    });
+  });
+
+  describe('waitlist offer replies', () => {
+    const createOffer = (overrides = {}) => ({
+      id: 'offer-1',
+      status: 'pending',
+      startTime: new Date('2030-12-02T15:00:00Z'),
+      isOpen: () => true,
+      ...overrides,
+    });
+
+    it('should book the offered slot when the sender replies YES', async () => {
+      const offer = createOffer();
+      waitlistService.findOpenOffer.mockResolvedValue(offer);
+      waitlistService.claimOffer.mockResolvedValue({ result: 'booked', appointment: { id: 'apt-9' } });
+
+      const result = await sendSms('yes');
+
+      expect(waitlistService.findOpenOffer).toHaveBeenCalledWith('tenant-uuid', '+15559876543');
+      expect(waitlistService.claimOffer).toHaveBeenCalledWith(offer, 'tenant-uuid');
+      expect(appointmentService.getUpcomingAppointmentsByPhone).not.toHaveBeenCalled();
+      expect(result.action).toBe('claim_waitlist_offer');
+      expect(lastReply()).toContain('You\'re booked');
+    });
+
+    it('should tell the sender when someone else took the slot first', async () => {
+      waitlistService.findOpenOffer.mockResolvedValue(createOffer({ status: 'taken', isOpen: () => false }));
+      waitlistService.claimOffer.mockResolvedValue({ result: 'taken', appointment: null });
+
+      await sendSms('Y');
+
+      expect(lastReply()).toContain('already been taken');
+    });
+
+    it('should decline the offer when the sender replies NO', async () => {
+      const offer = createOffer();
+      waitlistService.findOpenOffer.mockResolvedValue(offer);
+
+      const result = await sendSms('NO');
+
+      expect(waitlistService.declineOffer).toHaveBeenCalledWith(offer);
+      expect(appointmentService.cancelAppointment).not.toHaveBeenCalled();
+      expect(result.action).toBe('decline_waitlist_offer');
+      expect(lastReply()).toContain('keep you on the waitlist');
+    });
+
+    it('should leave CONFIRM and numbered replies to appointment handling', async () => {
+      appointmentService.getUpcomingAppointmentsByPhone.mockResolvedValue([createAppointment()]);
+      appointmentService.updateAppointment.mockResolvedValue({});
+
+      await sendSms('CONFIRM');
+      await sendSms('CONFIRM 1');
+
+      expect(waitlistService.findOpenOffer).not.toHaveBeenCalled();
+      expect(appointmentService.updateAppointment).toHaveBeenCalledTimes(2);
+    });
+  });
+});
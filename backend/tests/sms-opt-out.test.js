@@ -0,0 +1,91 @@
+/**
+ * SMS Opt-Out Service Tests
+ * Tests for the per-tenant STOP/START ledger
+ */
+
+const mockSmsOptOutModel = {
+  findOne: jest.fn(),
+  upsert: jest.fn().mockResolvedValue([{}, null]),
+};
+
+jest.mock('../src/modules/telephony/smsOptOut.model', () => ({
+  SmsOptOut: mockSmsOptOutModel,
+}));
+
+const smsOptOutService = require('../src/modules/telephony/smsOptOut.service');
+
+describe('SMS Opt-Out Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isOptedOut', () => {
+    it('should look up the normalized phone number for the tenant', async () => {
+      mockSmsOptOutModel.findOne.mockResolvedValue({ optedOut: true });
+
+      const result = await smsOptOutService.isOptedOut('tenant-uuid', '(555) 987-6543');
+
+      expect(result).toBe(true);
+      expect(mockSmsOptOutModel.findOne).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid', phoneNumber: '+15559876543' },
+      });
+    });
+
+    it('should return false when the number opted back in', async () => {
+      mockSmsOptOutModel.findOne.mockResolvedValue({ optedOut: false });
+
+      expect(await smsOptOutService.isOptedOut('tenant-uuid', '+15559876543')).toBe(false);
+    });
+
+    it('should return false when there is no ledger entry', async () => {
+      mockSmsOptOutModel.findOne.mockResolvedValue(null);
+
+      expect(await smsOptOutService.isOptedOut('tenant-uuid', '+15559876543')).toBe(false);
+    });
+
+    it('should return false without a phone number', async () => {
+      expect(await smsOptOutService.isOptedOut('tenant-uuid', null)).toBe(false);
+      expect(mockSmsOptOutModel.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordOptOut', () => {
+    it('should upsert the ledger entry for the normalized number', async () => {
+      mockSmsOptOutModel.findOne.mockResolvedValue({ toSafeObject: () => ({ optedOut: true }) });
+
+      const entry = await smsOptOutService.recordOptOut('tenant-uuid', '+1 555 987 6543', 'STOP');
+
+      expect(mockSmsOptOutModel.upsert).toHaveBeenCalledWith(
+        {
+          tenantId: 'tenant-uuid',
+          phoneNumber: '+15559876543',
+          optedOut: true,
+          keyword: 'STOP',
+          optedOutAt: expect.any(Date),
+        },
+        { fields: ['optedOut', 'keyword', 'optedOutAt'] }
+      );
+      expect(mockSmsOptOutModel.findOne).toHaveBeenCalledWith({
+        where: { tenantId: 'tenant-uuid', phoneNumber: '+15559876543' },
+      });
+      expect(entry).toEqual({ optedOut: true });
+    });
+  });
+
+  describe('recordOptIn', () => {
+    it('should clear the opt-out without touching the opt-out time', async () => {
+      mockSmsOptOutModel.findOne.mockResolvedValue({ toSafeObject: () => ({ optedOut: false }) });
+
+      await smsOptOutService.recordOptIn('tenant-uuid', '+15559876543', 'START');
+
+      expect(mockSmsOptOutModel.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          optedOut: false,
+          keyword: 'START',
+          optedInAt: expect.any(Date),
+        }),
+        { fields: ['optedOut', 'keyword', 'optedInAt'] }
+      );
+    });
+  });
+});
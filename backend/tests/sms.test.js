@@ -5,11 +5,22 @@
 const smsService = require('../src/modules/appointments/sms.service');
 const twilioService = require('../src/modules/telephony/twilio.service');
 const User = require('../src/models/User');
+const smsOptOutService = require('../src/modules/telephony/smsOptOut.service');
 const env = require('../src/config/env');
 
 // Mock dependencies
 jest.mock('../src/modules/telephony/twilio.service');
 jest.mock('../src/models/User');
+jest.mock('../src/modules/telephony/smsConversation.service', () => ({
+  recordInboundMessage: jest.fn().mockResolvedValue(null),
+  recordOutboundMessage: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../src/modules/telephony/smsOptOut.service', () => ({
+  isOptedOut: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: { findOne: jest.fn().mockResolvedValue({ timezone: 'UTC' }) },
+}));
 jest.mock('../src/config/env', () => ({
   TWILIO_SMS_ACCOUNT_SID: 'AC123456789',
   TWILIO_SMS_AUTH_TOKEN: 'test_token',
@@ -78,6 +89,36 @@ describe('SMS Service', () => {
 
       expect(message).toContain('your service');
     });
+
+    it('should format the date and time in the tenant timezone', () => {
+      const message = smsService.formatAppointmentSummary(
+        mockAppointment,
+        mockEmployee,
+        mockService,
+        'America/New_York'
+      );
+
+      expect(message).toContain('Date: Wednesday, December 25, 2024');
+      expect(message).toContain('Time: 5:00 AM');
+    });
+  });
+
+  describe('formatMultiServiceSummary', () => {
+    it('should list every service in one message', () => {
+      const message = smsService.formatMultiServiceSummary([
+        { appointment: { ...mockAppointment, totalDuration: 45 }, employee: mockEmployee, service: mockService },
+        {
+          appointment: { ...mockAppointment, startTime: new Date('2024-12-25T10:45:00Z'), totalDuration: 30 },
+          employee: null,
+          service: { name: 'Manicure', duration: 30 },
+        },
+      ]);
+
+      expect(message).toContain('Appointment Confirmed!');
+      expect(message).toContain('Haircut with Sarah Johnson (45 min)');
+      expect(message).toContain('Manicure with our team (30 min)');
+      expect(message).toContain('Total: 75 min');
+    });
   });
 
   describe('isUserOptedInForSms', () => {
@@ -184,6 +225,22 @@ describe('SMS Service', () => {
       expect(result).toBeNull();
     });
 
+    it('should not send SMS if the phone number replied STOP', async () => {
+      User.findOne.mockResolvedValue({ smsOptIn: true });
+      smsOptOutService.isOptedOut.mockResolvedValueOnce(true);
+
+      const result = await smsService.sendAppointmentConfirmationSms(
+        mockAppointment,
+        mockEmployee,
+        mockService,
+        tenantId
+      );
+
+      expect(smsOptOutService.isOptedOut).toHaveBeenCalledWith(tenantId, mockAppointment.customerPhone);
+      expect(twilioService.sendSms).not.toHaveBeenCalled();
+      expect(result).toBeNull();
+    });
+
     it('should send SMS if no email provided (customer not a registered user)', async () => {
       const appointmentWithoutEmail = { ...mockAppointment, customerEmail: null };
       twilioService.sendSms.mockResolvedValue({ sid: 'sms-123', status: 'sent' });
@@ -0,0 +1,534 @@
+/**
+ * Team Tests
+ * Tests for roles, route permissions and team invites
+ */
+const crypto = require('crypto');
+const request = require('supertest');
+
+// Define mocks before requiring the app
+// Roles of the users tokens are issued to, as stored in the database
+const mockUserRoles = {};
+
+const mockUserModel = {
+  findOne: jest.fn(),
+  findByPk: jest.fn(async (id) => ({ id, role: mockUserRoles[id], isActive: true })),
+  findAll: jest.fn(),
+  create: jest.fn(),
+  count: jest.fn(),
+};
+
+const mockEmployeeModel = {
+  findOne: jest.fn(),
+};
+
+const mockTeamInviteModel = {
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn().mockResolvedValue([0]),
+};
+
+// Businesses are active unless a test says otherwise
+const mockTenantModel = {
+  findOne: jest.fn().mockResolvedValue({ id: 'tenant-uuid-123', status: 'active' }),
+};
+
+// Mock models BEFORE requiring the app
+jest.mock('../src/models', () => ({
+  User: mockUserModel,
+  Employee: mockEmployeeModel,
+}));
+
+jest.mock('../src/modules/team/teamInvite.model', () => ({
+  TeamInvite: mockTeamInviteModel,
+  INVITE_STATUS: { PENDING: 'pending', ACCEPTED: 'accepted', REVOKED: 'revoked' },
+  INVITE_EXPIRY_DAYS: 7,
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+  },
+  PLAN_TYPES: {
+    FREE: 'free',
+  },
+}));
+
+// Mock tenant utility
+jest.mock('../src/utils/tenant', () => ({
+  getTenantUUID: jest.fn().mockResolvedValue('tenant-uuid-123'),
+}));
+
+// Now require the app AFTER the mocks are in place
+const { app } = require('../src/app');
+const jwtUtils = require('../src/modules/auth/jwt.utils');
+const email = require('../src/utils/email');
+const { hasPermission, canAssignRole, PERMISSIONS } = require('../src/modules/auth/permissions');
+
+describe('Team Module', () => {
+  const ownerId = '550e8400-e29b-41d4-a716-446655440030';
+  const memberId = '550e8400-e29b-41d4-a716-446655440031';
+  const inviteId = '550e8400-e29b-41d4-a716-446655440032';
+  const employeeId = '550e8400-e29b-41d4-a716-446655440033';
+
+  const tokenFor = (role, userId = ownerId) => {
+    mockUserRoles[userId] = role;
+    return jwtUtils.generateAccessToken({
+      userId,
+      email: 'test@example.com',
+      tenantId: 'test-tenant',
+      ...(role && { role }),
+    });
+  };
+
+  const record = (data) => ({
+    ...data,
+    update: jest.fn(async function(changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    toSafeObject() {
+      const { update, toSafeObject, password, tokenHash, ...fields } = this;
+      return fields;
+    },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('permissions', () => {
+    it('should only let owners manage billing', () => {
+      expect(hasPermission('owner', PERMISSIONS.MANAGE_BILLING)).toBe(true);
+      expect(hasPermission('manager', PERMISSIONS.MANAGE_BILLING)).toBe(false);
+      expect(hasPermission('front_desk', PERMISSIONS.MANAGE_BILLING)).toBe(false);
+      expect(hasPermission(undefined, PERMISSIONS.MANAGE_BILLING)).toBe(false);
+    });
+
+    it('should scope tokens of staff linked to an employee', () => {
+      const staff = jwtUtils.verifyToken(jwtUtils.generateTokenPair({
+        id: memberId, email: 'stylist@example.com', tenantId: 'tenant-uuid-123', role: 'staff', employeeId,
+      }).accessToken);
+      const manager = jwtUtils.verifyToken(jwtUtils.generateTokenPair({
+        id: ownerId, email: 'manager@example.com', tenantId: 'tenant-uuid-123', role: 'manager', employeeId,
+      }).accessToken);
+
+      expect(staff).toEqual(expect.objectContaining({ scope: 'employee', employeeId }));
+      expect(manager.scope).toBeUndefined();
+    });
+
+    it('should only let owners assign the owner role', () => {
+      expect(canAssignRole('owner', 'owner')).toBe(true);
+      expect(canAssignRole('manager', 'owner')).toBe(false);
+      expect(canAssignRole('manager', 'front_desk')).toBe(true);
+      expect(canAssignRole('staff', 'staff')).toBe(false);
+    });
+  });
+
+  describe('route permissions', () => {
+    it('should return 403 when front desk cancels the subscription', async () => {
+      const response = await request(app)
+        .post('/api/billing/cancel')
+        .set('Authorization', `Bearer ${tokenFor('front_desk')}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+
+    it('should return 403 when staff edit an employee schedule', async () => {
+      const response = await request(app)
+        .put(`/api/employees/${memberId}/schedule`)
+        .set('Authorization', `Bearer ${tokenFor('staff')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ schedule: {} });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+
+    it('should return 403 when a manager changes the account status', async () => {
+      const response = await request(app)
+        .patch('/api/tenant/status')
+        .set('Authorization', `Bearer ${tokenFor('manager')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ status: 'suspended' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should use the role stored for the user rather than the one in the token', async () => {
+      const token = tokenFor('owner', memberId);
+      mockUserRoles[memberId] = 'front_desk';
+
+      const response = await request(app)
+        .post('/api/billing/cancel')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+
+    it('should return 401 once the user has been removed from the team', async () => {
+      const token = tokenFor('manager', memberId);
+      mockUserModel.findByPk.mockResolvedValueOnce({ id: memberId, role: 'manager', isActive: false });
+
+      const response = await request(app)
+        .get('/api/team')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('USER_INACTIVE');
+    });
+
+    it('should return 401 once a platform admin has suspended the business', async () => {
+      const token = tokenFor('owner', memberId);
+      mockTenantModel.findOne.mockResolvedValueOnce({
+        id: 'tenant-uuid-123',
+        status: 'suspended',
+        metadata: { adminSuspension: { reason: 'Chargeback' } },
+      });
+
+      const response = await request(app)
+        .get('/api/team')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('TENANT_SUSPENDED');
+      expect(mockUserModel.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should keep users signed in while the business is suspended for billing', async () => {
+      mockUserModel.findAll.mockResolvedValue([]);
+      mockTeamInviteModel.findAll.mockResolvedValue([]);
+      mockTenantModel.findOne.mockResolvedValueOnce({ id: 'tenant-uuid-123', status: 'suspended', metadata: {} });
+
+      const response = await request(app)
+        .get('/api/team')
+        .set('Authorization', `Bearer ${tokenFor('owner', memberId)}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should treat a token without a role as an owner', async () => {
+      mockUserModel.findAll.mockResolvedValue([]);
+      mockTeamInviteModel.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/team')
+        .set('Authorization', `Bearer ${tokenFor(null)}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('GET /api/team', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/team')
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return members and pending invites', async () => {
+      mockUserModel.findAll.mockResolvedValue([
+        record({ id: ownerId, email: 'owner@example.com', role: 'owner', password: 'hash' }),
+      ]);
+      mockTeamInviteModel.findAll.mockResolvedValue([
+        record({ id: inviteId, email: 'desk@example.com', role: 'front_desk', tokenHash: 'hash' }),
+      ]);
+
+      const response = await request(app)
+        .get('/api/team')
+        .set('Authorization', `Bearer ${tokenFor('manager')}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.members[0]).toEqual({ id: ownerId, email: 'owner@example.com', role: 'owner' });
+      expect(response.body.data.invites[0].tokenHash).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/team/invites', () => {
+    // Emails that would have been sent
+    const sendEmail = jest.fn().mockResolvedValue();
+
+    beforeAll(() => {
+      email.setEmailTransport(sendEmail);
+    });
+
+    afterAll(() => {
+      email.setEmailTransport(null);
+    });
+
+    it('should create an invite and store only the token hash', async () => {
+      mockUserModel.findOne.mockResolvedValue(null);
+      mockTeamInviteModel.create.mockImplementation(async (data) => record({ id: inviteId, ...data }));
+
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'Desk@Example.com', role: 'front_desk' });
+
+      expect(response.status).toBe(201);
+      const { inviteToken } = response.body.data;
+      expect(mockTeamInviteModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        tenantId: 'tenant-uuid-123',
+        email: 'desk@example.com',
+        role: 'front_desk',
+        invitedBy: ownerId,
+        tokenHash: crypto.createHash('sha256').update(inviteToken).digest('hex'),
+      }));
+      expect(mockTeamInviteModel.update).toHaveBeenCalledWith(
+        { status: 'revoked' },
+        { where: { tenantId: 'tenant-uuid-123', email: 'desk@example.com', status: 'pending' } }
+      );
+    });
+
+    it('should email the invite link to the invitee', async () => {
+      mockUserModel.findOne.mockResolvedValue(null);
+      mockTeamInviteModel.create.mockImplementation(async (data) => record({ id: inviteId, ...data }));
+
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'desk@example.com', role: 'front_desk' });
+
+      expect(response.status).toBe(201);
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      const [sent] = sendEmail.mock.calls[0];
+      expect(sent.to).toBe('desk@example.com');
+      expect(sent.text).toContain(`/accept-invite?token=${response.body.data.inviteToken}`);
+    });
+
+    it('should revoke the invite and return 502 when the email can\'t be sent', async () => {
+      const invite = record({ id: inviteId, status: 'pending' });
+      mockUserModel.findOne.mockResolvedValue(null);
+      mockTeamInviteModel.create.mockResolvedValue(invite);
+      sendEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'desk@example.com', role: 'front_desk' });
+
+      expect(response.status).toBe(502);
+      expect(response.body.code).toBe('INVITE_EMAIL_FAILED');
+      expect(response.body.data).toBeUndefined();
+      expect(invite.update).toHaveBeenCalledWith({ status: 'revoked' });
+    });
+
+    it('should return 403 when a manager invites an owner', async () => {
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('manager')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'partner@example.com', role: 'owner' });
+
+      expect(response.status).toBe(403);
+      expect(mockTeamInviteModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the email already has an account', async () => {
+      mockUserModel.findOne.mockResolvedValue(record({ id: memberId }));
+
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'taken@example.com', role: 'staff' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('USER_EXISTS');
+    });
+
+    it('should return 400 for an unknown role', async () => {
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'desk@example.com', role: 'admin' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Role must be one of');
+    });
+  });
+
+  describe('POST /api/team/invites/accept', () => {
+    it('should create the account with the invite role', async () => {
+      const invite = record({
+        id: inviteId,
+        tenantId: 'tenant-uuid-123',
+        email: 'desk@example.com',
+        role: 'front_desk',
+      });
+      mockTeamInviteModel.findOne.mockResolvedValue(invite);
+      mockUserModel.findOne.mockResolvedValue(null);
+      mockUserModel.create.mockImplementation(async (data) => record({ id: memberId, ...data }));
+
+      const response = await request(app)
+        .post('/api/team/invites/accept')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ token: 'invite-token', password: 'password123' });
+
+      expect(response.status).toBe(201);
+      expect(mockTeamInviteModel.findOne).toHaveBeenCalledWith({
+        where: expect.objectContaining({
+          tokenHash: crypto.createHash('sha256').update('invite-token').digest('hex'),
+          status: 'pending',
+        }),
+      });
+      expect(mockUserModel.create).toHaveBeenCalledWith({
+        email: 'desk@example.com',
+        password: 'password123',
+        tenantId: 'tenant-uuid-123',
+        role: 'front_desk',
+      });
+      expect(invite.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'accepted' }));
+      expect(jwtUtils.verifyToken(response.body.data.tokens.accessToken).role).toBe('front_desk');
+    });
+
+    it('should return 400 for an invalid or expired invite', async () => {
+      mockTeamInviteModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/team/invites/accept')
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ token: 'stale-token', password: 'password123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_INVITE');
+      expect(mockUserModel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/team/members/:userId', () => {
+    it('should return 400 when demoting the last owner', async () => {
+      mockUserModel.findOne.mockResolvedValue(record({ id: memberId, tenantId: 'tenant-uuid-123', role: 'owner' }));
+      mockUserModel.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .patch(`/api/team/members/${memberId}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ role: 'manager' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('LAST_OWNER');
+    });
+
+    it('should return 403 when a manager changes an owner', async () => {
+      mockUserModel.findOne.mockResolvedValue(record({ id: memberId, tenantId: 'tenant-uuid-123', role: 'owner' }));
+
+      const response = await request(app)
+        .patch(`/api/team/members/${memberId}`)
+        .set('Authorization', `Bearer ${tokenFor('manager')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ role: 'staff' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should change a member role', async () => {
+      const member = record({ id: memberId, tenantId: 'tenant-uuid-123', role: 'staff' });
+      mockUserModel.findOne.mockResolvedValue(member);
+
+      const response = await request(app)
+        .patch(`/api/team/members/${memberId}`)
+        .set('Authorization', `Bearer ${tokenFor('manager')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ role: 'front_desk' });
+
+      expect(response.status).toBe(200);
+      expect(member.update).toHaveBeenCalledWith({ role: 'front_desk' });
+      expect(response.body.data.user.role).toBe('front_desk');
+    });
+  });
+
+  describe('employee links', () => {
+    it('should invite a teammate linked to an employee', async () => {
+      mockUserModel.findOne.mockResolvedValue(null);
+      mockEmployeeModel.findOne.mockResolvedValue({ id: employeeId });
+      mockTeamInviteModel.create.mockImplementation(async (data) => record({ id: inviteId, ...data }));
+
+      const response = await request(app)
+        .post('/api/team/invites')
+        .set('Authorization', `Bearer ${tokenFor('manager')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ email: 'stylist@example.com', role: 'staff', employeeId });
+
+      expect(response.status).toBe(201);
+      expect(mockEmployeeModel.findOne).toHaveBeenCalledWith({ where: { id: employeeId, tenantId: 'tenant-uuid-123' } });
+      expect(mockTeamInviteModel.create).toHaveBeenCalledWith(expect.objectContaining({ employeeId }));
+    });
+
+    it('should return 409 when the employee is linked to another user', async () => {
+      const member = record({ id: memberId, tenantId: 'tenant-uuid-123', role: 'staff' });
+      mockUserModel.findOne
+        .mockResolvedValueOnce(member)
+        .mockResolvedValueOnce(record({ id: ownerId, employeeId }));
+      mockEmployeeModel.findOne.mockResolvedValue({ id: employeeId });
+
+      const response = await request(app)
+        .patch(`/api/team/members/${memberId}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ employeeId });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('EMPLOYEE_ALREADY_LINKED');
+      expect(member.update).not.toHaveBeenCalled();
+    });
+
+    it('should unlink a member from their employee', async () => {
+      const member = record({ id: memberId, tenantId: 'tenant-uuid-123', role: 'staff', employeeId });
+      mockUserModel.findOne.mockResolvedValue(member);
+
+      const response = await request(app)
+        .patch(`/api/team/members/${memberId}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ employeeId: null });
+
+      expect(response.status).toBe(200);
+      expect(member.update).toHaveBeenCalledWith({ employeeId: null });
+    });
+  });
+
+  describe('DELETE /api/team/members/:userId', () => {
+    it('should deactivate the member', async () => {
+      const member = record({ id: memberId, tenantId: 'tenant-uuid-123', role: 'staff', isActive: true });
+      mockUserModel.findOne.mockResolvedValue(member);
+
+      const response = await request(app)
+        .delete(`/api/team/members/${memberId}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(member.update).toHaveBeenCalledWith({ isActive: false });
+    });
+
+    it('should return 400 when removing yourself', async () => {
+      const response = await request(app)
+        .delete(`/api/team/members/${ownerId}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('CANNOT_REMOVE_SELF');
+    });
+  });
+});
@@ -57,6 +57,41 @@ jest.mock('../src/modules/tenants/tenant.model', () => ({
   },
 }));
 
+const mockSmsConversationModel = {
+  findOne: jest.fn(),
+  findAndCountAll: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockSmsMessageModel = {
+  findAll: jest.fn(),
+  create: jest.fn(),
+};
+
+// Mock the SMS conversation models
+jest.mock('../src/modules/telephony/smsConversation.model', () => ({
+  SmsConversation: mockSmsConversationModel,
+  SmsMessage: mockSmsMessageModel,
+  MESSAGE_DIRECTION: {
+    INBOUND: 'inbound',
+    OUTBOUND: 'outbound',
+  },
+}));
+
+// Mock the customer model used to name conversations
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: {
+    findOne: jest.fn().mockResolvedValue(null),
+  },
+}));
+
+// Mock the SMS opt-out ledger
+jest.mock('../src/modules/telephony/smsOptOut.service', () => ({
+  isOptedOut: jest.fn().mockResolvedValue(false),
+  recordOptOut: jest.fn(),
+  recordOptIn: jest.fn(),
+}));
+
 // Add findAll mock to tenant model
 mockTenantModel.findAll = jest.fn();
 
@@ -64,7 +99,8 @@ mockTenantModel.findAll = jest.fn();
 jest.mock('../src/models', () => ({
   User: {
     findOne: jest.fn(),
-    findByPk: jest.fn(),
+    // Tokens belong to an active user unless a test says otherwise
+    findByPk: jest.fn(async (id) => ({ id, isActive: true })),
     create: jest.fn(),
   },
   Tenant: mockTenantModel,
@@ -571,6 +607,164 @@ describe('Telephony Module', () => {
   });
 });
 
+describe('SMS Conversation Inbox', () => {
+  const validToken = () => jwtUtils.generateAccessToken({
+    userId: '123',
+    email: 'test@example.com',
+    tenantId: 'test-tenant',
+  });
+
+  const mockTenant = {
+    id: 'test-tenant-uuid',
+    name: 'Test Salon',
+    twilioPhoneNumber: '+15551234567',
+    metadata: {},
+  };
+
+  const createConversation = (overrides = {}) => ({
+    id: 'conv-1',
+    tenantId: 'test-tenant-uuid',
+    customerPhone: '+15559876543',
+    unreadCount: 2,
+    lastMessagePreview: 'Do you have anything Saturday?',
+    update: jest.fn().mockResolvedValue(true),
+    toSafeObject() {
+      return { id: this.id, customerPhone: this.customerPhone, unreadCount: this.unreadCount };
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTenantModel.findOne.mockResolvedValue(mockTenant);
+  });
+
+  describe('GET /api/telephony/conversations', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/telephony/conversations')
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list conversation threads', async () => {
+      mockSmsConversationModel.findAndCountAll.mockResolvedValue({
+        rows: [createConversation()],
+        count: 1,
+      });
+
+      const response = await request(app)
+        .get('/api/telephony/conversations')
+        .query({ unread: 'true' })
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.conversations).toHaveLength(1);
+      expect(response.body.data.total).toBe(1);
+      expect(mockSmsConversationModel.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ tenantId: 'test-tenant-uuid' }),
+        })
+      );
+    });
+  });
+
+  describe('GET /api/telephony/conversations/:id', () => {
+    it('should return messages without marking the conversation as read', async () => {
+      const conversation = createConversation();
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+      mockSmsMessageModel.findAll.mockResolvedValue([
+        { id: 'msg-2', body: 'Thanks!', toSafeObject() { return { id: 'msg-2' }; } },
+        { id: 'msg-1', body: 'Hello', toSafeObject() { return { id: 'msg-1' }; } },
+      ]);
+
+      const response = await request(app)
+        .get('/api/telephony/conversations/conv-1')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.messages.map(m => m.id)).toEqual(['msg-1', 'msg-2']);
+      expect(conversation.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown conversation', async () => {
+      mockSmsConversationModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/telephony/conversations/missing')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('CONVERSATION_NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/telephony/conversations/:id/read', () => {
+    it('should mark the conversation as read', async () => {
+      const conversation = createConversation();
+      conversation.update.mockImplementation(async (values) => Object.assign(conversation, values));
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+
+      const response = await request(app)
+        .post('/api/telephony/conversations/conv-1/read')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(conversation.update).toHaveBeenCalledWith({ unreadCount: 0 });
+      expect(response.body.data.conversation.unreadCount).toBe(0);
+    });
+  });
+
+  describe('POST /api/telephony/conversations/:id/reply', () => {
+    it('should return 400 when message is missing', async () => {
+      const response = await request(app)
+        .post('/api/telephony/conversations/conv-1/reply')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ message: '   ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should send the reply from the tenant number and store it', async () => {
+      const conversation = createConversation();
+      mockSmsConversationModel.findOne.mockResolvedValue(conversation);
+      mockSmsMessageModel.create.mockResolvedValue({
+        id: 'msg-3',
+        conversationId: 'conv-1',
+        toSafeObject() { return { id: 'msg-3', conversationId: 'conv-1', direction: 'outbound' }; },
+      });
+      twilioService.sendSms.mockResolvedValue({ sid: 'SM777', status: 'queued' });
+
+      const response = await request(app)
+        .post('/api/telephony/conversations/conv-1/reply')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ message: 'Yes, 10am Saturday works!' });
+
+      expect(response.status).toBe(201);
+      expect(twilioService.sendSms).toHaveBeenCalledWith({
+        to: '+15559876543',
+        from: '+15551234567',
+        body: 'Yes, 10am Saturday works!',
+      });
+      expect(mockSmsMessageModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: 'conv-1',
+        direction: 'outbound',
+        messageType: 'inbox_reply',
+        sentBy: '123',
+      }));
+      expect(response.body.data.message.id).toBe('msg-3');
+    });
+  });
+});
+
 describe('CallLog Model Constants', () => {
   describe('CALL_DIRECTION', () => {
     it('should have correct direction values', () => {
@@ -44,7 +44,8 @@ const mockTenantModel = {
 
 const mockUserModel = {
   findOne: jest.fn(),
-  findByPk: jest.fn(),
+  // Tokens belong to an active user unless a test says otherwise
+  findByPk: jest.fn(async (id) => ({ id, isActive: true })),
   create: jest.fn(),
 };
 
@@ -63,6 +64,12 @@ const mockServiceModel = {
   findAll: jest.fn(),
 };
 
+const mockTenantClosureModel = {
+  findAll: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+};
+
 const mockCallLogModel = {
   count: jest.fn(),
   findAll: jest.fn(),
@@ -91,6 +98,10 @@ jest.mock('../src/modules/tenants/tenant.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/tenants/tenantClosure.model', () => ({
+  TenantClosure: mockTenantClosureModel,
+}));
+
 jest.mock('../src/modules/appointments/appointment.model', () => ({
   Appointment: mockAppointmentModel,
   APPOINTMENT_STATUS: {
@@ -114,6 +125,7 @@ jest.mock('../src/modules/employees/employee.model', () => ({
 
 jest.mock('../src/modules/services/service.model', () => ({
   Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
   SERVICE_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
@@ -698,6 +710,45 @@ describe('Tenant Module', () => {
         expect(response.body.data.tenant.address.state).toBe('CA');
         expect(response.body.data.tenant.address.zipCode).toBe('90001');
       });
+
+      it('should update the tenant timezone', async () => {
+        const mockTenantInstance = {
+          tenantId: 'test-tenant',
+          name: 'Test Salon',
+          timezone: 'UTC',
+          update: jest.fn().mockResolvedValue(true),
+          toSafeObject: () => ({ tenantId: 'test-tenant', timezone: 'America/Chicago' }),
+        };
+        mockTenantModel.findOne.mockResolvedValue(mockTenantInstance);
+
+        const response = await request(app)
+          .patch('/api/tenant')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ timezone: 'America/Chicago' });
+
+        expect(response.status).toBe(200);
+        expect(mockTenantInstance.update).toHaveBeenCalledWith({ timezone: 'America/Chicago' });
+      });
+
+      it('should return 400 for an invalid timezone', async () => {
+        const mockTenantInstance = {
+          tenantId: 'test-tenant',
+          update: jest.fn(),
+          toSafeObject: () => ({ tenantId: 'test-tenant' }),
+        };
+        mockTenantModel.findOne.mockResolvedValue(mockTenantInstance);
+
+        const response = await request(app)
+          .patch('/api/tenant')
+          .set('Authorization', `Bearer ${validToken()}`)
+          .set('X-Tenant-ID', 'test-tenant')
+          .send({ timezone: 'Eastern Time' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_TIMEZONE');
+        expect(mockTenantInstance.update).not.toHaveBeenCalled();
+      });
     });
   });
 
@@ -841,6 +892,51 @@ describe('Tenant Module', () => {
       expect(response.body.data.todayAppointments).toBeDefined();
       expect(response.body.data.recentActivity).toBeDefined();
     });
+
+    it('should only count an employee-scoped user\'s own appointments', async () => {
+      mockTenantModel.findOne.mockResolvedValue({ id: 'tenant-uuid-123', name: 'Test Salon' });
+      mockUserModel.findByPk.mockResolvedValueOnce({
+        id: '123',
+        role: 'staff',
+        employeeId: 'emp-1',
+        isActive: true,
+      });
+
+      const response = await request(app)
+        .get('/api/tenant/dashboard-stats')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(mockAppointmentModel.count.mock.calls[0][0].where.employeeId).toBe('emp-1');
+      mockAppointmentModel.findAll.mock.calls.forEach(([query]) => {
+        expect(query.where.employeeId).toBe('emp-1');
+      });
+      expect(mockCallLogModel.count).not.toHaveBeenCalled();
+      expect(response.body.data.stats.pendingCalls).toBe(0);
+    });
+
+    it('should count today\'s appointments in the tenant timezone', async () => {
+      const { formatTimeOfDay } = require('../src/utils/timezone');
+      mockTenantModel.findOne.mockResolvedValue({
+        id: 'tenant-uuid-123',
+        name: 'Test Salon',
+        timezone: 'America/Los_Angeles',
+        toSafeObject: () => ({ id: 'tenant-uuid-123', name: 'Test Salon' }),
+      });
+
+      const response = await request(app)
+        .get('/api/tenant/dashboard-stats')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      const { startTime } = mockAppointmentModel.count.mock.calls[0][0].where;
+      const [start, end] = Object.getOwnPropertySymbols(startTime).map(op => startTime[op]);
+      expect(formatTimeOfDay(start, 'America/Los_Angeles')).toBe('00:00');
+      expect(formatTimeOfDay(end, 'America/Los_Angeles')).toBe('00:00');
+      expect(end - start).toBeGreaterThanOrEqual(23 * 60 * 60 * 1000);
+    });
   });
 
   describe('GET /api/tenant/business-hours', () => {
@@ -1036,6 +1132,180 @@ describe('Tenant Module', () => {
     });
   });
 
+  describe('Tenant closures', () => {
+    const validToken = () => jwtUtils.generateAccessToken({
+      userId: '123',
+      email: 'test@example.com',
+      tenantId: 'test-tenant',
+    });
+
+    const createClosureEntry = (data) => ({
+      id: 'closure-1',
+      tenantId: 'tenant-uuid-123',
+      recurring: false,
+      openTime: null,
+      closeTime: null,
+      ...data,
+      update: jest.fn(function(fields) {
+        Object.assign(this, fields);
+        return Promise.resolve(this);
+      }),
+      destroy: jest.fn().mockResolvedValue(),
+      toSafeObject() {
+        return {
+          id: this.id,
+          name: this.name,
+          startDate: this.startDate,
+          endDate: this.endDate,
+          recurring: this.recurring,
+          openTime: this.openTime,
+          closeTime: this.closeTime,
+        };
+      },
+    });
+
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/tenant/closures')
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list closures for the tenant', async () => {
+      mockTenantClosureModel.findAll.mockResolvedValue([
+        createClosureEntry({ name: 'Christmas Day', startDate: '2030-12-25', endDate: '2030-12-25', recurring: true }),
+      ]);
+
+      const response = await request(app)
+        .get('/api/tenant/closures?from=2030-12-01')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.closures).toHaveLength(1);
+      expect(response.body.data.closures[0].name).toBe('Christmas Day');
+      expect(mockTenantClosureModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ tenantId: 'tenant-uuid-123' }),
+      }));
+    });
+
+    it('should return 400 when name or start date is missing', async () => {
+      const response = await request(app)
+        .post('/api/tenant/closures')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Renovation' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should create a single-day closure', async () => {
+      mockTenantClosureModel.create.mockImplementation(data => Promise.resolve(createClosureEntry(data)));
+
+      const response = await request(app)
+        .post('/api/tenant/closures')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Christmas Day', startDate: '2030-12-25', recurring: true });
+
+      expect(response.status).toBe(201);
+      expect(mockTenantClosureModel.create).toHaveBeenCalledWith({
+        tenantId: 'tenant-uuid-123',
+        name: 'Christmas Day',
+        startDate: '2030-12-25',
+        endDate: '2030-12-25',
+        recurring: true,
+        openTime: null,
+        closeTime: null,
+      });
+      expect(response.body.data.closure.name).toBe('Christmas Day');
+    });
+
+    it('should create a closure with special hours', async () => {
+      mockTenantClosureModel.create.mockImplementation(data => Promise.resolve(createClosureEntry(data)));
+
+      const response = await request(app)
+        .post('/api/tenant/closures')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Christmas Eve', startDate: '2030-12-24', openTime: '09:00', closeTime: '13:00' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.closure.openTime).toBe('09:00');
+      expect(response.body.data.closure.closeTime).toBe('13:00');
+    });
+
+    it('should return 400 when only one special hours time is given', async () => {
+      const response = await request(app)
+        .post('/api/tenant/closures')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Christmas Eve', startDate: '2030-12-24', openTime: '09:00' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(mockTenantClosureModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the end date is before the start date', async () => {
+      const response = await request(app)
+        .post('/api/tenant/closures')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ name: 'Renovation', startDate: '2030-03-10', endDate: '2030-03-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should update a closure', async () => {
+      const entry = createClosureEntry({ name: 'Renovation', startDate: '2030-03-01', endDate: '2030-03-05' });
+      mockTenantClosureModel.findOne.mockResolvedValue(entry);
+
+      const response = await request(app)
+        .patch('/api/tenant/closures/closure-1')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ endDate: '2030-03-08' });
+
+      expect(response.status).toBe(200);
+      expect(entry.update).toHaveBeenCalledWith(expect.objectContaining({
+        startDate: '2030-03-01',
+        endDate: '2030-03-08',
+      }));
+      expect(mockTenantClosureModel.findOne).toHaveBeenCalledWith({
+        where: { id: 'closure-1', tenantId: 'tenant-uuid-123' },
+      });
+    });
+
+    it('should return 404 when the closure does not exist', async () => {
+      mockTenantClosureModel.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/tenant/closures/missing')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('CLOSURE_NOT_FOUND');
+    });
+
+    it('should delete a closure', async () => {
+      const entry = createClosureEntry({ name: 'Renovation', startDate: '2030-03-01', endDate: '2030-03-05' });
+      mockTenantClosureModel.findOne.mockResolvedValue(entry);
+
+      const response = await request(app)
+        .delete('/api/tenant/closures/closure-1')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(entry.destroy).toHaveBeenCalled();
+    });
+  });
+
   describe('updateSettings method', () => {
     it('should mark settings field as changed when updating', async () => {
       // This test verifies the fix for the issue where Sequelize doesn't detect
@@ -0,0 +1,153 @@
+/**
+ * Timezone Utility Tests
+ * Tests for calendar and wall-clock calculations in tenant timezones
+ */
+
+const mockTenantModel = {
+  findOne: jest.fn(),
+};
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+}));
+
+const {
+  isValidTimezone,
+  resolveTimezone,
+  getDateKey,
+  toDateKey,
+  addDaysToDateKey,
+  addMonthsToDateKey,
+  getDaysBetweenDateKeys,
+  formatDateKey,
+  getDayOfWeekForDateKey,
+  zonedTimeToUtc,
+  startOfDayInTimezone,
+  getMinutesOfDay,
+  formatTimeOfDay,
+  getTenantTimezone,
+} = require('../src/utils/timezone');
+
+describe('Timezone Utilities', () => {
+  const NEW_YORK = 'America/New_York';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezones', () => {
+      expect(isValidTimezone(NEW_YORK)).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject invalid values', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(null)).toBe(false);
+    });
+  });
+
+  describe('resolveTimezone', () => {
+    it('should fall back to UTC', () => {
+      expect(resolveTimezone(undefined)).toBe('UTC');
+      expect(resolveTimezone('Not/AZone')).toBe('UTC');
+      expect(resolveTimezone(NEW_YORK)).toBe(NEW_YORK);
+    });
+  });
+
+  describe('date keys', () => {
+    it('should use the calendar date in the timezone', () => {
+      const instant = new Date('2030-07-02T01:00:00Z');
+
+      expect(getDateKey(instant, 'UTC')).toBe('2030-07-02');
+      expect(getDateKey(instant, NEW_YORK)).toBe('2030-07-01');
+    });
+
+    it('should pass date keys through unchanged', () => {
+      expect(toDateKey('2030-07-01', NEW_YORK)).toBe('2030-07-01');
+      expect(toDateKey('2030-07-02T01:00:00Z', NEW_YORK)).toBe('2030-07-01');
+    });
+
+    it('should add days across month and year ends', () => {
+      expect(addDaysToDateKey('2030-02-28', 1)).toBe('2030-03-01');
+      expect(addDaysToDateKey('2030-12-31', 1)).toBe('2031-01-01');
+      expect(addDaysToDateKey('2030-01-01', -1)).toBe('2029-12-31');
+    });
+
+    it('should add months, moving to the end of shorter months', () => {
+      expect(addMonthsToDateKey('2030-01-15', 1)).toBe('2030-02-15');
+      expect(addMonthsToDateKey('2030-01-31', 1)).toBe('2030-02-28');
+      expect(addMonthsToDateKey('2032-01-31', 1)).toBe('2032-02-29');
+      expect(addMonthsToDateKey('2030-11-30', 3)).toBe('2031-02-28');
+    });
+
+    it('should count the days between date keys', () => {
+      expect(getDaysBetweenDateKeys('2030-02-26', '2030-03-05')).toBe(7);
+      expect(getDaysBetweenDateKeys('2030-03-05', '2030-02-26')).toBe(-7);
+      expect(getDaysBetweenDateKeys('2030-03-09', '2030-03-11')).toBe(2);
+    });
+
+    it('should get the day of the week', () => {
+      expect(getDayOfWeekForDateKey('2030-07-01')).toBe(1);
+      expect(getDayOfWeekForDateKey('2030-07-07')).toBe(0);
+    });
+
+    it('should format a date key without shifting the day', () => {
+      expect(formatDateKey('2030-12-25', { weekday: 'long', month: 'long', day: 'numeric' }))
+        .toBe('Wednesday, December 25');
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('should convert standard and daylight time', () => {
+      expect(zonedTimeToUtc('2030-01-15', 9 * 60, NEW_YORK).toISOString()).toBe('2030-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc('2030-07-15', 9 * 60, NEW_YORK).toISOString()).toBe('2030-07-15T13:00:00.000Z');
+    });
+
+    it('should move times skipped when clocks go forward', () => {
+      // 02:30 does not exist on March 10 2030 in New York; it becomes 03:30 EDT
+      expect(zonedTimeToUtc('2030-03-10', 150, NEW_YORK).toISOString()).toBe('2030-03-10T07:30:00.000Z');
+      expect(zonedTimeToUtc('2030-03-10', 180, NEW_YORK).toISOString()).toBe('2030-03-10T07:00:00.000Z');
+    });
+
+    it('should use the first occurrence of times repeated when clocks go back', () => {
+      // 01:30 happens twice on November 3 2030 in New York
+      expect(zonedTimeToUtc('2030-11-03', 90, NEW_YORK).toISOString()).toBe('2030-11-03T05:30:00.000Z');
+      expect(zonedTimeToUtc('2030-11-03', 120, NEW_YORK).toISOString()).toBe('2030-11-03T07:00:00.000Z');
+    });
+
+    it('should find the start of 23 and 25 hour days', () => {
+      const springForward = startOfDayInTimezone('2030-03-11', NEW_YORK) - startOfDayInTimezone('2030-03-10', NEW_YORK);
+      const fallBack = startOfDayInTimezone('2030-11-04', NEW_YORK) - startOfDayInTimezone('2030-11-03', NEW_YORK);
+
+      expect(springForward).toBe(23 * 60 * 60 * 1000);
+      expect(fallBack).toBe(25 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('wall-clock time', () => {
+    it('should get and format the time of day in the timezone', () => {
+      const instant = new Date('2030-07-01T13:05:00Z');
+
+      expect(getMinutesOfDay(instant, NEW_YORK)).toBe(9 * 60 + 5);
+      expect(formatTimeOfDay(instant, NEW_YORK)).toBe('09:05');
+      expect(formatTimeOfDay(new Date('2030-07-01T04:00:00Z'), NEW_YORK)).toBe('00:00');
+    });
+  });
+
+  describe('getTenantTimezone', () => {
+    it('should return the tenant timezone', async () => {
+      mockTenantModel.findOne.mockResolvedValue({ timezone: NEW_YORK });
+
+      await expect(getTenantTimezone('tenant-uuid')).resolves.toBe(NEW_YORK);
+      expect(mockTenantModel.findOne).toHaveBeenCalledWith({ where: { id: 'tenant-uuid' } });
+    });
+
+    it('should default to UTC when the tenant is not found', async () => {
+      mockTenantModel.findOne.mockResolvedValue(null);
+
+      await expect(getTenantTimezone('missing')).resolves.toBe('UTC');
+    });
+  });
+});
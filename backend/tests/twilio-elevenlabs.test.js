@@ -23,6 +23,18 @@ const mockAppointmentModel = {
   create: jest.fn(),
 };
 
+const mockSlotHoldModel = {
+  findAll: jest.fn().mockResolvedValue([]),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  destroy: jest.fn().mockResolvedValue(0),
+};
+
+const mockCustomerModel = {
+  findOne: jest.fn().mockResolvedValue(null),
+  create: jest.fn().mockResolvedValue({ id: 'customer-uuid-123' }),
+};
+
 const mockServiceModel = {
   findOne: jest.fn(),
   findAndCountAll: jest.fn(),
@@ -45,6 +57,10 @@ const mockEmployeeModel = {
   })),
 };
 
+const mockTenantClosureModel = {
+  findAll: jest.fn().mockResolvedValue([]),
+};
+
 // Mock models BEFORE requiring the app
 jest.mock('../src/modules/tenants/tenant.model', () => ({
   Tenant: mockTenantModel,
@@ -83,6 +99,7 @@ jest.mock('../src/modules/appointments/appointment.model', () => ({
 
 jest.mock('../src/modules/services/service.model', () => ({
   Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
   SERVICE_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
@@ -97,6 +114,16 @@ jest.mock('../src/modules/services/service.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/appointments/slotHold.model', () => ({
+  SlotHold: mockSlotHoldModel,
+  DEFAULT_HOLD_TTL_SECONDS: 120,
+  MAX_HOLD_TTL_SECONDS: 600,
+}));
+
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: mockCustomerModel,
+}));
+
 jest.mock('../src/modules/employees/employee.model', () => ({
   Employee: mockEmployeeModel,
   EMPLOYEE_STATUS: {
@@ -110,6 +137,26 @@ jest.mock('../src/modules/employees/employee.model', () => ({
   },
 }));
 
+jest.mock('../src/modules/employees/employeeTimeOff.model', () => ({
+  EmployeeTimeOff: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  TIME_OFF_TYPES: {
+    DAY_OFF: 'day_off',
+    BLOCKED: 'blocked',
+    EXTRA_HOURS: 'extra_hours',
+  },
+  TIME_OFF_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DECLINED: 'declined',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenantClosure.model', () => ({
+  TenantClosure: mockTenantClosureModel,
+}));
+
 jest.mock('../src/modules/business-types/businessType.model', () => ({
   BusinessType: mockBusinessTypeModel,
 }));
@@ -186,6 +233,10 @@ jest.mock('../src/modules/ai-assistant/elevenlabs.service', () => ({
 
 // Now require the app AFTER the mocks are in place
 const { app } = require('../src/app');
+const { sequelize } = require('../src/config/db');
+
+// Run booking transactions without a database connection
+jest.spyOn(sequelize, 'transaction').mockImplementation(async (options, work) => work({}));
 
 describe('Twilio-ElevenLabs Integration', () => {
   beforeEach(() => {
@@ -405,6 +456,7 @@ describe('Twilio-ElevenLabs Integration', () => {
 describe('Twilio-ElevenLabs Handler Functions', () => {
   const {
     formatAvailabilityResponse,
+    formatNextAvailableResponse,
     formatServicesResponse,
     formatBusinessHoursResponse,
     buildMediaStreamUrl,
@@ -585,6 +637,32 @@ describe('Twilio-ElevenLabs Handler Functions', () => {
     });
   });
 
+  describe('formatNextAvailableResponse', () => {
+    it('should list slots with day, time and employee', () => {
+      const response = formatNextAvailableResponse([
+        { date: '2030-07-01', startTimeFormatted: '09:00', employeeName: 'Jane Doe' },
+        { date: '2030-07-02', startTimeFormatted: '14:30', employeeName: 'John Smith' },
+      ]);
+
+      expect(response).toBe(
+        'The next available times are Monday, July 1 at 9:00 AM with Jane Doe; ' +
+        'Tuesday, July 2 at 2:30 PM with John Smith. Which would you like?'
+      );
+    });
+
+    it('should use singular for one slot', () => {
+      const response = formatNextAvailableResponse([
+        { date: '2030-07-01', startTimeFormatted: '12:00', employeeName: 'Jane Doe' },
+      ]);
+
+      expect(response).toBe('The next available time is Monday, July 1 at 12:00 PM with Jane Doe. Which would you like?');
+    });
+
+    it('should handle no slots', () => {
+      expect(formatNextAvailableResponse([])).toContain("don't see any openings");
+    });
+  });
+
   describe('formatServicesResponse', () => {
     it('should format services list', () => {
       const services = [
@@ -676,6 +754,113 @@ describe('Twilio-ElevenLabs Handler Functions', () => {
   });
 });
 
+describe('ElevenLabs slot hold tool calls', () => {
+  const { handleElevenLabsToolCall } = require('../src/modules/ai-assistant/twilio-elevenlabs.handler');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTenantModel.findOne.mockResolvedValue({ id: 'tenant-uuid', timezone: 'UTC' });
+  });
+
+  it('should hold the slot for the conversation while details are collected', async () => {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    mockEmployeeModel.findOne.mockResolvedValue({ id: 'emp-1', serviceIds: ['service-1'] });
+    mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60, price: 40, addOns: [] });
+    mockAppointmentModel.findAll.mockResolvedValue([]);
+    mockSlotHoldModel.create.mockImplementation(async (data) => ({
+      id: 'hold-1',
+      ...data,
+      toSafeObject() { return { id: this.id, expiresAt: this.expiresAt }; },
+    }));
+
+    const result = await handleElevenLabsToolCall({
+      tool_name: 'hold_slot',
+      conversation_id: 'conv-123',
+      parameters: { employeeId: 'emp-1', serviceId: 'service-1', startTime: startTime.toISOString() },
+    }, 'tenant-uuid');
+
+    expect(result.success).toBe(true);
+    expect(result.holdId).toBe('hold-1');
+    expect(result.message).toBe('I\'m holding that time for you for the next 2 minutes while I take your details.');
+    expect(mockSlotHoldModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({ employeeId: 'emp-1', startTime, reference: 'conv-123' }),
+      { transaction: expect.anything() }
+    );
+  });
+
+  it('should tell the agent when the slot was just taken', async () => {
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    mockEmployeeModel.findOne.mockResolvedValue({ id: 'emp-1', serviceIds: ['service-1'] });
+    mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60, price: 40, addOns: [] });
+    mockAppointmentModel.findAll.mockResolvedValue([]);
+    mockSlotHoldModel.findAll.mockResolvedValueOnce([{
+      id: 'other-hold',
+      startTime,
+      endTime: new Date(startTime.getTime() + 60 * 60 * 1000),
+      toSafeObject() { return { id: this.id }; },
+    }]);
+
+    const result = await handleElevenLabsToolCall({
+      tool_name: 'hold_slot',
+      parameters: { employeeId: 'emp-1', serviceId: 'service-1', startTime: startTime.toISOString() },
+    }, 'tenant-uuid');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('held for another booking');
+    expect(mockSlotHoldModel.create).not.toHaveBeenCalled();
+  });
+
+  it('should release a hold', async () => {
+    const hold = { id: 'hold-1', destroy: jest.fn().mockResolvedValue() };
+    mockSlotHoldModel.findOne.mockResolvedValue(hold);
+
+    const result = await handleElevenLabsToolCall({
+      tool_name: 'release_hold',
+      parameters: { holdId: 'hold-1' },
+    }, 'tenant-uuid');
+
+    expect(result.success).toBe(true);
+    expect(hold.destroy).toHaveBeenCalled();
+  });
+});
+
+describe('ElevenLabs reschedule tool call', () => {
+  const { handleElevenLabsToolCall } = require('../src/modules/ai-assistant/twilio-elevenlabs.handler');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should move an appointment to a new time', async () => {
+    const oldStart = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const newStart = new Date(oldStart.getTime() + 2 * 60 * 60 * 1000);
+    const appointment = {
+      id: 'apt-1',
+      employeeId: 'emp-1',
+      serviceId: 'service-1',
+      startTime: oldStart,
+      totalDuration: 60,
+      bufferBefore: 0,
+      bufferAfter: 0,
+      canBeModified: () => true,
+      save: jest.fn().mockResolvedValue(true),
+      toSafeObject() { return { id: this.id, startTime: this.startTime }; },
+    };
+    mockAppointmentModel.findOne.mockResolvedValue(appointment);
+    mockEmployeeModel.findOne.mockResolvedValue({ id: 'emp-1', serviceIds: ['service-1'] });
+    mockAppointmentModel.findAll.mockResolvedValue([]);
+
+    const result = await handleElevenLabsToolCall({
+      tool_name: 'reschedule_appointment',
+      parameters: { appointmentId: 'apt-1', startTime: newStart.toISOString() },
+    }, 'tenant-uuid');
+
+    expect(result.success).toBe(true);
+    expect(result.appointment.startTime).toEqual(newStart);
+    expect(appointment.save).toHaveBeenCalled();
+  });
+});
+
 describe('ElevenLabs Service', () => {
   // Reset the module to get the actual implementation
   beforeEach(() => {
@@ -890,6 +1075,174 @@ describe('handleConversationInitiation Function', () => {
     expect(result.data.conversation_config_override.agent.user_input_audio_format).toBe('ulaw_8000');
     expect(result.data.conversation_config_override.tts.output_format).toBe('ulaw_8000');
   });
+
+  it('should pass a returning caller\'s details to the agent', async () => {
+    const tenant = { id: 'tenant-uuid', name: 'Test Salon', timezone: 'America/New_York', metadata: {} };
+    mockTenantModel.findOne.mockResolvedValue({ ...tenant, toSafeObject: () => tenant });
+    const customer = { id: 'customer-1', name: 'Jane Smith', preferences: {} };
+    mockCustomerModel.findOne.mockResolvedValueOnce({ ...customer, toSafeObject: () => customer });
+    const visit = (data) => ({ ...data, toSafeObject: () => data });
+    const sam = { id: 'emp-1', firstName: 'Sam', lastName: 'Lee' };
+    const alex = { id: 'emp-2', firstName: 'Alex', lastName: 'Kim' };
+    mockAppointmentModel.findAll.mockResolvedValueOnce([
+      visit({ id: 'apt-3', status: 'scheduled', startTime: '2030-03-12T18:00:00.000Z', employeeId: 'emp-1', employee: sam, service: { name: 'Color' } }),
+      visit({ id: 'apt-2', status: 'completed', startTime: '2026-01-15T15:00:00.000Z', employeeId: 'emp-2', employee: alex, service: { name: 'Haircut' } }),
+      visit({ id: 'apt-1', status: 'completed', startTime: '2025-11-02T15:00:00.000Z', employeeId: 'emp-1', employee: sam, service: { name: 'Haircut' } }),
+      visit({ id: 'apt-0', status: 'completed', startTime: '2025-09-20T15:00:00.000Z', employeeId: 'emp-1', employee: sam, service: { name: 'Haircut' } }),
+    ]);
+
+    const result = await handleConversationInitiation({
+      conversation_id: 'conv-123',
+      agent_id: 'agent-123',
+      dynamic_variables: { tenant_id: 'tenant-uuid', caller_number: '(555) 123-4567' },
+    });
+
+    expect(mockCustomerModel.findOne).toHaveBeenCalledWith({
+      where: { tenantId: 'tenant-uuid', normalizedPhone: '+15551234567' },
+    });
+    expect(result.data.dynamic_variables).toEqual(expect.objectContaining({
+      customer_known: 'true',
+      customer_id: 'customer-1',
+      customer_name: 'Jane Smith',
+      last_service_name: 'Haircut',
+      last_employee_name: 'Alex Kim',
+      last_visit_date: 'January 15, 2026',
+      preferred_employee_id: 'emp-1',
+      preferred_employee_name: 'Sam Lee',
+      upcoming_appointments_summary: 'Color with Sam Lee on Tuesday, March 12 at 2:00 PM (appointment ID apt-3)',
+      next_appointment_id: 'apt-3',
+    }));
+  });
+
+  it('should leave the caller variables empty for a new caller', async () => {
+    const tenant = { id: 'tenant-uuid', name: 'Test Salon', metadata: {} };
+    mockTenantModel.findOne.mockResolvedValue({ ...tenant, toSafeObject: () => tenant });
+    mockCustomerModel.findOne.mockResolvedValueOnce(null);
+
+    const result = await handleConversationInitiation({
+      conversation_id: 'conv-123',
+      agent_id: 'agent-123',
+      dynamic_variables: { tenant_id: 'tenant-uuid', caller_number: '+15559999999' },
+    });
+
+    expect(result.data.dynamic_variables).toEqual(expect.objectContaining({
+      customer_known: 'false',
+      customer_name: '',
+      preferred_employee_name: '',
+      upcoming_appointments_summary: '',
+      next_appointment_id: '',
+    }));
+    expect(mockAppointmentModel.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('ElevenLabs tool calls with tenant closures', () => {
+  const {
+    handleElevenLabsToolCall,
+    handleConversationInitiation,
+  } = require('../src/modules/ai-assistant/twilio-elevenlabs.handler');
+
+  const dateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+
+  const closureEntry = (data) => ({
+    id: 'closure-1',
+    recurring: false,
+    openTime: null,
+    closeTime: null,
+    ...data,
+    toSafeObject() { return { id: this.id, name: this.name }; },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTenantClosureModel.findAll.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    mockTenantClosureModel.findAll.mockResolvedValue([]);
+  });
+
+  it('should tell the caller the business is closed on a holiday', async () => {
+    mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60 });
+    mockEmployeeModel.findAll.mockResolvedValue([]);
+    mockTenantClosureModel.findAll.mockResolvedValue([
+      closureEntry({ name: 'Christmas Day', startDate: '2025-12-25', endDate: '2025-12-25', recurring: true }),
+    ]);
+
+    const result = await handleElevenLabsToolCall({
+      tool_name: 'check_availability',
+      parameters: { date: '2030-12-25T12:00:00', serviceId: 'service-1' },
+    }, 'tenant-uuid');
+
+    expect(result.success).toBe(true);
+    expect(result.closure).toEqual({ id: 'closure-1', name: 'Christmas Day' });
+    expect(result.message).toBe('We\'re closed on Wednesday, December 25 for Christmas Day. Would you like to check another date?');
+  });
+
+  it('should find the next available slots after a closure', async () => {
+    mockTenantModel.findOne.mockResolvedValue({ id: 'tenant-uuid', timezone: 'UTC' });
+    mockServiceModel.findOne.mockResolvedValue({ id: 'service-1', duration: 60 });
+    mockEmployeeModel.findAll.mockResolvedValue([{
+      id: 'emp-1',
+      serviceIds: ['service-1'],
+      schedule: { wednesday: { start: '09:00', end: '11:00', enabled: true } },
+      getFullName: () => 'Jane Doe',
+    }]);
+    mockAppointmentModel.findAll.mockResolvedValue([]);
+    mockTenantClosureModel.findAll.mockResolvedValue([
+      closureEntry({ name: 'Christmas Day', startDate: '2030-12-25', endDate: '2030-12-25' }),
+    ]);
+
+    const result = await handleElevenLabsToolCall({
+      tool_name: 'find_next_available',
+      parameters: { serviceId: 'service-1', date: '2030-12-25', count: 1 },
+    }, 'tenant-uuid');
+
+    expect(result.success).toBe(true);
+    expect(mockAppointmentModel.findAll).toHaveBeenCalledTimes(1);
+    expect(result.slots).toEqual([expect.objectContaining({ date: '2031-01-01', startTimeFormatted: '09:00' })]);
+    expect(result.message).toBe('The next available time is Wednesday, January 1 at 9:00 AM with Jane Doe. Which would you like?');
+  });
+
+  it('should announce upcoming closures with business hours', async () => {
+    const soon = new Date();
+    soon.setDate(soon.getDate() + 3);
+    const tenant = { id: 'tenant-uuid', name: 'Test Salon' };
+    mockTenantModel.findOne.mockResolvedValue({ ...tenant, toSafeObject: () => tenant });
+    mockTenantClosureModel.findAll.mockResolvedValue([
+      closureEntry({ name: 'Renovation', startDate: dateKey(soon), endDate: dateKey(soon) }),
+    ]);
+
+    const result = await handleElevenLabsToolCall({ tool_name: 'get_business_hours', parameters: {} }, 'tenant-uuid');
+
+    expect(result.success).toBe(true);
+    expect(result.closures).toEqual([expect.objectContaining({ name: 'Renovation', closedAllDay: true })]);
+    expect(result.message).toContain('Please note that we\'re closed on');
+    expect(result.message).toContain('for Renovation.');
+  });
+
+  it('should pass upcoming closures to the agent at conversation start', async () => {
+    const soon = new Date();
+    soon.setDate(soon.getDate() + 1);
+    const tenant = { id: 'tenant-uuid', name: 'Test Salon', metadata: {} };
+    mockTenantModel.findOne.mockResolvedValue({ ...tenant, toSafeObject: () => tenant });
+    mockTenantClosureModel.findAll.mockResolvedValue([
+      closureEntry({ name: 'Staff Training', startDate: dateKey(soon), endDate: dateKey(soon), openTime: '12:00', closeTime: '17:00' }),
+    ]);
+
+    const result = await handleConversationInitiation({
+      conversation_id: 'conv-123',
+      agent_id: 'agent-123',
+      dynamic_variables: { tenant_id: 'tenant-uuid' },
+    });
+
+    expect(result.data.dynamic_variables.upcoming_closures_summary)
+      .toMatch(/^Please note that we're open from 12:00 to 17:00 on .+ for Staff Training\.$/);
+  });
 });
 
 describe('POST /api/webhooks/elevenlabs/appointments', () => {
@@ -982,7 +1335,8 @@ describe('POST /api/webhooks/elevenlabs/appointments', () => {
         serviceId,
         customerName: 'John Doe',
         customerEmail: 'john@example.com',
-      })
+      }),
+      { transaction: expect.anything() }
     );
   });
 
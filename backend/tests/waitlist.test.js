@@ -0,0 +1,502 @@
+/**
+ * Waitlist Tests
+ * Tests for waitlist entries and offering freed slots by SMS
+ */
+const request = require('supertest');
+
+// Define mocks before requiring the app
+const mockWaitlistEntryModel = {
+  findAll: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockWaitlistOfferModel = {
+  findAll: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  destroy: jest.fn(),
+};
+
+const mockEmployeeModel = {
+  findOne: jest.fn(),
+};
+
+const mockServiceModel = {
+  findOne: jest.fn(),
+};
+
+const mockCustomerModel = {
+  findOne: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockTenantModel = {
+  findOne: jest.fn(),
+  create: jest.fn(),
+  generateDefaultSettings: jest.fn(() => ({})),
+  isValidTransition: jest.fn(),
+};
+
+// Mock models BEFORE requiring the app
+jest.mock('../src/modules/waitlist/waitlist.model', () => ({
+  WaitlistEntry: mockWaitlistEntryModel,
+  WaitlistOffer: mockWaitlistOfferModel,
+  WAITLIST_STATUS: {
+    WAITING: 'waiting',
+    BOOKED: 'booked',
+    CANCELLED: 'cancelled',
+  },
+  OFFER_STATUS: {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    TAKEN: 'taken',
+    EXPIRED: 'expired',
+  },
+  OFFER_TTL_MINUTES: 30,
+  MAX_OFFERS_PER_SLOT: 5,
+}));
+
+jest.mock('../src/modules/appointments/appointment.model', () => ({
+  Appointment: {},
+  APPOINTMENT_STATUS: {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show',
+  },
+  CANCELLATION_REASONS: {
+    CUSTOMER_REQUEST: 'customer_request',
+    OTHER: 'other',
+  },
+}));
+
+jest.mock('../src/modules/customers/customer.model', () => ({
+  Customer: mockCustomerModel,
+}));
+
+jest.mock('../src/modules/employees/employee.model', () => ({
+  Employee: mockEmployeeModel,
+  EMPLOYEE_STATUS: {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive',
+    ON_LEAVE: 'on_leave',
+  },
+  EMPLOYEE_TYPES: {
+    EMPLOYEE: 'employee',
+    CONTRACTOR: 'contractor',
+  },
+}));
+
+jest.mock('../src/modules/services/service.model', () => ({
+  Service: mockServiceModel,
+  MAX_BUFFER_MINUTES: 240,
+  SERVICE_STATUS: {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive',
+  },
+  SERVICE_CATEGORIES: {
+    HAIR: 'hair',
+    OTHER: 'other',
+  },
+}));
+
+jest.mock('../src/modules/tenants/tenant.model', () => ({
+  Tenant: mockTenantModel,
+  TENANT_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+  },
+  PLAN_TYPES: {
+    FREE: 'free',
+  },
+}));
+
+jest.mock('../src/modules/appointments/availability.service', () => ({
+  ...jest.requireActual('../src/modules/appointments/availability.service'),
+  checkSlotAvailability: jest.fn(),
+  getEmployeeTimeOff: jest.fn(),
+}));
+
+jest.mock('../src/modules/telephony/sms.handler', () => ({
+  ...jest.requireActual('../src/modules/telephony/sms.handler'),
+  sendCustomerNotification: jest.fn(),
+}));
+
+// Now require the app AFTER the mocks are in place
+const { app } = require('../src/app');
+const jwtUtils = require('../src/modules/auth/jwt.utils');
+const waitlistService = require('../src/modules/waitlist/waitlist.service');
+const appointmentService = require('../src/modules/appointments/appointment.service');
+const availabilityService = require('../src/modules/appointments/availability.service');
+const smsHandler = require('../src/modules/telephony/sms.handler');
+const { addDaysToDateKey, getDateKey } = require('../src/utils/timezone');
+const { User } = require('../src/models');
+
+// Tokens belong to an active user
+jest.spyOn(User, 'findByPk').mockImplementation(async (id) => ({ id, isActive: true }));
+
+describe('Waitlist Module', () => {
+  const mockEmployeeId = '11111111-1111-1111-1111-111111111111';
+  const mockServiceId = '22222222-2222-2222-2222-222222222222';
+  const mockEntryId = '55555555-5555-5555-5555-555555555555';
+
+  // A slot three days out at 14:00 UTC, inside the employee's 09:00-17:00 hours
+  const slotDate = addDaysToDateKey(getDateKey(new Date(), 'UTC'), 3);
+  const slotStart = new Date(`${slotDate}T14:00:00.000Z`);
+  const slotEnd = new Date(`${slotDate}T14:30:00.000Z`);
+
+  const workingDay = { enabled: true, start: '09:00', end: '17:00' };
+  const employee = {
+    id: mockEmployeeId,
+    firstName: 'Jane',
+    status: 'active',
+    serviceIds: [mockServiceId],
+    schedule: {
+      sunday: workingDay,
+      monday: workingDay,
+      tuesday: workingDay,
+      wednesday: workingDay,
+      thursday: workingDay,
+      friday: workingDay,
+      saturday: workingDay,
+    },
+  };
+
+  const entryRecord = (overrides = {}) => {
+    const data = {
+      id: mockEntryId,
+      tenantId: 'tenant-uuid-123',
+      serviceId: mockServiceId,
+      employeeId: null,
+      customerName: 'Bob Smith',
+      customerPhone: '(555) 555-5556',
+      customerEmail: null,
+      windows: [],
+      notes: null,
+      status: 'waiting',
+      ...overrides,
+    };
+    return {
+      ...data,
+      update: jest.fn(async function(changes) {
+        Object.assign(this, changes);
+        return this;
+      }),
+      toSafeObject() {
+        const { update, toSafeObject, ...fields } = this;
+        return fields;
+      },
+    };
+  };
+
+  const offerRecord = (overrides = {}) => ({
+    id: 'offer-1',
+    tenantId: 'tenant-uuid-123',
+    waitlistEntryId: mockEntryId,
+    employeeId: mockEmployeeId,
+    serviceId: mockServiceId,
+    startTime: slotStart,
+    endTime: slotEnd,
+    status: 'pending',
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    isOpen() {
+      return this.status === 'pending' && this.expiresAt > new Date();
+    },
+    update: jest.fn(async function(changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    destroy: jest.fn().mockResolvedValue(true),
+    toSafeObject() {
+      return { id: this.id, waitlistEntryId: this.waitlistEntryId, status: this.status };
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTenantModel.findOne.mockResolvedValue({
+      id: 'tenant-uuid-123',
+      name: 'Test Salon',
+      timezone: 'UTC',
+    });
+    mockCustomerModel.findOne.mockResolvedValue(null);
+    mockEmployeeModel.findOne.mockResolvedValue(employee);
+    mockServiceModel.findOne.mockResolvedValue({ id: mockServiceId, name: 'Haircut', duration: 30 });
+    mockWaitlistOfferModel.findAll.mockResolvedValue([]);
+    mockWaitlistOfferModel.create.mockImplementation(async (data) => offerRecord(data));
+    availabilityService.checkSlotAvailability.mockResolvedValue({ available: true });
+    availabilityService.getEmployeeTimeOff.mockResolvedValue([]);
+    smsHandler.sendCustomerNotification.mockResolvedValue({ success: true });
+  });
+
+  const validToken = () => jwtUtils.generateAccessToken({
+    userId: '123',
+    email: 'test@example.com',
+    tenantId: 'test-tenant',
+  });
+
+  describe('GET /api/waitlist', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/waitlist')
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return entries oldest first with their offers', async () => {
+      mockWaitlistEntryModel.findAll.mockResolvedValue([entryRecord()]);
+
+      const response = await request(app)
+        .get('/api/waitlist')
+        .query({ status: 'waiting' })
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(mockWaitlistEntryModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tenantId: 'tenant-uuid-123', status: 'waiting' },
+        order: [['createdAt', 'ASC']],
+      }));
+    });
+  });
+
+  describe('POST /api/waitlist', () => {
+    it('should return 400 without a phone number', async () => {
+      const response = await request(app)
+        .post('/api/waitlist')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({ customerName: 'Bob Smith', serviceId: mockServiceId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 400 for a window that ends before it starts', async () => {
+      const response = await request(app)
+        .post('/api/waitlist')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          customerName: 'Bob Smith',
+          customerPhone: '5555555556',
+          serviceId: mockServiceId,
+          windows: [{ date: slotDate, earliestTime: '15:00', latestTime: '12:00' }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('earliestTime must be before latestTime');
+    });
+
+    it('should return 400 when the preferred employee does not perform the service', async () => {
+      mockEmployeeModel.findOne.mockResolvedValue({ ...employee, serviceIds: [] });
+
+      const response = await request(app)
+        .post('/api/waitlist')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          customerName: 'Bob Smith',
+          customerPhone: '5555555556',
+          serviceId: mockServiceId,
+          employeeId: mockEmployeeId,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('EMPLOYEE_NOT_QUALIFIED');
+    });
+
+    it('should create an entry linked to the customer', async () => {
+      mockCustomerModel.create.mockImplementation(async (data) => ({ id: 'customer-1', ...data }));
+      mockWaitlistEntryModel.create.mockImplementation(async (data) => entryRecord(data));
+
+      const response = await request(app)
+        .post('/api/waitlist')
+        .set('Authorization', `Bearer ${validToken()}`)
+        .set('X-Tenant-ID', 'test-tenant')
+        .send({
+          customerName: 'Bob Smith',
+          customerPhone: '5555555556',
+          serviceId: mockServiceId,
+          windows: [{ date: slotDate, earliestTime: '09:00', latestTime: '12:00' }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockWaitlistEntryModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        tenantId: 'tenant-uuid-123',
+        customerId: 'customer-1',
+        serviceId: mockServiceId,
+        employeeId: null,
+      }));
+      expect(response.body.data.entry.windows).toHaveLength(1);
+    });
+  });
+
+  describe('isWithinWindows', () => {
+    it('should accept any time when there are no windows', () => {
+      expect(waitlistService.isWithinWindows([], slotStart, slotEnd, 'UTC')).toBe(true);
+    });
+
+    it('should require the whole slot to fit a window on the same date', () => {
+      const morning = [{ date: slotDate, earliestTime: '09:00', latestTime: '12:00' }];
+      const afternoon = [{ date: slotDate, earliestTime: '13:00', latestTime: '14:15' }];
+      const allDay = [{ date: slotDate }];
+      const otherDay = [{ date: addDaysToDateKey(slotDate, 1) }];
+
+      expect(waitlistService.isWithinWindows(morning, slotStart, slotEnd, 'UTC')).toBe(false);
+      expect(waitlistService.isWithinWindows(afternoon, slotStart, slotEnd, 'UTC')).toBe(false);
+      expect(waitlistService.isWithinWindows(allDay, slotStart, slotEnd, 'UTC')).toBe(true);
+      expect(waitlistService.isWithinWindows(otherDay, slotStart, slotEnd, 'UTC')).toBe(false);
+    });
+
+    it('should compare times in the tenant timezone', () => {
+      // 14:00 UTC is 09:00 or 10:00 in New York depending on daylight saving
+      const windows = [{ date: slotDate, earliestTime: '08:00', latestTime: '11:00' }];
+
+      expect(waitlistService.isWithinWindows(windows, slotStart, slotEnd, 'America/New_York')).toBe(true);
+      expect(waitlistService.isWithinWindows(windows, slotStart, slotEnd, 'UTC')).toBe(false);
+    });
+  });
+
+  describe('offerFreedSlot', () => {
+    const freedSlot = { employeeId: mockEmployeeId, startTime: slotStart, endTime: slotEnd };
+
+    it('should text an offer to each matching entry, oldest first', async () => {
+      mockWaitlistEntryModel.findAll.mockResolvedValue([
+        entryRecord(),
+        entryRecord({ id: 'entry-2', customerPhone: '5555550002', windows: [{ date: slotDate, earliestTime: '13:00' }] }),
+      ]);
+
+      const offers = await waitlistService.offerFreedSlot(freedSlot, 'tenant-uuid-123');
+
+      expect(offers).toHaveLength(2);
+      expect(mockWaitlistOfferModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        waitlistEntryId: mockEntryId,
+        employeeId: mockEmployeeId,
+        startTime: slotStart,
+        endTime: slotEnd,
+        normalizedPhone: '+15555555556',
+      }));
+      expect(smsHandler.sendCustomerNotification).toHaveBeenCalledTimes(2);
+      expect(smsHandler.sendCustomerNotification).toHaveBeenCalledWith(expect.objectContaining({
+        tenantId: 'tenant-uuid-123',
+        to: '(555) 555-5556',
+        type: 'waitlist_offer',
+        message: expect.stringContaining('Reply YES'),
+      }));
+      expect(mockWaitlistEntryModel.findAll.mock.calls[0][0].order).toEqual([['createdAt', 'ASC']]);
+    });
+
+    it('should skip entries outside their windows, the employee\'s hours or skills, or with an open offer', async () => {
+      mockWaitlistEntryModel.findAll.mockResolvedValue([
+        entryRecord({ id: 'entry-window', windows: [{ date: slotDate, latestTime: '12:00' }] }),
+        entryRecord({ id: 'entry-service', serviceId: '99999999-9999-9999-9999-999999999999' }),
+        entryRecord({ id: 'entry-offered' }),
+      ]);
+      mockWaitlistOfferModel.findAll.mockResolvedValue([{ waitlistEntryId: 'entry-offered' }]);
+
+      const offers = await waitlistService.offerFreedSlot(freedSlot, 'tenant-uuid-123');
+
+      expect(offers).toHaveLength(0);
+      expect(smsHandler.sendCustomerNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not offer a slot the service no longer fits into', async () => {
+      mockWaitlistEntryModel.findAll.mockResolvedValue([entryRecord()]);
+      availabilityService.checkSlotAvailability.mockResolvedValue({ available: false, conflicts: [{}] });
+
+      const offers = await waitlistService.offerFreedSlot(freedSlot, 'tenant-uuid-123');
+
+      expect(offers).toHaveLength(0);
+      expect(mockWaitlistOfferModel.create).not.toHaveBeenCalled();
+    });
+
+    it('should ignore slots in the past', async () => {
+      const offers = await waitlistService.offerFreedSlot(
+        { ...freedSlot, startTime: new Date(Date.now() - 60 * 60 * 1000) },
+        'tenant-uuid-123'
+      );
+
+      expect(offers).toHaveLength(0);
+      expect(mockWaitlistEntryModel.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should remove the offer when the SMS cannot be sent', async () => {
+      const offer = offerRecord();
+      mockWaitlistEntryModel.findAll.mockResolvedValue([entryRecord()]);
+      mockWaitlistOfferModel.create.mockResolvedValue(offer);
+      smsHandler.sendCustomerNotification.mockRejectedValue(new Error('Recipient has opted out of SMS messages'));
+
+      const offers = await waitlistService.offerFreedSlot(freedSlot, 'tenant-uuid-123');
+
+      expect(offers).toHaveLength(0);
+      expect(offer.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('claimOffer', () => {
+    it('should book the slot and close the other offers for it', async () => {
+      const entry = entryRecord();
+      const offer = offerRecord({ entry });
+      const createSpy = jest.spyOn(appointmentService, 'createAppointment').mockResolvedValue({ id: 'apt-1' });
+
+      const result = await waitlistService.claimOffer(offer, 'tenant-uuid-123');
+
+      expect(result.result).toBe('booked');
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        employeeId: mockEmployeeId,
+        serviceId: mockServiceId,
+        customerName: 'Bob Smith',
+        customerPhone: '(555) 555-5556',
+        startTime: slotStart,
+      }), 'tenant-uuid-123');
+      expect(offer.status).toBe('accepted');
+      expect(offer.appointmentId).toBe('apt-1');
+      expect(entry.status).toBe('booked');
+      expect(mockWaitlistOfferModel.update).toHaveBeenCalledWith(
+        { status: 'taken' },
+        expect.objectContaining({
+          where: expect.objectContaining({ employeeId: mockEmployeeId, startTime: slotStart, status: 'pending' }),
+        })
+      );
+
+      createSpy.mockRestore();
+    });
+
+    it('should mark the offer taken when someone else booked the slot first', async () => {
+      const { AppError } = require('../src/middleware/errorHandler');
+      const entry = entryRecord();
+      const offer = offerRecord({ entry });
+      const createSpy = jest.spyOn(appointmentService, 'createAppointment')
+        .mockRejectedValue(new AppError('Time slot is not available', 409, 'TIME_SLOT_CONFLICT'));
+
+      const result = await waitlistService.claimOffer(offer, 'tenant-uuid-123');
+
+      expect(result.result).toBe('taken');
+      expect(offer.status).toBe('taken');
+      expect(entry.status).toBe('waiting');
+
+      createSpy.mockRestore();
+    });
+
+    it('should not book an offer that has expired', async () => {
+      const offer = offerRecord({ expiresAt: new Date(Date.now() - 1000) });
+      const createSpy = jest.spyOn(appointmentService, 'createAppointment');
+
+      const result = await waitlistService.claimOffer(offer, 'tenant-uuid-123');
+
+      expect(result.result).toBe('taken');
+      expect(createSpy).not.toHaveBeenCalled();
+
+      createSpy.mockRestore();
+    });
+  });
+});
@@ -8,6 +8,8 @@ const Login = () => import('@/pages/Login.vue')
 const Register = () => import('@/pages/Register.vue')
 const SignUpPage = () => import('@/pages/SignUpPage.vue')
 const ForgotPasswordPage = () => import('@/pages/ForgotPasswordPage.vue')
+const AcceptInvitePage = () => import('@/pages/AcceptInvitePage.vue')
+const UnlockAccountPage = () => import('@/pages/UnlockAccountPage.vue')
 const HowItWorksPage = () => import('@/pages/HowItWorksPage.vue')
 const FAQPage = () => import('@/pages/FAQPage.vue')
 const NotFound = () => import('@/pages/NotFound.vue')
@@ -18,7 +20,12 @@ const AdminClientsPage = () => import('@/pages/AdminClientsPage.vue')
 const DashboardPage = () => import('@/pages/DashboardPage.vue')
 const EmployeesPage = () => import('@/pages/EmployeesPage.vue')
 const ServicesPage = () => import('@/pages/ServicesPage.vue')
+const ResourcesPage = () => import('@/pages/ResourcesPage.vue')
+const TeamPage = () => import('@/pages/TeamPage.vue')
 const AppointmentsPage = () => import('@/pages/AppointmentsPage.vue')
+const InboxPage = () => import('@/pages/InboxPage.vue')
+const CustomersPage = () => import('@/pages/CustomersPage.vue')
+const CustomerDetailPage = () => import('@/pages/CustomerDetailPage.vue')
 const BillingPage = () => import('@/pages/BillingPage.vue')
 const ReportsPage = () => import('@/pages/ReportsPage.vue')
 const SettingsPage = () => import('@/pages/SettingsPage.vue')
@@ -64,6 +71,18 @@ const routes: RouteRecordRaw[] = [
         component: ForgotPasswordPage,
         meta: { requiresAuth: false }
       },
+      {
+        path: 'accept-invite',
+        name: 'accept-invite',
+        component: AcceptInvitePage,
+        meta: { requiresAuth: false, guestOnly: true }
+      },
+      {
+        path: 'unlock-account',
+        name: 'unlock-account',
+        component: UnlockAccountPage,
+        meta: { requiresAuth: false }
+      },
       {
         path: 'how-it-works',
         name: 'how-it-works',
@@ -110,11 +129,36 @@ const routes: RouteRecordRaw[] = [
         name: 'services',
         component: ServicesPage
       },
+      {
+        path: 'resources',
+        name: 'resources',
+        component: ResourcesPage
+      },
+      {
+        path: 'team',
+        name: 'team',
+        component: TeamPage
+      },
       {
         path: 'appointments',
         name: 'appointments',
         component: AppointmentsPage
       },
+      {
+        path: 'inbox',
+        name: 'inbox',
+        component: InboxPage
+      },
+      {
+        path: 'customers',
+        name: 'customers',
+        component: CustomersPage
+      },
+      {
+        path: 'customers/:id',
+        name: 'customer-detail',
+        component: CustomerDetailPage
+      },
       {
         path: 'billing',
         name: 'billing',
@@ -0,0 +1,36 @@
+import axios, { type AxiosInstance, type InternalAxiosRequestConfig } from 'axios'
+
+// Admin tokens live in session storage (cleared on browser close), apart from tenant tokens
+const ADMIN_TOKEN_KEY = 'admin_token'
+
+export function getAdminToken(): string | null {
+  return sessionStorage.getItem(ADMIN_TOKEN_KEY)
+}
+
+export function setAdminToken(token: string) {
+  sessionStorage.setItem(ADMIN_TOKEN_KEY, token)
+}
+
+export function clearAdminToken() {
+  sessionStorage.removeItem(ADMIN_TOKEN_KEY)
+}
+
+// Axios instance for platform admin endpoints
+const adminApi: AxiosInstance = axios.create({
+  baseURL: import.meta.env.VITE_API_URL || '',
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Request interceptor - add the admin token to requests
+adminApi.interceptors.request.use((config: InternalAxiosRequestConfig) => {
+  const token = getAdminToken()
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+export default adminApi
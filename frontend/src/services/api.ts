@@ -10,11 +10,11 @@ const api: AxiosInstance = axios.create({
 })
 
 /**
- * Helper function to decode JWT token and extract tenantId
+ * Helper function to decode a JWT token's payload (without verifying it)
  * @param token - JWT token string
- * @returns tenantId from token payload or null
+ * @returns token payload or null
  */
-function extractTenantIdFromToken(token: string): string | null {
+export function decodeTokenPayload(token: string): Record<string, any> | null {
   try {
     const parts = token.split('.')
     if (parts.length !== 3 || !parts[1]) {
@@ -23,13 +23,21 @@ function extractTenantIdFromToken(token: string): string | null {
     
     // JWT uses base64url encoding - replace URL-safe characters with standard base64
     const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/')
-    const payload = JSON.parse(atob(base64))
-    return payload.tenantId || null
+    return JSON.parse(atob(base64))
   } catch {
     return null
   }
 }
 
+/**
+ * Helper function to decode JWT token and extract tenantId
+ * @param token - JWT token string
+ * @returns tenantId from token payload or null
+ */
+function extractTenantIdFromToken(token: string): string | null {
+  return decodeTokenPayload(token)?.tenantId || null
+}
+
 // Request interceptor - add JWT token and tenant ID to requests
 api.interceptors.request.use(
   (config: InternalAxiosRequestConfig) => {
@@ -62,7 +70,8 @@ api.interceptors.response.use(
       
       // Only redirect if not already on login page
       if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/login'
+        // Tell users why they were signed out when a platform admin suspended their business
+        window.location.href = error.response.data?.code === 'TENANT_SUSPENDED' ? '/login?suspended=1' : '/login'
       }
     }
     return Promise.reject(error)
@@ -1,6 +1,6 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
-import api from '@/services/api'
+import api, { decodeTokenPayload } from '@/services/api'
 
 export interface User {
   id: string
@@ -36,6 +36,8 @@ export const useAuthStore = defineStore('auth', () => {
     if (!user.value) return ''
     return `${user.value.firstName} ${user.value.lastName}`
   })
+  // A platform admin viewing the business through a read-only token
+  const isImpersonating = computed(() => !!token.value && !!decodeTokenPayload(token.value)?.impersonatedBy)
 
   // Actions
   async function login(credentials: LoginCredentials): Promise<boolean> {
@@ -90,6 +92,38 @@ export const useAuthStore = defineStore('auth', () => {
     }
   }
 
+  async function acceptInvite(inviteToken: string, password: string): Promise<boolean> {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await api.post('/api/team/invites/accept', { token: inviteToken, password })
+      const { tokens, user: userData } = response.data.data
+
+      token.value = tokens.accessToken
+      user.value = userData
+      localStorage.setItem('token', tokens.accessToken)
+
+      return true
+    } catch (err: unknown) {
+      if (err && typeof err === 'object' && 'response' in err) {
+        const axiosError = err as { response?: { data?: { error?: string } } }
+        error.value = axiosError.response?.data?.error || 'Failed to accept invite'
+      } else {
+        error.value = 'Failed to accept invite'
+      }
+      return false
+    } finally {
+      loading.value = false
+    }
+  }
+
+  function startImpersonation(accessToken: string): void {
+    token.value = accessToken
+    user.value = null
+    localStorage.setItem('token', accessToken)
+  }
+
   async function logout(): Promise<void> {
     token.value = null
     user.value = null
@@ -121,9 +155,12 @@ export const useAuthStore = defineStore('auth', () => {
     // Getters
     isAuthenticated,
     fullName,
+    isImpersonating,
     // Actions
     login,
     register,
+    acceptInvite,
+    startImpersonation,
     logout,
     fetchUser,
     clearError